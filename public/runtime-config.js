@@ -0,0 +1,25 @@
+// ===============================
+// File: runtime-config.js
+// Description: Runtime configuration override loaded before the application bundle. Edit on the server to re-point a built dashboard without rebuilding.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+/**
+ * Example:
+ * window.__CMS_CONFIG__ = {
+ *   profile: 'staging',
+ *   timeout: 30000,
+ *   collaboration: true,
+ *   profiles: {
+ *     staging: { label: 'Staging', apiUrl: 'https://staging.example.com/api' },
+ *     mock: { label: 'Local mock', apiUrl: 'http://localhost:4010/api' }
+ *   }
+ * };
+ */
+window.__CMS_CONFIG__ = window.__CMS_CONFIG__ || {};
+// ===============================
+// End of File: runtime-config.js
+// Description: Runtime configuration override
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
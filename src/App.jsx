@@ -21,6 +21,8 @@ import ResetPassword from './pages/auth/ResetPassword';
 import Home from './pages/Home';
 import NotFound from './pages/NotFound';
 import PageContent from './pages/PageContent';
+import NewsletterConfirm from './pages/NewsletterConfirm';
+import NewsletterPreferences from './pages/NewsletterPreferences';
 
 // Protected Pages
 import Dashboard from './pages/dashboard/Dashboard';
@@ -38,6 +40,8 @@ import PublicPage from './pages/PublicPage';
 import NewsletterDashboard from './pages/dashboard/NewsletterDashboard';
 import BlogDashboard from './pages/dashboard/BlogDashboard';
 import BlogForm from './pages/dashboard/BlogForm';
+import ContentCalendar from './pages/dashboard/ContentCalendar';
+import MeetingsCalendar from './pages/dashboard/MeetingsCalendar';
 import DynamicComponents from './pages/dashboard/DynamicComponents';
 import LayoutDashboard from './pages/dashboard/LayoutDashboard';
 import ComponentBuilder from './pages/dashboard/ComponentBuilder';
@@ -51,6 +55,8 @@ import ActivityHistoryPage from './pages/dashboard/ActivityHistoryPage';
 // Components
 import PrivateRoute from './components/routes/PrivateRoute';
 import AdminRoute from './components/routes/AdminRoute';
+import PermissionRoute from './components/routes/PermissionRoute';
+import { PERMISSIONS } from './constants/permissions';
 import Layout from './components/layout/Layout';
 import DashboardLayout from './components/layout/DashboardLayout';
 import DashboardHome from './pages/dashboard/DashboardHome';
@@ -61,6 +67,7 @@ import InquiryForm from './components/global/InquiryForm';
 import FormsList from './pages/dashboard/forms';
 import FormBuilderPage from './pages/dashboard/FormBuilderPage';
 import FormRenderPage from './pages/dashboard/FormRenderPage';
+import FormSubmissionsPage from './pages/dashboard/FormSubmissionsPage';
 
 function useMinScreenWidth(minWidth = 800) {
   const [isSmall, setIsSmall] = useState(false);
@@ -126,6 +133,8 @@ function App() {
             <Route path="set-password/:token" element={<SetPassword />} />
             <Route path="pages/:slug" element={<PublicPage />} />
             <Route path="newsletter/subscribe" element={<NewsletterSubscribe />} />
+            <Route path="newsletter/confirm/:token" element={<NewsletterConfirm />} />
+            <Route path="newsletter/preferences/:token" element={<NewsletterPreferences />} />
             <Route path="newsletter/lead-form" element={<LeadForm />} />
             <Route path="inquiries" element={<InquiryForm />} />
             <Route path="blog/:slug" element={<PublicPage />} />
@@ -136,44 +145,82 @@ function App() {
             <Route element={<DashboardLayout />}>
               <Route index element={<DashboardHome />} />
               <Route path="profile" element={<Profile />} />
-              <Route path="settings" element={<LeadsManagement />} />
 
-              {/* Admin Routes (nested) */}
-              <Route element={<AdminRoute />}>
+              {/* Permission-guarded Routes (see src/constants/permissions.js) */}
+              <Route element={<PermissionRoute permission={PERMISSIONS.SECTIONS_EDIT} />}>
                 <Route path="sections" element={<SectionsList />} />
                 <Route path="sections/new" element={<SectionForm />} />
                 <Route path="sections/edit/:id" element={<SectionEditor />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.PAGES_VIEW} />}>
                 <Route path="pages" element={<PagesList />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.PAGES_EDIT} />}>
                 <Route path="pages/new" element={<PageForm />} />
                 <Route path="pages/edit/:id" element={<PageForm />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.BLOGS_VIEW} />}>
                 <Route path="blogs" element={<BlogDashboard />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.BLOGS_CREATE} />}>
                 <Route path="blogs/new" element={<BlogForm />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.BLOGS_EDIT} />}>
                 <Route path="blogs/edit/:id" element={<BlogForm />} />
+              </Route>
+              <Route element={<PermissionRoute permission={[PERMISSIONS.BLOGS_VIEW, PERMISSIONS.PAGES_VIEW]} />}>
+                <Route path="calendar" element={<ContentCalendar />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.LEADS_VIEW} />}>
                 <Route path="leads" element={<LeadsManagement />} />
+                {/* Older links to the leads screen */}
+                <Route path="settings" element={<LeadsManagement />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.INQUIRIES_VIEW} />}>
                 <Route path="inquiries" element={<InquiriesManagement />} />
-                <Route path="api-playground" element={<ApiPlayground />} />
-                <Route path="users" element={<Users />} />
+              </Route>
+              <Route element={<PermissionRoute permission={[PERMISSIONS.LEADS_VIEW, PERMISSIONS.INQUIRIES_VIEW]} />}>
+                <Route path="meetings" element={<MeetingsCalendar />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.MEDIA_VIEW} />}>
                 <Route path="media" element={<MediaLibrary />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.NEWSLETTER_VIEW} />}>
                 <Route path="newsletter" element={<NewsletterDashboard />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.COMPONENTS_MANAGE} />}>
                 <Route path="components" element={<DynamicComponents />} />
-                <Route path="layouts" element={<LayoutDashboard />} />
                 <Route path="components/new" element={<ComponentBuilder />} />
+                <Route path="components/edit/:id" element={<ComponentBuilder />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.LAYOUTS_MANAGE} />}>
+                <Route path="layouts" element={<LayoutDashboard />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.CONTENT_VIEW} />}>
                 <Route path="content" element={<ContentDashboard />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.CONTENT_EDIT} />}>
+                {/* The layout view is the content editor: it saves, restores and merges */}
+                <Route path="content/view/:id" element={<LayoutComponentView />} />
                 <Route path="content/new" element={<ContentForm />} />
                 <Route path="content/edit/:id" element={<ContentForm />} />
-                <Route path="content/view/:id" element={<LayoutComponentView />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.ACTIVITY_VIEW} />}>
                 <Route path="activity-history" element={<ActivityHistoryPage />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.FORMS_VIEW} />}>
                 <Route path="forms" element={<FormsList />} />
-                <Route path="form-builder" element={<FormBuilderPage />} />
                 <Route path="forms/:formId" element={<FormRenderPage />} />
-                <Route
-                  path="components/edit/:id"
-                  element={
-                    <PrivateRoute>
-                      <ComponentBuilder />
-                    </PrivateRoute>
-                  }
-                />
+                <Route path="forms/:formId/submissions" element={<FormSubmissionsPage />} />
+              </Route>
+              <Route element={<PermissionRoute permission={PERMISSIONS.FORMS_MANAGE} />}>
+                <Route path="form-builder" element={<FormBuilderPage />} />
+              </Route>
+
+              {/* Admin Routes (nested) */}
+              <Route element={<AdminRoute />}>
+                <Route path="api-playground" element={<ApiPlayground />} />
+                <Route path="users" element={<Users />} />
               </Route>
             </Route>
           </Route>
@@ -53,7 +53,7 @@ const ExampleForm = () => {
   const { isSaving, lastSaved } = useAutoSave({
     data: formData,
     onSave: handleSave,
-    saveInterval: 10000, // 10 seconds
+    delay: 10000, // 10 seconds
   });
 
   // Leave confirmation hook
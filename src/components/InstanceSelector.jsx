@@ -7,7 +7,7 @@
 import React, { useState, useEffect } from 'react';
 import { Select, Button, Modal, Form, Input, message } from 'antd';
 import { PlusOutlined } from '@ant-design/icons';
-import axios from 'axios';
+import { cmsApi } from '../services/api';
 
 const { Option } = Select;
 
@@ -41,7 +41,7 @@ const InstanceSelector = ({ pageId, value, onChange, onInstanceChange }) => {
   const fetchInstances = async () => {
     try {
       setLoading(true);
-      const response = await axios.get(`/api/pages/${pageId}/instances`);
+      const response = await cmsApi.getPageInstances(pageId);
       setInstances(response.data.data);
     } catch (error) {
       message.error('Failed to fetch instances');
@@ -57,7 +57,7 @@ const InstanceSelector = ({ pageId, value, onChange, onInstanceChange }) => {
    */
   const handleCreateInstance = async (values) => {
     try {
-      const response = await axios.post(`/api/pages/${pageId}/instances`, values);
+      const response = await cmsApi.createPageInstance(pageId, values);
       setInstances([...instances, response.data.data]);
       setIsModalVisible(false);
       form.resetFields();
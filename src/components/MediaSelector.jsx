@@ -8,6 +8,7 @@ import React, { useState, useEffect } from 'react';
 import { FaFolder, FaImage, FaTimes, FaArrowLeft, FaFolderOpen, FaThLarge, FaFile, FaFileVideo, FaFileAlt, FaCheck, FaSearch } from 'react-icons/fa';
 import { toast } from 'react-toastify';
 import { cmsApi } from '../services/api';
+import { resolveAssetUrl } from '../config';
 
 /**
  * MediaSelector provides a modal for selecting media files or folders.
@@ -176,8 +177,7 @@ const MediaSelector = ({ isOpen, onClose, onSelect }) => {
    */
   const getImageUrl = (file) => {
     if (!file?.url) return null;
-    if (file.url.startsWith('http')) return file.url;
-    return `http://localhost:5000${file.url}`;
+    return resolveAssetUrl(file.url);
   };
 
   /**
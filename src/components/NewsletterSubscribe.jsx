@@ -1,6 +1,6 @@
 // ===============================
 // File: NewsletterSubscribe.jsx
-// Description: Newsletter subscription form with accessibility, error handling, and user feedback.
+// Description: Newsletter subscription form with double opt-in consent, accessibility, error handling, and user feedback.
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // ===============================
@@ -8,15 +8,17 @@ import React, { useState } from 'react';
 import { toast } from 'react-toastify';
 import { newsletterApi } from '../services/api';
 import { FaPaperPlane } from 'react-icons/fa';
+import { CONSENT_TEXT, describeSignupSource } from '../utils/subscriberPreferences';
 
 /**
  * NewsletterSubscribe provides a form for users to subscribe to the newsletter.
- * Includes accessibility, error handling, and user feedback.
+ * The address is only added once the subscriber follows the confirmation email (double opt-in).
  * @component
  */
 const NewsletterSubscribe = () => {
-  // State for email input and loading
+  // State for email input, consent checkbox and loading
   const [email, setEmail] = useState('');
+  const [consent, setConsent] = useState(false);
   const [loading, setLoading] = useState(false);
 
   /**
@@ -27,9 +29,13 @@ const NewsletterSubscribe = () => {
     e.preventDefault();
     setLoading(true);
     try {
-      await newsletterApi.subscribe(email);
-      toast.success('Successfully subscribed to newsletter!');
+      const response = await newsletterApi.subscribe(email, {
+        source: describeSignupSource('newsletter-subscribe'),
+        consent
+      });
+      toast.success(response.data?.message || 'Check your inbox to confirm your subscription.');
       setEmail('');
+      setConsent(false);
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to subscribe');
     } finally {
@@ -59,6 +65,17 @@ const NewsletterSubscribe = () => {
             />
           </div>
         </div>
+        <label className="flex items-start gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={consent}
+            onChange={(e) => setConsent(e.target.checked)}
+            className="mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            required
+            disabled={loading}
+          />
+          <span>{CONSENT_TEXT}</span>
+        </label>
         <button
           type="submit"
           disabled={loading}
@@ -82,7 +99,7 @@ const NewsletterSubscribe = () => {
 export default NewsletterSubscribe;
 // ===============================
 // End of File: NewsletterSubscribe.jsx
-// Description: Newsletter subscription form with accessibility and error handling
+// Description: Newsletter subscription form with double opt-in consent
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // =============================== 
\ No newline at end of file
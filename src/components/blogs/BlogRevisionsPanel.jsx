@@ -0,0 +1,236 @@
+// ===============================
+// File: BlogRevisionsPanel.jsx
+// Description: Drawer listing a blog post's saved revisions, with a side-by-side word diff between any two and one-click restore.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Drawer, Select, Popconfirm, Empty, Switch, Spin } from 'antd';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow, format } from 'date-fns';
+import { cmsApi } from '../../services/api';
+import Can from '../common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
+import { diffWords, hasChanges } from '../../utils/textDiff';
+
+/**
+ * Fields compared between revisions, in display order
+ * @type {Array<{ key: string, label: string, read: function(Object): string }>}
+ */
+const DIFF_FIELDS = [
+  { key: 'title', label: 'Title', read: (rev) => rev.title || '' },
+  { key: 'excerpt', label: 'Excerpt', read: (rev) => rev.excerpt || '' },
+  { key: 'content', label: 'Content (HTML)', read: (rev) => rev.content || '' },
+  { key: 'metaTitle', label: 'SEO title', read: (rev) => rev.seo?.metaTitle || '' },
+  { key: 'metaDescription', label: 'SEO description', read: (rev) => rev.seo?.metaDescription || '' },
+  { key: 'keywords', label: 'SEO keywords', read: (rev) => (rev.seo?.keywords || []).join(', ') },
+  { key: 'ogImage', label: 'Social image', read: (rev) => rev.seo?.ogImage || '' },
+];
+
+/**
+ * Label for a revision in the compare pickers
+ * @param {Object} revision
+ * @returns {string}
+ */
+const revisionLabel = (revision) => (
+  `#${revision.number} · ${revision.savedBy?.name || 'Unknown'} · ${format(new Date(revision.savedAt), 'MMM d, h:mm a')}`
+);
+
+/**
+ * One field's diff, old copy on the left and new copy on the right
+ * @param {Object} props
+ * @param {string} props.label
+ * @param {Array<{ type: string, value: string }>} props.parts - Output of diffWords
+ * @returns {JSX.Element}
+ */
+const FieldDiff = ({ label, parts }) => (
+  <div className="mb-4">
+    <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">{label}</h4>
+    <div className="grid grid-cols-2 gap-2 text-sm">
+      <div className="p-2 rounded border border-gray-200 bg-gray-50 whitespace-pre-wrap break-words font-mono text-xs">
+        {parts.filter((part) => part.type !== 'added').map((part, index) => (
+          <span key={index} className={part.type === 'removed' ? 'bg-red-100 text-red-800 line-through' : ''}>
+            {part.value}
+          </span>
+        ))}
+      </div>
+      <div className="p-2 rounded border border-gray-200 bg-white whitespace-pre-wrap break-words font-mono text-xs">
+        {parts.filter((part) => part.type !== 'removed').map((part, index) => (
+          <span key={index} className={part.type === 'added' ? 'bg-green-100 text-green-800' : ''}>
+            {part.value}
+          </span>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+FieldDiff.propTypes = {
+  label: PropTypes.string.isRequired,
+  parts: PropTypes.arrayOf(PropTypes.shape({ type: PropTypes.string, value: PropTypes.string })).isRequired,
+};
+
+/**
+ * Revisions drawer for a blog post
+ * @param {Object} props
+ * @param {string} props.blogId - Post whose revisions are shown
+ * @param {boolean} props.open - Whether the drawer is visible
+ * @param {function} props.onClose - Close handler
+ * @param {function} props.onRestored - Called with the updated blog after a restore
+ * @returns {JSX.Element}
+ */
+const BlogRevisionsPanel = ({ blogId, open, onClose, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+
+  /**
+   * Loads revisions (newest first) and compares the latest save with the one before it.
+   */
+  const fetchRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await cmsApi.getBlogRevisions(blogId);
+      const list = response.data.data || [];
+      setRevisions(list);
+      setCompareId(list[0]?._id || null);
+      setBaseId(list[1]?._id || list[0]?._id || null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load revisions');
+    } finally {
+      setLoading(false);
+    }
+  }, [blogId]);
+
+  useEffect(() => {
+    if (open) fetchRevisions();
+  }, [open, fetchRevisions]);
+
+  const base = revisions.find((rev) => rev._id === baseId);
+  const compare = revisions.find((rev) => rev._id === compareId);
+
+  const diffs = useMemo(() => {
+    if (!base || !compare) return [];
+    return DIFF_FIELDS.map((field) => {
+      const parts = diffWords(field.read(base), field.read(compare));
+      return { ...field, parts, changed: hasChanges(parts) };
+    });
+  }, [base, compare]);
+
+  const visibleDiffs = showUnchanged ? diffs : diffs.filter((diff) => diff.changed);
+
+  /**
+   * Restores a revision's copy onto the post (this itself creates a new revision).
+   * @param {Object} revision
+   */
+  const handleRestore = async (revision) => {
+    try {
+      setRestoringId(revision._id);
+      const response = await cmsApi.restoreBlogRevision(blogId, revision._id);
+      toast.success(`Restored revision #${revision.number}`);
+      onRestored(response.data.data);
+      fetchRevisions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to restore revision');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const options = revisions.map((rev) => ({ value: rev._id, label: revisionLabel(rev) }));
+
+  return (
+    <Drawer title="Revision history" placement="right" width={960} open={open} onClose={onClose} destroyOnClose>
+      {loading && revisions.length === 0 ? (
+        <div className="flex justify-center py-12"><Spin /></div>
+      ) : revisions.length === 0 ? (
+        <Empty description="No revisions yet. One is saved every time the post is updated." />
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Revision list */}
+          <ul className="space-y-2 lg:col-span-1" aria-label="Revisions">
+            {revisions.map((rev, index) => (
+              <li
+                key={rev._id}
+                className={`p-3 rounded-lg border text-sm ${
+                  rev._id === compareId || rev._id === baseId ? 'border-blue-300 bg-blue-50' : 'border-gray-200 bg-white'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-gray-900">#{rev.number}</span>
+                  <span className="text-xs text-gray-500">{formatDistanceToNow(new Date(rev.savedAt), { addSuffix: true })}</span>
+                </div>
+                <div className="text-gray-700 truncate">{rev.savedBy?.name || 'Unknown'}</div>
+                <div className="text-xs text-gray-500 truncate">{rev.note}</div>
+                <div className="flex gap-3 mt-2 text-xs">
+                  <button type="button" className="text-blue-600 hover:underline" onClick={() => setBaseId(rev._id)}>
+                    Compare from
+                  </button>
+                  <button type="button" className="text-blue-600 hover:underline" onClick={() => setCompareId(rev._id)}>
+                    Compare to
+                  </button>
+                  {index === 0 ? (
+                    <span className="ml-auto text-green-700 font-medium">Current</span>
+                  ) : (
+                    <Can perform={PERMISSIONS.BLOGS_EDIT}>
+                      <Popconfirm
+                        title={`Restore revision #${rev.number}?`}
+                        description="The current copy stays in the history."
+                        onConfirm={() => handleRestore(rev)}
+                        okText="Restore"
+                      >
+                        <button
+                          type="button"
+                          className="ml-auto text-orange-600 hover:underline disabled:opacity-50"
+                          disabled={Boolean(restoringId)}
+                        >
+                          {restoringId === rev._id ? 'Restoring...' : 'Restore'}
+                        </button>
+                      </Popconfirm>
+                    </Can>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {/* Diff */}
+          <div className="lg:col-span-2">
+            <div className="grid grid-cols-2 gap-2 mb-4">
+              <Select value={baseId} onChange={setBaseId} options={options} aria-label="Older revision" />
+              <Select value={compareId} onChange={setCompareId} options={options} aria-label="Newer revision" />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-600 mb-4">
+              <Switch size="small" checked={showUnchanged} onChange={setShowUnchanged} />
+              Show unchanged fields
+            </label>
+            {visibleDiffs.length === 0 ? (
+              <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="These revisions are identical" />
+            ) : (
+              visibleDiffs.map((diff) => <FieldDiff key={diff.key} label={diff.label} parts={diff.parts} />)
+            )}
+          </div>
+        </div>
+      )}
+    </Drawer>
+  );
+};
+
+BlogRevisionsPanel.propTypes = {
+  blogId: PropTypes.string.isRequired,
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRestored: PropTypes.func.isRequired,
+};
+
+export default BlogRevisionsPanel;
+// ===============================
+// End of File: BlogRevisionsPanel.jsx
+// Description: Blog revision history drawer
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,40 @@
+// ===============================
+// File: BlogStatusBadge.jsx
+// Description: Pill badge showing a blog post's editorial workflow status.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import PropTypes from 'prop-types';
+import { BLOG_STATUS, getBlogStatusMeta } from '../../constants/blogWorkflow';
+
+/**
+ * Badge for a blog workflow status
+ * @param {Object} props
+ * @param {string} props.status - Workflow status (see BLOG_STATUS)
+ * @returns {JSX.Element}
+ */
+const BlogStatusBadge = ({ status }) => {
+  const meta = getBlogStatusMeta(status);
+  return (
+    <span
+      className={`px-2.5 py-1 text-xs font-semibold rounded-full inline-flex items-center gap-1.5 border whitespace-nowrap ${meta.badge}`}
+      aria-label={meta.label}
+    >
+      <span className={`w-1.5 h-1.5 rounded-full ${meta.dot} ${status === BLOG_STATUS.PUBLISHED ? 'animate-pulse' : ''}`}></span>
+      {meta.label}
+    </span>
+  );
+};
+
+BlogStatusBadge.propTypes = {
+  status: PropTypes.string,
+};
+
+export default BlogStatusBadge;
+// ===============================
+// End of File: BlogStatusBadge.jsx
+// Description: Blog workflow status badge
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,316 @@
+// ===============================
+// File: BlogWorkflowModal.jsx
+// Description: Modal for moving a blog post through the editorial workflow, with reviewer assignment, comments and history.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Select, Input, Timeline, Empty } from 'antd';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow, format } from 'date-fns';
+import { cmsApi } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { BLOG_STATUS, getAllowedTransitions, getBlogStatusMeta } from '../../constants/blogWorkflow';
+import { DEFAULT_TIMEZONE, formatScheduleTime, validateSchedule } from '../../utils/publishSchedule';
+import PublishScheduleFields from '../common/PublishScheduleFields';
+import BlogStatusBadge from './BlogStatusBadge';
+
+const { TextArea } = Input;
+
+/**
+ * Workflow modal for a single blog post
+ * @param {Object} props
+ * @param {Object} props.blog - Blog being reviewed
+ * @param {boolean} props.open - Whether the modal is visible
+ * @param {function} props.onClose - Close handler
+ * @param {function} props.onUpdated - Called with the updated blog after a transition or comment
+ * @returns {JSX.Element}
+ */
+const BlogWorkflowModal = ({ blog, open, onClose, onUpdated }) => {
+  const { user, can } = useAuth();
+  const [selectedTransition, setSelectedTransition] = useState(null);
+  const [reviewers, setReviewers] = useState([]);
+  const [reviewerId, setReviewerId] = useState(null);
+  const [comment, setComment] = useState('');
+  const [schedule, setSchedule] = useState({ publishAt: null, unpublishAt: null, timezone: DEFAULT_TIMEZONE });
+  const [newComment, setNewComment] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const transitions = useMemo(() => getAllowedTransitions(blog, user, can), [blog, user, can]);
+
+  // Reset the form whenever a different post or step is picked
+  useEffect(() => {
+    setReviewerId(blog.reviewer?._id || null);
+    setComment('');
+    setSchedule({
+      publishAt: null,
+      unpublishAt: blog.unpublishAt || null,
+      timezone: blog.publishTimezone || DEFAULT_TIMEZONE,
+    });
+  }, [blog, selectedTransition]);
+
+  // Load reviewers lazily, only when a step needs one
+  useEffect(() => {
+    if (!selectedTransition?.requiresReviewer || reviewers.length) return;
+    cmsApi.getBlogReviewers()
+      .then((res) => setReviewers(res.data.data || []))
+      .catch(() => toast.error('Failed to load reviewers'));
+  }, [selectedTransition, reviewers.length]);
+
+  /**
+   * Applies the selected transition
+   */
+  const handleTransition = async () => {
+    if (selectedTransition.requiresReviewer && !reviewerId) {
+      toast.error('Please choose a reviewer');
+      return;
+    }
+    if (selectedTransition.requiresComment && !comment.trim()) {
+      toast.error('Please explain what needs to change');
+      return;
+    }
+    const setsSchedule = selectedTransition.requiresPublishAt || selectedTransition.to === BLOG_STATUS.PUBLISHED;
+    const scheduleError = setsSchedule
+      ? validateSchedule(schedule, { requirePublishAt: selectedTransition.requiresPublishAt })
+      : null;
+    if (scheduleError) {
+      toast.error(scheduleError);
+      return;
+    }
+    try {
+      setSaving(true);
+      const res = await cmsApi.transitionBlog(blog._id, {
+        status: selectedTransition.to,
+        comment: comment.trim(),
+        reviewerId: selectedTransition.requiresReviewer ? reviewerId : undefined,
+        publishAt: selectedTransition.requiresPublishAt ? schedule.publishAt : undefined,
+        unpublishAt: setsSchedule ? schedule.unpublishAt : undefined,
+        publishTimezone: setsSchedule ? schedule.timezone : undefined,
+      });
+      toast.success(`Moved to ${getBlogStatusMeta(selectedTransition.to).label}`);
+      setSelectedTransition(null);
+      onUpdated(res.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Posts a free-form comment on the current step
+   */
+  const handleAddComment = async () => {
+    if (!newComment.trim()) return;
+    try {
+      setSaving(true);
+      const res = await cmsApi.addBlogComment(blog._id, newComment.trim());
+      setNewComment('');
+      onUpdated({ ...blog, comments: [...(blog.comments || []), res.data.data] });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add comment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={720}
+      title={
+        <div className="flex items-center gap-3">
+          <span className="truncate">{blog.title}</span>
+          <BlogStatusBadge status={blog.status} />
+        </div>
+      }
+      destroyOnClose
+    >
+      <div className="space-y-6">
+        {/* Current assignment */}
+        <div className="text-sm text-gray-600">
+          {blog.reviewer ? (
+            <>Reviewer: <span className="font-medium text-gray-900">{blog.reviewer.name}</span></>
+          ) : (
+            'No reviewer assigned yet'
+          )}
+          {blog.submittedBy && (
+            <> · Submitted by <span className="font-medium text-gray-900">{blog.submittedBy.name}</span></>
+          )}
+          {blog.status === BLOG_STATUS.SCHEDULED && blog.publishAt && (
+            <div className="mt-1">
+              Goes live <span className="font-medium text-gray-900">{formatScheduleTime(blog.publishAt, blog.publishTimezone)}</span>
+            </div>
+          )}
+          {blog.unpublishAt && (
+            <div className="mt-1">
+              Comes down <span className="font-medium text-gray-900">{formatScheduleTime(blog.unpublishAt, blog.publishTimezone)}</span>
+            </div>
+          )}
+        </div>
+
+        {/* Available steps */}
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Next step</h3>
+          {transitions.length === 0 ? (
+            <p className="text-sm text-gray-500">There is nothing for you to do on this post right now.</p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {transitions.map((transition) => (
+                <button
+                  key={transition.to}
+                  type="button"
+                  onClick={() => setSelectedTransition(transition)}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-medium border transition-colors ${
+                    selectedTransition?.to === transition.to
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {transition.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {selectedTransition && (
+            <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+              {selectedTransition.requiresReviewer && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reviewer *</label>
+                  <Select
+                    className="w-full"
+                    placeholder="Choose a reviewer"
+                    value={reviewerId}
+                    onChange={setReviewerId}
+                    options={reviewers.map((reviewer) => ({ value: reviewer._id, label: reviewer.name || reviewer.email }))}
+                  />
+                </div>
+              )}
+              {(selectedTransition.requiresPublishAt || selectedTransition.to === BLOG_STATUS.PUBLISHED) && (
+                <PublishScheduleFields
+                  publishAt={schedule.publishAt}
+                  unpublishAt={schedule.unpublishAt}
+                  timezone={schedule.timezone}
+                  onChange={(patch) => setSchedule((prev) => ({ ...prev, ...patch }))}
+                  showPublishAt={Boolean(selectedTransition.requiresPublishAt)}
+                  requirePublishAt={Boolean(selectedTransition.requiresPublishAt)}
+                />
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Comment {selectedTransition.requiresComment ? '*' : '(optional)'}
+                </label>
+                <TextArea
+                  rows={3}
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  placeholder={selectedTransition.requiresComment ? 'What needs to change?' : 'Add a note for the next person'}
+                />
+              </div>
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setSelectedTransition(null)}
+                  className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleTransition}
+                  disabled={saving}
+                  className="px-4 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : selectedTransition.label}
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+
+        {/* Comments */}
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Comments</h3>
+          {(blog.comments || []).length === 0 ? (
+            <p className="text-sm text-gray-500 mb-3">No comments yet.</p>
+          ) : (
+            <ul className="space-y-3 mb-3">
+              {blog.comments.map((item) => (
+                <li key={item._id} className="p-3 bg-white border border-gray-200 rounded-lg">
+                  <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                    <span className="font-medium text-gray-800">{item.by?.name || 'Unknown'}</span>
+                    <span>{formatDistanceToNow(new Date(item.at), { addSuffix: true })}</span>
+                  </div>
+                  <p className="text-sm text-gray-700 whitespace-pre-wrap">{item.text}</p>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex gap-2">
+            <TextArea
+              rows={2}
+              value={newComment}
+              onChange={(e) => setNewComment(e.target.value)}
+              placeholder="Leave a comment"
+              aria-label="New comment"
+            />
+            <button
+              type="button"
+              onClick={handleAddComment}
+              disabled={saving || !newComment.trim()}
+              className="self-end px-3 py-1.5 text-sm font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg disabled:opacity-50"
+            >
+              Post
+            </button>
+          </div>
+        </section>
+
+        {/* History */}
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">History</h3>
+          {(blog.workflowHistory || []).length === 0 ? (
+            <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No workflow activity yet" />
+          ) : (
+            <Timeline
+              items={blog.workflowHistory.map((entry) => ({
+                key: entry._id,
+                children: (
+                  <div className="text-sm">
+                    <div>
+                      <span className="font-medium">{entry.by?.name || 'Unknown'}</span>
+                      {' moved it from '}
+                      <span className="font-medium">{getBlogStatusMeta(entry.from).label}</span>
+                      {' to '}
+                      <span className="font-medium">{getBlogStatusMeta(entry.to).label}</span>
+                    </div>
+                    {entry.comment && <p className="text-gray-600 mt-1 whitespace-pre-wrap">“{entry.comment}”</p>}
+                    <div className="text-xs text-gray-400 mt-1">{format(new Date(entry.at), 'MMM d, yyyy h:mm a')}</div>
+                  </div>
+                ),
+              }))}
+            />
+          )}
+        </section>
+      </div>
+    </Modal>
+  );
+};
+
+BlogWorkflowModal.propTypes = {
+  blog: PropTypes.object.isRequired,
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onUpdated: PropTypes.func.isRequired,
+};
+
+export default BlogWorkflowModal;
+// ===============================
+// End of File: BlogWorkflowModal.jsx
+// Description: Blog editorial workflow modal
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,33 @@
+/**
+ * Can.jsx
+ *
+ * Renders its children only when the signed-in user holds a capability.
+ * Use it to hide action buttons the user's role cannot perform.
+ *
+ * @author Tech4biz Solutions
+ * @copyright Tech4biz Solutions Private
+ * @version 1.0.0
+ */
+
+import usePermission from '../../hooks/usePermission';
+
+/**
+ * Can Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string|Array<string>} props.perform - Capability (or list where any one is enough), e.g. `blogs.publish`
+ * @param {React.ReactNode} [props.fallback=null] - Rendered when the capability is missing
+ * @param {React.ReactNode} props.children - Rendered when the capability is granted
+ * @returns {JSX.Element|null}
+ */
+const Can = ({ perform, fallback = null, children }) => {
+  const allowed = usePermission(perform);
+  return allowed ? children : fallback;
+};
+
+export default Can;
+
+/**
+ * @copyright Tech4biz Solutions Private
+ */
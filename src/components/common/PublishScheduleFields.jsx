@@ -0,0 +1,112 @@
+// ===============================
+// File: PublishScheduleFields.jsx
+// Description: Publish/unpublish date pickers with a timezone selector, shared by blog and page scheduling.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { DatePicker, Select } from 'antd';
+import dayjs from 'dayjs';
+import {
+  DEFAULT_TIMEZONE,
+  getTimezoneOptions,
+  toZonedPickerValue,
+  fromZonedPickerValue,
+} from '../../utils/publishSchedule';
+
+/**
+ * Schedule inputs. Values are stored as UTC ISO strings; the pickers show wall-clock time in `timezone`.
+ * @param {Object} props
+ * @param {string|null} props.publishAt - UTC ISO publish time
+ * @param {string|null} props.unpublishAt - UTC ISO unpublish time
+ * @param {string} props.timezone - IANA timezone the times are entered in
+ * @param {function(Object): void} props.onChange - Called with a partial `{ publishAt, unpublishAt, timezone }` patch
+ * @param {boolean} [props.showPublishAt=true] - Hide the publish picker when publishing immediately
+ * @param {boolean} [props.requirePublishAt=false] - Mark the publish picker as required
+ * @returns {JSX.Element}
+ */
+const PublishScheduleFields = ({
+  publishAt,
+  unpublishAt,
+  timezone,
+  onChange,
+  showPublishAt = true,
+  requirePublishAt = false,
+}) => {
+  const timezoneOptions = useMemo(() => getTimezoneOptions(), []);
+  const zone = timezone || DEFAULT_TIMEZONE;
+
+  // Re-express both times in the new zone so the wall-clock values stay put
+  const handleTimezoneChange = (nextZone) => {
+    onChange({
+      timezone: nextZone,
+      publishAt: fromZonedPickerValue(toZonedPickerValue(publishAt, zone), nextZone),
+      unpublishAt: fromZonedPickerValue(toZonedPickerValue(unpublishAt, zone), nextZone),
+    });
+  };
+
+  const disabledDate = (date) => date && date.isBefore(dayjs(), 'day');
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+      {showPublishAt && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Publish at {requirePublishAt ? '*' : '(optional)'}
+          </label>
+          <DatePicker
+            showTime={{ format: 'HH:mm' }}
+            format="YYYY-MM-DD HH:mm"
+            className="w-full"
+            value={toZonedPickerValue(publishAt, zone)}
+            onChange={(value) => onChange({ publishAt: fromZonedPickerValue(value, zone) })}
+            disabledDate={disabledDate}
+            aria-label="Publish at"
+          />
+        </div>
+      )}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Unpublish at (optional)</label>
+        <DatePicker
+          showTime={{ format: 'HH:mm' }}
+          format="YYYY-MM-DD HH:mm"
+          className="w-full"
+          value={toZonedPickerValue(unpublishAt, zone)}
+          onChange={(value) => onChange({ unpublishAt: fromZonedPickerValue(value, zone) })}
+          disabledDate={disabledDate}
+          aria-label="Unpublish at"
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Timezone</label>
+        <Select
+          showSearch
+          className="w-full"
+          value={zone}
+          onChange={handleTimezoneChange}
+          options={timezoneOptions}
+          optionFilterProp="label"
+          aria-label="Timezone"
+        />
+      </div>
+    </div>
+  );
+};
+
+PublishScheduleFields.propTypes = {
+  publishAt: PropTypes.string,
+  unpublishAt: PropTypes.string,
+  timezone: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  showPublishAt: PropTypes.bool,
+  requirePublishAt: PropTypes.bool,
+};
+
+export default PublishScheduleFields;
+// ===============================
+// End of File: PublishScheduleFields.jsx
+// Description: Shared publish schedule inputs
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,147 @@
+// ===============================
+// File: SaveStatusIndicator.jsx
+// Description: Compact autosave status (saving / saved / draft saved / offline / failed) and the banner offering to restore a local draft.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Alert, Tooltip } from 'antd';
+import { format, formatDistanceToNow } from 'date-fns';
+import { FaCheckCircle, FaSpinner, FaWifi, FaExclamationTriangle } from 'react-icons/fa';
+import { SAVE_STATUS } from '../../hooks/useAutoSave';
+
+/**
+ * Autosave status pill
+ * @param {Object} props
+ * @param {string} props.status - One of SAVE_STATUS
+ * @param {Date|null} [props.lastSaved]
+ * @param {Error|null} [props.error]
+ * @param {Date|null} [props.retryAt] - When the next automatic retry runs
+ * @param {boolean} [props.localOnly=false] - Autosave writes drafts to this device only (the form has its own Save button)
+ * @param {function} [props.onRetry] - Retry immediately
+ * @returns {JSX.Element|null}
+ */
+const SaveStatusIndicator = ({ status, lastSaved = null, error = null, retryAt = null, localOnly = false, onRetry }) => {
+  if (status === SAVE_STATUS.IDLE) return null;
+
+  const savedTime = lastSaved ? format(lastSaved, 'h:mm a') : '';
+  const retryText = retryAt ? ` Retrying ${formatDistanceToNow(retryAt, { addSuffix: true })}.` : '';
+
+  const states = {
+    [SAVE_STATUS.SAVING]: {
+      icon: <FaSpinner className="animate-spin" />,
+      text: localOnly ? 'Saving draft...' : 'Saving...',
+      className: 'text-gray-600 bg-gray-100',
+    },
+    [SAVE_STATUS.SAVED]: {
+      icon: <FaCheckCircle />,
+      text: `Saved ${savedTime}`,
+      className: 'text-green-700 bg-green-50',
+    },
+    [SAVE_STATUS.DRAFT_SAVED]: {
+      icon: <FaCheckCircle />,
+      text: `Draft saved on this device ${savedTime}`,
+      tooltip: 'Not saved to the server yet. Use Save to keep your changes.',
+      className: 'text-gray-700 bg-gray-100',
+    },
+    [SAVE_STATUS.OFFLINE]: {
+      icon: <FaWifi />,
+      text: 'Offline · changes kept on this device',
+      tooltip: `Your changes will be saved when the connection is back.${retryText}`,
+      className: 'text-yellow-800 bg-yellow-50',
+    },
+    [SAVE_STATUS.FAILED]: {
+      icon: <FaExclamationTriangle />,
+      text: 'Save failed',
+      tooltip: `${error?.response?.data?.message || error?.message || 'The server did not accept the changes.'}${retryText}`,
+      className: 'text-red-700 bg-red-50',
+    },
+  };
+  const state = states[status];
+  if (!state) return null;
+
+  const canRetry = onRetry && (status === SAVE_STATUS.OFFLINE || status === SAVE_STATUS.FAILED);
+
+  return (
+    <Tooltip title={state.tooltip}>
+      <span
+        className={`inline-flex items-center gap-1.5 text-sm px-2 py-1 rounded ${state.className}`}
+        role="status"
+        aria-live="polite"
+      >
+        {state.icon}
+        {state.text}
+        {canRetry && (
+          <button type="button" onClick={onRetry} className="ml-1 underline font-medium">
+            Retry
+          </button>
+        )}
+      </span>
+    </Tooltip>
+  );
+};
+
+SaveStatusIndicator.propTypes = {
+  status: PropTypes.oneOf(Object.values(SAVE_STATUS)).isRequired,
+  lastSaved: PropTypes.instanceOf(Date),
+  error: PropTypes.object,
+  retryAt: PropTypes.instanceOf(Date),
+  localOnly: PropTypes.bool,
+  onRetry: PropTypes.func,
+};
+
+/**
+ * Banner offering to bring back unsaved work found on this device
+ * @param {Object} props
+ * @param {{ savedAt: string }|null} props.draft - Draft from useAutoSave
+ * @param {function} props.onRestore
+ * @param {function} props.onDiscard
+ * @param {string} [props.className]
+ * @returns {JSX.Element|null}
+ */
+export const DraftRecoveryBanner = ({ draft, onRestore, onDiscard, className = '' }) => {
+  if (!draft) return null;
+  return (
+    <Alert
+      type="info"
+      showIcon
+      className={className}
+      message="Unsaved changes found"
+      description={`This device has changes from ${format(new Date(draft.savedAt), 'MMM d, h:mm a')} that were never saved. Restore them?`}
+      action={(
+        <div className="flex flex-col gap-2">
+          <button
+            type="button"
+            onClick={onRestore}
+            className="px-3 py-1 rounded text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Restore
+          </button>
+          <button
+            type="button"
+            onClick={onDiscard}
+            className="px-3 py-1 rounded text-sm font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50"
+          >
+            Discard
+          </button>
+        </div>
+      )}
+    />
+  );
+};
+
+DraftRecoveryBanner.propTypes = {
+  draft: PropTypes.shape({ savedAt: PropTypes.string }),
+  onRestore: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+  className: PropTypes.string,
+};
+
+export default SaveStatusIndicator;
+// ===============================
+// End of File: SaveStatusIndicator.jsx
+// Description: Autosave status indicator and draft recovery banner
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
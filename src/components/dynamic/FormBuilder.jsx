@@ -9,6 +9,8 @@ import { v4 as uuidv4 } from 'uuid';
 import FormPreview from './FormPreview';
 import FieldEditor from './formBuilder/FieldEditor';
 import { generateFormName } from '../../utils/formUtils';
+import { isPageBreak, renameConditionField, validateFormLogic } from '../../utils/formLogic';
+import { validateFieldRules } from '../../utils/formValidation';
 import { formApi } from '../../services/api';
 
 // Supported field types for the form builder
@@ -22,6 +24,7 @@ const FIELD_TYPES = [
   { value: 'select', label: 'Dropdown (Select)' },
   { value: 'multiselect', label: 'Multi-select' },
   { value: 'file', label: 'File Upload' },
+  { value: 'page', label: 'Page Break' },
 ];
 
 // Supported form types
@@ -61,9 +64,16 @@ const FormBuilder = () => {
     setFields([...fields, { ...defaultField(), order: fields.length }]);
   };
 
-  // Update a field's properties
+  // Update a field's properties; rules that use a renamed field follow it
   const updateField = (id, updated) => {
-    setFields(fields.map(f => (f.id === id ? { ...f, ...updated } : f)));
+    const previous = fields.find(f => f.id === id);
+    const next = fields.map(f => (f.id === id ? { ...f, ...updated } : f));
+    setFields(previous && 'name' in updated ? renameConditionField(next, previous.name, updated.name) : next);
+  };
+
+  // Add a page break; the fields after it become the next step
+  const addPageBreak = () => {
+    setFields([...fields, { ...defaultField(), type: 'page', order: fields.length }]);
   };
 
   // Remove a field from the form
@@ -84,6 +94,11 @@ const FormBuilder = () => {
 
   // Save the form to the backend
   const handleSave = async () => {
+    const problems = [...validateFormLogic(fields), ...validateFieldRules(fields)];
+    if (problems.length) {
+      alert('Please fix the following before saving:\n' + problems.join('\n'));
+      return;
+    }
     const formName = generateFormName(formTitle);
     const payload = {
       name: formName,
@@ -135,14 +150,20 @@ const FormBuilder = () => {
           onChange={e => setFormDescription(e.target.value)}
         />
       </div>
-      <div className="mb-4">
-        {/* Add field button */}
+      <div className="mb-4 flex gap-2">
+        {/* Add field and page break buttons */}
         <button
           className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
           onClick={addField}
         >
           + Add Field
         </button>
+        <button
+          className="border border-blue-600 text-blue-600 px-4 py-2 rounded hover:bg-blue-50"
+          onClick={addPageBreak}
+        >
+          + Add Page Break
+        </button>
       </div>
       <div className="space-y-4">
         {/* List of field editors */}
@@ -151,6 +172,7 @@ const FormBuilder = () => {
             key={field.id}
             field={field}
             fieldTypes={FIELD_TYPES}
+            sourceFields={fields.slice(0, idx).filter(f => !isPageBreak(f) && f.name)}
             onChange={updated => updateField(field.id, updated)}
             onRemove={() => removeField(field.id)}
             onMoveUp={() => moveField(field.id, 'up')}
@@ -1,77 +1,119 @@
 // ===============================
 // File: FormPreview.jsx
-// Description: Preview component for displaying a read-only version of a dynamic form.
+// Description: Preview component for trying out a dynamic form, its conditional logic and its steps before saving.
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // ===============================
-import React from 'react';
+import React, { useState } from 'react';
+import FormStepFields from './FormStepFields';
+import FormProgress from './FormProgress';
+import useFormSteps from '../../hooks/useFormSteps';
+import { collectAnswers, getDefaultValues } from '../../utils/formLogic';
+import { validateAnswer, validateAnswers } from '../../utils/formValidation';
 
-// Render a single field in preview mode
-const renderField = (field) => {
-  switch (field.type) {
-    case 'text':
-      return <input className="border p-2 w-full rounded" type="text" placeholder={field.placeholder} disabled />;
-    case 'textarea':
-      return <textarea className="border p-2 w-full rounded" placeholder={field.placeholder} disabled />;
-    case 'number':
-      return <input className="border p-2 w-full rounded" type="number" placeholder={field.placeholder} disabled />;
-    case 'date':
-      return <input className="border p-2 w-full rounded" type="date" disabled />;
-    case 'checkbox':
-      return <input className="mr-2" type="checkbox" disabled />;
-    case 'radio':
-      return (
-        <div className="flex gap-4">
-          {(field.options || []).map(opt => (
-            <label key={opt.value} className="flex items-center gap-1">
-              <input type="radio" name={field.name} disabled /> {opt.label}
-            </label>
-          ))}
-        </div>
-      );
-    case 'select':
-      return (
-        <select className="border p-2 w-full rounded" disabled>
-          <option value="">Select...</option>
-          {(field.options || []).map(opt => (
-            <option key={opt.value} value={opt.value}>{opt.label}</option>
-          ))}
-        </select>
-      );
-    case 'multiselect':
-      return (
-        <select className="border p-2 w-full rounded" multiple disabled>
-          {(field.options || []).map(opt => (
-            <option key={opt.value} value={opt.value}>{opt.label}</option>
-          ))}
-        </select>
-      );
-    case 'file':
-      return <input className="border p-2 w-full rounded" type="file" disabled />;
-    default:
-      return null;
-  }
+// Show a preview answer the way it would be submitted
+const formatAnswer = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value && typeof value === 'object' && typeof value.length === 'number') return Array.from(value, file => file.name).join(', ');
+  return String(value);
 };
 
 /**
- * FormPreview displays a read-only preview of a form, showing all fields as they would appear to the user.
+ * FormPreview lets a builder fill in the form as a respondent would: rules show, hide and require questions as answers
+ * change, page breaks become steps and validation rules flag answers inline. Nothing is sent; finishing shows the
+ * answers that would be submitted.
  */
-const FormPreview = ({ title, description, fields }) => (
-  <div className="bg-gray-50 p-6 rounded shadow">
-    {title && <h3 className="text-xl font-semibold mb-2">{title}</h3>}
-    {description && <p className="mb-4 text-gray-600">{description}</p>}
-    <form className="space-y-4">
-      {fields.map((field, idx) => (
-        <div key={field.name || idx} className="">
-          <label className="block font-medium mb-1">
-            {field.label} {field.required && <span className="text-red-500">*</span>}
-          </label>
-          {renderField(field)}
+const FormPreview = ({ title, description, fields }) => {
+  const [values, setValues] = useState(() => getDefaultValues(fields));
+  const [errors, setErrors] = useState({});
+  const [result, setResult] = useState(null);
+  const steps = useFormSteps(fields, values);
+
+  const handleChange = (name, value) => {
+    setValues(v => ({ ...v, [name]: value }));
+    setErrors(errs => ({ ...errs, [name]: undefined }));
+  };
+
+  const handleBlur = (name) => {
+    const field = fields.find(f => f.name === name);
+    const problem = field && validateAnswer(field, values[name]);
+    if (problem) setErrors(errs => ({ ...errs, [name]: problem }));
+  };
+
+  // Start over with the current defaults
+  const handleReset = () => {
+    setValues(getDefaultValues(fields));
+    setErrors({});
+    setResult(null);
+    steps.reset();
+  };
+
+  const handleBack = () => {
+    setErrors({});
+    steps.goBack();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problems = steps.isLast ? validateAnswers(fields, values, steps.states) : steps.goNext();
+    setErrors(problems);
+    // The final check covers every step; show the one holding the first problem
+    const first = fields.find(f => problems[f.name]);
+    if (first) steps.goToField(first.name);
+    if (Object.keys(problems).length || !steps.isLast) return;
+    setResult(collectAnswers(fields, values, steps.states));
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded shadow">
+      <div className="flex justify-between items-start gap-4 mb-2">
+        {title ? <h3 className="text-xl font-semibold">{title}</h3> : <span />}
+        <button className="text-sm text-blue-600 hover:underline" type="button" onClick={handleReset}>Restart Preview</button>
+      </div>
+      {description && <p className="mb-4 text-gray-600">{description}</p>}
+      {result ? (
+        <div className="bg-white rounded p-4 border">
+          <p className="font-medium mb-2">This is what would be submitted (preview only, nothing was sent):</p>
+          {Object.keys(result).length === 0 ? (
+            <p className="text-gray-500">No answers.</p>
+          ) : (
+            <dl className="text-sm grid grid-cols-3 gap-x-4 gap-y-1">
+              {Object.entries(result).map(([name, value]) => (
+                <React.Fragment key={name}>
+                  <dt className="text-gray-500">{name}</dt>
+                  <dd className="col-span-2 break-words">{formatAnswer(value)}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          )}
         </div>
-      ))}
-    </form>
-  </div>
-);
+      ) : (
+        <form className="space-y-4" onSubmit={handleSubmit} noValidate>
+          <FormProgress position={steps.position} count={steps.count} title={steps.step?.title} />
+          {steps.count === 0 && <p className="text-gray-500">No questions are shown for these answers.</p>}
+          <FormStepFields
+            fields={steps.visibleFields}
+            states={steps.states}
+            values={values}
+            errors={errors}
+            onChange={handleChange}
+            onBlur={handleBlur}
+          />
+          <div className="flex gap-3">
+            {!steps.isFirst && (
+              <button className="border border-gray-300 px-4 py-2 rounded hover:bg-gray-100" type="button" onClick={handleBack}>
+                Back
+              </button>
+            )}
+            <button className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700" type="submit">
+              {steps.isLast ? 'Submit (Preview)' : 'Next'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
 
 export default FormPreview;
 // ===============================
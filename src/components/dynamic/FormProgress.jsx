@@ -0,0 +1,49 @@
+// ===============================
+// File: FormProgress.jsx
+// Description: Progress bar for multi-step dynamic forms.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * FormProgress shows which step of a multi-step form the respondent is on. Single-step forms show nothing.
+ */
+const FormProgress = ({ position, count, title }) => {
+  if (count < 2) return null;
+  const percent = Math.round(((position + 1) / count) * 100);
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between text-sm text-gray-600 mb-1">
+        <span className="font-medium">{title || `Step ${position + 1}`}</span>
+        <span>Step {position + 1} of {count}</span>
+      </div>
+      <div
+        className="h-2 w-full bg-gray-200 rounded-full overflow-hidden"
+        role="progressbar"
+        aria-label="Form progress"
+        aria-valuemin={1}
+        aria-valuemax={count}
+        aria-valuenow={position + 1}
+        aria-valuetext={`Step ${position + 1} of ${count}`}
+      >
+        <div className="h-full bg-blue-600 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+FormProgress.propTypes = {
+  position: PropTypes.number.isRequired,
+  count: PropTypes.number.isRequired,
+  title: PropTypes.string,
+};
+
+export default FormProgress;
+// ===============================
+// End of File: FormProgress.jsx
+// Description: Multi-step form progress bar
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -4,162 +4,190 @@
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // ===============================
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { formApi } from '../../services/api';
 import { useNavigate } from 'react-router-dom';
+import FormStepFields, { fieldInputId } from './FormStepFields';
+import FormProgress from './FormProgress';
+import useFormSteps from '../../hooks/useFormSteps';
+import { collectAnswers, getDefaultValues, isAnswered, isPageBreak } from '../../utils/formLogic';
+import { validateAnswer, validateAnswers } from '../../utils/formValidation';
 
-// Render a single field for the form
-const renderField = (field, value, onChange) => {
-  switch (field.type) {
-    case 'text':
-      return <input className="border border-gray-300 p-2 w-full rounded focus:ring-2 focus:ring-blue-400" type="text" name={field.name} placeholder={field.placeholder} value={value || ''} onChange={onChange} autoComplete="off" />;
-    case 'textarea':
-      return <textarea className="border border-gray-300 p-2 w-full rounded focus:ring-2 focus:ring-blue-400" name={field.name} placeholder={field.placeholder} value={value || ''} onChange={onChange} rows={3} />;
-    case 'number':
-      return <input className="border border-gray-300 p-2 w-full rounded focus:ring-2 focus:ring-blue-400" type="number" name={field.name} placeholder={field.placeholder} value={value || ''} onChange={onChange} />;
-    case 'date':
-      return <input className="border border-gray-300 p-2 w-full rounded focus:ring-2 focus:ring-blue-400" type="date" name={field.name} value={value || ''} onChange={onChange} />;
-    case 'checkbox':
-      return <input className="accent-blue-600 w-5 h-5" type="checkbox" name={field.name} checked={!!value} onChange={e => onChange({ target: { name: field.name, value: e.target.checked } })} />;
-    case 'radio':
-      return (
-        <div className="flex gap-4">
-          {(field.options || []).map(opt => (
-            <label key={opt.value} className="flex items-center gap-2 cursor-pointer">
-              <input type="radio" name={field.name} value={opt.value} checked={value === opt.value} onChange={onChange} className="accent-blue-600" />
-              <span>{opt.label}</span>
-            </label>
-          ))}
-        </div>
-      );
-    case 'select':
-      return (
-        <select className="border border-gray-300 p-2 w-full rounded focus:ring-2 focus:ring-blue-400" name={field.name} value={value || ''} onChange={onChange}>
-          <option value="">Select...</option>
-          {(field.options || []).map(opt => (
-            <option key={opt.value} value={opt.value}>{opt.label}</option>
-          ))}
-        </select>
-      );
-    case 'multiselect':
-      return (
-        <select className="border border-gray-300 p-2 w-full rounded focus:ring-2 focus:ring-blue-400" name={field.name} multiple value={value || []} onChange={e => {
-          const selected = Array.from(e.target.selectedOptions, o => o.value);
-          onChange({ target: { name: field.name, value: selected } });
-        }}>
-          {(field.options || []).map(opt => (
-            <option key={opt.value} value={opt.value}>{opt.label}</option>
-          ))}
-        </select>
-      );
-    case 'file':
-      return (
-        <label className="block w-full">
-          <input className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100" type="file" name={field.name} onChange={onChange} />
-        </label>
-      );
-    default:
-      return null;
-  }
+// Message shown above the buttons while fields have problems
+const summarizeErrors = (errors) => {
+  const count = Object.keys(errors).length;
+  return count === 1 ? 'Please correct the highlighted field.' : `Please correct the ${count} highlighted fields.`;
 };
 
 /**
  * FormRenderer fetches a form definition by ID, renders the form, handles user input, validation, submission, and deletion.
+ * Questions are shown, hidden and required according to the form's logic, one step at a time when it has page breaks.
+ * Each step is checked against the fields' validation rules before moving on, with messages next to the fields.
+ * Views and answered questions are reported for the form's analytics only with `trackViews`, which pages filled in by
+ * real respondents set; staff opening a form in the dashboard would otherwise count as views.
  */
-const FormRenderer = ({ formId }) => {
+const FormRenderer = ({ formId, trackViews = false }) => {
   const [form, setForm] = useState(null);
   const [values, setValues] = useState({});
   const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [success, setSuccess] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [deleting, setDeleting] = useState(false);
+  const [viewId, setViewId] = useState(null);
+  const [focusField, setFocusField] = useState(null);
+  const reportedAnswers = useRef('');
   const navigate = useNavigate();
+  const steps = useFormSteps(form?.fields, values);
+
+  // Count a view of the form; analytics are best effort and never block answering
+  const startView = () => {
+    reportedAnswers.current = '';
+    if (!trackViews) return;
+    formApi.recordView(formId)
+      .then(res => setViewId(res.data.data._id))
+      .catch(() => setViewId(null));
+  };
 
   // Fetch form definition on mount or when formId changes
   useEffect(() => {
     const fetchForm = async () => {
       setLoading(true);
-      setError('');
+      setLoadError('');
       try {
         const res = await formApi.getFormById(formId);
         if (res.data.success) {
           setForm(res.data.data);
           // Set default values for fields
-          const defaults = {};
-          (res.data.data.fields || []).forEach(f => {
-            defaults[f.name] = f.defaultValue || (f.type === 'checkbox' ? false : f.type === 'multiselect' ? [] : '');
-          });
-          setValues(defaults);
+          setValues(getDefaultValues(res.data.data.fields || []));
+          steps.reset();
+          startView();
         } else {
-          setError(res.data.message || 'Form not found');
+          setLoadError(res.data.message || 'Form not found');
         }
       } catch (err) {
-        setError('Error fetching form');
+        setLoadError('Error fetching form');
       }
       setLoading(false);
     };
     if (formId) fetchForm();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [formId]);
 
-  // Handle input changes for form fields
-  const handleChange = (e) => {
-    const { name, value, type } = e.target;
-    setValues(v => ({
-      ...v,
-      [name]: type === 'checkbox' ? e.target.checked : value,
-    }));
+  // Questions answered so far, reported shortly after the respondent stops typing so analytics can show where people stop
+  const answered = (form?.fields || [])
+    .filter(f => !isPageBreak(f) && f.name && steps.states[f.name]?.visible && isAnswered(values[f.name]))
+    .map(f => f.name)
+    .join(',');
+  useEffect(() => {
+    if (!viewId || answered === reportedAnswers.current) return undefined;
+    const timer = setTimeout(() => {
+      reportedAnswers.current = answered;
+      formApi.updateView(formId, viewId, answered ? answered.split(',') : []).catch(() => {});
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [formId, viewId, answered]);
+
+  // Handle input changes for form fields; a field's message goes away once it is edited
+  const handleChange = (name, value) => {
+    setValues(v => ({ ...v, [name]: value }));
+    setFieldErrors(errs => {
+      if (!errs[name]) return errs;
+      const { [name]: _, ...rest } = errs;
+      return rest;
+    });
+  };
+
+  // Check an answer against its rules when the respondent leaves the field
+  const handleBlur = (name) => {
+    const field = (form.fields || []).find(f => f.name === name);
+    const problem = field && validateAnswer(field, values[name]);
+    if (problem) setFieldErrors(errs => ({ ...errs, [name]: problem }));
+  };
+
+  // Focus a field once its step is on screen
+  useEffect(() => {
+    if (!focusField) return;
+    document.getElementById(fieldInputId({ name: focusField }))?.focus();
+    setFocusField(null);
+  }, [focusField, steps.position]);
+
+  // Show field messages, then go to the step of the first field with a problem (the final check and the server
+  // cover every step) and move focus to it
+  const showFieldErrors = (errors) => {
+    setFieldErrors(errors);
+    setError(summarizeErrors(errors));
+    const first = (form.fields || []).find(f => errors[f.name] && steps.states[f.name]?.visible);
+    if (!first) return;
+    steps.goToField(first.name);
+    setFocusField(first.name);
+  };
+
+  // Go back one step, keeping the answers given so far
+  const handleBack = () => {
+    setError('');
+    setFieldErrors({});
+    steps.goBack();
   };
 
-  // Handle form submission
+  // Handle form submission; on earlier steps this validates the step and moves on
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setSuccess('');
-    // Validate required fields
-    for (const field of (form.fields || [])) {
-      if (field.required) {
-        const val = values[field.name];
-        if (
-          val === undefined ||
-          val === '' ||
-          (Array.isArray(val) && val.length === 0) ||
-          (field.type === 'file' && !val)
-        ) {
-          setError(`Field '${field.label}' is required.`);
-          return;
-        }
-      }
+    if (!steps.isLast) {
+      const errors = steps.goNext();
+      if (Object.keys(errors).length) showFieldErrors(errors);
+      else setFieldErrors({});
+      return;
+    }
+    // Validate the shown fields: required answers and each field's rules
+    const errors = validateAnswers(form.fields || [], values, steps.states);
+    if (Object.keys(errors).length) {
+      showFieldErrors(errors);
+      return;
     }
+    setFieldErrors({});
     setSubmitting(true);
     try {
-      let submitData = { ...values };
-      // Handle file fields
+      // Answers to questions the logic hid are not sent
+      let submitData = collectAnswers(form.fields || [], values, steps.states);
+      // Handle file fields; multipart bodies get one entry per multi-select choice
       const hasFile = (form.fields || []).some(f => f.type === 'file');
-      let body, headers;
+      let body = submitData;
       if (hasFile) {
         body = new FormData();
         for (const key in submitData) {
-          if (submitData[key] instanceof FileList) {
-            body.append(key, submitData[key][0]);
+          const value = submitData[key];
+          if (value instanceof FileList) {
+            if (value.length) body.append(key, value[0]);
+          } else if (Array.isArray(value)) {
+            value.forEach(entry => body.append(key, entry));
           } else {
-            body.append(key, submitData[key]);
+            body.append(key, value);
           }
         }
-        headers = undefined; // Let browser set multipart
-      } else {
-        body = JSON.stringify(submitData);
-        headers = { 'Content-Type': 'application/json' };
       }
-      const res = await formApi.submitForm(formId, body, headers);
+      const res = await formApi.submitForm(formId, body, viewId);
       if (res.data.success) {
         setSuccess('Form submitted successfully!');
-        setValues({});
+        setValues(getDefaultValues(form.fields || []));
+        steps.reset();
+        // The next response on this page is a new view
+        startView();
       } else {
         setError(res.data.message || 'Submission failed');
       }
     } catch (err) {
-      setError('Submission error');
+      // The server checks the same rules and names the fields it rejected
+      const serverErrors = err.response?.data?.data?.errors;
+      if (serverErrors && Object.keys(serverErrors).length) {
+        showFieldErrors(serverErrors);
+      } else {
+        setError(err.response?.data?.message || 'Submission error');
+      }
     }
     setSubmitting(false);
   };
@@ -178,7 +206,7 @@ const FormRenderer = ({ formId }) => {
   };
 
   if (loading) return <div className="flex justify-center items-center h-40"><svg className="animate-spin h-8 w-8 text-blue-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z"></path></svg></div>;
-  if (error) return <div className="text-red-500 flex items-center gap-2"><svg className="w-5 h-5 text-red-400" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" d="M12 9v2m0 4h.01M21 12A9 9 0 113 12a9 9 0 0118 0z" /></svg>{error}</div>;
+  if (loadError) return <div className="text-red-500 flex items-center gap-2"><svg className="w-5 h-5 text-red-400" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" d="M12 9v2m0 4h.01M21 12A9 9 0 113 12a9 9 0 0118 0z" /></svg>{loadError}</div>;
   if (!form) return null;
 
   return (
@@ -194,30 +222,36 @@ const FormRenderer = ({ formId }) => {
         </button>
       </div>
       {form.description && <p className="mb-4 text-gray-600">{form.description}</p>}
-      <form className="space-y-6 bg-white rounded-lg shadow p-6" onSubmit={handleSubmit}>
-        {form.fields.map((field, idx) => (
-          <div key={field.name || idx} className="mb-2">
-            <label className="block font-medium mb-1">
-              {field.label} {field.required && <span className="text-red-500">*</span>}
-            </label>
-            {renderField(field, values[field.name], (e) => {
-              if (field.type === 'file') {
-                setValues(v => ({ ...v, [field.name]: e.target.files }));
-              } else {
-                handleChange(e);
-              }
-            })}
-          </div>
-        ))}
-        {error && <div className="text-red-500 flex items-center gap-2"><svg className="w-5 h-5 text-red-400" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" d="M12 9v2m0 4h.01M21 12A9 9 0 113 12a9 9 0 0118 0z" /></svg>{error}</div>}
+      <form className="space-y-6 bg-white rounded-lg shadow p-6" onSubmit={handleSubmit} noValidate>
+        <FormProgress position={steps.position} count={steps.count} title={steps.step?.title} />
+        <FormStepFields
+          fields={steps.visibleFields}
+          states={steps.states}
+          values={values}
+          errors={fieldErrors}
+          onChange={handleChange}
+          onBlur={handleBlur}
+        />
+        {error && <div className="text-red-500 flex items-center gap-2" role="alert"><svg className="w-5 h-5 text-red-400" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" d="M12 9v2m0 4h.01M21 12A9 9 0 113 12a9 9 0 0118 0z" /></svg>{error}</div>}
         {success && <div className="text-green-600 flex items-center gap-2"><svg className="w-5 h-5 text-green-400" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" /></svg>{success}</div>}
-        <button
-          className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50"
-          type="submit"
-          disabled={submitting}
-        >
-          {submitting ? 'Submitting...' : 'Submit'}
-        </button>
+        <div className="flex gap-3">
+          {!steps.isFirst && (
+            <button
+              className="border border-gray-300 px-6 py-2 rounded hover:bg-gray-50 transition"
+              type="button"
+              onClick={handleBack}
+            >
+              Back
+            </button>
+          )}
+          <button
+            className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 transition disabled:opacity-50"
+            type="submit"
+            disabled={submitting}
+          >
+            {submitting ? 'Submitting...' : steps.isLast ? 'Submit' : 'Next'}
+          </button>
+        </div>
       </form>
     </div>
   );
@@ -0,0 +1,124 @@
+// ===============================
+// File: FormStepFields.jsx
+// Description: Renders the shown questions of one step of a dynamic form, with inline validation messages.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getInputConstraints } from '../../utils/formValidation';
+
+const inputClass = (invalid) => `border p-2 w-full rounded focus:ring-2 ${invalid ? 'border-red-500 focus:ring-red-300' : 'border-gray-300 focus:ring-blue-400'}`;
+
+// Id of a field's input, so its label and error message can point at it
+export const fieldInputId = (field) => `form-field-${field.name}`;
+
+// Render a single field for the form; inputProps carries the id and ARIA attributes
+const renderField = (field, value, onChange, inputProps) => {
+  const invalid = inputProps['aria-invalid'];
+  const constraints = getInputConstraints(field);
+  switch (field.type) {
+    case 'text':
+    case 'email':
+      return <input {...inputProps} className={inputClass(invalid)} type={field.type} name={field.name} placeholder={field.placeholder} value={value || ''} onChange={onChange} autoComplete="off" />;
+    case 'textarea':
+      return <textarea {...inputProps} className={inputClass(invalid)} name={field.name} placeholder={field.placeholder} value={value || ''} onChange={onChange} rows={3} />;
+    case 'number':
+      return <input {...inputProps} {...constraints} className={inputClass(invalid)} type="number" name={field.name} placeholder={field.placeholder} value={value || ''} onChange={onChange} />;
+    case 'date':
+      return <input {...inputProps} {...constraints} className={inputClass(invalid)} type="date" name={field.name} value={value || ''} onChange={onChange} />;
+    case 'checkbox':
+      return <input {...inputProps} className="accent-blue-600 w-5 h-5" type="checkbox" name={field.name} checked={!!value} onChange={e => onChange({ target: { name: field.name, value: e.target.checked } })} />;
+    case 'radio':
+      return (
+        <div
+          className="flex gap-4"
+          role="radiogroup"
+          aria-labelledby={`${inputProps.id}-label`}
+          aria-required={inputProps['aria-required']}
+          aria-invalid={invalid}
+          aria-describedby={inputProps['aria-describedby']}
+        >
+          {(field.options || []).map((opt, idx) => (
+            <label key={opt.value} className="flex items-center gap-2 cursor-pointer">
+              <input id={idx === 0 ? inputProps.id : undefined} type="radio" name={field.name} value={opt.value} checked={value === opt.value} onChange={onChange} className="accent-blue-600" />
+              <span>{opt.label}</span>
+            </label>
+          ))}
+        </div>
+      );
+    case 'select':
+      return (
+        <select {...inputProps} className={inputClass(invalid)} name={field.name} value={value || ''} onChange={onChange}>
+          <option value="">Select...</option>
+          {(field.options || []).map(opt => (
+            <option key={opt.value} value={opt.value}>{opt.label}</option>
+          ))}
+        </select>
+      );
+    case 'multiselect':
+      return (
+        <select {...inputProps} className={inputClass(invalid)} name={field.name} multiple value={value || []} onChange={e => {
+          const selected = Array.from(e.target.selectedOptions, o => o.value);
+          onChange({ target: { name: field.name, value: selected } });
+        }}>
+          {(field.options || []).map(opt => (
+            <option key={opt.value} value={opt.value}>{opt.label}</option>
+          ))}
+        </select>
+      );
+    case 'file':
+      return (
+        <input {...inputProps} {...constraints} className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100" type="file" name={field.name} onChange={onChange} />
+      );
+    default:
+      return null;
+  }
+};
+
+/**
+ * FormStepFields renders questions with their labels, required marks and validation messages.
+ * Reports answers as (name, value); file inputs report their FileList. `onBlur(name)` fires when focus leaves a question.
+ */
+const FormStepFields = ({ fields, states, values, errors = {}, onChange, onBlur }) => (
+  <>
+    {fields.map((field, idx) => {
+      const id = fieldInputId(field);
+      const error = errors[field.name];
+      const required = Boolean(states[field.name]?.required);
+      return (
+        <div key={field.name || idx} className="mb-2" onBlur={() => onBlur?.(field.name)}>
+          <label id={`${id}-label`} htmlFor={id} className="block font-medium mb-1">
+            {field.label} {required && <span className="text-red-500" aria-hidden="true">*</span>}
+          </label>
+          {renderField(field, values[field.name], (e) => {
+            onChange(field.name, field.type === 'file' ? e.target.files : e.target.value);
+          }, {
+            id,
+            'aria-required': required || undefined,
+            'aria-invalid': Boolean(error) || undefined,
+            'aria-describedby': error ? `${id}-error` : undefined,
+          })}
+          {error && <p id={`${id}-error`} className="text-sm text-red-600 mt-1">{error}</p>}
+        </div>
+      );
+    })}
+  </>
+);
+
+FormStepFields.propTypes = {
+  fields: PropTypes.arrayOf(PropTypes.object).isRequired,
+  states: PropTypes.object.isRequired,
+  values: PropTypes.object.isRequired,
+  errors: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  onBlur: PropTypes.func,
+};
+
+export default FormStepFields;
+// ===============================
+// End of File: FormStepFields.jsx
+// Description: Dynamic form step fields
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -1,19 +1,22 @@
 // ===============================
 // File: NewsletterSignup.jsx
-// Description: Newsletter signup form component for collecting user emails.
+// Description: Newsletter signup form component for collecting user emails with double opt-in consent.
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // ===============================
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import { FaPaperPlane } from 'react-icons/fa';
+import { newsletterApi } from '../../../services/api';
+import { CONSENT_TEXT, describeSignupSource } from '../../../utils/subscriberPreferences';
 
 /**
  * NewsletterSignup component displays a form for users to subscribe to a newsletter.
- * Handles form submission, feedback, and status messages.
+ * Handles form submission, feedback, and status messages. Subscribers confirm by email before they are added.
  */
 const NewsletterSignup = ({ heading, placeholder, buttonText }) => {
   const [email, setEmail] = useState('');
+  const [consent, setConsent] = useState(false);
   const [status, setStatus] = useState('idle');
   const [message, setMessage] = useState('');
 
@@ -23,27 +26,17 @@ const NewsletterSignup = ({ heading, placeholder, buttonText }) => {
     setStatus('loading');
 
     try {
-      const response = await fetch('/api/subscribers', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email }),
+      const response = await newsletterApi.subscribe(email, {
+        source: describeSignupSource('newsletter-signup-component'),
+        consent
       });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        setStatus('success');
-        setMessage('Thank you for subscribing!');
-        setEmail('');
-      } else {
-        setStatus('error');
-        setMessage(data.message || 'Something went wrong. Please try again.');
-      }
+      setStatus('success');
+      setMessage(response.data?.message || 'Thank you! Check your inbox to confirm your subscription.');
+      setEmail('');
+      setConsent(false);
     } catch (error) {
       setStatus('error');
-      setMessage('Something went wrong. Please try again.');
+      setMessage(error.response?.data?.message || 'Something went wrong. Please try again.');
     }
   };
 
@@ -59,36 +52,48 @@ const NewsletterSignup = ({ heading, placeholder, buttonText }) => {
           </p>
         </div>
         <div className="mt-8 max-w-lg mx-auto">
-          <form onSubmit={handleSubmit} className="sm:flex">
-            <div className="min-w-0 flex-1">
-              <label htmlFor="email" className="sr-only">
-                Email address
-              </label>
+          <form onSubmit={handleSubmit}>
+            <div className="sm:flex">
+              <div className="min-w-0 flex-1">
+                <label htmlFor="email" className="sr-only">
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="block w-full px-4 py-3 rounded-md border border-gray-300 shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  placeholder={placeholder || "Enter your email"}
+                />
+              </div>
+              <div className="mt-3 sm:mt-0 sm:ml-3">
+                <button
+                  type="submit"
+                  disabled={status === 'loading'}
+                  className="block w-full sm:w-auto px-6 py-3 border border-transparent text-base font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {status === 'loading' ? (
+                    'Subscribing...'
+                  ) : (
+                    <>
+                      {buttonText || 'Subscribe'} <FaPaperPlane className="inline-block ml-2 -mr-1 w-4 h-4" />
+                    </>
+                  )}
+                </button>
+              </div>
+            </div>
+            <label className="mt-3 flex items-start gap-2 text-sm text-gray-600">
               <input
-                id="email"
-                type="email"
+                type="checkbox"
+                checked={consent}
+                onChange={(e) => setConsent(e.target.checked)}
+                className="mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
                 required
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                className="block w-full px-4 py-3 rounded-md border border-gray-300 shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                placeholder={placeholder || "Enter your email"}
               />
-            </div>
-            <div className="mt-3 sm:mt-0 sm:ml-3">
-              <button
-                type="submit"
-                disabled={status === 'loading'}
-                className="block w-full sm:w-auto px-6 py-3 border border-transparent text-base font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {status === 'loading' ? (
-                  'Subscribing...'
-                ) : (
-                  <>
-                    {buttonText || 'Subscribe'} <FaPaperPlane className="inline-block ml-2 -mr-1 w-4 h-4" />
-                  </>
-                )}
-              </button>
-            </div>
+              <span>{CONSENT_TEXT}</span>
+            </label>
           </form>
           {/* Status message for user feedback */}
           {message && (
@@ -0,0 +1,133 @@
+// ===============================
+// File: ConditionEditor.jsx
+// Description: Editor for one set of conditional-logic rules of a form field, e.g. "show when Type = Business".
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import { createCondition, getLogicOperators, getLogicType } from '../../../utils/formLogic';
+
+// Input for the value a rule compares against, shaped by the source question
+const renderValueInput = (source, rule, onChange) => {
+  const className = 'border p-1 rounded w-1/3';
+  const type = getLogicType(source);
+  if ((type === 'choice' || type === 'multi') && (source.options || []).length) {
+    return (
+      <select className={className} value={rule.value} onChange={e => onChange(e.target.value)} aria-label="Rule value">
+        {source.options.map(opt => (
+          <option key={opt.value} value={opt.value}>{opt.label || opt.value}</option>
+        ))}
+      </select>
+    );
+  }
+  return (
+    <input
+      className={className}
+      type={type === 'number' || type === 'date' ? type : 'text'}
+      placeholder="Value"
+      value={rule.value}
+      onChange={e => onChange(e.target.value)}
+      aria-label="Rule value"
+    />
+  );
+};
+
+/**
+ * ConditionEditor turns a rule group on or off and edits its rules. Rules can only use questions that come
+ * before the field, passed as `sourceFields`.
+ */
+const ConditionEditor = ({ label, group, sourceFields, onChange }) => {
+  const rules = group?.rules || [];
+
+  // Turn the rule group on with one starter rule, or off
+  const toggle = (e) => {
+    onChange(e.target.checked ? { match: 'all', rules: [createCondition(sourceFields[0])] } : undefined);
+  };
+
+  const updateRule = (idx, updated) => {
+    onChange({ ...group, rules: rules.map((rule, i) => (i === idx ? { ...rule, ...updated } : rule)) });
+  };
+
+  const removeRule = (idx) => {
+    const remaining = rules.filter((_, i) => i !== idx);
+    onChange(remaining.length ? { ...group, rules: remaining } : undefined);
+  };
+
+  return (
+    <div className="bg-gray-50 p-2 rounded">
+      <label className="flex items-center gap-2 font-medium">
+        <input type="checkbox" checked={Boolean(group)} onChange={toggle} disabled={!group && sourceFields.length === 0} />
+        {label}
+      </label>
+      {!group && sourceFields.length === 0 && (
+        <p className="text-xs text-gray-500 mt-1">Add a named question above this one to base rules on its answer.</p>
+      )}
+      {group && (
+        <div className="mt-2 space-y-1">
+          <div className="flex items-center gap-2 text-sm">
+            <span>when</span>
+            <select
+              className="border p-1 rounded"
+              value={group.match || 'all'}
+              onChange={e => onChange({ ...group, match: e.target.value })}
+              aria-label="Rule match"
+            >
+              <option value="all">all</option>
+              <option value="any">any</option>
+            </select>
+            <span>of these rules match</span>
+          </div>
+          {rules.map((rule, idx) => {
+            const source = sourceFields.find(f => f.name === rule.field);
+            const operator = source && getLogicOperators(source).find(op => op.value === rule.operator);
+            return (
+              <div key={idx} className="flex gap-2 items-center">
+                <select
+                  className="border p-1 rounded w-1/3"
+                  value={source ? rule.field : ''}
+                  onChange={e => updateRule(idx, createCondition(sourceFields.find(f => f.name === e.target.value)))}
+                  aria-label="Rule question"
+                >
+                  <option value="" disabled>{rule.field ? `Missing question '${rule.field}'` : 'Choose a question...'}</option>
+                  {sourceFields.map(f => (
+                    <option key={f.name} value={f.name}>{f.label || f.name}</option>
+                  ))}
+                </select>
+                {source && (
+                  <select
+                    className="border p-1 rounded w-1/4"
+                    value={rule.operator}
+                    onChange={e => updateRule(idx, { operator: e.target.value })}
+                    aria-label="Rule operator"
+                  >
+                    {getLogicOperators(source).map(op => (
+                      <option key={op.value} value={op.value}>{op.label}</option>
+                    ))}
+                  </select>
+                )}
+                {source && operator?.needsValue && renderValueInput(source, rule, value => updateRule(idx, { value }))}
+                <button className="text-red-500 ml-auto" onClick={() => removeRule(idx)} type="button">Remove</button>
+              </div>
+            );
+          })}
+          <button
+            className="bg-blue-500 text-white px-2 py-1 rounded mt-1 text-sm disabled:opacity-50"
+            onClick={() => onChange({ ...group, rules: [...rules, createCondition(sourceFields[0])] })}
+            disabled={sourceFields.length === 0}
+            type="button"
+          >
+            + Add Rule
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConditionEditor;
+// ===============================
+// End of File: ConditionEditor.jsx
+// Description: Field condition editor for form builder
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
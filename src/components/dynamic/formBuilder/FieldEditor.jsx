@@ -5,12 +5,17 @@
 // Copyright: Tech4biz Solutions Private
 // ===============================
 import React, { useState } from 'react';
+import ConditionEditor from './ConditionEditor';
+import ValidationEditor from './ValidationEditor';
+import { isPageBreak } from '../../../utils/formLogic';
 
 /**
  * FieldEditor component allows editing of a single form field, including its label, name, type, required status, placeholder, default value, and options.
- * Supports moving, removing, and editing options for select, radio, and multiselect fields.
+ * Supports moving, removing, and editing options for select, radio, and multiselect fields, and rules that show or require
+ * the field based on the answers to earlier questions (`sourceFields`), and validation rules suited to the field type.
+ * Page breaks only take a step title.
  */
-const FieldEditor = ({ field, fieldTypes, onChange, onRemove, onMoveUp, onMoveDown, isFirst, isLast }) => {
+const FieldEditor = ({ field, fieldTypes, sourceFields, onChange, onRemove, onMoveUp, onMoveDown, isFirst, isLast }) => {
   const [local, setLocal] = useState(field);
 
   // Sync local state with parent field prop
@@ -25,6 +30,11 @@ const FieldEditor = ({ field, fieldTypes, onChange, onRemove, onMoveUp, onMoveDo
     });
   };
 
+  // Handle changes to the show/require rule groups
+  const handleLogicChange = (key, group) => {
+    onChange({ ...local, [key]: group });
+  };
+
   // Handle changes to options for select/radio/multiselect fields
   const handleOptionsChange = (idx, key, value) => {
     const newOptions = [...(local.options || [])];
@@ -44,6 +54,39 @@ const FieldEditor = ({ field, fieldTypes, onChange, onRemove, onMoveUp, onMoveDo
     onChange({ ...local, options: newOptions });
   };
 
+  if (isPageBreak(local)) {
+    return (
+      <div className="border-2 border-dashed border-blue-300 p-4 rounded bg-blue-50 flex flex-col gap-2">
+        <div className="flex gap-2 items-center">
+          <span className="text-sm font-semibold text-blue-700 whitespace-nowrap">Page Break</span>
+          {/* Title of the step that starts here */}
+          <input
+            className="border p-2 rounded w-full"
+            name="label"
+            placeholder="Next Step Title (optional)"
+            value={local.label}
+            onChange={handleChange}
+          />
+          <select
+            className="border p-2 rounded w-1/4"
+            name="type"
+            value={local.type}
+            onChange={handleChange}
+          >
+            {fieldTypes.map(ft => (
+              <option key={ft.value} value={ft.value}>{ft.label}</option>
+            ))}
+          </select>
+          <button className="ml-2 text-red-500 hover:underline" onClick={onRemove} type="button">Remove</button>
+        </div>
+        <div className="flex gap-2">
+          <button className="bg-gray-200 px-2 py-1 rounded" onClick={onMoveUp} disabled={isFirst} type="button">↑</button>
+          <button className="bg-gray-200 px-2 py-1 rounded" onClick={onMoveDown} disabled={isLast} type="button">↓</button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="border p-4 rounded bg-white shadow flex flex-col gap-2">
       <div className="flex gap-2 items-center">
@@ -129,6 +172,25 @@ const FieldEditor = ({ field, fieldTypes, onChange, onRemove, onMoveUp, onMoveDo
           <button className="bg-blue-500 text-white px-2 py-1 rounded mt-1" onClick={addOption} type="button">+ Add Option</button>
         </div>
       )}
+      {/* Validation rules for the answer */}
+      <ValidationEditor field={local} onChange={validation => onChange({ ...local, validation })} />
+      {/* Conditional logic based on earlier answers */}
+      <div className="flex flex-col gap-2 mt-2">
+        <ConditionEditor
+          label="Show only when..."
+          group={local.showWhen}
+          sourceFields={sourceFields}
+          onChange={group => handleLogicChange('showWhen', group)}
+        />
+        {!local.required && (
+          <ConditionEditor
+            label="Required only when..."
+            group={local.requireWhen}
+            sourceFields={sourceFields}
+            onChange={group => handleLogicChange('requireWhen', group)}
+          />
+        )}
+      </div>
       {/* Move field up/down buttons */}
       <div className="flex gap-2 mt-2">
         <button className="bg-gray-200 px-2 py-1 rounded" onClick={onMoveUp} disabled={isFirst} type="button">↑</button>
@@ -0,0 +1,91 @@
+// ===============================
+// File: ValidationEditor.jsx
+// Description: Editor for the validation rules of a form field: lengths, ranges, patterns, formats, files and dates.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import { FIELD_FORMATS, VALIDATION_SETTINGS, compilePattern } from '../../../utils/formValidation';
+
+// Settings stored as numbers rather than the text typed into them
+const NUMERIC_SETTINGS = ['minLength', 'maxLength', 'min', 'max', 'maxFileSize'];
+
+/**
+ * ValidationEditor shows the validation settings that apply to the field's type and reports changes as a
+ * `validation` object, or undefined once every setting is cleared.
+ */
+const ValidationEditor = ({ field, onChange }) => {
+  const settings = VALIDATION_SETTINGS[field.type] || [];
+  const rules = field.validation || {};
+  if (!settings.length) return null;
+
+  const offers = (key) => settings.includes(key);
+  const invalidPattern = Boolean(rules.pattern) && !compilePattern(rules.pattern);
+
+  // Update one setting; empty inputs remove it
+  const update = (key, raw) => {
+    const next = { ...rules };
+    if (raw === '' || raw === undefined) delete next[key];
+    else next[key] = NUMERIC_SETTINGS.includes(key) ? Number(raw) : raw;
+    onChange(Object.keys(next).length ? next : undefined);
+  };
+
+  // Labelled input bound to one setting
+  const input = (key, label, props = {}) => (
+    <label className="flex flex-col text-sm gap-1">
+      <span className="text-gray-600">{label}</span>
+      <input
+        className="border p-1 rounded"
+        value={rules[key] ?? ''}
+        onChange={e => update(key, e.target.value)}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="bg-gray-50 p-2 rounded">
+      <div className="font-medium mb-1">Validation</div>
+      <div className="grid grid-cols-2 gap-2">
+        {offers('minLength') && input('minLength', 'Min length', { type: 'number', min: 0 })}
+        {offers('maxLength') && input('maxLength', 'Max length', { type: 'number', min: 0 })}
+        {offers('min') && input('min', 'Minimum', { type: 'number' })}
+        {offers('max') && input('max', 'Maximum', { type: 'number' })}
+        {offers('minDate') && input('minDate', 'Earliest date', { type: 'date' })}
+        {offers('maxDate') && input('maxDate', 'Latest date', { type: 'date' })}
+        {offers('fileTypes') && input('fileTypes', 'Accepted types', { placeholder: '.pdf, .docx, image/*' })}
+        {offers('maxFileSize') && input('maxFileSize', 'Max size (MB)', { type: 'number', min: 0, step: 'any' })}
+        {offers('format') && (
+          <label className="flex flex-col text-sm gap-1">
+            <span className="text-gray-600">Format</span>
+            <select className="border p-1 rounded" value={rules.format || ''} onChange={e => update('format', e.target.value)}>
+              <option value="">Any text</option>
+              {FIELD_FORMATS.map(format => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      {offers('pattern') && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          {input('pattern', 'Pattern (regular expression)', {
+            placeholder: '[A-Z]{2}[0-9]{4}',
+            'aria-invalid': invalidPattern || undefined,
+            className: `border p-1 rounded font-mono ${invalidPattern ? 'border-red-500' : ''}`,
+          })}
+          {input('patternMessage', 'Message when it does not match', { placeholder: 'Does not match the expected format.' })}
+          {invalidPattern && <p className="text-xs text-red-600 col-span-2">This is not a valid regular expression.</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValidationEditor;
+// ===============================
+// End of File: ValidationEditor.jsx
+// Description: Field validation editor for form builder
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
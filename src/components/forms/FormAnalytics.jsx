@@ -0,0 +1,156 @@
+/* ========================================================================
+ * File: FormAnalytics.jsx
+ * Description: Form analytics: views versus submissions, drop-off per question and answer distributions.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Empty, Progress, Spin, Table } from 'antd';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import dayjs from 'dayjs';
+
+const axisProps = { stroke: '#94a3b8', fontSize: 12, tickLine: false, axisLine: false };
+
+/**
+ * One headline number
+ * @param {object} props
+ * @param {string} props.label
+ * @param {number|string} props.value
+ * @param {string} props.detail
+ */
+const Metric = ({ label, value, detail }) => (
+  <div className="p-4 rounded-lg border border-gray-100 bg-white">
+    <p className="text-sm font-medium text-gray-600">{label}</p>
+    <p className="text-2xl font-semibold text-gray-900">{value}</p>
+    <p className="text-xs text-gray-500">{detail}</p>
+  </div>
+);
+
+Metric.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  detail: PropTypes.string.isRequired
+};
+
+const DROP_OFF_COLUMNS = [
+  { title: 'Question', dataIndex: 'label', key: 'label' },
+  { title: 'Answered', dataIndex: 'answered', key: 'answered', align: 'right', width: 110 },
+  { title: 'Stopped here', dataIndex: 'droppedHere', key: 'droppedHere', align: 'right', width: 120 },
+  {
+    title: 'Drop-off',
+    dataIndex: 'dropRate',
+    key: 'dropRate',
+    width: 200,
+    render: (rate) => <Progress percent={rate} size="small" status={rate >= 25 ? 'exception' : 'normal'} />
+  }
+];
+
+/**
+ * FormAnalytics - Summary of one form for the selected period
+ * @param {object} props
+ * @param {object|null} props.analytics - From the form analytics endpoint; null while loading
+ */
+const FormAnalytics = ({ analytics }) => {
+  if (!analytics) {
+    return <div className="p-10 text-center"><Spin /></div>;
+  }
+  if (!analytics.views && !analytics.submissions) {
+    return <Empty className="p-10" description="No views or submissions in this period." />;
+  }
+
+  const daily = analytics.daily.map((day) => ({
+    name: dayjs(day.date).format('MMM D'),
+    Views: day.views,
+    Submissions: day.submissions
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Metric label="Views" value={analytics.views} detail="Times the form was opened" />
+        <Metric label="Started" value={analytics.started} detail="Views with at least one answer" />
+        <Metric label="Submissions" value={analytics.submissions} detail="Completed responses" />
+        <Metric label="Conversion" value={`${analytics.conversion}%`} detail="Submissions per view" />
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Views vs submissions</h4>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={daily} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" vertical={false} />
+              <XAxis dataKey="name" {...axisProps} />
+              <YAxis allowDecimals={false} {...axisProps} />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="Views" stroke="#94a3b8" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="Submissions" stroke="#3b82f6" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-1">Drop-off per question</h4>
+        <p className="text-xs text-gray-500 mb-2">
+          &quot;Stopped here&quot; counts views that were not submitted, by the last question they answered.
+          {analytics.leftWithoutAnswering > 0 && ` ${analytics.leftWithoutAnswering} left without answering anything.`}
+        </p>
+        <Table
+          rowKey="name"
+          size="small"
+          columns={DROP_OFF_COLUMNS}
+          dataSource={analytics.dropOff}
+          pagination={false}
+        />
+      </div>
+
+      {analytics.distributions.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">Answers</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {analytics.distributions.map((distribution) => (
+              <div key={distribution.name} className="p-4 rounded-lg border border-gray-100 bg-white">
+                <p className="font-medium text-gray-800">{distribution.label}</p>
+                <p className="text-xs text-gray-500 mb-2">
+                  {distribution.total} {distribution.total === 1 ? 'answer' : 'answers'}
+                  {distribution.type === 'multiselect' && ' (several choices allowed)'}
+                </p>
+                {distribution.options.map((option) => (
+                  <div key={option.value} className="mb-1">
+                    <div className="flex justify-between text-sm">
+                      <span>{option.label}</span>
+                      <span className="text-gray-500">{option.count}</span>
+                    </div>
+                    <Progress percent={option.percent} size="small" showInfo={false} aria-label={`${option.label}: ${option.percent}%`} />
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+FormAnalytics.propTypes = {
+  analytics: PropTypes.object
+};
+
+export default FormAnalytics;
+
+/* ========================================================================
+ * End of File: FormAnalytics.jsx
+ * ======================================================================== */
@@ -0,0 +1,110 @@
+/* ========================================================================
+ * File: SubmissionsTable.jsx
+ * Description: Table of a form's submissions with one column per question and downloads for uploaded files.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Button, Table, Tooltip } from 'antd';
+import { PaperClipOutlined } from '@ant-design/icons';
+import { format } from 'date-fns';
+import { answerText, getAnswerFiles } from '../../utils/formAnalytics';
+
+/**
+ * Readable file size, e.g. "1.2 MB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * SubmissionsTable - Newest submissions first; columns follow the form's questions
+ * @param {object} props
+ * @param {Array<object>} props.fields - Questions of the form, page breaks excluded
+ * @param {Array<object>} props.submissions - Submissions without file contents
+ * @param {boolean} props.loading - Loading state
+ * @param {string|null} props.downloading - `${submissionId}:${field}` of the file being fetched
+ * @param {function(object, object): void} props.onDownload - Downloads a submission's file for a field
+ */
+const SubmissionsTable = ({ fields, submissions, loading, downloading, onDownload }) => {
+  const renderFiles = (submission, field) => {
+    const files = getAnswerFiles(submission.data?.[field.name]);
+    if (!files.length) return <span className="text-gray-400">—</span>;
+    return files.map((file) => (
+      // Older submissions kept only the file name, so there is nothing to download
+      file.size === undefined ? (
+        <Tooltip key={file.name} title="Only the file name was stored for this submission">
+          <span className="text-gray-500">{file.name}</span>
+        </Tooltip>
+      ) : (
+        <Button
+          key={file.name}
+          type="link"
+          size="small"
+          className="!px-0"
+          icon={<PaperClipOutlined />}
+          loading={downloading === `${submission._id}:${field.name}`}
+          onClick={() => onDownload(submission, field)}
+          aria-label={`Download ${file.name}`}
+        >
+          {file.name} <span className="text-gray-400 ml-1">{formatSize(file.size)}</span>
+        </Button>
+      )
+    ));
+  };
+
+  const columns = [
+    {
+      title: 'Submitted',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 170,
+      fixed: 'left',
+      sorter: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+      defaultSortOrder: 'descend',
+      render: (date) => format(new Date(date), 'MMM dd, yyyy HH:mm')
+    },
+    ...fields.map((field) => ({
+      title: field.label || field.name,
+      key: field.name,
+      ellipsis: field.type !== 'file',
+      width: field.type === 'textarea' ? 280 : 180,
+      render: (_, submission) => (field.type === 'file'
+        ? renderFiles(submission, field)
+        : answerText(field, submission.data?.[field.name]) || <span className="text-gray-400">—</span>)
+    }))
+  ];
+
+  return (
+    <Table
+      rowKey="_id"
+      columns={columns}
+      dataSource={submissions}
+      loading={loading}
+      scroll={{ x: 'max-content' }}
+      pagination={{ pageSize: 20, showSizeChanger: false, showTotal: (total) => `${total} submissions` }}
+      locale={{ emptyText: 'No submissions match these filters' }}
+    />
+  );
+};
+
+SubmissionsTable.propTypes = {
+  fields: PropTypes.arrayOf(PropTypes.object).isRequired,
+  submissions: PropTypes.arrayOf(PropTypes.object).isRequired,
+  loading: PropTypes.bool,
+  downloading: PropTypes.string,
+  onDownload: PropTypes.func.isRequired
+};
+
+export default SubmissionsTable;
+
+/* ========================================================================
+ * End of File: SubmissionsTable.jsx
+ * ======================================================================== */
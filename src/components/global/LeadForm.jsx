@@ -5,9 +5,10 @@
 // Copyright: Tech4biz Solutions Private
 // ===============================
 import React, { useState } from 'react';
-import { Form, Input, Button, message, Card, Typography } from 'antd';
+import { Form, Input, Button, message, Card, Typography, Select } from 'antd';
 import { UserOutlined, MailOutlined, PhoneOutlined, BankOutlined, MessageOutlined } from '@ant-design/icons';
 import { createLead } from '../../services/api';
+import { BUDGET_RANGES, COMPANY_SIZES } from '../../utils/leadScoring';
 
 const { Title, Text } = Typography;
 
@@ -23,7 +24,7 @@ const LeadForm = () => {
   const onFinish = async (values) => {
     try {
       setLoading(true);
-      await createLead(values);
+      await createLead({ ...values, source: 'lead-form' });
       message.success('Thank you for your interest! We will contact you soon.');
       form.resetFields();
     } catch (error) {
@@ -101,6 +102,27 @@ const LeadForm = () => {
           />
         </Form.Item>
 
+        {/* Company size and budget (optional) feed the lead score */}
+        <Form.Item
+          name="companySize"
+        >
+          <Select
+            placeholder="Company Size (Optional)"
+            options={COMPANY_SIZES}
+            allowClear
+          />
+        </Form.Item>
+
+        <Form.Item
+          name="budget"
+        >
+          <Select
+            placeholder="Budget (Optional)"
+            options={BUDGET_RANGES}
+            allowClear
+          />
+        </Form.Item>
+
         {/* Message field with required validation */}
         <Form.Item
           name="message"
@@ -12,7 +12,8 @@ import {
   DeleteOutlined, 
   UserOutlined, 
   ClockCircleOutlined,
-  MailOutlined
+  MailOutlined,
+  FireOutlined
 } from '@ant-design/icons';
 import { getNotifications, markAsRead, markAllAsRead, deleteNotification } from '../../services/api';
 import { formatDistanceToNow } from 'date-fns';
@@ -35,6 +36,9 @@ const NotificationCenter = () => {
     if (data?.type === 'upcoming' || data?.type === 'sent') {
       return <MailOutlined style={{ color: '#1890ff' }} />;
     }
+    if (data?.type === 'leadScore') {
+      return <FireOutlined style={{ color: '#ff4d4f' }} />;
+    }
     return <UserOutlined style={{ color: '#52c41a' }} />;
   };
 
@@ -79,6 +83,35 @@ const NotificationCenter = () => {
       );
     }
 
+    if (data?.type === 'confirmation') {
+      return (
+        <div>
+          <p><strong>{data.email}</strong></p>
+          <p>Waiting for the subscriber to confirm by email</p>
+          {data.confirmUrl && (
+            <a href={data.confirmUrl} className="text-xs text-blue-600 hover:underline">
+              Open confirmation link
+            </a>
+          )}
+          <p className="text-xs text-gray-400 mt-1">
+            Link expires {formatDistanceToNow(new Date(data.expiresAt), { addSuffix: true })}
+          </p>
+        </div>
+      );
+    }
+
+    if (data?.type === 'import') {
+      return (
+        <div>
+          <p><strong>{data.count} imported subscribers</strong></p>
+          <p>Confirmation emails sent; they join the list once they confirm</p>
+          <p className="text-xs text-gray-400 mt-1">
+            {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+          </p>
+        </div>
+      );
+    }
+
     if (data?.type === 'unsubscription') {
       return (
         <div>
@@ -103,6 +136,20 @@ const NotificationCenter = () => {
       );
     }
 
+    // Lead score notifications
+    if (data?.type === 'leadScore') {
+      return (
+        <div>
+          <p><strong>{data.leadName}</strong> ({data.leadEmail})</p>
+          <p>Lead score reached {data.score} (hot at {data.threshold})</p>
+          {data.leadCompany && <p>Company: {data.leadCompany}</p>}
+          <p className="text-xs text-gray-400 mt-1">
+            {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+          </p>
+        </div>
+      );
+    }
+
     // Meeting notifications
     if (data?.meetingTitle) {
       return (
@@ -0,0 +1,102 @@
+/**
+ * ConvertInquiryModal.jsx
+ *
+ * Modal for turning an inquiry into a lead on the sales pipeline.
+ * The new lead keeps the inquiry's status history and meetings; this modal
+ * collects the deal details the lead starts with.
+ *
+ * Features:
+ * - Lead owner and deal value selection
+ * - Optional note recorded as the lead's first history entry
+ *
+ * @author Tech4biz Solutions
+ * @copyright Tech4biz Solutions Private
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Input, Typography } from 'antd';
+import { UserAddOutlined } from '@ant-design/icons';
+import DealFields from '../pipeline/DealFields';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+/**
+ * ConvertInquiryModal - Collects owner, deal value and a note before converting
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Controls modal visibility
+ * @param {Object} props.inquiry - Inquiry being converted
+ * @param {Array} props.owners - Users who can own leads
+ * @param {string} [props.defaultOwnerId] - Owner preselected when the modal opens
+ * @param {boolean} props.converting - Loading state for the conversion
+ * @param {Function} props.onCancel - Callback for modal cancellation
+ * @param {Function} props.onConvert - Receives `{ ownerId, dealValue, feedback }`
+ * @returns {JSX.Element} Conversion modal
+ */
+const ConvertInquiryModal = ({ visible, inquiry, owners, defaultOwnerId, converting, onCancel, onConvert }) => {
+  const [deal, setDeal] = useState({ ownerId: null, dealValue: null });
+  const [note, setNote] = useState('');
+
+  // Start every conversion from a clean form
+  useEffect(() => {
+    if (!visible) return;
+    setDeal({ ownerId: owners.some((owner) => owner._id === defaultOwnerId) ? defaultOwnerId : null, dealValue: null });
+    setNote('');
+  }, [visible, defaultOwnerId, owners]);
+
+  return (
+    <Modal
+      title={
+        <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+          <UserAddOutlined />
+          <span>Convert to Lead</span>
+        </div>
+      }
+      open={visible}
+      onCancel={onCancel}
+      onOk={() => onConvert({ ...deal, feedback: note.trim() })}
+      okText="Convert"
+      confirmLoading={converting}
+      destroyOnClose
+    >
+      {inquiry && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+          <Text type="secondary">
+            {inquiry.firstName} {inquiry.lastName}{inquiry.companyName ? ` (${inquiry.companyName})` : ''} becomes a lead on the
+            sales pipeline. Its status history and meetings move with it.
+          </Text>
+          <DealFields value={deal} onChange={setDeal} owners={owners} />
+          <div>
+            <Text type="secondary" style={{ display: 'block', marginBottom: 4 }}>Note</Text>
+            <TextArea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Why is this inquiry worth pursuing?"
+              rows={3}
+              maxLength={500}
+              showCount
+            />
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+ConvertInquiryModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  inquiry: PropTypes.object,
+  owners: PropTypes.array.isRequired,
+  defaultOwnerId: PropTypes.string,
+  converting: PropTypes.bool,
+  onCancel: PropTypes.func.isRequired,
+  onConvert: PropTypes.func.isRequired
+};
+
+export default ConvertInquiryModal;
+
+/**
+ * @copyright Tech4biz Solutions Private
+ */
@@ -7,49 +7,26 @@
  * 
  * Features:
  * - Complete inquiry information display
- * - Status update functionality with feedback
+ * - Status update functionality with feedback, following the pipeline transitions
  * - Responsive design with organized layout
  * - Client avatar and identification
  * - Project description display
  * - Status history tracking
+ * - Conversion into a pipeline lead
  * 
  * @author Tech4biz Solutions
  * @copyright Tech4biz Solutions Private
  */
 
 import React from 'react';
-import { Modal, Tag, Typography, Avatar, Button, Input } from 'antd';
-import { UserOutlined, MailOutlined, PhoneOutlined, BankOutlined, ClockCircleOutlined } from '@ant-design/icons';
+import { Link } from 'react-router-dom';
+import { Modal, Tag, Typography, Avatar, Button, Alert } from 'antd';
+import { UserOutlined, MailOutlined, PhoneOutlined, BankOutlined, ClockCircleOutlined, UserAddOutlined } from '@ant-design/icons';
+import StatusButtons from '../leads/StatusButtons';
+import TransitionFields from '../pipeline/TransitionFields';
+import { getStage, getTransition, validateTransitionInput } from '../../utils/pipeline';
 
 const { Title } = Typography;
-const { TextArea } = Input;
-
-/**
- * Get color for status tag based on inquiry status
- * 
- * @param {string} status - The inquiry status
- * @returns {string} Color code for the status tag
- */
-const getStatusColor = (status) => {
-  const colors = {
-    new: '#1890ff',
-    contacted: '#52c41a',
-    qualified: '#722ed1',
-    closed: '#f5222d',
-    rejected: '#fa541c'
-  };
-  return colors[status] || '#1890ff';
-};
-
-/**
- * Available status options for inquiry updates
- */
-const statusOptions = [
-  { value: 'contacted', label: 'Contacted' },
-  { value: 'qualified', label: 'Qualified' },
-  { value: 'closed', label: 'Closed' },
-  { value: 'rejected', label: 'Rejected' }
-];
 
 /**
  * InquiryPreviewModal - Modal component for viewing and updating inquiry details
@@ -61,9 +38,14 @@ const statusOptions = [
  * @param {string} props.selectedStatus - Currently selected status for update
  * @param {Function} props.onStatusChange - Callback for status selection
  * @param {string} props.feedback - Current feedback text
- * @param {Function} props.onFeedbackChange - Callback for feedback text changes
+ * @param {Function} props.onFeedbackChange - Receives the new feedback text
+ * @param {string|null} props.followUpAt - Follow-up date for the status change
+ * @param {Function} props.onFollowUpChange - Receives the new follow-up date
+ * @param {Array} props.stages - Pipeline stages
+ * @param {Array} props.transitions - Allowed transitions between stages
  * @param {Function} props.onSubmitFeedback - Callback for feedback submission
  * @param {boolean} props.submitting - Loading state for submission
+ * @param {Function} [props.onConvert] - Callback for converting the inquiry into a lead
  * @returns {JSX.Element} Inquiry preview modal
  */
 const InquiryPreviewModal = ({
@@ -74,9 +56,17 @@ const InquiryPreviewModal = ({
   onStatusChange,
   feedback,
   onFeedbackChange,
+  followUpAt,
+  onFollowUpChange,
   onSubmitFeedback,
-  submitting
+  submitting,
+  onConvert,
+  stages,
+  transitions
 }) => {
+  const transition = inquiry && selectedStatus ? getTransition(transitions, stages, inquiry.status, selectedStatus) : null;
+  const problem = transition ? validateTransitionInput(transition, { feedback, followUpAt }) : null;
+
   // Handle feedback submission with validation
   const handleSubmitFeedback = () => {
     if (!selectedStatus) {
@@ -179,7 +169,7 @@ const InquiryPreviewModal = ({
               <b>Created At</b>: {formatDate(inquiry.createdAt)}
             </div>
             <div style={{ marginBottom: 12 }}>
-              <b>Status</b>: <Tag color={getStatusColor(inquiry.status)}>{inquiry.status}</Tag>
+              <b>Status</b>: <Tag color={getStage(stages, inquiry.status).color}>{getStage(stages, inquiry.status).label}</Tag>
             </div>
             <div style={{ marginBottom: 12 }}>
               <b>Postal Code</b>: {inquiry.postalCode}
@@ -210,45 +200,60 @@ const InquiryPreviewModal = ({
             </div>
           </div>
 
+          {/* Converted inquiries continue as leads on the pipeline */}
+          {inquiry.convertedLeadId ? (
+            <Alert
+              style={{ width: '100%', marginTop: 32 }}
+              type="success"
+              showIcon
+              message="Converted to a lead"
+              description={<>This inquiry now continues on the sales pipeline. <Link to="/dashboard/leads">Open Leads Management</Link></>}
+            />
+          ) : (
+          <>
           {/* Status Update Section */}
           <div style={{ width: '100%', marginTop: 32 }}>
-            <div style={{ fontWeight: 600, marginBottom: 12 }}>Update Status</div>
-            <div style={{ display: 'flex', gap: 12, marginBottom: 16, flexWrap: 'wrap' }}>
-              {statusOptions.map(opt => (
-                <Button
-                  key={opt.value}
-                  type={selectedStatus === opt.value ? 'primary' : 'default'}
-                  onClick={() => onStatusChange(opt.value)}
-                  size="middle"
-                >
-                  {opt.label}
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
+              <span style={{ fontWeight: 600 }}>Update Status</span>
+              {onConvert && (
+                <Button icon={<UserAddOutlined />} onClick={() => onConvert(inquiry)}>
+                  Convert to Lead
                 </Button>
-              ))}
+              )}
             </div>
+            <StatusButtons
+              currentStatus={inquiry.status}
+              selectedStatus={selectedStatus}
+              onStatusUpdate={onStatusChange}
+              stages={stages}
+              transitions={transitions}
+            />
             
-            {selectedStatus && (
+            {transition && (
               <div>
-                <TextArea
-                  placeholder="Add feedback for this status change..."
-                  value={feedback || ''}
-                  onChange={onFeedbackChange}
-                  rows={3}
-                  style={{ marginBottom: 12 }}
-                  maxLength={500}
-                  showCount
-                />
+                <div style={{ marginBottom: 12 }}>
+                  <TransitionFields
+                    transition={transition}
+                    feedback={feedback || ''}
+                    onFeedbackChange={onFeedbackChange}
+                    followUpAt={followUpAt}
+                    onFollowUpChange={onFollowUpChange}
+                  />
+                </div>
                 <Button
                   type="primary"
                   onClick={handleSubmitFeedback}
                   loading={submitting}
                   style={{ minWidth: 160 }}
-                  disabled={!feedback?.trim()}
+                  disabled={Boolean(problem)}
                 >
                   Submit Update
                 </Button>
               </div>
             )}
           </div>
+          </>
+          )}
         </div>
       ) : (
         <div style={{ textAlign: 'center', padding: '40px 20px', color: '#888' }}>
@@ -11,7 +11,7 @@
  * - User attribution for each status change
  * - Feedback display for each status update
  * - Responsive design with modern UI
- * - Color-coded status indicators
+ * - Status labels and colors from the pipeline definition
  * 
  * @author Tech4biz Solutions
  * @copyright Tech4biz Solutions Private
@@ -20,26 +20,10 @@
 import React from 'react';
 import { Modal, Typography, Avatar } from 'antd';
 import { UserOutlined, MailOutlined, BankOutlined } from '@ant-design/icons';
+import { getStage } from '../../utils/pipeline';
 
 const { Title } = Typography;
 
-/**
- * Get color for status based on inquiry status
- * 
- * @param {string} status - The inquiry status
- * @returns {string} Color code for the status
- */
-const getStatusColor = (status) => {
-  const colors = {
-    new: '#1890ff',
-    contacted: '#52c41a',
-    qualified: '#722ed1',
-    closed: '#f5222d',
-    rejected: '#fa541c'
-  };
-  return colors[status] || '#1890ff';
-};
-
 /**
  * InquiryStatusHistoryModal - Modal component for displaying inquiry status history
  * 
@@ -47,9 +31,13 @@ const getStatusColor = (status) => {
  * @param {boolean} props.visible - Controls modal visibility
  * @param {Object} props.inquiry - Inquiry data containing status history
  * @param {Function} props.onCancel - Callback for modal cancellation
+ * @param {Array} props.stages - Pipeline stages, for status labels and colors
  * @returns {JSX.Element} Status history modal
  */
-const InquiryStatusHistoryModal = ({ visible, inquiry, onCancel }) => {
+const InquiryStatusHistoryModal = ({ visible, inquiry, onCancel, stages }) => {
+  // Status colors come from the pipeline definition
+  const getStatusColor = (status) => getStage(stages, status).color;
+
   // Format date for display with error handling
   const formatDate = (dateString) => {
     if (!dateString) return '';
@@ -60,10 +48,10 @@ const InquiryStatusHistoryModal = ({ visible, inquiry, onCancel }) => {
     }
   };
 
-  // Capitalize first letter of status for display
+  // Stage label for display
   const formatStatus = (status) => {
     if (!status) return '';
-    return status.charAt(0).toUpperCase() + status.slice(1);
+    return getStage(stages, status).label;
   };
 
   return (
@@ -161,7 +149,7 @@ const InquiryStatusHistoryModal = ({ visible, inquiry, onCancel }) => {
                     marginRight: 16,
                     boxShadow: `0 2px 8px ${getStatusColor(history.status)}22`
                   }}>
-                    {formatStatus(history.status)}
+                    {history.fromStatus && `${formatStatus(history.fromStatus)} → `}{formatStatus(history.status)}
                   </span>
                   <span style={{ 
                     color: '#888', 
@@ -196,6 +184,11 @@ const InquiryStatusHistoryModal = ({ visible, inquiry, onCancel }) => {
                   <div style={{ fontWeight: 500 }}>
                     {history.feedback || 'No feedback provided'}
                   </div>
+                  {history.followUpAt && (
+                    <div style={{ color: '#888', fontSize: 14, marginTop: 8 }}>
+                      Follow up by {formatDate(history.followUpAt)}
+                    </div>
+                  )}
                 </div>
 
                 {/* Client Information Footer */}
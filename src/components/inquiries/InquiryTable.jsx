@@ -4,7 +4,7 @@
  * A comprehensive table component for displaying and managing inquiry data.
  * Provides a data table with sorting, pagination, and action buttons for
  * inquiry management operations including preview, history, meeting scheduling,
- * and deletion.
+ * conversion to a pipeline lead and deletion.
  * 
  * Features:
  * - Responsive data table with sorting and pagination
@@ -20,24 +20,8 @@
 
 import React from 'react';
 import { Table, Space, Button, Tag, Tooltip } from 'antd';
-import { EyeOutlined, DeleteOutlined, VideoCameraOutlined, ClockCircleOutlined } from '@ant-design/icons';
-
-/**
- * Get color for status tag based on inquiry status
- * 
- * @param {string} status - The inquiry status
- * @returns {string} Color code for the status tag
- */
-const getStatusColor = (status) => {
-  const colors = {
-    new: '#1890ff',
-    contacted: '#52c41a',
-    qualified: '#722ed1',
-    closed: '#f5222d',
-    rejected: '#fa541c'
-  };
-  return colors[status] || '#1890ff';
-};
+import { EyeOutlined, DeleteOutlined, VideoCameraOutlined, ClockCircleOutlined, UserAddOutlined } from '@ant-design/icons';
+import { CONVERTED_STATUS, getStage } from '../../utils/pipeline';
 
 /**
  * InquiryTable - Table component for displaying and managing inquiries
@@ -51,6 +35,8 @@ const getStatusColor = (status) => {
  * @param {Function} props.onDelete - Callback for inquiry deletion action
  * @param {Function} props.onScheduleMeeting - Callback for meeting scheduling action
  * @param {Function} props.onHistory - Callback for status history action
+ * @param {Function} [props.onConvert] - Callback for converting an inquiry into a lead
+ * @param {Array} props.stages - Pipeline stages, for status labels, colors and filters
  * @returns {JSX.Element} Inquiry data table
  */
 const InquiryTable = ({ 
@@ -61,7 +47,9 @@ const InquiryTable = ({
   onPreview, 
   onDelete, 
   onScheduleMeeting, 
-  onHistory 
+  onHistory,
+  onConvert,
+  stages
 }) => {
   // Format date for display with error handling
   const formatDate = (dateString) => {
@@ -120,17 +108,11 @@ const InquiryTable = ({
       dataIndex: 'status',
       key: 'status',
       sorter: (a, b) => a.status.localeCompare(b.status),
-      filters: [
-        { text: 'New', value: 'new' },
-        { text: 'Contacted', value: 'contacted' },
-        { text: 'Qualified', value: 'qualified' },
-        { text: 'Closed', value: 'closed' },
-        { text: 'Rejected', value: 'rejected' }
-      ],
+      filters: [...stages, CONVERTED_STATUS].map((stage) => ({ text: stage.label, value: stage.key })),
       onFilter: (value, record) => record.status === value,
       render: (status) => (
-        <Tag color={getStatusColor(status)} style={{ fontWeight: 500 }}>
-          {status.charAt(0).toUpperCase() + status.slice(1)}
+        <Tag color={getStage(stages, status).color} style={{ fontWeight: 500 }}>
+          {getStage(stages, status).label}
         </Tag>
       )
     },
@@ -145,7 +127,7 @@ const InquiryTable = ({
       title: 'Actions',
       key: 'actions',
       fixed: 'right',
-      width: 200,
+      width: 240,
       render: (_, record) => (
         <Space size="small">
           <Tooltip title="View inquiry details">
@@ -172,6 +154,17 @@ const InquiryTable = ({
               size="small"
             />
           </Tooltip>
+          {onConvert && (
+            <Tooltip title={record.convertedLeadId ? 'Already converted to a lead' : 'Convert to lead'}>
+              <Button 
+                icon={<UserAddOutlined />} 
+                onClick={() => onConvert(record)}
+                disabled={Boolean(record.convertedLeadId)}
+                type="text"
+                size="small"
+              />
+            </Tooltip>
+          )}
           <Tooltip title="Delete inquiry">
             <Button 
               icon={<DeleteOutlined />} 
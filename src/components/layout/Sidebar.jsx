@@ -7,7 +7,7 @@
  * 
  * Features:
  * - Collapsible sidebar with smooth animations
- * - Role-based menu visibility (admin/user)
+ * - Permission-based menu visibility (see src/constants/permissions.js)
  * - Responsive design for mobile and desktop
  * - Smooth hover effects and transitions
  * - Dark mode support
@@ -19,9 +19,10 @@
  */
 
 import { Link, useLocation } from 'react-router-dom';
-import { FaHome, FaFile, FaColumns, FaCode, FaUsers, FaUser, FaFileAlt, FaTh, FaImage, FaEnvelope, FaBlog, FaCubes, FaLayerGroup, FaList, FaUserPlus, FaChevronLeft, FaChevronRight, FaHistory, FaEnvelopeOpen } from 'react-icons/fa';
+import { FaHome, FaFile, FaColumns, FaCode, FaUsers, FaUser, FaFileAlt, FaTh, FaImage, FaEnvelope, FaBlog, FaCubes, FaLayerGroup, FaList, FaUserPlus, FaChevronLeft, FaChevronRight, FaHistory, FaEnvelopeOpen, FaCalendarAlt, FaCalendarCheck } from 'react-icons/fa';
 import { motion } from 'framer-motion';
 import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS, getRoleLabel } from '../../constants/permissions';
 
 /**
  * Sidebar - Collapsible sidebar component for dashboard navigation
@@ -33,11 +34,11 @@ import { useAuth } from '../../contexts/AuthContext';
  * @returns {JSX.Element} Sidebar component
  */
 const Sidebar = ({ closeSidebar, isCollapsed, toggleCollapse }) => {
-  const { user, isAdmin } = useAuth();
+  const { user, can } = useAuth();
   const { pathname } = useLocation();
   
   /**
-   * Menu sections configuration with role-based visibility
+   * Menu sections configuration; items with a `permission` are shown only to roles that hold it
    */
   const menuSections = {
     main: [
@@ -54,21 +55,28 @@ const Sidebar = ({ closeSidebar, isCollapsed, toggleCollapse }) => {
         icon: <FaUserPlus className="w-5 h-5" />,
         text: 'Leads Management',
         description: 'Manage lead information',
-        adminOnly: true
+        permission: PERMISSIONS.LEADS_VIEW
       },
       {
         to: '/dashboard/users',
         icon: <FaUsers className="w-5 h-5" />,
         text: 'Users',
         description: 'User management',
-        adminOnly: true
+        permission: PERMISSIONS.USERS_MANAGE
       },
       {
         to: '/dashboard/inquiries',
         icon: <FaEnvelopeOpen className="w-5 h-5" />,
         text: 'Inquiries',
         description: 'Manage customer inquiries',
-        adminOnly: true
+        permission: PERMISSIONS.INQUIRIES_VIEW
+      },
+      {
+        to: '/dashboard/meetings',
+        icon: <FaCalendarCheck className="w-5 h-5" />,
+        text: 'Meetings',
+        description: 'Lead and inquiry meetings calendar',
+        permission: [PERMISSIONS.LEADS_VIEW, PERMISSIONS.INQUIRIES_VIEW]
       }
     ],
  
@@ -78,42 +86,49 @@ const Sidebar = ({ closeSidebar, isCollapsed, toggleCollapse }) => {
         icon: <FaFileAlt className="w-5 h-5" />,
         text: 'Pages',
         description: 'Page management',
-        adminOnly: true
+        permission: PERMISSIONS.PAGES_VIEW
       },
       {
         to: '/dashboard/components',
         icon: <FaCubes className="w-5 h-5" />,
         text: 'Components',
         description: 'Component library',
-        adminOnly: true
+        permission: PERMISSIONS.COMPONENTS_MANAGE
       },
       {
         to: '/dashboard/layouts',
         icon: <FaLayerGroup className="w-5 h-5" />,
         text: 'Layouts',
         description: 'Layout management',
-        adminOnly: true
+        permission: PERMISSIONS.LAYOUTS_MANAGE
       },
       {
         to: '/dashboard/content',
         icon: <FaList className="w-5 h-5" />,
         text: 'Content',
         description: 'Content management',
-        adminOnly: true
+        permission: PERMISSIONS.CONTENT_VIEW
       },
       {
         to: '/dashboard/blogs',
         icon: <FaBlog className="w-5 h-5" />,
         text: 'Blog',
         description: 'Blog management',
-        adminOnly: true
+        permission: PERMISSIONS.BLOGS_VIEW
+      },
+      {
+        to: '/dashboard/calendar',
+        icon: <FaCalendarAlt className="w-5 h-5" />,
+        text: 'Content Calendar',
+        description: 'Scheduled publishing',
+        permission: [PERMISSIONS.BLOGS_VIEW, PERMISSIONS.PAGES_VIEW]
       },
       {
         to: '/dashboard/media',
         icon: <FaImage className="w-5 h-5" />,
         text: 'Media Library',
         description: 'Media file management',
-        adminOnly: true
+        permission: PERMISSIONS.MEDIA_VIEW
       }
     ],
     tools: [
@@ -122,14 +137,14 @@ const Sidebar = ({ closeSidebar, isCollapsed, toggleCollapse }) => {
         icon: <FaCode className="w-5 h-5" />,
         text: 'API Playground',
         description: 'API testing and documentation',
-        adminOnly: true
+        permission: PERMISSIONS.API_PLAYGROUND
       },
       {
         to: '/dashboard/newsletter',
         icon: <FaEnvelope className="w-5 h-5" />,
         text: 'Newsletter',
         description: 'Newsletter management',
-        adminOnly: true
+        permission: PERMISSIONS.NEWSLETTER_VIEW
       }
     ],
     profile: [
@@ -143,6 +158,14 @@ const Sidebar = ({ closeSidebar, isCollapsed, toggleCollapse }) => {
    
   };
 
+  /**
+   * Whether a menu item is visible to the current user
+   *
+   * @param {Object} item - Menu item configuration
+   * @returns {boolean}
+   */
+  const isVisible = (item) => !item.permission || can(item.permission);
+
   /**
    * Render individual menu item with proper accessibility
    * 
@@ -150,8 +173,8 @@ const Sidebar = ({ closeSidebar, isCollapsed, toggleCollapse }) => {
    * @returns {JSX.Element|null} Menu item component
    */
   const renderMenuItem = (item) => {
-    // Hide admin-only items for non-admin users
-    if (item.adminOnly && !isAdmin()) return null;
+    // Hide items the user's role cannot access
+    if (!isVisible(item)) return null;
 
     const isActive = pathname === item.to;
 
@@ -194,7 +217,7 @@ const Sidebar = ({ closeSidebar, isCollapsed, toggleCollapse }) => {
    */
   const renderSection = (title, items) => {
     // Only render section if it has visible items
-    if (!items.some(item => !item.adminOnly || (item.adminOnly && isAdmin()))) return null;
+    if (!items.some(isVisible)) return null;
 
     return (
       <div className="mb-6">
@@ -266,7 +289,7 @@ const Sidebar = ({ closeSidebar, isCollapsed, toggleCollapse }) => {
               {user?.email}
             </p>
             <p className="text-xs text-slate-500">
-              {isAdmin() ? 'Administrator' : 'User'}
+              {getRoleLabel(user?.role)}
             </p>
           </div>
           <div className={`${
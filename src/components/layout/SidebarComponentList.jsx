@@ -7,6 +7,9 @@
 
 import React from 'react';
 import PropTypes from 'prop-types';
+import { Tooltip } from 'antd';
+import { FaLock } from 'react-icons/fa';
+import PresenceAvatars from '../layouts/PresenceAvatars';
 
 /**
  * SidebarComponentList Component
@@ -15,8 +18,9 @@ import PropTypes from 'prop-types';
  * @param {Array} props.components - List of components to display
  * @param {string} props.selectedComponentId - Currently selected component ID
  * @param {function} props.onSelectComponent - Handler for selecting a component
+ * @param {object} [props.presence] - Other editors per component id: `{ viewers: Array, lockedBy: object|null }`
  */
-const SidebarComponentList = ({ components, selectedComponentId, onSelectComponent }) => {
+const SidebarComponentList = ({ components, selectedComponentId, onSelectComponent, presence = {} }) => {
   return (
     <aside className="w-64 min-h-0 flex flex-col bg-gradient-to-b from-blue-100/70 via-white to-white border-r border-blue-100 shadow-xl" aria-label="Sidebar Component List">
       <div className="sticky top-0 z-10 bg-white/80 backdrop-blur border-b px-6 py-4">
@@ -36,7 +40,15 @@ const SidebarComponentList = ({ components, selectedComponentId, onSelectCompone
               aria-current={selectedComponentId === comp._id ? 'true' : undefined}
               aria-label={`Select component ${comp.name}`}
             >
-              <span className="truncate block w-full">{comp.name}</span>
+              <span className="flex items-center gap-2 w-full">
+                <span className="truncate flex-1">{comp.name}</span>
+                {presence[comp._id]?.lockedBy && (
+                  <Tooltip title={`Being edited by ${presence[comp._id].lockedBy.user?.name || 'another editor'}`}>
+                    <FaLock className="w-3 h-3 shrink-0" aria-label="Locked" />
+                  </Tooltip>
+                )}
+                <PresenceAvatars peers={presence[comp._id]?.viewers || []} size="small" />
+              </span>
             </button>
           </li>
         ))}
@@ -49,7 +61,8 @@ const SidebarComponentList = ({ components, selectedComponentId, onSelectCompone
 SidebarComponentList.propTypes = {
   components: PropTypes.array.isRequired,
   selectedComponentId: PropTypes.string,
-  onSelectComponent: PropTypes.func.isRequired
+  onSelectComponent: PropTypes.func.isRequired,
+  presence: PropTypes.object
 };
 
 export default SidebarComponentList;
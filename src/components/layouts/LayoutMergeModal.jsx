@@ -0,0 +1,169 @@
+/**
+ * LayoutMergeModal.jsx
+ *
+ * Shown when a layout save is rejected because someone else saved first. Non-overlapping edits are
+ * merged automatically; for each field both editors changed, the user keeps theirs or takes the other copy.
+ *
+ * @author Tech4biz Solutions
+ * @copyright Tech4biz Solutions Private
+ * @version 1.0.0
+ */
+
+import React, { useState, useMemo, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Radio, Tag, Alert, Button, Empty } from 'antd';
+import { formatDistanceToNow } from 'date-fns';
+import { mergeLayoutComponents, diffLayoutComponents, formatFieldValue } from '../../utils/layoutDiff';
+import { getUserFriendlyLabel } from '../../utils/layoutHelpers';
+
+// Tag colour and wording for changes brought in from the other editor
+const INCOMING_TAGS = {
+  added: { color: 'green', label: 'Added' },
+  removed: { color: 'red', label: 'Removed' },
+  moved: { color: 'blue', label: 'Moved' },
+  changed: { color: 'orange', label: 'Edited' },
+};
+
+/**
+ * LayoutMergeModal Component
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the modal is visible
+ * @param {Array<Object>} props.base - Components as they were when this editor loaded or last saved
+ * @param {Array<Object>} props.mine - Components this editor tried to save
+ * @param {Object} props.theirs - The layout as saved by the other editor
+ * @param {boolean} [props.saving=false] - Whether the merged save is in flight
+ * @param {function(Array<Object>): void} props.onMerge - Saves the merged components
+ * @param {function(): void} props.onDiscard - Drops local edits and loads the other editor's copy
+ * @param {function(): void} props.onCancel - Closes without saving (edits stay unsaved)
+ * @returns {JSX.Element}
+ */
+const LayoutMergeModal = ({ open, base, mine, theirs, saving = false, onMerge, onDiscard, onCancel }) => {
+  const [resolutions, setResolutions] = useState({});
+
+  useEffect(() => {
+    if (open) setResolutions({});
+  }, [open, theirs]);
+
+  const { components, conflicts } = useMemo(
+    () => mergeLayoutComponents(base, mine, theirs?.components || [], resolutions),
+    [base, mine, theirs, resolutions]
+  );
+
+  // What the merge changes compared with this editor's copy, i.e. the other editor's work being kept
+  const incoming = useMemo(
+    () => diffLayoutComponents(mine, components).filter((entry) => entry.status !== 'unchanged'),
+    [mine, components]
+  );
+
+  const setResolution = (id, side) => setResolutions((prev) => ({ ...prev, [id]: side }));
+  const editor = theirs?.updatedBy?.name || 'Another editor';
+
+  return (
+    <Modal
+      title="This layout was changed while you were editing"
+      open={open}
+      onCancel={onCancel}
+      width={900}
+      destroyOnClose
+      footer={[
+        <Button key="discard" danger onClick={onDiscard} disabled={saving}>
+          Discard my changes
+        </Button>,
+        <Button key="cancel" onClick={onCancel} disabled={saving}>
+          Keep editing
+        </Button>,
+        <Button key="merge" type="primary" loading={saving} onClick={() => onMerge(components)}>
+          Save merged layout
+        </Button>,
+      ]}
+    >
+      <Alert
+        type="warning"
+        showIcon
+        className="mb-4"
+        message={`${editor} saved "${theirs?.name || 'this layout'}"${
+          theirs?.updatedAt ? ` ${formatDistanceToNow(new Date(theirs.updatedAt), { addSuffix: true })}` : ''
+        }.`}
+        description="Changes that don't overlap are combined below. Nothing is overwritten until you save."
+      />
+
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">
+        Conflicting fields ({conflicts.length})
+      </h3>
+      {conflicts.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">None. Both sets of changes can be kept.</p>
+      ) : (
+        <ul className="space-y-3 mb-6">
+          {conflicts.map((conflict) => (
+            <li key={conflict.id} className="p-3 border border-orange-200 rounded-lg bg-orange-50/40">
+              <div className="font-medium text-gray-900 mb-2">
+                {conflict.name}
+                {conflict.field && <span className="text-gray-500"> · {getUserFriendlyLabel(conflict.field)}</span>}
+              </div>
+              <Radio.Group
+                className="w-full"
+                value={resolutions[conflict.id] || 'mine'}
+                onChange={(event) => setResolution(conflict.id, event.target.value)}
+              >
+                <div className="grid grid-cols-2 gap-3">
+                  {[
+                    { side: 'mine', label: 'Keep mine', value: conflict.mine },
+                    { side: 'theirs', label: `Use ${editor}'s`, value: conflict.theirs },
+                  ].map((option) => (
+                    <label
+                      key={option.side}
+                      className="block p-2 rounded border border-gray-200 bg-white cursor-pointer"
+                    >
+                      <Radio value={option.side}>{option.label}</Radio>
+                      <div className="mt-1 text-xs text-gray-700 break-words">
+                        {formatFieldValue(option.value) || <span className="italic text-gray-400">Empty</span>}
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </Radio.Group>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">Kept from {editor}</h3>
+      {incoming.length === 0 ? (
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="Nothing else to bring in" />
+      ) : (
+        <ul className="space-y-2">
+          {incoming.map((entry) => (
+            <li key={entry.key} className="text-sm">
+              <Tag color={INCOMING_TAGS[entry.status].color}>{INCOMING_TAGS[entry.status].label}</Tag>
+              <span className="font-medium">{entry.name || entry.type}</span>
+              {entry.fields.length > 0 && (
+                <span className="text-gray-500">
+                  {' '}· {entry.fields.map((change) => getUserFriendlyLabel(change.field)).join(', ')}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Modal>
+  );
+};
+
+LayoutMergeModal.propTypes = {
+  open: PropTypes.bool.isRequired,
+  base: PropTypes.arrayOf(PropTypes.object).isRequired,
+  mine: PropTypes.arrayOf(PropTypes.object).isRequired,
+  theirs: PropTypes.object,
+  saving: PropTypes.bool,
+  onMerge: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default LayoutMergeModal;
+
+/**
+ * @copyright Tech4biz Solutions Private
+ */
@@ -0,0 +1,107 @@
+/**
+ * LayoutVersionPreview.jsx
+ *
+ * Read-only preview of a layout snapshot, rendered in the same card style as SectionPreview
+ * so an older version can be checked before it is restored.
+ *
+ * @author Tech4biz Solutions
+ * @copyright Tech4biz Solutions Private
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Card from '../elements/Card';
+import { resolveAssetUrl } from '../../config';
+import { getUserFriendlyLabel } from '../../utils/layoutHelpers';
+
+/**
+ * Renders one stored field value: images as thumbnails, lists as bullet items, everything else as text.
+ * @param {Object} props
+ * @param {Object} props.entry - `{ value, type, fieldType }` from component data
+ * @returns {JSX.Element}
+ */
+const FieldValue = ({ entry }) => {
+  const value = entry && typeof entry === 'object' && 'value' in entry ? entry.value : entry;
+  const kind = entry?.fieldType || entry?.type;
+
+  if (value === undefined || value === null || value === '') {
+    return <span className="text-gray-400 italic">Empty</span>;
+  }
+  if (kind === 'image') {
+    return <img src={resolveAssetUrl(value)} alt="" className="w-full max-h-48 object-cover rounded" />;
+  }
+  if (Array.isArray(value)) {
+    return (
+      <ul className="list-disc ml-5 space-y-1">
+        {value.map((item, index) => (
+          <li key={index} className="text-gray-600">
+            {typeof item === 'object'
+              ? Object.entries(item).map(([key, sub]) => `${getUserFriendlyLabel(key)}: ${sub?.value ?? sub ?? ''}`).join(' · ')
+              : String(item)}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  if (kind === 'richtext' || kind === 'rich-text') {
+    // Show the markup as text so snapshot HTML never runs in the dashboard
+    return <p className="text-gray-600 whitespace-pre-wrap">{String(value).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()}</p>;
+  }
+  return <p className="text-gray-600 whitespace-pre-wrap">{typeof value === 'object' ? JSON.stringify(value) : String(value)}</p>;
+};
+
+FieldValue.propTypes = {
+  entry: PropTypes.any,
+};
+
+/**
+ * LayoutVersionPreview Component
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.title - Heading, e.g. "Version 3"
+ * @param {Array<Object>} props.components - Components of the snapshot, in order
+ * @returns {JSX.Element}
+ */
+const LayoutVersionPreview = ({ title, components }) => (
+  <Card className="p-6" aria-label="Layout version preview">
+    <div className="mb-6 border-b pb-4">
+      <h3 className="text-xl font-bold mb-1">{title}</h3>
+      <p className="text-gray-500 text-sm">{components.length} component{components.length === 1 ? '' : 's'}</p>
+    </div>
+    <div className="space-y-4">
+      {components.map((component, index) => (
+        <div key={component._id || index} className="border rounded p-4">
+          <h4 className="text-lg font-semibold mb-3">
+            {component.name || component.type || `Component ${index + 1}`}
+          </h4>
+          <div className="space-y-3">
+            {Object.entries(component.data || {}).map(([fieldName, entry]) => (
+              <div key={fieldName}>
+                <div className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-1">
+                  {getUserFriendlyLabel(fieldName)}
+                </div>
+                <FieldValue entry={entry} />
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+    <div className="mt-4 pt-4 border-t text-center text-gray-500 text-sm">
+      <p>Preview Mode - This is how the layout looked in this version</p>
+    </div>
+  </Card>
+);
+
+LayoutVersionPreview.propTypes = {
+  title: PropTypes.string.isRequired,
+  components: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+export default LayoutVersionPreview;
+
+/**
+ * @copyright Tech4biz Solutions Private
+ */
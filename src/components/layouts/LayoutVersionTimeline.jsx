@@ -0,0 +1,304 @@
+/**
+ * LayoutVersionTimeline.jsx
+ *
+ * Drawer with a layout's version timeline. Shows which components were added, removed or reordered
+ * and which field values changed between any two versions, previews an older version and restores it.
+ *
+ * @author Tech4biz Solutions
+ * @copyright Tech4biz Solutions Private
+ * @version 1.0.0
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Drawer, Timeline, Tabs, Select, Tag, Popconfirm, Button, Empty, Spin, message } from 'antd';
+import { HistoryOutlined, RollbackOutlined } from '@ant-design/icons';
+import { formatDistanceToNow, format } from 'date-fns';
+import { getLayout, getLayoutVersions, restoreLayoutVersion } from '../../services/api';
+import { diffLayoutComponents, summarizeLayoutDiff, formatFieldValue } from '../../utils/layoutDiff';
+import { getUserFriendlyLabel } from '../../utils/layoutHelpers';
+import { PERMISSIONS } from '../../constants/permissions';
+import Can from '../common/Can';
+import LayoutVersionPreview from './LayoutVersionPreview';
+
+const CURRENT = 'current';
+
+// Tag colour and wording for each diff status
+const STATUS_TAGS = {
+  added: { color: 'green', label: 'Added' },
+  removed: { color: 'red', label: 'Removed' },
+  moved: { color: 'blue', label: 'Moved' },
+  changed: { color: 'orange', label: 'Edited' },
+};
+
+/**
+ * One-line summary such as "1 added · 2 moved"
+ * @param {{ added: number, removed: number, moved: number, changed: number }} summary
+ * @returns {string}
+ */
+const describeSummary = (summary) => {
+  const parts = [];
+  if (summary.added) parts.push(`${summary.added} added`);
+  if (summary.removed) parts.push(`${summary.removed} removed`);
+  if (summary.moved) parts.push(`${summary.moved} moved`);
+  if (summary.changed) parts.push(`${summary.changed} edited`);
+  return parts.join(' · ') || 'No component changes';
+};
+
+/**
+ * LayoutVersionTimeline Component
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.layoutId - Layout whose history is shown
+ * @param {boolean} props.open - Whether the drawer is visible
+ * @param {function} props.onClose - Close handler
+ * @param {function} [props.onRestored] - Called with the updated layout after a restore
+ * @param {boolean} [props.hasUnsavedChanges=false] - Warn that restoring discards edits in the open editor
+ * @returns {JSX.Element}
+ */
+const LayoutVersionTimeline = ({ layoutId, open, onClose, onRestored, hasUnsavedChanges = false }) => {
+  const [layout, setLayout] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedKey, setSelectedKey] = useState(CURRENT);
+  const [compareKey, setCompareKey] = useState(CURRENT);
+  const [restoring, setRestoring] = useState(false);
+
+  /**
+   * Loads the live layout and its stored versions (newest first).
+   */
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [layoutResponse, versionsResponse] = await Promise.all([getLayout(layoutId), getLayoutVersions(layoutId)]);
+      const list = versionsResponse.data.data || [];
+      setLayout(layoutResponse.data.data);
+      setVersions(list);
+      setSelectedKey(list.length ? String(list[0].version) : CURRENT);
+      setCompareKey(CURRENT);
+    } catch (error) {
+      message.error('Failed to load layout history');
+    } finally {
+      setLoading(false);
+    }
+  }, [layoutId]);
+
+  useEffect(() => {
+    if (open) fetchHistory();
+  }, [open, fetchHistory]);
+
+  // The live layout followed by every stored version, newest first
+  const entries = useMemo(() => {
+    if (!layout) return [];
+    return [
+      {
+        key: CURRENT,
+        label: 'Current',
+        components: layout.components || [],
+        savedAt: layout.updatedAt,
+        savedBy: layout.updatedBy || layout.createdBy,
+      },
+      ...versions.map((version) => ({
+        key: String(version.version),
+        label: `Version ${version.version}`,
+        components: version.components || [],
+        savedAt: version.savedAt,
+        savedBy: version.savedBy,
+        version: version.version,
+      })),
+    ];
+  }, [layout, versions]);
+
+  // What each save changed compared with the version before it
+  const summaries = useMemo(() => entries.map((entry, index) => {
+    const older = entries[index + 1];
+    return older ? describeSummary(summarizeLayoutDiff(diffLayoutComponents(older.components, entry.components))) : 'First saved version';
+  }), [entries]);
+
+  const selected = entries.find((entry) => entry.key === selectedKey);
+  const target = entries.find((entry) => entry.key === compareKey);
+
+  const diff = useMemo(() => (
+    selected && target && selected !== target ? diffLayoutComponents(selected.components, target.components) : []
+  ), [selected, target]);
+  const changedEntries = diff.filter((entry) => entry.status !== 'unchanged');
+
+  /**
+   * Restores the selected version (the live layout becomes a new version, so this can be undone).
+   */
+  const handleRestore = async () => {
+    try {
+      setRestoring(true);
+      const response = await restoreLayoutVersion(layoutId, selected.version);
+      message.success(`Restored ${selected.label.toLowerCase()}`);
+      onRestored?.(response.data.data);
+      fetchHistory();
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to restore version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const compareOptions = entries.map((entry) => ({ value: entry.key, label: entry.label }));
+
+  return (
+    <Drawer
+      title={<span><HistoryOutlined className="mr-2" />Version history{layout ? ` · ${layout.name}` : ''}</span>}
+      placement="right"
+      width={1000}
+      open={open}
+      onClose={onClose}
+      destroyOnClose
+    >
+      {loading && !layout ? (
+        <div className="flex justify-center py-12"><Spin /></div>
+      ) : entries.length <= 1 ? (
+        <Empty description="No earlier versions yet. One is kept every time the layout is saved." />
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Timeline */}
+          <Timeline
+            className="lg:col-span-1"
+            items={entries.map((entry, index) => ({
+              key: entry.key,
+              color: entry.key === selectedKey ? 'blue' : 'gray',
+              children: (
+                <button
+                  type="button"
+                  onClick={() => setSelectedKey(entry.key)}
+                  className={`w-full text-left p-2 -mt-1 rounded-lg transition-colors ${
+                    entry.key === selectedKey ? 'bg-blue-50' : 'hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-semibold text-gray-900">{entry.label}</span>
+                    {entry.savedAt && (
+                      <span className="text-xs text-gray-500">{formatDistanceToNow(new Date(entry.savedAt), { addSuffix: true })}</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-600">{entry.savedBy?.name || entry.savedBy?.email || 'Unknown'}</div>
+                  <div className="text-xs text-gray-500 mt-0.5">{summaries[index]}</div>
+                </button>
+              ),
+            }))}
+          />
+
+          {/* Selected version */}
+          <div className="lg:col-span-2">
+            {selected && (
+              <>
+                <div className="flex items-center justify-between mb-4">
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900">{selected.label}</h3>
+                    {selected.savedAt && (
+                      <p className="text-xs text-gray-500">{format(new Date(selected.savedAt), 'MMM d, yyyy h:mm a')}</p>
+                    )}
+                  </div>
+                  {selected.key !== CURRENT && (
+                    <Can perform={[PERMISSIONS.LAYOUTS_MANAGE, PERMISSIONS.CONTENT_EDIT]}>
+                      <Popconfirm
+                        title={`Restore ${selected.label.toLowerCase()}?`}
+                        description={hasUnsavedChanges
+                          ? 'Your unsaved edits will be discarded. The current layout is kept as a new version.'
+                          : 'The current layout is kept as a new version.'}
+                        onConfirm={handleRestore}
+                        okText="Restore"
+                      >
+                        <Button type="primary" icon={<RollbackOutlined />} loading={restoring}>
+                          Restore this version
+                        </Button>
+                      </Popconfirm>
+                    </Can>
+                  )}
+                </div>
+
+                <Tabs
+                  items={[
+                    {
+                      key: 'changes',
+                      label: 'Changes',
+                      children: (
+                        <div>
+                          <div className="flex items-center gap-2 mb-4 text-sm text-gray-600">
+                            <span>From {selected.label} to</span>
+                            <Select
+                              size="small"
+                              className="w-40"
+                              value={compareKey}
+                              onChange={setCompareKey}
+                              options={compareOptions}
+                              aria-label="Compare with version"
+                            />
+                          </div>
+                          {selected === target ? (
+                            <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="Pick a different version to compare with" />
+                          ) : changedEntries.length === 0 ? (
+                            <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="These versions have the same components and values" />
+                          ) : (
+                            <ul className="space-y-3">
+                              {changedEntries.map((entry) => (
+                                <li key={entry.key} className="p-3 border border-gray-200 rounded-lg bg-white">
+                                  <div className="flex items-center gap-2">
+                                    <Tag color={STATUS_TAGS[entry.status].color}>{STATUS_TAGS[entry.status].label}</Tag>
+                                    <span className="font-medium text-gray-900">{entry.name || entry.type}</span>
+                                    {entry.status === 'moved' && (
+                                      <span className="text-xs text-gray-500">
+                                        position {entry.fromIndex + 1} → {entry.toIndex + 1}
+                                      </span>
+                                    )}
+                                  </div>
+                                  {entry.fields.length > 0 && (
+                                    <table className="w-full mt-2 text-xs">
+                                      <tbody>
+                                        {entry.fields.map((change) => (
+                                          <tr key={change.field} className="align-top border-t border-gray-100">
+                                            <td className="py-1 pr-2 font-medium text-gray-700 w-1/4">{getUserFriendlyLabel(change.field)}</td>
+                                            <td className="py-1 pr-2">
+                                              <span className="bg-red-50 text-red-700 line-through break-words">{formatFieldValue(change.before) || '—'}</span>
+                                            </td>
+                                            <td className="py-1">
+                                              <span className="bg-green-50 text-green-700 break-words">{formatFieldValue(change.after) || '—'}</span>
+                                            </td>
+                                          </tr>
+                                        ))}
+                                      </tbody>
+                                    </table>
+                                  )}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      ),
+                    },
+                    {
+                      key: 'preview',
+                      label: 'Preview',
+                      children: <LayoutVersionPreview title={selected.label} components={selected.components} />,
+                    },
+                  ]}
+                />
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </Drawer>
+  );
+};
+
+LayoutVersionTimeline.propTypes = {
+  layoutId: PropTypes.string.isRequired,
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRestored: PropTypes.func,
+  hasUnsavedChanges: PropTypes.bool,
+};
+
+export default LayoutVersionTimeline;
+
+/**
+ * @copyright Tech4biz Solutions Private
+ */
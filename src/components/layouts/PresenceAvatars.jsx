@@ -0,0 +1,73 @@
+/**
+ * PresenceAvatars.jsx
+ *
+ * Small stacked avatars for the other editors currently in a layout, with their name on hover.
+ *
+ * @author Tech4biz Solutions
+ * @copyright Tech4biz Solutions Private
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Avatar, Tooltip } from 'antd';
+
+// Avatar colours, picked from the user id so each editor keeps the same colour
+const COLORS = ['#2563eb', '#16a34a', '#d97706', '#9333ea', '#dc2626', '#0891b2'];
+
+/**
+ * Initials from a user's name or email
+ * @param {{ name?: string, email?: string }} user
+ * @returns {string}
+ */
+const initials = (user) => {
+  const source = user?.name || user?.email || '?';
+  return source.split(/[\s@.]+/).filter(Boolean).slice(0, 2).map((part) => part[0].toUpperCase()).join('');
+};
+
+/**
+ * Stable colour for a user id
+ * @param {string} id
+ * @returns {string}
+ */
+export const presenceColor = (id = '') => COLORS[[...id].reduce((sum, char) => sum + char.charCodeAt(0), 0) % COLORS.length];
+
+/**
+ * PresenceAvatars Component
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<{ clientId: string, user: Object }>} props.peers - Other editors' states
+ * @param {'small'|'default'} [props.size='default']
+ * @param {function(Object): string} [props.describe] - Tooltip text for a peer; defaults to their name
+ * @returns {JSX.Element|null}
+ */
+const PresenceAvatars = ({ peers, size = 'default', describe }) => {
+  if (!peers.length) return null;
+  return (
+    <Avatar.Group max={{ count: 4 }} size={size}>
+      {peers.map((peer) => (
+        <Tooltip key={peer.clientId} title={describe ? describe(peer) : peer.user?.name || peer.user?.email}>
+          <Avatar style={{ backgroundColor: presenceColor(peer.user?._id) }} size={size}>
+            {initials(peer.user)}
+          </Avatar>
+        </Tooltip>
+      ))}
+    </Avatar.Group>
+  );
+};
+
+PresenceAvatars.propTypes = {
+  peers: PropTypes.arrayOf(PropTypes.shape({
+    clientId: PropTypes.string.isRequired,
+    user: PropTypes.object,
+  })).isRequired,
+  size: PropTypes.oneOf(['small', 'default']),
+  describe: PropTypes.func,
+};
+
+export default PresenceAvatars;
+
+/**
+ * @copyright Tech4biz Solutions Private
+ */
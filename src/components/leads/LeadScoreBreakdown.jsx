@@ -0,0 +1,103 @@
+/* ========================================================================
+ * File: LeadScoreBreakdown.jsx
+ * Description: Lead score, its band and the rules that added or removed points, for the lead preview.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Progress, Tag, Typography } from 'antd';
+import { format } from 'date-fns';
+import { BUDGET_RANGES, COMPANY_SIZES, LEAD_SOURCES, getScoreBand } from '../../utils/leadScoring';
+
+const { Text } = Typography;
+
+/**
+ * Label of an answer, or a dash when the lead did not give one
+ * @param {Array<{ value: string, label: string }>} options
+ * @param {string|null} value
+ * @returns {string}
+ */
+const answerLabel = (options, value) => options.find((option) => option.value === value)?.label || '—';
+
+/**
+ * LeadScoreBreakdown - Shows why a lead scored what it did
+ * @param {object} props
+ * @param {object} props.lead - Lead with `score`, `scoreBreakdown` and `scoredAt`
+ * @param {number} props.threshold - Score at which a lead counts as hot
+ */
+const LeadScoreBreakdown = ({ lead, threshold }) => {
+  const band = getScoreBand(lead.score, threshold);
+  const breakdown = lead.scoreBreakdown || [];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-4">
+        <Progress
+          type="circle"
+          size={64}
+          percent={Math.min(100, Math.round(((lead.score || 0) / threshold) * 100))}
+          format={() => lead.score ?? '—'}
+          status={band.key === 'hot' ? 'exception' : 'normal'}
+        />
+        <div>
+          <Tag color={band.color}>{band.label}</Tag>
+          <div className="text-sm text-gray-500 mt-1">
+            Hot at {threshold} points
+            {lead.scoredAt && ` · scored ${format(new Date(lead.scoredAt), 'MMM dd, yyyy h:mm a')}`}
+          </div>
+        </div>
+      </div>
+      <div className="grid grid-cols-3 gap-3 text-sm">
+        <div>
+          <Text type="secondary">Company size</Text>
+          <div>{answerLabel(COMPANY_SIZES, lead.companySize)}</div>
+        </div>
+        <div>
+          <Text type="secondary">Budget</Text>
+          <div>{answerLabel(BUDGET_RANGES, lead.budget)}</div>
+        </div>
+        <div>
+          <Text type="secondary">Source</Text>
+          <div>{answerLabel(LEAD_SOURCES, lead.source || 'manual')}</div>
+        </div>
+      </div>
+      {breakdown.length ? (
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+          {breakdown.map((entry) => (
+            <li key={entry.ruleId || entry.label} className="flex items-center justify-between px-3 py-2">
+              <div>
+                <div className="font-medium">{entry.label}</div>
+                <div className="text-xs text-gray-500">{entry.condition}</div>
+              </div>
+              <span className={entry.points < 0 ? 'text-red-500 font-medium' : 'text-green-600 font-medium'}>
+                {entry.points > 0 ? `+${entry.points}` : entry.points}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <Text type="secondary">No scoring rule matches this lead yet.</Text>
+      )}
+    </div>
+  );
+};
+
+LeadScoreBreakdown.propTypes = {
+  lead: PropTypes.shape({
+    score: PropTypes.number,
+    scoreBreakdown: PropTypes.array,
+    scoredAt: PropTypes.string,
+    companySize: PropTypes.string,
+    budget: PropTypes.string,
+    source: PropTypes.string
+  }).isRequired,
+  threshold: PropTypes.number.isRequired
+};
+
+export default LeadScoreBreakdown;
+
+/* ========================================================================
+ * End of File: LeadScoreBreakdown.jsx
+ * ======================================================================== */
@@ -0,0 +1,225 @@
+/* ========================================================================
+ * File: ScoringRulesModal.jsx
+ * Description: Lead scoring settings: the hot-lead threshold and the rules that add or remove points,
+ *              plus re-scoring every existing lead.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Alert, Button, Input, InputNumber, Modal, Popconfirm, Select, Switch, Typography } from 'antd';
+import { DeleteOutlined, PlusOutlined, ReloadOutlined } from '@ant-design/icons';
+import { SCORING_FACTS, SCORING_OPERATORS, getScoringFact, validateScoring } from '../../utils/leadScoring';
+
+const { Text } = Typography;
+
+/**
+ * A rule's condition fields reset to sensible defaults for a fact
+ * @param {string} factKey
+ * @returns {{ fact: string, operator: string, value: * }}
+ */
+const conditionFor = (factKey) => {
+  const fact = getScoringFact(factKey);
+  return fact.kind === 'number'
+    ? { fact: factKey, operator: 'gte', value: 1 }
+    : { fact: factKey, operator: 'is', value: fact.options[0].value };
+};
+
+/**
+ * RuleValueInput - The answer or number a rule compares with
+ * @param {object} props
+ * @param {object} props.rule - Rule being edited
+ * @param {function(*): void} props.onChange - Receives the new value
+ */
+const RuleValueInput = ({ rule, onChange }) => {
+  const fact = getScoringFact(rule.fact);
+  if (rule.operator === 'answered') return <span className="w-44 flex-shrink-0" />;
+  if (fact.kind === 'number') {
+    return (
+      <InputNumber
+        value={rule.value}
+        onChange={onChange}
+        min={0}
+        addonAfter={fact.unit}
+        className="w-44 flex-shrink-0"
+        aria-label="Compare with"
+      />
+    );
+  }
+  return (
+    <Select
+      value={rule.value}
+      onChange={onChange}
+      options={fact.options}
+      className="w-44 flex-shrink-0"
+      aria-label="Answer"
+    />
+  );
+};
+
+RuleValueInput.propTypes = {
+  rule: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+/**
+ * ScoringRulesModal - Edits the scoring rules and re-scores existing leads
+ * @param {object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {{ threshold: number, rules: Array<object> }|null} props.settings - Saved settings; null while loading
+ * @param {boolean} props.canEdit - Whether the user may change the rules
+ * @param {boolean} props.saving - Save in progress
+ * @param {boolean} props.recalculating - Re-scoring in progress
+ * @param {function} props.onClose - Close handler
+ * @param {function({ threshold: number, rules: Array<object> }): void} props.onSave - Receives the edited settings
+ * @param {function} props.onRecalculate - Re-scores every lead with the saved rules
+ */
+const ScoringRulesModal = ({ visible, settings, canEdit, saving, recalculating, onClose, onSave, onRecalculate }) => {
+  const [threshold, setThreshold] = useState(null);
+  const [rules, setRules] = useState([]);
+
+  // A save hands back fresh settings, which resets the draft
+  useEffect(() => {
+    if (visible && settings) {
+      setThreshold(settings.threshold);
+      setRules(settings.rules.map((rule) => ({ ...rule })));
+    }
+  }, [visible, settings]);
+
+  const changeRule = (index, patch) => {
+    setRules((list) => list.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)));
+  };
+
+  const problem = settings ? validateScoring({ threshold, rules }) : null;
+  const dirty = Boolean(settings) && (threshold !== settings.threshold || JSON.stringify(rules) !== JSON.stringify(settings.rules));
+
+  return (
+    <Modal
+      title="Lead Scoring"
+      open={visible}
+      onCancel={onClose}
+      width={900}
+      footer={[
+        <Popconfirm
+          key="recalculate"
+          title="Re-score every lead with the saved rules?"
+          onConfirm={onRecalculate}
+          disabled={dirty}
+        >
+          <Button icon={<ReloadOutlined />} loading={recalculating} disabled={dirty}>
+            Recalculate All
+          </Button>
+        </Popconfirm>,
+        <Button key="close" onClick={onClose}>Close</Button>,
+        canEdit && (
+          <Button key="save" type="primary" onClick={() => onSave({ threshold, rules })} loading={saving} disabled={!dirty || Boolean(problem)}>
+            Save Rules
+          </Button>
+        )
+      ]}
+    >
+      <p className="text-sm text-gray-500 mb-4">
+        A lead scores the points of every enabled rule it matches. Scores update when a lead arrives, changes, sends another
+        inquiry or opens a newsletter, and saving these rules re-scores everyone. Leads reaching the threshold raise a notification.
+      </p>
+      <div className="flex items-center gap-2 mb-4">
+        <Text>Hot lead at</Text>
+        <InputNumber value={threshold} onChange={setThreshold} min={1} disabled={!canEdit} aria-label="Hot lead threshold" />
+        <Text>points</Text>
+      </div>
+      <div className="space-y-2">
+        {rules.map((rule, index) => {
+          const fact = getScoringFact(rule.fact);
+          return (
+            <div key={rule._id || `new-${index}`} className="flex items-center gap-2">
+              <Switch
+                checked={rule.enabled !== false}
+                onChange={(enabled) => changeRule(index, { enabled })}
+                disabled={!canEdit}
+                size="small"
+                aria-label={`Enable ${rule.label || 'rule'}`}
+              />
+              <Input
+                value={rule.label}
+                onChange={(e) => changeRule(index, { label: e.target.value })}
+                placeholder="Rule name"
+                maxLength={60}
+                disabled={!canEdit}
+                aria-label="Rule name"
+              />
+              <Select
+                value={rule.fact}
+                onChange={(factKey) => changeRule(index, conditionFor(factKey))}
+                options={SCORING_FACTS.map(({ value, label }) => ({ value, label }))}
+                disabled={!canEdit}
+                className="w-52 flex-shrink-0"
+                aria-label="Looks at"
+              />
+              <Select
+                value={rule.operator}
+                onChange={(operator) => changeRule(index, { operator })}
+                options={SCORING_OPERATORS[fact.kind]}
+                disabled={!canEdit}
+                className="w-32 flex-shrink-0"
+                aria-label="Comparison"
+              />
+              {canEdit ? (
+                <RuleValueInput rule={rule} onChange={(value) => changeRule(index, { value })} />
+              ) : (
+                <span className="w-44 flex-shrink-0 text-sm">{fact.options?.find((option) => option.value === rule.value)?.label ?? rule.value}</span>
+              )}
+              <InputNumber
+                value={rule.points}
+                onChange={(points) => changeRule(index, { points })}
+                disabled={!canEdit}
+                addonAfter="pts"
+                className="w-28 flex-shrink-0"
+                aria-label="Points"
+              />
+              <Button
+                icon={<DeleteOutlined />}
+                danger
+                disabled={!canEdit}
+                onClick={() => setRules((list) => list.filter((_, i) => i !== index))}
+                aria-label="Remove rule"
+              />
+            </div>
+          );
+        })}
+      </div>
+      {canEdit && (
+        <Button
+          type="dashed"
+          icon={<PlusOutlined />}
+          onClick={() => setRules((list) => [...list, { label: '', ...conditionFor('companySize'), points: 10, enabled: true }])}
+          className="w-full mt-3"
+        >
+          Add Rule
+        </Button>
+      )}
+      {problem && <Alert type="warning" showIcon message={problem} className="mt-4" />}
+      {dirty && !problem && <Alert type="info" showIcon message="Save the rules before recalculating scores" className="mt-4" />}
+    </Modal>
+  );
+};
+
+ScoringRulesModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  settings: PropTypes.shape({
+    threshold: PropTypes.number,
+    rules: PropTypes.array
+  }),
+  canEdit: PropTypes.bool,
+  saving: PropTypes.bool,
+  recalculating: PropTypes.bool,
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onRecalculate: PropTypes.func.isRequired
+};
+
+export default ScoringRulesModal;
+
+/* ========================================================================
+ * End of File: ScoringRulesModal.jsx
+ * ======================================================================== */
@@ -1,46 +1,50 @@
 /* ========================================================================
  * File: StatusButtons.jsx
- * Description: Status update buttons for lead management.
+ * Description: Status update buttons for lead management, driven by the pipeline stages and transitions.
  * Author: Tech4biz Solutions
  * Copyright: Tech4biz Solutions Private
  * ======================================================================== */
 
 import React from 'react';
 import { Button, Tooltip } from 'antd';
+import { getStage, getTransition } from '../../utils/pipeline';
 
 /**
- * StatusButtons - Renders status update buttons for leads
+ * Describes what a transition asks for, e.g. "Requires feedback and a follow-up date"
+ * @param {object} transition
+ * @returns {string}
+ */
+const describeRequirements = (transition) => {
+  const needs = [
+    transition.requireFeedback && 'feedback',
+    transition.requireFollowUp && 'a follow-up date'
+  ].filter(Boolean);
+  return needs.length ? `Requires ${needs.join(' and ')}` : '';
+};
+
+/**
+ * StatusButtons - Renders a button per pipeline stage; stages the record cannot move to are disabled
  * @param {object} props
+ * @param {string} props.currentStatus - Status the record is in now
  * @param {string} props.selectedStatus - Currently selected status
- * @param {Set} props.usedStatuses - Set of used statuses
  * @param {function} props.onStatusUpdate - Handler for status update
+ * @param {Array<object>} props.stages - Pipeline stages in board order
+ * @param {Array<object>} props.transitions - Allowed transitions between stages
  */
-const StatusButtons = ({ selectedStatus, usedStatuses, onStatusUpdate }) => {
-  const statuses = [
-    { key: 'contacted', label: 'Contacted', color: 'green' },
-    { key: 'qualified', label: 'Qualified', color: 'purple' },
-    { key: 'lost', label: 'Lost', color: 'red' },
-    { key: 'rejected', label: 'Rejected', color: 'orange' }
-  ];
+const StatusButtons = ({ currentStatus, selectedStatus, onStatusUpdate, stages, transitions }) => {
+  const current = getStage(stages, currentStatus);
   return (
-    <div className="flex gap-2 mb-4">
-      {statuses.map(({ key, label, color }) => {
-        const isUsed = usedStatuses.has(key);
-        const tooltipText = isUsed ? `Lead is already ${label.toLowerCase()}` : '';
+    <div className="flex flex-wrap gap-2 mb-4">
+      {stages.filter(({ key }) => key !== currentStatus).map(({ key, label, color }) => {
+        const transition = getTransition(transitions, stages, currentStatus, key);
+        const tooltipText = transition ? describeRequirements(transition) : `Cannot move from ${current.label} to ${label}`;
         return (
           <Tooltip key={key} title={tooltipText}>
             <Button
               type={selectedStatus === key ? 'primary' : 'default'}
               onClick={() => onStatusUpdate(key)}
-              className={selectedStatus === key ? `bg-${color}-500 border-${color}-500` : ''}
-              disabled={isUsed}
-              style={isUsed ? {
-                opacity: 0.5,
-                cursor: 'not-allowed',
-                backgroundColor: '#f5f5f5',
-                borderColor: '#d9d9d9',
-                color: 'rgba(0, 0, 0, 0.25)'
-              } : {}}
+              disabled={!transition}
+              style={selectedStatus === key ? { backgroundColor: color, borderColor: color } : {}}
             >
               {label}
             </Button>
@@ -55,4 +59,4 @@ export default StatusButtons;
 
 /* ========================================================================
  * End of File: StatusButtons.jsx
- * ======================================================================== */ 
\ No newline at end of file
+ * ======================================================================== */
@@ -7,8 +7,9 @@
 
 import React, { useState, useEffect } from 'react';
 import { Modal, Timeline, Tag } from 'antd';
-import { HistoryOutlined } from '@ant-design/icons';
+import { HistoryOutlined, ArrowRightOutlined } from '@ant-design/icons';
 import { format } from 'date-fns';
+import { getStage } from '../../utils/pipeline';
 
 /**
  * StatusHistoryModal - Shows the status history timeline for a lead
@@ -17,9 +18,9 @@ import { format } from 'date-fns';
  * @param {boolean} props.visible - Modal visibility
  * @param {function} props.onClose - Close handler
  * @param {object} props.lead - Lead object with statusHistory
- * @param {function} props.getTimelineColor - Function to get color for status
+ * @param {Array<object>} props.stages - Pipeline stages, for status labels and colors
  */
-const StatusHistoryModal = ({ visible, onClose, lead, getTimelineColor }) => {
+const StatusHistoryModal = ({ visible, onClose, lead, stages }) => {
   const [activePanel, setActivePanel] = useState(lead?.statusHistory?.length ? `${lead.statusHistory[0]._id}` : '');
   useEffect(() => {
     if (lead?.statusHistory?.length) setActivePanel(`${lead.statusHistory[0]._id}`);
@@ -35,11 +36,13 @@ const StatusHistoryModal = ({ visible, onClose, lead, getTimelineColor }) => {
     >
       {lead?.statusHistory?.length > 0 ? (
         <Timeline mode="left">
-          {lead.statusHistory.map((history, idx) => (
+          {lead.statusHistory.map((history) => {
+            const stage = getStage(stages, history.status);
+            return (
             <Timeline.Item
               key={history._id}
-              color={getTimelineColor(history.status)}
-              dot={<span className="w-4 h-4 rounded-full inline-block" style={{ background: getTimelineColor(history.status) }} />}
+              color={stage.color}
+              dot={<span className="w-4 h-4 rounded-full inline-block" style={{ background: stage.color }} />}
             >
               <div
                 className={`cursor-pointer ${activePanel === history._id ? 'bg-blue-50' : ''}`}
@@ -47,18 +50,33 @@ const StatusHistoryModal = ({ visible, onClose, lead, getTimelineColor }) => {
                 style={{ borderRadius: 8, padding: 12, marginBottom: 8 }}
               >
                 <div className="flex items-center justify-between">
-                  <Tag color={getTimelineColor(history.status)}>{history.status}</Tag>
+                  <span>
+                    {history.fromStatus && (
+                      <>
+                        <Tag>{getStage(stages, history.fromStatus).label}</Tag>
+                        <ArrowRightOutlined className="text-gray-400 mr-2" />
+                      </>
+                    )}
+                    <Tag color={stage.color}>{stage.label}</Tag>
+                    {history.source === 'inquiry' && <Tag>Inquiry</Tag>}
+                  </span>
                   <span className="text-xs text-gray-400">{format(new Date(history.updatedAt), 'MMM dd, yyyy h:mm a')}</span>
                 </div>
                 {activePanel === history._id && (
                   <div className="mt-2">
-                    <div className="mb-2 text-gray-700"><b>Feedback:</b> {history.feedback}</div>
-                    <div className="text-xs text-gray-500">By: {history.clientEmail || 'N/A'} | Company: {history.company || 'N/A'}</div>
+                    <div className="mb-2 text-gray-700"><b>Feedback:</b> {history.feedback || 'No feedback provided'}</div>
+                    {history.followUpAt && (
+                      <div className="mb-2 text-gray-700"><b>Follow up by:</b> {format(new Date(history.followUpAt), 'MMM dd, yyyy h:mm a')}</div>
+                    )}
+                    <div className="text-xs text-gray-500">
+                      {history.changedBy ? `Changed by ${history.changedBy.name}` : `By: ${history.clientEmail || 'N/A'} | Company: ${history.company || 'N/A'}`}
+                    </div>
                   </div>
                 )}
               </div>
             </Timeline.Item>
-          ))}
+            );
+          })}
         </Timeline>
       ) : (
         <div className="text-center py-8 text-gray-500">
@@ -8,6 +8,8 @@
 import React from 'react';
 import { FaEye, FaEdit, FaTrash, FaFile } from 'react-icons/fa';
 import { Pagination } from 'antd';
+import Can from '../common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
 
 /**
  * FileGrid - File card grid, file actions, and pagination
@@ -63,25 +65,29 @@ const FileGrid = ({ files, getMediaUrl, getFileTypeIcon, getFileTypeLabel, handl
                   >
                     <FaEye />
                   </button>
-                  <button 
-                    className="p-2 rounded-full bg-white/80 hover:bg-blue-600 hover:text-white text-gray-700 shadow"
-                    onClick={() => {
-                      setEditFile(file);
-                      setShowEditModal(true);
-                    }}
-                    title="Edit"
-                    aria-label={`Edit file ${file.name}`}
-                  >
-                    <FaEdit />
-                  </button>
-                  <button
-                    className="p-2 rounded-full bg-white/80 hover:bg-red-600 hover:text-white text-gray-700 shadow"
-                    onClick={() => handleDeleteConfirmation(file, 'file')}
-                    title="Delete"
-                    aria-label={`Delete file ${file.name}`}
-                  >
-                    <FaTrash />
-                  </button>
+                  <Can perform={PERMISSIONS.MEDIA_UPLOAD}>
+                    <button 
+                      className="p-2 rounded-full bg-white/80 hover:bg-blue-600 hover:text-white text-gray-700 shadow"
+                      onClick={() => {
+                        setEditFile(file);
+                        setShowEditModal(true);
+                      }}
+                      title="Edit"
+                      aria-label={`Edit file ${file.name}`}
+                    >
+                      <FaEdit />
+                    </button>
+                  </Can>
+                  <Can perform={PERMISSIONS.MEDIA_DELETE}>
+                    <button
+                      className="p-2 rounded-full bg-white/80 hover:bg-red-600 hover:text-white text-gray-700 shadow"
+                      onClick={() => handleDeleteConfirmation(file, 'file')}
+                      title="Delete"
+                      aria-label={`Delete file ${file.name}`}
+                    >
+                      <FaTrash />
+                    </button>
+                  </Can>
                 </div>
               </div>
               <div className="p-4">
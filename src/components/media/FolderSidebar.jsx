@@ -7,6 +7,8 @@
 
 import React from 'react';
 import { FaFolder, FaSearch, FaTimes, FaTrash } from 'react-icons/fa';
+import Can from '../common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
 
 /**
  * FolderSidebar - Sidebar for folder listing, search, and selection
@@ -17,10 +19,9 @@ import { FaFolder, FaSearch, FaTimes, FaTrash } from 'react-icons/fa';
  * @param {string} props.folderSearchQuery - Folder search query
  * @param {function} props.setFolderSearchQuery - Setter for folder search query
  * @param {function} props.handleClearFolderSearch - Handler to clear folder search
- * @param {object} props.user - Current user object
  * @param {function} props.handleDeleteConfirmation - Handler for folder delete
  */
-const FolderSidebar = ({ folders, currentFolder, onFolderClick, folderSearchQuery, setFolderSearchQuery, handleClearFolderSearch, user, handleDeleteConfirmation }) => (
+const FolderSidebar = ({ folders, currentFolder, onFolderClick, folderSearchQuery, setFolderSearchQuery, handleClearFolderSearch, handleDeleteConfirmation }) => (
   <div className="p-4">
     <div className="relative mb-4">
       <input
@@ -62,7 +63,7 @@ const FolderSidebar = ({ folders, currentFolder, onFolderClick, folderSearchQuer
             <FaFolder className={currentFolder === folder._id ? 'text-blue-700' : 'text-gray-400'} />
             <span>{folder.name}</span>
           </div>
-          {user?.isAdmin && (
+          <Can perform={PERMISSIONS.MEDIA_DELETE}>
             <button
               className="opacity-0 group-hover:opacity-100 transition-opacity"
               onClick={(e) => {
@@ -73,7 +74,7 @@ const FolderSidebar = ({ folders, currentFolder, onFolderClick, folderSearchQuer
             >
               <FaTrash className="text-red-500 hover:text-red-600" />
             </button>
-          )}
+          </Can>
         </button>
       ))}
     </div>
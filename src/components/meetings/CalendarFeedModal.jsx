@@ -0,0 +1,67 @@
+/* ========================================================================
+ * File: CalendarFeedModal.jsx
+ * Description: The user's private calendar feed address, to subscribe to their meetings from a calendar app.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Button, Modal, Popconfirm, Skeleton, Typography } from 'antd';
+import { ReloadOutlined } from '@ant-design/icons';
+
+const { Paragraph, Text } = Typography;
+
+/**
+ * CalendarFeedModal - Shows and replaces the feed address
+ * @param {object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {string|null} props.url - Feed address; null while loading
+ * @param {boolean} props.resetting - Replacement in progress
+ * @param {function} props.onReset - Replaces the address, so the old one stops working
+ * @param {function} props.onClose - Close handler
+ */
+const CalendarFeedModal = ({ visible, url, resetting, onReset, onClose }) => (
+  <Modal
+    title="Subscribe to My Meetings"
+    open={visible}
+    onCancel={onClose}
+    footer={[
+      <Popconfirm
+        key="reset"
+        title="Replace the feed address?"
+        description="Calendars subscribed to the current address stop updating."
+        onConfirm={onReset}
+      >
+        <Button icon={<ReloadOutlined />} loading={resetting} disabled={!url}>Reset Address</Button>
+      </Popconfirm>,
+      <Button key="close" type="primary" onClick={onClose}>Done</Button>
+    ]}
+  >
+    <p className="text-sm text-gray-500 mb-4">
+      Add this address to Google Calendar, Outlook or Apple Calendar as a subscribed calendar to see the lead and inquiry
+      meetings you own. Calendar apps refresh it on their own schedule. Anyone with the address can read these meetings, so keep it private.
+    </p>
+    {url ? (
+      <Paragraph copyable={{ text: url }} className="!mb-0">
+        <Text code className="break-all">{url}</Text>
+      </Paragraph>
+    ) : (
+      <Skeleton.Input active block />
+    )}
+  </Modal>
+);
+
+CalendarFeedModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  url: PropTypes.string,
+  resetting: PropTypes.bool,
+  onReset: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default CalendarFeedModal;
+
+/* ========================================================================
+ * End of File: CalendarFeedModal.jsx
+ * ======================================================================== */
@@ -0,0 +1,394 @@
+/* ========================================================================
+ * File: MeetingCalendar.jsx
+ * Description: Day, week and month calendar of lead and inquiry meetings. Meetings are dragged to another day,
+ *              or up and down a day column in half-hour steps, to reschedule them.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import dayjs from 'dayjs';
+import {
+  DndContext,
+  DragOverlay,
+  KeyboardSensor,
+  PointerSensor,
+  useDraggable,
+  useDroppable,
+  useSensor,
+  useSensors
+} from '@dnd-kit/core';
+import { Tooltip } from 'antd';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import { durationMinutes, meetingInterval } from '../../utils/meetings';
+
+// Height of one half-hour row in the day and week views, in pixels
+const SLOT_HEIGHT = 24;
+const SLOT_MINUTES = 30;
+const SLOTS_PER_DAY = (24 * 60) / SLOT_MINUTES;
+// The day and week views open scrolled to the start of the working day
+const FIRST_VISIBLE_HOUR = 8;
+
+/**
+ * Minutes since midnight of an HH:mm time
+ * @param {string} time
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * HH:mm of minutes since midnight
+ * @param {number} minutes
+ * @returns {string}
+ */
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Side-by-side lanes for one day's meetings, so overlapping meetings do not cover each other
+ * @param {Array<object>} meetings - Meetings of one day, in start order
+ * @returns {{ lanes: Object<string, number>, count: number }}
+ */
+const assignLanes = (meetings) => {
+  const laneEnds = [];
+  const lanes = {};
+  meetings.forEach((meeting) => {
+    const { start, end } = meetingInterval(meeting);
+    const free = laneEnds.findIndex((laneEnd) => laneEnd <= start);
+    const lane = free === -1 ? laneEnds.length : free;
+    laneEnds[lane] = end;
+    lanes[meeting._id] = lane;
+  });
+  return { lanes, count: Math.max(laneEnds.length, 1) };
+};
+
+/**
+ * MeetingChipContent - Visible part of a meeting, shared by the chip and its drag preview
+ * @param {object} props
+ * @param {object} props.meeting
+ * @param {Array<object>} [props.conflicts] - Overlapping meetings of the same person
+ * @param {boolean} [props.compact] - One-line version for the month view
+ */
+const MeetingChipContent = ({ meeting, conflicts = [], compact = false }) => {
+  const isLead = meeting.record?.type === 'lead';
+  return (
+    <div
+      className={`h-full rounded px-1.5 py-0.5 text-xs overflow-hidden border-l-4 ${
+        isLead ? 'bg-blue-50 border-blue-500 text-blue-900' : 'bg-purple-50 border-purple-500 text-purple-900'
+      } ${conflicts.length ? 'ring-1 ring-red-400' : ''}`}
+    >
+      <div className="flex items-center gap-1 font-medium truncate">
+        {conflicts.length > 0 && <FaExclamationTriangle className="text-red-500 flex-shrink-0" aria-label="Overlaps another meeting" />}
+        <span className="truncate">{meeting.time} {meeting.title}</span>
+      </div>
+      {!compact && (
+        <div className="truncate opacity-75">
+          {meeting.record?.name}{meeting.owner ? ` · ${meeting.owner.name}` : ''}
+        </div>
+      )}
+    </div>
+  );
+};
+
+MeetingChipContent.propTypes = {
+  meeting: PropTypes.object.isRequired,
+  conflicts: PropTypes.array,
+  compact: PropTypes.bool
+};
+
+/**
+ * MeetingChip - Draggable meeting; a click (without dragging) opens it
+ */
+const MeetingChip = ({ meeting, conflicts, compact, disabled, onOpen, style }) => {
+  const { attributes, listeners, setNodeRef, isDragging } = useDraggable({ id: meeting._id, data: { meeting }, disabled });
+  const title = conflicts.length
+    ? `Overlaps ${conflicts.map((other) => `"${other.title}"`).join(', ')} for ${meeting.owner?.name || 'the same person'}`
+    : `${meeting.title} with ${meeting.record?.name}`;
+  return (
+    <Tooltip title={title}>
+      <div
+        ref={setNodeRef}
+        {...attributes}
+        {...listeners}
+        onClick={() => onOpen(meeting)}
+        style={style}
+        className={`cursor-pointer ${compact ? 'mb-1' : ''} ${isDragging ? 'opacity-40' : ''}`}
+        aria-label={`${meeting.title}, ${meeting.date} ${meeting.time}`}
+      >
+        <MeetingChipContent meeting={meeting} conflicts={conflicts} compact={compact} />
+      </div>
+    </Tooltip>
+  );
+};
+
+MeetingChip.propTypes = {
+  meeting: PropTypes.object.isRequired,
+  conflicts: PropTypes.array.isRequired,
+  compact: PropTypes.bool,
+  disabled: PropTypes.bool,
+  onOpen: PropTypes.func.isRequired,
+  style: PropTypes.object
+};
+
+/**
+ * DayColumn - One day of the time grid; a drop moves the meeting to this day
+ */
+const DayColumn = ({ day, meetings, conflicts, canReschedule, onOpen }) => {
+  const { setNodeRef, isOver } = useDroppable({ id: `day|${day.format('YYYY-MM-DD')}` });
+  const { lanes, count } = useMemo(() => assignLanes(meetings), [meetings]);
+  return (
+    <div
+      ref={setNodeRef}
+      className={`relative flex-1 min-w-[120px] border-l border-gray-100 ${isOver ? 'bg-blue-50/60' : ''}`}
+      style={{ height: SLOTS_PER_DAY * SLOT_HEIGHT }}
+    >
+      {Array.from({ length: SLOTS_PER_DAY }, (_, slot) => (
+        <div key={slot} className={`border-b ${slot % 2 ? 'border-gray-100' : 'border-gray-50'}`} style={{ height: SLOT_HEIGHT }} />
+      ))}
+      {meetings.map((meeting) => (
+        <MeetingChip
+          key={meeting._id}
+          meeting={meeting}
+          conflicts={conflicts[meeting._id] || []}
+          disabled={!canReschedule(meeting)}
+          onOpen={onOpen}
+          style={{
+            position: 'absolute',
+            top: (toMinutes(meeting.time) / SLOT_MINUTES) * SLOT_HEIGHT,
+            height: Math.max((durationMinutes(meeting) / SLOT_MINUTES) * SLOT_HEIGHT, SLOT_HEIGHT) - 2,
+            left: `calc(${(lanes[meeting._id] / count) * 100}% + 2px)`,
+            width: `calc(${100 / count}% - 4px)`
+          }}
+        />
+      ))}
+    </div>
+  );
+};
+
+DayColumn.propTypes = {
+  day: PropTypes.object.isRequired,
+  meetings: PropTypes.array.isRequired,
+  conflicts: PropTypes.object.isRequired,
+  canReschedule: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired
+};
+
+/**
+ * TimeGrid - Day or week view: half-hour rows down, one column per day
+ */
+const TimeGrid = ({ days, meetingsByDay, conflicts, canReschedule, onOpen }) => {
+  const scrollRef = useRef(null);
+  const today = dayjs().format('YYYY-MM-DD');
+
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = FIRST_VISIBLE_HOUR * 2 * SLOT_HEIGHT;
+  }, []);
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden">
+      <div className="flex border-b border-gray-200 bg-gray-50">
+        <div className="w-14 flex-shrink-0" />
+        {days.map((day) => (
+          <div
+            key={day.format('YYYY-MM-DD')}
+            className={`flex-1 min-w-[120px] text-center py-2 text-sm ${day.format('YYYY-MM-DD') === today ? 'text-blue-600 font-semibold' : 'text-gray-700'}`}
+          >
+            {day.format('ddd D')}
+          </div>
+        ))}
+      </div>
+      <div ref={scrollRef} className="flex overflow-auto" style={{ maxHeight: 600 }}>
+        <div className="w-14 flex-shrink-0">
+          {Array.from({ length: 24 }, (_, hour) => (
+            <div key={hour} className="text-[11px] text-gray-400 text-right pr-2 -mt-1.5" style={{ height: SLOT_HEIGHT * 2 }}>
+              {hour ? toTime(hour * 60) : ''}
+            </div>
+          ))}
+        </div>
+        {days.map((day) => (
+          <DayColumn
+            key={day.format('YYYY-MM-DD')}
+            day={day}
+            meetings={meetingsByDay[day.format('YYYY-MM-DD')] || []}
+            conflicts={conflicts}
+            canReschedule={canReschedule}
+            onOpen={onOpen}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+TimeGrid.propTypes = {
+  days: PropTypes.array.isRequired,
+  meetingsByDay: PropTypes.object.isRequired,
+  conflicts: PropTypes.object.isRequired,
+  canReschedule: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired
+};
+
+/**
+ * MonthCell - One day of the month view; a drop moves the meeting to this day at the same time
+ */
+const MonthCell = ({ day, inMonth, meetings, conflicts, canReschedule, onOpen, onShowDay }) => {
+  const { setNodeRef, isOver } = useDroppable({ id: `day|${day.format('YYYY-MM-DD')}` });
+  const isToday = day.isSame(dayjs(), 'day');
+  return (
+    <div
+      ref={setNodeRef}
+      className={`min-h-[110px] p-1 border-r border-b border-gray-100 ${inMonth ? '' : 'bg-gray-50'} ${isOver ? 'bg-blue-50' : ''}`}
+    >
+      <button
+        type="button"
+        onClick={() => onShowDay(day)}
+        className={`text-xs mb-1 px-1 rounded ${isToday ? 'bg-blue-500 text-white' : inMonth ? 'text-gray-700' : 'text-gray-400'} hover:underline`}
+        aria-label={`Show ${day.format('MMMM D')}`}
+      >
+        {day.date()}
+      </button>
+      {meetings.map((meeting) => (
+        <MeetingChip
+          key={meeting._id}
+          meeting={meeting}
+          conflicts={conflicts[meeting._id] || []}
+          compact
+          disabled={!canReschedule(meeting)}
+          onOpen={onOpen}
+        />
+      ))}
+    </div>
+  );
+};
+
+MonthCell.propTypes = {
+  day: PropTypes.object.isRequired,
+  inMonth: PropTypes.bool.isRequired,
+  meetings: PropTypes.array.isRequired,
+  conflicts: PropTypes.object.isRequired,
+  canReschedule: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired,
+  onShowDay: PropTypes.func.isRequired
+};
+
+/**
+ * Days shown by a view around a date
+ * @param {'day'|'week'|'month'} view
+ * @param {dayjs.Dayjs} date
+ * @returns {Array<dayjs.Dayjs>}
+ */
+export const visibleDays = (view, date) => {
+  if (view === 'day') return [date.startOf('day')];
+  const first = view === 'week' ? date.startOf('week') : date.startOf('month').startOf('week');
+  return Array.from({ length: view === 'week' ? 7 : 42 }, (_, index) => first.add(index, 'day'));
+};
+
+/**
+ * MeetingCalendar - Meetings laid out by day, week or month
+ * @param {object} props
+ * @param {'day'|'week'|'month'} props.view - Calendar view
+ * @param {dayjs.Dayjs} props.date - Any day inside the period to show
+ * @param {Array<object>} props.meetings - Meetings with `date`, `time`, `duration`, `owner` and `record`
+ * @param {Object<string, Array<object>>} props.conflicts - Overlapping meetings per meeting id
+ * @param {function(object): boolean} props.canReschedule - Whether a meeting can be dragged
+ * @param {function(object, { date: string, time: string }): void} props.onReschedule - Receives the meeting and its new date and time
+ * @param {function(object): void} props.onOpen - Opens a meeting
+ * @param {function(dayjs.Dayjs): void} props.onShowDay - Switches to the day view of a day
+ */
+const MeetingCalendar = ({ view, date, meetings, conflicts, canReschedule, onReschedule, onOpen, onShowDay }) => {
+  const [activeMeeting, setActiveMeeting] = useState(null);
+  // A small drag distance keeps plain clicks working as "open"
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 6 } }),
+    useSensor(KeyboardSensor)
+  );
+  const days = useMemo(() => visibleDays(view, date), [view, date]);
+
+  const meetingsByDay = useMemo(() => meetings.reduce((acc, meeting) => {
+    (acc[meeting.date] = acc[meeting.date] || []).push(meeting);
+    return acc;
+  }, {}), [meetings]);
+
+  const handleDragEnd = ({ active, over, delta }) => {
+    setActiveMeeting(null);
+    const meeting = active.data.current?.meeting;
+    if (!meeting || !over) return;
+    const targetDate = String(over.id).split('|')[1];
+    let time = meeting.time;
+    if (view !== 'month') {
+      // Vertical movement shifts the start in half-hour steps, kept inside the day
+      const steps = Math.round(delta.y / SLOT_HEIGHT);
+      const minutes = toMinutes(meeting.time) + steps * SLOT_MINUTES;
+      time = toTime(Math.min(Math.max(minutes, 0), 24 * 60 - SLOT_MINUTES));
+    }
+    if (targetDate !== meeting.date || time !== meeting.time) onReschedule(meeting, { date: targetDate, time });
+  };
+
+  return (
+    <DndContext
+      sensors={sensors}
+      onDragStart={({ active }) => setActiveMeeting(active.data.current?.meeting || null)}
+      onDragCancel={() => setActiveMeeting(null)}
+      onDragEnd={handleDragEnd}
+    >
+      {view === 'month' ? (
+        <div className="border-l border-t border-gray-100 rounded-lg overflow-hidden">
+          <div className="grid grid-cols-7 bg-gray-50 border-b border-gray-200">
+            {days.slice(0, 7).map((day) => (
+              <div key={day.day()} className="text-center text-xs font-medium text-gray-500 py-2">{day.format('ddd')}</div>
+            ))}
+          </div>
+          <div className="grid grid-cols-7">
+            {days.map((day) => (
+              <MonthCell
+                key={day.format('YYYY-MM-DD')}
+                day={day}
+                inMonth={day.month() === date.month()}
+                meetings={meetingsByDay[day.format('YYYY-MM-DD')] || []}
+                conflicts={conflicts}
+                canReschedule={canReschedule}
+                onOpen={onOpen}
+                onShowDay={onShowDay}
+              />
+            ))}
+          </div>
+        </div>
+      ) : (
+        <TimeGrid
+          days={days}
+          meetingsByDay={meetingsByDay}
+          conflicts={conflicts}
+          canReschedule={canReschedule}
+          onOpen={onOpen}
+        />
+      )}
+      <DragOverlay>
+        {activeMeeting ? (
+          <div className="shadow-lg w-48" style={view === 'month' ? undefined : { height: Math.max((durationMinutes(activeMeeting) / SLOT_MINUTES) * SLOT_HEIGHT, SLOT_HEIGHT) }}>
+            <MeetingChipContent meeting={activeMeeting} conflicts={conflicts[activeMeeting._id] || []} compact={view === 'month'} />
+          </div>
+        ) : null}
+      </DragOverlay>
+    </DndContext>
+  );
+};
+
+MeetingCalendar.propTypes = {
+  view: PropTypes.oneOf(['day', 'week', 'month']).isRequired,
+  date: PropTypes.object.isRequired,
+  meetings: PropTypes.array.isRequired,
+  conflicts: PropTypes.object.isRequired,
+  canReschedule: PropTypes.func.isRequired,
+  onReschedule: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired,
+  onShowDay: PropTypes.func.isRequired
+};
+
+export default MeetingCalendar;
+
+/* ========================================================================
+ * End of File: MeetingCalendar.jsx
+ * ======================================================================== */
@@ -0,0 +1,93 @@
+/* ========================================================================
+ * File: MeetingDetailsModal.jsx
+ * Description: Details of one calendar meeting: time, owner, linked lead or inquiry, location and agenda.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { Alert, Button, Descriptions, Modal, Tag } from 'antd';
+import { DownloadOutlined } from '@ant-design/icons';
+import { format } from 'date-fns';
+import { meetingInterval } from '../../utils/meetings';
+
+/**
+ * MeetingDetailsModal - Read-only view of a meeting
+ * @param {object} props
+ * @param {object|null} props.meeting - Meeting to show; null hides the modal
+ * @param {Array<object>} props.conflicts - Overlapping meetings of the same person
+ * @param {function} props.onClose - Close handler
+ * @param {function(object): void} props.onExport - Downloads the meeting as an .ics file
+ */
+const MeetingDetailsModal = ({ meeting, conflicts, onClose, onExport }) => {
+  const interval = meeting ? meetingInterval(meeting) : null;
+  const isLead = meeting?.record?.type === 'lead';
+
+  return (
+    <Modal
+      title={meeting?.title}
+      open={Boolean(meeting)}
+      onCancel={onClose}
+      footer={[
+        <Button key="export" icon={<DownloadOutlined />} onClick={() => onExport(meeting)}>
+          Add to Calendar (.ics)
+        </Button>,
+        <Button key="close" type="primary" onClick={onClose}>Close</Button>
+      ]}
+    >
+      {meeting && (
+        <div className="space-y-4">
+          {conflicts.length > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              message={`${meeting.owner?.name || 'This person'} has overlapping meetings`}
+              description={conflicts.map((other) => `${other.title} (${other.date} ${other.time}, ${other.duration})`).join('; ')}
+            />
+          )}
+          <Descriptions column={1} size="small" bordered>
+            <Descriptions.Item label="When">
+              {format(interval.start, 'EEE, MMM dd, yyyy h:mm a')} – {format(interval.end, 'h:mm a')}
+            </Descriptions.Item>
+            <Descriptions.Item label="Owner">{meeting.owner?.name || 'Unassigned'}</Descriptions.Item>
+            <Descriptions.Item label={isLead ? 'Lead' : 'Inquiry'}>
+              <Tag color={isLead ? 'blue' : 'purple'}>{isLead ? 'Lead' : 'Inquiry'}</Tag>
+              <Link to={isLead ? '/dashboard/leads' : '/dashboard/inquiries'}>{meeting.record?.name}</Link>
+              {meeting.record?.company && <span className="text-gray-500"> · {meeting.record.company}</span>}
+            </Descriptions.Item>
+            <Descriptions.Item label="Where">
+              {meeting.locationType === 'virtual' ? (
+                <a href={meeting.meetingLink} target="_blank" rel="noopener noreferrer">
+                  {meeting.platform === 'zoom' ? 'Zoom' : 'Google Meet'}
+                </a>
+              ) : (
+                meeting.location || 'Not set'
+              )}
+            </Descriptions.Item>
+            {meeting.description && <Descriptions.Item label="Description">{meeting.description}</Descriptions.Item>}
+            {meeting.agenda && (
+              <Descriptions.Item label="Agenda">
+                <span className="whitespace-pre-line">{meeting.agenda}</span>
+              </Descriptions.Item>
+            )}
+          </Descriptions>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+MeetingDetailsModal.propTypes = {
+  meeting: PropTypes.object,
+  conflicts: PropTypes.array.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired
+};
+
+export default MeetingDetailsModal;
+
+/* ========================================================================
+ * End of File: MeetingDetailsModal.jsx
+ * ======================================================================== */
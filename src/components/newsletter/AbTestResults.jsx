@@ -0,0 +1,118 @@
+// ===============================
+// File: AbTestResults.jsx
+// Description: Per-variant results of a newsletter A/B test (sent, open and click rates), with the leader or winner marked.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaTrophy, FaFlask } from 'react-icons/fa';
+import dayjs from 'dayjs';
+import Can from '../common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
+import { AB_METRICS, pickWinner, variantRate } from '../../utils/abTesting';
+
+/**
+ * Formats a rate as a percentage.
+ * @param {number} rate - Between 0 and 1
+ * @returns {string}
+ */
+const percent = (rate) => `${Math.round(rate * 1000) / 10}%`;
+
+/**
+ * A/B test results
+ * @param {Object} props
+ * @param {Object} props.abTest - Test with `stats` on each variant
+ * @param {function(string): void} [props.onPickWinner] - Sends a variant to the rest of the audience now; only offered while testing
+ */
+const AbTestResults = ({ abTest, onPickWinner }) => {
+  const testing = abTest.status === 'testing';
+  const metricLabel = AB_METRICS.find((metric) => metric.value === abTest.metric)?.label.toLowerCase();
+  const hasResults = abTest.variants.some((variant) => variant.stats?.sent);
+  const highlightId = testing ? (hasResults ? pickWinner(abTest.variants, abTest.metric) : null) : abTest.winnerId;
+
+  return (
+    <div className="rounded-md border border-purple-200 bg-purple-50 p-3">
+      <div className="flex items-center gap-2 mb-2 text-sm text-purple-900">
+        <FaFlask />
+        {testing
+          ? <span>A/B test running. Winner by {metricLabel} is picked {dayjs(abTest.decideAt).format('MMM D, h:mm A')}.</span>
+          : (
+            <span>
+              Variant {abTest.winnerId} won{abTest.decidedBy === 'manual' ? ' (picked by hand)' : ` on ${metricLabel}`}
+              {abTest.decidedAt && ` - ${dayjs(abTest.decidedAt).format('MMM D, h:mm A')}`}
+            </span>
+          )}
+      </div>
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs uppercase tracking-wider text-gray-500">
+            <th className="py-1 pr-4 font-medium">Variant</th>
+            <th className="py-1 pr-4 font-medium">Subject</th>
+            <th className="py-1 pr-4 font-medium">Sent</th>
+            <th className="py-1 pr-4 font-medium">Opens</th>
+            <th className="py-1 pr-4 font-medium">Clicks</th>
+            {testing && onPickWinner && <th className="py-1" />}
+          </tr>
+        </thead>
+        <tbody>
+          {abTest.variants.map((variant) => (
+            <tr key={variant.id} className={variant.id === highlightId ? 'font-semibold text-gray-900' : 'text-gray-700'}>
+              <td className="py-1 pr-4 whitespace-nowrap">
+                {variant.id}
+                {variant.id === highlightId && (
+                  <FaTrophy
+                    className={`inline ml-1 ${testing ? 'text-gray-400' : 'text-yellow-500'}`}
+                    title={testing ? 'Currently leading' : 'Winner'}
+                  />
+                )}
+              </td>
+              <td className="py-1 pr-4 max-w-xs truncate" title={variant.subject}>{variant.subject}</td>
+              <td className="py-1 pr-4">{variant.stats?.sent ?? 0}</td>
+              <td className="py-1 pr-4 whitespace-nowrap">
+                {variant.stats?.opens ?? 0} ({percent(variantRate(variant.stats, 'open'))})
+              </td>
+              <td className="py-1 pr-4 whitespace-nowrap">
+                {variant.stats?.clicks ?? 0} ({percent(variantRate(variant.stats, 'click'))})
+              </td>
+              {testing && onPickWinner && (
+                <td className="py-1 text-right">
+                  <Can perform={PERMISSIONS.NEWSLETTER_SEND}>
+                    <button
+                      type="button"
+                      onClick={() => onPickWinner(variant.id)}
+                      className="text-xs font-medium text-purple-700 hover:text-purple-900"
+                    >
+                      Send to the rest now
+                    </button>
+                  </Can>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+AbTestResults.propTypes = {
+  abTest: PropTypes.shape({
+    status: PropTypes.string,
+    metric: PropTypes.string,
+    variants: PropTypes.array.isRequired,
+    winnerId: PropTypes.string,
+    decideAt: PropTypes.string,
+    decidedAt: PropTypes.string,
+    decidedBy: PropTypes.string
+  }).isRequired,
+  onPickWinner: PropTypes.func
+};
+
+export default AbTestResults;
+// ===============================
+// End of File: AbTestResults.jsx
+// Description: Newsletter A/B test results.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,149 @@
+// ===============================
+// File: AbTestSettings.jsx
+// Description: A/B test setup in the newsletter editor: variants, audience share per variant, winner metric and test window.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaPlus, FaTimes } from 'react-icons/fa';
+import {
+  AB_METRICS,
+  AB_MAX_VARIANTS,
+  AB_MIN_VARIANTS,
+  addVariant,
+  removeVariant,
+  remainderPercentage
+} from '../../utils/abTesting';
+
+const inputClass = 'rounded-md border border-gray-300 py-1 px-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * A/B test settings
+ * @param {Object} props
+ * @param {Object} props.abTest - `{ variants, metric, windowHours }`
+ * @param {string} props.activeVariantId - Variant shown in the editor
+ * @param {function(string): void} props.onSelectVariant - Switches the editor to a variant
+ * @param {function(Object): void} props.onChange - Called with the updated test
+ */
+const AbTestSettings = ({ abTest, activeVariantId, onSelectVariant, onChange }) => {
+  const remainder = remainderPercentage(abTest);
+  const metricLabel = AB_METRICS.find((metric) => metric.value === abTest.metric)?.label.toLowerCase();
+
+  const setPercentage = (id, percentage) => {
+    onChange({ ...abTest, variants: abTest.variants.map((variant) => (variant.id === id ? { ...variant, percentage } : variant)) });
+  };
+
+  const handleAdd = () => {
+    const next = addVariant(abTest, abTest.variants.find((variant) => variant.id === activeVariantId) || abTest.variants[0]);
+    onChange(next);
+    onSelectVariant(next.variants[next.variants.length - 1].id);
+  };
+
+  const handleRemove = (id) => {
+    const next = removeVariant(abTest, id);
+    onChange(next);
+    if (id === activeVariantId) onSelectVariant(next.variants[0].id);
+  };
+
+  return (
+    <div className="p-3 border border-purple-200 rounded-md bg-purple-50 space-y-3">
+      <div className="flex flex-wrap items-center gap-2" role="tablist" aria-label="Variants">
+        {abTest.variants.map((variant) => (
+          <div
+            key={variant.id}
+            className={`flex items-center gap-2 pl-1 pr-2 py-1 rounded-md border ${variant.id === activeVariantId ? 'bg-white border-purple-400' : 'bg-purple-100 border-transparent'}`}
+          >
+            <button
+              type="button"
+              role="tab"
+              aria-selected={variant.id === activeVariantId}
+              onClick={() => onSelectVariant(variant.id)}
+              className="px-2 text-sm font-semibold text-purple-800"
+              title={variant.subject || 'No subject yet'}
+            >
+              Variant {variant.id}
+            </button>
+            <input
+              type="number"
+              min={1}
+              max={100}
+              value={variant.percentage}
+              onChange={(e) => setPercentage(variant.id, e.target.value === '' ? '' : Number(e.target.value))}
+              className={`${inputClass} w-16`}
+              aria-label={`Share of audience for variant ${variant.id}`}
+            />
+            <span className="text-sm text-gray-600">%</span>
+            {abTest.variants.length > AB_MIN_VARIANTS && (
+              <button
+                type="button"
+                onClick={() => handleRemove(variant.id)}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Remove variant ${variant.id}`}
+              >
+                <FaTimes />
+              </button>
+            )}
+          </div>
+        ))}
+        {abTest.variants.length < AB_MAX_VARIANTS && (
+          <button
+            type="button"
+            onClick={handleAdd}
+            className="inline-flex items-center px-2 py-1 text-sm text-purple-700 hover:text-purple-900"
+            title="Copies the variant you are editing"
+          >
+            <FaPlus className="mr-1" /> Add variant
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+        <span>Pick the winner by</span>
+        <select
+          value={abTest.metric}
+          onChange={(e) => onChange({ ...abTest, metric: e.target.value })}
+          className={inputClass}
+          aria-label="Winner metric"
+        >
+          {AB_METRICS.map((metric) => <option key={metric.value} value={metric.value}>{metric.label}</option>)}
+        </select>
+        <span>after</span>
+        <input
+          type="number"
+          min={1}
+          max={168}
+          value={abTest.windowHours}
+          onChange={(e) => onChange({ ...abTest, windowHours: e.target.value === '' ? '' : Number(e.target.value) })}
+          className={`${inputClass} w-20`}
+          aria-label="Test window in hours"
+        />
+        <span>hours.</span>
+      </div>
+      <p className="text-xs text-gray-600">
+        {remainder > 0
+          ? `The remaining ${remainder}% of the audience gets the variant with the best ${metricLabel} automatically.`
+          : 'Every subscriber is in the test, so there is no one left to send the winner to.'}
+        {' '}You are editing variant {activeVariantId}; the subject and content below belong to it.
+      </p>
+    </div>
+  );
+};
+
+AbTestSettings.propTypes = {
+  abTest: PropTypes.shape({
+    variants: PropTypes.array.isRequired,
+    metric: PropTypes.string.isRequired,
+    windowHours: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired
+  }).isRequired,
+  activeVariantId: PropTypes.string.isRequired,
+  onSelectVariant: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default AbTestSettings;
+// ===============================
+// End of File: AbTestSettings.jsx
+// Description: A/B test setup for newsletters.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
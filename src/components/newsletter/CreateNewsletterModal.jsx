@@ -4,11 +4,29 @@
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // ===============================
-import React from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import PropTypes from 'prop-types';
-import { FaTimes, FaCode, FaEye } from 'react-icons/fa';
+import { FaTimes, FaCode, FaEye, FaThLarge, FaFont, FaTags, FaSave, FaImages, FaEnvelopeOpenText, FaExclamationCircle, FaFlask } from 'react-icons/fa';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
+import { Dropdown } from 'antd';
+import { toast } from 'react-toastify';
+import AudiencePicker from './AudiencePicker';
+import NewsletterBlockEditor from './NewsletterBlockEditor';
+import NewsletterPreview from './NewsletterPreview';
+import TemplateGallery from './TemplateGallery';
+import EmailExportPanel from './EmailExportPanel';
+import AbTestSettings from './AbTestSettings';
+import { MERGE_TAGS, createBlock, renderBlocks, formatMergeTag } from '../../utils/newsletterTemplates';
+import { renderNewsletterEmail } from '../../utils/emailRenderer';
+import { createAbTest } from '../../utils/abTesting';
+import { NEWSLETTER_TOPICS } from '../../utils/subscriberPreferences';
+
+const EDITOR_MODES = [
+  { value: 'blocks', label: 'Blocks', icon: FaThLarge },
+  { value: 'visual', label: 'Visual', icon: FaFont },
+  { value: 'html', label: 'HTML', icon: FaCode },
+];
 
 /**
  * Modal for creating or editing a newsletter
@@ -19,10 +37,14 @@ import 'react-quill/dist/quill.snow.css';
  * @param {Object} props.editingNewsletter - Newsletter being edited (if any)
  * @param {Object} props.newNewsletter - Newsletter form state
  * @param {function} props.setNewNewsletter - Setter for newsletter form state
- * @param {string} props.editorMode - Editor mode ('visual' or 'html')
+ * @param {string} props.editorMode - Editor mode ('blocks', 'visual' or 'html')
  * @param {function} props.setEditorMode - Setter for editor mode
  * @param {boolean} props.showPreview - Whether to show preview
  * @param {function} props.setShowPreview - Setter for preview state
+ * @param {Array} [props.segments] - Saved audience segments to choose from
+ * @param {Array} [props.subscribers] - Subscribers the preview can be rendered for
+ * @param {Array} [props.templates] - Saved templates to start from
+ * @param {function(Object): Promise<void>} [props.onSaveTemplate] - Saves the current content as a template
  */
 const CreateNewsletterModal = ({
   isOpen,
@@ -34,9 +56,153 @@ const CreateNewsletterModal = ({
   editorMode,
   setEditorMode,
   showPreview,
-  setShowPreview
+  setShowPreview,
+  segments = [],
+  subscribers = [],
+  templates = [],
+  onSaveTemplate
 }) => {
+  const quillRef = useRef(null);
+  const htmlRef = useRef(null);
+  // New newsletters open on the gallery so the usual layout is one click away
+  const [showGallery, setShowGallery] = useState(!editingNewsletter && !newNewsletter.content);
+  const [templateName, setTemplateName] = useState(null);
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [showEmailCheck, setShowEmailCheck] = useState(false);
+  const [activeVariantId, setActiveVariantId] = useState('A');
+
+  // While A/B testing, the subject and content fields edit one variant at a time
+  const abTest = newNewsletter.abTest || null;
+  const draft = abTest
+    ? abTest.variants.find(variant => variant.id === activeVariantId) || abTest.variants[0]
+    : newNewsletter;
+
+  // The export that will be stored and sent, so its problems are visible before saving
+  const email = useMemo(
+    () => (isOpen ? renderNewsletterEmail(draft) : null),
+    [isOpen, draft]
+  );
+  const emailErrorCount = email ? email.issues.filter(issue => issue.severity === 'error').length : 0;
+
   if (!isOpen) return null;
+
+  /**
+   * Updates the subject/content being edited: the newsletter itself, or the active variant.
+   * @param {function(Object): Object} updater
+   */
+  const setDraft = (updater) => {
+    if (!abTest) {
+      setNewNewsletter(updater);
+      return;
+    }
+    setNewNewsletter(prev => ({
+      ...prev,
+      abTest: { ...prev.abTest, variants: prev.abTest.variants.map(variant => (variant.id === draft.id ? updater(variant) : variant)) }
+    }));
+  };
+
+  const setBlocks = (blocks) => {
+    setDraft(prev => ({ ...prev, blocks, content: renderBlocks(blocks) }));
+  };
+
+  /**
+   * Turns the A/B test on (variant B starts as a copy) or off (variant A becomes the newsletter).
+   * @param {boolean} enabled
+   */
+  const toggleAbTest = (enabled) => {
+    if (enabled) {
+      setNewNewsletter(prev => ({ ...prev, abTest: createAbTest(prev) }));
+      setActiveVariantId('A');
+      return;
+    }
+    const [first] = abTest.variants;
+    setNewNewsletter(prev => ({ ...prev, subject: first.subject, content: first.content, blocks: first.blocks, abTest: null }));
+    setEditorMode(first.blocks ? 'blocks' : 'visual');
+  };
+
+  const selectVariant = (id) => {
+    const variant = abTest.variants.find(entry => entry.id === id);
+    setActiveVariantId(id);
+    if (variant?.blocks) setEditorMode('blocks');
+    else if (editorMode === 'blocks') setEditorMode('visual');
+  };
+
+  /**
+   * Starts from a template (or a blank newsletter when null). Blocks get fresh ids so
+   * the template itself is never edited through this newsletter.
+   * @param {Object|null} template
+   */
+  const applyTemplate = (template) => {
+    if (!template) {
+      setDraft(prev => ({ ...prev, blocks: null, content: '' }));
+      setEditorMode('visual');
+    } else if (template.blocks) {
+      const blocks = template.blocks.map(block => createBlock(block.type, block.props));
+      setDraft(prev => ({ ...prev, subject: prev.subject || template.subject, blocks, content: renderBlocks(blocks) }));
+      setEditorMode('blocks');
+    } else {
+      setDraft(prev => ({ ...prev, subject: prev.subject || template.subject, blocks: null, content: template.content }));
+      setEditorMode('visual');
+    }
+    setShowGallery(false);
+  };
+
+  /**
+   * Switches editor. Free-form content becomes a single text block; leaving the block
+   * builder keeps the rendered HTML but drops the blocks.
+   * @param {string} mode
+   */
+  const switchMode = (mode) => {
+    if (mode === editorMode) return;
+    if (mode === 'blocks' && !draft.blocks) {
+      setBlocks(draft.content
+        ? [createBlock('text', { html: draft.content })]
+        : [createBlock('header'), createBlock('text'), createBlock('footer')]);
+    } else if (mode !== 'blocks' && draft.blocks) {
+      setDraft(prev => ({ ...prev, blocks: null }));
+    }
+    setEditorMode(mode);
+  };
+
+  /**
+   * Inserts a merge tag at the cursor. Block fields are separate inputs, so there the tag is copied instead.
+   * @param {string} text
+   */
+  const insertMergeTag = (text) => {
+    if (editorMode === 'visual' && quillRef.current) {
+      const editor = quillRef.current.getEditor();
+      const range = editor.getSelection(true);
+      editor.insertText(range ? range.index : editor.getLength(), text, 'user');
+    } else if (editorMode === 'html' && htmlRef.current) {
+      const { selectionStart, selectionEnd } = htmlRef.current;
+      setDraft(prev => ({
+        ...prev,
+        content: prev.content.slice(0, selectionStart) + text + prev.content.slice(selectionEnd)
+      }));
+    } else {
+      navigator.clipboard?.writeText(text);
+      toast.info(`Copied ${text} - paste it into any block field`);
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    if (!templateName?.trim()) return;
+    try {
+      setSavingTemplate(true);
+      await onSaveTemplate({
+        name: templateName.trim(),
+        subject: draft.subject,
+        blocks: draft.blocks || null,
+        content: draft.content
+      });
+      setTemplateName(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save template');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
   const modules = {
     toolbar: [
       [{ 'header': [1, 2, 3, 4, 5, 6, false] }],
@@ -73,30 +239,139 @@ const CreateNewsletterModal = ({
                 </h3>
                 <div>
                   <label htmlFor="subject" className="block text-sm font-medium text-gray-700">
-                    Subject
+                    Subject{abTest && ` (variant ${draft.id})`}
                   </label>
                   <input
                     type="text"
                     id="subject"
-                    value={newNewsletter.subject}
-                    onChange={(e) => setNewNewsletter(prev => ({ ...prev, subject: e.target.value }))}
+                    value={draft.subject}
+                    onChange={(e) => setDraft(prev => ({ ...prev, subject: e.target.value }))}
                     className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                     required
                   />
                 </div>
+                <div className="flex flex-wrap items-end gap-4">
+                  <div className="flex-1 min-w-[12rem]">
+                    <label htmlFor="topic" className="block text-sm font-medium text-gray-700">
+                      Topic
+                    </label>
+                    <select
+                      id="topic"
+                      value={newNewsletter.topic}
+                      onChange={(e) => setNewNewsletter(prev => ({ ...prev, topic: e.target.value }))}
+                      className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    >
+                      {NEWSLETTER_TOPICS.map(topic => (
+                        <option key={topic.value} value={topic.value}>{topic.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <label className="inline-flex items-center gap-2 pb-2 text-sm font-medium text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(newNewsletter.important)}
+                      onChange={(e) => setNewNewsletter(prev => ({ ...prev, important: e.target.checked }))}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Important update
+                  </label>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Only subscribers who chose this topic receive it. Important updates also reach those who asked for
+                  important updates only, and skip weekly and monthly limits.
+                </p>
+                <AudiencePicker
+                  segments={segments}
+                  value={newNewsletter.audience?.segmentIds || []}
+                  onChange={(segmentIds) => setNewNewsletter(prev => ({ ...prev, audience: { segmentIds } }))}
+                  topic={newNewsletter.topic}
+                  important={Boolean(newNewsletter.important)}
+                />
+                <div className="space-y-2">
+                  <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(abTest)}
+                      onChange={(e) => toggleAbTest(e.target.checked)}
+                      className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+                    />
+                    <FaFlask className="text-purple-600" />
+                    A/B test subject and content
+                  </label>
+                  {abTest && (
+                    <AbTestSettings
+                      abTest={abTest}
+                      activeVariantId={draft.id}
+                      onSelectVariant={selectVariant}
+                      onChange={(next) => setNewNewsletter(prev => ({ ...prev, abTest: next }))}
+                    />
+                  )}
+                </div>
                 <div className="flex justify-between items-center">
                   <label className="block text-sm font-medium text-gray-700">
                     Content
                   </label>
                   <div className="flex space-x-2">
+                    {templates.length > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => setShowGallery(prev => !prev)}
+                        className={`inline-flex items-center px-3 py-1 border rounded-md text-sm ${showGallery ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-gray-50 border-gray-300 text-gray-700'}`}
+                        aria-label="Toggle template gallery"
+                      >
+                        <FaImages className="mr-1" />
+                        Templates
+                      </button>
+                    )}
+                    <div className="inline-flex rounded-md border border-gray-300 overflow-hidden" role="group" aria-label="Editor mode">
+                      {EDITOR_MODES.map(({ value, label, icon: Icon }) => (
+                        <button
+                          key={value}
+                          type="button"
+                          onClick={() => switchMode(value)}
+                          className={`inline-flex items-center px-3 py-1 text-sm ${editorMode === value ? 'bg-blue-50 text-blue-700' : 'bg-gray-50 text-gray-700'}`}
+                          aria-pressed={editorMode === value}
+                        >
+                          <Icon className="mr-1" />
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <Dropdown
+                      trigger={['click']}
+                      menu={{
+                        items: MERGE_TAGS.map(({ tag, label, fallback }) => ({
+                          key: tag,
+                          label: <span>{label} <code className="text-xs text-gray-500">{formatMergeTag(tag, fallback)}</code></span>
+                        })),
+                        onClick: ({ key }) => {
+                          const { tag, fallback } = MERGE_TAGS.find(entry => entry.tag === key);
+                          insertMergeTag(formatMergeTag(tag, fallback));
+                        }
+                      }}
+                    >
+                      <button
+                        type="button"
+                        className="inline-flex items-center px-3 py-1 border rounded-md text-sm bg-gray-50 border-gray-300 text-gray-700"
+                        aria-label="Insert merge tag"
+                      >
+                        <FaTags className="mr-1" />
+                        Merge tag
+                      </button>
+                    </Dropdown>
                     <button
                       type="button"
-                      onClick={() => setEditorMode(prev => prev === 'visual' ? 'html' : 'visual')}
-                      className={`inline-flex items-center px-3 py-1 border rounded-md text-sm ${editorMode === 'html' ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-gray-50 border-gray-300 text-gray-700'}`}
-                      aria-label="Toggle HTML editor mode"
+                      onClick={() => setShowEmailCheck(prev => !prev)}
+                      className={`inline-flex items-center px-3 py-1 border rounded-md text-sm ${showEmailCheck ? 'bg-purple-50 border-purple-300 text-purple-700' : 'bg-gray-50 border-gray-300 text-gray-700'}`}
+                      aria-label="Toggle email check"
                     >
-                      <FaCode className="mr-1" />
-                      HTML
+                      <FaEnvelopeOpenText className="mr-1" />
+                      Email check
+                      {email.issues.length > 0 && (
+                        <span className={`ml-1 px-1.5 rounded-full text-xs text-white ${emailErrorCount ? 'bg-red-500' : 'bg-yellow-500'}`}>
+                          {email.issues.length}
+                        </span>
+                      )}
                     </button>
                     <button
                       type="button"
@@ -109,35 +384,107 @@ const CreateNewsletterModal = ({
                     </button>
                   </div>
                 </div>
+                {showGallery && (
+                  <div className="p-4 border border-gray-200 rounded-md bg-gray-50">
+                    <p className="text-sm text-gray-600 mb-3">Start from a template. Its subject is used if you have not typed one.</p>
+                    <TemplateGallery templates={templates} onSelect={applyTemplate} />
+                  </div>
+                )}
                 <div className={`grid ${showPreview ? 'grid-cols-2 gap-4' : 'grid-cols-1'}`}>
                   <div className="space-y-2">
-                    {editorMode === 'visual' ? (
+                    {editorMode === 'blocks' ? (
+                      <NewsletterBlockEditor
+                        blocks={draft.blocks || []}
+                        onChange={setBlocks}
+                      />
+                    ) : editorMode === 'visual' ? (
                       <ReactQuill
-                        value={newNewsletter.content}
-                        onChange={(content) => setNewNewsletter(prev => ({ ...prev, content }))}
+                        ref={quillRef}
+                        value={draft.content}
+                        onChange={(content) => setDraft(prev => ({ ...prev, content }))}
                         modules={modules}
                         className="h-[500px] mb-12"
                       />
                     ) : (
                       <textarea
-                        value={newNewsletter.content}
-                        onChange={(e) => setNewNewsletter(prev => ({ ...prev, content: e.target.value }))}
+                        ref={htmlRef}
+                        value={draft.content}
+                        onChange={(e) => setDraft(prev => ({ ...prev, content: e.target.value }))}
                         className="w-full h-[500px] font-mono text-sm p-2 border border-gray-300 rounded-md"
                         placeholder="Enter HTML content here..."
                       />
                     )}
                   </div>
                   {showPreview && (
-                    <div className="border border-gray-200 rounded-md p-4 h-[500px] overflow-auto">
-                      <div className="text-sm text-gray-500 mb-2">Preview:</div>
-                      <div
-                        className="preview-content"
-                        dangerouslySetInnerHTML={{ __html: newNewsletter.content }}
-                      />
-                    </div>
+                    <NewsletterPreview
+                      content={draft.content}
+                      subscribers={subscribers}
+                      className="h-[500px]"
+                    />
                   )}
                 </div>
-                <div className="flex justify-end py-5">
+                {showEmailCheck && (
+                  <EmailExportPanel email={email} subject={draft.subject} subscribers={subscribers} />
+                )}
+                <div className="flex justify-end items-center py-5">
+                  {onSaveTemplate && (
+                    <div className="mr-auto flex items-center gap-2">
+                      {templateName === null ? (
+                        <button
+                          type="button"
+                          onClick={() => setTemplateName('')}
+                          disabled={!draft.content}
+                          className="inline-flex items-center py-2 px-3 text-sm font-medium text-gray-700 hover:text-gray-900 disabled:opacity-50"
+                        >
+                          <FaSave className="mr-1" /> Save as template
+                        </button>
+                      ) : (
+                        <>
+                          <input
+                            type="text"
+                            value={templateName}
+                            onChange={(e) => setTemplateName(e.target.value)}
+                            onKeyDown={(e) => {
+                              // Keep Enter from submitting the newsletter form
+                              if (e.key === 'Enter') {
+                                e.preventDefault();
+                                handleSaveTemplate();
+                              }
+                            }}
+                            placeholder="Template name"
+                            className="border border-gray-300 rounded-md py-1.5 px-2 text-sm"
+                            aria-label="Template name"
+                            autoFocus
+                          />
+                          <button
+                            type="button"
+                            onClick={handleSaveTemplate}
+                            disabled={savingTemplate || !templateName.trim()}
+                            className="py-1.5 px-3 text-sm font-medium text-white bg-gray-700 rounded-md hover:bg-gray-800 disabled:opacity-50"
+                          >
+                            {savingTemplate ? 'Saving...' : 'Save'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setTemplateName(null)}
+                            className="py-1.5 px-2 text-sm text-gray-500 hover:text-gray-700"
+                          >
+                            Cancel
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                  {emailErrorCount > 0 && !showEmailCheck && (
+                    <button
+                      type="button"
+                      onClick={() => setShowEmailCheck(true)}
+                      className="mr-3 inline-flex items-center text-sm text-red-600 hover:text-red-700"
+                    >
+                      <FaExclamationCircle className="mr-1" />
+                      {emailErrorCount} email {emailErrorCount === 1 ? 'problem' : 'problems'} - review
+                    </button>
+                  )}
                   <button
                     type="button"
                     onClick={onClose}
@@ -173,7 +520,11 @@ CreateNewsletterModal.propTypes = {
   editorMode: PropTypes.string.isRequired,
   setEditorMode: PropTypes.func.isRequired,
   showPreview: PropTypes.bool.isRequired,
-  setShowPreview: PropTypes.func.isRequired
+  setShowPreview: PropTypes.func.isRequired,
+  segments: PropTypes.array,
+  subscribers: PropTypes.array,
+  templates: PropTypes.array,
+  onSaveTemplate: PropTypes.func
 };
 
 export default CreateNewsletterModal;
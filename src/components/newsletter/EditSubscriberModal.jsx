@@ -7,8 +7,19 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FaTimes } from 'react-icons/fa';
+import { FaTimes, FaPlus, FaTrash } from 'react-icons/fa';
 import { toast } from 'react-toastify';
+import { Select } from 'antd';
+import dayjs from 'dayjs';
+import { SUBSCRIBER_STATUSES, NEWSLETTER_TOPICS, NEWSLETTER_FREQUENCIES, getPreferences } from '../../utils/subscriberPreferences';
+
+const CONSENT_ACTIONS = {
+  requested: 'Signed up',
+  imported: 'Imported',
+  confirmed: 'Confirmed by email',
+  preferences: 'Changed preferences',
+  unsubscribed: 'Unsubscribed'
+};
 
 /**
  * Modal for editing a newsletter subscriber
@@ -17,15 +28,20 @@ import { toast } from 'react-toastify';
  * @param {function} props.onClose - Function to close the modal
  * @param {Object} props.subscriber - Subscriber object to edit
  * @param {function} props.onUpdate - Callback after updating subscriber
+ * @param {function(Object): Promise<void>} [props.onResendConfirmation] - Sends a pending subscriber a new confirmation email
+ * @param {Array<string>} [props.tagOptions] - Tags already used by other subscribers
  */
-const EditSubscriberModal = ({ isOpen, onClose, subscriber, onUpdate }) => {
+const EditSubscriberModal = ({ isOpen, onClose, subscriber, onUpdate, onResendConfirmation, tagOptions = [] }) => {
   const [formData, setFormData] = useState({
     email: '',
     status: 'active',
-    source: 'website'
+    source: 'website',
+    tags: [],
+    attributes: []
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [resending, setResending] = useState(false);
 
   // Populate form when subscriber changes
   useEffect(() => {
@@ -33,7 +49,10 @@ const EditSubscriberModal = ({ isOpen, onClose, subscriber, onUpdate }) => {
       setFormData({
         email: subscriber.email || '',
         status: subscriber.status || 'active',
-        source: subscriber.source || 'website'
+        source: subscriber.source || 'website',
+        tags: subscriber.tags || [],
+        // Edited as rows so names can be renamed and left blank while typing
+        attributes: Object.entries(subscriber.attributes || {}).map(([key, value]) => ({ key, value: String(value) }))
       });
     }
   }, [subscriber]);
@@ -56,13 +75,25 @@ const EditSubscriberModal = ({ isOpen, onClose, subscriber, onUpdate }) => {
         throw new Error('Please enter a valid email address');
       }
 
+      const names = formData.attributes.map(row => row.key.trim()).filter(Boolean);
+      if (new Set(names).size !== names.length) {
+        throw new Error('Attribute names must be unique');
+      }
+
       // Call the onUpdate function with form data
-      await onUpdate(subscriber._id, formData);
+      await onUpdate(subscriber._id, {
+        ...formData,
+        attributes: Object.fromEntries(
+          formData.attributes
+            .filter(row => row.key.trim())
+            .map(row => [row.key.trim(), row.value])
+        )
+      });
       
       toast.success('Subscriber updated successfully');
       onClose();
     } catch (error) {
-      const errorMessage = error.response?.data?.error || error.message || 'Error updating subscriber';
+      const errorMessage = error.response?.data?.error || error.response?.data?.message || error.message || 'Error updating subscriber';
       setError(errorMessage);
       toast.error(errorMessage);
     } finally {
@@ -70,6 +101,22 @@ const EditSubscriberModal = ({ isOpen, onClose, subscriber, onUpdate }) => {
     }
   };
 
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      await onResendConfirmation(subscriber);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const updateAttribute = (index, patch) => {
+    setFormData(prev => ({
+      ...prev,
+      attributes: prev.attributes.map((row, i) => (i === index ? { ...row, ...patch } : row))
+    }));
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -95,7 +142,7 @@ const EditSubscriberModal = ({ isOpen, onClose, subscriber, onUpdate }) => {
             initial={{ scale: 0.95, opacity: 0 }}
             animate={{ scale: 1, opacity: 1 }}
             exit={{ scale: 0.95, opacity: 0 }}
-            className="bg-white rounded-xl shadow-xl w-full max-w-md p-6"
+            className="bg-white rounded-xl shadow-xl w-full max-w-md p-6 max-h-[90vh] overflow-y-auto"
             onClick={e => e.stopPropagation()}
           >
             <div className="flex justify-between items-center mb-6">
@@ -147,9 +194,23 @@ const EditSubscriberModal = ({ isOpen, onClose, subscriber, onUpdate }) => {
                   disabled={loading}
                   aria-label="Select status"
                 >
-                  <option value="active">Active</option>
-                  <option value="inactive">Inactive</option>
+                  {/* Only the subscriber can confirm, so active and pending are never choices, just current states */}
+                  {SUBSCRIBER_STATUSES.map(({ value, label }) => (
+                    <option key={value} value={value} disabled={value !== 'inactive' && value !== subscriber?.status}>
+                      {label}
+                    </option>
+                  ))}
                 </select>
+                {subscriber?.status === 'pending' && onResendConfirmation && (
+                  <button
+                    type="button"
+                    onClick={handleResend}
+                    className="mt-2 text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    disabled={loading || resending}
+                  >
+                    {resending ? 'Sending...' : 'Resend confirmation email'}
+                  </button>
+                )}
               </div>
 
               {/* Source Field */}
@@ -171,6 +232,98 @@ const EditSubscriberModal = ({ isOpen, onClose, subscriber, onUpdate }) => {
                 </select>
               </div>
 
+              {/* Tags Field */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Tags
+                </label>
+                <Select
+                  mode="tags"
+                  value={formData.tags}
+                  onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+                  options={tagOptions.map(tag => ({ value: tag, label: tag }))}
+                  tokenSeparators={[',']}
+                  className="w-full"
+                  placeholder="Add tags"
+                  disabled={loading}
+                  aria-label="Subscriber tags"
+                />
+              </div>
+
+              {/* Custom Attributes */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Attributes
+                </label>
+                <div className="space-y-2">
+                  {formData.attributes.map((row, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={row.key}
+                        onChange={(e) => updateAttribute(index, { key: e.target.value })}
+                        className="w-2/5 rounded-md border border-gray-300 p-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        placeholder="Name (e.g. plan)"
+                        disabled={loading}
+                        aria-label="Attribute name"
+                      />
+                      <input
+                        type="text"
+                        value={row.value}
+                        onChange={(e) => updateAttribute(index, { value: e.target.value })}
+                        className="flex-1 min-w-0 rounded-md border border-gray-300 p-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        placeholder="Value"
+                        disabled={loading}
+                        aria-label="Attribute value"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setFormData(prev => ({ ...prev, attributes: prev.attributes.filter((_, i) => i !== index) }))}
+                        className="p-2 text-gray-400 hover:text-red-600"
+                        disabled={loading}
+                        aria-label="Remove attribute"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => setFormData(prev => ({ ...prev, attributes: [...prev.attributes, { key: '', value: '' }] }))}
+                    className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                    disabled={loading}
+                  >
+                    <FaPlus className="mr-1" /> Add attribute
+                  </button>
+                </div>
+              </div>
+
+              {/* Consent record: read-only proof of opt-in */}
+              {subscriber?.consent && (
+                <div className="rounded-md border border-gray-200 bg-gray-50 p-3 text-sm text-gray-700">
+                  <p className="font-medium text-gray-900 mb-1">Consent</p>
+                  <p>
+                    Form: {subscriber.consent.form || 'unknown'}
+                    {subscriber.consent.page && ` on ${subscriber.consent.page}`}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Topics: {getPreferences(subscriber).topics.map(topic => NEWSLETTER_TOPICS.find(t => t.value === topic)?.label || topic).join(', ') || 'none'}
+                    {' · '}
+                    {NEWSLETTER_FREQUENCIES.find(f => f.value === getPreferences(subscriber).frequency)?.label}
+                  </p>
+                  <ul className="mt-2 space-y-1 max-h-32 overflow-y-auto">
+                    {(subscriber.consentHistory || []).map((entry, index) => (
+                      <li key={index} className="flex justify-between gap-2 text-xs">
+                        <span>{CONSENT_ACTIONS[entry.action] || entry.action}{entry.note && ` (${entry.note})`}</span>
+                        <span className="text-gray-500 whitespace-nowrap">
+                          {dayjs(entry.at).format('MMM D, YYYY HH:mm')}{entry.ip && ` · ${entry.ip}`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Modal Actions */}
               <div className="mt-6 flex justify-end space-x-3">
                 <button
@@ -203,7 +356,9 @@ EditSubscriberModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
   subscriber: PropTypes.object,
-  onUpdate: PropTypes.func.isRequired
+  onUpdate: PropTypes.func.isRequired,
+  onResendConfirmation: PropTypes.func,
+  tagOptions: PropTypes.arrayOf(PropTypes.string)
 };
 
 export default EditSubscriberModal;
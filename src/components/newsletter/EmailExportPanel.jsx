@@ -0,0 +1,122 @@
+// ===============================
+// File: EmailExportPanel.jsx
+// Description: Shows the email-client-safe export of a newsletter: client problems, size, rendered email, plain text and HTML source.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Tabs } from 'antd';
+import { FaExclamationCircle, FaExclamationTriangle, FaCheckCircle, FaDownload } from 'react-icons/fa';
+import NewsletterPreview from './NewsletterPreview';
+import { GMAIL_CLIP_BYTES, formatBytes } from '../../utils/emailRenderer';
+import { downloadFile, toFileName } from '../../utils/fileDownload';
+
+/**
+ * Email export panel
+ * @param {Object} props
+ * @param {{ html: string, text: string, issues: Array<Object>, size: number }} props.email - Result of renderEmail
+ * @param {string} [props.subject] - Used for download file names
+ * @param {Array<Object>} [props.subscribers=[]] - Recipients the rendered email can be previewed as
+ */
+const EmailExportPanel = ({ email, subject = '', subscribers = [] }) => {
+  const [tab, setTab] = useState('rendered');
+  const errors = email.issues.filter((issue) => issue.severity === 'error');
+  const warnings = email.issues.filter((issue) => issue.severity === 'warning');
+  const filename = toFileName(subject, 'newsletter');
+
+  return (
+    <div className="border border-gray-200 rounded-md">
+      <div className="flex flex-wrap items-center gap-4 px-3 py-2 border-b border-gray-200 bg-gray-50 text-sm">
+        <span className={errors.length ? 'text-red-600' : 'text-gray-600'}>
+          <FaExclamationCircle className="inline mr-1" />
+          {errors.length} {errors.length === 1 ? 'error' : 'errors'}
+        </span>
+        <span className={warnings.length ? 'text-yellow-700' : 'text-gray-600'}>
+          <FaExclamationTriangle className="inline mr-1" />
+          {warnings.length} {warnings.length === 1 ? 'warning' : 'warnings'}
+        </span>
+        <span className={email.size > GMAIL_CLIP_BYTES ? 'text-red-600' : 'text-gray-600'}>
+          {formatBytes(email.size)} of {formatBytes(GMAIL_CLIP_BYTES)}
+        </span>
+        <button
+          type="button"
+          onClick={() => downloadFile(email.html, `${filename}.html`, 'text/html')}
+          className="ml-auto inline-flex items-center text-gray-700 hover:text-gray-900"
+        >
+          <FaDownload className="mr-1" /> HTML
+        </button>
+        <button
+          type="button"
+          onClick={() => downloadFile(email.text, `${filename}.txt`, 'text/plain')}
+          className="inline-flex items-center text-gray-700 hover:text-gray-900"
+        >
+          <FaDownload className="mr-1" /> Text
+        </button>
+      </div>
+      {email.issues.length ? (
+        <ul className="max-h-40 overflow-y-auto divide-y divide-gray-100 text-sm">
+          {email.issues.map((issue) => (
+            <li key={`${issue.code}:${issue.message}`} className="flex items-start gap-2 px-3 py-2">
+              {issue.severity === 'error'
+                ? <FaExclamationCircle className="mt-0.5 flex-shrink-0 text-red-500" />
+                : <FaExclamationTriangle className="mt-0.5 flex-shrink-0 text-yellow-500" />}
+              <span className="flex-1 text-gray-800">
+                {issue.message}
+                {issue.count > 1 && <span className="text-gray-500"> ({issue.count}×)</span>}
+              </span>
+              {issue.clients && <span className="text-xs text-gray-500 whitespace-nowrap">{issue.clients}</span>}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="flex items-center gap-2 px-3 py-2 text-sm text-green-700">
+          <FaCheckCircle /> No known email client problems found.
+        </p>
+      )}
+      <div className="px-3 pb-3">
+        <Tabs
+          activeKey={tab}
+          onChange={setTab}
+          size="small"
+          items={[
+            {
+              key: 'rendered',
+              label: 'Rendered email',
+              children: <NewsletterPreview content={email.html} subscribers={subscribers} className="h-[500px]" asDocument />
+            },
+            {
+              key: 'text',
+              label: 'Plain text',
+              children: <pre className="h-[500px] overflow-auto whitespace-pre-wrap text-sm p-3 bg-gray-50 border border-gray-200 rounded-md">{email.text}</pre>
+            },
+            {
+              key: 'source',
+              label: 'HTML source',
+              children: <pre className="h-[500px] overflow-auto whitespace-pre-wrap break-all text-xs font-mono p-3 bg-gray-50 border border-gray-200 rounded-md">{email.html}</pre>
+            }
+          ]}
+        />
+      </div>
+    </div>
+  );
+};
+
+EmailExportPanel.propTypes = {
+  email: PropTypes.shape({
+    html: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired,
+    issues: PropTypes.array.isRequired,
+    size: PropTypes.number.isRequired
+  }).isRequired,
+  subject: PropTypes.string,
+  subscribers: PropTypes.array
+};
+
+export default EmailExportPanel;
+// ===============================
+// End of File: EmailExportPanel.jsx
+// Description: Email-client-safe export panel for newsletters.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,270 @@
+// ===============================
+// File: NewsletterAnalytics.jsx
+// Description: Newsletter engagement analytics: per-campaign delivery and engagement, link click heatmap,
+//              time to first open, trends across campaigns and the per-recipient event log export.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Select, Spin, Empty } from 'antd';
+import { FaDownload } from 'react-icons/fa';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import dayjs from 'dayjs';
+import { toast } from 'react-toastify';
+import { newsletterApi } from '../../services/api';
+import { EVENT_TYPES } from '../../utils/newsletterAnalytics';
+import { toCsv } from '../../utils/csv';
+import { downloadFile, toFileName } from '../../utils/fileDownload';
+import LinkHeatmap from './LinkHeatmap';
+
+const axisProps = { stroke: '#94a3b8', fontSize: 12, tickLine: false, axisLine: false };
+
+const EVENT_LOG_COLUMNS = [
+  { key: 'at', label: 'Time' },
+  { key: 'email', label: 'Email' },
+  { key: 'type', label: 'Event', value: (event) => EVENT_TYPES.find((type) => type.value === event.type)?.label || event.type },
+  { key: 'url', label: 'Link' },
+  { key: 'variant', label: 'Variant' }
+];
+
+/**
+ * One headline number with its rate
+ * @param {Object} props
+ * @param {string} props.label
+ * @param {number} props.value
+ * @param {string} props.detail
+ * @param {string} props.color - Tailwind text colour class for the value
+ */
+const Metric = ({ label, value, detail, color }) => (
+  <div className="p-4 rounded-lg border border-gray-100 bg-white">
+    <p className="text-sm font-medium text-gray-600">{label}</p>
+    <p className={`text-2xl font-semibold ${color}`}>{value}</p>
+    <p className="text-xs text-gray-500">{detail}</p>
+  </div>
+);
+
+Metric.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number.isRequired,
+  detail: PropTypes.string.isRequired,
+  color: PropTypes.string.isRequired
+};
+
+/**
+ * Newsletter analytics panel. Loads its own data; sent and testing newsletters are listed.
+ */
+const NewsletterAnalytics = () => {
+  const [trends, setTrends] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [campaign, setCampaign] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    newsletterApi.getAnalyticsTrends()
+      .then((response) => {
+        const campaigns = response.data.data || [];
+        setTrends(campaigns);
+        setSelectedId(campaigns[campaigns.length - 1]?._id || null);
+      })
+      .catch((error) => {
+        console.error('Failed to load newsletter analytics:', error);
+        toast.error('Failed to load newsletter analytics');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    if (!selectedId) return;
+    setCampaign(null);
+    newsletterApi.getCampaignAnalytics(selectedId)
+      .then((response) => setCampaign(response.data.data))
+      .catch((error) => {
+        console.error('Failed to load campaign analytics:', error);
+        toast.error('Failed to load campaign analytics');
+      });
+  }, [selectedId]);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await newsletterApi.getNewsletterEvents(selectedId);
+      downloadFile(
+        toCsv(response.data.data, EVENT_LOG_COLUMNS),
+        `${toFileName(campaign?.subject, 'newsletter')}-events.csv`,
+        'text/csv'
+      );
+    } catch (error) {
+      console.error('Event export error:', error);
+      toast.error('Failed to export the event log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="p-10 text-center"><Spin /></div>;
+  }
+  if (!trends.length) {
+    return <Empty className="p-10" description="No sent newsletters yet. Analytics appear after the first send." />;
+  }
+
+  const trendData = trends.map((entry) => ({
+    name: dayjs(entry.sentAt).format('MMM D'),
+    subject: entry.subject,
+    'Open rate': entry.rates.open,
+    'Click rate': entry.rates.click,
+    'Bounce rate': entry.rates.bounce,
+    'Unsubscribe rate': entry.rates.unsubscribe
+  }));
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <Select
+          value={selectedId}
+          onChange={setSelectedId}
+          className="min-w-[280px]"
+          aria-label="Campaign"
+          options={[...trends].reverse().map((entry) => ({
+            value: entry._id,
+            label: `${entry.subject} (${dayjs(entry.sentAt).format('MMM D, YYYY')})`
+          }))}
+        />
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={!campaign || exporting}
+          className="ml-auto inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <FaDownload className="mr-2" /> {exporting ? 'Exporting...' : 'Export event log (CSV)'}
+        </button>
+      </div>
+
+      {!campaign ? (
+        <div className="p-10 text-center"><Spin /></div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <Metric label="Delivered" value={campaign.delivered} detail={`${campaign.rates.delivery}% of ${campaign.sent} sent`} color="text-gray-900" />
+            <Metric label="Bounced" value={campaign.bounced} detail={`${campaign.rates.bounce}% of sent`} color="text-red-600" />
+            <Metric label="Opened" value={campaign.opened} detail={`${campaign.rates.open}% of delivered`} color="text-blue-600" />
+            <Metric label="Clicked" value={campaign.clicked} detail={`${campaign.rates.click}% of delivered, ${campaign.rates.clickToOpen}% of opens`} color="text-green-600" />
+            <Metric label="Unsubscribed" value={campaign.unsubscribed} detail={`${campaign.rates.unsubscribe}% of delivered`} color="text-orange-600" />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Delivery and engagement</h4>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart
+                    data={[
+                      { stage: 'Sent', recipients: campaign.sent },
+                      { stage: 'Delivered', recipients: campaign.delivered },
+                      { stage: 'Opened', recipients: campaign.opened },
+                      { stage: 'Clicked', recipients: campaign.clicked },
+                      { stage: 'Unsubscribed', recipients: campaign.unsubscribed }
+                    ]}
+                    margin={{ top: 10, right: 10, left: 0, bottom: 0 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" vertical={false} />
+                    <XAxis dataKey="stage" {...axisProps} />
+                    <YAxis allowDecimals={false} {...axisProps} />
+                    <Tooltip />
+                    <Bar dataKey="recipients" name="Recipients" fill="#3b82f6" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Time to first open</h4>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={campaign.openTimes} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" vertical={false} />
+                    <XAxis dataKey="label" {...axisProps} />
+                    <YAxis allowDecimals={false} {...axisProps} />
+                    <Tooltip />
+                    <Bar dataKey="opens" name="Opens" fill="#8b5cf6" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Link click heatmap</h4>
+              <LinkHeatmap html={campaign.content} links={campaign.links} />
+            </div>
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Clicks per link</h4>
+              {campaign.links.length ? (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs uppercase tracking-wider text-gray-500">
+                      <th className="py-1 pr-2 font-medium">Link</th>
+                      <th className="py-1 pr-2 font-medium text-right">Clicks</th>
+                      <th className="py-1 font-medium text-right">Unique</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {campaign.links.map((link) => (
+                      <tr key={link.url}>
+                        <td className="py-1 pr-2 max-w-[180px] truncate" title={link.url}>{link.url}</td>
+                        <td className="py-1 pr-2 text-right">{link.clicks}</td>
+                        <td className="py-1 text-right">{link.uniqueClicks}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">No clicks yet.</p>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Trends across campaigns (%)</h4>
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={trendData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" vertical={false} />
+              <XAxis dataKey="name" {...axisProps} />
+              <YAxis unit="%" {...axisProps} />
+              <Tooltip labelFormatter={(label, payload) => payload?.[0]?.payload.subject || label} formatter={(value) => `${value}%`} />
+              <Legend />
+              <Line type="monotone" dataKey="Open rate" stroke="#3b82f6" strokeWidth={2} />
+              <Line type="monotone" dataKey="Click rate" stroke="#10b981" strokeWidth={2} />
+              <Line type="monotone" dataKey="Bounce rate" stroke="#ef4444" strokeWidth={2} />
+              <Line type="monotone" dataKey="Unsubscribe rate" stroke="#f59e0b" strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NewsletterAnalytics;
+// ===============================
+// End of File: NewsletterAnalytics.jsx
+// Description: Newsletter engagement analytics.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,227 @@
+// ===============================
+// File: NewsletterBlockEditor.jsx
+// Description: Block-based newsletter builder: add, reorder, edit and remove header, text, article teaser, CTA and footer blocks.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Select } from 'antd';
+import { FaArrowUp, FaArrowDown, FaTrash, FaPlus } from 'react-icons/fa';
+import { cmsApi } from '../../services/api';
+import { resolveAssetUrl } from '../../config';
+import { NEWSLETTER_BLOCKS, createBlock } from '../../utils/newsletterTemplates';
+
+const inputClass = 'w-full rounded-md border border-gray-300 p-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * Labelled input for one block prop
+ * @param {Object} props
+ * @param {string} props.label
+ * @param {string} props.value
+ * @param {function(string): void} props.onChange
+ * @param {'text'|'color'|'textarea'} [props.type='text']
+ * @param {string} [props.placeholder]
+ */
+const BlockField = ({ label, value, onChange, type = 'text', placeholder }) => (
+  <label className="block">
+    <span className="block text-xs font-medium text-gray-600 mb-1">{label}</span>
+    {type === 'textarea' ? (
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${inputClass} font-mono h-28`}
+        placeholder={placeholder}
+      />
+    ) : (
+      <input
+        type={type}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={type === 'color' ? 'h-9 w-16 rounded border border-gray-300' : inputClass}
+        placeholder={placeholder}
+      />
+    )}
+  </label>
+);
+
+BlockField.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  type: PropTypes.oneOf(['text', 'color', 'textarea']),
+  placeholder: PropTypes.string
+};
+
+/**
+ * Block builder for newsletter content
+ * @param {Object} props
+ * @param {Array<Object>} props.blocks - Blocks in display order
+ * @param {function(Array<Object>): void} props.onChange - Called with the new block list
+ */
+const NewsletterBlockEditor = ({ blocks, onChange }) => {
+  const [publishedBlogs, setPublishedBlogs] = useState([]);
+
+  useEffect(() => {
+    cmsApi.getBlogs({ status: 'published' })
+      .then((response) => setPublishedBlogs(response.data?.data || []))
+      .catch((error) => console.error('Failed to load published blogs:', error));
+  }, []);
+
+  const updateBlock = (id, patch) => {
+    onChange(blocks.map((block) => (block.id === id ? { ...block, props: { ...block.props, ...patch } } : block)));
+  };
+
+  const moveBlock = (index, offset) => {
+    const next = [...blocks];
+    const [moved] = next.splice(index, 1);
+    next.splice(index + offset, 0, moved);
+    onChange(next);
+  };
+
+  // Copy the post's current title, excerpt, image and link into the teaser
+  const pickBlog = (id, blogId) => {
+    const blog = publishedBlogs.find((entry) => entry._id === blogId);
+    if (!blog) return;
+    updateBlock(id, {
+      blogId,
+      title: blog.title,
+      excerpt: blog.excerpt || '',
+      imageUrl: blog.featuredImage ? resolveAssetUrl(blog.featuredImage) : '',
+      url: `/blog/${blog.slug}`,
+    });
+  };
+
+  /**
+   * Prop inputs for one block
+   * @param {Object} block
+   * @returns {JSX.Element}
+   */
+  const renderFields = ({ id, type, props }) => {
+    const set = (key) => (value) => updateBlock(id, { [key]: value });
+    switch (type) {
+      case 'header':
+        return (
+          <div className="grid grid-cols-2 gap-3">
+            <BlockField label="Title" value={props.title} onChange={set('title')} />
+            <BlockField label="Subtitle" value={props.subtitle} onChange={set('subtitle')} />
+            <div className="flex gap-3">
+              <BlockField label="Background" type="color" value={props.background} onChange={set('background')} />
+              <BlockField label="Text colour" type="color" value={props.color} onChange={set('color')} />
+            </div>
+          </div>
+        );
+      case 'text':
+        return <BlockField label="Content (HTML, merge tags allowed)" type="textarea" value={props.html} onChange={set('html')} />;
+      case 'teaser':
+        return (
+          <div className="space-y-3">
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-600 mb-1">Published post</span>
+              <Select
+                showSearch
+                value={props.blogId || undefined}
+                onChange={(blogId) => pickBlog(id, blogId)}
+                placeholder="Choose a published blog post"
+                optionFilterProp="label"
+                className="w-full"
+                options={publishedBlogs.map((blog) => ({ value: blog._id, label: blog.title }))}
+              />
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              <BlockField label="Title" value={props.title} onChange={set('title')} />
+              <BlockField label="Button label" value={props.buttonLabel} onChange={set('buttonLabel')} />
+            </div>
+            <BlockField label="Excerpt" value={props.excerpt} onChange={set('excerpt')} />
+          </div>
+        );
+      case 'cta':
+        return (
+          <div className="grid grid-cols-2 gap-3">
+            <BlockField label="Label" value={props.label} onChange={set('label')} />
+            <BlockField label="Link" value={props.url} onChange={set('url')} placeholder="https://" />
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-600 mb-1">Alignment</span>
+              <select value={props.align} onChange={(e) => set('align')(e.target.value)} className={inputClass}>
+                <option value="left">Left</option>
+                <option value="center">Center</option>
+                <option value="right">Right</option>
+              </select>
+            </label>
+            <div className="flex gap-3">
+              <BlockField label="Button" type="color" value={props.background} onChange={set('background')} />
+              <BlockField label="Text colour" type="color" value={props.color} onChange={set('color')} />
+            </div>
+          </div>
+        );
+      case 'footer':
+        return (
+          <div className="space-y-3">
+            <BlockField label="Text" value={props.text} onChange={set('text')} />
+            <BlockField label="Postal address" value={props.address} onChange={set('address')} />
+            <p className="text-xs text-gray-500">An unsubscribe link is always added to the footer.</p>
+          </div>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="space-y-3 h-[500px] overflow-y-auto pr-1">
+      {blocks.length === 0 && (
+        <p className="p-6 text-center text-sm text-gray-500 border border-dashed border-gray-300 rounded-md">
+          No blocks yet. Add one below.
+        </p>
+      )}
+      {blocks.map((block, index) => {
+        const definition = NEWSLETTER_BLOCKS.find((entry) => entry.type === block.type);
+        return (
+          <div key={block.id} className="border border-gray-200 rounded-md p-3 bg-gray-50">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-semibold text-gray-800">{definition?.label || block.type}</span>
+              <div className="flex items-center gap-1 text-gray-500">
+                <button type="button" onClick={() => moveBlock(index, -1)} disabled={index === 0} className="p-1 hover:text-gray-800 disabled:opacity-30" aria-label="Move block up">
+                  <FaArrowUp />
+                </button>
+                <button type="button" onClick={() => moveBlock(index, 1)} disabled={index === blocks.length - 1} className="p-1 hover:text-gray-800 disabled:opacity-30" aria-label="Move block down">
+                  <FaArrowDown />
+                </button>
+                <button type="button" onClick={() => onChange(blocks.filter((entry) => entry.id !== block.id))} className="p-1 hover:text-red-600" aria-label="Remove block">
+                  <FaTrash />
+                </button>
+              </div>
+            </div>
+            {renderFields(block)}
+          </div>
+        );
+      })}
+      <div className="flex flex-wrap gap-2 pt-1">
+        {NEWSLETTER_BLOCKS.map((definition) => (
+          <button
+            key={definition.type}
+            type="button"
+            onClick={() => onChange([...blocks, createBlock(definition.type)])}
+            title={definition.description}
+            className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <FaPlus className="mr-1" /> {definition.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+NewsletterBlockEditor.propTypes = {
+  blocks: PropTypes.array.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default NewsletterBlockEditor;
+// ===============================
+// End of File: NewsletterBlockEditor.jsx
+// Description: Block-based newsletter builder.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
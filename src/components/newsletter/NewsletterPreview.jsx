@@ -0,0 +1,79 @@
+// ===============================
+// File: NewsletterPreview.jsx
+// Description: Newsletter preview rendered for one recipient, with merge tags filled in from their data.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Select } from 'antd';
+import { renderMergeTags } from '../../utils/newsletterTemplates';
+
+// Recipient without any data, to check every fallback at once
+const SAMPLE_RECIPIENT = { _id: 'sample', email: 'someone@example.com', attributes: {} };
+
+/**
+ * Per-recipient newsletter preview
+ * @param {Object} props
+ * @param {string} props.content - Newsletter HTML with merge tags
+ * @param {Array<Object>} [props.subscribers=[]] - Recipients to preview as
+ * @param {string} [props.className]
+ * @param {boolean} [props.asDocument=false] - Content is a full HTML document; render it in a sandboxed frame
+ */
+const NewsletterPreview = ({ content, subscribers = [], className = '', asDocument = false }) => {
+  const [recipientId, setRecipientId] = useState(subscribers[0]?._id || SAMPLE_RECIPIENT._id);
+
+  const recipient = subscribers.find((subscriber) => subscriber._id === recipientId) || SAMPLE_RECIPIENT;
+  const html = useMemo(() => renderMergeTags(content, recipient), [content, recipient]);
+
+  return (
+    <div className={`border border-gray-200 rounded-md flex flex-col ${className}`}>
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-200 bg-gray-50">
+        <span className="text-sm text-gray-500 whitespace-nowrap">Preview as</span>
+        <Select
+          size="small"
+          showSearch
+          value={recipientId}
+          onChange={setRecipientId}
+          optionFilterProp="label"
+          className="flex-1 min-w-0"
+          options={[
+            { value: SAMPLE_RECIPIENT._id, label: 'Subscriber with no data (fallbacks)' },
+            ...subscribers.map((subscriber) => ({ value: subscriber._id, label: subscriber.email })),
+          ]}
+          aria-label="Preview recipient"
+        />
+      </div>
+      {asDocument ? (
+        <iframe
+          title="Email preview"
+          srcDoc={html}
+          sandbox=""
+          className="w-full flex-1 bg-white"
+        />
+      ) : (
+        <div className="p-4 overflow-auto flex-1">
+          <div
+            className="preview-content"
+            dangerouslySetInnerHTML={{ __html: html }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+NewsletterPreview.propTypes = {
+  content: PropTypes.string.isRequired,
+  subscribers: PropTypes.array,
+  className: PropTypes.string,
+  asDocument: PropTypes.bool
+};
+
+export default NewsletterPreview;
+// ===============================
+// End of File: NewsletterPreview.jsx
+// Description: Per-recipient newsletter preview.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
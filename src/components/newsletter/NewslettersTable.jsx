@@ -9,6 +9,10 @@ import PropTypes from 'prop-types';
 import { FaEdit, FaTrash, FaPaperPlane, FaClock, FaTimes } from 'react-icons/fa';
 import { Tooltip, Pagination } from 'antd';
 import dayjs from 'dayjs';
+import Can from '../common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
+import AbTestResults from './AbTestResults';
+import { SCHEDULE_FREQUENCIES, describeRecurrence } from '../../utils/recurrence';
 
 /**
  * Table for displaying newsletters with actions
@@ -21,6 +25,8 @@ import dayjs from 'dayjs';
  * @param {function} props.onDelete - Handler for delete action
  * @param {function} props.onSend - Handler for send action
  * @param {function} props.onSchedule - Handler for schedule action
+ * @param {function} props.onCancelSchedule - Handler for cancel schedule action
+ * @param {function(Object, string): void} [props.onPickWinner] - Ends a running A/B test with the given variant
  * @param {boolean} props.sending - Whether a send action is in progress
  * @param {function} props.isActionDisabled - Function to check if actions are disabled
  */
@@ -34,6 +40,7 @@ const NewslettersTable = ({
   onSend,
   onSchedule,
   onCancelSchedule,
+  onPickWinner,
   sending,
   isActionDisabled
 }) => {
@@ -54,101 +61,138 @@ const NewslettersTable = ({
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
             {paginatedNewsletters.map((newsletter) => (
-              <tr key={newsletter._id} className="hover:bg-gray-50">
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <div className="text-sm font-medium text-gray-900">
-                    {newsletter?.subject || 'Untitled'}
-                  </div>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                    newsletter?.status === 'sent'
-                      ? 'bg-green-100 text-green-800'
-                      : newsletter?.status === 'scheduled'
-                        ? 'bg-yellow-100 text-yellow-800'
-                        : 'bg-gray-100 text-gray-800'
-                  }`}>
-                    {newsletter?.status === 'sent' ? 'Sent' : newsletter?.status === 'scheduled' ? 'Scheduled' : 'Draft'}
-                  </span>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                  {newsletter?.schedule ? (
-                    <div>
-                      <div>{newsletter.schedule.frequency}</div>
-                      <div className="text-xs text-gray-400">
-                        {newsletter.schedule.nextSendDate ?
-                          dayjs(new Date(newsletter.schedule.nextSendDate)).isValid() ?
-                            dayjs(newsletter.schedule.nextSendDate).format('MMM D, YYYY h:mm A')
-                            : 'Invalid Date'
-                          : 'N/A'}
-                      </div>
+              <React.Fragment key={newsletter._id}>
+                <tr className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">
+                      {newsletter?.subject || 'Untitled'}
                     </div>
-                  ) : (
-                    '-'
-                  )}
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                  {newsletter?.createdAt ? dayjs(newsletter.createdAt).format('MMM DD, YYYY') : 'N/A'}
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                  {newsletter?.sentTo?.length || 0}
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
-                  <button
-                    onClick={() => onEdit(newsletter)}
-                    className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                    aria-label="Edit newsletter"
-                  >
-                    <FaEdit className="mr-1" /> Edit
-                  </button>
-                  <Tooltip title={isActionDisabled(newsletter) ? 'Delete is disabled for 24 hours after sending.' : ''}>
-                    <button
-                      onClick={() => !isActionDisabled(newsletter) && onDelete(newsletter)}
-                      className={`inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 ${isActionDisabled(newsletter) ? 'opacity-50 cursor-not-allowed' : ''}`}
-                      disabled={isActionDisabled(newsletter)}
-                      aria-label="Delete newsletter"
-                    >
-                      <FaTrash className="mr-1" /> Delete
-                    </button>
-                  </Tooltip>
-                  <Tooltip title={isActionDisabled(newsletter) ? 'Send is disabled for 24 hours after sending.' : ''}>
-                    <button
-                      onClick={() => !isActionDisabled(newsletter) && onSend(newsletter._id)}
-                      disabled={sending || isActionDisabled(newsletter)}
-                      className={`inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 ${sending || isActionDisabled(newsletter) ? 'opacity-50 cursor-not-allowed' : ''}`}
-                      aria-label="Send newsletter"
-                    >
-                      <FaPaperPlane className="mr-1" /> Send
-                    </button>
-                  </Tooltip>
-                  {newsletter?.status === 'scheduled' ? (
-                    <>
-                      <button
-                        onClick={() => onSchedule(newsletter)}
-                        className="inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                        aria-label="Edit schedule"
-                      >
-                        <FaClock className="mr-1" /> Edit Schedule
-                      </button>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                      newsletter?.status === 'sent'
+                        ? 'bg-green-100 text-green-800'
+                        : newsletter?.status === 'scheduled'
+                          ? 'bg-yellow-100 text-yellow-800'
+                          : newsletter?.status === 'testing'
+                            ? 'bg-purple-100 text-purple-800'
+                            : 'bg-gray-100 text-gray-800'
+                    }`}>
+                      {newsletter?.status === 'sent'
+                        ? 'Sent'
+                        : newsletter?.status === 'scheduled'
+                          ? 'Scheduled'
+                          : newsletter?.status === 'testing' ? 'A/B testing' : 'Draft'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {newsletter?.schedule ? (
+                      <div>
+                        <Tooltip title={describeRecurrence(newsletter.schedule)}>
+                          <div>
+                            {SCHEDULE_FREQUENCIES.find(option => option.value === newsletter.schedule.frequency)?.label || newsletter.schedule.frequency}
+                            {newsletter.schedule.deliveryMode === 'local' && ' · local time'}
+                          </div>
+                        </Tooltip>
+                        <div className="text-xs text-gray-400">
+                          {newsletter.schedule.nextSendDate ?
+                            dayjs(new Date(newsletter.schedule.nextSendDate)).isValid() ?
+                              dayjs(newsletter.schedule.nextSendDate).format('MMM D, YYYY h:mm A')
+                              : 'Invalid Date'
+                            : 'N/A'}
+                        </div>
+                      </div>
+                    ) : (
+                      '-'
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {newsletter?.createdAt ? dayjs(newsletter.createdAt).format('MMM DD, YYYY') : 'N/A'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {newsletter?.sentTo?.length || 0}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                    <Can perform={PERMISSIONS.NEWSLETTER_EDIT}>
                       <button
-                        onClick={() => onCancelSchedule(newsletter)}
-                        className="inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-orange-600 hover:bg-orange-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500"
-                        aria-label="Cancel schedule"
+                        onClick={() => onEdit(newsletter)}
+                        className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                        aria-label="Edit newsletter"
                       >
-                        <FaTimes className="mr-1" /> Cancel
+                        <FaEdit className="mr-1" /> Edit
                       </button>
-                    </>
-                  ) : newsletter?.status === 'draft' ? (
-                    <button
-                      onClick={() => onSchedule(newsletter)}
-                      className="inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-yellow-600 hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500"
-                      aria-label="Schedule newsletter"
-                    >
-                      <FaClock className="mr-1" /> Schedule
-                    </button>
-                  ) : null}
-                </td>
-              </tr>
+                    </Can>
+                    <Can perform={PERMISSIONS.NEWSLETTER_DELETE}>
+                      <Tooltip title={isActionDisabled(newsletter) ? 'Delete is disabled for 24 hours after sending.' : ''}>
+                        <button
+                          onClick={() => !isActionDisabled(newsletter) && onDelete(newsletter)}
+                          className={`inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 ${isActionDisabled(newsletter) ? 'opacity-50 cursor-not-allowed' : ''}`}
+                          disabled={isActionDisabled(newsletter)}
+                          aria-label="Delete newsletter"
+                        >
+                          <FaTrash className="mr-1" /> Delete
+                        </button>
+                      </Tooltip>
+                    </Can>
+                    {newsletter?.status !== 'testing' && (
+                      <Can perform={PERMISSIONS.NEWSLETTER_SEND}>
+                        <Tooltip title={isActionDisabled(newsletter) ? 'Send is disabled for 24 hours after sending.' : ''}>
+                          <button
+                            onClick={() => !isActionDisabled(newsletter) && onSend(newsletter._id)}
+                            disabled={sending || isActionDisabled(newsletter)}
+                            className={`inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 ${sending || isActionDisabled(newsletter) ? 'opacity-50 cursor-not-allowed' : ''}`}
+                            aria-label="Send newsletter"
+                          >
+                            <FaPaperPlane className="mr-1" /> Send
+                          </button>
+                        </Tooltip>
+                      </Can>
+                    )}
+                    {newsletter?.status === 'scheduled' ? (
+                      <>
+                        <Can perform={PERMISSIONS.NEWSLETTER_SEND}>
+                          <button
+                            onClick={() => onSchedule(newsletter)}
+                            className="inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                            aria-label="Edit schedule"
+                          >
+                            <FaClock className="mr-1" /> Edit Schedule
+                          </button>
+                        </Can>
+                        <Can perform={PERMISSIONS.NEWSLETTER_SEND}>
+                          <button
+                            onClick={() => onCancelSchedule(newsletter)}
+                            className="inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-orange-600 hover:bg-orange-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500"
+                            aria-label="Cancel schedule"
+                          >
+                            <FaTimes className="mr-1" /> Cancel
+                          </button>
+                        </Can>
+                      </>
+                    ) : newsletter?.status === 'draft' ? (
+                      <Can perform={PERMISSIONS.NEWSLETTER_SEND}>
+                        <button
+                          onClick={() => onSchedule(newsletter)}
+                          className="inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-yellow-600 hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500"
+                          aria-label="Schedule newsletter"
+                        >
+                          <FaClock className="mr-1" /> Schedule
+                        </button>
+                      </Can>
+                    ) : null}
+                  </td>
+                </tr>
+                {newsletter?.abTest?.status && (
+                  <tr>
+                    <td colSpan={6} className="px-6 pb-4">
+                      <AbTestResults
+                        abTest={newsletter.abTest}
+                        onPickWinner={onPickWinner ? (variantId) => onPickWinner(newsletter, variantId) : undefined}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
@@ -176,6 +220,7 @@ NewslettersTable.propTypes = {
   onSend: PropTypes.func.isRequired,
   onSchedule: PropTypes.func.isRequired,
   onCancelSchedule: PropTypes.func.isRequired,
+  onPickWinner: PropTypes.func,
   sending: PropTypes.bool.isRequired,
   isActionDisabled: PropTypes.func.isRequired
 };
@@ -0,0 +1,102 @@
+// ===============================
+// File: RecurrencePreview.jsx
+// Description: Summary, RRULE and next send dates of a newsletter schedule, with one-click exception dates.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FaCalendarAlt } from 'react-icons/fa';
+import {
+  PREVIEW_COUNT,
+  describeRecurrence,
+  formatICalRecurrence,
+  getOccurrences,
+  validateRecurrence
+} from '../../utils/recurrence';
+import { formatScheduleTime } from '../../utils/publishSchedule';
+
+/**
+ * Live preview of the schedule being edited
+ * @param {Object} props
+ * @param {Object} props.schedule - Schedule fields as they would be saved
+ * @param {function(string): void} [props.onSkip] - Adds an occurrence date ("YYYY-MM-DD") to the exception dates
+ * @param {boolean} [props.disabled]
+ */
+const RecurrencePreview = ({ schedule, onSkip, disabled = false }) => {
+  const { problem, occurrences } = useMemo(() => {
+    const message = validateRecurrence(schedule);
+    if (message) return { problem: message, occurrences: [] };
+    try {
+      return { problem: null, occurrences: getOccurrences(schedule, { limit: PREVIEW_COUNT }) };
+    } catch (error) {
+      return { problem: error.message, occurrences: [] };
+    }
+  }, [schedule]);
+
+  if (problem) {
+    return (
+      <div className="p-3 rounded-md bg-gray-50 border border-gray-200 text-sm text-gray-500">
+        {problem}
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-md border border-gray-200 bg-gray-50 p-3 space-y-3">
+      <p className="text-sm font-medium text-gray-800">{describeRecurrence(schedule)}</p>
+      <pre className="text-xs text-gray-500 whitespace-pre-wrap break-all bg-white border border-gray-200 rounded p-2">
+        {formatICalRecurrence(schedule)}
+      </pre>
+      <div>
+        <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">
+          Next {occurrences.length === 1 ? 'send' : `${occurrences.length} sends`}
+        </h4>
+        {occurrences.length ? (
+          <ol className="space-y-1">
+            {occurrences.map((occurrence) => (
+              <li key={occurrence.date} className="flex items-center justify-between text-sm text-gray-700">
+                <span className="inline-flex items-center gap-2">
+                  <FaCalendarAlt className="text-gray-400" aria-hidden="true" />
+                  {formatScheduleTime(occurrence.at, schedule.timezone)}
+                </span>
+                {onSkip && schedule.frequency !== 'once' && (
+                  <button
+                    type="button"
+                    onClick={() => onSkip(occurrence.date)}
+                    className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    disabled={disabled}
+                    aria-label={`Skip ${occurrence.date}`}
+                  >
+                    Skip
+                  </button>
+                )}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-red-600">This schedule has no send dates in the future.</p>
+        )}
+        {schedule.deliveryMode === 'local' && occurrences.length > 0 && (
+          <p className="mt-2 text-xs text-gray-500">
+            Times are shown in the schedule timezone. Each subscriber receives the newsletter at {schedule.scheduleTime} in their own timezone on these dates.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+RecurrencePreview.propTypes = {
+  schedule: PropTypes.object.isRequired,
+  onSkip: PropTypes.func,
+  disabled: PropTypes.bool
+};
+
+export default RecurrencePreview;
+// ===============================
+// End of File: RecurrencePreview.jsx
+// Description: Schedule recurrence preview.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
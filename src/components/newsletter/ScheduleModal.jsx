@@ -1,13 +1,13 @@
 // ===============================
 // File: ScheduleModal.jsx
-// Description: Modal for scheduling newsletters (frequency, time, custom dates, etc.).
+// Description: Modal for scheduling newsletters (recurrence, timezone, skipped dates, local-time delivery).
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // ===============================
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { motion, AnimatePresence } from 'framer-motion';
-import { TimePicker, Tooltip } from 'antd';
+import { TimePicker, Select } from 'antd';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
 import dayjs from 'dayjs';
@@ -15,158 +15,134 @@ import { FaTimes } from 'react-icons/fa';
 import { toast } from 'react-toastify';
 import { newsletterApi } from '../../services/api';
 import ConfirmationModal from '../ui/ConfirmationModal';
+import AudiencePicker from './AudiencePicker';
+import RecurrencePreview from './RecurrencePreview';
+import { DEFAULT_TIMEZONE, getTimezoneOptions } from '../../utils/publishSchedule';
+import {
+  SCHEDULE_FREQUENCIES,
+  WEEKDAYS,
+  MONTH_WEEKS,
+  DELIVERY_MODES,
+  buildRRule,
+  describeRecurrence,
+  validateRecurrence
+} from '../../utils/recurrence';
 
-const FREQUENCY_OPTIONS = [
-  { value: 'once', label: 'One Time' },
-  { value: 'daily', label: 'Daily' },
-  { value: 'weekly', label: 'Weekly' },
-  { value: 'monthly', label: 'Monthly' },
-  { value: 'custom', label: 'Custom' }
+const END_TYPES = [
+  { value: 'never', label: 'Never' },
+  { value: 'date', label: 'On date' },
+  { value: 'count', label: 'After' }
 ];
 
-const WEEKDAYS = [
-  { value: 0, label: 'Sunday' },
-  { value: 1, label: 'Monday' },
-  { value: 2, label: 'Tuesday' },
-  { value: 3, label: 'Wednesday' },
-  { value: 4, label: 'Thursday' },
-  { value: 5, label: 'Friday' },
-  { value: 6, label: 'Saturday' }
-];
+/**
+ * Parses a stored "YYYY-MM-DD" as a local calendar date for the date pickers
+ * @param {string} value
+ * @returns {Date|null}
+ */
+const toPickerDate = (value) => {
+  const date = value ? dayjs(value) : null;
+  return date && date.isValid() ? date.toDate() : null;
+};
+
+/**
+ * @param {Date} date
+ * @returns {string} "YYYY-MM-DD"
+ */
+const toDateString = (date) => dayjs(date).format('YYYY-MM-DD');
+
+/**
+ * Removable date chips
+ * @param {Object} props
+ * @param {Array<string>} props.dates - "YYYY-MM-DD" values
+ * @param {function(string): void} props.onRemove
+ * @param {boolean} props.disabled
+ * @param {string} props.className - Chip colours
+ */
+const DateChips = ({ dates, onRemove, disabled, className }) => (
+  <div className="mt-2 flex flex-wrap gap-2">
+    {dates.map((date) => (
+      <span key={date} className={`inline-flex items-center px-2 py-1 rounded-md text-sm ${className}`}>
+        {dayjs(date).format('MMM D, YYYY')}
+        <button
+          type="button"
+          onClick={() => onRemove(date)}
+          className="ml-1 opacity-70 hover:opacity-100"
+          disabled={disabled}
+          aria-label={`Remove date ${dayjs(date).format('MMM D, YYYY')}`}
+        >
+          ×
+        </button>
+      </span>
+    ))}
+  </div>
+);
+
+DateChips.propTypes = {
+  dates: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onRemove: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  className: PropTypes.string
+};
 
 /**
- * Modal for scheduling a newsletter (frequency, time, custom dates, etc.)
+ * Modal for scheduling a newsletter: RRULE-style recurrence in an explicit timezone, exception dates,
+ * a preview of the next sends and optional delivery in each recipient's local time.
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether the modal is open
  * @param {function} props.onClose - Function to close the modal
  * @param {Object} props.newsletter - Newsletter object to schedule
  * @param {function} props.onSchedule - Callback after scheduling
+ * @param {Array} [props.segments] - Saved audience segments to choose from
  */
-const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
+const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule, segments = [] }) => {
   // State for scheduling fields
   const [scheduleTime, setScheduleTime] = useState('10:00');
   const [frequency, setFrequency] = useState('once');
+  const [repeatEvery, setRepeatEvery] = useState(1);
   const [customDates, setCustomDates] = useState([]);
   const [startDate, setStartDate] = useState(new Date());
+  const [endType, setEndType] = useState('never');
   const [endDate, setEndDate] = useState(null);
+  const [count, setCount] = useState(10);
   const [selectedWeekdays, setSelectedWeekdays] = useState([]);
   const [monthlyType, setMonthlyType] = useState('date');
   const [monthlyDate, setMonthlyDate] = useState(1);
   const [monthlyDay, setMonthlyDay] = useState({ week: 1, day: 1 });
+  const [timezone, setTimezone] = useState(DEFAULT_TIMEZONE);
+  const [exdates, setExdates] = useState([]);
+  const [deliveryMode, setDeliveryMode] = useState('schedule');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showCancelConfirm, setShowCancelConfirm] = useState(false);
+  const [segmentIds, setSegmentIds] = useState([]);
+  const timezoneOptions = useMemo(() => getTimezoneOptions(), []);
+  const isRecurring = Boolean(SCHEDULE_FREQUENCIES.find(option => option.value === frequency)?.freq);
 
   // Populate fields if editing an existing schedule
   useEffect(() => {
-    // Always log the newsletter and its schedule when modal opens
-    console.log('Editing newsletter:', newsletter);
-    console.log('Editing schedule data:', newsletter?.schedule);
-    if (newsletter?.schedule) {
-      // Set frequency
-      setFrequency(newsletter.schedule.frequency || 'once');
-      
-      // Set schedule time with proper format validation
-      if (newsletter.schedule.scheduleTime) {
-        const timeStr = newsletter.schedule.scheduleTime;
-        // Ensure time is in HH:mm format
-        if (/^\d{1,2}:\d{2}$/.test(timeStr)) {
-          setScheduleTime(timeStr);
-        } else {
-          // Try to parse and format the time
-          try {
-            const [hours, minutes] = timeStr.split(':').map(Number);
-            if (hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59) {
-              setScheduleTime(`${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`);
-            } else {
-              setScheduleTime('10:00'); // Default fallback
-            }
-          } catch (error) {
-            setScheduleTime('10:00'); // Default fallback
-          }
-        }
-      }
-      
-      try {
-        // Set start date
-        if (newsletter.schedule.startDate) {
-          const startDateObj = new Date(newsletter.schedule.startDate);
-          if (!isNaN(startDateObj.getTime())) {
-            setStartDate(startDateObj);
-          }
-        }
-        
-        // Set end date
-        if (newsletter.schedule.endDate) {
-          const endDateObj = new Date(newsletter.schedule.endDate);
-          if (!isNaN(endDateObj.getTime())) {
-            setEndDate(endDateObj);
-          }
-        }
-        
-        // Set custom dates
-        if (newsletter.schedule.customDates?.length) {
-          const validDates = newsletter.schedule.customDates
-            .map(date => new Date(date))
-            .filter(date => !isNaN(date.getTime()));
-          setCustomDates(validDates);
-        }
-        
-        // Set weekdays for weekly frequency
-        if (newsletter.schedule.weekdays?.length) {
-          const validWeekdays = newsletter.schedule.weekdays
-            .map(day => Number(day)) // Ensure numbers
-            .filter(day => day >= 0 && day <= 6 && !isNaN(day));
-          setSelectedWeekdays(validWeekdays);
-        }
-        
-        // Set monthly configuration
-        if (newsletter.schedule.frequency === 'monthly') {
-          setMonthlyType('date');
-          // Prefer nextSendDate's day if available, else use monthlyConfig.date
-          if (newsletter.schedule.nextSendDate) {
-            const nextSend = new Date(newsletter.schedule.nextSendDate);
-            if (!isNaN(nextSend.getTime())) {
-              setMonthlyDate(nextSend.getDate());
-            }
-          } else if (newsletter.schedule.monthlyConfig && newsletter.schedule.monthlyConfig.date) {
-            setMonthlyDate(newsletter.schedule.monthlyConfig.date);
-          }
-        } else if (newsletter.schedule.monthlyConfig) {
-          setMonthlyType(newsletter.schedule.monthlyConfig.type || 'date');
-          setMonthlyDate(newsletter.schedule.monthlyConfig.date || 1);
-          setMonthlyDay(newsletter.schedule.monthlyConfig.day || { week: 1, day: 1 });
-        }
-      } catch (error) {
-        // Fallback to defaults if parsing fails
-        setStartDate(new Date());
-        setEndDate(null);
-        setCustomDates([]);
-        setSelectedWeekdays([]);
-      }
-    } else {
-      // Reset to defaults when no schedule exists
-      setFrequency('once');
-      setScheduleTime('10:00');
-      setStartDate(new Date());
-      setEndDate(null);
-      setCustomDates([]);
-      setSelectedWeekdays([]);
-      setMonthlyType('date');
-      setMonthlyDate(1);
-      setMonthlyDay({ week: 1, day: 1 });
-    }
-  }, [newsletter]);
-
-  // Ensure weekdays are properly initialized when frequency changes to weekly
-  useEffect(() => {
-    if (frequency === 'weekly' && selectedWeekdays.length === 0 && newsletter?.schedule?.weekdays?.length) {
-      const validWeekdays = newsletter.schedule.weekdays
+    const schedule = newsletter?.schedule;
+    setSegmentIds(newsletter?.audience?.segmentIds || []);
+    setError(null);
+    setFrequency(schedule?.frequency || 'once');
+    setScheduleTime(/^\d{1,2}:\d{2}$/.test(schedule?.scheduleTime || '') ? schedule.scheduleTime.padStart(5, '0') : '10:00');
+    setRepeatEvery(Number(schedule?.interval) || 1);
+    setStartDate(toPickerDate(schedule?.startDate) || new Date());
+    setEndDate(toPickerDate(schedule?.endDate));
+    setCount(Number(schedule?.count) || 10);
+    setEndType(schedule?.count ? 'count' : schedule?.endDate ? 'date' : 'never');
+    setCustomDates((schedule?.customDates || []).map(toPickerDate).filter(Boolean));
+    setSelectedWeekdays(
+      (schedule?.weekdays || [])
         .map(day => Number(day))
-        .filter(day => day >= 0 && day <= 6 && !isNaN(day));
-      setSelectedWeekdays(validWeekdays);
-    }
-  }, [frequency, newsletter?.schedule?.weekdays, selectedWeekdays.length]);
+        .filter(day => day >= 0 && day <= 6)
+    );
+    setMonthlyType(schedule?.monthlyConfig?.type || 'date');
+    setMonthlyDate(schedule?.monthlyConfig?.date || 1);
+    setMonthlyDay(schedule?.monthlyConfig?.day || { week: 1, day: 1 });
+    setTimezone(schedule?.timezone || DEFAULT_TIMEZONE);
+    setExdates(schedule?.exdates || []);
+    setDeliveryMode(schedule?.deliveryMode || 'schedule');
+  }, [newsletter]);
 
   /**
    * Handle time picker change
@@ -181,6 +157,43 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
     }
   };
 
+  /**
+   * Adds an exception date, keeping the list sorted and unique
+   * @param {string} date - "YYYY-MM-DD"
+   */
+  const addExdate = (date) => {
+    setExdates(prev => [...new Set([...prev, date])].sort());
+  };
+
+  // Schedule fields as they are saved; also drives the preview
+  const scheduleData = useMemo(() => {
+    const fields = {
+      frequency,
+      scheduleTime,
+      timezone,
+      deliveryMode,
+      interval: isRecurring ? Math.max(1, Number(repeatEvery) || 1) : 1,
+      startDate: toDateString(startDate),
+      endDate: isRecurring && endType === 'date' && endDate ? toDateString(endDate) : null,
+      count: isRecurring && endType === 'count' ? Number(count) : null,
+      customDates: frequency === 'custom' ? [...new Set(customDates.map(toDateString))].sort() : null,
+      weekdays: frequency === 'weekly' ? [...selectedWeekdays].sort((a, b) => a - b) : null,
+      monthlyConfig: frequency === 'monthly' ? {
+        type: monthlyType,
+        date: Number(monthlyDate),
+        day: monthlyType === 'day'
+          ? {
+              week: MONTH_WEEKS.some(week => week.value === Number(monthlyDay?.week)) ? Number(monthlyDay.week) : 1,
+              day: Number(monthlyDay?.day) >= 0 && Number(monthlyDay?.day) <= 6 ? Number(monthlyDay.day) : 0
+            }
+          : undefined
+      } : null,
+      exdates: frequency === 'once' ? [] : exdates
+    };
+    return { ...fields, rrule: buildRRule(fields) };
+  }, [frequency, scheduleTime, timezone, deliveryMode, isRecurring, repeatEvery, startDate, endType, endDate, count,
+    customDates, selectedWeekdays, monthlyType, monthlyDate, monthlyDay, exdates]);
+
   /**
    * Handle scheduling the newsletter
    */
@@ -188,51 +201,18 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
     try {
       setLoading(true);
       setError(null);
-      
-      // Validate time format
-      if (!scheduleTime || !/^\d{1,2}:\d{2}$/.test(scheduleTime)) {
-        throw new Error('Invalid time format. Use HH:MM format (e.g., 14:30)');
-      }
-      
-      // Validate time values
-      const [hours, minutes] = scheduleTime.split(':').map(Number);
-      if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-        throw new Error('Invalid time values. Hours must be 0-23, minutes must be 0-59');
-      }
-      
-      // Validate frequency-specific requirements
-      if (frequency === 'weekly' && selectedWeekdays.length === 0) {
-        throw new Error('Please select at least one weekday for weekly schedule');
-      }
-      
-      if (frequency === 'custom' && customDates.length === 0) {
-        throw new Error('Please select at least one date for custom schedule');
+
+      const problem = validateRecurrence(scheduleData);
+      if (problem) {
+        throw new Error(problem);
       }
-      
-      const scheduleData = {
-        frequency,
-        scheduleTime,
-        startDate: dayjs(startDate).format('YYYY-MM-DD'),
-        endDate: endDate ? dayjs(endDate).format('YYYY-MM-DD') : null,
-        customDates: frequency === 'custom' ? customDates.map(date => dayjs(date).format('YYYY-MM-DD')) : null,
-        weekdays: frequency === 'weekly' ? selectedWeekdays : null,
-        monthlyConfig: frequency === 'monthly' ? {
-          type: monthlyType,
-          date: Number(monthlyDate),
-          day: monthlyType === 'day'
-            ? {
-                week: Number.isFinite(Number(monthlyDay?.week)) && Number(monthlyDay?.week) > 0 && Number(monthlyDay?.week) <= 4 ? Number(monthlyDay.week) : 1,
-                day: Number.isFinite(Number(monthlyDay?.day)) && Number(monthlyDay?.day) >= 0 && Number(monthlyDay?.day) <= 6 ? Number(monthlyDay.day) : 0
-              }
-            : undefined
-        } : null
-      };
-      
+
+      const payload = { audience: { segmentIds }, ...scheduleData };
       if (newsletter.schedule) {
-        await newsletterApi.updateSchedule(newsletter._id, scheduleData);
+        await newsletterApi.updateSchedule(newsletter._id, payload);
         toast.success('Schedule updated successfully');
       } else {
-        await newsletterApi.scheduleNewsletter(newsletter._id, scheduleData);
+        await newsletterApi.scheduleNewsletter(newsletter._id, payload);
         toast.success('Newsletter scheduled successfully');
       }
       onClose();
@@ -290,7 +270,7 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
             initial={{ scale: 0.95, opacity: 0 }}
             animate={{ scale: 1, opacity: 1 }}
             exit={{ scale: 0.95, opacity: 0 }}
-            className="bg-white rounded-xl shadow-xl w-full max-w-md p-6"
+            className="bg-white rounded-xl shadow-xl w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto"
             onClick={e => e.stopPropagation()}
           >
             <div className="flex justify-between items-center mb-6">
@@ -304,17 +284,12 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
             {newsletter?.schedule && (
               <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
                 <p className="text-sm text-blue-800">
-                  <strong>Current Schedule:</strong> {newsletter.schedule.frequency} at {newsletter.schedule.scheduleTime}
+                  <strong>Current Schedule:</strong> {describeRecurrence(newsletter.schedule)}
                   {newsletter.schedule.nextSendDate && (
                     <span className="block text-xs text-blue-600 mt-1">
                       Next send: {dayjs(newsletter.schedule.nextSendDate).format('MMM D, YYYY h:mm A')}
                     </span>
                   )}
-                  {newsletter.schedule.weekdays && (
-                    <span className="block text-xs text-blue-600 mt-1">
-                      Weekdays: {newsletter.schedule.weekdays.map(day => WEEKDAYS.find(w => w.value === day)?.label).join(', ')}
-                    </span>
-                  )}
                 </p>
               </div>
             )}
@@ -323,9 +298,17 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
                 {error}
               </div>
             )}
-            
 
             <div className="space-y-4">
+              {/* Audience */}
+              <AudiencePicker
+                segments={segments}
+                value={segmentIds}
+                onChange={setSegmentIds}
+                topic={newsletter?.topic}
+                important={Boolean(newsletter?.important)}
+                disabled={loading}
+              />
               {/* Frequency selection */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -338,36 +321,77 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
                   disabled={loading}
                   aria-label="Select frequency"
                 >
-                  {FREQUENCY_OPTIONS.map(option => (
+                  {SCHEDULE_FREQUENCIES.map(option => (
                     <option key={option.value} value={option.value}>
                       {option.label}
                     </option>
                   ))}
                 </select>
               </div>
-              {/* Time picker */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Time
-                </label>
-                <TimePicker
-                  value={scheduleTime ? dayjs(scheduleTime, 'HH:mm') : null}
-                  onChange={handleTimeChange}
-                  format="HH:mm"
-                  minuteStep={1}
-                  className="w-full"
-                  disabled={loading}
-                  popupClassName="newsletter-time-picker-dropdown"
-                  style={{ width: '100%', height: '38px', borderRadius: '0.375rem' }}
-                  aria-label="Select time"
-                  placeholder="Select time"
-                />
+              {/* Time and timezone */}
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Time
+                  </label>
+                  <TimePicker
+                    value={scheduleTime ? dayjs(scheduleTime, 'HH:mm') : null}
+                    onChange={handleTimeChange}
+                    format="HH:mm"
+                    minuteStep={1}
+                    className="w-full"
+                    disabled={loading}
+                    popupClassName="newsletter-time-picker-dropdown"
+                    style={{ width: '100%', height: '38px', borderRadius: '0.375rem' }}
+                    aria-label="Select time"
+                    placeholder="Select time"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Timezone
+                  </label>
+                  <Select
+                    showSearch
+                    value={timezone}
+                    onChange={setTimezone}
+                    options={timezoneOptions}
+                    optionFilterProp="label"
+                    className="w-full"
+                    style={{ height: '38px' }}
+                    disabled={loading}
+                    aria-label="Select timezone"
+                  />
+                </div>
               </div>
-              {/* Start date for recurring */}
-              {frequency !== 'once' && (
+              {/* Delivery time mode */}
+              <fieldset>
+                <legend className="block text-sm font-medium text-gray-700 mb-1">Deliver</legend>
+                <div className="space-y-2">
+                  {DELIVERY_MODES.map(mode => (
+                    <label key={mode.value} className="flex items-start gap-2">
+                      <input
+                        type="radio"
+                        name="deliveryMode"
+                        value={mode.value}
+                        checked={deliveryMode === mode.value}
+                        onChange={() => setDeliveryMode(mode.value)}
+                        disabled={loading}
+                        className="mt-1 text-blue-600 focus:ring-blue-500"
+                      />
+                      <span>
+                        <span className="block text-sm text-gray-700">{mode.label}</span>
+                        <span className="block text-xs text-gray-500">{mode.description}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+              {/* Send date, or first date of a recurrence */}
+              {frequency !== 'custom' && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Start Date
+                    {frequency === 'once' ? 'Date' : 'Start Date'}
                   </label>
                   <DatePicker
                     selected={startDate}
@@ -379,6 +403,29 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
                   />
                 </div>
               )}
+              {/* Interval */}
+              {isRecurring && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Repeat Every
+                  </label>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min={1}
+                      max={99}
+                      value={repeatEvery}
+                      onChange={(e) => setRepeatEvery(e.target.value)}
+                      className="w-20 rounded-md border border-gray-300 p-2"
+                      disabled={loading}
+                      aria-label="Repeat interval"
+                    />
+                    <span className="text-sm text-gray-700">
+                      {SCHEDULE_FREQUENCIES.find(option => option.value === frequency)?.unit}{Number(repeatEvery) === 1 ? '' : 's'}
+                    </span>
+                  </div>
+                </div>
+              )}
               {/* Weekly selection */}
               {frequency === 'weekly' && (
                 <div>
@@ -416,22 +463,23 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
                       Monthly Schedule Type
                     </label>
                     <div className="flex space-x-4">
-                      <label className="flex items-center space-x-2">
-                        <input
-                          type="radio"
-                          value="date"
-                          checked={monthlyType === 'date'}
-                          onChange={(e) => setMonthlyType(e.target.value)}
-                          disabled={loading}
-                          className="text-blue-600 focus:ring-blue-500"
-                          aria-label="Day of Month"
-                        />
-                        <span className="text-sm text-gray-700">Day of Month</span>
-                      </label>
-                      {/* Removed Specific Day option from UI */}
+                      {[{ value: 'date', label: 'Day of Month' }, { value: 'day', label: 'Specific Weekday' }].map(option => (
+                        <label key={option.value} className="flex items-center space-x-2">
+                          <input
+                            type="radio"
+                            value={option.value}
+                            checked={monthlyType === option.value}
+                            onChange={(e) => setMonthlyType(e.target.value)}
+                            disabled={loading}
+                            className="text-blue-600 focus:ring-blue-500"
+                            aria-label={option.label}
+                          />
+                          <span className="text-sm text-gray-700">{option.label}</span>
+                        </label>
+                      ))}
                     </div>
                   </div>
-                  {monthlyType === 'date' && (
+                  {monthlyType === 'date' ? (
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
                         Day of Month
@@ -448,10 +496,38 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
                             {day}
                           </option>
                         ))}
+                        <option value={-1}>Last day</option>
+                      </select>
+                      {monthlyDate > 28 && (
+                        <p className="mt-1 text-xs text-gray-500">Months without this day are skipped.</p>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-2 gap-2">
+                      <select
+                        value={monthlyDay.week}
+                        onChange={(e) => setMonthlyDay(prev => ({ ...prev, week: Number(e.target.value) }))}
+                        className="w-full rounded-md border border-gray-300 p-2"
+                        disabled={loading}
+                        aria-label="Select week of month"
+                      >
+                        {MONTH_WEEKS.map(week => (
+                          <option key={week.value} value={week.value}>{week.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={monthlyDay.day}
+                        onChange={(e) => setMonthlyDay(prev => ({ ...prev, day: Number(e.target.value) }))}
+                        className="w-full rounded-md border border-gray-300 p-2"
+                        disabled={loading}
+                        aria-label="Select weekday"
+                      >
+                        {WEEKDAYS.map(day => (
+                          <option key={day.value} value={day.value}>{day.label}</option>
+                        ))}
                       </select>
                     </div>
                   )}
-                  {/* Removed Specific Day functionality from UI and logic */}
                 </div>
               )}
               {/* Custom dates selection */}
@@ -462,7 +538,7 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
                   </label>
                   <DatePicker
                     selected={null}
-                    onChange={(date) => setCustomDates([...customDates, date])}
+                    onChange={(date) => date && setCustomDates([...customDates, date])}
                     minDate={new Date()}
                     className="w-full rounded-md border border-gray-300 p-2"
                     placeholderText="Click to select multiple dates"
@@ -470,47 +546,91 @@ const ScheduleModal = ({ isOpen, onClose, newsletter, onSchedule }) => {
                     aria-label="Select custom dates"
                   />
                   {customDates.length > 0 && (
-                    <div className="mt-2">
-                      <h4 className="text-sm font-medium text-gray-700 mb-1">Selected Dates:</h4>
-                      <div className="flex flex-wrap gap-2">
-                        {customDates.map((date, index) => (
-                          <span
-                            key={index}
-                            className="inline-flex items-center px-2 py-1 rounded-md bg-blue-100 text-blue-700 text-sm"
-                          >
-                            {dayjs(date).format('MMM D, YYYY')}
-                            <button
-                              onClick={() => setCustomDates(customDates.filter((_, i) => i !== index))}
-                              className="ml-1 text-blue-500 hover:text-blue-700"
-                              disabled={loading}
-                              aria-label={`Remove date ${dayjs(date).format('MMM D, YYYY')}`}
-                            >
-                              ×
-                            </button>
-                          </span>
-                        ))}
-                      </div>
+                    <DateChips
+                      dates={scheduleData.customDates}
+                      onRemove={(date) => setCustomDates(customDates.filter(d => toDateString(d) !== date))}
+                      disabled={loading}
+                      className="bg-blue-100 text-blue-700"
+                    />
+                  )}
+                </div>
+              )}
+              {/* End of a recurrence */}
+              {isRecurring && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Ends
+                  </label>
+                  <div className="flex flex-wrap items-center gap-3">
+                    {END_TYPES.map(option => (
+                      <label key={option.value} className="flex items-center space-x-2">
+                        <input
+                          type="radio"
+                          name="endType"
+                          value={option.value}
+                          checked={endType === option.value}
+                          onChange={() => setEndType(option.value)}
+                          disabled={loading}
+                          className="text-blue-600 focus:ring-blue-500"
+                        />
+                        <span className="text-sm text-gray-700">{option.label}</span>
+                      </label>
+                    ))}
+                  </div>
+                  {endType === 'date' && (
+                    <DatePicker
+                      selected={endDate}
+                      onChange={setEndDate}
+                      minDate={startDate}
+                      className="mt-2 w-full rounded-md border border-gray-300 p-2"
+                      placeholderText="Last send date"
+                      disabled={loading}
+                      aria-label="Select end date"
+                    />
+                  )}
+                  {endType === 'count' && (
+                    <div className="mt-2 flex items-center gap-2">
+                      <input
+                        type="number"
+                        min={1}
+                        value={count}
+                        onChange={(e) => setCount(e.target.value)}
+                        className="w-24 rounded-md border border-gray-300 p-2"
+                        disabled={loading}
+                        aria-label="Number of sends"
+                      />
+                      <span className="text-sm text-gray-700">sends</span>
                     </div>
                   )}
                 </div>
               )}
-              {/* End date for recurring */}
-              {frequency !== 'once' && frequency !== 'custom' && (
+              {/* Exception dates */}
+              {frequency !== 'once' && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    End Date (Optional)
+                    Skip Dates (Optional)
                   </label>
                   <DatePicker
-                    selected={endDate}
-                    onChange={setEndDate}
+                    selected={null}
+                    onChange={(date) => date && addExdate(toDateString(date))}
                     minDate={startDate}
                     className="w-full rounded-md border border-gray-300 p-2"
-                    placeholderText="No end date"
+                    placeholderText="Holidays and other dates to skip"
                     disabled={loading}
-                    aria-label="Select end date"
+                    aria-label="Select dates to skip"
                   />
+                  {exdates.length > 0 && (
+                    <DateChips
+                      dates={exdates}
+                      onRemove={(date) => setExdates(prev => prev.filter(d => d !== date))}
+                      disabled={loading}
+                      className="bg-amber-100 text-amber-800"
+                    />
+                  )}
                 </div>
               )}
+              {/* Summary and upcoming sends */}
+              <RecurrencePreview schedule={scheduleData} onSkip={addExdate} disabled={loading} />
             </div>
             {/* Modal actions */}
             <div className="mt-6 flex justify-end space-x-3">
@@ -562,13 +682,14 @@ ScheduleModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
   newsletter: PropTypes.object,
-  onSchedule: PropTypes.func.isRequired
+  onSchedule: PropTypes.func.isRequired,
+  segments: PropTypes.array
 };
 
 export default ScheduleModal;
 // ===============================
 // End of File: ScheduleModal.jsx
-// Description: Modal for scheduling newsletters (frequency, time, custom dates, etc.).
+// Description: Modal for scheduling newsletters (recurrence, timezone, skipped dates, local-time delivery).
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // =============================== 
\ No newline at end of file
@@ -0,0 +1,194 @@
+// ===============================
+// File: SegmentModal.jsx
+// Description: Modal for creating or editing a saved audience segment, with a live count of matching subscribers.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaTimes, FaUsers } from 'react-icons/fa';
+import { Spin } from 'antd';
+import SegmentRuleEditor from './SegmentRuleEditor';
+import useAudiencePreview from '../../hooks/useAudiencePreview';
+import { createSegmentRule, isRuleComplete } from '../../utils/audienceSegments';
+
+const emptySegment = () => ({ name: '', description: '', match: 'all', rules: [createSegmentRule()] });
+
+/**
+ * Modal for creating or editing a segment
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {function} props.onClose - Function to close the modal
+ * @param {Object} [props.segment] - Segment being edited; omit to create one
+ * @param {function(Object): Promise<void>} props.onSave - Saves the segment; throws to keep the modal open
+ * @param {Array<string>} [props.tagOptions] - Known subscriber tags
+ * @param {Array<string>} [props.attributeOptions] - Known subscriber attribute names
+ */
+const SegmentModal = ({ isOpen, onClose, segment, onSave, tagOptions, attributeOptions }) => {
+  const [formData, setFormData] = useState(emptySegment);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setFormData(segment
+      ? { name: segment.name, description: segment.description || '', match: segment.match || 'all', rules: segment.rules }
+      : emptySegment());
+    setError(null);
+  }, [isOpen, segment]);
+
+  const completeRules = formData.rules.filter(isRuleComplete);
+  const { count, total, loading: counting } = useAudiencePreview(
+    isOpen ? { segment: { match: formData.match, rules: completeRules } } : null
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setError(null);
+      if (!formData.name.trim()) {
+        throw new Error('Segment name is required');
+      }
+      if (!completeRules.length) {
+        throw new Error('Add at least one complete rule');
+      }
+      await onSave({ ...formData, rules: completeRules });
+    } catch (saveError) {
+      setError(saveError.response?.data?.message || saveError.message || 'Error saving segment');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+          aria-modal="true"
+          role="dialog"
+          tabIndex={-1}
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-xl shadow-xl w-full max-w-3xl p-6"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-6">
+              <h3 className="text-lg font-semibold">{segment ? 'Edit Segment' : 'Create Segment'}</h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-500"
+                aria-label="Close segment modal"
+              >
+                <FaTimes className="w-5 h-5" />
+              </button>
+            </div>
+
+            {error && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-red-600 text-sm" role="alert">
+                {error}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Name
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                    className="w-full rounded-md border border-gray-300 p-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="e.g. Customers since January"
+                    disabled={loading}
+                    required
+                    aria-label="Segment name"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Description (Optional)
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.description}
+                    onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                    className="w-full rounded-md border border-gray-300 p-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    disabled={loading}
+                    aria-label="Segment description"
+                  />
+                </div>
+              </div>
+
+              <SegmentRuleEditor
+                match={formData.match}
+                rules={formData.rules}
+                onChange={(patch) => setFormData(prev => ({ ...prev, ...patch }))}
+                tagOptions={tagOptions}
+                attributeOptions={attributeOptions}
+                disabled={loading}
+              />
+
+              <div className="p-3 bg-blue-50 border border-blue-200 rounded-md text-sm text-blue-800 flex items-center gap-2" aria-live="polite">
+                <FaUsers />
+                {counting || count === null ? (
+                  <Spin size="small" />
+                ) : (
+                  <span><strong>{count}</strong> of {total} active subscribers match</span>
+                )}
+              </div>
+
+              <div className="mt-6 flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-800"
+                  disabled={loading}
+                  aria-label="Cancel segment"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  disabled={loading}
+                  aria-label={segment ? 'Update segment' : 'Create segment'}
+                >
+                  {loading ? 'Saving...' : segment ? 'Update Segment' : 'Create Segment'}
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+SegmentModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  segment: PropTypes.object,
+  onSave: PropTypes.func.isRequired,
+  tagOptions: PropTypes.arrayOf(PropTypes.string),
+  attributeOptions: PropTypes.arrayOf(PropTypes.string)
+};
+
+export default SegmentModal;
+// ===============================
+// End of File: SegmentModal.jsx
+// Description: Modal for creating or editing audience segments.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,184 @@
+// ===============================
+// File: SegmentRuleEditor.jsx
+// Description: Rule rows for an audience segment (field, operator, value) with an all/any switch.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaPlus, FaTrash } from 'react-icons/fa';
+import {
+  SEGMENT_FIELDS,
+  SEGMENT_OPERATORS,
+  getSegmentField,
+  getSegmentOperator,
+  createSegmentRule
+} from '../../utils/audienceSegments';
+
+const inputClass = 'rounded-md border border-gray-300 p-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * Editor for a segment's rules
+ * @param {Object} props
+ * @param {'all'|'any'} props.match - Whether every rule or any rule must hold
+ * @param {Array<Object>} props.rules - Rules being edited
+ * @param {function({ match?: string, rules?: Array<Object> }): void} props.onChange - Called with the changed part
+ * @param {Array<string>} [props.tagOptions=[]] - Known tags, offered as suggestions
+ * @param {Array<string>} [props.attributeOptions=[]] - Known attribute names, offered as suggestions
+ * @param {boolean} [props.disabled=false]
+ */
+const SegmentRuleEditor = ({ match, rules, onChange, tagOptions = [], attributeOptions = [], disabled = false }) => {
+  const updateRule = (index, patch) => {
+    onChange({ rules: rules.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)) });
+  };
+
+  // A new field brings its own operators and value type, so start the row over
+  const changeField = (index, field) => {
+    onChange({ rules: rules.map((rule, i) => (i === index ? createSegmentRule(field) : rule)) });
+  };
+
+  /**
+   * Value input matching the rule's field type
+   * @param {Object} rule
+   * @param {number} index
+   * @returns {JSX.Element|null}
+   */
+  const renderValue = (rule, index) => {
+    const field = getSegmentField(rule.field);
+    if (!getSegmentOperator(rule)?.needsValue) return null;
+    if (field.type === 'enum') {
+      return (
+        <select
+          value={rule.value}
+          onChange={(e) => updateRule(index, { value: e.target.value })}
+          className={`${inputClass} flex-1`}
+          disabled={disabled}
+          aria-label="Rule value"
+        >
+          {field.options.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        type={field.type === 'date' ? 'date' : 'text'}
+        value={rule.value}
+        onChange={(e) => updateRule(index, { value: e.target.value })}
+        list={field.type === 'tag' ? 'segment-tag-options' : undefined}
+        placeholder={field.type === 'tag' ? 'e.g. customer' : 'Value'}
+        className={`${inputClass} flex-1 min-w-0`}
+        disabled={disabled}
+        aria-label="Rule value"
+      />
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-sm text-gray-700">
+        <span>Subscribers matching</span>
+        <select
+          value={match}
+          onChange={(e) => onChange({ match: e.target.value })}
+          className={inputClass}
+          disabled={disabled}
+          aria-label="Match all or any rules"
+        >
+          <option value="all">all</option>
+          <option value="any">any</option>
+        </select>
+        <span>of these rules</span>
+      </div>
+
+      {rules.map((rule, index) => {
+        const field = getSegmentField(rule.field);
+        return (
+          <div key={index} className="flex items-center gap-2">
+            <span className="w-12 shrink-0 text-xs font-semibold uppercase text-gray-400">
+              {index === 0 ? 'where' : match === 'any' ? 'or' : 'and'}
+            </span>
+            <select
+              value={rule.field}
+              onChange={(e) => changeField(index, e.target.value)}
+              className={inputClass}
+              disabled={disabled}
+              aria-label="Rule field"
+            >
+              {SEGMENT_FIELDS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {rule.field === 'attribute' && (
+              <input
+                type="text"
+                value={rule.key}
+                onChange={(e) => updateRule(index, { key: e.target.value })}
+                list="segment-attribute-options"
+                placeholder="Name"
+                className={`${inputClass} w-28`}
+                disabled={disabled}
+                aria-label="Attribute name"
+              />
+            )}
+            <select
+              value={rule.operator}
+              onChange={(e) => updateRule(index, { operator: e.target.value })}
+              className={inputClass}
+              disabled={disabled}
+              aria-label="Rule operator"
+            >
+              {SEGMENT_OPERATORS[field.type].map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {renderValue(rule, index)}
+            <button
+              type="button"
+              onClick={() => onChange({ rules: rules.filter((_, i) => i !== index) })}
+              className="p-2 text-gray-400 hover:text-red-600"
+              disabled={disabled}
+              aria-label="Remove rule"
+            >
+              <FaTrash />
+            </button>
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={() => onChange({ rules: [...rules, createSegmentRule()] })}
+        className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+        disabled={disabled}
+      >
+        <FaPlus className="mr-1" /> Add rule
+      </button>
+
+      <datalist id="segment-tag-options">
+        {tagOptions.map((tag) => <option key={tag} value={tag} />)}
+      </datalist>
+      <datalist id="segment-attribute-options">
+        {attributeOptions.map((key) => <option key={key} value={key} />)}
+      </datalist>
+    </div>
+  );
+};
+
+SegmentRuleEditor.propTypes = {
+  match: PropTypes.oneOf(['all', 'any']).isRequired,
+  rules: PropTypes.array.isRequired,
+  onChange: PropTypes.func.isRequired,
+  tagOptions: PropTypes.arrayOf(PropTypes.string),
+  attributeOptions: PropTypes.arrayOf(PropTypes.string),
+  disabled: PropTypes.bool
+};
+
+export default SegmentRuleEditor;
+// ===============================
+// End of File: SegmentRuleEditor.jsx
+// Description: Audience segment rule editor.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
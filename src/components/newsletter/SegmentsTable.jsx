@@ -0,0 +1,99 @@
+// ===============================
+// File: SegmentsTable.jsx
+// Description: Table of saved audience segments with their rules, subscriber counts and edit/delete actions.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaEdit, FaTrash } from 'react-icons/fa';
+import dayjs from 'dayjs';
+import Can from '../common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
+import { describeSegment } from '../../utils/audienceSegments';
+
+/**
+ * Table for displaying audience segments with actions
+ * @param {Object} props
+ * @param {Array} props.segments - List of segments (with `subscriberCount` from the server)
+ * @param {function} props.onEdit - Handler for edit action
+ * @param {function} props.onDelete - Handler for delete action
+ */
+const SegmentsTable = ({ segments, onEdit, onDelete }) => {
+  if (!segments.length) {
+    return (
+      <div className="p-10 text-center text-sm text-gray-500">
+        No segments yet. Create one to send newsletters to part of your list.
+      </div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rules</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Active Subscribers</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Updated At</th>
+            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {segments.map((segment) => (
+            <tr key={segment._id} className="hover:bg-gray-50">
+              <td className="px-6 py-4">
+                <div className="text-sm font-medium text-gray-900">{segment.name}</div>
+                {segment.description && <div className="text-xs text-gray-500">{segment.description}</div>}
+              </td>
+              <td className="px-6 py-4 text-sm text-gray-600">
+                {describeSegment(segment)}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                {segment.subscriberCount ?? '-'}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                {segment.updatedAt ? dayjs(segment.updatedAt).format('MMM DD, YYYY') : 'N/A'}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                <Can perform={PERMISSIONS.SUBSCRIBERS_MANAGE}>
+                  <button
+                    onClick={() => onEdit(segment)}
+                    className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                    aria-label="Edit segment"
+                  >
+                    <FaEdit className="mr-1" /> Edit
+                  </button>
+                </Can>
+                <Can perform={PERMISSIONS.SUBSCRIBERS_MANAGE}>
+                  <button
+                    onClick={() => onDelete(segment)}
+                    className="inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                    aria-label="Delete segment"
+                  >
+                    <FaTrash className="mr-1" /> Delete
+                  </button>
+                </Can>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+SegmentsTable.propTypes = {
+  segments: PropTypes.array.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default SegmentsTable;
+// ===============================
+// End of File: SegmentsTable.jsx
+// Description: Table for displaying audience segments.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
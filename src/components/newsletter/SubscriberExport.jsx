@@ -0,0 +1,80 @@
+// ===============================
+// File: SubscriberExport.jsx
+// Description: Downloads the whole subscriber list, or the subscribers of one segment, as CSV or JSON.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Select } from 'antd';
+import { FaDownload } from 'react-icons/fa';
+import { matchesSegment } from '../../utils/audienceSegments';
+import { exportSubscribers } from '../../utils/subscriberImport';
+import { downloadFile, toFileName } from '../../utils/fileDownload';
+
+const ALL = 'all';
+
+/**
+ * Subscriber export controls
+ * @param {Object} props
+ * @param {Array<Object>} props.subscribers - Every subscriber
+ * @param {Array<Object>} props.segments - Saved segments to export instead of the full list
+ */
+const SubscriberExport = ({ subscribers, segments }) => {
+  const [segmentId, setSegmentId] = useState(ALL);
+  const segment = segments.find((entry) => entry._id === segmentId);
+  // Segments export everyone matching their rules, whatever their status, unless a rule filters on status
+  const selected = segment ? subscribers.filter((subscriber) => matchesSegment(subscriber, segment)) : subscribers;
+
+  /**
+   * Downloads the selected subscribers
+   * @param {'csv'|'json'} format
+   */
+  const handleExport = (format) => {
+    downloadFile(
+      exportSubscribers(selected, format),
+      `${toFileName(segment ? `subscribers ${segment.name}` : 'subscribers')}.${format}`,
+      format === 'json' ? 'application/json' : 'text/csv'
+    );
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <Select
+        value={segmentId}
+        onChange={setSegmentId}
+        className="min-w-[200px]"
+        aria-label="Subscribers to export"
+        options={[
+          { value: ALL, label: `All subscribers (${subscribers.length})` },
+          ...segments.map((entry) => ({ value: entry._id, label: entry.name }))
+        ]}
+      />
+      {['csv', 'json'].map((format) => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => handleExport(format)}
+          disabled={!selected.length}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          title={`Export ${selected.length} subscriber${selected.length === 1 ? '' : 's'}`}
+        >
+          <FaDownload className="mr-2" /> {format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+SubscriberExport.propTypes = {
+  subscribers: PropTypes.array.isRequired,
+  segments: PropTypes.array.isRequired
+};
+
+export default SubscriberExport;
+// ===============================
+// End of File: SubscriberExport.jsx
+// Description: Subscriber list export.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,378 @@
+// ===============================
+// File: SubscriberImportModal.jsx
+// Description: Three-step subscriber import: upload a CSV or JSON list, map its columns to subscriber fields,
+//              then review a dry-run report of new, updated, duplicate and invalid rows before importing.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaTimes, FaFileUpload, FaDownload } from 'react-icons/fa';
+import { Select, Steps, Table, Tag, Radio, Input } from 'antd';
+import { toast } from 'react-toastify';
+import { newsletterApi } from '../../services/api';
+import {
+  IMPORT_TARGETS,
+  IMPORT_RESULTS,
+  readImportFile,
+  guessMapping,
+  validateMapping,
+  buildImportRecords
+} from '../../utils/subscriberImport';
+import { toCsv } from '../../utils/csv';
+import { downloadFile, toFileName } from '../../utils/fileDownload';
+
+const REPORT_COLUMNS = [
+  { key: 'row', label: 'Row' },
+  { key: 'email', label: 'Email' },
+  { key: 'result', label: 'Result' },
+  { key: 'reason', label: 'Details' }
+];
+
+/**
+ * Up to two non-empty example values of a column
+ * @param {Array<Object>} rows
+ * @param {string} column
+ * @returns {string}
+ */
+const sampleValues = (rows, column) => rows
+  .map((row) => row[column])
+  .filter(Boolean)
+  .slice(0, 2)
+  .join(', ');
+
+/**
+ * Subscriber import modal
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {function} props.onClose - Function to close the modal
+ * @param {function(Object): void} props.onImported - Called with the import report after subscribers were imported
+ */
+const SubscriberImportModal = ({ isOpen, onClose, onImported }) => {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [newStatus, setNewStatus] = useState('pending');
+  const [consentNote, setConsentNote] = useState('');
+  const [report, setReport] = useState(null);
+  const [resultFilter, setResultFilter] = useState('all');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setStep(0);
+    setFile(null);
+    setMapping([]);
+    setNewStatus('pending');
+    setConsentNote('');
+    setReport(null);
+    setResultFilter('all');
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  /**
+   * Reads the chosen file and proposes a column mapping
+   * @param {React.ChangeEvent<HTMLInputElement>} e
+   */
+  const handleFile = async (e) => {
+    const chosen = e.target.files?.[0];
+    e.target.value = '';
+    if (!chosen) return;
+    try {
+      const parsed = readImportFile(await chosen.text(), chosen.name);
+      setFile({ name: chosen.name, ...parsed });
+      setMapping(guessMapping(parsed.columns));
+      setError(null);
+      setStep(1);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateMapping = (column, patch) => {
+    setMapping((prev) => prev.map((entry) => (entry.column === column ? { ...entry, ...patch } : entry)));
+  };
+
+  /**
+   * Sends the import to the server, as a dry run or for real
+   * @param {boolean} dryRun
+   */
+  const runImport = async (dryRun) => {
+    const problem = validateMapping(mapping);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    if (newStatus === 'active' && !consentNote.trim()) {
+      setError('Describe how these subscribers agreed to receive email, or send them a confirmation email');
+      return;
+    }
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await newsletterApi.importSubscribers({
+        records: buildImportRecords(file.rows, mapping, file.format),
+        newStatus,
+        consentNote,
+        dryRun
+      });
+      if (dryRun) {
+        setReport(response.data.data);
+        setResultFilter('all');
+        setStep(2);
+      } else {
+        toast.success(response.data.message || 'Subscribers imported');
+        onImported(response.data.data);
+        handleClose();
+      }
+    } catch (err) {
+      const message = err.response?.data?.message || 'Import failed';
+      setError(message);
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const reportRows = report
+    ? report.rows.filter((row) => resultFilter === 'all' || row.result === resultFilter)
+    : [];
+  const changeCount = report ? report.summary.new + report.summary.updated : 0;
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+          aria-modal="true"
+          role="dialog"
+          tabIndex={-1}
+          onClick={handleClose}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-xl shadow-xl w-full max-w-4xl p-6 max-h-[90vh] overflow-y-auto"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-6">
+              <h3 className="text-lg font-semibold">Import Subscribers</h3>
+              <button
+                onClick={handleClose}
+                className="text-gray-400 hover:text-gray-500"
+                aria-label="Close import subscribers modal"
+              >
+                <FaTimes className="w-5 h-5" />
+              </button>
+            </div>
+
+            <Steps
+              current={step}
+              size="small"
+              className="mb-6"
+              items={[{ title: 'Upload' }, { title: 'Map columns' }, { title: 'Review' }]}
+            />
+
+            {error && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-red-600 text-sm" role="alert">
+                {error}
+              </div>
+            )}
+
+            {step === 0 && (
+              <label className="flex flex-col items-center justify-center gap-2 p-10 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-blue-400 hover:bg-blue-50">
+                <FaFileUpload className="w-8 h-8 text-gray-400" />
+                <span className="text-sm font-medium text-gray-700">Choose a CSV or JSON file</span>
+                <span className="text-xs text-gray-500">
+                  CSV needs a header row. JSON is an array of subscribers, like the JSON export.
+                </span>
+                <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="sr-only" />
+              </label>
+            )}
+
+            {step === 1 && file && (
+              <div className="space-y-6">
+                <p className="text-sm text-gray-600">
+                  <strong>{file.name}</strong>: {file.rows.length} row{file.rows.length === 1 ? '' : 's'}, {file.columns.length} column{file.columns.length === 1 ? '' : 's'}
+                </p>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Example</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Import as</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {mapping.map((entry) => (
+                      <tr key={entry.column}>
+                        <td className="px-3 py-2 font-medium text-gray-900">{entry.column}</td>
+                        <td className="px-3 py-2 text-gray-500 max-w-[220px] truncate" title={sampleValues(file.rows, entry.column)}>
+                          {sampleValues(file.rows, entry.column) || '-'}
+                        </td>
+                        <td className="px-3 py-2">
+                          <div className="flex items-center gap-2">
+                            <Select
+                              value={entry.target}
+                              onChange={(target) => updateMapping(entry.column, { target })}
+                              options={IMPORT_TARGETS}
+                              className="w-36"
+                              aria-label={`Import ${entry.column} as`}
+                            />
+                            {entry.target === 'attribute' && (
+                              <Input
+                                value={entry.key}
+                                onChange={(e) => updateMapping(entry.column, { key: e.target.value })}
+                                placeholder="Attribute name"
+                                className="w-40"
+                                aria-label={`Attribute name for ${entry.column}`}
+                              />
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="space-y-2">
+                  <p className="text-sm font-medium text-gray-700">New subscribers</p>
+                  <Radio.Group value={newStatus} onChange={(e) => setNewStatus(e.target.value)} className="flex flex-col gap-2">
+                    <Radio value="pending">Send each a confirmation email (double opt-in)</Radio>
+                    <Radio value="active">Add as active: they already agreed to receive email</Radio>
+                  </Radio.Group>
+                  {newStatus === 'active' && (
+                    <Input.TextArea
+                      value={consentNote}
+                      onChange={(e) => setConsentNote(e.target.value)}
+                      rows={2}
+                      placeholder="Where and when they agreed, e.g. 'Signup form at Web Summit booth, Nov 2026'"
+                      aria-label="Consent source"
+                    />
+                  )}
+                  <p className="text-xs text-gray-500">
+                    Existing subscribers get the file&apos;s tags and attributes. Rows never re-activate someone who unsubscribed.
+                  </p>
+                </div>
+
+                <div className="flex justify-between">
+                  <button
+                    type="button"
+                    onClick={reset}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-800"
+                    disabled={loading}
+                  >
+                    Choose another file
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => runImport(true)}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    disabled={loading}
+                  >
+                    {loading ? 'Checking...' : 'Check import'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {step === 2 && report && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  {IMPORT_RESULTS.map(({ value, label }) => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setResultFilter(resultFilter === value ? 'all' : value)}
+                      className={`p-3 rounded-lg border text-left ${resultFilter === value ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                    >
+                      <p className="text-xs font-medium text-gray-600">{label}</p>
+                      <p className="text-2xl font-semibold text-gray-900">{report.summary[value]}</p>
+                    </button>
+                  ))}
+                </div>
+                <Table
+                  size="small"
+                  rowKey="row"
+                  dataSource={reportRows}
+                  pagination={{ pageSize: 10, showSizeChanger: false }}
+                  columns={[
+                    { title: 'Row', dataIndex: 'row', width: 70 },
+                    { title: 'Email', dataIndex: 'email', render: (email) => email || <span className="text-gray-400">-</span> },
+                    {
+                      title: 'Result',
+                      dataIndex: 'result',
+                      width: 110,
+                      render: (result) => {
+                        const definition = IMPORT_RESULTS.find((entry) => entry.value === result);
+                        return <Tag color={definition?.color}>{definition?.label || result}</Tag>;
+                      }
+                    },
+                    { title: 'Details', dataIndex: 'reason' }
+                  ]}
+                />
+                <div className="flex flex-wrap justify-between gap-3">
+                  <div className="flex gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setStep(1)}
+                      className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-800"
+                      disabled={loading}
+                    >
+                      Back to mapping
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => downloadFile(
+                        toCsv(report.rows, REPORT_COLUMNS),
+                        `${toFileName(file.name.replace(/\.\w+$/, ''), 'subscribers')}-import-report.csv`,
+                        'text/csv'
+                      )}
+                      className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-800"
+                    >
+                      <FaDownload className="mr-2" /> Report
+                    </button>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => runImport(false)}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    disabled={loading || !changeCount}
+                  >
+                    {loading
+                      ? 'Importing...'
+                      : `Import ${report.summary.new} new, update ${report.summary.updated}`}
+                  </button>
+                </div>
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+SubscriberImportModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onImported: PropTypes.func.isRequired
+};
+
+export default SubscriberImportModal;
+// ===============================
+// End of File: SubscriberImportModal.jsx
+// Description: Subscriber import modal with column mapping and dry run.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
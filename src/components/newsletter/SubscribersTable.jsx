@@ -6,9 +6,12 @@
 // ===============================
 import React from 'react';
 import PropTypes from 'prop-types';
-import { Pagination, Tooltip } from 'antd';
+import { Pagination, Tooltip, Tag } from 'antd';
 import { FaEdit, FaTrash } from 'react-icons/fa';
 import dayjs from 'dayjs';
+import Can from '../common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
+import { getSubscriberStatus } from '../../utils/subscriberPreferences';
 
 /**
  * Table for displaying newsletter subscribers with actions
@@ -37,6 +40,7 @@ const SubscribersTable = ({
             <tr>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tags</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subscribed At</th>
               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
             </tr>
@@ -50,32 +54,48 @@ const SubscribersTable = ({
                   </div>
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap">
-                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                    subscriber?.status === 'active'
-                      ? 'bg-green-100 text-green-800'
-                      : 'bg-red-100 text-red-800'
-                  }`}>
-                    {subscriber?.status === 'active' ? 'Active' : 'Inactive'}
+                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getSubscriberStatus(subscriber?.status).className}`}>
+                    {getSubscriberStatus(subscriber?.status).label}
                   </span>
                 </td>
+                <td className="px-6 py-4">
+                  <div className="flex flex-wrap gap-1">
+                    {(subscriber?.tags || []).map((tag) => (
+                      <Tag key={tag} color="blue" className="!mr-0">{tag}</Tag>
+                    ))}
+                    {Object.keys(subscriber?.attributes || {}).length > 0 && (
+                      <Tooltip
+                        title={Object.entries(subscriber.attributes).map(([key, val]) => `${key}: ${val}`).join(', ')}
+                      >
+                        <Tag className="!mr-0">
+                          {Object.keys(subscriber.attributes).length} attribute{Object.keys(subscriber.attributes).length === 1 ? '' : 's'}
+                        </Tag>
+                      </Tooltip>
+                    )}
+                  </div>
+                </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                   {subscriber?.createdAt ? dayjs(subscriber.createdAt).format('MMM DD, YYYY') : 'N/A'}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
-                  <button
-                    onClick={() => onEdit(subscriber)}
-                    className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                    aria-label="Edit subscriber"
-                  >
-                    <FaEdit className="mr-1" /> Edit
-                  </button>
-                  <button
-                    onClick={() => onDelete(subscriber)}
-                    className="inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
-                    aria-label="Delete subscriber"
-                  >
-                    <FaTrash className="mr-1" /> Delete
-                  </button>
+                  <Can perform={PERMISSIONS.SUBSCRIBERS_MANAGE}>
+                    <button
+                      onClick={() => onEdit(subscriber)}
+                      className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                      aria-label="Edit subscriber"
+                    >
+                      <FaEdit className="mr-1" /> Edit
+                    </button>
+                  </Can>
+                  <Can perform={PERMISSIONS.SUBSCRIBERS_MANAGE}>
+                    <button
+                      onClick={() => onDelete(subscriber)}
+                      className="inline-flex items-center px-3 py-1 border border-transparent rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                      aria-label="Delete subscriber"
+                    >
+                      <FaTrash className="mr-1" /> Delete
+                    </button>
+                  </Can>
                 </td>
               </tr>
             ))}
@@ -0,0 +1,91 @@
+// ===============================
+// File: TemplateGallery.jsx
+// Description: Grid of saved newsletter templates with thumbnails, for starting a newsletter or managing templates.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaTrash, FaFile } from 'react-icons/fa';
+import Can from '../common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
+import { renderBlocks, renderMergeTags } from '../../utils/newsletterTemplates';
+
+/**
+ * HTML shown in a template's thumbnail
+ * @param {Object} template
+ * @returns {string}
+ */
+const templateHtml = (template) => renderMergeTags(template.blocks ? renderBlocks(template.blocks) : template.content || '');
+
+/**
+ * Template gallery
+ * @param {Object} props
+ * @param {Array<Object>} props.templates - Saved templates
+ * @param {function(Object|null): void} [props.onSelect] - Called with a template, or null for a blank newsletter; omit for a read-only gallery
+ * @param {function(Object): void} [props.onDelete] - Delete action; omit to hide it
+ */
+const TemplateGallery = ({ templates, onSelect, onDelete }) => (
+  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+    {onSelect && (
+      <button
+        type="button"
+        onClick={() => onSelect(null)}
+        className="flex flex-col items-center justify-center h-56 border-2 border-dashed border-gray-300 rounded-lg text-gray-500 hover:border-blue-400 hover:text-blue-600"
+      >
+        <FaFile className="text-2xl mb-2" />
+        <span className="text-sm font-medium">Blank newsletter</span>
+      </button>
+    )}
+    {templates.map((template) => (
+      <div key={template._id} className="flex flex-col border border-gray-200 rounded-lg overflow-hidden bg-white">
+        <button
+          type="button"
+          onClick={() => onSelect?.(template)}
+          disabled={!onSelect}
+          className={`relative h-40 overflow-hidden bg-gray-50 text-left ${onSelect ? 'hover:ring-2 hover:ring-blue-400' : 'cursor-default'}`}
+          aria-label={`Use template ${template.name}`}
+        >
+          {/* Rendered at full width and scaled down, so it looks like the real email */}
+          <div
+            className="pointer-events-none origin-top-left"
+            style={{ width: 600, transform: 'scale(0.3)' }}
+            dangerouslySetInnerHTML={{ __html: templateHtml(template) }}
+          />
+        </button>
+        <div className="p-3 flex items-start justify-between gap-2">
+          <div className="min-w-0">
+            <div className="text-sm font-medium text-gray-900 truncate">{template.name}</div>
+            {template.description && <div className="text-xs text-gray-500 line-clamp-2">{template.description}</div>}
+          </div>
+          {onDelete && (
+            <Can perform={PERMISSIONS.NEWSLETTER_EDIT}>
+              <button
+                type="button"
+                onClick={() => onDelete(template)}
+                className="p-1 text-gray-400 hover:text-red-600"
+                aria-label={`Delete template ${template.name}`}
+              >
+                <FaTrash />
+              </button>
+            </Can>
+          )}
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+TemplateGallery.propTypes = {
+  templates: PropTypes.array.isRequired,
+  onSelect: PropTypes.func,
+  onDelete: PropTypes.func
+};
+
+export default TemplateGallery;
+// ===============================
+// End of File: TemplateGallery.jsx
+// Description: Newsletter template gallery.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
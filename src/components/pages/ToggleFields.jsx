@@ -13,8 +13,9 @@ import PropTypes from 'prop-types';
  * @param {boolean} isActive - Whether the page is active
  * @param {boolean} isMultiPage - Whether the page is multi-page
  * @param {function} onChange - Change handler for both toggles
+ * @param {string} [scheduleNote] - When set, the publish schedule controls isActive and this note explains when it flips
  */
-const ToggleFields = ({ isActive, isMultiPage, onChange }) => (
+const ToggleFields = ({ isActive, isMultiPage, onChange, scheduleNote }) => (
   <>
     <div className="mb-6">
       <label className="flex items-center">
@@ -23,11 +24,15 @@ const ToggleFields = ({ isActive, isMultiPage, onChange }) => (
           name="isActive"
           checked={isActive}
           onChange={onChange}
+          disabled={Boolean(scheduleNote)}
           className="mr-2"
           aria-label="Active (Publicly Visible)"
         />
-        <span className="text-sm font-bold">Active (Publicly Visible)</span>
+        <span className={`text-sm font-bold ${scheduleNote ? 'text-gray-400' : ''}`}>Active (Publicly Visible)</span>
       </label>
+      {scheduleNote && (
+        <p className="text-sm text-purple-700 mt-1 ml-6">{scheduleNote}</p>
+      )}
     </div>
     <div className="mb-6">
       <label className="flex items-center">
@@ -51,7 +56,8 @@ const ToggleFields = ({ isActive, isMultiPage, onChange }) => (
 ToggleFields.propTypes = {
   isActive: PropTypes.bool.isRequired,
   isMultiPage: PropTypes.bool.isRequired,
-  onChange: PropTypes.func.isRequired
+  onChange: PropTypes.func.isRequired,
+  scheduleNote: PropTypes.string
 };
 
 export default ToggleFields;
@@ -0,0 +1,72 @@
+/* ========================================================================
+ * File: DealFields.jsx
+ * Description: Lead owner and deal value inputs, shared by the lead details modal and inquiry conversion.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { InputNumber, Select, Typography } from 'antd';
+import { DEFAULT_CURRENCY } from '../../utils/pipeline';
+
+const { Text } = Typography;
+
+/**
+ * DealFields - Owner select and deal value input
+ * @param {object} props
+ * @param {{ ownerId: string|null, dealValue: number|null }} props.value - Current field values
+ * @param {function(object): void} props.onChange - Receives the updated values
+ * @param {Array<{ _id: string, name: string, email: string }>} props.owners - Users who can own leads
+ * @param {boolean} [props.disabled]
+ */
+const DealFields = ({ value, onChange, owners, disabled = false }) => (
+  <div className="grid grid-cols-2 gap-4">
+    <div>
+      <Text type="secondary" className="block mb-1">Owner</Text>
+      <Select
+        value={value.ownerId || undefined}
+        onChange={(ownerId) => onChange({ ...value, ownerId: ownerId || null })}
+        placeholder="Unassigned"
+        allowClear
+        showSearch
+        optionFilterProp="label"
+        className="w-full"
+        disabled={disabled}
+        aria-label="Lead owner"
+        options={owners.map((owner) => ({ value: owner._id, label: owner.name }))}
+      />
+    </div>
+    <div>
+      <Text type="secondary" className="block mb-1">Deal value ({DEFAULT_CURRENCY})</Text>
+      <InputNumber
+        value={value.dealValue}
+        onChange={(dealValue) => onChange({ ...value, dealValue: dealValue ?? null })}
+        min={0}
+        step={500}
+        placeholder="0"
+        className="w-full"
+        disabled={disabled}
+        aria-label="Deal value"
+        formatter={(number) => (number === '' || number === undefined ? '' : `${number}`.replace(/\B(?=(\d{3})+(?!\d))/g, ','))}
+        parser={(text) => text.replace(/,/g, '')}
+      />
+    </div>
+  </div>
+);
+
+DealFields.propTypes = {
+  value: PropTypes.shape({
+    ownerId: PropTypes.string,
+    dealValue: PropTypes.number
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  owners: PropTypes.array.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default DealFields;
+
+/* ========================================================================
+ * End of File: DealFields.jsx
+ * ======================================================================== */
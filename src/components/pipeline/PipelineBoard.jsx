@@ -0,0 +1,229 @@
+/* ========================================================================
+ * File: PipelineBoard.jsx
+ * Description: Kanban board of leads by pipeline stage. Cards are dragged between stage columns to move a lead;
+ *              columns the lead cannot move to are dimmed while dragging.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  DndContext,
+  DragOverlay,
+  KeyboardSensor,
+  PointerSensor,
+  useDraggable,
+  useDroppable,
+  useSensor,
+  useSensors
+} from '@dnd-kit/core';
+import { Tag, Tooltip } from 'antd';
+import { FaBuilding, FaClock, FaGripVertical, FaEnvelopeOpen, FaStar } from 'react-icons/fa';
+import { formatDealValue, daysInStage, summarizePipeline, getTransition } from '../../utils/pipeline';
+
+/**
+ * LeadCardContent - The visible part of a lead card, shared by the card and its drag preview
+ * @param {object} props
+ * @param {object} props.lead
+ * @param {boolean} [props.lifted] - Rendered in the drag overlay
+ */
+const LeadCardContent = ({ lead, lifted = false }) => {
+  const days = daysInStage(lead);
+  return (
+    <div className={`bg-white rounded-lg border p-3 ${lifted ? 'shadow-lg border-blue-300 rotate-1' : 'shadow-sm border-gray-200 hover:border-blue-200'}`}>
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="font-medium text-gray-900 truncate">{lead.name}</div>
+          {lead.company && (
+            <div className="text-xs text-gray-500 flex items-center gap-1 truncate">
+              <FaBuilding className="flex-shrink-0" /> {lead.company}
+            </div>
+          )}
+        </div>
+        <FaGripVertical className="text-gray-300 flex-shrink-0 mt-1" aria-hidden="true" />
+      </div>
+      <div className="mt-2 flex items-center justify-between text-xs">
+        <span className="font-semibold text-gray-800">{formatDealValue(lead.dealValue) || <span className="text-gray-400 font-normal">No value</span>}</span>
+        <span className="flex items-center gap-2 text-gray-500">
+          {lead.source === 'inquiry' && (
+            <Tooltip title="Converted from an inquiry">
+              <FaEnvelopeOpen aria-label="Converted from an inquiry" />
+            </Tooltip>
+          )}
+          {typeof lead.score === 'number' && (
+            <Tooltip title={`Lead score ${lead.score}`}>
+              <span className="flex items-center gap-1"><FaStar /> {lead.score}</span>
+            </Tooltip>
+          )}
+          <Tooltip title={`${days} day${days === 1 ? '' : 's'} in this stage`}>
+            <span className="flex items-center gap-1"><FaClock /> {days}d</span>
+          </Tooltip>
+          <Tooltip title={lead.owner ? `Owner: ${lead.owner.name}` : 'No owner'}>
+            <span
+              className={`w-6 h-6 rounded-full flex items-center justify-center text-white text-[11px] font-medium ${lead.owner ? 'bg-blue-500' : 'bg-gray-300'}`}
+            >
+              {lead.owner ? lead.owner.name.charAt(0).toUpperCase() : '?'}
+            </span>
+          </Tooltip>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+LeadCardContent.propTypes = {
+  lead: PropTypes.object.isRequired,
+  lifted: PropTypes.bool
+};
+
+/**
+ * LeadCard - Draggable lead card; a click (without dragging) opens the lead
+ */
+const LeadCard = ({ lead, onOpen, disabled }) => {
+  const { attributes, listeners, setNodeRef, isDragging } = useDraggable({ id: lead._id, data: { lead }, disabled });
+  return (
+    <div
+      ref={setNodeRef}
+      {...attributes}
+      {...listeners}
+      onClick={() => onOpen(lead)}
+      className={`cursor-pointer ${isDragging ? 'opacity-40' : ''}`}
+      aria-label={`${lead.name}, ${formatDealValue(lead.dealValue) || 'no deal value'}`}
+    >
+      <LeadCardContent lead={lead} />
+    </div>
+  );
+};
+
+LeadCard.propTypes = {
+  lead: PropTypes.object.isRequired,
+  onOpen: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+/**
+ * StageColumn - Drop target for one stage
+ */
+const StageColumn = ({ stage, leads, totals, onOpen, disabled, blocked }) => {
+  const { setNodeRef, isOver } = useDroppable({ id: stage.key, disabled: blocked });
+  return (
+    <section
+      ref={setNodeRef}
+      className={`w-72 flex-shrink-0 rounded-xl p-3 flex flex-col transition ${isOver ? 'bg-blue-50 ring-2 ring-blue-200' : 'bg-gray-50'} ${blocked ? 'opacity-40' : ''}`}
+      aria-label={`${stage.label} stage`}
+    >
+      <header className="mb-3">
+        <div className="flex items-center justify-between">
+          <h3 className="flex items-center gap-2 font-semibold text-gray-800">
+            <span className="w-2.5 h-2.5 rounded-full" style={{ background: stage.color }} />
+            {stage.label}
+            <span className="text-xs font-normal text-gray-500">{totals.count}</span>
+          </h3>
+          {stage.kind !== 'open' && (
+            <Tag color={stage.kind === 'won' ? 'green' : 'red'} className="mr-0">{stage.kind === 'won' ? 'Won' : 'Lost'}</Tag>
+          )}
+        </div>
+        <div className="text-xs text-gray-500 mt-1">{formatDealValue(totals.value)}</div>
+      </header>
+      <div className="space-y-2 flex-1 min-h-[80px]">
+        {leads.map((lead) => (
+          <LeadCard key={lead._id} lead={lead} onOpen={onOpen} disabled={disabled} />
+        ))}
+        {!leads.length && (
+          <div className="h-20 border-2 border-dashed border-gray-200 rounded-lg flex items-center justify-center text-xs text-gray-400">
+            No leads
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+StageColumn.propTypes = {
+  stage: PropTypes.object.isRequired,
+  leads: PropTypes.array.isRequired,
+  totals: PropTypes.shape({ count: PropTypes.number, value: PropTypes.number }).isRequired,
+  onOpen: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  blocked: PropTypes.bool
+};
+
+/**
+ * PipelineBoard - Leads grouped into stage columns, with pipeline totals on top
+ * @param {object} props
+ * @param {Array<object>} props.leads - Leads to show
+ * @param {Array<object>} props.stages - Pipeline stages in board order
+ * @param {Array<object>} props.transitions - Allowed transitions; only their target columns accept a drop
+ * @param {function(object, string): void} props.onMove - Called with the lead and the stage key it was dropped on
+ * @param {function(object): void} props.onOpen - Opens a lead
+ * @param {boolean} [props.canMove=true] - Whether cards can be dragged
+ */
+const PipelineBoard = ({ leads, stages, transitions, onMove, onOpen, canMove = true }) => {
+  const [activeLead, setActiveLead] = useState(null);
+  // A small drag distance keeps plain clicks working as "open"
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 6 } }),
+    useSensor(KeyboardSensor)
+  );
+  const summary = useMemo(() => summarizePipeline(leads, stages), [leads, stages]);
+  const columns = useMemo(() => stages.map((stage) => ({
+    stage,
+    leads: leads
+      .filter((lead) => lead.status === stage.key)
+      .sort((a, b) => new Date(b.stageEnteredAt || b.createdAt) - new Date(a.stageEnteredAt || a.createdAt))
+  })), [leads, stages]);
+
+  const handleDragEnd = ({ active, over }) => {
+    setActiveLead(null);
+    const lead = active.data.current?.lead;
+    if (lead && over && over.id !== lead.status) onMove(lead, over.id);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-6 mb-4 text-sm text-gray-600">
+        <span>Open pipeline: <strong className="text-gray-900">{formatDealValue(summary.openValue)}</strong> across {summary.openCount} lead{summary.openCount === 1 ? '' : 's'}</span>
+        <span>Won: <strong className="text-green-700">{formatDealValue(summary.wonValue)}</strong></span>
+      </div>
+      <DndContext
+        sensors={sensors}
+        onDragStart={({ active }) => setActiveLead(active.data.current?.lead || null)}
+        onDragCancel={() => setActiveLead(null)}
+        onDragEnd={handleDragEnd}
+      >
+        <div className="flex gap-4 overflow-x-auto pb-4">
+          {columns.map(({ stage, leads: stageLeads }) => (
+            <StageColumn
+              key={stage.key}
+              stage={stage}
+              leads={stageLeads}
+              totals={summary.byStage[stage.key] || { count: 0, value: 0 }}
+              onOpen={onOpen}
+              disabled={!canMove}
+              blocked={Boolean(activeLead) && activeLead.status !== stage.key && !getTransition(transitions, stages, activeLead.status, stage.key)}
+            />
+          ))}
+        </div>
+        <DragOverlay>
+          {activeLead ? <LeadCardContent lead={activeLead} lifted /> : null}
+        </DragOverlay>
+      </DndContext>
+    </div>
+  );
+};
+
+PipelineBoard.propTypes = {
+  leads: PropTypes.array.isRequired,
+  stages: PropTypes.array.isRequired,
+  transitions: PropTypes.array.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onOpen: PropTypes.func.isRequired,
+  canMove: PropTypes.bool
+};
+
+export default PipelineBoard;
+
+/* ========================================================================
+ * End of File: PipelineBoard.jsx
+ * ======================================================================== */
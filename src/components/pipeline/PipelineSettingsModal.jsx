@@ -0,0 +1,274 @@
+/* ========================================================================
+ * File: PipelineSettingsModal.jsx
+ * Description: Pipeline settings: add, rename, recolor, reorder and remove stages, and choose which stage changes
+ *              are allowed and what each one requires.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Alert, Button, Checkbox, Input, Modal, Select, Switch, Table, Tabs, Tag, Tooltip } from 'antd';
+import { ArrowDownOutlined, ArrowUpOutlined, DeleteOutlined, PlusOutlined } from '@ant-design/icons';
+import { STAGE_KINDS, defaultTransition, validateStages, validateTransitions } from '../../utils/pipeline';
+
+/**
+ * StageListEditor - Editable list of stages
+ * @param {object} props
+ * @param {Array<object>} props.draft - Stages being edited
+ * @param {function(Array<object>): void} props.onChange - Receives the edited list
+ * @param {Object<string, number>} props.leadCounts - Leads per stage key
+ */
+const StageListEditor = ({ draft, onChange, leadCounts }) => {
+  const changeStage = (index, patch) => {
+    onChange(draft.map((stage, i) => (i === index ? { ...stage, ...patch } : stage)));
+  };
+
+  const moveStage = (index, offset) => {
+    const next = [...draft];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <>
+      <p className="text-sm text-gray-500 mb-4">
+        Stages appear as board columns from left to right. New leads start in the first stage. Won and lost stages close the deal and are left out of the open pipeline value.
+      </p>
+      <div className="space-y-2">
+        {draft.map((stage, index) => {
+          const count = (stage.key && leadCounts[stage.key]) || 0;
+          return (
+            <div key={stage._id || `new-${index}`} className="flex items-center gap-2">
+              <input
+                type="color"
+                value={stage.color}
+                onChange={(e) => changeStage(index, { color: e.target.value })}
+                className="w-8 h-8 rounded border border-gray-200 cursor-pointer p-0.5"
+                aria-label={`Color of ${stage.label || 'new stage'}`}
+              />
+              <Input
+                value={stage.label}
+                onChange={(e) => changeStage(index, { label: e.target.value })}
+                placeholder="Stage name"
+                maxLength={40}
+                aria-label="Stage name"
+              />
+              <Select
+                value={stage.kind}
+                onChange={(kind) => changeStage(index, { kind })}
+                options={STAGE_KINDS}
+                className="w-28 flex-shrink-0"
+                aria-label="Stage type"
+              />
+              <span className="w-16 text-xs text-gray-500 text-right flex-shrink-0">
+                {count} lead{count === 1 ? '' : 's'}
+              </span>
+              <Button icon={<ArrowUpOutlined />} disabled={index === 0} onClick={() => moveStage(index, -1)} aria-label="Move up" />
+              <Button icon={<ArrowDownOutlined />} disabled={index === draft.length - 1} onClick={() => moveStage(index, 1)} aria-label="Move down" />
+              <Tooltip title={count ? 'Move its leads to another stage first' : ''}>
+                <Button
+                  icon={<DeleteOutlined />}
+                  danger
+                  disabled={count > 0}
+                  onClick={() => onChange(draft.filter((_, i) => i !== index))}
+                  aria-label="Remove stage"
+                />
+              </Tooltip>
+            </div>
+          );
+        })}
+      </div>
+      <Button
+        type="dashed"
+        icon={<PlusOutlined />}
+        onClick={() => onChange([...draft, { label: '', color: '#8c8c8c', kind: 'open' }])}
+        className="w-full mt-3"
+      >
+        Add Stage
+      </Button>
+    </>
+  );
+};
+
+StageListEditor.propTypes = {
+  draft: PropTypes.array.isRequired,
+  onChange: PropTypes.func.isRequired,
+  leadCounts: PropTypes.object.isRequired
+};
+
+/**
+ * TransitionEditor - Allowed moves out of one stage at a time, with their requirements
+ * @param {object} props
+ * @param {Array<object>} props.stages - Saved stages
+ * @param {Array<object>} props.draft - Transitions being edited
+ * @param {function(Array<object>): void} props.onChange - Receives the edited list
+ */
+const TransitionEditor = ({ stages, draft, onChange }) => {
+  const [from, setFrom] = useState(stages[0]?.key);
+
+  useEffect(() => {
+    if (!stages.some((stage) => stage.key === from)) setFrom(stages[0]?.key);
+  }, [stages, from]);
+
+  const find = (to) => draft.find((transition) => transition.from === from && transition.to === to);
+
+  const setAllowed = (to, allowed) => {
+    onChange(allowed
+      ? [...draft, defaultTransition(from, to)]
+      : draft.filter((transition) => !(transition.from === from && transition.to === to)));
+  };
+
+  const setRequirement = (to, patch) => {
+    onChange(draft.map((transition) => (transition.from === from && transition.to === to ? { ...transition, ...patch } : transition)));
+  };
+
+  const columns = [
+    {
+      title: 'To',
+      key: 'to',
+      render: (_, stage) => <Tag color={stage.color}>{stage.label}</Tag>
+    },
+    {
+      title: 'Allowed',
+      key: 'allowed',
+      render: (_, stage) => (
+        <Switch checked={Boolean(find(stage.key))} onChange={(checked) => setAllowed(stage.key, checked)} aria-label={`Allow moving to ${stage.label}`} />
+      )
+    },
+    {
+      title: 'Requires feedback',
+      key: 'feedback',
+      render: (_, stage) => (
+        <Checkbox
+          checked={Boolean(find(stage.key)?.requireFeedback)}
+          disabled={!find(stage.key)}
+          onChange={(e) => setRequirement(stage.key, { requireFeedback: e.target.checked })}
+          aria-label={`Require feedback when moving to ${stage.label}`}
+        />
+      )
+    },
+    {
+      title: 'Requires follow-up date',
+      key: 'followUp',
+      render: (_, stage) => (
+        <Checkbox
+          checked={Boolean(find(stage.key)?.requireFollowUp)}
+          disabled={!find(stage.key)}
+          onChange={(e) => setRequirement(stage.key, { requireFollowUp: e.target.checked })}
+          aria-label={`Require a follow-up date when moving to ${stage.label}`}
+        />
+      )
+    }
+  ];
+
+  return (
+    <>
+      <p className="text-sm text-gray-500 mb-4">
+        Choose where leads and inquiries in each stage may move next. Status buttons and board columns follow these rules.
+      </p>
+      <div className="flex items-center gap-2 mb-3">
+        <span className="text-sm text-gray-700">From</span>
+        <Select
+          value={from}
+          onChange={setFrom}
+          className="min-w-[200px]"
+          aria-label="Stage to edit transitions from"
+          options={stages.map((stage) => ({
+            value: stage.key,
+            label: `${stage.label} (${draft.filter((transition) => transition.from === stage.key).length} allowed)`
+          }))}
+        />
+      </div>
+      <Table
+        size="small"
+        rowKey="key"
+        pagination={false}
+        columns={columns}
+        dataSource={stages.filter((stage) => stage.key !== from)}
+      />
+    </>
+  );
+};
+
+TransitionEditor.propTypes = {
+  stages: PropTypes.array.isRequired,
+  draft: PropTypes.array.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+/**
+ * PipelineSettingsModal - Stage and transition settings, each saved on its own
+ * @param {object} props
+ * @param {boolean} props.visible - Modal visibility
+ * @param {Array<object>} props.stages - Saved stages in board order
+ * @param {Array<object>} props.transitions - Saved transitions
+ * @param {Object<string, number>} props.leadCounts - Leads per stage key; stages holding leads cannot be removed
+ * @param {boolean} props.saving - Save in progress
+ * @param {function} props.onClose - Close handler
+ * @param {function(Array<object>): void} props.onSaveStages - Receives the edited stages in their new order
+ * @param {function(Array<object>): void} props.onSaveTransitions - Receives the edited transitions
+ */
+const PipelineSettingsModal = ({ visible, stages, transitions, leadCounts, saving, onClose, onSaveStages, onSaveTransitions }) => {
+  const [tab, setTab] = useState('stages');
+  const [stageDraft, setStageDraft] = useState([]);
+  const [transitionDraft, setTransitionDraft] = useState([]);
+
+  // Each save hands back fresh props, which resets that tab's draft
+  useEffect(() => {
+    if (visible) setStageDraft(stages.map(({ _id, key, label, color, kind }) => ({ _id, key, label, color, kind })));
+  }, [visible, stages]);
+
+  useEffect(() => {
+    if (visible) setTransitionDraft(transitions.map(({ _id, from, to, requireFeedback, requireFollowUp }) => ({ _id, from, to, requireFeedback, requireFollowUp })));
+  }, [visible, transitions]);
+
+  const problem = tab === 'stages' ? validateStages(stageDraft) : validateTransitions(transitionDraft, stages);
+
+  return (
+    <Modal
+      title="Pipeline Settings"
+      open={visible}
+      onCancel={onClose}
+      onOk={() => (tab === 'stages' ? onSaveStages(stageDraft) : onSaveTransitions(transitionDraft))}
+      okText={tab === 'stages' ? 'Save Stages' : 'Save Transitions'}
+      okButtonProps={{ disabled: Boolean(problem), loading: saving }}
+      width={720}
+    >
+      <Tabs
+        activeKey={tab}
+        onChange={setTab}
+        items={[
+          {
+            key: 'stages',
+            label: 'Stages',
+            children: <StageListEditor draft={stageDraft} onChange={setStageDraft} leadCounts={leadCounts} />
+          },
+          {
+            key: 'transitions',
+            label: 'Transitions',
+            children: <TransitionEditor stages={stages} draft={transitionDraft} onChange={setTransitionDraft} />
+          }
+        ]}
+      />
+      {problem && <Alert type="warning" showIcon message={problem} className="mt-4" />}
+    </Modal>
+  );
+};
+
+PipelineSettingsModal.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  stages: PropTypes.array.isRequired,
+  transitions: PropTypes.array.isRequired,
+  leadCounts: PropTypes.object.isRequired,
+  saving: PropTypes.bool,
+  onClose: PropTypes.func.isRequired,
+  onSaveStages: PropTypes.func.isRequired,
+  onSaveTransitions: PropTypes.func.isRequired
+};
+
+export default PipelineSettingsModal;
+
+/* ========================================================================
+ * End of File: PipelineSettingsModal.jsx
+ * ======================================================================== */
@@ -0,0 +1,73 @@
+/* ========================================================================
+ * File: TransitionFields.jsx
+ * Description: Feedback and follow-up date inputs for a status change, marked required as the transition demands.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import dayjs from 'dayjs';
+import { DatePicker, Input, Typography } from 'antd';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+/**
+ * TransitionFields - Inputs collected when a lead or inquiry changes status
+ * @param {object} props
+ * @param {object} props.transition - Transition being made
+ * @param {string} props.feedback - Feedback text
+ * @param {function(string): void} props.onFeedbackChange - Receives the new feedback text
+ * @param {string|null} props.followUpAt - Follow-up date as an ISO string
+ * @param {function(string|null): void} props.onFollowUpChange - Receives the new follow-up date
+ */
+const TransitionFields = ({ transition, feedback, onFeedbackChange, followUpAt, onFollowUpChange }) => (
+  <div className="space-y-3">
+    <div>
+      <Text type="secondary" className="block mb-1">
+        Feedback {transition.requireFeedback ? <span className="text-red-500">*</span> : '(optional)'}
+      </Text>
+      <TextArea
+        placeholder="Add feedback for this status change..."
+        value={feedback}
+        onChange={(e) => onFeedbackChange(e.target.value)}
+        rows={4}
+        maxLength={500}
+        showCount
+        aria-required={transition.requireFeedback}
+      />
+    </div>
+    <div>
+      <Text type="secondary" className="block mb-1">
+        Follow-up date {transition.requireFollowUp ? <span className="text-red-500">*</span> : '(optional)'}
+      </Text>
+      <DatePicker
+        showTime={{ format: 'HH:mm' }}
+        format="MMM D, YYYY HH:mm"
+        value={followUpAt ? dayjs(followUpAt) : null}
+        onChange={(date) => onFollowUpChange(date ? date.toISOString() : null)}
+        disabledDate={(date) => date && date.isBefore(dayjs(), 'day')}
+        className="w-full"
+        aria-required={transition.requireFollowUp}
+      />
+    </div>
+  </div>
+);
+
+TransitionFields.propTypes = {
+  transition: PropTypes.shape({
+    requireFeedback: PropTypes.bool,
+    requireFollowUp: PropTypes.bool
+  }).isRequired,
+  feedback: PropTypes.string.isRequired,
+  onFeedbackChange: PropTypes.func.isRequired,
+  followUpAt: PropTypes.string,
+  onFollowUpChange: PropTypes.func.isRequired
+};
+
+export default TransitionFields;
+
+/* ========================================================================
+ * End of File: TransitionFields.jsx
+ * ======================================================================== */
@@ -0,0 +1,80 @@
+/* ========================================================================
+ * File: TransitionModal.jsx
+ * Description: Modal asking for the feedback or follow-up date a board move requires.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Modal, Tag } from 'antd';
+import { ArrowRightOutlined } from '@ant-design/icons';
+import TransitionFields from './TransitionFields';
+import { validateTransitionInput } from '../../utils/pipeline';
+
+/**
+ * TransitionModal - Completes a status change that needs more input
+ * @param {object} props
+ * @param {object|null} props.move - `{ lead, from, to, transition }` for the pending move; null hides the modal
+ * @param {boolean} props.submitting - Update in progress
+ * @param {function} props.onCancel - Abandons the move
+ * @param {function({ feedback: string, followUpAt: string|null }): void} props.onConfirm - Receives the collected input
+ */
+const TransitionModal = ({ move, submitting, onCancel, onConfirm }) => {
+  const [feedback, setFeedback] = useState('');
+  const [followUpAt, setFollowUpAt] = useState(null);
+
+  useEffect(() => {
+    setFeedback('');
+    setFollowUpAt(null);
+  }, [move]);
+
+  const problem = move ? validateTransitionInput(move.transition, { feedback, followUpAt }) : null;
+
+  return (
+    <Modal
+      title={move ? `Move ${move.lead.name}` : ''}
+      open={Boolean(move)}
+      onCancel={onCancel}
+      onOk={() => onConfirm({ feedback: feedback.trim(), followUpAt })}
+      okText="Move Lead"
+      okButtonProps={{ disabled: Boolean(problem), loading: submitting }}
+      destroyOnClose
+    >
+      {move && (
+        <div className="space-y-4">
+          <div className="flex items-center gap-2">
+            <Tag color={move.from.color}>{move.from.label}</Tag>
+            <ArrowRightOutlined className="text-gray-400" />
+            <Tag color={move.to.color}>{move.to.label}</Tag>
+          </div>
+          <TransitionFields
+            transition={move.transition}
+            feedback={feedback}
+            onFeedbackChange={setFeedback}
+            followUpAt={followUpAt}
+            onFollowUpChange={setFollowUpAt}
+          />
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+TransitionModal.propTypes = {
+  move: PropTypes.shape({
+    lead: PropTypes.object.isRequired,
+    from: PropTypes.object.isRequired,
+    to: PropTypes.object.isRequired,
+    transition: PropTypes.object.isRequired
+  }),
+  submitting: PropTypes.bool,
+  onCancel: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired
+};
+
+export default TransitionModal;
+
+/* ========================================================================
+ * End of File: TransitionModal.jsx
+ * ======================================================================== */
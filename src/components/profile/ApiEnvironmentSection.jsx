@@ -0,0 +1,137 @@
+/**
+ * ApiEnvironmentSection.jsx
+ *
+ * Profile settings section for choosing which backend profile the dashboard talks to.
+ * Profiles come from Vite env vars and the runtime override file (see src/config.js).
+ *
+ * @author Tech4biz Solutions
+ * @copyright Tech4biz Solutions Private
+ * @version 1.0.0
+ */
+
+import React, { useState, useCallback } from 'react';
+import { FaServer, FaCheckCircle } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import { API_PROFILES, ACTIVE_API_PROFILE, FEATURES, setApiProfile } from '../../config';
+
+/**
+ * ApiEnvironmentSection Component
+ *
+ * Lists the configured API profiles and switches between them.
+ * Switching reloads the dashboard so every request uses the new backend.
+ *
+ * @component
+ * @returns {JSX.Element} API environment section component
+ */
+const ApiEnvironmentSection = () => {
+  // Profile picked in the list but not yet applied
+  const [selectedProfile, setSelectedProfile] = useState(ACTIVE_API_PROFILE);
+
+  /**
+   * Applies the selected profile (reloads the page)
+   * @function handleApply
+   */
+  const handleApply = useCallback(() => {
+    setApiProfile(selectedProfile);
+  }, [selectedProfile]);
+
+  /**
+   * Clears the stored selection so env/runtime defaults apply again
+   * @function handleReset
+   */
+  const handleReset = useCallback(() => {
+    setApiProfile(null);
+  }, []);
+
+  /**
+   * Re-seeds the offline mock backend, discarding local mock changes
+   * @function handleResetMockData
+   */
+  const handleResetMockData = useCallback(async () => {
+    if (!window.confirm('Discard all offline mock changes and restore the demo data?')) return;
+    const { resetMockDb } = await import('../../services/mock/mockDb');
+    resetMockDb();
+    toast.success('Mock data restored');
+    window.location.reload();
+  }, []);
+
+  return (
+    <div className="bg-white rounded-lg max-w-full shadow-md p-6 mb-6">
+      {/* Section Header */}
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-semibold text-gray-800">API Environment</h2>
+        <div className="flex items-center text-green-600">
+          <FaCheckCircle className="mr-2" />
+          <span className="text-sm font-medium">
+            Connected to {API_PROFILES[ACTIVE_API_PROFILE]?.label}
+          </span>
+        </div>
+      </div>
+
+      {/* Profile List */}
+      <fieldset className="space-y-3 mb-6">
+        <legend className="block text-gray-700 text-sm font-bold mb-2">Backend Profile</legend>
+        {Object.entries(API_PROFILES).map(([name, profile]) => (
+          <label
+            key={name}
+            className={`flex items-start gap-3 p-3 rounded-md border cursor-pointer transition-colors ${
+              selectedProfile === name
+                ? 'border-blue-400 bg-blue-50'
+                : 'border-gray-200 bg-gray-50 hover:bg-gray-100'
+            }`}
+          >
+            <input
+              type="radio"
+              name="api-profile"
+              value={name}
+              checked={selectedProfile === name}
+              onChange={() => setSelectedProfile(name)}
+              className="mt-1"
+            />
+            <FaServer className="mt-1 text-gray-500" aria-hidden="true" />
+            <div className="min-w-0">
+              <div className="font-medium text-gray-800">
+                {profile.label}
+                {name === ACTIVE_API_PROFILE && (
+                  <span className="ml-2 text-xs text-green-700 bg-green-100 px-2 py-0.5 rounded-full">Active</span>
+                )}
+              </div>
+              <div className="text-xs text-gray-500 break-all">{profile.apiUrl}</div>
+            </div>
+          </label>
+        ))}
+      </fieldset>
+
+      {/* Actions */}
+      <div className="flex justify-end space-x-3">
+        {FEATURES.ENABLE_MOCK_DATA && (
+          <button
+            onClick={handleResetMockData}
+            className="px-4 py-2 text-red-600 hover:text-red-800 transition-colors"
+          >
+            Reset Mock Data
+          </button>
+        )}
+        <button
+          onClick={handleReset}
+          className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors"
+        >
+          Use Default
+        </button>
+        <button
+          onClick={handleApply}
+          disabled={selectedProfile === ACTIVE_API_PROFILE}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Switch &amp; Reload
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ApiEnvironmentSection;
+
+/**
+ * @copyright Tech4biz Solutions Private
+ */
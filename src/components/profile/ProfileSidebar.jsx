@@ -1,19 +1,20 @@
 // ===============================
 // File: ProfileSidebar.jsx
-// Description: Sidebar for profile tabs (account, password, email, customization, font styles).
+// Description: Sidebar for profile tabs (account, password, email, customization, font styles, API environment).
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // ===============================
 import React from 'react';
 import PropTypes from 'prop-types';
-import { FaUser, FaLock, FaEnvelope, FaPalette, FaFont } from 'react-icons/fa';
+import { FaUser, FaLock, FaEnvelope, FaPalette, FaFont, FaServer } from 'react-icons/fa';
 
 const tabs = [
   { id: 'account', label: 'Account', icon: <FaUser className="w-4 h-4" /> },
   { id: 'password', label: 'Password', icon: <FaLock className="w-4 h-4" /> },
   { id: 'email', label: 'Email Setup', icon: <FaEnvelope className="w-4 h-4" /> },
   { id: 'customization', label: 'Customization', icon: <FaPalette className="w-4 h-4" /> },
-  { id: 'font-styles', label: 'Font Styles', icon: <FaFont className="w-4 h-4" /> }
+  { id: 'font-styles', label: 'Font Styles', icon: <FaFont className="w-4 h-4" /> },
+  { id: 'api-environment', label: 'API Environment', icon: <FaServer className="w-4 h-4" /> }
 ];
 
 /**
@@ -55,7 +56,7 @@ ProfileSidebar.propTypes = {
 export default ProfileSidebar;
 // ===============================
 // End of File: ProfileSidebar.jsx
-// Description: Sidebar for profile tabs (account, password, email, customization, font styles).
+// Description: Sidebar for profile tabs (account, password, email, customization, font styles, API environment).
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // =============================== 
\ No newline at end of file
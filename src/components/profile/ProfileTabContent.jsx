@@ -11,6 +11,7 @@ import PasswordSection from './PasswordSection';
 import EmailSetupSection from './EmailSetupSection';
 import CustomizationSection from './CustomizationSection';
 import FontStylesSection from './FontStyles';
+import ApiEnvironmentSection from './ApiEnvironmentSection';
 
 /**
  * Renders the content for the active profile tab
@@ -29,6 +30,8 @@ const ProfileTabContent = ({ activeTab }) => {
       return <CustomizationSection />;
     case 'font-styles':
       return <FontStylesSection />;
+    case 'api-environment':
+      return <ApiEnvironmentSection />;
     default:
       return null;
   }
@@ -0,0 +1,56 @@
+/**
+ * PermissionRoute.jsx
+ *
+ * Route guard for pages that need a specific capability (see src/constants/permissions.js).
+ * Handles loading, authentication, and authorization with user feedback and accessibility.
+ *
+ * @author Tech4biz Solutions
+ * @copyright Tech4biz Solutions Private
+ * @version 1.0.0
+ */
+
+import { Navigate, Outlet } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+/**
+ * PermissionRoute Component
+ *
+ * Protects routes that require a capability. Redirects unauthenticated users to login,
+ * and users whose role lacks the capability to the dashboard.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string|Array<string>} props.permission - Required capability, or a list where any one is enough
+ * @returns {JSX.Element} Protected route
+ */
+const PermissionRoute = ({ permission }) => {
+  const { user, isLoading, can } = useAuth();
+
+  // Show loading spinner while authentication state is being determined
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-screen" role="status" aria-label="Loading route">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  // Redirect unauthenticated users to login
+  if (!user) {
+    return <Navigate to="/login" replace />;
+  }
+
+  // Redirect users without the capability to dashboard
+  if (!can(permission)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return <Outlet />;
+};
+
+export default PermissionRoute;
+
+/**
+ * @copyright Tech4biz Solutions Private
+ */
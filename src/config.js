@@ -8,30 +8,170 @@
  * Application Configuration
  *
  * This file centralizes all configuration values used throughout the application.
- * For environment-specific values, update them in this file.
+ * Values are resolved in this order (first match wins):
+ *   1. The API profile selected in the dashboard (stored in localStorage)
+ *   2. The runtime override file `public/runtime-config.js` (window.__CMS_CONFIG__)
+ *   3. Vite environment variables (VITE_*)
+ *   4. The defaults below
  */
 
+const env = import.meta.env || {};
+
+/**
+ * Runtime overrides loaded before the bundle by public/runtime-config.js.
+ * Lets a deployed build be re-pointed without rebuilding.
+ * @type {{ profile?: string, timeout?: number, collaboration?: boolean, profiles?: Object<string, { label?: string, apiUrl: string, assetUrl?: string, mock?: boolean }> }}
+ */
+const runtimeConfig = (typeof window !== 'undefined' && window.__CMS_CONFIG__) || {};
+
+/**
+ * localStorage key holding the API profile chosen in the dashboard
+ * @type {string}
+ */
+export const API_PROFILE_STORAGE_KEY = 'cmsApiProfile';
+
+const DEFAULT_PROFILE = 'production';
+
+/**
+ * Strips a trailing `/api` (and slashes) from an API URL to get the asset host.
+ * @param {string} apiUrl
+ * @returns {string}
+ */
+const toAssetUrl = (apiUrl = '') => apiUrl.replace(/\/+$/, '').replace(/\/api$/, '');
+
+/**
+ * Builds a normalized profile entry.
+ * @param {string} label
+ * @param {string} apiUrl
+ * @param {string} [assetUrl]
+ * @param {boolean} [mock=false] - Serve requests from the in-browser mock backend
+ * @returns {{ label: string, apiUrl: string, assetUrl: string, mock: boolean }}
+ */
+const createProfile = (label, apiUrl, assetUrl, mock = false) => ({
+  label,
+  apiUrl: (apiUrl || '').replace(/\/+$/, ''),
+  assetUrl: (assetUrl || toAssetUrl(apiUrl)).replace(/\/+$/, ''),
+  mock,
+});
+
+const builtInProfiles = {
+  local: createProfile(
+    'Local',
+    env.VITE_LOCAL_API_URL || 'http://localhost:5000/api',
+    env.VITE_LOCAL_ASSET_URL
+  ),
+  staging: createProfile(
+    'Staging',
+    env.VITE_STAGING_API_URL,
+    env.VITE_STAGING_ASSET_URL
+  ),
+  production: createProfile(
+    'Production',
+    env.VITE_PRODUCTION_API_URL || 'https://cms-backend-7fb2.onrender.com/api',
+    env.VITE_PRODUCTION_ASSET_URL
+  ),
+  mock: createProfile('Offline mock', 'mock://cms/api', '/', true),
+};
+
+const runtimeProfiles = Object.entries(runtimeConfig.profiles || {}).reduce((acc, [name, profile]) => {
+  if (profile?.apiUrl) {
+    acc[name] = createProfile(profile.label || name, profile.apiUrl, profile.assetUrl, Boolean(profile.mock));
+  }
+  return acc;
+}, {});
+
+/**
+ * Named backend profiles. Profiles without an API URL are left out.
+ * @type {Object<string, { label: string, apiUrl: string, assetUrl: string, mock: boolean }>}
+ */
+export const API_PROFILES = Object.fromEntries(
+  Object.entries({ ...builtInProfiles, ...runtimeProfiles }).filter(([, profile]) => profile.apiUrl)
+);
+
+/**
+ * Reads the profile stored by the dashboard selector, if any.
+ * @returns {string|null}
+ */
+const getStoredProfile = () => {
+  try {
+    return localStorage.getItem(API_PROFILE_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Resolves the name of the active profile.
+ * @returns {string}
+ */
+const resolveActiveProfile = () => {
+  const candidates = [getStoredProfile(), runtimeConfig.profile, env.VITE_API_PROFILE, DEFAULT_PROFILE];
+  return candidates.find((name) => name && API_PROFILES[name]) || Object.keys(API_PROFILES)[0];
+};
+
+/**
+ * Name of the profile every HTTP call goes through for this page load
+ * @type {string}
+ */
+export const ACTIVE_API_PROFILE = resolveActiveProfile();
+
+const activeProfile = API_PROFILES[ACTIVE_API_PROFILE];
+
 /**
  * API configuration values
- * @type {{ BASE_URL: string, TIMEOUT: number }}
+ * @type {{ BASE_URL: string, TIMEOUT: number, PROFILE: string }}
  */
 export const API_CONFIG = {
-  BASE_URL: 'https://cms-backend-7fb2.onrender.com/api',
-  TIMEOUT: 30000, // 30 seconds
+  BASE_URL: activeProfile.apiUrl,
+  TIMEOUT: Number(runtimeConfig.timeout || env.VITE_API_TIMEOUT) || 30000, // 30 seconds
+  PROFILE: ACTIVE_API_PROFILE,
 };
 
 /**
- * Base URL for the application
+ * Base URL for the application (backend host serving uploads and assets)
  * @type {string}
  */
-export const BASE_URL = 'https://cms-backend-7fb2.onrender.com';
+export const BASE_URL = activeProfile.assetUrl;
+
+/**
+ * Switches the API profile. The page reloads so that every module picks up the new URLs.
+ * Passing null clears the selection and falls back to runtime/env defaults.
+ * @param {string|null} name - Profile name from API_PROFILES
+ */
+export const setApiProfile = (name) => {
+  if (name && !API_PROFILES[name]) {
+    throw new Error(`Unknown API profile "${name}"`);
+  }
+  if (name) {
+    localStorage.setItem(API_PROFILE_STORAGE_KEY, name);
+  } else {
+    localStorage.removeItem(API_PROFILE_STORAGE_KEY);
+  }
+  window.location.reload();
+};
+
+/**
+ * Returns an absolute URL for an asset path served by the active backend.
+ * @param {string} path - Absolute URL or path such as `/uploads/media/file.png`
+ * @returns {string}
+ */
+export const resolveAssetUrl = (path) => {
+  if (!path || typeof path !== 'string') return '';
+  if (/^(https?:|data:|blob:)/.test(path)) return path;
+  return `${BASE_URL}${path.startsWith('/') ? '' : '/'}${path}`;
+};
+
+const ENABLE_MOCK_DATA = activeProfile.mock || env.VITE_ENABLE_MOCK_DATA === 'true';
 
 /**
  * Feature flags for enabling/disabling features
- * @type {{ ENABLE_MOCK_DATA: boolean }}
+ * @type {{ ENABLE_MOCK_DATA: boolean, ENABLE_COLLABORATION: boolean }}
  */
 export const FEATURES = {
-  ENABLE_MOCK_DATA: true, // Whether to use mock data when API calls fail
+  // Serve every request from the seeded in-browser mock backend (src/services/mock)
+  ENABLE_MOCK_DATA,
+  // Live layout presence and soft locks over the `<API URL>/collab` WebSocket; the mock backend relays between tabs
+  ENABLE_COLLABORATION: ENABLE_MOCK_DATA || runtimeConfig.collaboration === true || env.VITE_ENABLE_COLLABORATION === 'true',
 };
 
 /**
@@ -50,4 +190,4 @@ export const UI_CONFIG = {
 // Description: Application configuration
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
-// =============================== 
\ No newline at end of file
+// ===============================
@@ -0,0 +1,182 @@
+// ===============================
+// File: blogWorkflow.js
+// Description: Editorial workflow for blog posts: statuses, display metadata and the transitions each role may perform.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { PERMISSIONS, ROLES } from './permissions';
+
+/**
+ * Blog workflow statuses, in the order a post normally moves through them
+ */
+export const BLOG_STATUS = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in_review',
+  CHANGES_REQUESTED: 'changes_requested',
+  APPROVED: 'approved',
+  SCHEDULED: 'scheduled',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived',
+};
+
+/**
+ * Label and badge colours for each status
+ * @type {Object<string, { label: string, badge: string, dot: string }>}
+ */
+export const BLOG_STATUS_META = {
+  [BLOG_STATUS.DRAFT]: { label: 'Draft', badge: 'bg-yellow-100 text-yellow-800 border-yellow-200', dot: 'bg-yellow-600' },
+  [BLOG_STATUS.IN_REVIEW]: { label: 'In Review', badge: 'bg-blue-100 text-blue-800 border-blue-200', dot: 'bg-blue-600' },
+  [BLOG_STATUS.CHANGES_REQUESTED]: { label: 'Changes Requested', badge: 'bg-orange-100 text-orange-800 border-orange-200', dot: 'bg-orange-600' },
+  [BLOG_STATUS.APPROVED]: { label: 'Approved', badge: 'bg-teal-100 text-teal-800 border-teal-200', dot: 'bg-teal-600' },
+  [BLOG_STATUS.SCHEDULED]: { label: 'Scheduled', badge: 'bg-purple-100 text-purple-800 border-purple-200', dot: 'bg-purple-600' },
+  [BLOG_STATUS.PUBLISHED]: { label: 'Published', badge: 'bg-green-100 text-green-800 border-green-200', dot: 'bg-green-600' },
+  [BLOG_STATUS.ARCHIVED]: { label: 'Archived', badge: 'bg-gray-100 text-gray-700 border-gray-200', dot: 'bg-gray-500' },
+};
+
+/**
+ * Allowed workflow moves.
+ * - `permission`: capability the acting user needs
+ * - `assignedReviewerOnly`: only the assigned reviewer (or an admin) may act, and never the post's submitter
+ * - `requiresReviewer` / `requiresComment` / `requiresPublishAt`: extra input the move needs
+ * @type {Array<{ from: Array<string>, to: string, label: string, permission: string, assignedReviewerOnly?: boolean, requiresReviewer?: boolean, requiresComment?: boolean, requiresPublishAt?: boolean }>}
+ */
+export const BLOG_TRANSITIONS = [
+  {
+    from: [BLOG_STATUS.DRAFT, BLOG_STATUS.CHANGES_REQUESTED],
+    to: BLOG_STATUS.IN_REVIEW,
+    label: 'Submit for review',
+    permission: PERMISSIONS.BLOGS_EDIT,
+    requiresReviewer: true,
+  },
+  {
+    from: [BLOG_STATUS.IN_REVIEW],
+    to: BLOG_STATUS.DRAFT,
+    label: 'Withdraw',
+    permission: PERMISSIONS.BLOGS_EDIT,
+  },
+  {
+    from: [BLOG_STATUS.IN_REVIEW],
+    to: BLOG_STATUS.CHANGES_REQUESTED,
+    label: 'Request changes',
+    permission: PERMISSIONS.BLOGS_REVIEW,
+    assignedReviewerOnly: true,
+    requiresComment: true,
+  },
+  {
+    from: [BLOG_STATUS.IN_REVIEW],
+    to: BLOG_STATUS.APPROVED,
+    label: 'Approve',
+    permission: PERMISSIONS.BLOGS_REVIEW,
+    assignedReviewerOnly: true,
+  },
+  {
+    from: [BLOG_STATUS.APPROVED],
+    to: BLOG_STATUS.SCHEDULED,
+    label: 'Schedule',
+    permission: PERMISSIONS.BLOGS_PUBLISH,
+    requiresPublishAt: true,
+  },
+  {
+    from: [BLOG_STATUS.APPROVED, BLOG_STATUS.SCHEDULED],
+    to: BLOG_STATUS.PUBLISHED,
+    label: 'Publish now',
+    permission: PERMISSIONS.BLOGS_PUBLISH,
+  },
+  {
+    from: [BLOG_STATUS.SCHEDULED],
+    to: BLOG_STATUS.APPROVED,
+    label: 'Cancel schedule',
+    permission: PERMISSIONS.BLOGS_PUBLISH,
+  },
+  {
+    from: [BLOG_STATUS.PUBLISHED],
+    to: BLOG_STATUS.ARCHIVED,
+    label: 'Archive',
+    permission: PERMISSIONS.BLOGS_PUBLISH,
+  },
+  {
+    from: [BLOG_STATUS.ARCHIVED],
+    to: BLOG_STATUS.DRAFT,
+    label: 'Reopen as draft',
+    permission: PERMISSIONS.BLOGS_EDIT,
+  },
+];
+
+/**
+ * Returns the status metadata, falling back to draft for unknown values.
+ * @param {string} status
+ * @returns {{ label: string, badge: string, dot: string }}
+ */
+export const getBlogStatusMeta = (status) => BLOG_STATUS_META[status] || BLOG_STATUS_META[BLOG_STATUS.DRAFT];
+
+/**
+ * Whether the user submitted the post for review.
+ * @param {Object} blog
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const isSubmitter = (blog, user) => Boolean(user && blog.submittedBy?._id === user._id);
+
+/**
+ * Whether the user may review the post: its assigned reviewer (admins may always act as reviewer),
+ * but never the person who submitted it, so nobody approves their own work.
+ * @param {Object} blog
+ * @param {Object} user
+ * @returns {boolean}
+ */
+const isAssignedReviewer = (blog, user) => (
+  !isSubmitter(blog, user) && (user?.role === ROLES.ADMIN || (Boolean(blog.reviewer) && blog.reviewer._id === user?._id))
+);
+
+/**
+ * Lists the transitions the user may perform on a post.
+ * @param {Object} blog - Blog with `status` and optional `reviewer`
+ * @param {Object} user - Current user
+ * @param {function(string): boolean} can - Capability check for the user
+ * @returns {Array<Object>} Entries from BLOG_TRANSITIONS
+ */
+export const getAllowedTransitions = (blog, user, can) => {
+  const status = blog.status || BLOG_STATUS.DRAFT;
+  return BLOG_TRANSITIONS.filter((transition) => (
+    transition.from.includes(status)
+    && can(transition.permission)
+    && (!transition.assignedReviewerOnly || isAssignedReviewer(blog, user))
+  ));
+};
+
+/**
+ * Finds the transition from the post's current status to a target status, if the user may perform it.
+ * @param {Object} blog
+ * @param {string} to
+ * @param {Object} user
+ * @param {function(string): boolean} can
+ * @returns {Object|undefined}
+ */
+export const findTransition = (blog, to, user, can) => getAllowedTransitions(blog, user, can).find((t) => t.to === to);
+
+/**
+ * Whether the post is waiting on the user: assigned for review, returned to its submitter, or approved and ready to publish.
+ * @param {Object} blog
+ * @param {Object} user
+ * @param {function(string): boolean} can
+ * @returns {boolean}
+ */
+export const isWaitingOnUser = (blog, user, can) => {
+  if (!user) return false;
+  switch (blog.status) {
+    case BLOG_STATUS.IN_REVIEW:
+      return can(PERMISSIONS.BLOGS_REVIEW) && !isSubmitter(blog, user) && blog.reviewer?._id === user._id;
+    case BLOG_STATUS.CHANGES_REQUESTED:
+      return blog.submittedBy?._id === user._id;
+    case BLOG_STATUS.APPROVED:
+      return can(PERMISSIONS.BLOGS_PUBLISH);
+    default:
+      return false;
+  }
+};
+// ===============================
+// End of File: blogWorkflow.js
+// Description: Blog editorial workflow definitions
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
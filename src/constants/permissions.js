@@ -0,0 +1,128 @@
+// ===============================
+// File: permissions.js
+// Description: Roles, capabilities and the role → capability map used by route guards, the sidebar and action buttons.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+
+/**
+ * Capability names checked throughout the dashboard.
+ * A grant of `area.*` covers every capability in that area; `*` covers everything.
+ */
+export const PERMISSIONS = {
+  PAGES_VIEW: 'pages.view',
+  PAGES_EDIT: 'pages.edit',
+  PAGES_DELETE: 'pages.delete',
+  SECTIONS_EDIT: 'sections.edit',
+  CONTENT_VIEW: 'content.view',
+  CONTENT_EDIT: 'content.edit',
+  COMPONENTS_MANAGE: 'components.manage',
+  LAYOUTS_MANAGE: 'layouts.manage',
+  BLOGS_VIEW: 'blogs.view',
+  BLOGS_CREATE: 'blogs.create',
+  BLOGS_EDIT: 'blogs.edit',
+  BLOGS_REVIEW: 'blogs.review',
+  BLOGS_PUBLISH: 'blogs.publish',
+  BLOGS_DELETE: 'blogs.delete',
+  MEDIA_VIEW: 'media.view',
+  MEDIA_UPLOAD: 'media.upload',
+  MEDIA_DELETE: 'media.delete',
+  NEWSLETTER_VIEW: 'newsletter.view',
+  NEWSLETTER_EDIT: 'newsletter.edit',
+  NEWSLETTER_SEND: 'newsletter.send',
+  NEWSLETTER_DELETE: 'newsletter.delete',
+  SUBSCRIBERS_MANAGE: 'newsletter.subscribers',
+  LEADS_VIEW: 'leads.view',
+  LEADS_MANAGE: 'leads.manage',
+  INQUIRIES_VIEW: 'inquiries.view',
+  INQUIRIES_MANAGE: 'inquiries.manage',
+  PIPELINE_CONFIGURE: 'pipeline.configure',
+  FORMS_VIEW: 'forms.view',
+  FORMS_MANAGE: 'forms.manage',
+  USERS_MANAGE: 'users.manage',
+  ACTIVITY_VIEW: 'activity.view',
+  API_PLAYGROUND: 'tools.api',
+};
+
+/**
+ * Role names stored on the user record
+ */
+export const ROLES = {
+  ADMIN: 'admin',
+  EDITOR: 'editor',
+  AUTHOR: 'author',
+  MARKETER: 'marketer',
+  VIEWER: 'viewer',
+};
+
+/**
+ * Display labels and short descriptions for each role, in the order shown in role pickers
+ * @type {Array<{ value: string, label: string, description: string }>}
+ */
+export const ROLE_OPTIONS = [
+  { value: ROLES.VIEWER, label: 'Viewer', description: 'Dashboard and profile only' },
+  { value: ROLES.AUTHOR, label: 'Author', description: 'Writes blog drafts and uploads media' },
+  { value: ROLES.EDITOR, label: 'Editor', description: 'Manages pages, content, blogs and media' },
+  { value: ROLES.MARKETER, label: 'Marketer', description: 'Manages leads, inquiries, forms and newsletters' },
+  { value: ROLES.ADMIN, label: 'Admin', description: 'Full access, including users and site structure' },
+];
+
+/**
+ * Capabilities granted to each role
+ * @type {Object<string, Array<string>>}
+ */
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ['*'],
+  [ROLES.EDITOR]: [
+    'pages.*',
+    'sections.*',
+    'content.*',
+    'blogs.*',
+    'media.*',
+    PERMISSIONS.FORMS_VIEW,
+    PERMISSIONS.ACTIVITY_VIEW,
+  ],
+  [ROLES.AUTHOR]: [
+    PERMISSIONS.BLOGS_VIEW,
+    PERMISSIONS.BLOGS_CREATE,
+    PERMISSIONS.BLOGS_EDIT,
+    PERMISSIONS.MEDIA_VIEW,
+    PERMISSIONS.MEDIA_UPLOAD,
+  ],
+  [ROLES.MARKETER]: [
+    'leads.*',
+    'inquiries.*',
+    'newsletter.*',
+    'forms.*',
+    PERMISSIONS.BLOGS_VIEW,
+    PERMISSIONS.MEDIA_VIEW,
+    PERMISSIONS.MEDIA_UPLOAD,
+  ],
+  [ROLES.VIEWER]: [],
+};
+
+/**
+ * Returns the display label for a role.
+ * @param {string} role
+ * @returns {string}
+ */
+export const getRoleLabel = (role) => ROLE_OPTIONS.find((option) => option.value === role)?.label || role || 'User';
+
+/**
+ * Checks whether a role grants a capability.
+ * @param {string} role - Role name from the user record
+ * @param {string|Array<string>} permission - Capability, or a list where any one is enough
+ * @returns {boolean}
+ */
+export const roleHasPermission = (role, permission) => {
+  if (Array.isArray(permission)) return permission.some((entry) => roleHasPermission(role, entry));
+  const grants = ROLE_PERMISSIONS[role] || [];
+  const [area] = permission.split('.');
+  return grants.some((grant) => grant === '*' || grant === permission || grant === `${area}.*`);
+};
+// ===============================
+// End of File: permissions.js
+// Description: Role and capability definitions
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
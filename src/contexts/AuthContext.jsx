@@ -5,7 +5,9 @@
 // Copyright: Tech4biz Solutions Private
 // ===============================
 import { createContext, useState, useEffect, useContext } from 'react';
-import { authApi } from '../services/api';
+import { authApi, endSession } from '../services/api';
+import { setTokens } from '../services/tokenManager';
+import { roleHasPermission } from '../constants/permissions';
 import toast from 'react-hot-toast';
 
 /**
@@ -58,13 +60,11 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   /**
-   * Log out the user and clear tokens
+   * Log out the user, clear tokens and notify other tabs
    */
   const handleLogout = () => {
     setUser(null);
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    window.location.href = '/login';
+    endSession();
   };
 
   /**
@@ -87,7 +87,7 @@ export const AuthProvider = ({ children }) => {
         throw new Error('Failed to get refresh token');
       }
       const { refreshToken } = refreshTokenResponse.data;
-      localStorage.setItem('refreshToken', refreshToken);
+      setTokens({ refreshToken });
       // Step 3: Get access token
       const accessTokenResponse = await authApi.getAccessToken(refreshToken);
       if (!accessTokenResponse.data.success) {
@@ -216,6 +216,15 @@ export const AuthProvider = ({ children }) => {
     return user && user.role === 'admin';
   };
 
+  /**
+   * Check if the current user's role grants a capability
+   * @param {string|Array<string>} permission - e.g. 'blogs.publish', or a list where any one is enough
+   * @returns {boolean}
+   */
+  const can = (permission) => {
+    return Boolean(user) && roleHasPermission(user.role, permission);
+  };
+
   // Context value
   const value = {
     user,
@@ -226,7 +235,8 @@ export const AuthProvider = ({ children }) => {
     logout,
     forgotPassword,
     resetPassword,
-    isAdmin
+    isAdmin,
+    can
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
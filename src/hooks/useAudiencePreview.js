@@ -0,0 +1,55 @@
+// ===============================
+// File: useAudiencePreview.js
+// Description: React hook that asks the server how many subscribers a newsletter audience reaches.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { useState, useEffect } from 'react';
+import { newsletterApi } from '../services/api';
+
+/**
+ * useAudiencePreview fetches the recipient count for an audience, waiting briefly after each change.
+ * @param {{ segmentIds?: Array<string>, topic?: string, important?: boolean }|{ segment: Object }|null} audience - Saved segments
+ *   with the newsletter's topic, or unsaved rules; null skips the request
+ * @param {number} [delay=300] - Quiet period in ms before asking
+ * @returns {{ count: number|null, total: number|null, sample: Array<string>, loading: boolean, error: string|null }}
+ */
+const useAudiencePreview = (audience, delay = 300) => {
+  const [preview, setPreview] = useState({ count: null, total: null, sample: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const key = audience ? JSON.stringify(audience) : null;
+
+  useEffect(() => {
+    if (!key) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await newsletterApi.previewAudience(JSON.parse(key));
+        if (cancelled) return;
+        setPreview(response.data?.data || { count: 0, total: 0, sample: [] });
+        setError(null);
+      } catch (previewError) {
+        if (cancelled) return;
+        setError(previewError.response?.data?.message || 'Could not count recipients');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, delay);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [key, delay]);
+
+  return { ...preview, loading, error };
+};
+
+export default useAudiencePreview;
+// ===============================
+// End of File: useAudiencePreview.js
+// Description: Audience recipient count hook
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -1,73 +1,303 @@
 // ===============================
 // File: useAutoSave.js
-// Description: React hook for auto-saving data at intervals with error handling and feedback.
+// Description: React hook for debounced autosave with IndexedDB drafts, offline retry with backoff and draft recovery.
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // ===============================
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { saveDraft, getDraft, deleteDraft } from '../services/draftStore';
 
 /**
- * useAutoSave automatically saves data at a specified interval if changes are detected.
+ * Save states shown by SaveStatusIndicator.
+ * SAVED means the server has the data; DRAFT_SAVED means only this device does (no `onSave`).
+ * @enum {string}
+ */
+export const SAVE_STATUS = {
+  IDLE: 'idle',
+  SAVING: 'saving',
+  SAVED: 'saved',
+  DRAFT_SAVED: 'draft_saved',
+  OFFLINE: 'offline',
+  FAILED: 'failed',
+};
+
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60000;
+const MAX_FAILED_RETRIES = 5;
+
+/**
+ * Whether a failed save looks like lost connectivity rather than a server rejection.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isOfflineError = (error) => (
+  (typeof navigator !== 'undefined' && navigator.onLine === false)
+  || (Boolean(error?.isAxiosError || error?.request) && !error?.response)
+);
+
+/**
+ * Whether a failed save is worth retrying. Client errors (validation, conflicts) are not,
+ * and neither is anything thrown with `retry: false`.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+  if (error?.retry === false) return false;
+  const status = error?.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+};
+
+/**
+ * useAutoSave saves editor state a short while after it stops changing.
+ *
+ * Every change is first written to a local draft (IndexedDB), then handed to `onSave` if given.
+ * A failed save keeps the draft and retries with exponential backoff; while offline it waits for the
+ * connection to come back. The draft is deleted once the server has the data, or once the caller
+ * reports a manual save with `markSaved`. When the editor opens and finds a draft newer than the
+ * record it loaded, the draft is offered back through `draft` / `restoreDraft`.
+ *
  * @param {Object} params
- * @param {any} params.data - The data to watch for changes
- * @param {function} params.onSave - The save function to call
- * @param {number} [params.saveInterval=10000] - Interval in ms between saves
- * @returns {{ isSaving: boolean, lastSaved: Date|null }}
+ * @param {any} params.data - Current editor state (must be serializable)
+ * @param {function(any): Promise<void>} [params.onSave] - Sends the state to the server; omit to keep drafts on this device only
+ * @param {string} [params.draftKey] - Draft slot, e.g. `blog:<id>`; omit to skip drafts
+ * @param {boolean} [params.enabled=true] - Keep false while the record loads; the state when it turns true is the clean baseline
+ * @param {boolean} [params.paused=false] - Hold saves without resetting the baseline (e.g. while a conflict is open)
+ * @param {string} [params.serverUpdatedAt] - `updatedAt` of the loaded record; older drafts are discarded
+ * @param {number} [params.delay=2000] - Quiet period in ms before saving
+ * @returns {{
+ *   status: string,
+ *   lastSaved: Date|null,
+ *   error: Error|null,
+ *   isSaving: boolean,
+ *   retryAt: Date|null,
+ *   draft: { data: any, savedAt: string }|null,
+ *   saveNow: function(): Promise<void>,
+ *   restoreDraft: function(): any,
+ *   discardDraft: function(): Promise<void>,
+ *   markSaved: function(any=): void
+ * }}
  */
-const useAutoSave = ({ data, onSave, saveInterval = 10000 }) => {
-  const [isSaving, setIsSaving] = useState(false);
+const useAutoSave = ({
+  data,
+  onSave,
+  draftKey,
+  enabled = true,
+  paused = false,
+  serverUpdatedAt,
+  delay = 2000,
+}) => {
+  const [status, setStatus] = useState(SAVE_STATUS.IDLE);
   const [lastSaved, setLastSaved] = useState(null);
-  const timeoutRef = useRef(null);
-  const isEditingRef = useRef(false);
-  const lastDataRef = useRef(data);
+  const [error, setError] = useState(null);
+  const [retryAt, setRetryAt] = useState(null);
+  const [draft, setDraft] = useState(null);
+
+  const dataRef = useRef(data);
+  const onSaveRef = useRef(onSave);
+  const baselineRef = useRef(null);
+  const timerRef = useRef(null);
+  const attemptRef = useRef(0);
+  const savingRef = useRef(false);
+  const pendingRef = useRef(false);
+  const dirtyRef = useRef(false);
+  const activeRef = useRef(false);
+
+  dataRef.current = data;
+  onSaveRef.current = onSave;
+  // Read by timers that were scheduled before the latest render
+  activeRef.current = enabled && !paused;
+
+  const clearTimer = () => {
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+    }
+  };
 
   /**
-   * Save the data if it has changed
+   * Saves the latest state now: draft first, then the server.
    */
-  const save = async () => {
-    if (!isSaving && JSON.stringify(data) !== JSON.stringify(lastDataRef.current)) {
-      try {
-        setIsSaving(true);
-        await onSave(data);
-        setLastSaved(new Date());
-        lastDataRef.current = data;
-      } catch (error) {
-        // Log error for debugging; could add user feedback if needed
-        // Optionally integrate with error monitoring
-        // console.error('Auto-save failed:', error);
-      } finally {
-        setIsSaving(false);
+  const flush = useCallback(async () => {
+    clearTimer();
+    if (!activeRef.current) return;
+    if (savingRef.current) {
+      // Another save is running; go again once it finishes
+      pendingRef.current = true;
+      return;
+    }
+
+    const snapshot = dataRef.current;
+    const serialized = JSON.stringify(snapshot);
+    if (serialized === baselineRef.current) {
+      dirtyRef.current = false;
+      if (draftKey) deleteDraft(draftKey).catch(() => {});
+      return;
+    }
+
+    savingRef.current = true;
+    dirtyRef.current = true;
+    setStatus(SAVE_STATUS.SAVING);
+    setRetryAt(null);
+    try {
+      if (draftKey) await saveDraft(draftKey, snapshot);
+      if (onSaveRef.current) await onSaveRef.current(snapshot);
+      if (draftKey && onSaveRef.current) await deleteDraft(draftKey);
+      if (onSaveRef.current) baselineRef.current = serialized;
+      attemptRef.current = 0;
+      dirtyRef.current = !onSaveRef.current;
+      setError(null);
+      setLastSaved(new Date());
+      setStatus(onSaveRef.current ? SAVE_STATUS.SAVED : SAVE_STATUS.DRAFT_SAVED);
+    } catch (saveError) {
+      const offline = isOfflineError(saveError);
+      setError(saveError);
+      setStatus(offline ? SAVE_STATUS.OFFLINE : SAVE_STATUS.FAILED);
+      if (offline || (isRetryable(saveError) && attemptRef.current < MAX_FAILED_RETRIES)) {
+        const wait = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attemptRef.current);
+        attemptRef.current += 1;
+        setRetryAt(new Date(Date.now() + wait));
+        timerRef.current = setTimeout(() => flush(), wait);
       }
+    } finally {
+      savingRef.current = false;
     }
-  };
 
+    if (pendingRef.current) {
+      pendingRef.current = false;
+      if (!timerRef.current) timerRef.current = setTimeout(() => flush(), delay);
+    }
+  }, [draftKey, delay]);
+
+  // The state at the moment loading finishes (or finishes again after a reload) is what "no changes" means
   useEffect(() => {
-    const startAutoSave = () => {
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
-      }
-      if (!isEditingRef.current) {
-        timeoutRef.current = setTimeout(save, saveInterval);
+    if (enabled) {
+      baselineRef.current = JSON.stringify(dataRef.current);
+    }
+  }, [enabled]);
+
+  // Offer a draft left behind by an earlier session, unless the server copy is newer
+  useEffect(() => {
+    if (!enabled || !draftKey) return undefined;
+    let cancelled = false;
+    getDraft(draftKey)
+      .then((stored) => {
+        if (cancelled || !stored) return;
+        const stale = serverUpdatedAt && new Date(stored.savedAt) <= new Date(serverUpdatedAt);
+        if (stale || JSON.stringify(stored.data) === baselineRef.current) {
+          deleteDraft(draftKey).catch(() => {});
+          return;
+        }
+        setDraft(stored);
+      })
+      .catch((readError) => console.error('Failed to read draft:', readError));
+    return () => {
+      cancelled = true;
+    };
+    // Check once per record, when it has loaded
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enabled, draftKey]);
+
+  // Debounce: each change restarts the quiet period
+  useEffect(() => {
+    if (!enabled || paused || baselineRef.current === null) return undefined;
+    // A pending retry keeps its backoff; new edits are picked up when it runs
+    if (retryAt) return undefined;
+    clearTimer();
+    timerRef.current = setTimeout(() => flush(), delay);
+    return undefined;
+    // Only edits (and enabling) restart the timer, not retry bookkeeping
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [data, enabled, paused, flush, delay]);
+
+  // Retry as soon as the connection comes back
+  useEffect(() => {
+    const handleOnline = () => {
+      if (dirtyRef.current || status === SAVE_STATUS.OFFLINE) {
+        attemptRef.current = 0;
+        flush();
       }
     };
-    startAutoSave();
-    return () => {
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [flush, status]);
+
+  // Keep the latest edits when the tab is closed before the quiet period ends
+  useEffect(() => {
+    if (!draftKey) return undefined;
+    const handlePageHide = () => {
+      if (enabled && JSON.stringify(dataRef.current) !== baselineRef.current) {
+        saveDraft(draftKey, dataRef.current).catch(() => {});
       }
     };
-  }, [data, saveInterval]);
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, [draftKey, enabled]);
+
+  useEffect(() => clearTimer, []);
+
+  /**
+   * Saves immediately, skipping the quiet period and any backoff.
+   */
+  const saveNow = useCallback(() => {
+    attemptRef.current = 0;
+    setRetryAt(null);
+    return flush();
+  }, [flush]);
+
+  /**
+   * Hands back the recovered draft's data for the editor to load, and hides the offer.
+   * The draft itself stays stored until the restored state is saved.
+   * @returns {any}
+   */
+  const restoreDraft = useCallback(() => {
+    const restored = draft?.data;
+    setDraft(null);
+    return restored;
+  }, [draft]);
+
+  /**
+   * Throws the stored draft away.
+   */
+  const discardDraft = useCallback(async () => {
+    setDraft(null);
+    if (draftKey) await deleteDraft(draftKey);
+  }, [draftKey]);
+
+  /**
+   * Tells the engine the state was saved some other way (e.g. the form's Save button).
+   * @param {any} [savedData=data] - The state that was saved; becomes the new baseline
+   */
+  const markSaved = useCallback((savedData = dataRef.current) => {
+    clearTimer();
+    baselineRef.current = JSON.stringify(savedData);
+    attemptRef.current = 0;
+    dirtyRef.current = false;
+    setDraft(null);
+    setError(null);
+    setRetryAt(null);
+    setLastSaved(new Date());
+    setStatus(SAVE_STATUS.SAVED);
+    if (draftKey) deleteDraft(draftKey).catch(() => {});
+  }, [draftKey]);
 
   return {
-    isSaving,
+    status,
     lastSaved,
+    error,
+    isSaving: status === SAVE_STATUS.SAVING,
+    retryAt,
+    draft,
+    saveNow,
+    restoreDraft,
+    discardDraft,
+    markSaved,
   };
 };
 
 export default useAutoSave;
 // ===============================
 // End of File: useAutoSave.js
-// Description: Auto-save React hook
+// Description: Autosave engine hook
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
-// =============================== 
\ No newline at end of file
+// ===============================
@@ -0,0 +1,84 @@
+// ===============================
+// File: useFormSteps.js
+// Description: React hook that walks a respondent through the steps of a dynamic form, applying its conditional logic.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { useState, useMemo, useCallback } from 'react';
+import { getFieldStates, isFieldVisible, splitSteps } from '../utils/formLogic';
+import { validateAnswers } from '../utils/formValidation';
+
+/**
+ * useFormSteps tracks the current step of a form and which questions are shown and required.
+ * Steps whose questions are all hidden by the answers so far are skipped.
+ * @param {Array<Object>} fields - Form fields, page breaks included
+ * @param {Object<string, *>} values - Answers by field name
+ * @returns {{
+ *   states: Object<string, { visible: boolean, required: boolean }>,
+ *   step: { title: string, fields: Array<Object> }|null,
+ *   visibleFields: Array<Object>,
+ *   position: number,
+ *   count: number,
+ *   isFirst: boolean,
+ *   isLast: boolean,
+ *   goNext: function(): Object<string, string>,
+ *   goBack: function(): void,
+ *   goToField: function(string): void,
+ *   reset: function(): void
+ * }} `goNext` moves on only when the current step is complete and valid, and returns its problems by field name;
+ *   `goToField` shows the step holding a field, e.g. one the final check or the server rejected
+ */
+const useFormSteps = (fields, values) => {
+  const [stepIndex, setStepIndex] = useState(0);
+  const steps = useMemo(() => splitSteps(fields || []), [fields]);
+  const states = useMemo(() => getFieldStates(fields || [], values), [fields, values]);
+
+  const active = useMemo(() => steps.reduce((indexes, step, index) => (
+    step.fields.some((field) => isFieldVisible(field, states)) ? [...indexes, index] : indexes
+  ), []), [steps, states]);
+
+  // The step shown stays put when answers change; if it has just emptied, the next one with questions takes its place
+  const found = active.findIndex((index) => index >= stepIndex);
+  const position = found === -1 ? active.length - 1 : found;
+  const step = position >= 0 ? steps[active[position]] : null;
+  const visibleFields = step ? step.fields.filter((field) => isFieldVisible(field, states)) : [];
+
+  const goNext = useCallback(() => {
+    const errors = step ? validateAnswers(step.fields, values, states) : {};
+    if (!Object.keys(errors).length && position < active.length - 1) setStepIndex(active[position + 1]);
+    return errors;
+  }, [step, values, states, position, active]);
+
+  const goBack = useCallback(() => {
+    if (position > 0) setStepIndex(active[position - 1]);
+  }, [position, active]);
+
+  const goToField = useCallback((name) => {
+    const index = steps.findIndex((candidate) => candidate.fields.some((field) => field.name === name));
+    if (index !== -1) setStepIndex(index);
+  }, [steps]);
+
+  const reset = useCallback(() => setStepIndex(0), []);
+
+  return {
+    states,
+    step,
+    visibleFields,
+    position,
+    count: active.length,
+    isFirst: position <= 0,
+    isLast: position >= active.length - 1,
+    goNext,
+    goBack,
+    goToField,
+    reset,
+  };
+};
+
+export default useFormSteps;
+// ===============================
+// End of File: useFormSteps.js
+// Description: Dynamic form steps hook
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,91 @@
+/* ========================================================================
+ * File: useLayoutPresence.js
+ * Description: Custom React hook for presence and soft component locks while editing a layout.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { joinCollabRoom, resolveLocks } from '../services/collaboration';
+
+/**
+ * useLayoutPresence Hook
+ * Joins the layout's collaboration room, announces the selected component (which also claims its soft lock)
+ * and reports who else is here, who holds which lock and when someone else saved.
+ * @param {string|null} layoutId - Layout being edited
+ * @param {string|null} selectedComponentId - Component open in this editor
+ * @returns {{
+ *   peers: Array<Object>,
+ *   lockHolder: function(string): Object|null,
+ *   viewersOf: function(string): Array<Object>,
+ *   remoteSave: { user: Object, revision: number }|null,
+ *   dismissRemoteSave: function(): void,
+ *   announceSave: function(number): void
+ * }}
+ */
+const useLayoutPresence = (layoutId, selectedComponentId) => {
+  const { user } = useAuth();
+  const sessionRef = useRef(null);
+  const [peers, setPeers] = useState([]);
+  const [selfState, setSelfState] = useState(null);
+  const [remoteSave, setRemoteSave] = useState(null);
+
+  useEffect(() => {
+    if (!layoutId || !user?._id) return undefined;
+    const session = joinCollabRoom(`layout:${layoutId}`, user, {
+      onPeersChange: setPeers,
+      onSaved: setRemoteSave,
+    });
+    sessionRef.current = session;
+    return () => {
+      session.leave();
+      sessionRef.current = null;
+      setPeers([]);
+    };
+    // Rejoin only when the layout or the signed-in user changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [layoutId, user?._id]);
+
+  // Opening a component shows it as yours and claims its lock (the earliest claim wins)
+  useEffect(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    session.update({ focusId: selectedComponentId || null, lockId: selectedComponentId || null });
+    setSelfState(session.getState());
+  }, [selectedComponentId, layoutId, user?._id]);
+
+  const locks = useMemo(() => (selfState ? resolveLocks(selfState, peers) : {}), [selfState, peers]);
+
+  /**
+   * Another editor holding the component's lock, or null if it is free or yours.
+   * @param {string} componentId
+   * @returns {Object|null}
+   */
+  const lockHolder = useCallback((componentId) => {
+    const holder = locks[componentId];
+    return holder && !holder.self ? holder : null;
+  }, [locks]);
+
+  /**
+   * Other editors who have the component open.
+   * @param {string} componentId
+   * @returns {Array<Object>}
+   */
+  const viewersOf = useCallback((componentId) => peers.filter((peer) => peer.focusId === componentId), [peers]);
+
+  const announceSave = useCallback((revision) => {
+    sessionRef.current?.announceSave(revision);
+    setRemoteSave(null);
+  }, []);
+
+  const dismissRemoteSave = useCallback(() => setRemoteSave(null), []);
+
+  return { peers, lockHolder, viewersOf, remoteSave, dismissRemoteSave, announceSave };
+};
+
+export default useLayoutPresence;
+
+/* ========================================================================
+ * End of File: useLayoutPresence.js
+ * ======================================================================== */
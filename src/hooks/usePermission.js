@@ -0,0 +1,25 @@
+// ===============================
+// File: usePermission.js
+// Description: React hook for checking the signed-in user's capabilities.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { useAuth } from '../contexts/AuthContext';
+
+/**
+ * usePermission checks whether the current user holds a capability.
+ * @param {string|Array<string>} permission - Capability such as `blogs.publish`, or a list where any one is enough
+ * @returns {boolean}
+ */
+const usePermission = (permission) => {
+  const { can } = useAuth();
+  return can(permission);
+};
+
+export default usePermission;
+// ===============================
+// End of File: usePermission.js
+// Description: Capability check hook
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
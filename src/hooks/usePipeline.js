@@ -0,0 +1,52 @@
+// ===============================
+// File: usePipeline.js
+// Description: React hook that loads the pipeline definition (stages and allowed transitions) shared by leads and inquiries.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { useState, useEffect, useCallback } from 'react';
+import { getPipelineStages, getPipelineTransitions } from '../services/api';
+import { DEFAULT_PIPELINE_STAGES, buildDefaultTransitions } from '../utils/pipeline';
+
+/**
+ * usePipeline fetches the pipeline definition once and keeps it in state.
+ * Until it loads, the default stages and transitions are returned so status tags and buttons can render.
+ * @returns {{
+ *   stages: Array<Object>,
+ *   transitions: Array<Object>,
+ *   setStages: function(Array<Object>): void,
+ *   setTransitions: function(Array<Object>): void,
+ *   reload: function(): Promise<void>,
+ *   error: string|null
+ * }}
+ */
+const usePipeline = () => {
+  const [stages, setStages] = useState(DEFAULT_PIPELINE_STAGES);
+  const [transitions, setTransitions] = useState(() => buildDefaultTransitions(DEFAULT_PIPELINE_STAGES));
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const [stagesResponse, transitionsResponse] = await Promise.all([getPipelineStages(), getPipelineTransitions()]);
+      setStages(stagesResponse.data);
+      setTransitions(transitionsResponse.data);
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.response?.data?.message || 'Failed to load the pipeline');
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { stages, transitions, setStages, setTransitions, reload, error };
+};
+
+export default usePipeline;
+// ===============================
+// End of File: usePipeline.js
+// Description: Pipeline definition hook
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -21,12 +21,10 @@ const EditPage = () => {
     }
   };
 
-  const { isSaving, lastSaved, onFieldEdit } = useAutoSave({
+  const { isSaving, lastSaved } = useAutoSave({
     data: formData,
     onSave: handleSave,
-    interval: 10000, // 10 seconds
-    enabled: true,
-    debounceDelay: 500,
+    delay: 500,
   });
 
   const { showModal, handleConfirm, handleCancel } = usePageLeaveConfirmation({
@@ -43,7 +41,6 @@ const EditPage = () => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
     setHasUnsavedChanges(true);
-    onFieldEdit(); // Notify auto-save about the edit
   };
 
   return (
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import SectionRenderer from '../components/sections/SectionRenderer';
 import Spinner from '../components/elements/Spinner';
+import { cmsApi } from '../services/api';
 
 const HomePage = () => {
   const [sections, setSections] = useState([]);
@@ -14,13 +15,7 @@ const HomePage = () => {
   const fetchSections = async () => {
     try {
       setLoading(true);
-      const response = await fetch('/api/cms/sections/published');
-      
-      if (!response.ok) {
-        throw new Error('Failed to fetch sections');
-      }
-      
-      const data = await response.json();
+      const { data } = await cmsApi.getPublishedSections();
       // Sort sections by their order property
       const sortedSections = data.data.sort((a, b) => a.order - b.order);
       setSections(sortedSections);
@@ -0,0 +1,87 @@
+// ===============================
+// File: NewsletterConfirm.jsx
+// Description: Public landing page for the double opt-in email link. Confirms the subscription and links to the preference center.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaCheckCircle, FaExclamationCircle } from 'react-icons/fa';
+import { newsletterApi } from '../services/api';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+
+/**
+ * NewsletterConfirm confirms a pending subscription from its emailed token.
+ * @component
+ */
+const NewsletterConfirm = () => {
+  const { token } = useParams();
+  const [subscription, setSubscription] = useState(null);
+  const [error, setError] = useState('');
+  // Tokens work once, so a repeated effect run (StrictMode) must not confirm again
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+    newsletterApi.confirmSubscription(token)
+      .then((response) => setSubscription(response.data.data))
+      .catch((err) => setError(err.response?.data?.message || 'We could not confirm your subscription. Please try again.'));
+  }, [token]);
+
+  return (
+    <div className="min-h-[60vh] flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        className="max-w-md w-full bg-white p-8 rounded-2xl shadow-sm border border-gray-100 text-center"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        aria-live="polite"
+      >
+        {!subscription && !error && (
+          <>
+            <LoadingSpinner size="large" className="mx-auto" />
+            <p className="mt-4 text-gray-600">Confirming your subscription...</p>
+          </>
+        )}
+        {subscription && (
+          <>
+            <FaCheckCircle className="mx-auto h-12 w-12 text-green-500" aria-hidden="true" />
+            <h1 className="mt-4 text-2xl font-bold text-gray-900">You're subscribed!</h1>
+            <p className="mt-2 text-gray-600">
+              <strong>{subscription.email}</strong> will now receive our newsletter.
+            </p>
+            <Link
+              to={`/newsletter/preferences/${subscription.preferenceToken}`}
+              className="mt-6 inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              Choose your topics
+            </Link>
+          </>
+        )}
+        {error && (
+          <>
+            <FaExclamationCircle className="mx-auto h-12 w-12 text-red-500" aria-hidden="true" />
+            <h1 className="mt-4 text-2xl font-bold text-gray-900">Link not valid</h1>
+            <p className="mt-2 text-gray-600" role="alert">{error}</p>
+            <Link
+              to="/newsletter/subscribe"
+              className="mt-6 inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              Subscribe again
+            </Link>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default NewsletterConfirm;
+// ===============================
+// End of File: NewsletterConfirm.jsx
+// Description: Double opt-in confirmation page
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
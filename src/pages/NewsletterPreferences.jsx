@@ -0,0 +1,254 @@
+// ===============================
+// File: NewsletterPreferences.jsx
+// Description: Public newsletter preference center opened from the link in every newsletter. Subscribers choose topics
+//              and frequency, unsubscribe with one click, or subscribe again, without signing in.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { FaEnvelopeOpenText, FaExclamationCircle } from 'react-icons/fa';
+import { newsletterApi } from '../services/api';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import {
+  NEWSLETTER_TOPICS,
+  NEWSLETTER_FREQUENCIES,
+  CONSENT_TEXT,
+  describeSignupSource
+} from '../utils/subscriberPreferences';
+
+/**
+ * NewsletterPreferences is the token-authorized preference center for one subscriber.
+ * With `?unsubscribe=1` (the newsletter's unsubscribe link) the one-click unsubscribe is shown first.
+ * @component
+ */
+const NewsletterPreferences = () => {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const [subscription, setSubscription] = useState(null);
+  const [preferences, setPreferences] = useState({ topics: [], frequency: 'weekly' });
+  const [loadError, setLoadError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [consent, setConsent] = useState(false);
+  const [resubscribed, setResubscribed] = useState(false);
+  const unsubscribeFirst = searchParams.get('unsubscribe') === '1';
+
+  useEffect(() => {
+    newsletterApi.getPreferences(token)
+      .then((response) => {
+        setSubscription(response.data.data);
+        setPreferences(response.data.data.preferences);
+      })
+      .catch((error) => setLoadError(error.response?.data?.message || 'We could not load your preferences.'));
+  }, [token]);
+
+  /**
+   * Toggles one topic in the local preferences.
+   * @param {string} topic
+   */
+  const toggleTopic = (topic) => {
+    setPreferences((prev) => ({
+      ...prev,
+      topics: prev.topics.includes(topic) ? prev.topics.filter((value) => value !== topic) : [...prev.topics, topic]
+    }));
+  };
+
+  /**
+   * Saves topics and frequency
+   * @param {React.FormEvent<HTMLFormElement>} e
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await newsletterApi.updatePreferences(token, preferences);
+      setSubscription(response.data.data);
+      toast.success('Your preferences have been saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save your preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnsubscribe = async () => {
+    setSaving(true);
+    try {
+      const response = await newsletterApi.unsubscribeByToken(token);
+      setSubscription(response.data.data);
+      toast.success('You have been unsubscribed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unsubscribe');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Starts a new double opt-in for an address that unsubscribed
+   * @param {React.FormEvent<HTMLFormElement>} e
+   */
+  const handleResubscribe = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await newsletterApi.subscribe(subscription.email, { source: describeSignupSource('preference-center'), consent });
+      setResubscribed(true);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to subscribe');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loadError) {
+    return (
+      <div className="min-h-[60vh] flex items-center justify-center px-4">
+        <div className="max-w-md w-full bg-white p-8 rounded-2xl shadow-sm border border-gray-100 text-center">
+          <FaExclamationCircle className="mx-auto h-12 w-12 text-red-500" aria-hidden="true" />
+          <h1 className="mt-4 text-2xl font-bold text-gray-900">Link not valid</h1>
+          <p className="mt-2 text-gray-600" role="alert">{loadError}</p>
+        </div>
+      </div>
+    );
+  }
+  if (!subscription) {
+    return <div className="min-h-[60vh] flex items-center justify-center"><LoadingSpinner size="large" /></div>;
+  }
+
+  const unsubscribed = subscription.status === 'inactive';
+  const unsubscribeButton = (
+    <button
+      type="button"
+      onClick={handleUnsubscribe}
+      disabled={saving}
+      className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+    >
+      Unsubscribe from all emails
+    </button>
+  );
+
+  return (
+    <div className="py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        className="max-w-xl mx-auto bg-white p-8 rounded-2xl shadow-sm border border-gray-100 space-y-6"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        <div className="flex items-center gap-3">
+          <FaEnvelopeOpenText className="h-8 w-8 text-blue-600" aria-hidden="true" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Email preferences</h1>
+            <p className="text-sm text-gray-600">{subscription.email}</p>
+          </div>
+        </div>
+
+        {unsubscribed ? (
+          <div className="space-y-4" aria-live="polite">
+            <p className="text-gray-700">You are unsubscribed and will not receive any more newsletters.</p>
+            {resubscribed ? (
+              <p className="text-green-700">Check your inbox and click the link to confirm your subscription.</p>
+            ) : (
+              <form onSubmit={handleResubscribe} className="space-y-3">
+                <label className="flex items-start gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={consent}
+                    onChange={(e) => setConsent(e.target.checked)}
+                    className="mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    required
+                  />
+                  <span>{CONSENT_TEXT}</span>
+                </label>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Subscribe again
+                </button>
+              </form>
+            )}
+          </div>
+        ) : (
+          <>
+            {unsubscribeFirst && (
+              <div className="p-4 rounded-lg border border-red-200 bg-red-50 space-y-3">
+                <p className="text-gray-800">Unsubscribe <strong>{subscription.email}</strong> from all newsletters?</p>
+                {unsubscribeButton}
+                <p className="text-sm text-gray-600">Or choose below to only receive the topics you want.</p>
+              </div>
+            )}
+            {subscription.status === 'pending' && (
+              <p className="p-3 rounded-lg bg-yellow-50 text-sm text-yellow-800">
+                Your subscription is not confirmed yet. Click the link in the confirmation email to start receiving newsletters.
+              </p>
+            )}
+            <form onSubmit={handleSave} className="space-y-6">
+              <fieldset>
+                <legend className="text-sm font-semibold text-gray-900 mb-2">Topics</legend>
+                <div className="space-y-2">
+                  {NEWSLETTER_TOPICS.map((topic) => (
+                    <label key={topic.value} className="flex items-start gap-3 p-3 rounded-lg border border-gray-200 hover:bg-gray-50 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={preferences.topics.includes(topic.value)}
+                        onChange={() => toggleTopic(topic.value)}
+                        className="mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        disabled={saving}
+                      />
+                      <span>
+                        <span className="block text-sm font-medium text-gray-900">{topic.label}</span>
+                        <span className="block text-sm text-gray-500">{topic.description}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+              <fieldset>
+                <legend className="text-sm font-semibold text-gray-900 mb-2">How often</legend>
+                <div className="flex flex-wrap gap-4">
+                  {NEWSLETTER_FREQUENCIES.map((frequency) => (
+                    <label key={frequency.value} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        name="frequency"
+                        value={frequency.value}
+                        checked={preferences.frequency === frequency.value}
+                        onChange={() => setPreferences((prev) => ({ ...prev, frequency: frequency.value }))}
+                        className="h-4 w-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                        disabled={saving}
+                      />
+                      {frequency.label}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+              <div className="flex flex-wrap items-center justify-between gap-3 pt-4 border-t border-gray-100">
+                <button
+                  type="submit"
+                  disabled={saving || !preferences.topics.length}
+                  className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save preferences'}
+                </button>
+                {!unsubscribeFirst && unsubscribeButton}
+              </div>
+            </form>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default NewsletterPreferences;
+// ===============================
+// End of File: NewsletterPreferences.jsx
+// Description: Public newsletter preference center
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import SectionRenderer from '../components/sections/SectionRenderer';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { cmsApi } from '../services/api';
 
 const PageContent = () => {
   const { slug } = useParams();
@@ -21,23 +22,15 @@ const PageContent = () => {
       setLoading(true);
       
       // Fetch page by slug
-      const pageResponse = await fetch(`/api/cms/pages/slug/${pageSlug}`);
-      
-      if (!pageResponse.ok) {
+      const { data: pageData } = await cmsApi.getPublishedPageBySlug(pageSlug).catch(() => {
         throw new Error(`Failed to fetch page with slug "${pageSlug}"`);
-      }
-      
-      const pageData = await pageResponse.json();
+      });
       setPage(pageData.data);
       
       // Fetch sections for this page
-      const sectionsResponse = await fetch(`/api/cms/sections/published/page/${pageData.data._id}`);
-      
-      if (!sectionsResponse.ok) {
+      const { data: sectionsData } = await cmsApi.getPublishedPageSections(pageData.data._id).catch(() => {
         throw new Error('Failed to fetch sections for this page');
-      }
-      
-      const sectionsData = await sectionsResponse.json();
+      });
       // Sort sections by their order property
       const sortedSections = sectionsData.data.sort((a, b) => a.order - b.order);
       setSections(sortedSections);
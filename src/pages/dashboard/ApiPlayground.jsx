@@ -10,6 +10,7 @@ import { FaPlay, FaCopy, FaBook, FaInfoCircle } from 'react-icons/fa';
 import { toast } from 'react-toastify';
 import Card from '../../components/elements/Card';
 import api from '../../services/api';
+import { API_CONFIG } from '../../config';
 
 /**
  * Recursively transforms a value for display, handling arrays and objects.
@@ -334,7 +335,7 @@ const ApiPlayground = () => {
    */
   const handleEndpointChange = (e) => {
     let value = e.target.value;
-    const baseUrl = 'https://cms-backend-7fb2.onrender.com/api';
+    const baseUrl = API_CONFIG.BASE_URL;
     if (value.startsWith(baseUrl)) {
       value = value.substring(baseUrl.length);
     }
@@ -395,7 +396,7 @@ const ApiPlayground = () => {
             </label>
             <div className="flex items-center">
               <span className="text-gray-500 bg-gray-50 px-3 py-2 border border-r-0 rounded-l-md">
-                https://cms-backend-7fb2.onrender.com/api
+                {API_CONFIG.BASE_URL}
               </span>
               <input
                 id="api-endpoint-input"
@@ -7,15 +7,21 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
-import { FaPlus, FaEdit, FaTrash, FaEye, FaSearch, FaCheck, FaTimes, FaClock, FaBook, FaCalendarAlt, FaUserEdit } from 'react-icons/fa';
+import { FaPlus, FaEdit, FaTrash, FaEye, FaSearch, FaTasks, FaClock, FaBook, FaCalendarAlt, FaUserEdit } from 'react-icons/fa';
 import { toast } from 'react-toastify';
-import { Modal, Tooltip } from 'antd';
+import { Modal, Tooltip, Tabs } from 'antd';
 import { ExclamationCircleOutlined } from '@ant-design/icons';
 import { cmsApi, authorApi } from '../../services/api';
 import Card from '../../components/elements/Card';
 import Button from '../../components/elements/Button';
 import { BlogDashboardSkeleton } from '../../components/skeletons/DashboardSkeletons';
 import BlogForm from './BlogForm';
+import Can from '../../components/common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
+import BlogStatusBadge from '../../components/blogs/BlogStatusBadge';
+import BlogWorkflowModal from '../../components/blogs/BlogWorkflowModal';
+import { BLOG_STATUS } from '../../constants/blogWorkflow';
+import { formatScheduleTime, getEffectiveStatus } from '../../utils/publishSchedule';
 import debounce from 'lodash/debounce';
 import { format, formatDistanceToNow } from 'date-fns';
 
@@ -23,7 +29,8 @@ const { confirm } = Modal;
 
 /**
  * BlogDashboard
- * Dashboard page for listing, searching, creating, editing, publishing, and deleting blogs.
+ * Dashboard page for listing, searching, creating, editing, reviewing, and deleting blogs.
+ * The "Review queue" tab lists posts waiting on the current user.
  * @component
  * @returns {JSX.Element}
  */
@@ -44,6 +51,10 @@ const BlogDashboard = () => {
   const [newAuthorName, setNewAuthorName] = useState('');
   const [authorLoading, setAuthorLoading] = useState(false);
   const [selectedAuthorId, setSelectedAuthorId] = useState(null);
+  // 'all' lists every post, 'queue' only posts waiting on the current user
+  const [view, setView] = useState('all');
+  const [queueCount, setQueueCount] = useState(0);
+  const [workflowBlog, setWorkflowBlog] = useState(null);
 
   // Debounce the search to prevent jerky page updates
   /**
@@ -51,13 +62,14 @@ const BlogDashboard = () => {
    * Uses lodash.debounce to limit API calls.
    */
   const debouncedFetchBlogs = useCallback(
-    debounce(async (term, page) => {
+    debounce(async (term, page, currentView) => {
       try {
         setLoading(true);
         const response = await cmsApi.getBlogs({
           page,
           search: term,
-          limit: 10 // Add limit to control items per page
+          limit: 10, // Add limit to control items per page
+          waitingOn: currentView === 'queue' ? 'me' : undefined
         });
         if (response.data) {
           setBlogs(response.data.data || []);
@@ -76,9 +88,23 @@ const BlogDashboard = () => {
   );
 
   useEffect(() => {
-    debouncedFetchBlogs(searchTerm, currentPage);
+    debouncedFetchBlogs(searchTerm, currentPage, view);
     return () => debouncedFetchBlogs.cancel();
-  }, [currentPage, searchTerm, debouncedFetchBlogs]);
+  }, [currentPage, searchTerm, view, debouncedFetchBlogs]);
+
+  /**
+   * Fetches how many posts are waiting on the current user (for the tab badge).
+   */
+  const fetchQueueCount = useCallback(async () => {
+    try {
+      const response = await cmsApi.getBlogs({ waitingOn: 'me', limit: 1 });
+      setQueueCount(response.data.pagination?.total || 0);
+    } catch (error) {
+      setQueueCount(0);
+    }
+  }, []);
+
+  useEffect(() => { fetchQueueCount(); }, [fetchQueueCount]);
 
   /**
    * Fetches blogs for the current page and search term.
@@ -89,7 +115,8 @@ const BlogDashboard = () => {
       const response = await cmsApi.getBlogs({
         page: currentPage,
         search: searchTerm,
-        limit: 10
+        limit: 10,
+        waitingOn: view === 'queue' ? 'me' : undefined
       });
       if (response.data) {
         setBlogs(response.data.data || []);
@@ -134,45 +161,6 @@ const BlogDashboard = () => {
     });
   };
 
-  /**
-   * Shows a confirmation modal before publishing/unpublishing a blog.
-   * @param {object} blog - The blog to publish/unpublish.
-   * @param {string} action - 'publish' or 'unpublish'.
-   */
-  const showPublishConfirm = (blog, action) => {
-    const isPublish = action === 'publish';
-    confirm({
-      title: `Are you sure you want to ${action} this blog?`,
-      icon: <ExclamationCircleOutlined />,
-      content: isPublish 
-        ? 'This will make the blog visible to the public.'
-        : 'This will hide the blog from the public.',
-      okText: `Yes, ${action} it`,
-      okType: isPublish ? 'primary' : 'default',
-      cancelText: 'Cancel',
-      onOk: async () => {
-        try {
-          setActionLoading(true);
-          const response = await (isPublish ? cmsApi.publishBlog(blog._id) : cmsApi.unpublishBlog(blog._id));
-          if (response.data) {
-            toast.success(`Blog ${isPublish ? 'published' : 'unpublished'} successfully`);
-            setBlogs(prevBlogs => 
-              prevBlogs.map(b => 
-                b._id === blog._id ? { ...b, status: isPublish ? 'published' : 'draft' } : b
-              )
-            );
-          }
-        } catch (error) {
-          // eslint-disable-next-line no-console
-          console.error(`${action} error:`, error);
-          toast.error(error.response?.data?.message || `Failed to ${action} blog`);
-        } finally {
-          setActionLoading(false);
-        }
-      }
-    });
-  };
-
   /**
    * Handler for deleting a blog.
    * @param {object} blog
@@ -182,19 +170,22 @@ const BlogDashboard = () => {
   };
 
   /**
-   * Handler for publishing a blog.
-   * @param {object} blog
+   * Replaces a blog in the list after a workflow change and refreshes the queue badge.
+   * @param {object} updatedBlog
    */
-  const handlePublish = (blog) => {
-    showPublishConfirm(blog, 'publish');
+  const handleWorkflowUpdated = (updatedBlog) => {
+    setBlogs(prevBlogs => prevBlogs.map(b => (b._id === updatedBlog._id ? updatedBlog : b)));
+    setWorkflowBlog(updatedBlog);
+    fetchQueueCount();
   };
 
   /**
-   * Handler for unpublishing a blog.
-   * @param {object} blog
+   * Handler for switching between all posts and the review queue.
+   * @param {string} key
    */
-  const handleUnpublish = (blog) => {
-    showPublishConfirm(blog, 'unpublish');
+  const handleViewChange = (key) => {
+    setView(key);
+    setCurrentPage(1);
   };
 
   /**
@@ -322,22 +313,42 @@ const BlogDashboard = () => {
             />
             <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-4 h-4" aria-hidden="true" />
           </div>
-          <button
-            onClick={() => setShowForm(true)}
-            className="inline-flex items-center px-4 py-2.5 text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-all duration-200 gap-2 font-medium shadow-sm hover:shadow-md whitespace-nowrap"
-            aria-label="Create Blog"
-          >
-            <FaPlus className="w-4 h-4" aria-hidden="true" />
-            Create Blog
-          </button>
+          <Can perform={PERMISSIONS.BLOGS_CREATE}>
+            <button
+              onClick={() => setShowForm(true)}
+              className="inline-flex items-center px-4 py-2.5 text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-all duration-200 gap-2 font-medium shadow-sm hover:shadow-md whitespace-nowrap"
+              aria-label="Create Blog"
+            >
+              <FaPlus className="w-4 h-4" aria-hidden="true" />
+              Create Blog
+            </button>
+          </Can>
         </div>
       </div>
 
+      {/* All posts / review queue */}
+      <Tabs
+        activeKey={view}
+        onChange={handleViewChange}
+        items={[
+          { key: 'all', label: 'All Posts' },
+          { key: 'queue', label: `Review Queue${queueCount ? ` (${queueCount})` : ''}` }
+        ]}
+      />
+
       {/* Main content: table or empty state */}
       {loading && blogs.length === 0 ? (
         <div className="flex items-center justify-center h-64">
           <LoadingSpinner />
         </div>
+      ) : blogs.length === 0 && view === 'queue' && !searchTerm ? (
+        <div className="bg-white rounded-2xl shadow-xl border border-gray-100 p-12 text-center max-w-2xl mx-auto" aria-label="Empty Review Queue">
+          <div className="w-16 h-16 mx-auto mb-4 bg-teal-100 rounded-full flex items-center justify-center">
+            <FaTasks className="w-8 h-8 text-teal-600" aria-hidden="true" />
+          </div>
+          <h2 className="text-2xl font-semibold text-gray-800 mb-3">You're all caught up</h2>
+          <p className="text-gray-600">No posts are waiting on you for review, changes or publishing.</p>
+        </div>
       ) : blogs.length === 0 ? (
         <div className="bg-white rounded-2xl shadow-xl border border-gray-100 p-12 text-center max-w-2xl mx-auto" aria-label="No Blogs State">
           <div className="mb-6">
@@ -375,24 +386,28 @@ const BlogDashboard = () => {
                 Clear Search
               </button>
               <span className="text-gray-400">or</span>
+              <Can perform={PERMISSIONS.BLOGS_CREATE}>
+                <button
+                  onClick={() => setShowForm(true)}
+                  className="inline-flex items-center px-6 py-2.5 text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-all duration-200 gap-2 font-medium"
+                  aria-label="Create New Blog"
+                >
+                  <FaPlus className="w-4 h-4" aria-hidden="true" />
+                  Create New Blog
+                </button>
+              </Can>
+            </div>
+          ) : (
+            <Can perform={PERMISSIONS.BLOGS_CREATE}>
               <button
                 onClick={() => setShowForm(true)}
                 className="inline-flex items-center px-6 py-2.5 text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-all duration-200 gap-2 font-medium"
-                aria-label="Create New Blog"
+                aria-label="Create Your First Blog"
               >
                 <FaPlus className="w-4 h-4" aria-hidden="true" />
-                Create New Blog
+                Create Your First Blog
               </button>
-            </div>
-          ) : (
-            <button
-              onClick={() => setShowForm(true)}
-              className="inline-flex items-center px-6 py-2.5 text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-all duration-200 gap-2 font-medium"
-              aria-label="Create Your First Blog"
-            >
-              <FaPlus className="w-4 h-4" aria-hidden="true" />
-              Create Your First Blog
-            </button>
+            </Can>
           )}
         </div>
       ) : (
@@ -480,26 +495,15 @@ const BlogDashboard = () => {
                           </div>
                         </td>
                         <td className="px-4 py-3">
-                          <span
-                            className={`px-2.5 py-1 text-xs font-semibold rounded-full inline-flex items-center gap-1.5 ${
-                              blog.status === 'published'
-                                ? 'bg-green-100 text-green-800 border border-green-200'
-                                : 'bg-yellow-100 text-yellow-800 border border-yellow-200'
-                            }`}
-                            aria-label={blog.status === 'published' ? 'Published' : 'Draft'}
-                          >
-                            {blog.status === 'published' ? (
-                              <>
-                                <span className="w-1.5 h-1.5 rounded-full bg-green-600 animate-pulse"></span>
-                                Published
-                              </>
-                            ) : (
-                              <>
-                                <span className="w-1.5 h-1.5 rounded-full bg-yellow-600"></span>
-                                Draft
-                              </>
-                            )}
-                          </span>
+                          <BlogStatusBadge status={getEffectiveStatus(blog)} />
+                          {getEffectiveStatus(blog) === BLOG_STATUS.SCHEDULED && (
+                            <div className="text-xs text-purple-700 mt-1">
+                              Live {formatScheduleTime(blog.publishAt, blog.publishTimezone)}
+                            </div>
+                          )}
+                          {blog.reviewer && (
+                            <div className="text-xs text-gray-500 mt-1">Reviewer: {blog.reviewer.name}</div>
+                          )}
                         </td>
                         <td className="px-4 py-3">
                           <div className="flex flex-col">
@@ -528,14 +532,16 @@ const BlogDashboard = () => {
                         <td className="px-4 py-3">
                           <div className="flex items-center gap-">
                             <div className="flex gap-1">
-                              <button
-                                onClick={() => handleEdit(blog)}
-                                className="relative z-10 w-8 h-8 flex items-center justify-center text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-md"
-                                title="Edit"
-                                aria-label={`Edit blog ${blog.title}`}
-                              >
-                                <FaEdit className="w-3.5 h-3.5" aria-hidden="true" />
-                              </button>
+                              <Can perform={PERMISSIONS.BLOGS_EDIT}>
+                                <button
+                                  onClick={() => handleEdit(blog)}
+                                  className="relative z-10 w-8 h-8 flex items-center justify-center text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-md"
+                                  title="Edit"
+                                  aria-label={`Edit blog ${blog.title}`}
+                                >
+                                  <FaEdit className="w-3.5 h-3.5" aria-hidden="true" />
+                                </button>
+                              </Can>
                               <button
                                 onClick={() => handlePreview(blog)}
                                 className="relative z-20 w-8 h-8 flex items-center justify-center text-purple-600 bg-purple-50 hover:bg-purple-100 rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-md"
@@ -545,32 +551,25 @@ const BlogDashboard = () => {
                                 <FaEye className="w-3.5 h-3.5" aria-hidden="true" />
                               </button>
                               <button
-                                onClick={() => blog.status === 'published' ? handleUnpublish(blog) : handlePublish(blog)}
-                                className={`relative z-30 w-8 h-8 flex items-center justify-center rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-md ${
-                                  blog.status === 'published'
-                                    ? 'text-yellow-600 bg-yellow-50 hover:bg-yellow-100'
-                                    : 'text-green-600 bg-green-50 hover:bg-green-100'
-                                }`}
-                                title={blog.status === 'published' ? 'Unpublish' : 'Publish'}
-                                aria-label={blog.status === 'published' ? `Unpublish blog ${blog.title}` : `Publish blog ${blog.title}`}
-                                disabled={actionLoading}
+                                onClick={() => setWorkflowBlog(blog)}
+                                className="relative z-30 w-8 h-8 flex items-center justify-center text-teal-600 bg-teal-50 hover:bg-teal-100 rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-md"
+                                title="Workflow"
+                                aria-label={`Open workflow for blog ${blog.title}`}
                               >
-                                {blog.status === 'published' ? (
-                                  <FaTimes className="w-3.5 h-3.5" aria-hidden="true" />
-                                ) : (
-                                  <FaCheck className="w-3.5 h-3.5" aria-hidden="true" />
-                                )}
+                                <FaTasks className="w-3.5 h-3.5" aria-hidden="true" />
                               </button>
                             </div>
-                            <button
-                              onClick={() => handleDelete(blog)}
-                              className="w-8 h-8 flex items-center justify-center text-red-600 bg-red-50 hover:bg-red-100 rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-md ml-1"
-                              title="Delete"
-                              aria-label={`Delete blog ${blog.title}`}
-                              disabled={actionLoading}
-                            >
-                              <FaTrash className="w-3.5 h-3.5" aria-hidden="true" />
-                            </button>
+                            <Can perform={PERMISSIONS.BLOGS_DELETE}>
+                              <button
+                                onClick={() => handleDelete(blog)}
+                                className="w-8 h-8 flex items-center justify-center text-red-600 bg-red-50 hover:bg-red-100 rounded-lg transition-all duration-200 hover:scale-105 hover:shadow-md ml-1"
+                                title="Delete"
+                                aria-label={`Delete blog ${blog.title}`}
+                                disabled={actionLoading}
+                              >
+                                <FaTrash className="w-3.5 h-3.5" aria-hidden="true" />
+                              </button>
+                            </Can>
                           </div>
                         </td>
                       </tr>
@@ -622,10 +621,21 @@ const BlogDashboard = () => {
             onSubmit={handleFormSubmit}
             authors={authors}
             onAuthorAdded={handleAuthorAdded}
+            onRestored={fetchBlogs}
           />
         </Modal>
       )}
 
+      {/* Editorial workflow modal */}
+      {workflowBlog && (
+        <BlogWorkflowModal
+          blog={workflowBlog}
+          open={Boolean(workflowBlog)}
+          onClose={() => setWorkflowBlog(null)}
+          onUpdated={handleWorkflowUpdated}
+        />
+      )}
+
       {/* Blog preview modal */}
       {showPreviewModal && previewBlog && (
         <Modal
@@ -6,18 +6,46 @@
  * ======================================================================== */
 
 import React, { useState, useEffect } from 'react';
-import { FaTimes, FaSave, FaImage, FaTrash, FaEye, FaPlus } from 'react-icons/fa';
+import { FaTimes, FaSave, FaImage, FaTrash, FaEye, FaPlus, FaHistory } from 'react-icons/fa';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import { toast } from 'react-toastify';
 import Card from '../../components/elements/Card';
 import Button from '../../components/elements/Button';
 import Input from '../../components/elements/Input';
-import Select from '../../components/elements/Select';
 import MediaSelector from '../../components/MediaSelector';
 import { Link } from 'react-router-dom';
 import BlogPreview from '../../components/BlogPreview';
 import PropTypes from 'prop-types';
+import { resolveAssetUrl } from '../../config';
+import BlogStatusBadge from '../../components/blogs/BlogStatusBadge';
+import { BLOG_STATUS } from '../../constants/blogWorkflow';
+import BlogRevisionsPanel from '../../components/blogs/BlogRevisionsPanel';
+import useAutoSave from '../../hooks/useAutoSave';
+import SaveStatusIndicator, { DraftRecoveryBanner } from '../../components/common/SaveStatusIndicator';
+
+/**
+ * Maps a blog from the API onto the form's field shape.
+ * @param {object} blog
+ * @returns {object}
+ */
+const toFormData = (blog) => ({
+  title: blog.title || '',
+  content: blog.content || '',
+  slug: blog.slug || '',
+  status: blog.status || 'draft',
+  pageName: blog.pageName || '',
+  authorName: blog.author?.name || '',
+  authorRole: blog.author?.role || '',
+  excerpt: blog.excerpt || '',
+  featuredImage: blog.featuredImage || null,
+  seo: {
+    metaTitle: blog.seo?.metaTitle || '',
+    metaDescription: blog.seo?.metaDescription || '',
+    keywords: blog.seo?.keywords || [],
+    ogImage: blog.seo?.ogImage || ''
+  }
+});
 
 /**
  * BlogForm
@@ -27,26 +55,11 @@ import PropTypes from 'prop-types';
  * @param {object} [props.blog] - The blog to edit (if any).
  * @param {function} props.onClose - Callback to close the form.
  * @param {function} props.onSubmit - Callback to submit the form data.
+ * @param {function} [props.onRestored] - Called with the blog after a revision is restored.
  * @returns {JSX.Element}
  */
-const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
-  const [formData, setFormData] = useState({
-    title: '',
-    content: '',
-    slug: '',
-    status: 'draft',
-    pageName: '',
-    authorName: '',
-    authorRole: '',
-    excerpt: '',
-    featuredImage: null,
-    seo: {
-      metaTitle: '',
-      metaDescription: '',
-      keywords: [],
-      ogImage: ''
-    }
-  });
+const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded, onRestored }) => {
+  const [formData, setFormData] = useState(() => toFormData(blog || {}));
 
   const [errors, setErrors] = useState({});
   const [showMediaSelector, setShowMediaSelector] = useState(false);
@@ -56,26 +69,18 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
   const [showAuthorModal, setShowAuthorModal] = useState(false);
   const [newAuthorName, setNewAuthorName] = useState('');
   const [authorLoading, setAuthorLoading] = useState(false);
+  const [showRevisions, setShowRevisions] = useState(false);
+
+  // Unsaved edits are kept on this device until the post is saved
+  const autoSave = useAutoSave({
+    data: formData,
+    draftKey: `blog:${blog?._id || 'new'}`,
+    serverUpdatedAt: blog?.updatedAt,
+  });
 
   useEffect(() => {
     if (blog) {
-      setFormData({
-        title: blog.title || '',
-        content: blog.content || '',
-        slug: blog.slug || '',
-        status: blog.status || 'draft',
-        pageName: blog.pageName || '',
-        authorName: blog.author?.name || '',
-        authorRole: blog.author?.role || '',
-        excerpt: blog.excerpt || '',
-        featuredImage: blog.featuredImage || null,
-        seo: {
-          metaTitle: blog.seo?.metaTitle || '',
-          metaDescription: blog.seo?.metaDescription || '',
-          keywords: blog.seo?.keywords || [],
-          ogImage: blog.seo?.ogImage || ''
-        }
-      });
+      setFormData(toFormData(blog));
       // Set preview URL for existing blog
       if (blog.slug) {
         setPreviewUrl(`/preview/blog/${blog.slug}`);
@@ -167,9 +172,7 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
    */
   const handleMediaSelect = (file) => {
     // Ensure we have the full URL for the image
-    const imageUrl = file.url.startsWith('http') 
-      ? file.url 
-      : `http://localhost:5000${file.url}`;
+    const imageUrl = resolveAssetUrl(file.url);
     setFormData(prev => ({
       ...prev,
       featuredImage: {
@@ -214,12 +217,13 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
         title: formData.title,
         content: formData.content,
         slug: formData.slug,
-        status: formData.status,
         author: {
           name: formData.authorName || undefined,
           role: formData.authorRole || undefined
         }
       };
+      // New posts always start as drafts; existing posts move through the workflow
+      if (!blog) submitData.status = BLOG_STATUS.DRAFT;
       // Only add optional fields if they have values
       if (formData.excerpt) submitData.excerpt = formData.excerpt;
       if (formData.pageName) submitData.pageName = formData.pageName;
@@ -235,6 +239,7 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
         submitData.seo = seoData;
       }
       await onSubmit(submitData);
+      autoSave.markSaved();
       onClose();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to save blog');
@@ -243,6 +248,28 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
     }
   };
 
+  /**
+   * Loads a restored revision into the form and lets the parent refresh its list.
+   * @param {object} restored - Blog returned by the restore endpoint
+   */
+  const handleRevisionRestored = (restored) => {
+    const restoredData = toFormData(restored);
+    setFormData(restoredData);
+    autoSave.markSaved(restoredData);
+    onRestored?.(restored);
+  };
+
+  /**
+   * Loads the unsaved draft found on this device into the form.
+   */
+  const handleRestoreDraft = () => {
+    const draftData = autoSave.restoreDraft();
+    if (draftData) {
+      setFormData(draftData);
+      toast.success('Unsaved changes restored');
+    }
+  };
+
   if (showPreview) {
     // Show blog preview mode
     return (
@@ -271,10 +298,23 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50" aria-label="Blog Form Modal Overlay">
       <Card className="w-full max-w-4xl max-h-[90vh] overflow-y-auto">
         <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-bold text-gray-800">
-            {blog ? 'Edit Blog' : 'Create New Blog'}
-          </h2>
+          <div className="flex items-center gap-3">
+            <h2 className="text-2xl font-bold text-gray-800">
+              {blog ? 'Edit Blog' : 'Create New Blog'}
+            </h2>
+            <SaveStatusIndicator status={autoSave.status} lastSaved={autoSave.lastSaved} error={autoSave.error} localOnly />
+          </div>
           <div className="space-x-4">
+            {blog?._id && (
+              <Button
+                onClick={() => setShowRevisions(true)}
+                className="bg-gray-100 text-gray-700 px-4 py-2 rounded hover:bg-gray-200"
+                aria-label="Revision History"
+              >
+                <FaHistory className="inline mr-2" />
+                History
+              </Button>
+            )}
             <Button
               onClick={() => setShowPreview(true)}
               className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600"
@@ -292,6 +332,13 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
           </div>
         </div>
 
+        <DraftRecoveryBanner
+          draft={autoSave.draft}
+          onRestore={handleRestoreDraft}
+          onDiscard={autoSave.discardDraft}
+          className="mb-6"
+        />
+
         <form onSubmit={handleSubmit} className="space-y-6" aria-label="Blog Form">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <Input
@@ -358,18 +405,13 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
               className="w-full"
               aria-label="Author Role"
             />
-            <Select
-              label="Status"
-              name="status"
-              value={formData.status}
-              onChange={handleChange}
-              options={[
-                { value: 'draft', label: 'Draft' },
-                { value: 'published', label: 'Published' }
-              ]}
-              className="w-full"
-              aria-label="Blog Status"
-            />
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Status</span>
+              <BlogStatusBadge status={formData.status} />
+              <p className="mt-1 text-xs text-gray-500">
+                Status changes go through the review workflow on the blog list.
+              </p>
+            </div>
           </div>
 
           <div className="space-y-4">
@@ -503,7 +545,7 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
                   <span className="text-sm text-gray-500">
                     {previewUrl}
                   </span>
-                  {formData.status === 'draft' && (
+                  {formData.status !== BLOG_STATUS.PUBLISHED && (
                     <span className="ml-2 text-xs text-yellow-600 bg-yellow-50 px-2 py-1 rounded">
                       Draft Preview
                     </span>
@@ -533,6 +575,15 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
           onSelect={handleMediaSelect}
         />
       )}
+      {blog?._id && (
+        <BlogRevisionsPanel
+          blogId={blog._id}
+          open={showRevisions}
+          onClose={() => setShowRevisions(false)}
+          onRestored={handleRevisionRestored}
+        />
+      )}
+
       {showAuthorModal && (
         <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 w-full max-w-sm shadow-lg">
@@ -565,6 +616,8 @@ const BlogForm = ({ blog, onClose, onSubmit, authors = [], onAuthorAdded }) => {
 
 BlogForm.propTypes = {
   blog: PropTypes.shape({
+    _id: PropTypes.string,
+    updatedAt: PropTypes.string,
     title: PropTypes.string,
     slug: PropTypes.string,
     content: PropTypes.string,
@@ -593,7 +646,8 @@ BlogForm.propTypes = {
     name: PropTypes.string,
     role: PropTypes.string
   })),
-  onAuthorAdded: PropTypes.func
+  onAuthorAdded: PropTypes.func,
+  onRestored: PropTypes.func
 };
 
 export default BlogForm;
@@ -0,0 +1,181 @@
+// ===============================
+// File: ContentCalendar.jsx
+// Description: Calendar of scheduled blog and page publishes/unpublishes, with an upcoming list.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Calendar, Select, Empty, Tooltip } from 'antd';
+import { FaBlog, FaFileAlt, FaArrowUp, FaArrowDown } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import dayjs from 'dayjs';
+import Card from '../../components/elements/Card';
+import { cmsApi } from '../../services/api';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../constants/permissions';
+import { DEFAULT_TIMEZONE, getTimezoneOptions, formatScheduleTime } from '../../utils/publishSchedule';
+
+// How many upcoming entries the side list shows
+const UPCOMING_LIMIT = 8;
+
+/**
+ * Link to the editor for a calendar entry
+ * @param {Object} entry
+ * @returns {string}
+ */
+const entryLink = (entry) => (
+  entry.type === 'blog' ? `/dashboard/blogs/edit/${entry.itemId}` : `/dashboard/pages/edit/${entry.itemId}`
+);
+
+/**
+ * Small pill for one scheduled publish or unpublish
+ * @param {Object} props
+ * @param {Object} props.entry - Schedule entry from the API
+ * @param {string} props.timezone - Zone to show the time in
+ * @returns {JSX.Element}
+ */
+const ScheduleChip = ({ entry, timezone }) => {
+  const isPublish = entry.action === 'publish';
+  return (
+    <Tooltip title={`${isPublish ? 'Publishes' : 'Unpublishes'} ${formatScheduleTime(entry.at, timezone)}`}>
+      <Link
+        to={entryLink(entry)}
+        className={`flex items-center gap-1 px-1.5 py-0.5 mb-1 rounded text-xs truncate ${
+          isPublish ? 'bg-purple-100 text-purple-800' : 'bg-gray-100 text-gray-700'
+        }`}
+      >
+        {entry.type === 'blog' ? <FaBlog className="shrink-0" /> : <FaFileAlt className="shrink-0" />}
+        <span className="truncate">{dayjs(entry.at).tz(timezone).format('HH:mm')} {entry.title}</span>
+      </Link>
+    </Tooltip>
+  );
+};
+
+/**
+ * Content calendar page
+ * @returns {JSX.Element}
+ */
+const ContentCalendar = () => {
+  const canViewBlogs = usePermission(PERMISSIONS.BLOGS_VIEW);
+  const canViewPages = usePermission(PERMISSIONS.PAGES_VIEW);
+  const [month, setMonth] = useState(() => dayjs());
+  const [timezone, setTimezone] = useState(DEFAULT_TIMEZONE);
+  const [entries, setEntries] = useState([]);
+  const [upcoming, setUpcoming] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const timezoneOptions = useMemo(() => getTimezoneOptions(), []);
+
+  // Only show entry types the user can open
+  const visible = useCallback((list) => list.filter((entry) => (
+    entry.type === 'blog' ? canViewBlogs : canViewPages
+  )), [canViewBlogs, canViewPages]);
+
+  /**
+   * Loads the entries for the visible month (with a week of padding for the calendar grid).
+   */
+  const fetchMonth = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await cmsApi.getScheduledContent(
+        month.startOf('month').subtract(7, 'day').toISOString(),
+        month.endOf('month').add(7, 'day').toISOString()
+      );
+      setEntries(visible(response.data.data || []));
+    } catch (error) {
+      console.error('Error fetching schedule:', error);
+      toast.error('Failed to load the content calendar');
+    } finally {
+      setLoading(false);
+    }
+  }, [month, visible]);
+
+  useEffect(() => { fetchMonth(); }, [fetchMonth]);
+
+  useEffect(() => {
+    cmsApi.getScheduledContent(new Date().toISOString())
+      .then((response) => setUpcoming(visible(response.data.data || []).slice(0, UPCOMING_LIMIT)))
+      .catch(() => setUpcoming([]));
+  }, [visible]);
+
+  // Group entries by calendar day in the chosen zone
+  const entriesByDay = useMemo(() => entries.reduce((acc, entry) => {
+    const key = dayjs(entry.at).tz(timezone).format('YYYY-MM-DD');
+    (acc[key] = acc[key] || []).push(entry);
+    return acc;
+  }, {}), [entries, timezone]);
+
+  const cellRender = (date, info) => {
+    if (info.type !== 'date') return info.originNode;
+    const dayEntries = entriesByDay[date.format('YYYY-MM-DD')] || [];
+    return (
+      <div>
+        {dayEntries.map((entry) => <ScheduleChip key={entry._id} entry={entry} timezone={timezone} />)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="container max-w-full mx-auto px-4 py-8" aria-label="Content Calendar">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 tracking-tight">Content Calendar</h1>
+          <p className="text-sm text-gray-500 mt-1">Scheduled publishes and unpublishes for blog posts and pages</p>
+        </div>
+        <div className="w-full md:w-72">
+          <Select
+            showSearch
+            className="w-full"
+            value={timezone}
+            onChange={setTimezone}
+            options={timezoneOptions}
+            optionFilterProp="label"
+            aria-label="Show times in timezone"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-4 gap-6">
+        <Card className={`xl:col-span-3 ${loading ? 'opacity-60' : ''}`}>
+          <Calendar value={month} onPanelChange={setMonth} onSelect={setMonth} cellRender={cellRender} />
+        </Card>
+
+        <Card>
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">Upcoming</h2>
+          {upcoming.length === 0 ? (
+            <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="Nothing scheduled" />
+          ) : (
+            <ul className="space-y-3">
+              {upcoming.map((entry) => (
+                <li key={entry._id} className="flex items-start gap-3">
+                  <span className={`mt-1 p-1.5 rounded-full ${
+                    entry.action === 'publish' ? 'bg-purple-100 text-purple-700' : 'bg-gray-100 text-gray-600'
+                  }`}>
+                    {entry.action === 'publish' ? <FaArrowUp className="w-3 h-3" /> : <FaArrowDown className="w-3 h-3" />}
+                  </span>
+                  <div className="min-w-0">
+                    <Link to={entryLink(entry)} className="block text-sm font-medium text-gray-900 hover:text-blue-600 truncate">
+                      {entry.title}
+                    </Link>
+                    <div className="text-xs text-gray-500">
+                      {entry.type === 'blog' ? 'Blog post' : 'Page'} · {entry.action === 'publish' ? 'publishes' : 'unpublishes'}{' '}
+                      {formatScheduleTime(entry.at, timezone)}
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ContentCalendar;
+// ===============================
+// End of File: ContentCalendar.jsx
+// Description: Content calendar page
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
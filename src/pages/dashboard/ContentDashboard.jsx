@@ -13,6 +13,8 @@ import { toast } from 'react-toastify';
 import DeleteConfirmModal from '../../components/global/DeleteConfirmModal';
 import { ContentDashboardSkeleton } from '../../components/skeletons/DashboardSkeletons';
 import { Trash2 } from 'lucide-react';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../constants/permissions';
 
 /**
  * InstancesTable
@@ -130,6 +132,7 @@ const ContentDashboard = () => {
   const [statusFilter, setStatusFilter] = useState('all');
   const [pages, setPages] = useState([]);
   const navigate = useNavigate();
+  const canEditContent = usePermission(PERMISSIONS.CONTENT_EDIT);
 
   useEffect(() => {
     fetchLayouts();
@@ -322,6 +325,8 @@ const ContentDashboard = () => {
   };
 
   const handleRowClick = (layout) => {
+    // The layout view edits content, so viewers stay on the list
+    if (!canEditContent) return;
     // Navigate to view for all layout types
     navigate(`/dashboard/content/view/${layout._id}`, { state: { layout } });
   };
@@ -510,7 +515,7 @@ const ContentDashboard = () => {
                 <tr 
                   key={layout._id}
                   onClick={() => handleRowClick(layout)}
-                  className="cursor-pointer hover:bg-gray-50"
+                  className={canEditContent ? 'cursor-pointer hover:bg-gray-50' : ''}
                 >
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm font-medium text-gray-900">{layout.name}</div>
@@ -14,6 +14,8 @@ import { toast } from 'react-toastify';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import DynamicField from './components/DynamicField';
+import useAutoSave from '../../hooks/useAutoSave';
+import SaveStatusIndicator, { DraftRecoveryBanner } from '../../components/common/SaveStatusIndicator';
 
 const { TextArea } = Input;
 const { Option } = Select;
@@ -21,11 +23,12 @@ const { Option } = Select;
 /**
  * useContentManager
  * Custom hook for managing content form state, auto-save, and server sync.
- * @param {string} layoutId
+ * @param {string} [layoutIdProp] - Layout to edit; defaults to the `:id` route param
  * @returns {object}
  */
-const useContentManager = (layoutId) => {
+const useContentManager = (layoutIdProp) => {
   const { id } = useParams();
+  const layoutId = layoutIdProp || id;
   const navigate = useNavigate();
   const [form] = Form.useForm();
   const [loading, setLoading] = useState(false);
@@ -35,9 +38,17 @@ const useContentManager = (layoutId) => {
   const [componentTypes, setComponentTypes] = useState({});
   const [isSaving, setIsSaving] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
-  const [autoSaveInterval, setAutoSaveInterval] = useState(null);
-  const [draftData, setDraftData] = useState(null);
   const [versionHistory, setVersionHistory] = useState([]);
+  const [loaded, setLoaded] = useState(!layoutId);
+
+  // Unsaved edits are kept on this device (IndexedDB) until the layout is saved
+  const formValues = Form.useWatch((values) => values, form);
+  const autoSave = useAutoSave({
+    data: formValues,
+    draftKey: `content:${layoutId || 'new'}`,
+    enabled: loaded,
+    serverUpdatedAt: layout?.updatedAt,
+  });
 
   // Helper function to transform layout data
   const transformLayoutData = (layout) => {
@@ -94,9 +105,9 @@ const useContentManager = (layoutId) => {
           getComponents()
         ]);
 
-        if (layoutRes.success && componentsRes.success) {
-          setComponentTypes(componentsRes.data);
-          const transformedLayout = transformLayoutData(layoutRes.data);
+        if (layoutRes.data?.success && componentsRes.data?.success) {
+          setComponentTypes(componentsRes.data.data);
+          const transformedLayout = transformLayoutData(layoutRes.data.data);
           setLayout(transformedLayout);
           
           // Initialize form with transformed data
@@ -111,20 +122,12 @@ const useContentManager = (layoutId) => {
           });
           
           setSelectedComponents(transformedLayout.components);
-          
-          // Load draft if exists
-          const savedDraft = localStorage.getItem(`draft_${layoutId}`);
-          if (savedDraft) {
-            const draft = JSON.parse(savedDraft);
-            if (draft.timestamp > transformedLayout.updatedAt) {
-              form.setFieldsValue(draft.data);
-              setDraftData(draft);
-            }
-          }
         }
       } catch (error) {
         console.error('Error loading data:', error);
         toast.error('Failed to load layout data');
+      } finally {
+        setLoaded(true);
       }
     };
 
@@ -133,43 +136,6 @@ const useContentManager = (layoutId) => {
     }
   }, [layoutId, form]);
 
-  // Auto-save setup
-  useEffect(() => {
-    if (autoSaveInterval) clearInterval(autoSaveInterval);
-    
-    const interval = setInterval(() => {
-      if (form.isFieldsTouched()) {
-        handleAutoSave();
-      }
-    }, 30000); // Auto-save every 30 seconds
-
-    setAutoSaveInterval(interval);
-    return () => clearInterval(interval);
-  }, [form]);
-
-  // Auto-save handler
-  const handleAutoSave = async () => {
-    try {
-      const values = form.getFieldsValue();
-      const draft = {
-        data: values,
-        timestamp: new Date().toISOString(),
-        version: versionHistory.length + 1
-      };
-      
-      // Save to localStorage
-      localStorage.setItem(`draft_${layoutId}`, JSON.stringify(draft));
-      setDraftData(draft);
-      
-      // Add to version history
-      setVersionHistory(prev => [...prev, draft]);
-      
-      toast.info('Draft saved automatically');
-    } catch (error) {
-      console.error('Auto-save failed:', error);
-    }
-  };
-
   // Save handler with validation and error recovery
   const handleSave = async (values, isPublish = false) => {
     try {
@@ -196,10 +162,9 @@ const useContentManager = (layoutId) => {
         ? await updateLayout(layoutId, transformedData)
         : await createLayout(transformedData);
       
-      if (response.success) {
+      if (response.data?.success) {
         // Clear draft
-        localStorage.removeItem(`draft_${layoutId}`);
-        setDraftData(null);
+        autoSave.markSaved();
         
         // Add to version history
         setVersionHistory(prev => [...prev, savePoint]);
@@ -239,13 +204,16 @@ const useContentManager = (layoutId) => {
   };
 
   return {
+    layoutId,
     form,
     isSaving,
     lastSaved,
-    draftData,
+    autoSave,
     versionHistory,
-    handleSave,
-    handleAutoSave
+    componentTypes,
+    selectedComponents,
+    setSelectedComponents,
+    handleSave
   };
 };
 
@@ -260,13 +228,15 @@ const useContentManager = (layoutId) => {
 const ContentForm = ({ layoutId }) => {
   const navigate = useNavigate();
   const {
+    layoutId: editingLayoutId,
     form,
     isSaving,
     lastSaved,
-    draftData,
-    versionHistory,
-    handleSave,
-    handleAutoSave
+    autoSave,
+    componentTypes,
+    selectedComponents,
+    setSelectedComponents,
+    handleSave
   } = useContentManager(layoutId);
 
   // Handle form submission
@@ -280,10 +250,11 @@ const ContentForm = ({ layoutId }) => {
     await handleSave(values, true);
   };
 
-  // Restore draft
+  // Restore the unsaved draft found on this device
   const restoreDraft = () => {
-    if (draftData) {
-      form.setFieldsValue(draftData.data);
+    const draftValues = autoSave.restoreDraft();
+    if (draftValues) {
+      form.setFieldsValue(draftValues);
       toast.success('Draft restored');
     }
   };
@@ -295,20 +266,23 @@ const ContentForm = ({ layoutId }) => {
           {/* Header with save status */}
           <div className="flex justify-between items-center mb-6">
             <h1 className="text-2xl font-bold">
-              {layoutId ? 'Edit Layout' : 'Create New Layout'}
+              {editingLayoutId ? 'Edit Layout' : 'Create New Layout'}
             </h1>
             <div className="flex items-center space-x-4">
-              {draftData && (
-                <Button onClick={restoreDraft}>
-                  Restore Draft
-                </Button>
-              )}
+              <SaveStatusIndicator status={autoSave.status} lastSaved={autoSave.lastSaved} error={autoSave.error} localOnly />
               <Button onClick={handlePublish} type="primary">
                 Publish
               </Button>
             </div>
           </div>
 
+          <DraftRecoveryBanner
+            draft={autoSave.draft}
+            onRestore={restoreDraft}
+            onDiscard={autoSave.discardDraft}
+            className="mb-4"
+          />
+
           {/* Last saved indicator */}
           {lastSaved && (
             <div className="mb-4 text-sm text-gray-500">
@@ -9,6 +9,7 @@ import React, { useState } from 'react';
 import { FaPlus, FaList, FaImage, FaTimes } from 'react-icons/fa';
 import MediaSelector from '../../components/MediaSelector';
 import { toast } from 'react-toastify';
+import { cmsApi } from '../../services/api';
 
 /**
  * CreateSection Component
@@ -109,16 +110,9 @@ const CreateSection = () => {
       return;
     }
     try {
-      const response = await fetch('/api/cms/sections', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(sectionData)
-      });
-      if (!response.ok) {
+      await cmsApi.createSection(sectionData).catch(() => {
         throw new Error('Failed to create section');
-      }
+      });
       // Reset form on success
       setSectionData({
         title: '',
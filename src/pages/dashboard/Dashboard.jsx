@@ -9,7 +9,7 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { FaPlus, FaSpinner } from 'react-icons/fa';
 import Card from '../../components/elements/Card';
-import api from '../../services/api';
+import { cmsApi } from '../../services/api';
 import { formatDistanceToNow } from 'date-fns';
 
 /**
@@ -53,7 +53,7 @@ const Dashboard = () => {
       setLoading(true);
       setError(null);
       // Fetch sections stats
-      const statsResponse = await api.get(`http://localhost:5000/cms/sections/stats`);
+      const statsResponse = await cmsApi.getSectionStats();
       if (statsResponse.data && statsResponse.data.success) {
         setStats({
           total: statsResponse.data.stats.total || 0,
@@ -62,7 +62,7 @@ const Dashboard = () => {
         });
       }
       // Fetch recent sections
-      const recentResponse = await api.get(`http://localhost:5000/cms/sections/recent`);
+      const recentResponse = await cmsApi.getRecentSections();
       if (recentResponse.data && recentResponse.data.success) {
         setRecentSections(recentResponse.data.sections || []);
       }
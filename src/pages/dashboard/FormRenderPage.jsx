@@ -18,8 +18,9 @@ const FormRenderPage = () => {
   const { formId } = useParams();
   return (
     <div className="min-h-screen bg-gray-50 p-4" aria-label="Form Render Page">
-      <div className="mb-4">
+      <div className="mb-4 flex justify-between">
         <Link to="/dashboard/forms" className="text-blue-600 hover:underline" aria-label="Back to Forms">&larr; Back to Forms</Link>
+        <Link to={`/dashboard/forms/${formId}/submissions`} className="text-blue-600 hover:underline" aria-label="View Submissions">Submissions &amp; analytics</Link>
       </div>
       <FormRenderer formId={formId} />
     </div>
@@ -0,0 +1,180 @@
+/* ========================================================================
+ * File: FormSubmissionsPage.jsx
+ * Description: Submissions inbox of one form with search, date filters, CSV/JSON export and analytics.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Button, DatePicker, Input, Space, Spin, Tabs, message } from 'antd';
+import { DownloadOutlined } from '@ant-design/icons';
+import { formApi } from '../../services/api';
+import SubmissionsTable from '../../components/forms/SubmissionsTable';
+import FormAnalytics from '../../components/forms/FormAnalytics';
+import { getAnswerFields, getSubmissionColumns, toSubmissionRecords } from '../../utils/formAnalytics';
+import { toCsv } from '../../utils/csv';
+import { downloadFile, downloadUrl, toFileName } from '../../utils/fileDownload';
+
+const { RangePicker } = DatePicker;
+
+/**
+ * FormSubmissionsPage Component
+ * Lists the submissions of the form in the URL and summarizes its views, drop-off and answers.
+ * The date range applies to both tabs; search narrows the submissions list and its exports.
+ * @component
+ */
+const FormSubmissionsPage = () => {
+  const { formId } = useParams();
+  const [form, setForm] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [submissions, setSubmissions] = useState([]);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(null);
+  const [search, setSearch] = useState('');
+  const [range, setRange] = useState(null);
+
+  const fields = useMemo(() => getAnswerFields(form), [form]);
+
+  // Whole days in the viewer's timezone
+  const params = useMemo(() => ({
+    search: search || undefined,
+    from: range?.[0] ? range[0].startOf('day').toISOString() : undefined,
+    to: range?.[1] ? range[1].endOf('day').toISOString() : undefined
+  }), [search, range]);
+
+  useEffect(() => {
+    formApi.getFormById(formId)
+      .then((response) => setForm(response.data.data))
+      .catch((error) => setLoadError(error.response?.data?.message || 'Failed to load the form'));
+  }, [formId]);
+
+  const fetchSubmissions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await formApi.getSubmissions(formId, params);
+      setSubmissions(response.data.data);
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to load submissions');
+    } finally {
+      setLoading(false);
+    }
+  }, [formId, params]);
+
+  const fetchAnalytics = useCallback(async () => {
+    try {
+      setAnalytics(null);
+      const response = await formApi.getAnalytics(formId, { from: params.from, to: params.to });
+      setAnalytics(response.data.data);
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to load form analytics');
+    }
+  }, [formId, params.from, params.to]);
+
+  useEffect(() => {
+    if (form) fetchSubmissions();
+  }, [form, fetchSubmissions]);
+
+  useEffect(() => {
+    if (form) fetchAnalytics();
+  }, [form, fetchAnalytics]);
+
+  const handleDownload = async (submission, field) => {
+    const key = `${submission._id}:${field.name}`;
+    try {
+      setDownloading(key);
+      const response = await formApi.getSubmissionFile(formId, submission._id, field.name);
+      const file = response.data.data;
+      downloadUrl(file.url, file.name);
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to download the file');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const exportName = `${toFileName(form?.title, 'form')}-submissions`;
+
+  const handleExportCsv = () => {
+    downloadFile(toCsv(submissions, getSubmissionColumns(fields)), `${exportName}.csv`, 'text/csv');
+  };
+
+  const handleExportJson = () => {
+    downloadFile(
+      JSON.stringify(toSubmissionRecords(submissions, fields), null, 2),
+      `${exportName}.json`,
+      'application/json'
+    );
+  };
+
+  if (loadError) return <div className="p-4 text-red-500" role="alert">{loadError}</div>;
+  if (!form) return <div className="p-10 text-center" aria-busy="true"><Spin /></div>;
+
+  return (
+    <div className="p-4" aria-label="Form Submissions Page">
+      <div className="mb-4 flex flex-wrap justify-between items-center gap-2">
+        <Link to="/dashboard/forms" className="text-blue-600 hover:underline" aria-label="Back to Forms">&larr; Back to Forms</Link>
+        <Link to={`/dashboard/forms/${formId}`} className="text-blue-600 hover:underline" aria-label={`Open form ${form.title}`}>Open form</Link>
+      </div>
+      <h2 className="text-2xl font-bold mb-1">{form.title}</h2>
+      <p className="text-gray-500 mb-4">Submissions and analytics</p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <Input.Search
+          allowClear
+          placeholder="Search answers"
+          onSearch={(value) => setSearch(value.trim())}
+          style={{ width: 260 }}
+          aria-label="Search submissions"
+        />
+        <RangePicker
+          value={range}
+          onChange={setRange}
+          allowClear
+          aria-label="Filter by Date Range"
+        />
+      </div>
+
+      <Tabs
+        defaultActiveKey="submissions"
+        items={[
+          {
+            key: 'submissions',
+            label: `Submissions (${submissions.length})`,
+            children: (
+              <>
+                <Space className="mb-3">
+                  <Button icon={<DownloadOutlined />} onClick={handleExportCsv} disabled={!submissions.length}>
+                    Export CSV
+                  </Button>
+                  <Button icon={<DownloadOutlined />} onClick={handleExportJson} disabled={!submissions.length}>
+                    Export JSON
+                  </Button>
+                </Space>
+                <SubmissionsTable
+                  fields={fields}
+                  submissions={submissions}
+                  loading={loading}
+                  downloading={downloading}
+                  onDownload={handleDownload}
+                />
+              </>
+            )
+          },
+          {
+            key: 'analytics',
+            label: 'Analytics',
+            children: <FormAnalytics analytics={analytics} />
+          }
+        ]}
+      />
+    </div>
+  );
+};
+
+export default FormSubmissionsPage;
+
+/* ========================================================================
+ * End of File: FormSubmissionsPage.jsx
+ * ======================================================================== */
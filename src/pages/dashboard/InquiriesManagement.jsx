@@ -1,6 +1,6 @@
 /* ========================================================================
  * File: InquiriesManagement.jsx
- * Description: Dashboard page for managing customer inquiries, including status, meetings, and history.
+ * Description: Dashboard page for managing customer inquiries, including status, meetings, history and conversion to leads.
  * Author: Tech4biz Solutions
  * Copyright: Tech4biz Solutions Private
  * ======================================================================== */
@@ -11,8 +11,13 @@ import InquiryTable from '../../components/inquiries/InquiryTable';
 import InquiryPreviewModal from '../../components/inquiries/InquiryPreviewModal';
 import InquiryMeetingModal from '../../components/inquiries/InquiryMeetingModal';
 import InquiryStatusHistoryModal from '../../components/inquiries/InquiryStatusHistoryModal';
-import { getInquiries, updateInquiryStatus, deleteInquiry, scheduleInquiryMeeting } from '../../services/api';
+import ConvertInquiryModal from '../../components/inquiries/ConvertInquiryModal';
+import { getInquiries, updateInquiryStatus, deleteInquiry, scheduleInquiryMeeting, convertInquiryToLead, getLeadOwners } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
+import usePermission from '../../hooks/usePermission';
+import usePipeline from '../../hooks/usePipeline';
+import { PERMISSIONS } from '../../constants/permissions';
+import { getTransition, validateTransitionInput } from '../../utils/pipeline';
 
 /**
  * InquiriesManagement Component
@@ -29,6 +34,7 @@ const InquiriesManagement = () => {
   const [previewVisible, setPreviewVisible] = useState(false);
   const [selectedStatus, setSelectedStatus] = useState(null);
   const [feedback, setFeedback] = useState('');
+  const [followUpAt, setFollowUpAt] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const { user } = useAuth();
   const [meetingModalVisible, setMeetingModalVisible] = useState(false);
@@ -49,6 +55,12 @@ const InquiriesManagement = () => {
   const [schedulingMeeting, setSchedulingMeeting] = useState(false);
   const [statusHistoryVisible, setStatusHistoryVisible] = useState(false);
   const [statusHistoryInquiry, setStatusHistoryInquiry] = useState(null);
+  const [convertInquiry, setConvertInquiry] = useState(null);
+  const [converting, setConverting] = useState(false);
+  const [owners, setOwners] = useState([]);
+  // Converting creates a lead, so it needs lead permissions on top of inquiry ones
+  const canConvert = usePermission(PERMISSIONS.LEADS_MANAGE);
+  const { stages, transitions } = usePipeline();
 
   /**
    * Fetches inquiries from the API with pagination and filters.
@@ -71,6 +83,13 @@ const InquiriesManagement = () => {
     fetchInquiries();
   }, []);
 
+  useEffect(() => {
+    if (!canConvert) return;
+    getLeadOwners()
+      .then((response) => setOwners(response.data))
+      .catch(() => message.error('Failed to load lead owners'));
+  }, [canConvert]);
+
   /**
    * Handles table pagination, sorting, and filtering changes.
    */
@@ -87,6 +106,7 @@ const InquiriesManagement = () => {
     setPreviewVisible(true);
     setSelectedStatus(null);
     setFeedback('');
+    setFollowUpAt(null);
   };
 
   /**
@@ -136,10 +156,10 @@ const InquiriesManagement = () => {
 
   /**
    * Handles feedback input change for status update.
-   * @param {object} e
+   * @param {string} value
    */
-  const handleFeedbackChange = (e) => {
-    setFeedback(e.target.value);
+  const handleFeedbackChange = (value) => {
+    setFeedback(value);
   };
 
   /**
@@ -150,22 +170,29 @@ const InquiriesManagement = () => {
       message.error('Please select a status');
       return;
     }
-    if (!feedback.trim()) {
-      message.error('Please provide feedback for the status change');
+    const transition = getTransition(transitions, stages, selectedInquiry.status, selectedStatus);
+    if (!transition) {
+      message.error('This status change is not allowed');
+      return;
+    }
+    const problem = validateTransitionInput(transition, { feedback, followUpAt });
+    if (problem) {
+      message.error(problem);
       return;
     }
     try {
       setSubmitting(true);
-      const response = await updateInquiryStatus(selectedInquiry._id, { status: selectedStatus, feedback: feedback.trim() });
+      const response = await updateInquiryStatus(selectedInquiry._id, { status: selectedStatus, feedback: feedback.trim(), followUpAt });
       if (response.success) {
         message.success('Status updated successfully');
         setSelectedInquiry(response.data);
         setSelectedStatus(null);
         setFeedback('');
+        setFollowUpAt(null);
         fetchInquiries({ current: pagination.current, pageSize: pagination.pageSize });
       }
     } catch (error) {
-      message.error(error.message || 'Failed to update status');
+      message.error(error.response?.data?.message || 'Failed to update status');
     } finally {
       setSubmitting(false);
     }
@@ -246,6 +273,25 @@ const InquiriesManagement = () => {
     }
   };
 
+  /**
+   * Converts the chosen inquiry into a pipeline lead.
+   * @param {object} data - Owner, deal value and note from the conversion modal
+   */
+  const handleConvert = async (data) => {
+    try {
+      setConverting(true);
+      const response = await convertInquiryToLead(convertInquiry._id, data);
+      message.success(`${response.data.lead.name} added to the pipeline`);
+      if (selectedInquiry?._id === convertInquiry._id) setSelectedInquiry(response.data.inquiry);
+      setConvertInquiry(null);
+      fetchInquiries({ current: pagination.current, pageSize: pagination.pageSize });
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to convert inquiry');
+    } finally {
+      setConverting(false);
+    }
+  };
+
   /**
    * Handles opening the status history modal for an inquiry.
    * @param {object} inquiry
@@ -268,6 +314,8 @@ const InquiriesManagement = () => {
           onDelete={handleDelete}
           onScheduleMeeting={handleScheduleMeeting}
           onHistory={handleHistory}
+          onConvert={canConvert ? setConvertInquiry : undefined}
+          stages={stages}
         />
         <InquiryPreviewModal
           visible={previewVisible}
@@ -277,9 +325,23 @@ const InquiriesManagement = () => {
           onStatusChange={handleStatusChange}
           feedback={feedback}
           onFeedbackChange={handleFeedbackChange}
+          followUpAt={followUpAt}
+          onFollowUpChange={setFollowUpAt}
           onSubmitFeedback={handleSubmitFeedback}
           submitting={submitting}
           onScheduleMeeting={() => setMeetingModalVisible(true)}
+          onConvert={canConvert ? setConvertInquiry : undefined}
+          stages={stages}
+          transitions={transitions}
+        />
+        <ConvertInquiryModal
+          visible={Boolean(convertInquiry)}
+          inquiry={convertInquiry}
+          owners={owners}
+          defaultOwnerId={user?._id}
+          converting={converting}
+          onCancel={() => setConvertInquiry(null)}
+          onConvert={handleConvert}
         />
         <InquiryMeetingModal
           visible={meetingModalVisible}
@@ -293,6 +355,7 @@ const InquiriesManagement = () => {
           visible={statusHistoryVisible}
           inquiry={statusHistoryInquiry}
           onCancel={() => setStatusHistoryVisible(false)}
+          stages={stages}
         />
       </Card>
     </div>
@@ -5,20 +5,19 @@
  * Copyright: Tech4biz Solutions Private
  * ======================================================================== */
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { FaCalendar, FaImage, FaTrash, FaSave, FaEye, FaTimes, FaArrowLeft, FaGripVertical, FaPlus } from 'react-icons/fa';
+import { FaCalendar, FaImage, FaTrash, FaSave, FaEye, FaTimes, FaArrowLeft, FaGripVertical, FaPlus, FaHistory, FaLock } from 'react-icons/fa';
 import { MenuOutlined } from '@ant-design/icons';
 import ReactQuill from 'react-quill';
-import { Table, Collapse, Tooltip } from 'antd';
+import { Table, Collapse, Tooltip, Alert } from 'antd';
 import MediaSelector from '../../components/MediaSelector';
 import ConfirmationModal from '../../components/ui/ConfirmationModal';
 import SaveProgressModal from '../../components/ui/SaveProgressModal';
-import { updateLayout } from '../../services/api';
-import { BASE_URL } from '../../config';
+import { updateLayout, getLayout, cmsApi } from '../../services/api';
+import { resolveAssetUrl } from '../../config';
 import InstanceSelector from '../../components/InstanceSelector';
-import axios from 'axios';
 import { Typography, Card, Button, Form, Input } from 'antd';
 import { PlusOutlined, DeleteOutlined, FileTextOutlined, PictureOutlined, UnorderedListOutlined, CalendarOutlined, CheckSquareOutlined, NumberOutlined, EditOutlined } from '@ant-design/icons';
 import SidebarComponentList from '../../components/layout/SidebarComponentList';
@@ -26,8 +25,13 @@ import ComponentFieldRenderer from '../../components/layout/ComponentFieldRender
 import { getUserFriendlyLabel } from '../../utils/layoutHelpers';
 import ArrayFieldRenderer from '../../components/layout/ArrayFieldRenderer';
 import ImagePreviewModal from '../../components/layout/ImagePreviewModal';
-import useLayoutAutoSave from '../../hooks/useLayoutAutoSave';
+import useAutoSave, { SAVE_STATUS } from '../../hooks/useAutoSave';
+import SaveStatusIndicator, { DraftRecoveryBanner } from '../../components/common/SaveStatusIndicator';
 import FieldIcon from '../../components/layout/FieldIcon';
+import LayoutVersionTimeline from '../../components/layouts/LayoutVersionTimeline';
+import LayoutMergeModal from '../../components/layouts/LayoutMergeModal';
+import PresenceAvatars from '../../components/layouts/PresenceAvatars';
+import useLayoutPresence from '../../hooks/useLayoutPresence';
 
 
 /**
@@ -51,8 +55,6 @@ const LayoutComponentView = () => {
   const [previewImage, setPreviewImage] = useState(null);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
-  const [isAutoSaving, setIsAutoSaving] = useState(false);
-  const autoSaveTimeoutRef = useRef(null);
   const lastSavedDataRef = useRef(null);
   const [saveModalState, setSaveModalState] = useState({
     isOpen: false,
@@ -63,42 +65,24 @@ const LayoutComponentView = () => {
   const [instanceContent, setInstanceContent] = useState({});
   const [orderedComponents, setOrderedComponents] = useState([]);
   const [accordionActiveKeys, setAccordionActiveKeys] = useState({});
+  const [showHistory, setShowHistory] = useState(false);
+  // Revision and components of the last copy loaded from or saved to the server (conflict detection baseline)
+  const revisionRef = useRef(null);
+  const baseComponentsRef = useRef([]);
+  const [conflict, setConflict] = useState(null);
+  const [merging, setMerging] = useState(false);
+  const [lockOverrides, setLockOverrides] = useState({});
+  const { peers, lockHolder, viewersOf, remoteSave, dismissRemoteSave, announceSave } = useLayoutPresence(
+    layout?._id,
+    selectedComponent?._id
+  );
 
   /**
    * Returns the full image URL for a given path or URL.
    * @param {string} url
    * @returns {string}
    */
-  const getImageUrl = (url) => {
-    console.log('getImageUrl called with:', url, 'BASE_URL:', BASE_URL);
-    
-    if (!url) {
-      console.log('getImageUrl: No URL provided, returning empty string');
-      return '';
-    }
-    if (typeof url !== 'string') {
-      console.log('getImageUrl: URL is not a string, returning empty string');
-      return '';
-    }
-    
-    // Check if URL is already absolute
-    if (url.startsWith('http://') || url.startsWith('https://')) {
-      console.log('getImageUrl: URL is already absolute, returning as is:', url);
-      return url;
-    }
-    
-    // Check if URL starts with a slash
-    if (url.startsWith('/')) {
-      const fullUrl = `${BASE_URL}${url}`;
-      console.log('getImageUrl: URL starts with slash, returning:', fullUrl);
-      return fullUrl;
-    }
-    
-    // Add a slash if needed
-    const fullUrl = `${BASE_URL}/${url}`;
-    console.log('getImageUrl: Adding slash, returning:', fullUrl);
-    return fullUrl;
-  };
+  const getImageUrl = (url) => resolveAssetUrl(url);
 
   const commonClasses = "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-400 focus:border-primary-400 text-base bg-gray-50 transition";
 
@@ -127,6 +111,7 @@ const LayoutComponentView = () => {
       }
       
       setLayout(layoutData);
+      trackServerCopy(layoutData);
       
       // Initialize component values with instance data if available
       const initialValues = {};
@@ -171,6 +156,15 @@ const LayoutComponentView = () => {
     }
   }, [location.state, navigate, currentInstance]);
 
+  /**
+   * Remembers the server's copy of the layout, so the next save can tell whether someone else saved in between.
+   * @param {object} serverLayout
+   */
+  const trackServerCopy = (serverLayout) => {
+    revisionRef.current = serverLayout.revision ?? null;
+    baseComponentsRef.current = serverLayout.components || [];
+  };
+
   /**
    * Fetch layout with complete field data from API
    * @param {string} layoutId - Layout ID to fetch
@@ -178,12 +172,12 @@ const LayoutComponentView = () => {
   const fetchLayoutWithFields = async (layoutId) => {
     try {
       setLoading(true);
-      const response = await fetch(`/api/layouts/${layoutId}`);
-      const data = await response.json();
+      const { data } = await getLayout(layoutId);
       
       if (data.success && data.data) {
         console.log('Fetched layout with fields from API:', data.data);
         setLayout(data.data);
+        trackServerCopy(data.data);
         
         // Initialize component values
         const initialValues = {};
@@ -404,82 +398,106 @@ const LayoutComponentView = () => {
   }, [hasUnsavedChanges]);
 
   /**
-   * Handles autosaving the layout if there are unsaved changes.
+   * Saves the layout against the revision this editor started from. If someone else saved in between,
+   * the server answers 409 with their copy and the merge view opens instead of overwriting it.
+   * @param {object} updatedLayout
+   * @returns {Promise<object|null>} The saved layout, or null when there was a conflict
    */
-  const handleAutoSave = useCallback(async () => {
-    if (!hasUnsavedChanges || isAutoSaving) return;
-
+  const saveLayoutChecked = async (updatedLayout) => {
     try {
-      setIsAutoSaving(true);
-      
-      const updatedLayout = {
-        ...layout,
-        components: layout.components.map(comp => {
-          const compValues = componentValues[comp._id];
-          if (!compValues) return comp;
+      const { data } = await updateLayout(layout._id, { ...updatedLayout, baseRevision: revisionRef.current ?? undefined });
+      if (data?.data) {
+        trackServerCopy(data.data);
+        announceSave(data.data.revision);
+      }
+      return data?.data || updatedLayout;
+    } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.data) {
+        setConflict({ base: baseComponentsRef.current, mine: updatedLayout.components, theirs: error.response.data.data });
+        return null;
+      }
+      throw error;
+    }
+  };
 
-          const transformedData = {};
-          comp.fields.forEach(field => {
-            if (field.type === 'array' && compValues[field.name]) {
-              transformedData[field.name] = {
-                value: compValues[field.name].value || [],
-                type: field.type,
-                fieldType: field.fieldType,
-                itemStructure: field.itemStructure
-              };
-            } else {
-              const existingValue = comp.data?.[field.name]?.value;
-              transformedData[field.name] = compValues[field.name] || {
-                value: existingValue ?? field.default ?? '',
-                type: field.type,
-                fieldType: field.fieldType || field.type
-              };
-            }
-          });
-          
-          return {
-            ...comp,
-            data: transformedData
-          };
-        })
-      };
+  /**
+   * Autosaves the layout. Throws so the autosave engine can show the failure and retry;
+   * a conflict is not retried because the merge view takes over.
+   */
+  const handleAutoSave = useCallback(async () => {
+    const updatedLayout = {
+      ...layout,
+      components: layout.components.map(comp => {
+        const compValues = componentValues[comp._id];
+        if (!compValues) return comp;
+
+        const transformedData = {};
+        comp.fields.forEach(field => {
+          if (field.type === 'array' && compValues[field.name]) {
+            transformedData[field.name] = {
+              value: compValues[field.name].value || [],
+              type: field.type,
+              fieldType: field.fieldType,
+              itemStructure: field.itemStructure
+            };
+          } else {
+            const existingValue = comp.data?.[field.name]?.value;
+            transformedData[field.name] = compValues[field.name] || {
+              value: existingValue ?? field.default ?? '',
+              type: field.type,
+              fieldType: field.fieldType || field.type
+            };
+          }
+        });
+        
+        return {
+          ...comp,
+          data: transformedData
+        };
+      })
+    };
 
-      await updateLayout(layout._id, updatedLayout);
-      lastSavedDataRef.current = JSON.stringify(componentValues);
-      setHasUnsavedChanges(false);
-      
-      // Show toast with fixed positioning
-      toast.success('Auto-saved successfully', { 
-        position: "top-right",
-        autoClose: 2000,
-        hideProgressBar: false,
-        closeOnClick: true,
-        pauseOnHover: true,
-        draggable: true,
-        style: {
-          top: '80px'
-        }
-      });
-    } catch (error) {
-      console.error('Auto-save error:', error);
-      toast.error('Failed to auto-save', {
-        position: "top-right",
-        autoClose: 2000,
-        hideProgressBar: false,
-        closeOnClick: true,
-        pauseOnHover: true,
-        draggable: true,
-        style: {
-          top: '80px'
-        }
-      });
-    } finally {
-      setIsAutoSaving(false);
+    const saved = await saveLayoutChecked(updatedLayout);
+    if (!saved) {
+      throw Object.assign(new Error('Someone else saved this layout'), { retry: false });
     }
-  }, [layout, componentValues, hasUnsavedChanges, isAutoSaving]);
+    lastSavedDataRef.current = JSON.stringify(componentValues);
+    setHasUnsavedChanges(false);
+  }, [layout, componentValues]);
+
+  // Field values plus component order: what autosave sends and what a local draft restores
+  const autoSaveData = useMemo(() => ({
+    componentValues,
+    order: (layout?.components || []).map((comp) => comp._id),
+  }), [componentValues, layout?.components]);
+
+  const autoSave = useAutoSave({
+    data: autoSaveData,
+    onSave: handleAutoSave,
+    draftKey: `layout:${id}`,
+    enabled: !loading && Boolean(layout),
+    paused: Boolean(conflict),
+    serverUpdatedAt: layout?.updatedAt,
+    delay: 5000,
+  });
 
-  // Use the hook:
-  useLayoutAutoSave({ hasUnsavedChanges, isAutoSaving, handleAutoSave });
+  /**
+   * Loads the unsaved draft found on this device into the editor.
+   */
+  const handleRestoreDraft = () => {
+    const draft = autoSave.restoreDraft();
+    if (!draft) return;
+    const position = new Map(draft.order.map((componentId, index) => [componentId, index]));
+    setLayout((prev) => ({
+      ...prev,
+      components: [...prev.components].sort(
+        (a, b) => (position.get(a._id) ?? Infinity) - (position.get(b._id) ?? Infinity)
+      ),
+    }));
+    setComponentValues(draft.componentValues);
+    setHasUnsavedChanges(true);
+    toast.success('Unsaved changes restored');
+  };
 
   /**
    * Handles field value changes for a component.
@@ -845,7 +863,7 @@ const LayoutComponentView = () => {
         console.log('▶️ DEBUG - Instance data being sent to server:', JSON.stringify(instanceData, null, 2));
         console.log('▶️ DEBUG - Component values:', JSON.stringify(componentValues, null, 2));
         
-        await axios.put(`/api/pages/${layout.page}/instances/${currentInstance._id}`, instanceData);
+        await cmsApi.updatePageInstance(layout.page, currentInstance._id, instanceData);
       } else {
         // Log the layout update payload
         console.log('▶️ DEBUG - Layout data being sent to server:', JSON.stringify(updatedLayout, null, 2));
@@ -878,11 +896,16 @@ const LayoutComponentView = () => {
         console.log('▶️ DEBUG - Image fields in payload:', JSON.stringify(imageFieldsInComponents, null, 2));
         
         // Otherwise update the layout
-        await updateLayout(layout._id, updatedLayout);
+        const saved = await saveLayoutChecked(updatedLayout);
+        if (!saved) {
+          setSaveModalState({ isOpen: false, status: 'saving', data: null });
+          return;
+        }
       }
 
       lastSavedDataRef.current = JSON.stringify(componentValues);
       setHasUnsavedChanges(false);
+      autoSave.markSaved();
 
       setSaveModalState({
         isOpen: true,
@@ -919,6 +942,61 @@ const LayoutComponentView = () => {
     }
   };
 
+  /**
+   * Reloads the editor after a version was restored from the history drawer.
+   * @param {object} restoredLayout
+   */
+  const handleVersionRestored = (restoredLayout) => {
+    setShowHistory(false);
+    setHasUnsavedChanges(false);
+    lastSavedDataRef.current = null;
+    announceSave(restoredLayout.revision);
+    fetchLayoutWithFields(restoredLayout._id);
+  };
+
+  /**
+   * Saves the merged components from the conflict view against the other editor's revision.
+   * @param {Array<object>} components
+   */
+  const handleMergeSave = async (components) => {
+    const { theirs } = conflict;
+    try {
+      setMerging(true);
+      const { data } = await updateLayout(layout._id, {
+        ...theirs,
+        components,
+        baseRevision: theirs.revision ?? undefined,
+      });
+      announceSave(data.data.revision);
+      setConflict(null);
+      setHasUnsavedChanges(false);
+      lastSavedDataRef.current = null;
+      toast.success('Merged layout saved');
+      fetchLayoutWithFields(layout._id);
+    } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.data) {
+        // Someone saved again while merging: merge the result against their newest copy
+        setConflict({ base: theirs.components, mine: components, theirs: error.response.data.data });
+        toast.warn('The layout changed again. Please review the merge once more.');
+        return;
+      }
+      toast.error(error.response?.data?.message || 'Failed to save merged layout');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  /**
+   * Drops this editor's unsaved changes and loads the latest saved layout.
+   */
+  const handleReloadLatest = () => {
+    setConflict(null);
+    dismissRemoteSave();
+    setHasUnsavedChanges(false);
+    lastSavedDataRef.current = null;
+    fetchLayoutWithFields(layout._id);
+  };
+
   /**
    * Handles navigation back to the content dashboard, with unsaved changes check.
    */
@@ -1939,6 +2017,15 @@ const LayoutComponentView = () => {
     );
   }
 
+  // Other editors per component, for the sidebar
+  const componentPresence = orderedComponents.reduce((acc, comp) => {
+    acc[comp._id] = { viewers: viewersOf(comp._id), lockedBy: lockHolder(comp._id) };
+    return acc;
+  }, {});
+  const selectedLockHolder = selectedComponent ? lockHolder(selectedComponent._id) : null;
+  const isSelectedLocked = Boolean(selectedLockHolder) && !lockOverrides[selectedComponent?._id];
+  const hasNewerRemoteSave = Boolean(remoteSave) && remoteSave.revision > (revisionRef.current ?? 0);
+
   return (
     <div className="h-screen bg-gray-50">
       {/* Header */}
@@ -1952,23 +2039,54 @@ const LayoutComponentView = () => {
             <FaArrowLeft className="w-5 h-5 text-gray-600" />
           </button>
           <h1 className="text-2xl font-bold text-gray-900">Edit Layout</h1>
-          {isAutoSaving && (
-            <span className="ml-3 text-sm text-gray-600 bg-gray-100 px-2 py-1 rounded">Auto-saving...</span>
-          )}
-          {hasUnsavedChanges && !isAutoSaving && (
+          <SaveStatusIndicator
+            status={autoSave.status}
+            lastSaved={autoSave.lastSaved}
+            error={autoSave.error}
+            retryAt={autoSave.retryAt}
+            onRetry={autoSave.saveNow}
+          />
+          {hasUnsavedChanges && !autoSave.isSaving && autoSave.status !== SAVE_STATUS.OFFLINE && autoSave.status !== SAVE_STATUS.FAILED && (
             <span className="ml-3 text-sm text-yellow-600 bg-yellow-50 px-2 py-1 rounded">Unsaved changes</span>
           )}
+          {conflict?.dismissed && (
+            <button
+              onClick={handleSave}
+              className="ml-3 text-sm text-red-700 bg-red-50 hover:bg-red-100 px-2 py-1 rounded"
+              title="Autosave is paused until the conflict is resolved"
+            >
+              Conflict · Resolve
+            </button>
+          )}
+          <PresenceAvatars
+            peers={peers}
+            describe={(peer) => {
+              const component = layout.components.find((comp) => comp._id === peer.focusId);
+              const name = peer.user?.name || peer.user?.email;
+              return component ? `${name} · editing ${component.name}` : `${name} · viewing`;
+            }}
+          />
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => setShowHistory(true)}
+            className="flex items-center px-4 py-2 rounded text-gray-700 bg-gray-100 hover:bg-gray-200 text-base font-medium transition-colors duration-200"
+            title="Version history"
+          >
+            <FaHistory className="w-4 h-4 mr-2" />
+            History
+          </button>
+          <button
+            disabled={saving}
+            className={`flex items-center px-5 py-2 rounded text-white text-base font-semibold shadow transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-400 ${
+              saving ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+            onClick={handleSave}
+          >
+            <FaSave className="w-5 h-5 mr-2" />
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
         </div>
-        <button
-          disabled={saving}
-          className={`flex items-center px-5 py-2 rounded text-white text-base font-semibold shadow transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-400 ${
-            saving ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
-          }`}
-          onClick={handleSave}
-        >
-          <FaSave className="w-5 h-5 mr-2" />
-          {saving ? 'Saving...' : 'Save Changes'}
-        </button>
       </div>
 
       {/* Main Content */}
@@ -1982,15 +2100,63 @@ const LayoutComponentView = () => {
             components={orderedComponents}
             selectedComponentId={selectedComponent?._id}
             onSelectComponent={handleComponentSelect}
+            presence={componentPresence}
           />
         </aside>
 
         {/* Main Editor Area */}
         <main className="flex-1 flex flex-col h-full overflow-y-auto p-8 bg-gray-50">
+          <DraftRecoveryBanner
+            draft={autoSave.draft}
+            onRestore={handleRestoreDraft}
+            onDiscard={autoSave.discardDraft}
+            className="mb-4"
+          />
+          {hasNewerRemoteSave && (
+            <Alert
+              type="info"
+              showIcon
+              closable
+              onClose={dismissRemoteSave}
+              className="mb-4"
+              message={`${remoteSave.user?.name || 'Another editor'} saved this layout`}
+              description={hasUnsavedChanges
+                ? 'When you save, you will be able to merge your changes with theirs.'
+                : 'Reload to see their changes.'}
+              action={!hasUnsavedChanges && (
+                <button
+                  onClick={handleReloadLatest}
+                  className="px-3 py-1 rounded text-sm font-medium text-blue-700 bg-white border border-blue-200 hover:bg-blue-50"
+                >
+                  Reload
+                </button>
+              )}
+            />
+          )}
           {selectedComponent ? (
             <div className="max-w-full mx-auto w-full">
               <h2 className="text-xl font-bold mb-6 text-gray-900 border-b pb-2">{selectedComponent.name}</h2>
-              <div className="flex flex-col gap-6">
+              {selectedLockHolder && (
+                <Alert
+                  type="warning"
+                  showIcon
+                  icon={<FaLock />}
+                  className="mb-6"
+                  message={`${selectedLockHolder.user?.name || 'Another editor'} is editing this component`}
+                  description={isSelectedLocked
+                    ? 'Fields are read-only so you don\'t overwrite each other. You can still edit if you need to.'
+                    : 'You chose to edit anyway. If you both save, you will be asked to merge.'}
+                  action={isSelectedLocked && (
+                    <button
+                      onClick={() => setLockOverrides((prev) => ({ ...prev, [selectedComponent._id]: true }))}
+                      className="px-3 py-1 rounded text-sm font-medium text-yellow-800 bg-white border border-yellow-300 hover:bg-yellow-50"
+                    >
+                      Edit anyway
+                    </button>
+                  )}
+                />
+              )}
+              <fieldset disabled={isSelectedLocked} className={`flex flex-col gap-6 min-w-0 ${isSelectedLocked ? 'opacity-60 pointer-events-none' : ''}`}>
                 {selectedComponent.fields?.map((field) => (
                   <div
                     key={field.name}
@@ -2009,7 +2175,7 @@ const LayoutComponentView = () => {
                     </div>
                   </div>
                 ))}
-              </div>
+              </fieldset>
             </div>
           ) : (
             <div className="text-center text-gray-500 text-lg mt-20">Select a component from the sidebar to edit</div>
@@ -2018,6 +2184,23 @@ const LayoutComponentView = () => {
       </div>
 
       {/* Modals */}
+      <LayoutVersionTimeline
+        layoutId={layout._id}
+        open={showHistory}
+        onClose={() => setShowHistory(false)}
+        onRestored={handleVersionRestored}
+        hasUnsavedChanges={hasUnsavedChanges}
+      />
+      <LayoutMergeModal
+        open={Boolean(conflict) && !conflict.dismissed}
+        base={conflict?.base || []}
+        mine={conflict?.mine || []}
+        theirs={conflict?.theirs}
+        saving={merging}
+        onMerge={handleMergeSave}
+        onDiscard={handleReloadLatest}
+        onCancel={() => setConflict((prev) => ({ ...prev, dismissed: true }))}
+      />
       <ImagePreviewModal 
         isOpen={showImagePreview} 
         imageUrl={previewImage} 
@@ -8,9 +8,10 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Layout, Card, Button, Table, Space, message, Modal, Tag } from 'antd';
-import { PlusOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import { PlusOutlined, EditOutlined, DeleteOutlined, HistoryOutlined } from '@ant-design/icons';
 import { getLayouts, deleteLayout } from '../../services/api';
 import LayoutForm from '../../components/layouts/LayoutForm';
+import LayoutVersionTimeline from '../../components/layouts/LayoutVersionTimeline';
 import { LayoutDashboardSkeleton } from '../../components/skeletons/DashboardSkeletons';
 
 const { Content } = Layout;
@@ -187,6 +188,7 @@ const LayoutDashboard = () => {
   const [selectedLayout, setSelectedLayout] = useState(null);
   const [deleteId, setDeleteId] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [historyLayoutId, setHistoryLayoutId] = useState(null);
   const navigate = useNavigate();
 
   /**
@@ -329,6 +331,14 @@ const LayoutDashboard = () => {
           >
             Edit
           </Button>
+          <Button
+            type="default"
+            icon={<HistoryOutlined />}
+            style={{ ...tableStyles.actionButton, ...tableStyles.editButton }}
+            onClick={() => setHistoryLayoutId(record._id)}
+          >
+            History
+          </Button>
           <Button
             type="default"
             icon={<DeleteOutlined />}
@@ -432,6 +442,18 @@ const LayoutDashboard = () => {
           </div>
         </Modal>
 
+        {historyLayoutId && (
+          <LayoutVersionTimeline
+            layoutId={historyLayoutId}
+            open={Boolean(historyLayoutId)}
+            onClose={() => setHistoryLayoutId(null)}
+            onRestored={() => {
+              setHistoryLayoutId(null);
+              fetchLayouts();
+            }}
+          />
+        )}
+
         <Modal
           title="Delete Layout"
           open={showDeleteConfirm}
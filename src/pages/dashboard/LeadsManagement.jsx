@@ -5,17 +5,43 @@
  * Copyright: Tech4biz Solutions Private
  * ======================================================================== */
 
-import React, { useState, useEffect } from 'react';
-import { Table, Space, Button, Tag, Modal, message, Typography, Card, Select, Input, Timeline, Tooltip, DatePicker, TimePicker, Radio } from 'antd';
-import { EditOutlined, DeleteOutlined, EyeOutlined, UserOutlined, MailOutlined, ClockCircleOutlined, HistoryOutlined, VideoCameraOutlined } from '@ant-design/icons';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Table, Space, Button, Tag, Modal, message, Typography, Card, Select, Input, Tooltip, DatePicker, TimePicker, Radio, Segmented } from 'antd';
+import { EditOutlined, DeleteOutlined, EyeOutlined, UserOutlined, MailOutlined, ClockCircleOutlined, HistoryOutlined, VideoCameraOutlined, AppstoreOutlined, UnorderedListOutlined, SettingOutlined, StarOutlined } from '@ant-design/icons';
 import { FaBuilding, FaClock, FaPhone } from 'react-icons/fa';
-import { getLeads, updateLeadStatus, deleteLead, scheduleMeeting } from '../../services/api';
+import {
+  getLeads,
+  getAllLeads,
+  updateLead,
+  updateLeadStatus,
+  deleteLead,
+  scheduleMeeting,
+  getLeadOwners,
+  updatePipelineStages,
+  updatePipelineTransitions,
+  getLeadScoring,
+  updateLeadScoring,
+  recalculateLeadScores
+} from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
+import usePermission from '../../hooks/usePermission';
+import usePipeline from '../../hooks/usePipeline';
+import { PERMISSIONS } from '../../constants/permissions';
+import Can from '../../components/common/Can';
+import { formatDealValue, getStage, getTransition, validateTransitionInput } from '../../utils/pipeline';
+import { DEFAULT_SCORE_THRESHOLD, getScoreBand } from '../../utils/leadScoring';
+import PipelineBoard from '../../components/pipeline/PipelineBoard';
+import PipelineSettingsModal from '../../components/pipeline/PipelineSettingsModal';
+import DealFields from '../../components/pipeline/DealFields';
+import TransitionFields from '../../components/pipeline/TransitionFields';
+import TransitionModal from '../../components/pipeline/TransitionModal';
 import { format } from 'date-fns';
 import { LeadsManagementSkeleton, LeadDetailsSkeleton } from '../../components/skeletons/LeadsManagementSkeleton';
 import StatusHistoryModal from '../../components/leads/StatusHistoryModal';
 import MeetingModal from '../../components/leads/MeetingModal';
 import StatusButtons from '../../components/leads/StatusButtons';
+import LeadScoreBreakdown from '../../components/leads/LeadScoreBreakdown';
+import ScoringRulesModal from '../../components/leads/ScoringRulesModal';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -38,11 +64,11 @@ const LeadsManagement = () => {
   const [previewVisible, setPreviewVisible] = useState(false);
   const [selectedStatus, setSelectedStatus] = useState(null);
   const [feedback, setFeedback] = useState('');
+  const [followUpAt, setFollowUpAt] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const { user } = useAuth();
   const [historyModalVisible, setHistoryModalVisible] = useState(false);
   const [selectedHistoryLead, setSelectedHistoryLead] = useState(null);
-  const [usedStatuses, setUsedStatuses] = useState(new Set());
   const [meetingModalVisible, setMeetingModalVisible] = useState(false);
   const [selectedMeetingLead, setSelectedMeetingLead] = useState(null);
   const [meetingData, setMeetingData] = useState({
@@ -58,6 +84,24 @@ const LeadsManagement = () => {
     agenda: ''
   });
   const [schedulingMeeting, setSchedulingMeeting] = useState(false);
+  const [view, setView] = useState('table');
+  const { stages, transitions, setTransitions, reload: reloadPipeline } = usePipeline();
+  const [owners, setOwners] = useState([]);
+  const [ownerFilter, setOwnerFilter] = useState(null);
+  const [boardLeads, setBoardLeads] = useState([]);
+  const [boardLoading, setBoardLoading] = useState(false);
+  const [settingsVisible, setSettingsVisible] = useState(false);
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [pendingMove, setPendingMove] = useState(null);
+  const [moving, setMoving] = useState(false);
+  const [deal, setDeal] = useState({ ownerId: null, dealValue: null });
+  const [savingDeal, setSavingDeal] = useState(false);
+  const [scoring, setScoring] = useState(null);
+  const [scoringVisible, setScoringVisible] = useState(false);
+  const [savingScoring, setSavingScoring] = useState(false);
+  const [recalculating, setRecalculating] = useState(false);
+  const canManageLeads = usePermission(PERMISSIONS.LEADS_MANAGE);
+  const canConfigurePipeline = usePermission(PERMISSIONS.PIPELINE_CONFIGURE);
 
   const fetchLeads = async (params = {}) => {
     try {
@@ -65,6 +109,7 @@ const LeadsManagement = () => {
       const response = await getLeads({
         page: params.current,
         limit: params.pageSize,
+        owner: ownerFilter || undefined,
         ...params
       });
       
@@ -81,10 +126,205 @@ const LeadsManagement = () => {
     }
   };
 
+  /**
+   * Loads every lead for the board and the per-stage counts
+   */
+  const fetchBoardLeads = async () => {
+    try {
+      setBoardLoading(true);
+      const response = await getAllLeads();
+      setBoardLeads(response.data);
+    } catch (error) {
+      message.error('Failed to fetch the pipeline');
+    } finally {
+      setBoardLoading(false);
+    }
+  };
+
+  /**
+   * Loads the users leads can be assigned to
+   */
+  const fetchOwners = async () => {
+    try {
+      const response = await getLeadOwners();
+      setOwners(response.data);
+    } catch (error) {
+      message.error('Failed to load lead owners');
+    }
+  };
+
+  /**
+   * Loads the scoring rules and the hot-lead threshold
+   */
+  const fetchScoring = async () => {
+    try {
+      const response = await getLeadScoring();
+      setScoring(response.data);
+    } catch (error) {
+      message.error('Failed to load the lead scoring rules');
+    }
+  };
+
   useEffect(() => {
     fetchLeads();
+    fetchBoardLeads();
+    fetchOwners();
+    fetchScoring();
   }, []);
 
+  const scoreThreshold = scoring?.threshold || DEFAULT_SCORE_THRESHOLD;
+
+  // Owner filtering is server-side for the table and client-side for the board
+  const visibleBoardLeads = useMemo(() => boardLeads.filter((lead) => (
+    !ownerFilter || (ownerFilter === 'none' ? !lead.owner : lead.owner?._id === ownerFilter)
+  )), [boardLeads, ownerFilter]);
+
+  const leadCounts = useMemo(() => boardLeads.reduce((counts, lead) => ({
+    ...counts,
+    [lead.status]: (counts[lead.status] || 0) + 1
+  }), {}), [boardLeads]);
+
+  /**
+   * Puts an updated lead into the table, the board and the open preview
+   * @param {object} updated - Lead returned by the API
+   */
+  const replaceLead = (updated) => {
+    setLeads((list) => list.map((lead) => (lead._id === updated._id ? updated : lead)));
+    setBoardLeads((list) => list.map((lead) => (lead._id === updated._id ? updated : lead)));
+    setSelectedLead((current) => (current?._id === updated._id ? updated : current));
+  };
+
+  const handleOwnerFilterChange = (owner) => {
+    setOwnerFilter(owner || null);
+    fetchLeads({ current: 1, pageSize: pagination.pageSize, owner: owner || undefined });
+  };
+
+  /**
+   * Moves a lead on the board. The card moves at once and snaps back if the update fails.
+   * @param {object} lead - Lead being moved
+   * @param {string} stageKey - Stage it moves to
+   * @param {{ feedback: string, followUpAt: string|null }} input - Feedback and follow-up date for the history entry
+   */
+  const moveLead = async (lead, stageKey, input) => {
+    const to = getStage(stages, stageKey);
+    setBoardLeads((list) => list.map((entry) => (entry._id === lead._id ? { ...entry, status: stageKey, stageEnteredAt: new Date().toISOString() } : entry)));
+    try {
+      const response = await updateLeadStatus(lead._id, {
+        status: stageKey,
+        ...input,
+        updatedBy: user._id,
+        clientName: lead.name,
+        clientEmail: lead.email,
+        company: lead.company || 'N/A'
+      });
+      replaceLead(response.data);
+      message.success(`${lead.name} moved to ${to.label}`);
+    } catch (error) {
+      setBoardLeads((list) => list.map((entry) => (entry._id === lead._id ? lead : entry)));
+      message.error(error.response?.data?.message || 'Failed to move the lead');
+    }
+  };
+
+  /**
+   * Handles a card dropped on another board column. Moves that need feedback or a
+   * follow-up date wait for the transition modal; the rest go through straight away.
+   * @param {object} lead - Dragged lead
+   * @param {string} stageKey - Stage it was dropped on
+   */
+  const handleBoardMove = (lead, stageKey) => {
+    const from = getStage(stages, lead.status);
+    const to = getStage(stages, stageKey);
+    const transition = getTransition(transitions, stages, lead.status, stageKey);
+    if (!transition) {
+      message.error(`Leads cannot move from ${from.label} to ${to.label}`);
+      return;
+    }
+    if (transition.requireFeedback || transition.requireFollowUp) {
+      setPendingMove({ lead, from, to, transition });
+      return;
+    }
+    moveLead(lead, stageKey, { feedback: `Moved from ${from.label} to ${to.label} on the pipeline board`, followUpAt: null });
+  };
+
+  const handleConfirmMove = async (input) => {
+    setMoving(true);
+    await moveLead(pendingMove.lead, pendingMove.to.key, input);
+    setMoving(false);
+    setPendingMove(null);
+  };
+
+  const handleSaveStages = async (draft) => {
+    try {
+      setSavingSettings(true);
+      await updatePipelineStages(draft);
+      // Saving stages also adds and removes transitions, so load both again
+      await reloadPipeline();
+      message.success('Pipeline stages saved');
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to save the pipeline stages');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const handleSaveTransitions = async (draft) => {
+    try {
+      setSavingSettings(true);
+      const response = await updatePipelineTransitions(draft);
+      setTransitions(response.data);
+      message.success('Pipeline transitions saved');
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to save the pipeline transitions');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const handleSaveDeal = async () => {
+    try {
+      setSavingDeal(true);
+      const response = await updateLead(selectedLead._id, deal);
+      replaceLead(response.data);
+      message.success('Deal details saved');
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to save the deal details');
+    } finally {
+      setSavingDeal(false);
+    }
+  };
+
+  const handleSaveScoring = async (settings) => {
+    try {
+      setSavingScoring(true);
+      const response = await updateLeadScoring(settings);
+      setScoring(response.data);
+      message.success(`Scoring rules saved${response.crossed ? `; ${response.crossed} lead${response.crossed === 1 ? '' : 's'} became hot` : ''}`);
+      // Saving re-scores every lead
+      fetchLeads(pagination);
+      fetchBoardLeads();
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to save the scoring rules');
+    } finally {
+      setSavingScoring(false);
+    }
+  };
+
+  const handleRecalculateScores = async () => {
+    try {
+      setRecalculating(true);
+      const response = await recalculateLeadScores();
+      const { updated, crossed } = response.data;
+      message.success(`Re-scored ${updated} lead${updated === 1 ? '' : 's'}${crossed ? `; ${crossed} became hot` : ''}`);
+      // Keeps the table's page and sort order
+      fetchLeads(pagination);
+      fetchBoardLeads();
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to recalculate lead scores');
+    } finally {
+      setRecalculating(false);
+    }
+  };
+
   const handleTableChange = (pagination, filters, sorter) => {
     fetchLeads({
       page: pagination.current,
@@ -101,8 +341,8 @@ const LeadsManagement = () => {
   };
 
   const handleStatusUpdate = async (status) => {
-    if (usedStatuses.has(status)) {
-      message.error('This status has already been used');
+    if (!getTransition(transitions, stages, selectedLead.status, status)) {
+      message.error('This status change is not allowed');
       return;
     }
     setSelectedStatus(status);
@@ -114,8 +354,9 @@ const LeadsManagement = () => {
       return;
     }
 
-    if (!feedback.trim()) {
-      message.error('Please provide feedback for the status change');
+    const problem = validateTransitionInput(getTransition(transitions, stages, selectedLead.status, selectedStatus), { feedback, followUpAt });
+    if (problem) {
+      message.error(problem);
       return;
     }
 
@@ -124,6 +365,7 @@ const LeadsManagement = () => {
       const response = await updateLeadStatus(selectedLead._id, {
         status: selectedStatus,
         feedback: feedback.trim(),
+        followUpAt,
         updatedBy: user._id,
         clientName: selectedLead.name,
         clientEmail: selectedLead.email,
@@ -135,14 +377,15 @@ const LeadsManagement = () => {
         setSelectedLead(response.data);
         setSelectedStatus(null);
         setFeedback('');
-        setUsedStatuses(new Set([...usedStatuses, selectedStatus]));
+        setFollowUpAt(null);
+        replaceLead(response.data);
         fetchLeads({
           current: pagination.current,
           pageSize: pagination.pageSize
         });
       }
     } catch (error) {
-      message.error(error.message || 'Failed to update status');
+      message.error(error.response?.data?.message || 'Failed to update status');
     } finally {
       setSubmitting(false);
     }
@@ -159,6 +402,7 @@ const LeadsManagement = () => {
         try {
           await deleteLead(leadId);
           message.success('Lead deleted successfully');
+          setBoardLeads((list) => list.filter((lead) => lead._id !== leadId));
           fetchLeads();
         } catch (error) {
           message.error('Failed to delete lead');
@@ -172,48 +416,11 @@ const LeadsManagement = () => {
     setPreviewVisible(true);
     setSelectedStatus(null);
     setFeedback('');
-    
-    // Initialize usedStatuses with current and historical statuses
-    const usedStatusSet = new Set();
-    
-    // Add current status
-    if (lead.status && lead.status !== 'new') {
-      usedStatusSet.add(lead.status);
-    }
-    
-    // Add historical statuses
-    if (lead.statusHistory && lead.statusHistory.length > 0) {
-      lead.statusHistory.forEach(history => {
-        if (history.status !== 'new') {
-          usedStatusSet.add(history.status);
-        }
-      });
-    }
-    
-    setUsedStatuses(usedStatusSet);
+    setFollowUpAt(null);
+    setDeal({ ownerId: lead.owner?._id || null, dealValue: lead.dealValue ?? null });
   };
 
-  const getStatusColor = (status) => {
-    const colors = {
-      new: '#1890ff',
-      contacted: '#52c41a',
-      qualified: '#722ed1',
-      lost: '#f5222d',
-      rejected: '#fa541c'
-    };
-    return colors[status] || '#1890ff';
-  };
-
-  const getTimelineColor = (status) => {
-    const colors = {
-      new: '#1890ff',
-      contacted: '#52c41a',
-      qualified: '#722ed1',
-      lost: '#f5222d',
-      rejected: '#fa541c'
-    };
-    return colors[status] || '#1890ff';
-  };
+  const getStatusColor = (status) => getStage(stages, status).color;
 
   const validateMeetingLink = (link, platform) => {
     if (!link) return false;
@@ -322,13 +529,37 @@ const LeadsManagement = () => {
       key: 'company',
       render: (text) => text || 'N/A',
     },
+    {
+      title: 'Owner',
+      dataIndex: 'owner',
+      key: 'owner',
+      render: (owner) => owner?.name || <Text type="secondary">Unassigned</Text>,
+    },
+    {
+      title: 'Deal Value',
+      dataIndex: 'dealValue',
+      key: 'dealValue',
+      render: (value) => formatDealValue(value) || <Text type="secondary">—</Text>,
+    },
+    {
+      title: 'Score',
+      dataIndex: 'score',
+      key: 'score',
+      sorter: true,
+      render: (score) => {
+        const band = getScoreBand(score, scoreThreshold);
+        return score === null || score === undefined
+          ? <Text type="secondary">—</Text>
+          : <Tooltip title={band.label}><Tag color={band.color}>{score}</Tag></Tooltip>;
+      },
+    },
     {
       title: 'Status',
       dataIndex: 'status',
       key: 'status',
       render: (status) => (
         <Tag color={getStatusColor(status)}>
-          {status.charAt(0).toUpperCase() + status.slice(1)}
+          {getStage(stages, status).label}
         </Tag>
       ),
     },
@@ -372,99 +603,6 @@ const LeadsManagement = () => {
     },
   ];
 
-  /**
-   * StatusHistoryModal - Shows the status history timeline for a lead
-   * Only one timeline item is expanded at a time (single-panel open logic)
-   */
-  const StatusHistoryModal = ({ visible, onClose, lead }) => {
-    const [activePanel, setActivePanel] = useState(lead?.statusHistory?.length ? `${lead.statusHistory[0]._id}` : '');
-    useEffect(() => {
-      if (lead?.statusHistory?.length) setActivePanel(`${lead.statusHistory[0]._id}`);
-    }, [lead]);
-    return (
-      <Modal
-        title={<div className="flex items-center gap-3"><HistoryOutlined /> Status History</div>}
-        open={visible}
-        onCancel={onClose}
-        width={800}
-        footer={null}
-        bodyStyle={{ padding: '24px' }}
-      >
-        {lead?.statusHistory?.length > 0 ? (
-          <Timeline mode="left">
-            {lead.statusHistory.map((history, idx) => (
-              <Timeline.Item
-                key={history._id}
-                color={getTimelineColor(history.status)}
-                dot={<span className="w-4 h-4 rounded-full inline-block" style={{ background: getTimelineColor(history.status) }} />}
-              >
-                <div
-                  className={`cursor-pointer ${activePanel === history._id ? 'bg-blue-50' : ''}`}
-                  onClick={() => setActivePanel(history._id)}
-                  style={{ borderRadius: 8, padding: 12, marginBottom: 8 }}
-                >
-                  <div className="flex items-center justify-between">
-                    <Tag color={getTimelineColor(history.status)}>{history.status}</Tag>
-                    <span className="text-xs text-gray-400">{format(new Date(history.updatedAt), 'MMM dd, yyyy h:mm a')}</span>
-                  </div>
-                  {activePanel === history._id && (
-                    <div className="mt-2">
-                      <div className="mb-2 text-gray-700"><b>Feedback:</b> {history.feedback}</div>
-                      <div className="text-xs text-gray-500">By: {history.clientEmail || 'N/A'} | Company: {history.company || 'N/A'}</div>
-                    </div>
-                  )}
-                </div>
-              </Timeline.Item>
-            ))}
-          </Timeline>
-        ) : (
-          <div className="text-center py-8 text-gray-500">
-            <HistoryOutlined style={{ fontSize: '2rem' }} />
-            <p className="mt-2">No status history available</p>
-          </div>
-        )}
-      </Modal>
-    );
-  };
-
-  const renderStatusButtons = () => {
-    const statuses = [
-      { key: 'contacted', label: 'Contacted', color: 'green' },
-      { key: 'qualified', label: 'Qualified', color: 'purple' },
-      { key: 'lost', label: 'Lost', color: 'red' },
-      { key: 'rejected', label: 'Rejected', color: 'orange' }
-    ];
-
-    return (
-      <div className="flex gap-2 mb-4">
-        {statuses.map(({ key, label, color }) => {
-          const isUsed = usedStatuses.has(key);
-          const tooltipText = isUsed ? `Lead is already ${label.toLowerCase()}` : '';
-          
-          return (
-            <Tooltip key={key} title={tooltipText}>
-              <Button
-                type={selectedStatus === key ? 'primary' : 'default'}
-                onClick={() => handleStatusUpdate(key)}
-                className={`${selectedStatus === key ? `bg-${color}-500 border-${color}-500` : ''}`}
-                disabled={isUsed}
-                style={isUsed ? { 
-                  opacity: 0.5, 
-                  cursor: 'not-allowed',
-                  backgroundColor: '#f5f5f5',
-                  borderColor: '#d9d9d9',
-                  color: 'rgba(0, 0, 0, 0.25)'
-                } : {}}
-              >
-                {label}
-              </Button>
-            </Tooltip>
-          );
-        })}
-      </div>
-    );
-  };
-
   const renderMeetingModal = () => (
     <Modal
       title={
@@ -653,16 +791,65 @@ const LeadsManagement = () => {
   return (
     <div style={{ padding: '0px' }}>
       <Card>
-        <Title level={2}>Leads Management</Title>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <Title level={2} style={{ margin: 0 }}>Leads Management</Title>
+          <Space wrap>
+            <Select
+              value={ownerFilter || undefined}
+              onChange={handleOwnerFilterChange}
+              placeholder="All owners"
+              allowClear
+              className="min-w-[180px]"
+              aria-label="Filter by owner"
+              options={[
+                { value: 'none', label: 'Unassigned' },
+                ...owners.map((owner) => ({ value: owner._id, label: owner.name }))
+              ]}
+            />
+            <Segmented
+              value={view}
+              onChange={setView}
+              options={[
+                { value: 'table', label: 'Table', icon: <UnorderedListOutlined /> },
+                { value: 'board', label: 'Board', icon: <AppstoreOutlined /> }
+              ]}
+            />
+            <Can perform={PERMISSIONS.LEADS_MANAGE}>
+              <Button icon={<StarOutlined />} onClick={() => setScoringVisible(true)}>
+                Lead Scoring
+              </Button>
+            </Can>
+            <Can perform={PERMISSIONS.PIPELINE_CONFIGURE}>
+              <Button icon={<SettingOutlined />} onClick={() => setSettingsVisible(true)}>
+                Pipeline Settings
+              </Button>
+            </Can>
+          </Space>
+        </div>
         
-        <Table
-          columns={columns}
-          dataSource={leads}
-          rowKey="_id"
-          pagination={pagination}
-          loading={loading}
-          onChange={handleTableChange}
-        />
+        {view === 'board' ? (
+          boardLoading && !boardLeads.length ? (
+            <LeadsManagementSkeleton />
+          ) : (
+            <PipelineBoard
+              leads={visibleBoardLeads}
+              stages={stages}
+              transitions={transitions}
+              onMove={handleBoardMove}
+              onOpen={handlePreview}
+              canMove={canManageLeads}
+            />
+          )
+        ) : (
+          <Table
+            columns={columns}
+            dataSource={leads}
+            rowKey="_id"
+            pagination={pagination}
+            loading={loading}
+            onChange={handleTableChange}
+          />
+        )}
 
         <Modal
           title={
@@ -729,10 +916,16 @@ const LeadsManagement = () => {
                       </div>
                     </div>
                   </div>
-                  <div className="flex items-center gap-2">
+                  <div className="flex flex-wrap items-center gap-2">
                     <Tag color={getStatusColor(selectedLead.status)} className="text-sm px-3 py-1">
-                      {selectedLead.status.charAt(0).toUpperCase() + selectedLead.status.slice(1)}
+                      {getStage(stages, selectedLead.status).label}
                     </Tag>
+                    {selectedLead.source === 'inquiry' && <Tag>Converted from inquiry</Tag>}
+                    {selectedLead.followUpAt && (
+                      <Tag icon={<ClockCircleOutlined />} color={new Date(selectedLead.followUpAt) < new Date() ? 'red' : 'default'}>
+                        Follow up by {format(new Date(selectedLead.followUpAt), 'MMM dd, yyyy h:mm a')}
+                      </Tag>
+                    )}
                   </div>
                 </div>
               </div>
@@ -747,19 +940,51 @@ const LeadsManagement = () => {
                 </div>
               )}
 
+              {/* Score Section */}
+              <div className="mt-6">
+                <Text strong className="text-lg mb-4">Lead Score</Text>
+                <div className="mt-2">
+                  <LeadScoreBreakdown lead={selectedLead} threshold={scoreThreshold} />
+                </div>
+              </div>
+
+              {/* Deal Section */}
+              <div className="mt-6">
+                <Text strong className="text-lg mb-4">Deal</Text>
+                <div className="mt-2">
+                  <DealFields value={deal} onChange={setDeal} owners={owners} disabled={!canManageLeads} />
+                </div>
+                <Can perform={PERMISSIONS.LEADS_MANAGE}>
+                  <Button
+                    onClick={handleSaveDeal}
+                    loading={savingDeal}
+                    disabled={deal.ownerId === (selectedLead.owner?._id || null) && deal.dealValue === (selectedLead.dealValue ?? null)}
+                    className="mt-3"
+                  >
+                    Save Deal
+                  </Button>
+                </Can>
+              </div>
+
               {/* Status Update Section */}
               <div className="mt-6">
                 <Text strong className="text-lg mb-4">Update Status</Text>
-                <StatusButtons selectedStatus={selectedStatus} usedStatuses={usedStatuses} onStatusUpdate={handleStatusUpdate} />
+                <StatusButtons
+                  currentStatus={selectedLead.status}
+                  selectedStatus={selectedStatus}
+                  onStatusUpdate={handleStatusUpdate}
+                  stages={stages}
+                  transitions={transitions}
+                />
 
                 {selectedStatus && (
                   <div className="space-y-4">
-                    <TextArea
-                      placeholder="Add feedback for this status change..."
-                      value={feedback}
-                      onChange={(e) => setFeedback(e.target.value)}
-                      rows={4}
-                      className="w-full"
+                    <TransitionFields
+                      transition={getTransition(transitions, stages, selectedLead.status, selectedStatus) || {}}
+                      feedback={feedback}
+                      onFeedbackChange={setFeedback}
+                      followUpAt={followUpAt}
+                      onFollowUpChange={setFollowUpAt}
                     />
                     <Button
                       type="primary"
@@ -778,8 +1003,37 @@ const LeadsManagement = () => {
           )}
         </Modal>
 
+        <PipelineSettingsModal
+          visible={settingsVisible}
+          stages={stages}
+          transitions={transitions}
+          leadCounts={leadCounts}
+          saving={savingSettings}
+          onClose={() => setSettingsVisible(false)}
+          onSaveStages={handleSaveStages}
+          onSaveTransitions={handleSaveTransitions}
+        />
+
+        <ScoringRulesModal
+          visible={scoringVisible}
+          settings={scoring}
+          canEdit={canConfigurePipeline}
+          saving={savingScoring}
+          recalculating={recalculating}
+          onClose={() => setScoringVisible(false)}
+          onSave={handleSaveScoring}
+          onRecalculate={handleRecalculateScores}
+        />
+
+        <TransitionModal
+          move={pendingMove}
+          submitting={moving}
+          onCancel={() => setPendingMove(null)}
+          onConfirm={handleConfirmMove}
+        />
+
         {/* History Modal */}
-        <StatusHistoryModal visible={historyModalVisible} onClose={() => setHistoryModalVisible(false)} lead={selectedHistoryLead} getTimelineColor={getTimelineColor} />
+        <StatusHistoryModal visible={historyModalVisible} onClose={() => setHistoryModalVisible(false)} lead={selectedHistoryLead} stages={stages} />
 
         {/* Meeting Modal */}
         <MeetingModal
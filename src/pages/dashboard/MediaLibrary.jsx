@@ -9,6 +9,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { cmsApi } from '../../services/api';
+import { BASE_URL } from '../../config';
 import { useAuth } from '../../contexts/AuthContext';
 import moment from 'moment';
 import FolderSidebar from '../../components/media/FolderSidebar';
@@ -16,6 +17,8 @@ import FileGrid from '../../components/media/FileGrid';
 import UploadModal from '../../components/media/UploadModal';
 import EditFileModal from '../../components/media/EditFileModal';
 import DeleteConfirmationModal from '../../components/media/DeleteConfirmationModal';
+import Can from '../../components/common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
 import { FaPlus, FaTimes, FaUpload, FaImage, FaFileAlt, FaFilePdf, FaFileWord } from 'react-icons/fa';
 
 const MediaLibrary = () => {
@@ -55,28 +58,28 @@ const MediaLibrary = () => {
   const getMediaUrl = (path) => {
     if (!path) return '';
     
-    // If it's already a full URL, return it as is
-    if (path.startsWith('http')) return path;
+    // If it's already a full URL (or an inline data/blob URL), return it as is
+    if (/^(https?:|data:|blob:)/.test(path)) return path;
     
     // Handle malformed URLs like "uploadsmedia1752899497345-718978807.png"
     if (path.includes('uploadsmedia') && !path.includes('/uploads/media/')) {
       const filename = path.replace('uploadsmedia', '');
-      return `https://cms-backend-7fb2.onrender.com/uploads/media/${filename}`;
+      return `${BASE_URL}/uploads/media/${filename}`;
     }
     
     // If it contains a full path with uploads/media, extract just the filename
     if (path.includes('/uploads/media/')) {
       const filename = path.split('/uploads/media/').pop();
-      return `https://cms-backend-7fb2.onrender.com/uploads/media/${filename}`;
+      return `${BASE_URL}/uploads/media/${filename}`;
     }
     
     // For paths that might already be just filenames
     if (!path.includes('/')) {
-      return `https://cms-backend-7fb2.onrender.com/uploads/media/${path}`;
+      return `${BASE_URL}/uploads/media/${path}`;
     }
     
     // Default case: extract the filename from the path and construct the URL
-    return `https://cms-backend-7fb2.onrender.com/uploads/media/${path.split('/').pop()}`;
+    return `${BASE_URL}/uploads/media/${path.split('/').pop()}`;
   };
 
   useEffect(() => {
@@ -821,19 +824,23 @@ const MediaLibrary = () => {
             <p className="mt-1 text-sm text-gray-500">Manage your media files and folders</p>
           </div>
           <div className="flex gap-3">
-            <button
-              onClick={() => setShowNewFolderModal(true)}
-              className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all"
-            >
-              <FaPlus className="mr-2 -ml-1" /> New Folder
-            </button>
-            <button
-              onClick={() => setShowUploadModal(true)}
-              className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all"
-              disabled={folders.length === 0}
-            >
-              <FaUpload className="mr-2 -ml-1" /> Upload Files
-            </button>
+            <Can perform={PERMISSIONS.MEDIA_UPLOAD}>
+              <button
+                onClick={() => setShowNewFolderModal(true)}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all"
+              >
+                <FaPlus className="mr-2 -ml-1" /> New Folder
+              </button>
+            </Can>
+            <Can perform={PERMISSIONS.MEDIA_UPLOAD}>
+              <button
+                onClick={() => setShowUploadModal(true)}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-all"
+                disabled={folders.length === 0}
+              >
+                <FaUpload className="mr-2 -ml-1" /> Upload Files
+              </button>
+            </Can>
           </div>
         </div>
 
@@ -847,7 +854,6 @@ const MediaLibrary = () => {
                 folderSearchQuery={folderSearchQuery}
                 setFolderSearchQuery={setFolderSearchQuery}
                 handleClearFolderSearch={handleClearFolderSearch}
-                user={user}
                 handleDeleteConfirmation={handleDeleteConfirmation}
               />
             </div>
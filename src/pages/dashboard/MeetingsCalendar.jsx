@@ -0,0 +1,256 @@
+// ===============================
+// File: MeetingsCalendar.jsx
+// Description: Day, week and month calendar of lead and inquiry meetings, with drag-to-reschedule, overlap warnings
+//              and iCalendar export and feeds.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Button, Modal, Segmented, Select, Space, message } from 'antd';
+import { CalendarOutlined, DownloadOutlined, LeftOutlined, RightOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import Card from '../../components/elements/Card';
+import MeetingCalendar, { visibleDays } from '../../components/meetings/MeetingCalendar';
+import MeetingDetailsModal from '../../components/meetings/MeetingDetailsModal';
+import CalendarFeedModal from '../../components/meetings/CalendarFeedModal';
+import { getMeetings, rescheduleMeeting, getMeetingFeed, resetMeetingFeed, getLeadOwners } from '../../services/api';
+import { API_CONFIG } from '../../config';
+import { useAuth } from '../../contexts/AuthContext';
+import usePermission from '../../hooks/usePermission';
+import { PERMISSIONS } from '../../constants/permissions';
+import { buildICalendar, findConflicts, meetingPerson } from '../../utils/meetings';
+import { downloadFile, toFileName } from '../../utils/fileDownload';
+
+/**
+ * Heading for the period a view shows, e.g. "Oct 12 – 18, 2026"
+ * @param {'day'|'week'|'month'} view
+ * @param {dayjs.Dayjs} date
+ * @returns {string}
+ */
+const periodLabel = (view, date) => {
+  if (view === 'day') return date.format('dddd, MMMM D, YYYY');
+  if (view === 'month') return date.format('MMMM YYYY');
+  const start = date.startOf('week');
+  const end = date.endOf('week');
+  return start.month() === end.month()
+    ? `${start.format('MMM D')} – ${end.format('D, YYYY')}`
+    : `${start.format('MMM D')} – ${end.format('MMM D, YYYY')}`;
+};
+
+/**
+ * Meetings calendar page
+ * @returns {JSX.Element}
+ */
+const MeetingsCalendar = () => {
+  const { user } = useAuth();
+  const canManageLeads = usePermission(PERMISSIONS.LEADS_MANAGE);
+  const canManageInquiries = usePermission(PERMISSIONS.INQUIRIES_MANAGE);
+  const [view, setView] = useState('week');
+  const [date, setDate] = useState(() => dayjs());
+  const [ownerFilter, setOwnerFilter] = useState(null);
+  const [owners, setOwners] = useState([]);
+  const [meetings, setMeetings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedMeeting, setSelectedMeeting] = useState(null);
+  const [feedVisible, setFeedVisible] = useState(false);
+  const [feedToken, setFeedToken] = useState(null);
+  const [resettingFeed, setResettingFeed] = useState(false);
+
+  const days = useMemo(() => visibleDays(view, date), [view, date]);
+
+  /**
+   * Loads the meetings of the visible period
+   */
+  const fetchMeetings = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getMeetings({
+        start: days[0].startOf('day').toISOString(),
+        end: days[days.length - 1].endOf('day').toISOString(),
+        owner: ownerFilter || undefined
+      });
+      setMeetings(response.data);
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to load meetings');
+    } finally {
+      setLoading(false);
+    }
+  }, [days, ownerFilter]);
+
+  useEffect(() => { fetchMeetings(); }, [fetchMeetings]);
+
+  useEffect(() => {
+    getLeadOwners()
+      .then((response) => setOwners(response.data))
+      .catch(() => setOwners([]));
+  }, []);
+
+  // Overlaps are checked per person, so an owner filter never hides a conflict
+  const conflicts = useMemo(() => findConflicts(meetings), [meetings]);
+
+  const canReschedule = useCallback((meeting) => (
+    meeting.record?.type === 'lead' ? canManageLeads : canManageInquiries
+  ), [canManageLeads, canManageInquiries]);
+
+  const shiftPeriod = (direction) => setDate((current) => current.add(direction, view));
+
+  /**
+   * Saves a new date and time. The meeting moves at once and moves back if the update fails.
+   * @param {object} meeting
+   * @param {{ date: string, time: string }} slot
+   */
+  const saveReschedule = async (meeting, slot) => {
+    setMeetings((list) => list.map((entry) => (entry._id === meeting._id ? { ...entry, ...slot } : entry)));
+    try {
+      const response = await rescheduleMeeting(meeting._id, slot);
+      setMeetings((list) => list.map((entry) => (entry._id === meeting._id ? response.data : entry)));
+      message.success('Meeting rescheduled');
+    } catch (error) {
+      setMeetings((list) => list.map((entry) => (entry._id === meeting._id ? meeting : entry)));
+      message.error(error.response?.data?.message || 'Failed to reschedule the meeting');
+    }
+  };
+
+  const handleReschedule = (meeting, slot) => {
+    const moved = { ...meeting, ...slot };
+    const clashes = findConflicts(meetings.map((entry) => (entry._id === meeting._id ? moved : entry)))[meeting._id] || [];
+    if (!clashes.length) {
+      saveReschedule(meeting, slot);
+      return;
+    }
+    Modal.confirm({
+      title: 'This meeting would overlap',
+      content: `${meetingPerson(meeting)?.name || 'The owner'} already has ${clashes
+        .map((other) => `"${other.title}" at ${other.time}`)
+        .join(', ')} on ${dayjs(slot.date).format('MMM D')}. Reschedule anyway?`,
+      okText: 'Reschedule Anyway',
+      cancelText: 'Keep Current Time',
+      onOk: () => saveReschedule(meeting, slot)
+    });
+  };
+
+  const handleExport = () => {
+    const name = `Meetings ${periodLabel(view, date)}`;
+    downloadFile(buildICalendar(meetings, { name }), `${toFileName(name, 'meetings')}.ics`, 'text/calendar');
+  };
+
+  const handleExportMeeting = (meeting) => {
+    downloadFile(buildICalendar([meeting], { name: meeting.title }), `${toFileName(meeting.title, 'meeting')}.ics`, 'text/calendar');
+  };
+
+  const openFeed = async () => {
+    setFeedVisible(true);
+    if (feedToken) return;
+    try {
+      const response = await getMeetingFeed();
+      setFeedToken(response.data.token);
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to load your calendar feed');
+    }
+  };
+
+  const handleResetFeed = async () => {
+    try {
+      setResettingFeed(true);
+      const response = await resetMeetingFeed();
+      setFeedToken(response.data.token);
+      message.success('Calendar feed address replaced');
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to replace the calendar feed address');
+    } finally {
+      setResettingFeed(false);
+    }
+  };
+
+  return (
+    <div className="container max-w-full mx-auto px-4 py-8" aria-label="Meetings Calendar">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800 tracking-tight">Meetings</h1>
+          <p className="text-sm text-gray-500 mt-1">Meetings scheduled with leads and inquiries</p>
+        </div>
+        <Space wrap>
+          <Select
+            value={ownerFilter || undefined}
+            onChange={(owner) => setOwnerFilter(owner || null)}
+            placeholder="Everyone"
+            allowClear
+            className="min-w-[180px]"
+            aria-label="Filter by owner"
+            options={[
+              ...(user?._id ? [{ value: user._id, label: 'My meetings' }] : []),
+              ...owners.filter((owner) => owner._id !== user?._id).map((owner) => ({ value: owner._id, label: owner.name }))
+            ]}
+          />
+          <Button icon={<DownloadOutlined />} onClick={handleExport} disabled={!meetings.length}>
+            Export .ics
+          </Button>
+          <Button icon={<CalendarOutlined />} onClick={openFeed}>
+            Subscribe
+          </Button>
+        </Space>
+      </div>
+
+      <Card className={loading ? 'opacity-60' : ''}>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <Space>
+            <Button icon={<LeftOutlined />} onClick={() => shiftPeriod(-1)} aria-label={`Previous ${view}`} />
+            <Button onClick={() => setDate(dayjs())}>Today</Button>
+            <Button icon={<RightOutlined />} onClick={() => shiftPeriod(1)} aria-label={`Next ${view}`} />
+            <h2 className="text-lg font-semibold text-gray-800 ml-2">{periodLabel(view, date)}</h2>
+          </Space>
+          <Segmented
+            value={view}
+            onChange={setView}
+            options={[
+              { value: 'day', label: 'Day' },
+              { value: 'week', label: 'Week' },
+              { value: 'month', label: 'Month' }
+            ]}
+          />
+        </div>
+        <MeetingCalendar
+          view={view}
+          date={date}
+          meetings={meetings}
+          conflicts={conflicts}
+          canReschedule={canReschedule}
+          onReschedule={handleReschedule}
+          onOpen={setSelectedMeeting}
+          onShowDay={(day) => {
+            setDate(day);
+            setView('day');
+          }}
+        />
+        <div className="flex gap-4 mt-3 text-xs text-gray-500">
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-blue-500" /> Lead</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-purple-500" /> Inquiry</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm ring-1 ring-red-400" /> Overlaps another meeting of the same person</span>
+        </div>
+      </Card>
+
+      <MeetingDetailsModal
+        meeting={selectedMeeting}
+        conflicts={(selectedMeeting && conflicts[selectedMeeting._id]) || []}
+        onClose={() => setSelectedMeeting(null)}
+        onExport={handleExportMeeting}
+      />
+
+      <CalendarFeedModal
+        visible={feedVisible}
+        url={feedToken ? `${API_CONFIG.BASE_URL.replace(/\/+$/, '')}/meetings/feed/${feedToken}.ics` : null}
+        resetting={resettingFeed}
+        onReset={handleResetFeed}
+        onClose={() => setFeedVisible(false)}
+      />
+    </div>
+  );
+};
+
+export default MeetingsCalendar;
+// ===============================
+// End of File: MeetingsCalendar.jsx
+// Description: Meetings calendar page
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -8,7 +8,7 @@ import React, { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import { newsletterApi } from '../../services/api';
 import { useAuth } from '../../contexts/AuthContext';
-import { FaEnvelope, FaUsers, FaPaperPlane, FaEdit, FaTrash, FaTimes, FaPlus, FaCode, FaEye, FaClock, FaCalendarAlt } from 'react-icons/fa';
+import { FaEnvelope, FaUsers, FaPaperPlane, FaEdit, FaTrash, FaTimes, FaPlus, FaCode, FaEye, FaClock, FaCalendarAlt, FaFileImport } from 'react-icons/fa';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import dayjs from 'dayjs';
@@ -23,10 +23,22 @@ import ScheduleModal from '../../components/newsletter/ScheduleModal';
 import CreateNewsletterModal from '../../components/newsletter/CreateNewsletterModal';
 import NewslettersTable from '../../components/newsletter/NewslettersTable';
 import SubscribersTable from '../../components/newsletter/SubscribersTable';
+import SubscriberImportModal from '../../components/newsletter/SubscriberImportModal';
+import SubscriberExport from '../../components/newsletter/SubscriberExport';
 import EditSubscriberModal from '../../components/newsletter/EditSubscriberModal';
 import DeleteConfirmationModal from '../../components/newsletter/DeleteConfirmationModal';
+import SegmentsTable from '../../components/newsletter/SegmentsTable';
+import SegmentModal from '../../components/newsletter/SegmentModal';
+import TemplateGallery from '../../components/newsletter/TemplateGallery';
+import NewsletterAnalytics from '../../components/newsletter/NewsletterAnalytics';
 import ConfirmationModal from '../../components/ui/ConfirmationModal';
 import ErrorBoundary from '../../components/common/ErrorBoundary';
+import Can from '../../components/common/Can';
+import { PERMISSIONS } from '../../constants/permissions';
+import { resolveAudience, collectTags, collectAttributeKeys } from '../../utils/audienceSegments';
+import { NEWSLETTER_TOPICS } from '../../utils/subscriberPreferences';
+import { renderNewsletterEmail } from '../../utils/emailRenderer';
+import { AB_METRICS, validateAbTest, remainderPercentage } from '../../utils/abTesting';
 // ===============================
 // End of File: NewsletterDashboard.jsx
 // Description: Newsletter dashboard for managing newsletters and subscribers, including scheduling, editing, and sending.
@@ -52,6 +64,28 @@ const WEEKDAYS = [
   { value: 6, label: 'Saturday' }
 ];
 
+// Blank newsletter form; an empty audience means every active subscriber, and `blocks` is set only for block-built content
+const emptyNewsletter = () => ({
+  subject: '',
+  content: '',
+  contentType: 'html',
+  topic: NEWSLETTER_TOPICS[0].value,
+  important: false,
+  audience: { segmentIds: [] },
+  blocks: null,
+  abTest: null
+});
+
+/**
+ * Adds the email-safe export to a newsletter or A/B variant.
+ * @param {Object} draft - Anything with subject, content and blocks
+ * @returns {Object}
+ */
+const withEmailExport = (draft) => {
+  const { html, text } = renderNewsletterEmail(draft);
+  return { ...draft, emailHtml: html, emailText: text };
+};
+
 // Helper to check if 24 hours have passed since last sent
 const isActionDisabled = (newsletter) => {
   const sentAt = newsletter.lastSentAt || newsletter.updatedAt || newsletter.createdAt;
@@ -65,10 +99,18 @@ const NewsletterDashboard = () => {
   const { user } = useAuth();
   const [newsletters, setNewsletters] = useState([]);
   const [subscribers, setSubscribers] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [showSegmentModal, setShowSegmentModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [editingSegment, setEditingSegment] = useState(null);
+  const [deletingSegment, setDeletingSegment] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [deletingTemplate, setDeletingTemplate] = useState(null);
+  const [pickingWinner, setPickingWinner] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showNewModal, setShowNewModal] = useState(false);
   const [sending, setSending] = useState(false);
-  const [editorMode, setEditorMode] = useState('visual'); // 'visual' or 'html'
+  const [editorMode, setEditorMode] = useState('visual'); // 'blocks', 'visual' or 'html'
   const [showPreview, setShowPreview] = useState(false);
   const [editingNewsletter, setEditingNewsletter] = useState(null);
   const [selectedNewsletter, setSelectedNewsletter] = useState(null);
@@ -90,11 +132,7 @@ const NewsletterDashboard = () => {
   const newsletterPageSize = 8;
   const subscriberPageSize = 10;
 
-  const [newNewsletter, setNewNewsletter] = useState({
-    subject: '',
-    content: '',
-    contentType: 'html'
-  });
+  const [newNewsletter, setNewNewsletter] = useState(emptyNewsletter);
 
   const modules = {
     toolbar: [
@@ -120,9 +158,11 @@ const NewsletterDashboard = () => {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [newslettersRes, subscribersRes] = await Promise.all([
+      const [newslettersRes, subscribersRes, segmentsRes, templatesRes] = await Promise.all([
         newsletterApi.getNewsletters(),
-        newsletterApi.getSubscribers()
+        newsletterApi.getSubscribers(),
+        newsletterApi.getSegments(),
+        newsletterApi.getTemplates()
       ]);
       
       const newsletterData = newslettersRes.data?.data || [];
@@ -133,6 +173,8 @@ const NewsletterDashboard = () => {
       
       setNewsletters(newsletterData);
       setSubscribers(subscriberData);
+      setSegments(segmentsRes.data?.data || []);
+      setTemplates(templatesRes.data?.data || []);
     } catch (error) {
       console.error('Fetch error:', error);
       toast.error('Failed to fetch data');
@@ -141,13 +183,31 @@ const NewsletterDashboard = () => {
     }
   };
 
+  /**
+   * Reloads segments so their subscriber counts stay current after subscriber edits.
+   */
+  const fetchSegments = async () => {
+    try {
+      const response = await newsletterApi.getSegments();
+      setSegments(response.data?.data || []);
+    } catch (error) {
+      console.error('Fetch segments error:', error);
+    }
+  };
+
   const handleEditNewsletter = (newsletter) => {
     setEditingNewsletter(newsletter);
     setNewNewsletter({
       subject: newsletter.subject,
       content: newsletter.content,
-      contentType: newsletter.contentType || 'html'
+      contentType: newsletter.contentType || 'html',
+      topic: newsletter.topic || NEWSLETTER_TOPICS[0].value,
+      important: Boolean(newsletter.important),
+      audience: { segmentIds: newsletter.audience?.segmentIds || [] },
+      blocks: newsletter.blocks || null,
+      abTest: newsletter.abTest || null
     });
+    setEditorMode(newsletter.blocks ? 'blocks' : 'visual');
     setShowNewModal(true);
   };
 
@@ -201,20 +261,33 @@ const NewsletterDashboard = () => {
 
   const handleCreateOrUpdateNewsletter = async (e) => {
     e.preventDefault();
+    const abTestProblem = newNewsletter.abTest && validateAbTest(newNewsletter.abTest);
+    if (abTestProblem) {
+      toast.error(abTestProblem);
+      return;
+    }
     try {
+      // Store the email-safe export alongside the editable content; sending uses it.
+      // With an A/B test every variant gets one and variant A fills the newsletter's own fields.
+      let payload = withEmailExport(newNewsletter);
+      if (newNewsletter.abTest) {
+        const variants = newNewsletter.abTest.variants.map(withEmailExport);
+        const { subject, content, blocks, emailHtml, emailText } = variants[0];
+        payload = { ...newNewsletter, subject, content, blocks, emailHtml, emailText, abTest: { ...newNewsletter.abTest, variants } };
+      }
       if (editingNewsletter) {
-        const response = await newsletterApi.updateNewsletter(editingNewsletter._id, newNewsletter);
+        const response = await newsletterApi.updateNewsletter(editingNewsletter._id, payload);
         const updatedNewsletter = response.data;
         setNewsletters(prev => prev.map(n => n._id === editingNewsletter._id ? updatedNewsletter : n));
         toast.success('Newsletter updated successfully');
       } else {
-        const response = await newsletterApi.createNewsletter(newNewsletter);
+        const response = await newsletterApi.createNewsletter(payload);
         const createdNewsletter = response.data;
         setNewsletters(prev => [createdNewsletter, ...prev]);
         toast.success('Newsletter created successfully');
       }
       setShowNewModal(false);
-      setNewNewsletter({ subject: '', content: '', contentType: 'html' });
+      setNewNewsletter(emptyNewsletter());
       setEditingNewsletter(null);
       await fetchData();
     } catch (error) {
@@ -238,10 +311,16 @@ const NewsletterDashboard = () => {
     try {
       setSending(true);
       const response = await newsletterApi.sendNewsletter(sendNewsletterId);
-      const { total, sent, failed } = response.data.data.stats;
-      toast.success(
-        `Newsletter sent successfully!\nSent to: ${sent} subscribers\nFailed: ${failed} subscribers\nTotal: ${total} subscribers`
-      );
+      const { newsletter, stats: { total, sent, failed } } = response.data.data;
+      if (newsletter.status === 'testing') {
+        toast.success(
+          `A/B test started!\nSent ${newsletter.abTest.variants.length} variants to ${sent} subscribers.\nThe winner goes out ${dayjs(newsletter.abTest.decideAt).format('MMM D, h:mm A')}.`
+        );
+      } else {
+        toast.success(
+          `Newsletter sent successfully!\nSent to: ${sent} subscribers\nFailed: ${failed} subscribers\nTotal: ${total} subscribers`
+        );
+      }
       setShowSendConfirm(false);
       setSendNewsletterId(null);
       await fetchData();
@@ -259,6 +338,22 @@ const NewsletterDashboard = () => {
     }
   };
 
+  const handleConfirmPickWinner = async () => {
+    if (!pickingWinner) return;
+    try {
+      setSending(true);
+      await newsletterApi.pickAbTestWinner(pickingWinner.newsletter._id, pickingWinner.variantId);
+      toast.success(`Variant ${pickingWinner.variantId} is being sent to the rest of the audience`);
+      await fetchData();
+    } catch (error) {
+      console.error('Pick winner error:', error);
+      toast.error(error.response?.data?.message || 'Failed to send the winning variant');
+    } finally {
+      setSending(false);
+      setPickingWinner(null);
+    }
+  };
+
   const handleSchedule = (newsletter) => {
     console.log('Schedule clicked for newsletter:', newsletter);
     setSelectedNewsletter(newsletter);
@@ -332,12 +427,39 @@ const NewsletterDashboard = () => {
       
       setShowEditSubscriberModal(false);
       setEditingSubscriber(null);
+      fetchSegments();
     } catch (error) {
       console.error('Update subscriber error:', error);
       throw error; // Re-throw to let the modal handle the error
     }
   };
 
+  /**
+   * Reloads the list after a bulk import, without the full-page loading state.
+   */
+  const handleSubscribersImported = async () => {
+    try {
+      const response = await newsletterApi.getSubscribers();
+      setSubscribers(response.data?.data || []);
+      setCurrentSubscriberPage(1);
+      fetchSegments();
+    } catch (error) {
+      console.error('Fetch subscribers error:', error);
+      toast.error('Failed to reload subscribers');
+    }
+  };
+
+  const handleResendConfirmation = async (subscriber) => {
+    try {
+      const response = await newsletterApi.resendConfirmation(subscriber._id);
+      setSubscribers(prev => prev.map(s => (s._id === subscriber._id ? response.data.data : s)));
+      toast.success(response.data.message || 'Confirmation email sent');
+    } catch (error) {
+      console.error('Resend confirmation error:', error);
+      toast.error(error.response?.data?.message || 'Failed to send the confirmation email');
+    }
+  };
+
   const handleDeleteSubscriber = (subscriber) => {
     setDeletingSubscriber(subscriber);
     setShowDeleteSubscriberModal(true);
@@ -350,6 +472,7 @@ const NewsletterDashboard = () => {
       setIsDeletingSubscriber(true);
       await newsletterApi.deleteSubscriber(deletingSubscriber._id);
       setSubscribers(prev => prev.filter(s => s._id !== deletingSubscriber._id));
+      fetchSegments();
       toast.success('Subscriber deleted successfully');
       handleCloseDeleteSubscriberModal();
     } catch (error) {
@@ -366,6 +489,68 @@ const NewsletterDashboard = () => {
     setIsDeletingSubscriber(false);
   };
 
+  // Segment management functions
+  const handleSaveSegment = async (segmentData) => {
+    if (editingSegment) {
+      await newsletterApi.updateSegment(editingSegment._id, segmentData);
+      toast.success('Segment updated successfully');
+    } else {
+      await newsletterApi.createSegment(segmentData);
+      toast.success('Segment created successfully');
+    }
+    setShowSegmentModal(false);
+    setEditingSegment(null);
+    await fetchSegments();
+  };
+
+  const handleConfirmDeleteSegment = async () => {
+    if (!deletingSegment) return;
+    try {
+      await newsletterApi.deleteSegment(deletingSegment._id);
+      setSegments(prev => prev.filter(s => s._id !== deletingSegment._id));
+      toast.success('Segment deleted successfully');
+    } catch (error) {
+      console.error('Delete segment error:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete segment');
+    } finally {
+      setDeletingSegment(null);
+    }
+  };
+
+  // Template management functions
+  const handleSaveTemplate = async (templateData) => {
+    const response = await newsletterApi.createTemplate(templateData);
+    setTemplates(prev => [response.data.data, ...prev]);
+    toast.success('Template saved successfully');
+  };
+
+  const handleConfirmDeleteTemplate = async () => {
+    if (!deletingTemplate) return;
+    try {
+      await newsletterApi.deleteTemplate(deletingTemplate._id);
+      setTemplates(prev => prev.filter(t => t._id !== deletingTemplate._id));
+      toast.success('Template deleted successfully');
+    } catch (error) {
+      console.error('Delete template error:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete template');
+    } finally {
+      setDeletingTemplate(null);
+    }
+  };
+
+  // Who the newsletter awaiting send confirmation will reach
+  const sendCandidate = newsletters.find(n => n._id === sendNewsletterId);
+  const sendSegments = segments.filter(s => sendCandidate?.audience?.segmentIds?.includes(s._id));
+  // Topic preferences are applied here; frequency limits only on the server, which knows past deliveries
+  const sendRecipientCount = sendCandidate ? resolveAudience(subscribers, sendSegments, sendCandidate).length : 0;
+  const sendTopic = NEWSLETTER_TOPICS.find(t => t.value === sendCandidate?.topic);
+  const sendAudienceLabel = (sendSegments.length
+    ? `${sendRecipientCount} subscriber${sendRecipientCount === 1 ? '' : 's'} in ${sendSegments.map(s => s.name).join(', ')}`
+    : `all ${sendRecipientCount} active subscriber${sendRecipientCount === 1 ? '' : 's'}`)
+    + (sendTopic ? ` who want ${sendTopic.label.toLowerCase()}` : '');
+  const sendAbTest = sendCandidate?.abTest;
+  const tagOptions = collectTags(subscribers);
+
   // Calculate statistics
   const totalSubscribers = subscribers.length;
   const totalNewsletters = newsletters.length;
@@ -434,21 +619,53 @@ const NewsletterDashboard = () => {
             onChange={setActiveTab}
             items={[
               { key: 'newsletters', label: 'Newsletters' },
-              { key: 'subscribers', label: 'Subscribers' }
+              { key: 'subscribers', label: 'Subscribers' },
+              { key: 'segments', label: 'Segments' },
+              { key: 'templates', label: 'Templates' },
+              { key: 'analytics', label: 'Analytics' }
             ]}
             className="!mb-0"
           />
           {activeTab === 'newsletters' && (
-            <button
-              onClick={() => {
-                setEditingNewsletter(null);
-                setNewNewsletter({ subject: '', content: '', contentType: 'html' });
-                setShowNewModal(true);
-              }}
-              className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-            >
-              <FaPlus className="mr-2" /> Create Newsletter
-            </button>
+            <Can perform={PERMISSIONS.NEWSLETTER_EDIT}>
+              <button
+                onClick={() => {
+                  setEditingNewsletter(null);
+                  setNewNewsletter(emptyNewsletter());
+                  setEditorMode('visual');
+                  setShowNewModal(true);
+                }}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                <FaPlus className="mr-2" /> Create Newsletter
+              </button>
+            </Can>
+          )}
+          {activeTab === 'subscribers' && (
+            <div className="flex items-center gap-2">
+              <SubscriberExport subscribers={subscribers} segments={segments} />
+              <Can perform={PERMISSIONS.SUBSCRIBERS_MANAGE}>
+                <button
+                  onClick={() => setShowImportModal(true)}
+                  className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <FaFileImport className="mr-2" /> Import
+                </button>
+              </Can>
+            </div>
+          )}
+          {activeTab === 'segments' && (
+            <Can perform={PERMISSIONS.SUBSCRIBERS_MANAGE}>
+              <button
+                onClick={() => {
+                  setEditingSegment(null);
+                  setShowSegmentModal(true);
+                }}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                <FaPlus className="mr-2" /> Create Segment
+              </button>
+            </Can>
           )}
         </div>
       </div>
@@ -465,6 +682,7 @@ const NewsletterDashboard = () => {
             onSend={handleSendNewsletter}
             onSchedule={handleSchedule}
             onCancelSchedule={handleCancelSchedule}
+            onPickWinner={(newsletter, variantId) => setPickingWinner({ newsletter, variantId })}
             sending={sending}
             isActionDisabled={isActionDisabled}
             // Pass a prop to indicate if a newsletter is scheduled for button label
@@ -472,6 +690,27 @@ const NewsletterDashboard = () => {
               newsletter.schedule && newsletter.schedule.nextSendDate ? 'Edit Schedule' : 'Schedule'
             }
           />
+        ) : activeTab === 'analytics' ? (
+          <NewsletterAnalytics />
+        ) : activeTab === 'templates' ? (
+          <div className="p-6">
+            {templates.length ? (
+              <TemplateGallery templates={templates} onDelete={setDeletingTemplate} />
+            ) : (
+              <p className="text-center text-sm text-gray-500">
+                No templates yet. Use &quot;Save as template&quot; while editing a newsletter.
+              </p>
+            )}
+          </div>
+        ) : activeTab === 'segments' ? (
+          <SegmentsTable
+            segments={segments}
+            onEdit={(segment) => {
+              setEditingSegment(segment);
+              setShowSegmentModal(true);
+            }}
+            onDelete={setDeletingSegment}
+          />
         ) : (
           <SubscribersTable
             subscribers={subscribers}
@@ -491,7 +730,7 @@ const NewsletterDashboard = () => {
           onClose={() => {
             setShowNewModal(false);
             setEditingNewsletter(null);
-            setNewNewsletter({ subject: '', content: '', contentType: 'html' });
+            setNewNewsletter(emptyNewsletter());
           }}
           onSubmit={handleCreateOrUpdateNewsletter}
           editingNewsletter={editingNewsletter}
@@ -501,6 +740,10 @@ const NewsletterDashboard = () => {
           setEditorMode={setEditorMode}
           showPreview={showPreview}
           setShowPreview={setShowPreview}
+          segments={segments}
+          subscribers={subscribers}
+          templates={templates}
+          onSaveTemplate={handleSaveTemplate}
         />
       )}
 
@@ -509,6 +752,7 @@ const NewsletterDashboard = () => {
         onClose={() => setShowScheduleModal(false)}
         newsletter={selectedNewsletter}
         onSchedule={fetchData}
+        segments={segments}
         // Log the scheduled data when editing
         onEditSchedule={(scheduledData) => {
           console.log('Editing scheduled newsletter data:', scheduledData);
@@ -534,6 +778,12 @@ const NewsletterDashboard = () => {
         type="warning"
       />
 
+      <SubscriberImportModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={handleSubscribersImported}
+      />
+
       <EditSubscriberModal
         isOpen={showEditSubscriberModal}
         onClose={() => {
@@ -542,6 +792,53 @@ const NewsletterDashboard = () => {
         }}
         subscriber={editingSubscriber}
         onUpdate={handleUpdateSubscriber}
+        onResendConfirmation={handleResendConfirmation}
+        tagOptions={tagOptions}
+      />
+
+      <SegmentModal
+        isOpen={showSegmentModal}
+        onClose={() => {
+          setShowSegmentModal(false);
+          setEditingSegment(null);
+        }}
+        segment={editingSegment}
+        onSave={handleSaveSegment}
+        tagOptions={tagOptions}
+        attributeOptions={collectAttributeKeys(subscribers)}
+      />
+
+      <ConfirmationModal
+        isOpen={Boolean(deletingTemplate)}
+        onClose={() => setDeletingTemplate(null)}
+        onConfirm={handleConfirmDeleteTemplate}
+        title="Delete Template"
+        message={`Are you sure you want to delete the template "${deletingTemplate?.name}"? Newsletters made from it are not affected.`}
+        confirmText="Delete Template"
+        cancelText="Cancel"
+        type="danger"
+      />
+
+      <ConfirmationModal
+        isOpen={Boolean(pickingWinner)}
+        onClose={() => setPickingWinner(null)}
+        onConfirm={handleConfirmPickWinner}
+        title="Send Winning Variant"
+        message={`End the A/B test now and send variant ${pickingWinner?.variantId} to everyone in the audience who has not received the newsletter yet?`}
+        confirmText="Send Variant"
+        cancelText="Cancel"
+        type="warning"
+      />
+
+      <ConfirmationModal
+        isOpen={Boolean(deletingSegment)}
+        onClose={() => setDeletingSegment(null)}
+        onConfirm={handleConfirmDeleteSegment}
+        title="Delete Segment"
+        message={`Are you sure you want to delete the segment "${deletingSegment?.name}"? Subscribers are not affected.`}
+        confirmText="Delete Segment"
+        cancelText="Cancel"
+        type="danger"
       />
 
       <ConfirmationModal
@@ -570,7 +867,16 @@ const NewsletterDashboard = () => {
         onClose={() => { setShowSendConfirm(false); setSendNewsletterId(null); }}
         onConfirm={confirmSendNewsletter}
         title="Send Newsletter"
-        message={<span><strong>Are you sure?</strong><br/>This will send your newsletter to <span style={{color:'#2563eb'}}>all subscribers</span>.<br/>This action <span style={{color:'#e53e3e'}}>cannot be undone</span>.</span>}
+        message={sendAbTest ? (
+          <span>
+            <strong>Start the A/B test?</strong><br/>
+            {sendAbTest.variants.length} variants go to {100 - remainderPercentage(sendAbTest)}% of <span style={{color:'#2563eb'}}>{sendAudienceLabel}</span>.
+            After {sendAbTest.windowHours} hours the variant with the best {AB_METRICS.find(m => m.value === sendAbTest.metric)?.label.toLowerCase()} goes to the remaining {remainderPercentage(sendAbTest)}%.<br/>
+            This action <span style={{color:'#e53e3e'}}>cannot be undone</span>.
+          </span>
+        ) : (
+          <span><strong>Are you sure?</strong><br/>This will send your newsletter to <span style={{color:'#2563eb'}}>{sendAudienceLabel}</span>.<br/>This action <span style={{color:'#e53e3e'}}>cannot be undone</span>.</span>
+        )}
         confirmText="🚀 Send Now"
         cancelText="Cancel"
         type="warning"
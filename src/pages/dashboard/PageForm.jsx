@@ -13,6 +13,8 @@ import { cmsApi } from '../../services/api';
 import { message } from 'antd';
 import MetaFields from '../../components/pages/MetaFields';
 import ToggleFields from '../../components/pages/ToggleFields';
+import PublishScheduleFields from '../../components/common/PublishScheduleFields';
+import { DEFAULT_TIMEZONE, formatScheduleTime, validateSchedule } from '../../utils/publishSchedule';
 
 const PageForm = () => {
   const navigate = useNavigate();
@@ -26,7 +28,10 @@ const PageForm = () => {
     isMultiPage: false,
     metaTitle: '',
     metaDescription: '',
-    status: 'draft' // Add status field, default to 'draft'
+    status: 'draft', // Add status field, default to 'draft'
+    publishAt: null,
+    unpublishAt: null,
+    publishTimezone: DEFAULT_TIMEZONE
   });
   const [loading, setLoading] = useState(false);
   const [initialLoading, setInitialLoading] = useState(isEditMode);
@@ -49,7 +54,8 @@ const PageForm = () => {
         ...prev,
         ...data,
         metaTitle: data.metaTitle || '',
-        metaDescription: data.metaDescription || ''
+        metaDescription: data.metaDescription || '',
+        publishTimezone: data.publishTimezone || DEFAULT_TIMEZONE
       }));
     } catch (error) {
       console.error('Error fetching page details:', error);
@@ -67,6 +73,14 @@ const PageForm = () => {
     setPageData(prev => ({ ...prev, [name]: inputValue }));
   };
 
+  const handleScheduleChange = ({ timezone, ...times }) => {
+    setPageData(prev => ({
+      ...prev,
+      ...times,
+      ...(timezone ? { publishTimezone: timezone } : {})
+    }));
+  };
+
   const generateSlug = (title) => {
     return title
       .toLowerCase()
@@ -96,10 +110,24 @@ const PageForm = () => {
         message.error('All fields are required');
         return;
       }
+
+      // A scheduled page stays hidden until publishAt; the unpublish time applies to live pages too
+      const isScheduled = pageData.status === 'scheduled';
+      const payload = {
+        ...pageData,
+        publishAt: isScheduled ? pageData.publishAt : null,
+        unpublishAt: isScheduled || pageData.status === 'published' ? pageData.unpublishAt : null,
+        isActive: isScheduled ? false : pageData.isActive
+      };
+      const scheduleError = validateSchedule(payload, { requirePublishAt: isScheduled });
+      if (scheduleError) {
+        message.error(scheduleError);
+        return;
+      }
       
       const response = isEditMode
-        ? await cmsApi.updatePage(id, pageData)
-        : await cmsApi.createPage(pageData);
+        ? await cmsApi.updatePage(id, payload)
+        : await cmsApi.createPage(payload);
       
       console.log(isEditMode ? 'Page updated:' : 'Page created:', response.data);
       message.success(isEditMode ? 'Page updated successfully' : 'Page created successfully');
@@ -175,11 +203,25 @@ const PageForm = () => {
               required
             >
               <option value="draft">Draft</option>
+              <option value="scheduled">Scheduled</option>
               <option value="published">Published</option>
               <option value="archived">Archived</option>
             </select>
           </div>
 
+          {(pageData.status === 'scheduled' || pageData.status === 'published') && (
+            <div className="mb-4">
+              <PublishScheduleFields
+                publishAt={pageData.publishAt}
+                unpublishAt={pageData.unpublishAt}
+                timezone={pageData.publishTimezone}
+                onChange={handleScheduleChange}
+                showPublishAt={pageData.status === 'scheduled'}
+                requirePublishAt={pageData.status === 'scheduled'}
+              />
+            </div>
+          )}
+
           <MetaFields
             metaTitle={pageData.metaTitle}
             metaDescription={pageData.metaDescription}
@@ -190,6 +232,11 @@ const PageForm = () => {
             isActive={pageData.isActive}
             isMultiPage={pageData.isMultiPage}
             onChange={handleInputChange}
+            scheduleNote={pageData.status === 'scheduled'
+              ? (pageData.publishAt
+                ? `Goes live automatically at ${formatScheduleTime(pageData.publishAt, pageData.publishTimezone)}`
+                : 'Goes live automatically at the publish time')
+              : undefined}
           />
           
           {error && (
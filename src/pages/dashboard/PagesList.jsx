@@ -15,6 +15,43 @@ import { FEATURES, UI_CONFIG } from '../../config';
 import { message } from 'antd';
 import { Pagination } from 'antd';
 import DeletePageModal from '../../components/pages/DeletePageModal';
+import { formatScheduleTime, getEffectiveStatus } from '../../utils/publishSchedule';
+
+// Badge colours per page status; anything else renders as a draft
+const PAGE_STATUS_BADGE = {
+  published: 'bg-green-100 text-green-800',
+  scheduled: 'bg-purple-100 text-purple-800',
+  archived: 'bg-gray-100 text-gray-700'
+};
+
+/**
+ * Status badge for a page, showing "scheduled" until publishAt and the schedule times underneath
+ * @param {Object} props
+ * @param {Object} props.page
+ * @returns {JSX.Element}
+ */
+const PageStatus = ({ page }) => {
+  const status = getEffectiveStatus(page) || 'draft';
+  return (
+    <>
+      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+        PAGE_STATUS_BADGE[status] || 'bg-yellow-100 text-yellow-800'
+      }`}>
+        {status}
+      </span>
+      {status === 'scheduled' && page.publishAt && (
+        <div className="text-xs text-gray-500 mt-1">
+          Live {formatScheduleTime(page.publishAt, page.publishTimezone)}
+        </div>
+      )}
+      {status !== 'archived' && page.unpublishAt && (
+        <div className="text-xs text-gray-500 mt-1">
+          Ends {formatScheduleTime(page.unpublishAt, page.publishTimezone)}
+        </div>
+      )}
+    </>
+  );
+};
 
 const PagesList = () => {
   const navigate = useNavigate();
@@ -198,11 +235,7 @@ const PagesList = () => {
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                        page.status === 'published' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
-                      }`}>
-                        {page.status}
-                      </span>
+                      <PageStatus page={page} />
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center space-x-2">
@@ -4,7 +4,7 @@
 // Author: Tech4biz Solutions
 // Copyright: Tech4biz Solutions Private
 // ===============================
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import ReactQuill from 'react-quill';
@@ -20,6 +20,8 @@ import MediaSelector from '../../components/MediaSelector';
 import { API_CONFIG, FEATURES } from '../../config';
 import { cmsApi } from '../../services/api';
 import PageSelect from '../../components/sections/PageSelect';
+import useAutoSave from '../../hooks/useAutoSave';
+import SaveStatusIndicator, { DraftRecoveryBanner } from '../../components/common/SaveStatusIndicator';
 
 const LAYOUTS = {
   'two-column': { name: '2 Column Layout', fields: 2 },
@@ -52,6 +54,17 @@ const SectionForm = () => {
   const [error, setError] = useState(null);
   const [showMediaSelector, setShowMediaSelector] = useState(false);
   const [editingFieldIndex, setEditingFieldIndex] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [serverUpdatedAt, setServerUpdatedAt] = useState(null);
+
+  // Unsaved edits are kept on this device until the section is saved
+  const draftData = useMemo(() => ({ formData, layoutType, selectedPageId }), [formData, layoutType, selectedPageId]);
+  const autoSave = useAutoSave({
+    data: draftData,
+    draftKey: `section:${id || 'new'}`,
+    enabled: loaded,
+    serverUpdatedAt,
+  });
 
   useEffect(() => {
     // Fetch available pages when the component loads
@@ -90,6 +103,7 @@ const SectionForm = () => {
       }
     } finally {
       setIsLoading(false);
+      if (!isEditMode) setLoaded(true);
     }
   };
 
@@ -103,6 +117,7 @@ const SectionForm = () => {
 
       setLayoutType(section.type || '');
       setSelectedPageId(section.pageId);
+      setServerUpdatedAt(section.updatedAt || null);
       
       // Initialize fields array based on the section data
       const fields = section.data.fields || [];
@@ -130,9 +145,23 @@ const SectionForm = () => {
       toast.error('Failed to load section data');
     } finally {
       setIsLoading(false);
+      setLoaded(true);
     }
   };
 
+  /**
+   * Loads the unsaved draft found on this device and jumps to the content step.
+   */
+  const handleRestoreDraft = () => {
+    const draft = autoSave.restoreDraft();
+    if (!draft) return;
+    setFormData(draft.formData);
+    setLayoutType(draft.layoutType);
+    setSelectedPageId(draft.selectedPageId);
+    setCurrentStep(draft.layoutType ? 3 : 1);
+    toast.success('Unsaved changes restored');
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     if (name === 'sectionTitle' || name === 'sectionDescription') {
@@ -307,6 +336,7 @@ const SectionForm = () => {
         toast.success('Section created successfully');
       }
 
+      autoSave.markSaved();
       navigate('/dashboard/sections');
     } catch (error) {
       console.error('Error saving section:', error);
@@ -332,9 +362,18 @@ const SectionForm = () => {
     <div className="container mx-auto px-4 py-8">
       <Card>
         <div className="mb-8">
-          <h1 className="text-2xl font-bold mb-4">
-            {isEditMode ? 'Edit Section' : 'Create New Section'}
-          </h1>
+          <div className="flex items-center gap-3 mb-4">
+            <h1 className="text-2xl font-bold">
+              {isEditMode ? 'Edit Section' : 'Create New Section'}
+            </h1>
+            <SaveStatusIndicator status={autoSave.status} lastSaved={autoSave.lastSaved} error={autoSave.error} localOnly />
+          </div>
+          <DraftRecoveryBanner
+            draft={autoSave.draft}
+            onRestore={handleRestoreDraft}
+            onDiscard={autoSave.discardDraft}
+            className="mb-6"
+          />
           
           <div className="flex items-center space-x-4 mb-6">
             <div className={`flex-1 ${currentStep >= 1 ? 'text-blue-600' : 'text-gray-400'}`}>
@@ -3,6 +3,7 @@ import { FaUserPlus, FaEdit, FaTrash, FaSpinner } from 'react-icons/fa';
 import { toast } from 'react-toastify';
 import Card from '../../components/elements/Card';
 import api from '../../services/api';
+import { ROLES, ROLE_OPTIONS, getRoleLabel } from '../../constants/permissions';
 
 const UserForm = ({ user, onClose, onSubmit, isOpen }) => {
   const [formData, setFormData] = useState({
@@ -224,8 +225,11 @@ const UserForm = ({ user, onClose, onSubmit, isOpen }) => {
                   onChange={handleChange}
                   className={inputClasses(errors.role)}
                 >
-                  <option value="viewer">Viewer</option>
-                  <option value="admin">Admin</option>
+                  {ROLE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label} — {option.description}
+                    </option>
+                  ))}
                 </select>
                 {errors.role && (
                   <p className="mt-1 text-sm text-red-600">{errors.role}</p>
@@ -510,11 +514,11 @@ const Users = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                        user.role === 'admin' 
+                        user.role === ROLES.ADMIN 
                           ? 'bg-purple-100 text-purple-800' 
                           : 'bg-green-100 text-green-800'
                       }`}>
-                        {user.role}
+                        {getRoleLabel(user.role)}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
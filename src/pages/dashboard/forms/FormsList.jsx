@@ -78,6 +78,7 @@ const FormsList = () => {
                   <td className="py-2">{form.name}</td>
                   <td className="py-2">
                     <Link to={`/dashboard/forms/${form._id}`} className="text-blue-600 hover:underline" aria-label={`Open form ${form.title}`}>Open</Link>
+                    <Link to={`/dashboard/forms/${form._id}/submissions`} className="text-blue-600 hover:underline ml-4" aria-label={`Submissions of ${form.title}`}>Submissions</Link>
                   </td>
                 </tr>
               ))}
@@ -5,24 +5,155 @@
 // Copyright: Tech4biz Solutions Private
 // ===============================
 import axios from 'axios';
-
-// Get access token from localStorage
-const accessToken = localStorage.getItem('accessToken');
+import { API_CONFIG, FEATURES } from '../config';
+import {
+  getAccessToken,
+  getRefreshToken,
+  setTokens,
+  clearTokens,
+  getRefreshDelay,
+  isTokenExpiring,
+  subscribeToSession,
+} from './tokenManager';
 
 // Set up axios instance with defaults
 const api = axios.create({
-  baseURL: 'https://cms-backend-7fb2.onrender.com/api',
+  baseURL: API_CONFIG.BASE_URL,
+  timeout: API_CONFIG.TIMEOUT,
   withCredentials: true,
   headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${accessToken}`
+    'Content-Type': 'application/json'
   }
 });
 
-// Request interceptor to add auth token
+// Offline mock mode: answer every request from the in-browser mock backend.
+// Loaded lazily so the mock store and seed data stay out of the main bundle.
+if (FEATURES.ENABLE_MOCK_DATA) {
+  api.defaults.adapter = async (config) => (await import('./mock/mockAdapter')).default(config);
+}
+
+// Auth endpoints that must never wait for or trigger a token refresh
+const AUTH_ENDPOINTS = ['/auth/check-credentials', '/auth/refresh-token', '/auth/access-token', '/auth/logout'];
+
+const isAuthEndpoint = (url = '') => AUTH_ENDPOINTS.some((endpoint) => url.startsWith(endpoint));
+
+// Web Lock held while a refresh runs, so only one tab at a time exchanges the refresh token
+const REFRESH_LOCK_NAME = 'cms-auth-refresh';
+
+// The one in-flight refresh shared by every request that needs a new token
+let refreshPromise = null;
+let refreshTimer = null;
+let isEndingSession = false;
+
+/**
+ * Sends the browser to the login page unless it is already there.
+ */
+const redirectToLogin = () => {
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
+/**
+ * Ends the session once: clears tokens, notifies other tabs and redirects to login.
+ * Safe to call from several failing requests at the same time.
+ */
+export const endSession = () => {
+  if (isEndingSession) return;
+  isEndingSession = true;
+  clearTimeout(refreshTimer);
+  clearTokens();
+  redirectToLogin();
+};
+
+/**
+ * Runs a task while holding the cross-tab refresh lock.
+ * Browsers without the Web Locks API run it directly.
+ * @param {function(): Promise<*>} task
+ * @returns {Promise<*>}
+ */
+const withRefreshLock = (task) => (
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(REFRESH_LOCK_NAME, task)
+    : task()
+);
+
+/**
+ * Exchanges the refresh token for a new access token.
+ * Concurrent callers in this tab share the same request (single flight), and tabs take turns through a Web Lock.
+ * A tab that waited for the lock first re-reads the stored token: when another tab already refreshed it, that token is
+ * used instead of spending the (possibly rotated) refresh token again.
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const staleToken = getAccessToken();
+    refreshPromise = withRefreshLock(async () => {
+      const currentToken = getAccessToken();
+      if (currentToken && currentToken !== staleToken && !isTokenExpiring(currentToken)) {
+        scheduleTokenRefresh();
+        return currentToken;
+      }
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) throw new Error('No refresh token available');
+      const response = await api.post('/auth/access-token', { refreshToken });
+      if (!response.data.success) throw new Error('Failed to refresh access token');
+      // Servers that rotate refresh tokens return the new one alongside the access token
+      setTokens({ accessToken: response.data.accessToken, refreshToken: response.data.refreshToken });
+      scheduleTokenRefresh();
+      return response.data.accessToken;
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Schedules a refresh shortly before the access token's `exp`.
+ * Tokens without a readable `exp` are only refreshed on 401.
+ */
+export const scheduleTokenRefresh = () => {
+  clearTimeout(refreshTimer);
+  const delay = getRefreshDelay();
+  if (delay === null || !getRefreshToken()) return;
+  refreshTimer = setTimeout(() => {
+    // Another tab may have refreshed already; then just wait for the new token's expiry
+    if (!isTokenExpiring()) {
+      scheduleTokenRefresh();
+      return;
+    }
+    refreshAccessToken().catch(endSession);
+  }, Math.max(delay, 0));
+};
+
+// Keep this tab in step with logins, refreshes and logouts in other tabs
+subscribeToSession((message) => {
+  if (message.type === 'tokens') {
+    // Another tab logged in or refreshed: this tab's session is live again
+    isEndingSession = false;
+    scheduleTokenRefresh();
+  } else if (message.type === 'logout' && !isEndingSession) {
+    isEndingSession = true;
+    clearTimeout(refreshTimer);
+    redirectToLogin();
+  }
+});
+
+scheduleTokenRefresh();
+
+// Request interceptor to add auth token, refreshing first if it is about to expire
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('accessToken');
+  async (config) => {
+    if (!isAuthEndpoint(config.url)) {
+      if (refreshPromise) {
+        // A refresh is running - queue behind it
+        await refreshPromise.catch(() => {});
+      } else if (getRefreshToken() && isTokenExpiring()) {
+        await refreshAccessToken().catch(() => {});
+      }
+    }
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -37,25 +168,22 @@ api.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
     // If error is 401 and we haven't tried to refresh token yet
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthEndpoint(originalRequest.url)) {
+      // A refresh finished after this request went out: replay it with the current token instead of refreshing again.
+      // If the replay is rejected too, it was sent with the current token, so the next pass refreshes.
+      const currentToken = getAccessToken();
+      if (currentToken && originalRequest.headers?.Authorization !== `Bearer ${currentToken}` && !isTokenExpiring(currentToken)) {
+        return api(originalRequest);
+      }
       originalRequest._retry = true;
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (!refreshToken) throw new Error('No refresh token available');
-        // Get new access token
-        const response = await authApi.getAccessToken(refreshToken);
-        if (response.data.success) {
-          const newAccessToken = response.data.accessToken;
-          localStorage.setItem('accessToken', newAccessToken);
-          // Retry the original request with new token
-          originalRequest.headers.Authorization = `Bearer ${newAccessToken}`;
-          return api(originalRequest);
-        }
+        // Every request failing during a refresh waits on the same promise, then replays
+        const newAccessToken = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${newAccessToken}`;
+        return api(originalRequest);
       } catch (refreshError) {
         // If refresh token is invalid or expired, logout
-        localStorage.removeItem('accessToken');
-        localStorage.removeItem('refreshToken');
-        window.location.href = '/login';
+        endSession();
       }
     }
     return Promise.reject(error);
@@ -74,14 +202,16 @@ export const authApi = {
   getAccessToken: (refreshToken) => api.post('/auth/access-token', { refreshToken }),
   /** Step 4: Login (using access token) */
   login: (accessToken) => {
-    localStorage.setItem('accessToken', accessToken);
+    isEndingSession = false;
+    setTokens({ accessToken });
+    scheduleTokenRefresh();
     return Promise.resolve({ success: true });
   },
   register: (userData) => api.post('/auth/register', userData),
   logout: () => {
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    return api.post('/auth/logout');
+    clearTimeout(refreshTimer);
+    // Tokens are cleared only once the request settles, so it still carries the Authorization header
+    return api.post('/auth/logout').finally(clearTokens);
   },
   getCurrentUser: () => api.get('/auth/me'),
   forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
@@ -116,8 +246,15 @@ export const cmsApi = {
   getPageBySlug: (slug) => api.get(`/cms/pages/${slug}`),
   // Page Content with Sections
   getPageContent: (slug) => api.get(`/cms/pages/${slug}/content`),
+  getPublishedPageBySlug: (slug) => api.get(`/cms/pages/slug/${slug}`),
+  getPublishedSections: () => api.get('/cms/sections/published'),
+  getPublishedPageSections: (pageId) => api.get(`/cms/sections/published/page/${pageId}`),
   getAdminPageContent: (slug) => api.get(`/cms/admin/pages/${slug}/content`),
   updatePageContent: (slug, data) => api.put(`/cms/admin/pages/${slug}/content`, data),
+  // Page Instances
+  getPageInstances: (pageId) => api.get(`/pages/${pageId}/instances`),
+  createPageInstance: (pageId, data) => api.post(`/pages/${pageId}/instances`, data),
+  updatePageInstance: (pageId, instanceId, data) => api.put(`/pages/${pageId}/instances/${instanceId}`, data),
   // Blogs
   getBlogs: (params) => api.get('/blogs', { params }),
   getAdminBlogs: () => api.get('/blogs'),
@@ -128,8 +265,13 @@ export const cmsApi = {
   getBlogBySlug: (slug) => api.get(`/blogs/${slug}`),
   getBlogStats: () => api.get('/blogs/stats'),
   getRecentBlogs: () => api.get('/blogs/recent'),
-  publishBlog: (id) => api.put(`/blogs/${id}/publish`),
-  unpublishBlog: (id) => api.put(`/blogs/${id}/unpublish`),
+  // Blog editorial workflow; publishing and unpublishing are workflow moves too
+  transitionBlog: (id, data) => api.put(`/blogs/${id}/workflow`, data),
+  addBlogComment: (id, text) => api.post(`/blogs/${id}/comments`, { text }),
+  getBlogReviewers: () => api.get('/blogs/reviewers'),
+  // Blog revisions (one per save)
+  getBlogRevisions: (id) => api.get(`/blogs/${id}/revisions`),
+  restoreBlogRevision: (id, revisionId) => api.put(`/blogs/${id}/revisions/${revisionId}/restore`),
   searchBlogs: (query) => api.get('/blogs/search', { params: { query } }),
   // Media Library
   getFolders: () => api.get('/cms/folders'),
@@ -154,6 +296,8 @@ export const cmsApi = {
   // Stats and Analytics
   getStats: () => api.get('/cms/stats'),
   getAnalytics: (startDate, endDate) => api.get('/cms/analytics', { params: { startDate, endDate } }),
+  // Scheduled publish/unpublish times for blogs and pages
+  getScheduledContent: (startDate, endDate) => api.get('/cms/schedule', { params: { startDate, endDate } }),
   // Components
   getComponents: () => api.get('/cms/components'),
   getComponent: (id) => api.get(`/cms/components/${id}`),
@@ -167,8 +311,20 @@ export const cmsApi = {
  * Newsletter API endpoints for subscriber and newsletter management
  */
 export const newsletterApi = {
-  subscribe: (email) => api.post('/newsletter/subscribe', { email }),
+  // Double opt-in: the address stays pending until the emailed link is confirmed. `source` is the
+  // consent record's form details (see describeSignupSource) and `consent` the ticked opt-in box.
+  subscribe: (email, { source, consent } = {}) => api.post('/newsletter/subscribe', { email, source, consent }),
+  confirmSubscription: (token) => api.post(`/newsletter/confirm/${token}`),
   unsubscribe: (email) => api.post('/newsletter/unsubscribe', { email }),
+  // Public preference center, authorized by the subscriber's link token
+  getPreferences: (token) => api.get(`/newsletter/preferences/${token}`),
+  updatePreferences: (token, preferences) => api.put(`/newsletter/preferences/${token}`, preferences),
+  unsubscribeByToken: (token) => api.post(`/newsletter/preferences/${token}/unsubscribe`),
+  resendConfirmation: (id) => api.post(`/newsletter/subscribers/${id}/confirmation`),
+  // Bulk import of mapped records (see utils/subscriberImport); `dryRun: true` only reports what would change
+  importSubscribers: ({ records, newStatus, consentNote, dryRun }) => api.post('/newsletter/subscribers/import', {
+    records, newStatus, consentNote, dryRun
+  }),
   getSubscribers: () => api.get('/newsletter/subscribers'),
   getSubscriber: (id) => api.get(`/newsletter/subscribers/${id}`),
   updateSubscriber: (id, data) => api.put(`/newsletter/subscribers/${id}`, data),
@@ -176,13 +332,28 @@ export const newsletterApi = {
   getNewsletters: () => api.get('/newsletter'),
   createNewsletter: (data) => api.post('/newsletter', data),
   sendNewsletter: (id) => api.post(`/newsletter/${id}/send`),
+  // Ends a running A/B test now; omit variantId to pick the winner by the test's metric
+  pickAbTestWinner: (id, variantId) => api.post(`/newsletter/${id}/ab-test/winner`, { variantId }),
+  // Delivery and engagement: per-campaign summary, summaries of all sent campaigns, and the raw event log
+  getCampaignAnalytics: (id) => api.get(`/newsletter/${id}/analytics`),
+  getAnalyticsTrends: () => api.get('/newsletter/analytics'),
+  getNewsletterEvents: (id) => api.get(`/newsletter/${id}/events`),
   deleteNewsletter: (id) => api.delete(`/newsletter/${id}`),
   updateNewsletter: (id, data) => api.put(`/newsletter/${id}`, data),
   scheduleNewsletter: (id, scheduleData) => api.post(`/newsletter/${id}/schedule`, scheduleData),
   cancelSchedule: (id) => api.post(`/newsletter/${id}/cancel-schedule`),
   getSchedule: (id) => api.get(`/newsletter/${id}/schedule`),
   updateSchedule: (id, scheduleData) => api.put(`/newsletter/${id}/schedule`, scheduleData),
-  getScheduledNewsletters: () => api.get('/newsletter/scheduled')
+  getScheduledNewsletters: () => api.get('/newsletter/scheduled'),
+  getSegments: () => api.get('/newsletter/segments'),
+  createSegment: (data) => api.post('/newsletter/segments', data),
+  updateSegment: (id, data) => api.put(`/newsletter/segments/${id}`, data),
+  deleteSegment: (id) => api.delete(`/newsletter/segments/${id}`),
+  getTemplates: () => api.get('/newsletter/templates'),
+  createTemplate: (data) => api.post('/newsletter/templates', data),
+  deleteTemplate: (id) => api.delete(`/newsletter/templates/${id}`),
+  // Pass `{ segmentIds }` for saved segments or `{ segment: { match, rules } }` for unsaved rules
+  previewAudience: (audience) => api.post('/newsletter/audience/preview', audience)
 };
 
 // Component API (legacy, for direct calls)
@@ -199,10 +370,12 @@ export const reorderComponents = (pageId, componentOrders) => api.put(`/cms/comp
 export const getLayouts = () => api.get('/layouts');
 export const getLayout = (id) => api.get(`/layouts/${id}`);
 export const createLayout = (layoutData) => api.post('/layouts', layoutData);
+// Send `baseRevision` (the layout's `revision` when loaded) to get a 409 with the current layout instead of overwriting newer edits
 export const updateLayout = (id, layoutData) => api.put(`/layouts/${id}`, layoutData);
 export const deleteLayout = (id) => api.delete(`/layouts/${id}`);
 export const getLayoutById = (id) => api.get(`/layouts/${id}`);
 export const getLayoutVersions = (id) => api.get(`/layouts/${id}/versions`);
+export const restoreLayoutVersion = (id, version) => api.put(`/layouts/${id}/versions/${version}/restore`);
 
 // Notification API functions
 export const getNotifications = async () => {
@@ -275,6 +448,82 @@ export const scheduleMeeting = async (leadId, meetingData) => {
     );
   }
 };
+export const updateLead = async (leadId, data) => {
+  try {
+    const response = await api.put(`/leads/${leadId}`, data);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+export const getLeadOwners = async () => {
+  try {
+    const response = await api.get('/leads/owners');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Lead scoring rules and the hot-lead threshold
+export const getLeadScoring = async () => {
+  try {
+    const response = await api.get('/leads/scoring');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+export const updateLeadScoring = async (settings) => {
+  try {
+    const response = await api.put('/leads/scoring', settings);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+export const recalculateLeadScores = async () => {
+  try {
+    const response = await api.post('/leads/scoring/recalculate');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Sales pipeline stages and transitions shared by leads and inquiries
+export const getPipelineStages = async () => {
+  try {
+    const response = await api.get('/pipeline/stages');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+export const updatePipelineStages = async (stages) => {
+  try {
+    const response = await api.put('/pipeline/stages', { stages });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+export const getPipelineTransitions = async () => {
+  try {
+    const response = await api.get('/pipeline/transitions');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+export const updatePipelineTransitions = async (transitions) => {
+  try {
+    const response = await api.put('/pipeline/transitions', { transitions });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
 
 // Activity API
 export const getActivities = async (params = {}) => {
@@ -284,9 +533,7 @@ export const getActivities = async (params = {}) => {
   } catch (error) {
     if (error.response?.status === 401) {
       // Token expired or invalid, redirect to login
-      localStorage.removeItem('accessToken');
-      localStorage.removeItem('refreshToken');
-      window.location.href = '/login';
+      endSession();
     }
     throw error;
   }
@@ -341,6 +588,48 @@ export const scheduleInquiryMeeting = async (inquiryId, meetingData) => {
     throw error;
   }
 };
+export const convertInquiryToLead = async (inquiryId, data = {}) => {
+  try {
+    const response = await api.post(`/cms/inquiries/${inquiryId}/convert`, data);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Meetings of leads and inquiries, for the meetings calendar
+export const getMeetings = async (params = {}) => {
+  try {
+    const response = await api.get('/meetings', { params });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+export const rescheduleMeeting = async (meetingId, data) => {
+  try {
+    const response = await api.put(`/meetings/${meetingId}`, data);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+export const getMeetingFeed = async () => {
+  try {
+    const response = await api.get('/meetings/feed');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+export const resetMeetingFeed = async () => {
+  try {
+    const response = await api.post('/meetings/feed/reset');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
 
 /**
  * Form API endpoints
@@ -350,8 +639,15 @@ export const formApi = {
   getFormById: (id) => api.get(`/forms/${id}`),
   createForm: (data) => api.post('/forms', data),
   updateForm: (id, data) => api.put(`/forms/${id}`, data),
-  submitForm: (id, data) => api.post(`/forms/${id}/submit`, data),
+  submitForm: (id, data, viewId) => api.post(`/forms/${id}/submit`, data, viewId ? { params: { viewId } } : undefined),
   deleteForm: (id) => api.delete(`/forms/${id}`),
+  // Views: one per time the form is opened, with the questions answered so far, for drop-off analytics
+  recordView: (id) => api.post(`/forms/${id}/views`),
+  updateView: (id, viewId, answered) => api.put(`/forms/${id}/views/${viewId}`, { answered }),
+  // Submissions inbox; params: search, from, to (ISO dates)
+  getSubmissions: (id, params) => api.get(`/forms/${id}/submissions`, { params }),
+  getSubmissionFile: (id, submissionId, field) => api.get(`/forms/${id}/submissions/${submissionId}/files/${field}`),
+  getAnalytics: (id, params) => api.get(`/forms/${id}/analytics`, { params }),
 };
 
 export const authorApi = {
@@ -0,0 +1,250 @@
+// ===============================
+// File: collaboration.js
+// Description: Real-time collaboration rooms over a WebSocket: presence heartbeats, soft component locks and save announcements.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { API_CONFIG, FEATURES } from '../config';
+import { getAccessToken } from './tokenManager';
+
+/**
+ * How often each client re-announces its state
+ * @type {number}
+ */
+export const HEARTBEAT_MS = 5000;
+
+/**
+ * Peers not heard from for this long are treated as gone (closed laptop, lost network)
+ * @type {number}
+ */
+export const PEER_TIMEOUT_MS = 15000;
+
+// Reconnect delay doubles after each failed attempt, up to the cap, and resets once a socket opens
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60000;
+
+/**
+ * Close codes meaning the server refused the session; reconnecting with the same token would fail again.
+ * 1008 is the standard policy violation code; 4001/4003 are the endpoint's unauthorized/forbidden codes.
+ * @type {Array<number>}
+ */
+const AUTH_CLOSE_CODES = [1008, 4001, 4003];
+
+/**
+ * WebSocket URL of the collaboration endpoint, derived from the API URL.
+ * The access token is sent in the first message rather than the URL, which proxies and server logs record.
+ * @returns {string}
+ */
+const getSocketUrl = () => `${API_CONFIG.BASE_URL.replace(/^http/, 'ws')}/collab`;
+
+/**
+ * Opens a socket to the collaboration endpoint. The offline mock profile uses a local stand-in
+ * that relays between browser tabs. Loaded lazily so the mock stays out of the main bundle.
+ * @returns {Promise<WebSocket>}
+ */
+const openSocket = async () => {
+  if (FEATURES.ENABLE_MOCK_DATA) {
+    const { default: MockSocket } = await import('./mock/mockSocket');
+    return new MockSocket(getSocketUrl());
+  }
+  return new WebSocket(getSocketUrl());
+};
+
+/**
+ * Id of this browser tab, so one user with two tabs shows up as two sessions
+ * @type {string}
+ */
+const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Works out who holds each soft lock. When two clients claim the same component,
+ * the earlier claim wins (ties go to the lower client id), so every client agrees without a server.
+ * @param {{ clientId: string, user: Object, lockId: string|null, lockedAt: number|null }} self
+ * @param {Array<Object>} peers - Peer states from the room
+ * @returns {Object<string, { clientId: string, user: Object, lockedAt: number, self: boolean }>} Holder by component id
+ */
+export const resolveLocks = (self, peers) => {
+  const holders = {};
+  [{ ...self, self: true }, ...peers.map((peer) => ({ ...peer, self: false }))]
+    .filter((state) => state.lockId)
+    .forEach((state) => {
+      const current = holders[state.lockId];
+      const earlier = !current
+        || state.lockedAt < current.lockedAt
+        || (state.lockedAt === current.lockedAt && state.clientId < current.clientId);
+      if (earlier) {
+        holders[state.lockId] = { clientId: state.clientId, user: state.user, lockedAt: state.lockedAt, self: state.self };
+      }
+    });
+  return holders;
+};
+
+/**
+ * Joins a collaboration room (for example `layout:<id>`).
+ * @param {string} room
+ * @param {{ _id: string, name?: string, email?: string }} user - Shown to other editors
+ * @param {Object} handlers
+ * @param {function(Array<Object>): void} [handlers.onPeersChange] - Called with the other clients' states
+ * @param {function(Object): void} [handlers.onSaved] - Called when another client saved `{ user, revision }`
+ * @returns {{ update: function(Object): void, announceSave: function(number): void, getState: function(): Object, leave: function(): void }}
+ */
+export const joinCollabRoom = (room, user, { onPeersChange, onSaved } = {}) => {
+  const self = {
+    clientId: CLIENT_ID,
+    user: { _id: user._id, name: user.name, email: user.email },
+    focusId: null,
+    lockId: null,
+    lockedAt: null,
+  };
+  const peers = new Map();
+  let socket = null;
+  let left = false;
+  let heartbeat = null;
+  let reconnect = null;
+  let attempts = 0;
+
+  const emitPeers = () => onPeersChange?.([...peers.values()]);
+
+  const send = (type, payload = {}) => {
+    if (!socket || socket.readyState !== 1) return;
+    socket.send(JSON.stringify({ room, type, ...self, ...payload, at: Date.now() }));
+  };
+
+  const sweep = () => {
+    const cutoff = Date.now() - PEER_TIMEOUT_MS;
+    let changed = false;
+    peers.forEach((peer, clientId) => {
+      if (peer.seenAt < cutoff) {
+        peers.delete(clientId);
+        changed = true;
+      }
+    });
+    if (changed) emitPeers();
+  };
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    if (message.room !== room || message.clientId === CLIENT_ID || !message.user) return;
+
+    if (message.type === 'leave') {
+      if (peers.delete(message.clientId)) emitPeers();
+      return;
+    }
+    if (message.type === 'saved') {
+      onSaved?.({ user: message.user, revision: message.revision });
+    }
+    if (message.type === 'hello') {
+      // Let the newcomer know we are here without waiting for the next heartbeat
+      send('state');
+    }
+    peers.set(message.clientId, {
+      clientId: message.clientId,
+      user: message.user,
+      focusId: message.focusId,
+      lockId: message.lockId,
+      lockedAt: message.lockedAt,
+      seenAt: Date.now(),
+    });
+    emitPeers();
+  };
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** attempts, RECONNECT_MAX_MS);
+    attempts += 1;
+    reconnect = setTimeout(connect, delay);
+  };
+
+  const connect = async () => {
+    try {
+      socket = await openSocket();
+    } catch (error) {
+      console.error('Collaboration socket failed to open:', error);
+      scheduleReconnect();
+      return;
+    }
+    if (left) {
+      socket.close();
+      return;
+    }
+    socket.onopen = () => {
+      attempts = 0;
+      socket.send(JSON.stringify({ type: 'auth', token: getAccessToken() || '' }));
+      send('hello');
+    };
+    socket.onmessage = handleMessage;
+    socket.onclose = (event) => {
+      if (left) return;
+      // Stale peers would otherwise keep their locks while we are offline
+      peers.clear();
+      emitPeers();
+      if (AUTH_CLOSE_CODES.includes(event?.code)) {
+        console.warn('Collaboration session was refused; live presence is off until the editor is reopened.');
+        return;
+      }
+      scheduleReconnect();
+    };
+  };
+
+  const handleUnload = () => send('leave');
+
+  // Without a collaboration endpoint the editor works alone: no peers, and every lock is free
+  if (FEATURES.ENABLE_COLLABORATION) {
+    connect();
+    heartbeat = setInterval(() => {
+      send('state');
+      sweep();
+    }, HEARTBEAT_MS);
+    window.addEventListener('pagehide', handleUnload);
+  }
+
+  return {
+    /**
+     * Changes what this client is looking at or holding and tells the room.
+     * Claiming a new lock stamps the claim time; releasing clears it.
+     * @param {{ focusId?: string|null, lockId?: string|null }} patch
+     */
+    update(patch) {
+      if ('lockId' in patch && patch.lockId !== self.lockId) {
+        self.lockedAt = patch.lockId ? Date.now() : null;
+      }
+      Object.assign(self, patch);
+      send('state');
+    },
+    /**
+     * Tells the room this client saved, so others know their copy is stale.
+     * @param {number} revision - Revision token returned by the save
+     */
+    announceSave(revision) {
+      send('saved', { revision });
+    },
+    /**
+     * This client's current state, for resolveLocks.
+     * @returns {Object}
+     */
+    getState() {
+      return { ...self };
+    },
+    /**
+     * Leaves the room and closes the socket.
+     */
+    leave() {
+      send('leave');
+      left = true;
+      clearInterval(heartbeat);
+      clearTimeout(reconnect);
+      window.removeEventListener('pagehide', handleUnload);
+      socket?.close();
+    },
+  };
+};
+// ===============================
+// End of File: collaboration.js
+// Description: Real-time collaboration rooms
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
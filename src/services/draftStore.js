@@ -0,0 +1,103 @@
+// ===============================
+// File: draftStore.js
+// Description: IndexedDB store for unsaved editor drafts, so work survives reloads, crashes and going offline.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+
+const DB_NAME = 'cms-drafts';
+const DB_VERSION = 1;
+const STORE = 'drafts';
+const FALLBACK_PREFIX = 'cmsDraft:';
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the drafts database.
+ * Resolves to null where IndexedDB is unavailable (private mode in some browsers, tests),
+ * in which case drafts fall back to localStorage.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Draft store unavailable, using localStorage:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs one request against the drafts store.
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest} run
+ * @returns {Promise<any>} The request result
+ */
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = run(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Saves a draft, replacing any earlier one under the same key.
+ * @param {string} key - Editor and record, e.g. `blog:<id>` or `section:new`
+ * @param {any} data - Serializable editor state
+ * @returns {Promise<{ key: string, data: any, savedAt: string }>}
+ */
+export const saveDraft = async (key, data) => {
+  const draft = { key, data, savedAt: new Date().toISOString() };
+  if (await openDb()) {
+    await withStore('readwrite', (store) => store.put(draft));
+  } else {
+    localStorage.setItem(FALLBACK_PREFIX + key, JSON.stringify(draft));
+  }
+  return draft;
+};
+
+/**
+ * Reads the draft saved under a key.
+ * @param {string} key
+ * @returns {Promise<{ key: string, data: any, savedAt: string }|null>}
+ */
+export const getDraft = async (key) => {
+  if (await openDb()) {
+    return (await withStore('readonly', (store) => store.get(key))) || null;
+  }
+  const stored = localStorage.getItem(FALLBACK_PREFIX + key);
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * Deletes the draft saved under a key. Deleting a missing draft is not an error.
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (key) => {
+  if (await openDb()) {
+    await withStore('readwrite', (store) => store.delete(key));
+  } else {
+    localStorage.removeItem(FALLBACK_PREFIX + key);
+  }
+};
+// ===============================
+// End of File: draftStore.js
+// Description: IndexedDB draft storage
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
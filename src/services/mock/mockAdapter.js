@@ -0,0 +1,124 @@
+// ===============================
+// File: mockAdapter.js
+// Description: Axios adapter that answers requests from the offline mock backend instead of the network.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { AxiosError } from 'axios';
+import { findById } from './mockDb';
+import { matchRoute, decodeMockToken, runDueSchedules, MockHttpError } from './mockRoutes';
+
+// Simulated network latency so loading states stay visible
+const MOCK_LATENCY = Number(import.meta.env?.VITE_MOCK_LATENCY ?? 150);
+
+// Every request comes from the same browser, so handlers that record a client address (consent) get loopback
+const MOCK_CLIENT_IP = '127.0.0.1';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Splits the request URL into a base-relative path and merged query params.
+ * @param {Object} config - Axios request config
+ * @returns {{ path: string, query: Object }}
+ */
+const parseUrl = (config) => {
+  const base = (config.baseURL || '').replace(/\/+$/, '');
+  let url = config.url || '';
+  if (base && url.startsWith(base)) url = url.slice(base.length);
+  const [path, search = ''] = url.split('?');
+  const query = Object.fromEntries(new URLSearchParams(search));
+  Object.entries(config.params || {}).forEach(([key, val]) => {
+    if (val !== undefined && val !== null) query[key] = String(val);
+  });
+  return { path: `/${path.replace(/^\/+/, '')}`, query };
+};
+
+/**
+ * Parses the request body. Axios has already serialized plain objects to JSON.
+ * @param {any} data
+ * @returns {any}
+ */
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data ?? {};
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+};
+
+/**
+ * Resolves the signed-in user from the Bearer token, if any.
+ * @param {Object} headers
+ * @returns {Object|null}
+ */
+const resolveUser = (headers = {}) => {
+  const authorization = typeof headers.get === 'function' ? headers.get('Authorization') : headers.Authorization;
+  const token = String(authorization || '').replace(/^Bearer\s+/i, '');
+  const payload = decodeMockToken(token, 'access');
+  return payload ? findById('users', payload.sub) || null : null;
+};
+
+/**
+ * Axios adapter entry point.
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+const mockAdapter = async (config) => {
+  const method = (config.method || 'get').toLowerCase();
+  const { path, query } = parseUrl(config);
+  const request = { method, path };
+
+  if (MOCK_LATENCY > 0) await delay(MOCK_LATENCY);
+  runDueSchedules();
+
+  let status = 200;
+  let data;
+  const matched = matchRoute(method, path);
+  if (!matched) {
+    status = 404;
+    data = { success: false, message: `Mock route not found: ${method.toUpperCase()} ${path}` };
+  } else {
+    try {
+      data = await matched.handler({
+        params: matched.params,
+        query,
+        body: parseBody(config.data),
+        user: resolveUser(config.headers),
+        ip: MOCK_CLIENT_IP,
+      });
+    } catch (error) {
+      status = error instanceof MockHttpError ? error.status : 500;
+      data = { success: false, message: error.message };
+      if (error.data !== undefined) data.data = error.data;
+    }
+  }
+
+  // Round-trip through JSON so callers never hold live references into the store
+  const response = {
+    data: data === undefined ? undefined : JSON.parse(JSON.stringify(data)),
+    status,
+    statusText: status < 400 ? 'OK' : 'Error',
+    headers: { 'content-type': 'application/json' },
+    config,
+    request,
+  };
+
+  const validateStatus = config.validateStatus || ((code) => code >= 200 && code < 300);
+  if (validateStatus(status)) return response;
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    request,
+    response
+  );
+};
+
+export default mockAdapter;
+// ===============================
+// End of File: mockAdapter.js
+// Description: Axios adapter for the offline mock backend
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,148 @@
+// ===============================
+// File: mockDb.js
+// Description: Persistent in-browser data store backing the offline mock backend. Collections are seeded on first use and saved to localStorage.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { v4 as uuidv4 } from 'uuid';
+import { createSeedData } from './mockSeed';
+
+/**
+ * localStorage key holding the serialized mock database
+ * @type {string}
+ */
+export const MOCK_DB_STORAGE_KEY = 'cmsMockDb';
+
+// Bump when the seed shape changes so stale stores are re-seeded
+const MOCK_DB_VERSION = 19;
+
+let db = null;
+
+/**
+ * Loads the store from localStorage, seeding it when missing or outdated.
+ * @returns {{ version: number, collections: Object<string, Array<Object>> }}
+ */
+const load = () => {
+  if (db) return db;
+  try {
+    const stored = JSON.parse(localStorage.getItem(MOCK_DB_STORAGE_KEY));
+    if (stored?.version === MOCK_DB_VERSION && stored.collections) {
+      db = stored;
+      return db;
+    }
+  } catch (error) {
+    // Corrupt store - fall through and re-seed
+  }
+  db = { version: MOCK_DB_VERSION, collections: createSeedData() };
+  persist();
+  return db;
+};
+
+/**
+ * Writes the store back to localStorage.
+ */
+const persist = () => {
+  try {
+    localStorage.setItem(MOCK_DB_STORAGE_KEY, JSON.stringify(db));
+  } catch (error) {
+    // Quota exceeded (large uploads) - keep working in memory
+  }
+};
+
+/**
+ * Returns a new mock document id.
+ * @returns {string}
+ */
+export const createId = () => uuidv4().replace(/-/g, '').slice(0, 24);
+
+/**
+ * Returns all documents of a collection (live array - do not mutate directly).
+ * @param {string} name
+ * @returns {Array<Object>}
+ */
+export const getCollection = (name) => {
+  const { collections } = load();
+  if (!collections[name]) collections[name] = [];
+  return collections[name];
+};
+
+/**
+ * Finds a document by `_id`.
+ * @param {string} name
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export const findById = (name, id) => getCollection(name).find((doc) => doc._id === id);
+
+/**
+ * Inserts a document, stamping `_id`, `createdAt` and `updatedAt`.
+ * @param {string} name
+ * @param {Object} doc
+ * @returns {Object} The stored document
+ */
+export const insert = (name, doc) => {
+  const now = new Date().toISOString();
+  const stored = { _id: createId(), createdAt: now, updatedAt: now, ...doc };
+  getCollection(name).unshift(stored);
+  persist();
+  return stored;
+};
+
+/**
+ * Shallow-merges a patch into a document.
+ * @param {string} name
+ * @param {string} id
+ * @param {Object} patch
+ * @returns {Object|null} The updated document, or null if not found
+ */
+export const update = (name, id, patch) => {
+  const doc = findById(name, id);
+  if (!doc) return null;
+  Object.assign(doc, patch, { _id: doc._id, updatedAt: new Date().toISOString() });
+  persist();
+  return doc;
+};
+
+/**
+ * Removes a document.
+ * @param {string} name
+ * @param {string} id
+ * @returns {Object|null} The removed document, or null if not found
+ */
+export const remove = (name, id) => {
+  const collection = getCollection(name);
+  const index = collection.findIndex((doc) => doc._id === id);
+  if (index === -1) return null;
+  const [removed] = collection.splice(index, 1);
+  persist();
+  return removed;
+};
+
+/**
+ * Replaces a whole collection (used for reordering).
+ * @param {string} name
+ * @param {Array<Object>} docs
+ */
+export const replaceCollection = (name, docs) => {
+  load().collections[name] = docs;
+  persist();
+};
+
+/**
+ * Saves pending in-place changes made to documents returned by the helpers above.
+ */
+export const commit = () => persist();
+
+/**
+ * Drops all mock data and re-seeds the store.
+ */
+export const resetMockDb = () => {
+  db = { version: MOCK_DB_VERSION, collections: createSeedData() };
+  persist();
+};
+// ===============================
+// End of File: mockDb.js
+// Description: Persistent in-browser mock data store
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
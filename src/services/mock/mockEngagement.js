@@ -0,0 +1,92 @@
+// ===============================
+// File: mockEngagement.js
+// Description: Simulated newsletter delivery and tracking for the offline mock backend: bounces, opens, link clicks and unsubscribes.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { v4 as uuidv4 } from 'uuid';
+
+const HOUR = 3600 * 1000;
+
+/**
+ * Stable pseudo-random number in [0, 1) for a key, so simulated engagement is repeatable.
+ * @param {string} key
+ * @returns {number}
+ */
+export const seededRandom = (key) => {
+  let hash = 2166136261;
+  for (let i = 0; i < key.length; i += 1) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+};
+
+/**
+ * Trackable links in newsletter HTML (merge tags, anchors, mailto: and tel: links are not tracked).
+ * @param {string} html
+ * @returns {Array<string>}
+ */
+const trackableLinks = (html = '') => [...html.matchAll(/href="([^"]+)"/g)]
+  .map(([, href]) => href)
+  .filter((href) => !/^(#|mailto:|tel:|\{\{)/.test(href));
+
+/**
+ * Simulates one send. Every recipient gets a `delivered` or `bounced` event; some then open,
+ * click links from the content, or unsubscribe. Rates follow the subject and content, so variants
+ * perform differently, and opens arrive over the following two days (mostly in the first hours).
+ * @param {Object} newsletter
+ * @param {Array<{ email: string }>} recipients
+ * @param {Object} [options]
+ * @param {Object} [options.variant] - A/B variant sent, if any
+ * @param {Date} [options.sentAt]
+ * @param {boolean} [options.rollout=false] - Winner sent to the rest of the list (not part of the test)
+ * @returns {Array<Object>} Events `{ _id, newsletter, variant, rollout, email, type, url?, at }`
+ */
+export const simulateDelivery = (newsletter, recipients, { variant = null, sentAt = new Date(), rollout = false } = {}) => {
+  const source = variant || newsletter;
+  const openRate = 0.2 + seededRandom(`subject:${source.subject}`) * 0.35;
+  const clickRate = 0.1 + seededRandom(`content:${source.content}`) * 0.3;
+  const links = trackableLinks(source.content);
+  const start = sentAt.getTime();
+  const events = [];
+
+  recipients.forEach(({ email }) => {
+    const key = `${newsletter._id}:${variant?.id || ''}:${email}`;
+    const record = (type, at, extra = {}) => events.push({
+      _id: uuidv4().replace(/-/g, '').slice(0, 24),
+      newsletter: newsletter._id,
+      variant: variant?.id || null,
+      rollout,
+      email,
+      type,
+      ...extra,
+      at: new Date(at).toISOString(),
+    });
+
+    // The same addresses bounce every time, like real dead mailboxes
+    if (seededRandom(`bounce:${email}`) < 0.04) {
+      record('bounced', start);
+      return;
+    }
+    record('delivered', start);
+    if (seededRandom(`${key}:open`) >= openRate) return;
+
+    const openedAt = start + 48 * HOUR * seededRandom(`${key}:delay`) ** 5;
+    record('open', openedAt);
+    if (links.length && seededRandom(`${key}:click`) < clickRate) {
+      record('click', openedAt + 60 * 1000, { url: links[Math.floor(seededRandom(`${key}:link`) * links.length)] });
+      if (links.length > 1 && seededRandom(`${key}:second-click`) < 0.3) {
+        record('click', openedAt + 3 * 60 * 1000, { url: links[Math.floor(seededRandom(`${key}:second-link`) * links.length)] });
+      }
+    }
+    if (seededRandom(`${key}:unsubscribe`) < 0.03) record('unsubscribed', openedAt + 2 * 60 * 1000);
+  });
+  return events;
+};
+// ===============================
+// End of File: mockEngagement.js
+// Description: Simulated newsletter delivery and tracking for the mock backend.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
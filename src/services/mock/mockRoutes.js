@@ -0,0 +1,2195 @@
+// ===============================
+// File: mockRoutes.js
+// Description: Route table for the offline mock backend. Mirrors the REST endpoints used by services/api.js and serves them from the persistent mock store.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { getCollection, findById, insert, update, remove, replaceCollection, commit, createId } from './mockDb';
+import { PERMISSIONS, roleHasPermission } from '../../constants/permissions';
+import { BLOG_STATUS, findTransition, isWaitingOnUser } from '../../constants/blogWorkflow';
+import { resolveAudience, isRuleComplete } from '../../utils/audienceSegments';
+import { validateAbTest, splitAudience, pickWinner } from '../../utils/abTesting';
+import { simulateDelivery } from './mockEngagement';
+import { summarizeEvents } from '../../utils/newsletterAnalytics';
+import { classifyImport, MAX_IMPORT_ROWS } from '../../utils/subscriberImport';
+import { getOccurrences, getRRule, getSendBatches, occurrenceTime, validateRecurrence } from '../../utils/recurrence';
+import {
+  sortStages,
+  getStage,
+  toStageKey,
+  validateStages,
+  getTransition,
+  validateTransitionInput,
+  validateTransitions,
+  reconcileTransitions,
+} from '../../utils/pipeline';
+import { meetingInterval, meetingPerson, buildICalendar } from '../../utils/meetings';
+import { countEngagement, getLeadFacts, getScoringFact, scoreLead, validateScoring } from '../../utils/leadScoring';
+import { getFieldStates, isAnswered } from '../../utils/formLogic';
+import { validateAnswers } from '../../utils/formValidation';
+import { getAnswerFields, inDateRange, submissionMatches, summarizeFormAnalytics } from '../../utils/formAnalytics';
+import {
+  CONFIRMATION_TTL_HOURS,
+  DEFAULT_PREFERENCES,
+  NEWSLETTER_TOPICS,
+  getPreferences,
+  isDueForNewsletter,
+  normalizePreferences,
+  buildConfirmUrl
+} from '../../utils/subscriberPreferences';
+
+const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // seconds
+
+/**
+ * Error thrown by route handlers to produce a non-2xx mock response.
+ */
+export class MockHttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message returned as `{ success: false, message }`
+   * @param {any} [data] - Optional payload returned alongside the message (e.g. the current record on a 409)
+   */
+  constructor(status, message, data) {
+    super(message);
+    this.name = 'MockHttpError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+const routes = [];
+
+/**
+ * Registers a route. `:name` segments become params.
+ * @param {string} method - HTTP method (lowercase)
+ * @param {string} pattern - Path such as `/blogs/:id`
+ * @param {function({ params: Object, query: Object, body: any, user: Object|null, ip: string }): any} handler
+ */
+const route = (method, pattern, handler) => {
+  const keys = [];
+  const regex = new RegExp(`^${pattern.replace(/:([A-Za-z]+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  })}/?$`);
+  routes.push({ method, regex, keys, handler });
+};
+
+/**
+ * Finds the first route matching a request.
+ * @param {string} method
+ * @param {string} path
+ * @returns {{ handler: function, params: Object }|null}
+ */
+export const matchRoute = (method, path) => {
+  for (const entry of routes) {
+    if (entry.method !== method) continue;
+    const match = entry.regex.exec(path);
+    if (match) {
+      const params = entry.keys.reduce((acc, key, index) => {
+        acc[key] = decodeURIComponent(match[index + 1]);
+        return acc;
+      }, {});
+      return { handler: entry.handler, params };
+    }
+  }
+  return null;
+};
+
+// -------------------------------
+// Helpers
+// -------------------------------
+
+const ok = (data, extra = {}) => ({ success: true, data, ...extra });
+
+/**
+ * Throws a 404 when a document is missing.
+ * @param {Object|null|undefined} doc
+ * @param {string} label
+ * @returns {Object}
+ */
+const found = (doc, label) => {
+  if (!doc) throw new MockHttpError(404, `${label} not found`);
+  return doc;
+};
+
+/**
+ * Paginates a list using `page`/`limit` query params. Without `limit` the full list is returned.
+ * @param {Array} list
+ * @param {Object} query
+ * @returns {{ success: boolean, data: Array, pagination: Object }}
+ */
+const paginate = (list, query = {}) => {
+  const total = list.length;
+  const limit = Number(query.limit || query.pageSize) || total || 1;
+  const page = Math.max(Number(query.page || query.current) || 1, 1);
+  return {
+    success: true,
+    data: list.slice((page - 1) * limit, page * limit),
+    pagination: { total, page, limit, pages: Math.max(Math.ceil(total / limit), 1) },
+  };
+};
+
+/**
+ * Case-insensitive match of a search term against selected fields.
+ * @param {Object} doc
+ * @param {string} term
+ * @param {Array<string>} fields
+ * @returns {boolean}
+ */
+const matchesSearch = (doc, term, fields) => {
+  if (!term) return true;
+  const needle = String(term).toLowerCase();
+  return fields.some((key) => String(doc[key] ?? '').toLowerCase().includes(needle));
+};
+
+/**
+ * Filters a list by createdAt within optional `startDate`/`endDate` (YYYY-MM-DD).
+ * @param {Array} list
+ * @param {Object} query
+ * @returns {Array}
+ */
+const filterByDate = (list, { startDate, endDate }) => list.filter((doc) => {
+  const day = doc.createdAt?.slice(0, 10);
+  return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+});
+
+const sortByDate = (list, key = 'createdAt') => [...list].sort((a, b) => new Date(b[key]) - new Date(a[key]));
+
+const slugify = (text = '') => text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const publicUser = (user) => {
+  if (!user) return null;
+  const { password, calendarToken, ...rest } = user;
+  return rest;
+};
+
+const base64UrlEncode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+/**
+ * Creates a JWT-shaped (unsigned) token so clients can read `sub` and `exp`.
+ * @param {string} userId
+ * @param {string} type - 'access' or 'refresh'
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {string}
+ */
+const createToken = (userId, type, ttl) => {
+  const iat = Math.floor(Date.now() / 1000);
+  return [
+    base64UrlEncode({ alg: 'none', typ: 'JWT' }),
+    base64UrlEncode({ sub: userId, type, iat, exp: iat + ttl, jti: createId() }),
+    'mock',
+  ].join('.');
+};
+
+/**
+ * Decodes a mock token, returning its payload if valid and unexpired.
+ * @param {string} token
+ * @param {string} type
+ * @returns {Object|null}
+ */
+export const decodeMockToken = (token, type) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    if (payload.type !== type || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+const requireUser = (user) => {
+  if (!user) throw new MockHttpError(401, 'Not authorized');
+  return user;
+};
+
+/**
+ * Records an activity entry for the activity history screen.
+ * @param {Object|null} user
+ * @param {string} action
+ * @param {string} entity
+ * @param {string} details
+ */
+const logActivity = (user, action, entity, details) => {
+  insert('activities', {
+    user: user ? { _id: user._id, name: user.name, email: user.email } : null,
+    action,
+    entity,
+    details,
+  });
+};
+
+/**
+ * Adds a notification for the notification center.
+ * @param {string} title
+ * @param {string} message
+ * @param {string} type
+ * @param {Object} [data]
+ */
+const notify = (title, message, type, data = {}) => {
+  insert('notifications', { title, message, type, data: { type, ...data }, read: false });
+};
+
+/**
+ * Reads an uploaded File into a data URL.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const fileKind = (mimeType = '') => {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  return 'document';
+};
+
+/**
+ * Appends a status history entry and sets the new status.
+ * @param {Object} doc
+ * @param {Object} body
+ * @returns {Object}
+ */
+const applyStatusChange = (doc, body) => {
+  const { status, feedback, ...rest } = body;
+  doc.statusHistory = [
+    { _id: createId(), status, feedback, ...rest, updatedAt: new Date().toISOString() },
+    ...(doc.statusHistory || []),
+  ];
+  doc.status = status;
+  doc.updatedAt = new Date().toISOString();
+  commit();
+  return doc;
+};
+
+/**
+ * Registers list/get/create/update/delete routes returning `{ success, data }`.
+ * @param {string} basePath
+ * @param {string} collection
+ * @param {string} label - Used in messages and activity entries
+ * @param {Object} [options]
+ * @param {Array<string>} [options.searchFields]
+ */
+const resource = (basePath, collection, label, { searchFields = ['name', 'title'] } = {}) => {
+  route('get', basePath, ({ query }) => ok(
+    sortByDate(getCollection(collection)).filter((doc) => matchesSearch(doc, query.search, searchFields))
+  ));
+  route('get', `${basePath}/:id`, ({ params }) => ok(found(findById(collection, params.id), label)));
+  route('post', basePath, ({ body, user }) => {
+    const doc = insert(collection, body);
+    logActivity(user, 'create', label.toLowerCase(), `Created ${label.toLowerCase()} "${doc.name || doc.title || doc._id}"`);
+    return ok(doc, { message: `${label} created successfully` });
+  });
+  route('put', `${basePath}/:id`, ({ params, body, user }) => {
+    const doc = found(update(collection, params.id, body), label);
+    logActivity(user, 'update', label.toLowerCase(), `Updated ${label.toLowerCase()} "${doc.name || doc.title || doc._id}"`);
+    return ok(doc, { message: `${label} updated successfully` });
+  });
+  route('delete', `${basePath}/:id`, ({ params, user }) => {
+    const doc = found(remove(collection, params.id), label);
+    logActivity(user, 'delete', label.toLowerCase(), `Deleted ${label.toLowerCase()} "${doc.name || doc.title || doc._id}"`);
+    return ok(doc, { message: `${label} deleted successfully` });
+  });
+};
+
+// -------------------------------
+// Auth
+// -------------------------------
+
+route('post', '/auth/check-credentials', ({ body }) => {
+  const user = getCollection('users').find((u) => u.email === body.email?.toLowerCase());
+  if (!user || user.password !== body.password) throw new MockHttpError(401, 'Invalid email or password');
+  if (user.isActive === false) throw new MockHttpError(403, 'Account is disabled');
+  return { success: true, user: { ...publicUser(user), id: user._id } };
+});
+route('post', '/auth/refresh-token', ({ body }) => {
+  found(findById('users', body.userId), 'User');
+  return { success: true, refreshToken: createToken(body.userId, 'refresh', REFRESH_TOKEN_TTL) };
+});
+route('post', '/auth/access-token', ({ body }) => {
+  const payload = decodeMockToken(body.refreshToken || '', 'refresh');
+  if (!payload) throw new MockHttpError(401, 'Invalid or expired refresh token');
+  return { success: true, accessToken: createToken(payload.sub, 'access', ACCESS_TOKEN_TTL) };
+});
+route('get', '/auth/me', ({ user }) => ({ success: true, user: publicUser(requireUser(user)) }));
+route('post', '/auth/logout', () => ({ success: true, message: 'Logged out' }));
+route('post', '/auth/register', ({ body }) => {
+  if (getCollection('users').some((u) => u.email === body.email?.toLowerCase())) {
+    throw new MockHttpError(400, 'User already exists');
+  }
+  const user = insert('users', { ...body, email: body.email.toLowerCase(), role: 'viewer', isActive: true });
+  return { success: true, user: publicUser(user) };
+});
+route('post', '/auth/forgot-password', () => ({ success: true, message: 'Password reset email sent (mock)' }));
+route('post', '/auth/reset-password/:token', () => ({ success: true, message: 'Password reset successful' }));
+route('post', '/auth/set-password/:token', () => {
+  const user = getCollection('users')[0];
+  return { success: true, user: publicUser(user), token: createToken(user._id, 'access', ACCESS_TOKEN_TTL) };
+});
+route('put', '/auth/profile/password', ({ body, user }) => {
+  requireUser(user);
+  if (user.password !== body.currentPassword) throw new MockHttpError(400, 'Current password is incorrect');
+  update('users', user._id, { password: body.newPassword });
+  return { success: true, message: 'Password updated successfully' };
+});
+route('post', '/auth/make-admin', ({ user }) => {
+  update('users', requireUser(user)._id, { role: 'admin' });
+  return { success: true, message: 'Role updated' };
+});
+route('get', '/auth/users', () => ({ success: true, users: sortByDate(getCollection('users')).map(publicUser) }));
+route('post', '/auth/register-user', ({ body, user }) => {
+  if (getCollection('users').some((u) => u.email === body.email?.toLowerCase())) {
+    throw new MockHttpError(400, 'User already exists');
+  }
+  const created = insert('users', { role: 'viewer', ...body, email: body.email.toLowerCase(), isActive: true, password: 'password' });
+  logActivity(user, 'create', 'user', `Invited ${created.email}`);
+  return { success: true, user: publicUser(created) };
+});
+route('put', '/auth/users/:id', ({ params, body }) => {
+  const { password, ...patch } = body;
+  return { success: true, user: publicUser(found(update('users', params.id, patch), 'User')) };
+});
+route('delete', '/auth/users/:id', ({ params }) => {
+  found(remove('users', params.id), 'User');
+  return { success: true, message: 'User deleted' };
+});
+route('get', '/auth/authors', () => ok(getCollection('authors')));
+route('post', '/auth/authors', ({ body }) => {
+  const author = insert('authors', body);
+  author.id = author._id;
+  commit();
+  return ok(author);
+});
+
+// -------------------------------
+// Sections
+// -------------------------------
+
+const orderedSections = () => [...getCollection('sections')].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+route('get', '/cms/sections', () => ok(orderedSections().filter((s) => s.isActive)));
+route('get', '/cms/sections/published', () => ok(orderedSections().filter((s) => s.isActive)));
+route('get', '/cms/sections/published/page/:pageId', ({ params }) => ok(
+  orderedSections().filter((s) => s.isActive && s.pageId === params.pageId)
+));
+route('get', '/cms/sections/stats', () => {
+  const sections = getCollection('sections');
+  const published = sections.filter((s) => s.isActive).length;
+  return { success: true, stats: { total: sections.length, published, drafts: sections.length - published } };
+});
+route('get', '/cms/sections/recent', () => ({ success: true, sections: sortByDate(getCollection('sections'), 'updatedAt').slice(0, 5) }));
+route('get', '/cms/admin/sections', () => ok(orderedSections()));
+route('put', '/cms/admin/sections/order', ({ body }) => {
+  body.sectionIds.forEach((id, order) => update('sections', id, { order }));
+  return ok(orderedSections());
+});
+route('put', '/cms/admin/sections/:id/restore/:versionIndex', ({ params }) => {
+  const section = found(findById('sections', params.id), 'Section');
+  const version = found(section.versions?.[Number(params.versionIndex)], 'Version');
+  return ok(update('sections', section._id, { data: version.data, title: version.title ?? section.title }));
+});
+route('put', '/cms/admin/sections/:id', ({ params, body }) => {
+  const section = found(findById('sections', params.id), 'Section');
+  const versions = [{ title: section.title, data: section.data, savedAt: section.updatedAt }, ...(section.versions || [])];
+  return ok(update('sections', section._id, { ...body, versions }));
+});
+route('get', '/cms/admin/sections/:id', ({ params }) => ok(found(findById('sections', params.id), 'Section')));
+route('post', '/cms/admin/sections', ({ body }) => ok(insert('sections', { isActive: false, order: getCollection('sections').length, versions: [], ...body })));
+route('delete', '/cms/admin/sections/:id', ({ params }) => ok(found(remove('sections', params.id), 'Section')));
+route('post', '/cms/sections', ({ body }) => ok(insert('sections', { isActive: false, versions: [], ...body })));
+
+// -------------------------------
+// Pages and page instances
+// -------------------------------
+
+const findPageBySlug = (slug) => found(getCollection('pages').find((p) => p.slug === slug || p._id === slug), 'Page');
+
+route('get', '/cms/pages', () => ok(getCollection('pages').filter((p) => p.isActive)));
+route('get', '/cms/admin/pages', () => ok(sortByDate(getCollection('pages'))));
+route('get', '/cms/pages/slug/:slug', ({ params }) => ok(findPageBySlug(params.slug)));
+route('get', '/cms/pages/:slug/content', ({ params }) => {
+  const page = findPageBySlug(params.slug);
+  return ok({ page, sections: orderedSections().filter((s) => s.isActive && s.pageId === page._id) });
+});
+route('get', '/cms/pages/:slug', ({ params }) => ok(findPageBySlug(params.slug)));
+route('get', '/cms/admin/pages/:slug/content', ({ params }) => {
+  const page = findPageBySlug(params.slug);
+  return ok({ page, sections: orderedSections().filter((s) => s.pageId === page._id) });
+});
+route('put', '/cms/admin/pages/:slug/content', ({ params, body }) => {
+  const page = findPageBySlug(params.slug);
+  return ok(update('pages', page._id, { content: body }));
+});
+route('get', '/cms/admin/pages/:id', ({ params }) => ok(found(findById('pages', params.id), 'Page')));
+route('post', '/cms/admin/pages', ({ body, user }) => {
+  const page = insert('pages', { isActive: false, ...body, slug: body.slug || slugify(body.title) });
+  logActivity(user, 'create', 'page', `Created page "${page.title}"`);
+  return ok(page);
+});
+route('put', '/cms/admin/pages/:id', ({ params, body, user }) => {
+  const page = found(update('pages', params.id, body), 'Page');
+  logActivity(user, 'update', 'page', `Updated page "${page.title}"`);
+  return ok(page);
+});
+route('delete', '/cms/admin/pages/:id', ({ params, user }) => {
+  const page = found(remove('pages', params.id), 'Page');
+  logActivity(user, 'delete', 'page', `Deleted page "${page.title}"`);
+  return ok(page);
+});
+route('get', '/pages/:pageId/instances', ({ params }) => ok(getCollection('instances').filter((i) => i.page === params.pageId)));
+route('post', '/pages/:pageId/instances', ({ params, body }) => ok(insert('instances', { ...body, page: params.pageId, content: body.content || {} })));
+route('put', '/pages/:pageId/instances/:instanceId', ({ params, body }) => ok(found(update('instances', params.instanceId, body), 'Instance')));
+
+// -------------------------------
+// Blogs
+// -------------------------------
+
+const blogSearchFields = ['title', 'excerpt', 'content'];
+
+const userRef = (user) => (user ? { _id: user._id, name: user.name, email: user.email } : null);
+
+const userCan = (user) => (permission) => Boolean(user) && roleHasPermission(user.role, permission);
+
+// Fields a blog revision captures and a restore puts back
+const REVISION_FIELDS = ['title', 'excerpt', 'content', 'seo'];
+
+const blogRevisions = (blogId) => getCollection('blogRevisions')
+  .filter((r) => r.blog === blogId)
+  .sort((a, b) => b.number - a.number);
+
+/**
+ * Stores a snapshot of a blog's editable copy.
+ * @param {Object} blog
+ * @param {Object|null} by - User reference for who saved it
+ * @param {string} note
+ * @param {string} [savedAt]
+ * @returns {Object} The revision
+ */
+const snapshotBlog = (blog, by, note, savedAt = new Date().toISOString()) => {
+  const number = (blogRevisions(blog._id)[0]?.number || 0) + 1;
+  const copy = Object.fromEntries(REVISION_FIELDS.map((key) => [key, blog[key] ?? null]));
+  return insert('blogRevisions', { blog: blog._id, number, ...copy, note, savedBy: by, savedAt });
+};
+
+route('get', '/blogs', ({ query, user }) => paginate(
+  sortByDate(getCollection('blogs'))
+    .filter((b) => !query.status || b.status === query.status)
+    .filter((b) => query.waitingOn !== 'me' || isWaitingOnUser(b, user, userCan(user)))
+    .filter((b) => matchesSearch(b, query.search, blogSearchFields) || matchesSearch(b.author || {}, query.search, ['name'])),
+  query
+));
+// The requesting user submits the post, so they are left out: nobody reviews their own work
+route('get', '/blogs/reviewers', ({ user }) => ok(
+  getCollection('users')
+    .filter((u) => u.isActive !== false && roleHasPermission(u.role, PERMISSIONS.BLOGS_REVIEW) && u._id !== user?._id)
+    .map(userRef)
+));
+route('get', '/blogs/stats', () => {
+  const blogs = getCollection('blogs');
+  const published = blogs.filter((b) => b.status === BLOG_STATUS.PUBLISHED).length;
+  const inReview = blogs.filter((b) => b.status === BLOG_STATUS.IN_REVIEW).length;
+  return { success: true, stats: { total: blogs.length, published, inReview, drafts: blogs.length - published } };
+});
+route('get', '/blogs/recent', () => ok(sortByDate(getCollection('blogs'), 'updatedAt').slice(0, 5)));
+route('get', '/blogs/search', ({ query }) => ok(getCollection('blogs').filter((b) => matchesSearch(b, query.query, blogSearchFields))));
+route('get', '/blogs/:id', ({ params }) => ok(found(
+  getCollection('blogs').find((b) => b._id === params.id || b.slug === params.id),
+  'Blog'
+)));
+route('post', '/blogs', ({ body, user }) => {
+  const blog = insert('blogs', {
+    ...body,
+    status: BLOG_STATUS.DRAFT,
+    slug: body.slug || slugify(body.title),
+    publishedAt: null,
+    createdBy: userRef(user),
+    reviewer: null,
+    workflowHistory: [],
+    comments: [],
+  });
+  snapshotBlog(blog, userRef(user), 'Created');
+  logActivity(user, 'create', 'blog', `Created blog "${blog.title}"`);
+  return ok(blog);
+});
+route('put', '/blogs/:id/workflow', ({ params, body, user }) => {
+  requireUser(user);
+  const blog = found(findById('blogs', params.id), 'Blog');
+  const transition = findTransition(blog, body.status, user, userCan(user));
+  if (!transition) {
+    throw new MockHttpError(403, `You cannot move this post from "${blog.status}" to "${body.status}"`);
+  }
+  if (transition.requiresComment && !body.comment?.trim()) throw new MockHttpError(400, 'A comment is required');
+  if (transition.requiresPublishAt && !body.publishAt) throw new MockHttpError(400, 'A publish date is required');
+  const patch = { status: transition.to };
+  if (transition.requiresReviewer) {
+    const reviewer = found(findById('users', body.reviewerId), 'Reviewer');
+    if (reviewer._id === user._id) throw new MockHttpError(400, 'You cannot review your own post; choose another reviewer');
+    if (!roleHasPermission(reviewer.role, PERMISSIONS.BLOGS_REVIEW)) throw new MockHttpError(400, 'The chosen reviewer cannot review posts');
+    patch.reviewer = userRef(reviewer);
+    patch.submittedBy = userRef(user);
+  }
+  if (transition.to === BLOG_STATUS.SCHEDULED) patch.publishAt = body.publishAt;
+  if (transition.to === BLOG_STATUS.PUBLISHED) patch.publishedAt = new Date().toISOString();
+  if (transition.to === BLOG_STATUS.SCHEDULED || transition.to === BLOG_STATUS.PUBLISHED) {
+    patch.unpublishAt = body.unpublishAt || null;
+    patch.publishTimezone = body.publishTimezone || blog.publishTimezone || null;
+  }
+  if (transition.to === BLOG_STATUS.APPROVED) Object.assign(patch, { publishAt: null, unpublishAt: null });
+  if (transition.to === BLOG_STATUS.ARCHIVED) patch.unpublishAt = null;
+  patch.workflowHistory = [
+    {
+      _id: createId(),
+      from: blog.status,
+      to: transition.to,
+      comment: body.comment?.trim() || '',
+      by: userRef(user),
+      reviewer: patch.reviewer || blog.reviewer || null,
+      at: new Date().toISOString(),
+    },
+    ...(blog.workflowHistory || []),
+  ];
+  const updated = update('blogs', blog._id, patch);
+  if (transition.requiresReviewer) {
+    notify('Review requested', `${user.name} asked ${patch.reviewer.name} to review "${blog.title}"`, 'blog', { blogId: blog._id });
+  } else if (transition.to === BLOG_STATUS.CHANGES_REQUESTED) {
+    notify('Changes requested', `${user.name} requested changes on "${blog.title}"`, 'blog', { blogId: blog._id });
+  }
+  logActivity(user, 'update', 'blog', `Moved blog "${blog.title}" to ${transition.to}`);
+  return ok(updated, { message: `${transition.label} done` });
+});
+route('post', '/blogs/:id/comments', ({ params, body, user }) => {
+  requireUser(user);
+  const blog = found(findById('blogs', params.id), 'Blog');
+  if (!body.text?.trim()) throw new MockHttpError(400, 'Comment cannot be empty');
+  const comment = { _id: createId(), text: body.text.trim(), status: blog.status, by: userRef(user), at: new Date().toISOString() };
+  blog.comments = [...(blog.comments || []), comment];
+  commit();
+  return ok(comment);
+});
+route('put', '/blogs/:id', ({ params, body, user }) => {
+  // Status only changes through the workflow endpoint
+  const { status, reviewer, submittedBy, workflowHistory, comments, ...patch } = body;
+  const existing = found(findById('blogs', params.id), 'Blog');
+  // Posts saved before revisions existed get their current copy as a baseline
+  if (!blogRevisions(existing._id).length) {
+    snapshotBlog(existing, existing.createdBy || null, 'Original', existing.updatedAt);
+  }
+  const blog = update('blogs', existing._id, patch);
+  snapshotBlog(blog, userRef(user), 'Saved');
+  logActivity(user, 'update', 'blog', `Updated blog "${blog.title}"`);
+  return ok(blog);
+});
+route('get', '/blogs/:id/revisions', ({ params }) => {
+  found(findById('blogs', params.id), 'Blog');
+  return ok(blogRevisions(params.id));
+});
+route('put', '/blogs/:id/revisions/:revisionId/restore', ({ params, user }) => {
+  requireUser(user);
+  const blog = found(findById('blogs', params.id), 'Blog');
+  const revision = found(blogRevisions(blog._id).find((r) => r._id === params.revisionId), 'Revision');
+  const restored = update('blogs', blog._id, Object.fromEntries(REVISION_FIELDS.map((key) => [key, revision[key]])));
+  snapshotBlog(restored, userRef(user), `Restored revision ${revision.number}`);
+  logActivity(user, 'update', 'blog', `Restored blog "${restored.title}" to revision ${revision.number}`);
+  return ok(restored, { message: `Restored revision ${revision.number}` });
+});
+route('delete', '/blogs/:id', ({ params, user }) => {
+  const blog = found(remove('blogs', params.id), 'Blog');
+  replaceCollection('blogRevisions', getCollection('blogRevisions').filter((r) => r.blog !== blog._id));
+  logActivity(user, 'delete', 'blog', `Deleted blog "${blog.title}"`);
+  return ok(blog);
+});
+
+// -------------------------------
+// Scheduled publishing (stands in for the backend's publish job)
+// -------------------------------
+
+const SCHEDULER = { _id: null, name: 'Scheduler', email: null };
+
+const isDue = (iso, now) => Boolean(iso) && new Date(iso) <= now;
+
+/**
+ * Applies every publish/unpublish time that has passed. Called before each request so the
+ * store looks as if a server-side job had run on time.
+ * @param {Date} [now]
+ */
+export const runDueSchedules = (now = new Date()) => {
+  let changed = false;
+  getCollection('blogs').forEach((blog) => {
+    const moves = [];
+    if (blog.status === BLOG_STATUS.SCHEDULED && isDue(blog.publishAt, now)) {
+      moves.push([BLOG_STATUS.SCHEDULED, BLOG_STATUS.PUBLISHED, blog.publishAt]);
+      blog.status = BLOG_STATUS.PUBLISHED;
+      blog.publishedAt = blog.publishAt;
+    }
+    if (blog.status === BLOG_STATUS.PUBLISHED && isDue(blog.unpublishAt, now)) {
+      moves.push([BLOG_STATUS.PUBLISHED, BLOG_STATUS.ARCHIVED, blog.unpublishAt]);
+      blog.status = BLOG_STATUS.ARCHIVED;
+      blog.unpublishAt = null;
+    }
+    moves.forEach(([from, to, at]) => {
+      blog.workflowHistory = [
+        { _id: createId(), from, to, comment: 'Scheduled', by: SCHEDULER, reviewer: blog.reviewer || null, at },
+        ...(blog.workflowHistory || []),
+      ];
+      logActivity(null, 'update', 'blog', `Scheduler moved blog "${blog.title}" to ${to}`);
+      changed = true;
+    });
+  });
+  getCollection('pages').forEach((page) => {
+    if (page.status === 'scheduled' && isDue(page.publishAt, now)) {
+      Object.assign(page, { status: 'published', isActive: true, publishedAt: page.publishAt });
+      logActivity(null, 'update', 'page', `Scheduler published page "${page.title}"`);
+      changed = true;
+    }
+    if (page.status === 'published' && isDue(page.unpublishAt, now)) {
+      Object.assign(page, { status: 'archived', isActive: false, unpublishAt: null });
+      logActivity(null, 'update', 'page', `Scheduler unpublished page "${page.title}"`);
+      changed = true;
+    }
+  });
+  getCollection('newsletters').forEach((newsletter) => {
+    if (newsletter.status === 'scheduled' && isDue(newsletter.schedule?.nextSendDate, now)) {
+      if (newsletter.schedule.frequency !== 'once' || newsletter.schedule.deliveryMode === 'local') {
+        deliverDueOccurrences(newsletter, now);
+      } else {
+        try {
+          sendNewsletterNow(newsletter, null);
+        } catch (error) {
+          update('newsletters', newsletter._id, { status: 'draft', schedule: null });
+          notify('Scheduled newsletter not sent', `"${newsletter.subject}": ${error.message}`, 'newsletter', { type: 'failed', subject: newsletter.subject });
+        }
+      }
+      changed = true;
+    }
+    if (newsletter.status === 'testing' && isDue(newsletter.abTest?.decideAt, now)) {
+      finishAbTest(newsletter, { at: new Date(newsletter.abTest.decideAt) });
+      changed = true;
+    }
+  });
+  if (changed) commit();
+};
+
+route('get', '/cms/schedule', ({ query }) => {
+  const entries = [];
+  const push = (doc, type, action, at) => entries.push({
+    _id: `${doc._id}-${action}`,
+    itemId: doc._id,
+    type,
+    title: doc.title,
+    action,
+    at,
+    timezone: doc.publishTimezone || null,
+  });
+  getCollection('blogs').forEach((blog) => {
+    if (blog.status === BLOG_STATUS.SCHEDULED && blog.publishAt) push(blog, 'blog', 'publish', blog.publishAt);
+    if (blog.unpublishAt) push(blog, 'blog', 'unpublish', blog.unpublishAt);
+  });
+  getCollection('pages').forEach((page) => {
+    if (page.status === 'scheduled' && page.publishAt) push(page, 'page', 'publish', page.publishAt);
+    if (page.unpublishAt) push(page, 'page', 'unpublish', page.unpublishAt);
+  });
+  const start = query.startDate ? new Date(query.startDate) : null;
+  const end = query.endDate ? new Date(query.endDate) : null;
+  return ok(
+    entries
+      .filter((entry) => (!start || new Date(entry.at) >= start) && (!end || new Date(entry.at) <= end))
+      .sort((a, b) => new Date(a.at) - new Date(b.at))
+  );
+});
+
+// -------------------------------
+// Media library (folders/files return bare documents, matching the backend)
+// -------------------------------
+
+route('get', '/cms/folders', () => getCollection('folders'));
+route('post', '/cms/folders', ({ body }) => insert('folders', { parent: null, ...body }));
+route('put', '/cms/folders/:id', ({ params, body }) => found(update('folders', params.id, body), 'Folder'));
+route('delete', '/cms/folders/:id', ({ params }) => {
+  const folder = found(remove('folders', params.id), 'Folder');
+  replaceCollection('files', getCollection('files').filter((f) => f.folder !== folder._id));
+  return { success: true, message: 'Folder deleted' };
+});
+route('get', '/cms/files', ({ query }) => sortByDate(getCollection('files'))
+  .filter((f) => !query.folder || f.folder === query.folder)
+  .filter((f) => matchesSearch(f, query.search, ['name', 'description'])));
+route('post', '/cms/files', async ({ body }) => {
+  const uploads = body instanceof FormData ? body.getAll('files') : [];
+  const created = [];
+  for (const file of uploads) {
+    created.push(insert('files', {
+      name: file.name,
+      originalName: file.name,
+      url: await readAsDataUrl(file),
+      mimeType: file.type,
+      type: body.get('type') || fileKind(file.type),
+      size: file.size,
+      description: body.get('description') || '',
+      folder: body.get('folder') || null,
+    }));
+  }
+  return ok(created);
+});
+route('put', '/cms/files/:id', async ({ params, body }) => {
+  if (body instanceof FormData) {
+    const patch = {};
+    for (const [key, val] of body.entries()) {
+      patch[key] = val instanceof File ? await readAsDataUrl(val) : val;
+    }
+    if (patch.file) {
+      patch.url = patch.file;
+      delete patch.file;
+    }
+    return found(update('files', params.id, patch), 'File');
+  }
+  return found(update('files', params.id, body), 'File');
+});
+route('delete', '/cms/files/:id', ({ params }) => {
+  found(remove('files', params.id), 'File');
+  return { success: true, message: 'File deleted' };
+});
+
+// -------------------------------
+// Search, stats and analytics
+// -------------------------------
+
+route('get', '/cms/search', ({ query }) => ok({
+  pages: getCollection('pages').filter((p) => matchesSearch(p, query.query, ['title', 'slug', 'description'])),
+  sections: getCollection('sections').filter((s) => matchesSearch(s, query.query, ['title', 'type'])),
+  blogs: getCollection('blogs').filter((b) => matchesSearch(b, query.query, blogSearchFields)),
+}));
+route('get', '/cms/stats', () => ok({
+  pages: getCollection('pages').length,
+  sections: getCollection('sections').length,
+  blogs: getCollection('blogs').length,
+  files: getCollection('files').length,
+  subscribers: getCollection('subscribers').length,
+  leads: getCollection('leads').length,
+}));
+route('get', '/cms/analytics', ({ query }) => ok({
+  startDate: query.startDate,
+  endDate: query.endDate,
+  activities: filterByDate(getCollection('activities'), query).length,
+  leads: filterByDate(getCollection('leads'), query).length,
+  inquiries: filterByDate(getCollection('inquiries'), query).length,
+}));
+
+// -------------------------------
+// Components and component types
+// -------------------------------
+
+route('get', '/cms/component-types', () => ok(getCollection('components').reduce((acc, component) => {
+  acc[component.name] = { fields: component.fields, isPredefined: Boolean(component.isPredefined), _id: component._id };
+  return acc;
+}, {})));
+route('delete', '/cms/component-types/:id', ({ params }) => ok(found(remove('components', params.id), 'Component type')));
+route('get', '/cms/components/page/:pageId', ({ params }) => ok(
+  getCollection('layouts').filter((l) => l.page === params.pageId).flatMap((l) => l.components || [])
+));
+route('put', '/cms/components/page/:pageId/reorder', ({ params, body }) => {
+  const layout = found(getCollection('layouts').find((l) => l.page === params.pageId), 'Layout');
+  body.componentOrders.forEach(({ id, order }) => {
+    const component = layout.components.find((c) => c._id === id);
+    if (component) component.order = order;
+  });
+  layout.components.sort((a, b) => a.order - b.order);
+  commit();
+  return ok(layout.components);
+});
+route('delete', '/cms/components/name/:name', ({ params }) => {
+  const component = found(getCollection('components').find((c) => c.name === params.name || c._id === params.name), 'Component');
+  remove('components', component._id);
+  return ok(component, { message: 'Component deleted successfully' });
+});
+route('post', '/cms/components', ({ body }) => {
+  if (getCollection('components').some((c) => c.name === body.name)) {
+    throw new MockHttpError(400, `Component "${body.name}" already exists`);
+  }
+  return ok(insert('components', { type: body.name, isActive: true, ...body }), { message: 'Component created successfully' });
+});
+resource('/cms/components', 'components', 'Component');
+
+// -------------------------------
+// Layouts (every update keeps a version snapshot and bumps `revision`;
+// updates that send a stale `baseRevision` are rejected with 409 and the current layout)
+// -------------------------------
+
+const withComponentIds = (components = []) => components.map((component, order) => ({
+  _id: component._id || createId(),
+  order,
+  ...component,
+}));
+
+route('get', '/layouts', () => ok(sortByDate(getCollection('layouts'), 'updatedAt')));
+route('get', '/layouts/:id/versions', ({ params }) => ok(found(findById('layouts', params.id), 'Layout').versions || []));
+route('get', '/layouts/:id', ({ params }) => ok(found(findById('layouts', params.id), 'Layout')));
+route('post', '/layouts', ({ body, user }) => {
+  const layout = insert('layouts', { isActive: true, ...body, components: withComponentIds(body.components), versions: [], revision: 1 });
+  logActivity(user, 'create', 'layout', `Created layout "${layout.name}"`);
+  return ok(layout, { message: 'Layout created successfully' });
+});
+const layoutEditor = (user) => (user ? { _id: user._id, name: user.name } : null);
+
+/**
+ * Snapshot of a layout's current state, prepended to its versions before it changes.
+ * @param {Object} layout
+ * @returns {Array<Object>} The new versions list
+ */
+const pushLayoutVersion = (layout) => {
+  const versions = layout.versions || [];
+  const snapshot = {
+    version: versions.length + 1,
+    name: layout.name,
+    components: layout.components,
+    savedAt: layout.updatedAt,
+    savedBy: layout.updatedBy || layoutEditor(layout.createdBy),
+  };
+  return [snapshot, ...versions];
+};
+
+route('put', '/layouts/:id/versions/:version/restore', ({ params, user }) => {
+  requireUser(user);
+  const layout = found(findById('layouts', params.id), 'Layout');
+  const version = found((layout.versions || []).find((v) => String(v.version) === params.version), 'Version');
+  const updated = update('layouts', layout._id, {
+    name: version.name ?? layout.name,
+    components: withComponentIds(version.components),
+    versions: pushLayoutVersion(layout),
+    revision: (layout.revision || 0) + 1,
+    updatedBy: layoutEditor(user),
+  });
+  logActivity(user, 'update', 'layout', `Restored layout "${updated.name}" to version ${version.version}`);
+  return ok(updated, { message: `Restored version ${version.version}` });
+});
+route('put', '/layouts/:id', ({ params, body, user }) => {
+  const layout = found(findById('layouts', params.id), 'Layout');
+  const { baseRevision, ...changes } = body;
+  if (baseRevision !== undefined && baseRevision !== (layout.revision || 0)) {
+    const editor = layout.updatedBy?.name || 'someone else';
+    throw new MockHttpError(409, `"${layout.name}" was saved by ${editor} after you opened it`, layout);
+  }
+  const patch = {
+    ...changes,
+    versions: pushLayoutVersion(layout),
+    revision: (layout.revision || 0) + 1,
+    updatedBy: layoutEditor(user),
+  };
+  if (body.components) patch.components = withComponentIds(body.components);
+  const updated = update('layouts', layout._id, patch);
+  logActivity(user, 'update', 'layout', `Updated layout "${updated.name}"`);
+  return ok(updated, { message: 'Layout updated successfully' });
+});
+route('delete', '/layouts/:id', ({ params, user }) => {
+  const layout = found(remove('layouts', params.id), 'Layout');
+  logActivity(user, 'delete', 'layout', `Deleted layout "${layout.name}"`);
+  return ok(layout, { message: 'Layout deleted successfully' });
+});
+
+// -------------------------------
+// Newsletter
+// -------------------------------
+
+/**
+ * Normalizes subscriber tags and attributes from a request body: trimmed tags without case-insensitive
+ * duplicates, and attributes without blank names. Fields missing from the body are left out.
+ * @param {Object} body
+ * @returns {Object}
+ */
+const cleanSubscriberFields = (body) => {
+  const cleaned = { ...body };
+  if (Array.isArray(body.tags)) {
+    const seen = new Set();
+    cleaned.tags = body.tags
+      .map((tag) => String(tag).trim())
+      .filter((tag) => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+  }
+  if (body.attributes && typeof body.attributes === 'object') {
+    cleaned.attributes = Object.fromEntries(
+      Object.entries(body.attributes)
+        .map(([key, val]) => [key.trim(), val])
+        .filter(([key]) => key)
+    );
+  }
+  return cleaned;
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Long random token for links that stand in for a login (confirmation and preference center).
+ * @returns {string}
+ */
+const createPreferenceToken = () => `${createId()}${createId()}`;
+
+/**
+ * A fresh double opt-in token and its expiry.
+ * @returns {{ confirmToken: string, confirmExpiresAt: string }}
+ */
+const confirmationFields = () => ({
+  confirmToken: createPreferenceToken(),
+  confirmExpiresAt: new Date(Date.now() + CONFIRMATION_TTL_HOURS * 3600 * 1000).toISOString(),
+});
+
+/**
+ * "Sends" the double opt-in email. The mock has no mail server, so the link is put in a
+ * notification where it can be followed to try the flow.
+ * @param {Object} subscriber
+ */
+const sendConfirmationEmail = (subscriber) => {
+  notify('Confirmation email sent', `Waiting for ${subscriber.email} to confirm their subscription`, 'confirmation', {
+    email: subscriber.email,
+    confirmUrl: buildConfirmUrl(subscriber.confirmToken),
+    expiresAt: subscriber.confirmExpiresAt,
+  });
+};
+
+/**
+ * Subscriber without the pending confirmation token, which only the subscriber's inbox should see.
+ * @param {Object} subscriber
+ * @returns {Object}
+ */
+const withoutSecrets = ({ confirmToken, ...subscriber }) => subscriber;
+
+/**
+ * What the public confirmation and preference pages may show about a subscription.
+ * @param {Object} subscriber
+ * @returns {{ email: string, status: string, preferences: { topics: Array<string>, frequency: string } }}
+ */
+const publicSubscription = (subscriber) => ({
+  email: subscriber.email,
+  status: subscriber.status,
+  preferences: getPreferences(subscriber),
+});
+
+/**
+ * Finds the subscriber a preference-center link belongs to.
+ * @param {string} token
+ * @returns {Object}
+ */
+const findByPreferenceToken = (token) => {
+  const subscriber = getCollection('subscribers').find((s) => s.preferenceToken && s.preferenceToken === token);
+  if (!subscriber) throw new MockHttpError(404, 'This preferences link is invalid');
+  return subscriber;
+};
+
+/**
+ * Unsubscribes and records the withdrawal of consent. Unsubscribing twice changes nothing.
+ * @param {Object} subscriber
+ * @param {string|null} ip - Address of the request, or null when an administrator did it
+ * @param {string} [note]
+ * @returns {Object} Updated subscriber
+ */
+const withdrawConsent = (subscriber, ip, note) => {
+  if (subscriber.status === 'inactive' && subscriber.consent?.withdrawnAt) return subscriber;
+  const now = new Date().toISOString();
+  const updated = update('subscribers', subscriber._id, {
+    status: 'inactive',
+    confirmToken: null,
+    confirmExpiresAt: null,
+    consent: { ...subscriber.consent, withdrawnAt: now },
+    consentHistory: [...(subscriber.consentHistory || []), { action: 'unsubscribed', at: now, ip, ...(note && { note }) }],
+  });
+  notify('Unsubscribed', `${updated.email} unsubscribed from the newsletter`, 'unsubscription', {
+    email: updated.email,
+    unsubscribedAt: now,
+  });
+  return updated;
+};
+
+/**
+ * When each address last had a newsletter delivered, up to a time.
+ * @param {Date} until
+ * @returns {Map<string, string>} Email to ISO time
+ */
+const lastDeliveries = (until) => {
+  const last = new Map();
+  getCollection('newsletterEvents').forEach((event) => {
+    if (event.type !== 'delivered' || new Date(event.at) > until) return;
+    if (!last.has(event.email) || last.get(event.email) < event.at) last.set(event.email, event.at);
+  });
+  return last;
+};
+
+/**
+ * Subscribers a newsletter goes to at a given time: active members of its audience who want its topic
+ * and whose chosen frequency allows another newsletter by then. Unknown segment ids are ignored.
+ * @param {{ audience?: { segmentIds?: Array<string> }, topic?: string, important?: boolean }} newsletter
+ * @param {Date} [at]
+ * @returns {Array<Object>}
+ */
+const audienceRecipients = (newsletter, at = new Date()) => {
+  const segments = (newsletter.audience?.segmentIds || []).map((id) => findById('segments', id)).filter(Boolean);
+  const received = lastDeliveries(at);
+  return resolveAudience(getCollection('subscribers'), segments, newsletter)
+    .filter((subscriber) => isDueForNewsletter(subscriber, newsletter, received.get(subscriber.email), at));
+};
+
+/**
+ * Checks a newsletter's topic; an unknown one would silently reach nobody.
+ * @param {string} topic
+ */
+const checkNewsletterTopic = (topic) => {
+  if (!NEWSLETTER_TOPICS.some((entry) => entry.value === topic)) throw new MockHttpError(400, 'Choose a topic for the newsletter');
+};
+
+/**
+ * Validates a segment payload.
+ * @param {Object} body
+ * @returns {{ name: string, description: string, match: string, rules: Array<Object> }}
+ */
+const segmentFields = (body) => {
+  const name = body.name?.trim();
+  if (!name) throw new MockHttpError(400, 'Segment name is required');
+  const rules = (body.rules || []).filter(isRuleComplete);
+  if (!rules.length) throw new MockHttpError(400, 'Add at least one complete rule');
+  return { name, description: body.description?.trim() || '', match: body.match === 'any' ? 'any' : 'all', rules };
+};
+
+route('post', '/newsletter/subscribe', ({ body, ip }) => {
+  const email = String(body.email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) throw new MockHttpError(400, 'Please enter a valid email address');
+  if (body.consent !== true) throw new MockHttpError(400, 'Please agree to receive the newsletter');
+  const existing = getCollection('subscribers').find((s) => s.email === email);
+  if (existing?.status === 'active') throw new MockHttpError(400, 'Email is already subscribed');
+
+  const now = new Date().toISOString();
+  const form = String(body.source?.form || 'api');
+  const fields = {
+    status: 'pending',
+    ...confirmationFields(),
+    consent: {
+      form,
+      page: String(body.source?.page || ''),
+      text: String(body.source?.consentText || ''),
+      ip,
+      requestedAt: now,
+      confirmedAt: null,
+      confirmIp: null,
+      withdrawnAt: null,
+    },
+    consentHistory: [...(existing?.consentHistory || []), { action: 'requested', at: now, ip, form }],
+  };
+  const subscriber = existing
+    ? update('subscribers', existing._id, fields)
+    : insert('subscribers', {
+      email,
+      source: 'website',
+      tags: [],
+      attributes: {},
+      preferenceToken: createPreferenceToken(),
+      preferences: { ...DEFAULT_PREFERENCES },
+      ...fields,
+    });
+  sendConfirmationEmail(subscriber);
+  return ok({ email, status: 'pending' }, { message: 'Almost done! Check your inbox and click the link to confirm your subscription.' });
+});
+route('post', '/newsletter/confirm/:token', ({ params, ip }) => {
+  const subscriber = getCollection('subscribers').find((s) => s.confirmToken && s.confirmToken === params.token);
+  if (!subscriber) throw new MockHttpError(404, 'This confirmation link is invalid or has already been used');
+  if (new Date(subscriber.confirmExpiresAt) < new Date()) {
+    throw new MockHttpError(410, 'This confirmation link has expired. Please subscribe again.');
+  }
+  const now = new Date().toISOString();
+  const confirmed = update('subscribers', subscriber._id, {
+    status: 'active',
+    confirmToken: null,
+    confirmExpiresAt: null,
+    consent: { ...subscriber.consent, confirmedAt: now, confirmIp: ip, withdrawnAt: null },
+    consentHistory: [...(subscriber.consentHistory || []), { action: 'confirmed', at: now, ip }],
+  });
+  notify('New subscriber', `${confirmed.email} confirmed their newsletter subscription`, 'subscription', {
+    email: confirmed.email,
+    subscribedAt: now,
+  });
+  return ok(
+    { ...publicSubscription(confirmed), preferenceToken: confirmed.preferenceToken },
+    { message: 'Subscription confirmed' }
+  );
+});
+route('get', '/newsletter/preferences/:token', ({ params }) => ok(publicSubscription(findByPreferenceToken(params.token))));
+route('put', '/newsletter/preferences/:token', ({ params, body, ip }) => {
+  const subscriber = findByPreferenceToken(params.token);
+  if (subscriber.status === 'inactive') throw new MockHttpError(400, 'You are unsubscribed. Subscribe again to choose topics.');
+  let preferences;
+  try {
+    preferences = normalizePreferences(body);
+  } catch (error) {
+    throw new MockHttpError(400, error.message);
+  }
+  const updated = update('subscribers', subscriber._id, {
+    preferences,
+    consentHistory: [...(subscriber.consentHistory || []), { action: 'preferences', at: new Date().toISOString(), ip, preferences }],
+  });
+  return ok(publicSubscription(updated), { message: 'Preferences saved' });
+});
+route('post', '/newsletter/preferences/:token/unsubscribe', ({ params, ip }) => (
+  ok(publicSubscription(withdrawConsent(findByPreferenceToken(params.token), ip)), { message: 'Unsubscribed successfully' })
+));
+route('post', '/newsletter/unsubscribe', ({ body, ip }) => {
+  const subscriber = found(getCollection('subscribers').find((s) => s.email === body.email?.toLowerCase()), 'Subscriber');
+  return ok(withoutSecrets(withdrawConsent(subscriber, ip)), { message: 'Unsubscribed successfully' });
+});
+route('get', '/newsletter/subscribers', () => ok(sortByDate(getCollection('subscribers')).map(withoutSecrets)));
+route('get', '/newsletter/subscribers/:id', ({ params }) => ok(withoutSecrets(found(findById('subscribers', params.id), 'Subscriber'))));
+route('put', '/newsletter/subscribers/:id', ({ params, body }) => {
+  const subscriber = found(findById('subscribers', params.id), 'Subscriber');
+  // Consent is the subscriber's to give: only the confirmation link makes an address active
+  if (body.status && body.status !== subscriber.status && body.status !== 'inactive') {
+    throw new MockHttpError(400, 'Subscribers can only be activated by confirming their email. Send a confirmation email instead.');
+  }
+  const {
+    consent, consentHistory, confirmToken, confirmExpiresAt, preferenceToken, ...fields
+  } = cleanSubscriberFields(body);
+  return ok(withoutSecrets(fields.status === 'inactive' && subscriber.status !== 'inactive'
+    ? withdrawConsent(update('subscribers', subscriber._id, fields), null, 'Unsubscribed by an administrator')
+    : update('subscribers', subscriber._id, fields)));
+});
+route('post', '/newsletter/subscribers/import', ({ body, user }) => {
+  const records = Array.isArray(body.records) ? body.records : [];
+  if (!records.length) throw new MockHttpError(400, 'There are no rows to import');
+  if (records.length > MAX_IMPORT_ROWS) throw new MockHttpError(400, `Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+  const newStatus = body.newStatus === 'pending' ? 'pending' : 'active';
+  const consentNote = String(body.consentNote || '').trim();
+  if (!body.dryRun && newStatus === 'active' && !consentNote) {
+    throw new MockHttpError(400, 'Describe how these subscribers agreed to receive email, or send them a confirmation email');
+  }
+
+  const report = classifyImport(records, getCollection('subscribers'), { newStatus });
+  const summary = { ...report.summary };
+  const rows = report.rows.map(({ row, email, result, reason }) => ({ row, email, result, reason }));
+  if (body.dryRun) return ok({ summary, rows });
+
+  // Applied in one write: inserting thousands of rows one by one would persist the store each time
+  const now = new Date().toISOString();
+  const collection = getCollection('subscribers');
+  const byId = new Map(collection.map((subscriber) => [subscriber._id, subscriber]));
+  const created = [];
+  report.rows.forEach((entry) => {
+    if (entry.result === 'updated') {
+      const subscriber = byId.get(entry.subscriberId);
+      Object.assign(subscriber, entry.changes, { updatedAt: now });
+      if (entry.changes.status === 'inactive') {
+        Object.assign(subscriber, {
+          confirmToken: null,
+          confirmExpiresAt: null,
+          consent: { ...subscriber.consent, withdrawnAt: now },
+          consentHistory: [...(subscriber.consentHistory || []), { action: 'unsubscribed', at: now, ip: null, note: 'Marked unsubscribed in an import' }],
+        });
+      }
+    }
+    if (entry.result === 'new') {
+      const { status } = entry.subscriber;
+      created.push({
+        _id: createId(),
+        createdAt: now,
+        updatedAt: now,
+        ...entry.subscriber,
+        source: 'import',
+        preferenceToken: createPreferenceToken(),
+        preferences: { ...DEFAULT_PREFERENCES },
+        ...(status === 'pending' && confirmationFields()),
+        consent: {
+          form: 'import',
+          page: '',
+          text: consentNote,
+          ip: null,
+          requestedAt: now,
+          confirmedAt: null,
+          confirmIp: null,
+          withdrawnAt: status === 'inactive' ? now : null,
+        },
+        consentHistory: [{ action: 'imported', at: now, ip: null, note: consentNote || 'Confirmation email sent', by: user?.email || null }],
+      });
+    }
+  });
+  replaceCollection('subscribers', [...created.reverse(), ...collection]);
+
+  const awaiting = created.filter((subscriber) => subscriber.status === 'pending').length;
+  if (awaiting) {
+    notify('Confirmation emails sent', `Sent confirmation emails to ${awaiting} imported subscribers`, 'import', { count: awaiting });
+  }
+  logActivity(user, 'import', 'subscriber', `Imported subscribers: ${summary.new} new, ${summary.updated} updated`);
+  return ok({ summary, rows }, { message: `Imported ${summary.new} new and updated ${summary.updated} subscribers` });
+});
+route('post', '/newsletter/subscribers/:id/confirmation', ({ params, user }) => {
+  const subscriber = found(findById('subscribers', params.id), 'Subscriber');
+  if (subscriber.status !== 'pending') {
+    throw new MockHttpError(400, subscriber.status === 'active'
+      ? 'Subscriber has already confirmed'
+      : 'This address unsubscribed. Only its owner can subscribe again.');
+  }
+  const pending = update('subscribers', subscriber._id, confirmationFields());
+  sendConfirmationEmail(pending);
+  logActivity(user, 'update', 'subscriber', `Sent a confirmation email to ${pending.email}`);
+  return ok(withoutSecrets(pending), { message: `Confirmation email sent to ${pending.email}` });
+});
+route('delete', '/newsletter/subscribers/:id', ({ params }) => ok(found(remove('subscribers', params.id), 'Subscriber')));
+route('get', '/newsletter/segments', () => ok(
+  sortByDate(getCollection('segments')).map((segment) => ({
+    ...segment,
+    subscriberCount: resolveAudience(getCollection('subscribers'), [segment]).length,
+  }))
+));
+route('post', '/newsletter/segments', ({ body, user }) => {
+  const segment = insert('segments', segmentFields(body));
+  logActivity(user, 'create', 'segment', `Created segment "${segment.name}"`);
+  return ok(segment, { message: 'Segment created successfully' });
+});
+route('put', '/newsletter/segments/:id', ({ params, body, user }) => {
+  found(findById('segments', params.id), 'Segment');
+  const segment = update('segments', params.id, segmentFields(body));
+  logActivity(user, 'update', 'segment', `Updated segment "${segment.name}"`);
+  return ok(segment, { message: 'Segment updated successfully' });
+});
+route('delete', '/newsletter/segments/:id', ({ params, user }) => {
+  const segment = found(findById('segments', params.id), 'Segment');
+  const usedBy = getCollection('newsletters')
+    .filter((n) => n.status !== 'sent' && n.audience?.segmentIds?.includes(segment._id));
+  if (usedBy.length) {
+    throw new MockHttpError(409, `Segment is the audience of ${usedBy.length} unsent newsletter${usedBy.length === 1 ? '' : 's'}`);
+  }
+  remove('segments', segment._id);
+  logActivity(user, 'delete', 'segment', `Deleted segment "${segment.name}"`);
+  return ok(segment, { message: 'Segment deleted successfully' });
+});
+route('get', '/newsletter/templates', () => ok(sortByDate(getCollection('newsletterTemplates'))));
+route('post', '/newsletter/templates', ({ body, user }) => {
+  const name = body.name?.trim();
+  if (!name) throw new MockHttpError(400, 'Template name is required');
+  const template = insert('newsletterTemplates', {
+    name,
+    description: body.description?.trim() || '',
+    subject: body.subject || '',
+    blocks: body.blocks || null,
+    content: body.blocks ? '' : body.content || '',
+  });
+  logActivity(user, 'create', 'newsletter template', `Saved newsletter template "${template.name}"`);
+  return ok(template, { message: 'Template saved successfully' });
+});
+route('delete', '/newsletter/templates/:id', ({ params, user }) => {
+  const template = found(remove('newsletterTemplates', params.id), 'Template');
+  logActivity(user, 'delete', 'newsletter template', `Deleted newsletter template "${template.name}"`);
+  return ok(template, { message: 'Template deleted successfully' });
+});
+route('post', '/newsletter/audience/preview', ({ body }) => {
+  // Either saved segments or an unsaved segment from the rule editor
+  const recipients = body.segment
+    ? resolveAudience(getCollection('subscribers'), [body.segment])
+    : audienceRecipients({ audience: { segmentIds: body.segmentIds }, topic: body.topic, important: body.important });
+  return ok({
+    count: recipients.length,
+    total: getCollection('subscribers').filter((s) => s.status === 'active').length,
+    sample: recipients.slice(0, 5).map((s) => s.email),
+  });
+});
+
+// -------------------------------
+// Newsletter delivery (stands in for the mail provider and its open/click tracking)
+// -------------------------------
+
+/**
+ * Shuffles a copy of a list.
+ * @param {Array} items
+ * @returns {Array}
+ */
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * Records a send in the event log, with the simulated engagement that follows it.
+ * @param {Object} newsletter
+ * @param {Array<Object>} recipients
+ * @param {Object} [options] - See simulateDelivery
+ */
+const deliverNewsletter = (newsletter, recipients, options) => {
+  getCollection('newsletterEvents').push(...simulateDelivery(newsletter, recipients, options));
+  // Opens count towards lead scores once they are due
+  const emails = new Set(recipients.map((s) => s.email?.toLowerCase()));
+  rescoreLeads(getCollection('leads').filter((lead) => emails.has(lead.email?.toLowerCase())));
+};
+
+/**
+ * Test results of one variant: unique recipients delivered, opened and clicked up to a time.
+ * @param {string} newsletterId
+ * @param {string} variantId
+ * @param {Date} until
+ * @returns {{ sent: number, opens: number, clicks: number }}
+ */
+const variantStats = (newsletterId, variantId, until) => {
+  const people = { delivered: new Set(), open: new Set(), click: new Set() };
+  getCollection('newsletterEvents').forEach((event) => {
+    if (event.newsletter === newsletterId && event.variant === variantId && !event.rollout && new Date(event.at) <= until) {
+      people[event.type]?.add(event.email);
+    }
+  });
+  return { sent: people.delivered.size, opens: people.open.size, clicks: people.click.size };
+};
+
+/**
+ * Adds live per-variant results to a newsletter whose A/B test is running.
+ * @param {Object} newsletter
+ * @returns {Object}
+ */
+const withAbResults = (newsletter) => (newsletter.status === 'testing'
+  ? {
+    ...newsletter,
+    abTest: {
+      ...newsletter.abTest,
+      variants: newsletter.abTest.variants.map((variant) => ({ ...variant, stats: variantStats(newsletter._id, variant.id, new Date()) })),
+    },
+  }
+  : newsletter);
+
+/**
+ * Sends a newsletter to its audience, or starts its A/B test: each variant goes to its share of a
+ * shuffled audience and the rest waits for the winner.
+ * @param {Object} newsletter
+ * @param {Object|null} user
+ * @returns {{ newsletter: Object, stats: { total: number, sent: number, failed: number } }}
+ */
+const sendNewsletterNow = (newsletter, user) => {
+  const recipients = audienceRecipients(newsletter);
+  if (!recipients.length) throw new MockHttpError(400, 'No subscribers in this audience want this newsletter right now');
+  const now = new Date();
+
+  if (newsletter.abTest) {
+    const problem = validateAbTest(newsletter.abTest);
+    if (problem) throw new MockHttpError(400, problem);
+    const { groups } = splitAudience(shuffle(recipients), newsletter.abTest.variants);
+    newsletter.abTest.variants.forEach((variant) => deliverNewsletter(newsletter, groups[variant.id], { variant, sentAt: now }));
+    const tested = Object.values(groups).flat();
+    const started = update('newsletters', newsletter._id, {
+      status: 'testing',
+      lastSentAt: now.toISOString(),
+      schedule: null,
+      sentTo: tested.map((s) => s.email),
+      abTest: {
+        ...newsletter.abTest,
+        status: 'testing',
+        startedAt: now.toISOString(),
+        decideAt: new Date(now.getTime() + Number(newsletter.abTest.windowHours) * 3600 * 1000).toISOString(),
+        winnerId: null,
+      },
+    });
+    notify('A/B test started', `"${started.subject}" is testing ${started.abTest.variants.length} variants on ${tested.length} subscribers`, 'newsletter', { type: 'sent', subject: started.subject });
+    logActivity(user, 'send', 'newsletter', `Started A/B test for newsletter "${started.subject}"`);
+    return { newsletter: withAbResults(started), stats: { total: tested.length, sent: tested.length, failed: 0 } };
+  }
+
+  deliverNewsletter(newsletter, recipients, { sentAt: now });
+  const sent = update('newsletters', newsletter._id, {
+    status: 'sent',
+    lastSentAt: now.toISOString(),
+    schedule: null,
+    sentTo: recipients.map((s) => s.email),
+  });
+  notify('Newsletter sent', `"${sent.subject}" was sent to ${recipients.length} subscribers`, 'newsletter', { type: 'sent', subject: sent.subject });
+  logActivity(user, 'send', 'newsletter', `Sent newsletter "${sent.subject}"`);
+  return { newsletter: sent, stats: { total: recipients.length, sent: recipients.length, failed: 0 } };
+};
+
+/**
+ * Ends an A/B test: freezes each variant's results, picks the winner (unless one is given) and
+ * sends it to the audience members who were not in the test.
+ * @param {Object} newsletter
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Winner chosen by hand
+ * @param {Date} [options.at] - Decision time; results count engagement up to it
+ * @param {Object|null} [options.user]
+ * @returns {Object} The sent newsletter
+ */
+const finishAbTest = (newsletter, { variantId, at = new Date(), user = null } = {}) => {
+  const variants = newsletter.abTest.variants.map((variant) => ({ ...variant, stats: variantStats(newsletter._id, variant.id, at) }));
+  const winnerId = variantId || pickWinner(variants, newsletter.abTest.metric);
+  const winner = found(variants.find((variant) => variant.id === winnerId), 'Variant');
+  const tested = new Set(newsletter.sentTo || []);
+  const remainder = audienceRecipients(newsletter, at).filter((s) => !tested.has(s.email));
+  deliverNewsletter(newsletter, remainder, { variant: winner, sentAt: at, rollout: true });
+  const sent = update('newsletters', newsletter._id, {
+    status: 'sent',
+    subject: winner.subject,
+    content: winner.content,
+    blocks: winner.blocks || null,
+    emailHtml: winner.emailHtml,
+    emailText: winner.emailText,
+    lastSentAt: at.toISOString(),
+    sentTo: [...tested, ...remainder.map((s) => s.email)],
+    abTest: { ...newsletter.abTest, variants, status: 'completed', winnerId, decidedAt: at.toISOString(), decidedBy: variantId ? 'manual' : newsletter.abTest.metric },
+  });
+  notify('A/B test finished', `Variant ${winnerId} ("${winner.subject}") won and was sent to ${remainder.length} more subscribers`, 'newsletter', { type: 'sent', subject: winner.subject });
+  logActivity(user, 'send', 'newsletter', `Sent A/B test winner ${winnerId} of newsletter "${winner.subject}"`);
+  return sent;
+};
+
+route('get', '/newsletter/scheduled', () => ok(getCollection('newsletters').filter((n) => n.status === 'scheduled')));
+route('get', '/newsletter', () => ok(sortByDate(getCollection('newsletters')).map(withAbResults)));
+route('post', '/newsletter', ({ body, user }) => {
+  checkNewsletterTopic(body.topic);
+  const newsletter = insert('newsletters', { status: 'draft', schedule: null, ...body });
+  logActivity(user, 'create', 'newsletter', `Created newsletter "${newsletter.subject}"`);
+  return ok(newsletter);
+});
+route('put', '/newsletter/:id', ({ params, body }) => {
+  const newsletter = found(findById('newsletters', params.id), 'Newsletter');
+  if (newsletter.status === 'sent') throw new MockHttpError(400, 'Cannot update sent newsletter');
+  if (newsletter.status === 'testing') throw new MockHttpError(400, 'Cannot update a newsletter during its A/B test');
+  if ('topic' in body) checkNewsletterTopic(body.topic);
+  return ok(update('newsletters', newsletter._id, body));
+});
+route('delete', '/newsletter/:id', ({ params }) => ok(found(remove('newsletters', params.id), 'Newsletter')));
+route('post', '/newsletter/:id/send', ({ params, user }) => {
+  const newsletter = found(findById('newsletters', params.id), 'Newsletter');
+  if (newsletter.status === 'sent') throw new MockHttpError(400, 'Newsletter has already been sent');
+  if (newsletter.status === 'testing') throw new MockHttpError(400, 'The A/B test for this newsletter is still running');
+  return ok(sendNewsletterNow(newsletter, user));
+});
+route('post', '/newsletter/:id/ab-test/winner', ({ params, body, user }) => {
+  const newsletter = found(findById('newsletters', params.id), 'Newsletter');
+  if (newsletter.status !== 'testing') throw new MockHttpError(400, 'This newsletter has no running A/B test');
+  return ok(finishAbTest(newsletter, { variantId: body?.variantId, user }), { message: 'Winner sent to the rest of the audience' });
+});
+
+/**
+ * Tracking events of a newsletter that have happened by now, oldest first. Simulated
+ * engagement is recorded ahead of time, so later events are held back until they are due.
+ * @param {string} newsletterId
+ * @returns {Array<Object>}
+ */
+const pastEvents = (newsletterId) => {
+  const now = new Date();
+  return getCollection('newsletterEvents')
+    .filter((event) => event.newsletter === newsletterId && new Date(event.at) <= now)
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+/**
+ * When a newsletter first went out (the start of its A/B test, if it had one).
+ * @param {Object} newsletter
+ * @returns {string|null}
+ */
+const firstSentAt = (newsletter) => newsletter.abTest?.startedAt || newsletter.lastSentAt || null;
+
+route('get', '/newsletter/analytics', () => ok(
+  getCollection('newsletters')
+    .filter((n) => ['sent', 'testing'].includes(n.status) && firstSentAt(n))
+    .sort((a, b) => new Date(firstSentAt(a)) - new Date(firstSentAt(b)))
+    .map((n) => {
+      const { links, openTimes, ...summary } = summarizeEvents(pastEvents(n._id));
+      return { _id: n._id, subject: n.subject, sentAt: firstSentAt(n), ...summary };
+    })
+));
+route('get', '/newsletter/:id/analytics', ({ params }) => {
+  const newsletter = found(findById('newsletters', params.id), 'Newsletter');
+  return ok({
+    _id: newsletter._id,
+    subject: newsletter.subject,
+    sentAt: firstSentAt(newsletter),
+    content: newsletter.content,
+    ...summarizeEvents(pastEvents(newsletter._id)),
+  });
+});
+route('get', '/newsletter/:id/events', ({ params }) => {
+  found(findById('newsletters', params.id), 'Newsletter');
+  return ok(pastEvents(params.id));
+});
+
+/**
+ * Progress fields for the first occurrence after `after`: its date, nobody delivered yet and the time its
+ * first batch goes out. Null when the schedule has no occurrences left.
+ * @param {Object} schedule
+ * @param {Date|string} after
+ * @param {Array<Object>} recipients
+ * @returns {{ occurrenceDate: string, deliveredTo: Array<string>, nextSendDate: string }|null}
+ */
+const nextOccurrence = (schedule, after, recipients) => {
+  const [occurrence] = getOccurrences(schedule, { after, limit: 1 });
+  if (!occurrence) return null;
+  const [firstBatch] = getSendBatches(schedule, occurrence.date, recipients);
+  return { occurrenceDate: occurrence.date, deliveredTo: [], nextSendDate: firstBatch?.at || occurrence.at };
+};
+
+/**
+ * Sends whatever is due of a recurring or local-time schedule. An occurrence goes out in timezone batches;
+ * when every recipient has it the schedule moves to the next occurrence, and the newsletter is sent once no
+ * occurrences are left. Occurrences missed while nobody was looking go out one by one, backdated.
+ * @param {Object} newsletter
+ * @param {Date} now
+ */
+const deliverDueOccurrences = (newsletter, now) => {
+  let { schedule } = newsletter;
+  let { lastSentAt } = newsletter;
+  const sentTo = new Set(newsletter.sentTo || []);
+  // Bounded so a long-missed daily schedule cannot stall a request
+  for (let guard = 0; schedule && isDue(schedule.nextSendDate, now) && guard < 100; guard += 1) {
+    const recipients = audienceRecipients(newsletter, new Date(occurrenceTime(schedule, schedule.occurrenceDate)));
+    const delivered = new Set(schedule.deliveredTo || []);
+    const batches = getSendBatches(schedule, schedule.occurrenceDate, recipients.filter((s) => !delivered.has(s.email)));
+    batches.filter((batch) => isDue(batch.at, now)).forEach((batch) => {
+      deliverNewsletter(newsletter, batch.recipients, { sentAt: new Date(batch.at) });
+      batch.recipients.forEach((s) => {
+        delivered.add(s.email);
+        sentTo.add(s.email);
+      });
+      lastSentAt = batch.at;
+    });
+    const waiting = batches.find((batch) => !isDue(batch.at, now));
+    if (waiting) {
+      schedule = { ...schedule, deliveredTo: [...delivered], nextSendDate: waiting.at };
+    } else {
+      const date = schedule.occurrenceDate;
+      if (delivered.size) {
+        notify('Newsletter sent', `"${newsletter.subject}" (${date}) was sent to ${delivered.size} subscribers`, 'newsletter', { type: 'sent', subject: newsletter.subject });
+        logActivity(null, 'send', 'newsletter', `Scheduler sent newsletter "${newsletter.subject}" for ${date}`);
+      } else {
+        notify('Scheduled newsletter not sent', `"${newsletter.subject}" (${date}): No subscribers in this audience wanted this newsletter`, 'newsletter', { type: 'failed', subject: newsletter.subject });
+      }
+      const next = nextOccurrence(schedule, occurrenceTime(schedule, schedule.occurrenceDate), recipients);
+      schedule = next ? { ...schedule, ...next } : null;
+    }
+  }
+  update('newsletters', newsletter._id, {
+    status: schedule ? 'scheduled' : lastSentAt ? 'sent' : 'draft',
+    schedule,
+    lastSentAt: lastSentAt || null,
+    sentTo: [...sentTo],
+  });
+};
+
+const saveSchedule = ({ params, body }) => {
+  const newsletter = found(findById('newsletters', params.id), 'Newsletter');
+  const { audience, ...scheduleFields } = body;
+  const problem = validateRecurrence(scheduleFields);
+  if (problem) throw new MockHttpError(400, problem);
+  if (newsletter.abTest && (scheduleFields.frequency !== 'once' || scheduleFields.deliveryMode === 'local')) {
+    throw new MockHttpError(400, 'A/B tests can only be scheduled as a one-time send at the same moment for everyone');
+  }
+  const fields = { ...scheduleFields, rrule: getRRule(scheduleFields), exdates: [...new Set(scheduleFields.exdates || [])].sort() };
+  const next = nextOccurrence(fields, new Date(), audienceRecipients({ ...newsletter, audience: audience || newsletter.audience }));
+  if (!next) throw new MockHttpError(400, 'This schedule has no send dates in the future');
+  const schedule = { ...fields, ...next };
+  return ok(update('newsletters', params.id, { status: 'scheduled', schedule, ...(audience ? { audience } : {}) }));
+};
+route('post', '/newsletter/:id/schedule', saveSchedule);
+route('put', '/newsletter/:id/schedule', saveSchedule);
+route('get', '/newsletter/:id/schedule', ({ params }) => ok(found(findById('newsletters', params.id), 'Newsletter').schedule));
+route('post', '/newsletter/:id/cancel-schedule', ({ params }) => ok(
+  found(update('newsletters', params.id, { status: 'draft', schedule: null }), 'Newsletter')
+));
+
+// -------------------------------
+// Notifications
+// -------------------------------
+
+route('get', '/notifications', () => ok(sortByDate(getCollection('notifications'))));
+route('put', '/notifications/read-all', () => {
+  getCollection('notifications').forEach((n) => { n.read = true; });
+  commit();
+  return ok(getCollection('notifications'));
+});
+route('put', '/notifications/:id/read', ({ params }) => ok(found(update('notifications', params.id, { read: true }), 'Notification')));
+route('delete', '/notifications/:id', ({ params }) => ok(found(remove('notifications', params.id), 'Notification')));
+
+// -------------------------------
+// Leads and inquiries
+// -------------------------------
+
+/**
+ * Throws unless the user may change the pipeline's stages and transitions.
+ * @param {Object|null} user
+ */
+const requirePipelineAdmin = (user) => {
+  if (!userCan(requireUser(user))(PERMISSIONS.PIPELINE_CONFIGURE)) throw new MockHttpError(403, 'You do not have permission to configure the pipeline');
+};
+
+/**
+ * Pipeline stages in board order.
+ * @returns {Array<Object>}
+ */
+const pipelineStages = () => sortStages(getCollection('pipelineStages'));
+
+/**
+ * Allowed moves between pipeline stages.
+ * @returns {Array<Object>}
+ */
+const pipelineTransitions = () => getCollection('pipelineTransitions');
+
+/**
+ * Checks a status change of a lead or inquiry against the pipeline transitions.
+ * @param {Object} record - Lead or inquiry being moved
+ * @param {{ status: string, feedback?: string, followUpAt?: string }} body
+ * @returns {{ feedback: string, followUpAt: string|null }} Cleaned input for the history entry
+ */
+const checkTransition = (record, body) => {
+  const stages = pipelineStages();
+  if (!stages.some((stage) => stage.key === body.status)) throw new MockHttpError(400, `Unknown pipeline stage "${body.status}"`);
+  if (record.status === body.status) throw new MockHttpError(400, `Already in "${getStage(stages, body.status).label}"`);
+  const transition = getTransition(pipelineTransitions(), stages, record.status, body.status);
+  if (!transition) {
+    throw new MockHttpError(400, `Moving from "${getStage(stages, record.status).label}" to "${getStage(stages, body.status).label}" is not allowed`);
+  }
+  const problem = validateTransitionInput(transition, body);
+  if (problem) throw new MockHttpError(400, problem);
+  return { feedback: body.feedback?.trim() || '', followUpAt: body.followUpAt || null };
+};
+
+/**
+ * Resolves a lead owner from a user id; null clears the owner.
+ * @param {string|null} ownerId
+ * @returns {Object|null}
+ */
+const leadOwner = (ownerId) => {
+  if (!ownerId) return null;
+  const owner = found(findById('users', ownerId), 'User');
+  if (!roleHasPermission(owner.role, PERMISSIONS.LEADS_MANAGE)) throw new MockHttpError(400, `${owner.name} cannot own leads`);
+  return userRef(owner);
+};
+
+/**
+ * Validates a deal value; empty clears it.
+ * @param {*} value
+ * @returns {number|null}
+ */
+const dealValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new MockHttpError(400, 'Deal value must be a number of zero or more');
+  return Math.round(number * 100) / 100;
+};
+
+/**
+ * The single lead-scoring settings document.
+ * @returns {{ _id: string, threshold: number, rules: Array<Object> }}
+ */
+const scoringSettings = () => found(getCollection('leadScoring')[0], 'Lead scoring settings');
+
+/**
+ * Re-scores a lead in place from its fields and the engagement recorded for its email.
+ * Notifies when the lead becomes hot, i.e. its score reaches the threshold. The caller commits.
+ * @param {Object} lead
+ * @param {Object} [settings] - Scoring settings; read once by callers scoring many leads
+ * @returns {boolean} Whether the lead crossed the threshold
+ */
+const rescoreLead = (lead, settings = scoringSettings()) => {
+  const engagement = countEngagement(lead.email, { newsletterEvents: getCollection('newsletterEvents'), inquiries: getCollection('inquiries') });
+  const { score, breakdown } = scoreLead(getLeadFacts(lead, engagement), settings.rules);
+  // Comparing against the stored flag, not the old score, also catches leads a lowered threshold makes hot
+  const hot = score >= settings.threshold;
+  const crossed = hot && !lead.hot;
+  lead.hot = hot;
+  lead.score = score;
+  lead.scoreBreakdown = breakdown;
+  lead.scoredAt = new Date().toISOString();
+  if (crossed) {
+    notify('Hot lead', `${lead.name} reached a lead score of ${score}.`, 'lead', {
+      type: 'leadScore',
+      leadId: lead._id,
+      leadName: lead.name,
+      leadEmail: lead.email,
+      leadCompany: lead.company,
+      score,
+      threshold: settings.threshold,
+    });
+  }
+  return crossed;
+};
+
+/**
+ * Re-scores leads and saves them. Recency and simulated opens change with time alone,
+ * so lead reads re-score too rather than serving scores from when a lead last changed.
+ * @param {Array<Object>} [leads] - Defaults to every lead
+ * @returns {number} How many leads crossed the threshold
+ */
+const rescoreLeads = (leads = getCollection('leads')) => {
+  const settings = scoringSettings();
+  const crossed = leads.filter((lead) => rescoreLead(lead, settings)).length;
+  commit();
+  return crossed;
+};
+
+/**
+ * Sorts leads for the table: by score when asked, newest first otherwise.
+ * @param {Array<Object>} leads
+ * @param {{ sort?: string, order?: string }} query
+ * @returns {Array<Object>}
+ */
+const sortLeads = (leads, { sort, order }) => {
+  const newest = sortByDate(leads);
+  if (sort !== 'score' || !order) return newest;
+  const direction = order === 'ascend' ? 1 : -1;
+  const unscored = (lead) => lead.score === null || lead.score === undefined;
+  // Unscored leads sink to the bottom either way; ties keep the newest first
+  return newest.sort((a, b) => (unscored(a) - unscored(b)) || (unscored(a) ? 0 : (a.score - b.score) * direction));
+};
+
+route('get', '/pipeline/stages', () => ok(pipelineStages()));
+route('put', '/pipeline/stages', ({ body, user }) => {
+  requirePipelineAdmin(user);
+  const problem = validateStages(body.stages);
+  if (problem) throw new MockHttpError(400, problem);
+  const previous = getCollection('pipelineStages');
+  const stages = body.stages.map((stage, order) => {
+    const existing = previous.find((entry) => entry._id === stage._id);
+    return {
+      _id: existing?._id || createId(),
+      // Keys never change once leads may carry them, so renaming a stage keeps its leads
+      key: existing?.key || toStageKey(stage.label),
+      label: stage.label.trim(),
+      color: stage.color || '#8c8c8c',
+      kind: stage.kind,
+      order,
+    };
+  });
+  const removed = previous.filter((stage) => !stages.some((entry) => entry.key === stage.key));
+  // Leads and the inquiries not yet converted to leads share the pipeline
+  removed.forEach((stage) => {
+    const count = getCollection('leads').filter((lead) => lead.status === stage.key).length;
+    if (count) throw new MockHttpError(400, `Move the ${count} lead${count === 1 ? '' : 's'} in "${stage.label}" to another stage before removing it`);
+    const inquiries = getCollection('inquiries').filter((inquiry) => !inquiry.convertedLeadId && inquiry.status === stage.key).length;
+    if (inquiries) throw new MockHttpError(400, `Move the ${inquiries} ${inquiries === 1 ? 'inquiry' : 'inquiries'} in "${stage.label}" to another stage before removing it`);
+  });
+  replaceCollection('pipelineStages', stages);
+  replaceCollection('pipelineTransitions', reconcileTransitions(pipelineTransitions(), previous.map((stage) => stage.key), stages)
+    .map((transition) => ({ _id: transition._id || createId(), ...transition })));
+  logActivity(user, 'update', 'lead', 'Updated the pipeline stages');
+  return ok(stages, { message: 'Pipeline stages saved' });
+});
+route('get', '/pipeline/transitions', () => ok(pipelineTransitions()));
+route('put', '/pipeline/transitions', ({ body, user }) => {
+  requirePipelineAdmin(user);
+  const problem = validateTransitions(body.transitions, pipelineStages());
+  if (problem) throw new MockHttpError(400, problem);
+  const transitions = body.transitions.map((transition) => ({
+    _id: transition._id || createId(),
+    from: transition.from,
+    to: transition.to,
+    requireFeedback: Boolean(transition.requireFeedback),
+    requireFollowUp: Boolean(transition.requireFollowUp),
+  }));
+  replaceCollection('pipelineTransitions', transitions);
+  logActivity(user, 'update', 'lead', 'Updated the pipeline transitions');
+  return ok(transitions, { message: 'Pipeline transitions saved' });
+});
+
+route('get', '/leads/owners', () => ok(
+  getCollection('users')
+    .filter((u) => u.isActive !== false && roleHasPermission(u.role, PERMISSIONS.LEADS_MANAGE))
+    .map(userRef)
+));
+route('get', '/leads/scoring', () => ok(scoringSettings()));
+route('put', '/leads/scoring', ({ body, user }) => {
+  requirePipelineAdmin(user);
+  const problem = validateScoring(body);
+  if (problem) throw new MockHttpError(400, problem);
+  const settings = update('leadScoring', scoringSettings()._id, {
+    threshold: Number(body.threshold),
+    rules: body.rules.map((rule) => {
+      const kind = getScoringFact(rule.fact).kind;
+      return {
+        _id: rule._id || createId(),
+        label: rule.label.trim(),
+        fact: rule.fact,
+        operator: rule.operator,
+        value: rule.operator === 'answered' ? null : kind === 'number' ? Number(rule.value) : rule.value,
+        points: Number(rule.points),
+        enabled: rule.enabled !== false,
+      };
+    }),
+  });
+  // New rules or threshold apply to every lead at once, notifying for those that become hot
+  const crossed = rescoreLeads();
+  logActivity(user, 'update', 'lead', 'Updated the lead scoring rules');
+  return ok(settings, { message: 'Scoring rules saved', crossed });
+});
+route('post', '/leads/scoring/recalculate', ({ user }) => {
+  if (!userCan(requireUser(user))(PERMISSIONS.LEADS_MANAGE)) throw new MockHttpError(403, 'You do not have permission to manage leads');
+  const leads = getCollection('leads');
+  const crossed = rescoreLeads(leads);
+  logActivity(user, 'update', 'lead', `Recalculated the scores of ${leads.length} leads`);
+  return ok({ updated: leads.length, crossed }, { message: `Re-scored ${leads.length} lead${leads.length === 1 ? '' : 's'}` });
+});
+route('post', '/leads', ({ body }) => {
+  const now = new Date().toISOString();
+  const lead = insert('leads', {
+    status: pipelineStages()[0]?.key || 'new',
+    statusHistory: [],
+    meetings: [],
+    owner: null,
+    dealValue: null,
+    source: 'lead-form',
+    ...body,
+    stageEnteredAt: now,
+  });
+  notify('New lead', `${lead.name} submitted the lead form.`, 'lead', { leadId: lead._id });
+  rescoreLead(lead);
+  commit();
+  return ok(lead, { message: 'Lead created successfully' });
+});
+route('get', '/leads', ({ query }) => {
+  rescoreLeads();
+  return paginate(
+    sortLeads(getCollection('leads'), query)
+      .filter((l) => !query.status || l.status === query.status)
+      .filter((l) => !query.owner || (query.owner === 'none' ? !l.owner : l.owner?._id === query.owner))
+      .filter((l) => matchesSearch(l, query.search, ['name', 'email', 'company'])),
+    query
+  );
+});
+route('get', '/leads/all', () => {
+  rescoreLeads();
+  return ok(sortByDate(getCollection('leads')));
+});
+route('put', '/leads/:id', ({ params, body, user }) => {
+  const lead = found(findById('leads', params.id), 'Lead');
+  const patch = {};
+  if ('ownerId' in body) patch.owner = leadOwner(body.ownerId);
+  if ('dealValue' in body) patch.dealValue = dealValue(body.dealValue);
+  const updated = update('leads', lead._id, patch);
+  // Deal value is one of the scored facts
+  rescoreLead(updated);
+  commit();
+  logActivity(user, 'update', 'lead', `Updated lead ${updated.name}`);
+  return ok(updated, { message: 'Lead updated successfully' });
+});
+route('put', '/leads/:id/status', ({ params, body, user }) => {
+  const current = found(findById('leads', params.id), 'Lead');
+  const input = checkTransition(current, body);
+  const lead = applyStatusChange(current, { ...body, ...input, fromStatus: current.status, changedBy: userRef(user) });
+  lead.stageEnteredAt = lead.updatedAt;
+  // A follow-up date belongs to the stage it was set for
+  lead.followUpAt = input.followUpAt;
+  commit();
+  logActivity(user, 'update', 'lead', `Moved lead ${lead.name} to ${getStage(pipelineStages(), lead.status).label}`);
+  return ok(lead, { message: 'Status updated successfully' });
+});
+route('delete', '/leads/:id', ({ params }) => ok(found(remove('leads', params.id), 'Lead')));
+route('post', '/leads/:id/schedule-meeting', ({ params, body, user }) => {
+  const lead = found(findById('leads', params.id), 'Lead');
+  const meeting = { _id: createId(), ...body, owner: lead.owner || userRef(user), scheduledBy: userRef(user), createdAt: new Date().toISOString() };
+  lead.meetings = [...(lead.meetings || []), meeting];
+  commit();
+  // The backend answers this endpoint with a custom status code the UI checks for
+  return { status: 6000, success: true, message: 'Meeting invitation sent successfully', data: meeting };
+});
+
+route('post', '/cms/inquiries', ({ body }) => {
+  const inquiry = insert('inquiries', { statusHistory: [], meetings: [], ...body, status: pipelineStages()[0]?.key || 'new' });
+  notify('New inquiry', `${inquiry.firstName || ''} ${inquiry.lastName || ''} sent an inquiry.`.trim(), 'inquiry', { inquiryId: inquiry._id });
+  // A repeat inquiry is engagement from an existing lead
+  const email = inquiry.email?.toLowerCase();
+  getCollection('leads').filter((lead) => email && lead.email?.toLowerCase() === email).forEach((lead) => rescoreLead(lead));
+  commit();
+  return ok(inquiry, { message: 'Inquiry submitted successfully' });
+});
+route('get', '/cms/inquiries', ({ query }) => paginate(
+  sortByDate(getCollection('inquiries'))
+    .filter((i) => !query.status || i.status === query.status)
+    .filter((i) => matchesSearch(i, query.search, ['firstName', 'lastName', 'email', 'companyName'])),
+  query
+));
+route('put', '/cms/inquiries/:id/status', ({ params, body, user }) => {
+  const current = found(findById('inquiries', params.id), 'Inquiry');
+  if (current.convertedLeadId) throw new MockHttpError(400, 'This inquiry continues as a lead; update the lead instead');
+  const input = checkTransition(current, body);
+  const inquiry = applyStatusChange(current, { ...body, ...input, fromStatus: current.status, updatedBy: userRef(user) });
+  inquiry.followUpAt = input.followUpAt;
+  commit();
+  return ok(inquiry, { message: 'Status updated successfully' });
+});
+route('delete', '/cms/inquiries/:id', ({ params }) => ok(found(remove('inquiries', params.id), 'Inquiry')));
+route('post', '/cms/inquiries/:id/convert', ({ params, body, user }) => {
+  const inquiry = found(findById('inquiries', params.id), 'Inquiry');
+  if (inquiry.convertedLeadId) throw new MockHttpError(409, 'This inquiry has already been converted to a lead');
+  const stages = pipelineStages();
+  // Keep the inquiry's progress when the pipeline has a matching stage
+  const stage = stages.find((entry) => entry.key === inquiry.status) || stages.find((entry) => entry.kind === 'open');
+  const now = new Date().toISOString();
+  const name = `${inquiry.firstName || ''} ${inquiry.lastName || ''}`.trim() || inquiry.email;
+  const lead = insert('leads', {
+    name,
+    email: inquiry.email,
+    phone: inquiry.phone || '',
+    company: inquiry.companyName || '',
+    message: inquiry.message || '',
+    source: 'inquiry',
+    inquiryId: inquiry._id,
+    status: stage.key,
+    owner: leadOwner('ownerId' in body ? body.ownerId : user?._id),
+    dealValue: dealValue(body.dealValue),
+    statusHistory: [
+      {
+        _id: createId(),
+        status: stage.key,
+        fromStatus: inquiry.status,
+        feedback: body.feedback?.trim() || 'Converted from inquiry',
+        changedBy: userRef(user),
+        updatedAt: now,
+      },
+      ...(inquiry.statusHistory || []).map((entry) => ({ ...entry, source: 'inquiry' })),
+    ],
+    meetings: inquiry.meetings || [],
+    stageEnteredAt: now,
+    createdAt: inquiry.createdAt,
+  });
+  applyStatusChange(inquiry, { status: 'converted', feedback: `Converted to lead ${lead.name}`, updatedBy: userRef(user) });
+  inquiry.convertedLeadId = lead._id;
+  rescoreLead(lead);
+  commit();
+  logActivity(user, 'create', 'lead', `Converted inquiry from ${lead.name} into a lead`);
+  return ok({ lead, inquiry }, { message: 'Inquiry converted to a lead' });
+});
+route('post', '/cms/inquiries/:id/schedule-meeting', ({ params, body, user }) => {
+  const inquiry = found(findById('inquiries', params.id), 'Inquiry');
+  const meeting = { _id: createId(), ...body, owner: userRef(user), scheduledBy: userRef(user), createdAt: new Date().toISOString() };
+  inquiry.meetings = [...(inquiry.meetings || []), meeting];
+  commit();
+  return ok(meeting, { message: 'Meeting scheduled successfully' });
+});
+
+// -------------------------------
+// Meetings calendar (meetings live on their lead or inquiry)
+// -------------------------------
+
+/**
+ * Every lead and inquiry meeting the user may see, each with the record it belongs to.
+ * Meetings of a converted inquiry are left out; they moved to the lead.
+ * @param {Object|null} user
+ * @returns {Array<Object>}
+ */
+const meetingEntries = (user) => {
+  const can = user ? userCan(user) : () => true;
+  const leadMeetings = can(PERMISSIONS.LEADS_VIEW) ? getCollection('leads').flatMap((lead) => (lead.meetings || []).map((meeting) => ({
+    ...meeting,
+    owner: meetingPerson(meeting),
+    record: { type: 'lead', _id: lead._id, name: lead.name, email: lead.email, company: lead.company || '' },
+  }))) : [];
+  const inquiryMeetings = can(PERMISSIONS.INQUIRIES_VIEW) ? getCollection('inquiries')
+    .filter((inquiry) => !inquiry.convertedLeadId)
+    .flatMap((inquiry) => (inquiry.meetings || []).map((meeting) => ({
+      ...meeting,
+      owner: meetingPerson(meeting),
+      record: {
+        type: 'inquiry',
+        _id: inquiry._id,
+        name: `${inquiry.firstName || ''} ${inquiry.lastName || ''}`.trim() || inquiry.email,
+        email: inquiry.email,
+        company: inquiry.companyName || '',
+      },
+    }))) : [];
+  return [...leadMeetings, ...inquiryMeetings]
+    .filter((meeting) => meeting.date && meeting.time)
+    .sort((a, b) => meetingInterval(a).start - meetingInterval(b).start);
+};
+
+/**
+ * Finds where a meeting is stored.
+ * @param {string} meetingId
+ * @returns {{ meeting: Object, record: Object, type: 'lead'|'inquiry' }}
+ */
+const findMeeting = (meetingId) => {
+  for (const type of ['leads', 'inquiries']) {
+    for (const record of getCollection(type)) {
+      const meeting = (record.meetings || []).find((entry) => entry._id === meetingId);
+      if (meeting) return { meeting, record, type: type === 'leads' ? 'lead' : 'inquiry' };
+    }
+  }
+  throw new MockHttpError(404, 'Meeting not found');
+};
+
+/**
+ * The user's calendar feed token, created on first use.
+ * @param {Object} user
+ * @param {boolean} [reset] - Replace the token, which stops the old feed address working
+ * @returns {string}
+ */
+const calendarToken = (user, reset = false) => {
+  if (!user.calendarToken || reset) {
+    user.calendarToken = `${createId()}${createId()}`;
+    commit();
+  }
+  return user.calendarToken;
+};
+
+route('get', '/meetings', ({ query, user }) => {
+  requireUser(user);
+  const start = query.start ? new Date(query.start) : null;
+  const end = query.end ? new Date(query.end) : null;
+  return ok(meetingEntries(user)
+    .filter((meeting) => !query.owner || meeting.owner?._id === query.owner)
+    .filter((meeting) => {
+      const interval = meetingInterval(meeting);
+      return (!start || interval.end > start) && (!end || interval.start < end);
+    }));
+});
+route('get', '/meetings/feed', ({ user }) => ok({ token: calendarToken(requireUser(user)) }));
+route('post', '/meetings/feed/reset', ({ user }) => ok({ token: calendarToken(requireUser(user), true) }, { message: 'Calendar feed address replaced' }));
+// Calendar apps fetch the feed without signing in; the token in the address identifies the user
+route('get', '/meetings/feed/:token', ({ params }) => {
+  const token = params.token.replace(/\.ics$/, '');
+  const owner = getCollection('users').find((entry) => entry.calendarToken && entry.calendarToken === token);
+  if (!owner) throw new MockHttpError(404, 'Calendar feed not found');
+  return buildICalendar(
+    meetingEntries(owner).filter((meeting) => meeting.owner?._id === owner._id),
+    { name: `${owner.name} - Meetings` }
+  );
+});
+route('put', '/meetings/:id', ({ params, body, user }) => {
+  const { meeting, record, type } = findMeeting(params.id);
+  const permission = type === 'lead' ? PERMISSIONS.LEADS_MANAGE : PERMISSIONS.INQUIRIES_MANAGE;
+  if (!userCan(requireUser(user))(permission)) throw new MockHttpError(403, 'You do not have permission to reschedule this meeting');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(body.date || '') || !/^\d{2}:\d{2}$/.test(body.time || '')) {
+    throw new MockHttpError(400, 'A meeting needs a date (YYYY-MM-DD) and a time (HH:mm)');
+  }
+  const previous = `${meeting.date} ${meeting.time}`;
+  Object.assign(meeting, { date: body.date, time: body.time, updatedAt: new Date().toISOString() });
+  if (body.duration) meeting.duration = body.duration;
+  commit();
+  logActivity(user, 'update', type, `Rescheduled "${meeting.title}" from ${previous} to ${meeting.date} ${meeting.time}`);
+  return ok(meetingEntries(user).find((entry) => entry._id === meeting._id) || { ...meeting, record: { type, _id: record._id } }, { message: 'Meeting rescheduled' });
+});
+
+// -------------------------------
+// Activities
+// -------------------------------
+
+const filterActivities = (list, query) => filterByDate(list, query)
+  .filter((a) => !query.action || a.action === query.action)
+  .filter((a) => !query.entity || a.entity === query.entity);
+
+route('get', '/activities', ({ query }) => paginate(filterActivities(sortByDate(getCollection('activities')), query), query));
+route('get', '/activities/user/:userId', ({ params, query }) => paginate(
+  filterActivities(sortByDate(getCollection('activities')).filter((a) => a.user?._id === params.userId), query),
+  query
+));
+
+// -------------------------------
+// Forms
+// -------------------------------
+
+/**
+ * Answers of a submission, keeping uploaded files so their type and size can be checked.
+ * Multipart bodies carry checkbox answers as "true"/"false" and one entry per multi-select choice.
+ * @param {Object} form
+ * @param {FormData|Object} body
+ * @returns {Object<string, *>}
+ */
+const readAnswers = (form, body) => {
+  if (!(body instanceof FormData)) return body || {};
+  const answers = {};
+  new Set(body.keys()).forEach((key) => {
+    const field = (form.fields || []).find((entry) => entry.name === key);
+    const values = body.getAll(key);
+    if (field?.type === 'multiselect') answers[key] = values;
+    else if (field?.type === 'checkbox') answers[key] = values[0] === 'true';
+    else answers[key] = values[0];
+  });
+  return answers;
+};
+
+/**
+ * Stores an uploaded file with its contents so it can be downloaded from the submissions inbox.
+ * @param {*} value
+ * @returns {Promise<*>}
+ */
+const storeAnswer = async (value) => (value instanceof File
+  ? { name: value.name, type: value.type, size: value.size, url: await readAsDataUrl(value) }
+  : value);
+
+/**
+ * A submission without file contents, which are fetched one at a time.
+ * @param {Object} submission
+ * @returns {Object}
+ */
+const withoutFileContents = (submission) => ({
+  ...submission,
+  data: Object.fromEntries(Object.entries(submission.data || {}).map(([key, val]) => {
+    if (!val || typeof val !== 'object' || !('url' in val)) return [key, val];
+    const { url, ...file } = val;
+    return [key, file];
+  })),
+});
+
+const requireFormsView = (user) => {
+  if (!userCan(requireUser(user))(PERMISSIONS.FORMS_VIEW)) throw new MockHttpError(403, 'You do not have permission to view form submissions');
+};
+
+/**
+ * Submissions of a form, newest first, within the optional `from`/`to` range of the query.
+ * @param {Object} form
+ * @param {{ from?: string, to?: string }} query
+ * @returns {Array<Object>}
+ */
+const formSubmissions = (form, query) => sortByDate(getCollection('submissions'))
+  .filter((submission) => submission.form === form._id)
+  .filter((submission) => inDateRange(submission, query));
+
+route('post', '/forms/:id/views', ({ params }) => {
+  const form = found(findById('forms', params.id), 'Form');
+  const view = insert('formViews', { form: form._id, answered: [], submitted: false });
+  return ok({ _id: view._id });
+});
+route('put', '/forms/:id/views/:viewId', ({ params, body }) => {
+  const form = found(findById('forms', params.id), 'Form');
+  const view = findById('formViews', params.viewId);
+  if (!view || view.form !== form._id) throw new MockHttpError(404, 'Form view not found');
+  if (!view.submitted) {
+    const names = new Set(getAnswerFields(form).map((field) => field.name));
+    update('formViews', view._id, { answered: (body.answered || []).filter((name) => names.has(name)) });
+  }
+  return ok({ _id: view._id });
+});
+route('post', '/forms/:id/submit', async ({ params, query, body }) => {
+  const form = found(findById('forms', params.id), 'Form');
+  const answers = readAnswers(form, body);
+  // Same checks as the form itself, so a bypassed or outdated client cannot store malformed answers
+  const errors = validateAnswers(form.fields || [], answers, getFieldStates(form.fields || [], answers));
+  if (Object.keys(errors).length) throw new MockHttpError(400, 'Some answers are not valid', { errors });
+  const data = {};
+  for (const [key, val] of Object.entries(answers)) data[key] = await storeAnswer(val);
+  const view = query.viewId && findById('formViews', query.viewId);
+  const submission = insert('submissions', { form: form._id, data, view: view?.form === form._id ? view._id : null });
+  if (view?.form === form._id) {
+    update('formViews', view._id, {
+      answered: Object.keys(answers).filter((name) => isAnswered(answers[name])),
+      submitted: true,
+    });
+  }
+  return ok(withoutFileContents(submission), { message: 'Form submitted successfully' });
+});
+route('get', '/forms/:id/submissions', ({ params, query, user }) => {
+  requireFormsView(user);
+  const form = found(findById('forms', params.id), 'Form');
+  const fields = getAnswerFields(form);
+  return ok(formSubmissions(form, query)
+    .filter((submission) => submissionMatches(submission, query.search, fields))
+    .map(withoutFileContents));
+});
+route('get', '/forms/:id/submissions/:submissionId/files/:field', ({ params, user }) => {
+  requireFormsView(user);
+  const submission = findById('submissions', params.submissionId);
+  if (!submission || submission.form !== params.id) throw new MockHttpError(404, 'Submission not found');
+  const file = submission.data?.[params.field];
+  if (!file?.url) throw new MockHttpError(404, 'This submission has no stored file for that field');
+  return ok(file);
+});
+route('get', '/forms/:id/analytics', ({ params, query, user }) => {
+  requireFormsView(user);
+  const form = found(findById('forms', params.id), 'Form');
+  const views = getCollection('formViews').filter((view) => view.form === form._id && inDateRange(view, query));
+  return ok(summarizeFormAnalytics(getAnswerFields(form), views, formSubmissions(form, query)));
+});
+resource('/forms', 'forms', 'Form', { searchFields: ['title', 'name', 'description'] });
+// ===============================
+// End of File: mockRoutes.js
+// Description: Route table for the offline mock backend
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
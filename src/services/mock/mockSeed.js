@@ -0,0 +1,916 @@
+// ===============================
+// File: mockSeed.js
+// Description: Seed data for the offline mock backend. Gives every dashboard screen realistic content on first load.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { v4 as uuidv4 } from 'uuid';
+import { simulateDelivery } from './mockEngagement';
+import { CONSENT_TEXT, DEFAULT_PREFERENCES, wantsNewsletter } from '../../utils/subscriberPreferences';
+import { DEFAULT_PIPELINE_STAGES, buildDefaultTransitions } from '../../utils/pipeline';
+import { DEFAULT_SCORE_THRESHOLD, DEFAULT_SCORING_RULES, countEngagement, getLeadFacts, scoreLead } from '../../utils/leadScoring';
+
+/**
+ * Demo credentials accepted by the mock backend
+ * @type {{ email: string, password: string }}
+ */
+export const MOCK_ADMIN_CREDENTIALS = { email: 'admin@example.com', password: 'password' };
+
+/**
+ * Returns an ISO timestamp relative to now.
+ * @param {number} days - Days in the past (negative for the future)
+ * @param {number} [hours=0]
+ * @returns {string}
+ */
+const daysAgo = (days, hours = 0) => new Date(Date.now() - (days * 24 + hours) * 3600 * 1000).toISOString();
+
+/**
+ * A seeded submission of the demo request form, with the view it came from.
+ * @param {number} n - Sequence number, used for both ids
+ * @param {number} days - Days ago
+ * @param {Object} data - Answers by field name
+ * @returns {Object}
+ */
+const demoSubmission = (n, days, data) => ({
+  _id: `fs${String(n).padStart(21, '0')}`,
+  form: 'fm000000000000000000002',
+  data,
+  view: `fv${String(n).padStart(21, '0')}`,
+  createdAt: daysAgo(days),
+  updatedAt: daysAgo(days),
+});
+
+/**
+ * A seeded view of the demo request form: the questions answered and whether it was submitted.
+ * @param {number} n - Sequence number; submitted views share it with their submission
+ * @param {number} days - Days ago
+ * @param {Array<string>} answered - Field names
+ * @param {boolean} submitted
+ * @returns {Object}
+ */
+const demoView = (n, days, answered, submitted) => ({
+  _id: `fv${String(n).padStart(21, '0')}`,
+  form: 'fm000000000000000000002',
+  answered,
+  submitted,
+  createdAt: daysAgo(days, 1),
+  updatedAt: daysAgo(days),
+});
+
+/**
+ * A seed meeting on a day relative to today, at a local wall-clock time like the meeting modals store.
+ * @param {string} _id
+ * @param {string} title
+ * @param {number} days - Days from today (negative for the past)
+ * @param {string} time - HH:mm
+ * @param {Object} details - Duration, location, owner and the rest of the meeting
+ * @returns {Object}
+ */
+const meetingIn = (_id, title, days, time, details) => {
+  const day = new Date();
+  day.setDate(day.getDate() + days);
+  const date = [day.getFullYear(), day.getMonth() + 1, day.getDate()].map((part) => String(part).padStart(2, '0')).join('-');
+  return { _id, title, description: `${title}.`, date, time, duration: '1 hour', locationType: 'virtual', platform: 'meet', agenda: '', createdAt: daysAgo(3), ...details };
+};
+
+/**
+ * Builds a component field definition.
+ * @param {string} name
+ * @param {string} type
+ * @param {string} label
+ * @returns {Object}
+ */
+const field = (name, type, label) => ({ name, type, fieldType: type, label, required: false });
+
+/**
+ * Builds a component data entry for a layout.
+ * @param {string} val
+ * @param {string} [type='text']
+ * @returns {{ value: string, type: string, fieldType: string }}
+ */
+const value = (val, type = 'text') => ({ value: val, type, fieldType: type });
+
+/**
+ * Replays the seeded sent newsletters through the delivery simulation so analytics have history.
+ * Each went to every subscriber that existed, was active and wanted its topic when it was sent.
+ * @param {{ newsletters: Array<Object>, subscribers: Array<Object> }} collections
+ * @returns {Array<Object>} Tracking events
+ */
+const seedNewsletterEvents = ({ newsletters, subscribers }) => newsletters
+  .filter((newsletter) => newsletter.status === 'sent')
+  .flatMap((newsletter) => {
+    const recipients = subscribers.filter((s) => (
+      s.status === 'active' && s.createdAt <= newsletter.lastSentAt && wantsNewsletter(s, newsletter)
+    ));
+    newsletter.sentTo = recipients.map((s) => s.email);
+    return simulateDelivery(newsletter, recipients, { sentAt: new Date(newsletter.lastSentAt) });
+  });
+
+/**
+ * Scores the seed leads with the seeded rules, the way the backend does when a lead changes.
+ * @param {{ leads: Array<Object>, leadScoring: Array<Object>, newsletterEvents: Array<Object>, inquiries: Array<Object> }} collections
+ * @returns {Array<Object>} Scored leads
+ */
+const seedLeadScores = ({ leads, leadScoring, newsletterEvents, inquiries }) => leads.map((lead) => {
+  const facts = getLeadFacts(lead, countEngagement(lead.email, { newsletterEvents, inquiries }));
+  const { score, breakdown } = scoreLead(facts, leadScoring[0].rules);
+  return { ...lead, score, scoreBreakdown: breakdown, hot: score >= leadScoring[0].threshold, scoredAt: lead.updatedAt };
+});
+
+// First names of the generated demo readers, so segments and A/B splits have an audience to work with
+const DEMO_READERS = ['Dana', 'Eli', 'Fatima', 'George', 'Hana', 'Ivan', 'Jo', 'Kemal', 'Lena', 'Mateo',
+  'Nia', 'Omar', 'Priya', 'Quinn', 'Rosa', 'Sam', 'Tariq', 'Uma', 'Victor', 'Wen'];
+
+// Timezones some demo readers set, so local-time delivery has zones to stagger across; the rest have none
+const DEMO_TIMEZONES = ['America/Los_Angeles', 'Europe/Berlin', 'Asia/Kolkata', 'Australia/Sydney'];
+
+// Extra leads spread over the pipeline: [name, company, stage, deal value, age in days, company size, budget]
+const PIPELINE_DEMO_LEADS = [
+  ['Grace Hopper', 'Navy Systems', 'qualified', 18000, 14, '1000+', '25k-100k'],
+  ['Alan Park', 'Umbrella Labs', 'proposal', 42000, 21, '201-1000', '100k+'],
+  ['Ines Duarte', 'Soylent Foods', 'won', 15500, 30, '51-200', '5k-25k'],
+  ['Kofi Mensah', 'Hooli', 'lost', 9000, 25, '11-50', 'under-5k'],
+  ['Rita Moreno', 'Stark Retail', 'new', null, 2, '51-200', null],
+];
+
+/**
+ * Builds the generated demo subscribers.
+ * @returns {Array<Object>}
+ */
+const demoReaders = () => DEMO_READERS.map((firstName, index) => ({
+  _id: `n00000000000000000001${String(index).padStart(2, '0')}`,
+  email: `${firstName.toLowerCase()}@example.com`,
+  status: index % 7 === 6 ? 'inactive' : 'active',
+  source: index % 3 === 0 ? 'import' : 'website',
+  tags: index % 2 === 0 ? ['customer'] : ['prospect'],
+  attributes: {
+    firstName,
+    plan: index % 4 === 0 ? 'pro' : 'starter',
+    ...(index % 3 === 2 ? {} : { timezone: DEMO_TIMEZONES[index % DEMO_TIMEZONES.length] }),
+  },
+  preferences: index % 5 === 0 ? { topics: ['product', 'blog'], frequency: 'monthly' } : undefined,
+  createdAt: daysAgo(60 - index * 2),
+  updatedAt: daysAgo(60 - index * 2),
+}));
+
+/**
+ * Adds the double opt-in consent record, preferences and preference-center token to a seed subscriber.
+ * Imported addresses carry the consent given on the form they were imported from.
+ * @param {Object} subscriber
+ * @param {number} index
+ * @returns {Object}
+ */
+const withConsent = (subscriber, index) => {
+  const form = subscriber.source === 'import' ? 'import' : 'newsletter-subscribe';
+  const ip = `203.0.113.${10 + index}`;
+  const confirmedAt = subscriber.status === 'pending'
+    ? null
+    : new Date(new Date(subscriber.createdAt).getTime() + 20 * 60 * 1000).toISOString();
+  const history = [{ action: 'requested', at: subscriber.createdAt, ip, form }];
+  if (confirmedAt) history.push({ action: 'confirmed', at: confirmedAt, ip });
+  if (subscriber.status === 'inactive') history.push({ action: 'unsubscribed', at: subscriber.updatedAt, ip });
+  return {
+    ...subscriber,
+    preferenceToken: uuidv4().replace(/-/g, ''),
+    preferences: { ...DEFAULT_PREFERENCES, ...subscriber.preferences },
+    consent: {
+      form,
+      page: form === 'import' ? '' : '/',
+      text: CONSENT_TEXT,
+      ip,
+      requestedAt: subscriber.createdAt,
+      confirmedAt,
+      confirmIp: confirmedAt ? ip : null,
+      withdrawnAt: subscriber.status === 'inactive' ? subscriber.updatedAt : null,
+    },
+    consentHistory: history,
+  };
+};
+
+/**
+ * Creates a fresh copy of the seed collections.
+ * @returns {Object<string, Array<Object>>}
+ */
+export const createSeedData = () => {
+  const admin = {
+    _id: 'u0000000000000000000001',
+    id: 'u0000000000000000000001',
+    name: 'Demo Admin',
+    email: MOCK_ADMIN_CREDENTIALS.email,
+    password: MOCK_ADMIN_CREDENTIALS.password,
+    role: 'admin',
+    isActive: true,
+    createdAt: daysAgo(120),
+    updatedAt: daysAgo(2),
+  };
+  const viewer = {
+    _id: 'u0000000000000000000002',
+    id: 'u0000000000000000000002',
+    name: 'Priya Viewer',
+    email: 'viewer@example.com',
+    password: MOCK_ADMIN_CREDENTIALS.password,
+    role: 'viewer',
+    isActive: true,
+    createdAt: daysAgo(60),
+    updatedAt: daysAgo(10),
+  };
+
+  const marketer = {
+    _id: 'u0000000000000000000003',
+    id: 'u0000000000000000000003',
+    name: 'Maya Marketer',
+    email: 'marketer@example.com',
+    password: MOCK_ADMIN_CREDENTIALS.password,
+    role: 'marketer',
+    isActive: true,
+    createdAt: daysAgo(45),
+    updatedAt: daysAgo(4),
+  };
+  const editor = {
+    _id: 'u0000000000000000000004',
+    id: 'u0000000000000000000004',
+    name: 'Eli Editor',
+    email: 'editor@example.com',
+    password: MOCK_ADMIN_CREDENTIALS.password,
+    role: 'editor',
+    isActive: true,
+    createdAt: daysAgo(40),
+    updatedAt: daysAgo(6),
+  };
+
+  const heroComponent = {
+    _id: 'c0000000000000000000001',
+    name: 'Hero',
+    type: 'Hero',
+    fieldType: 'text',
+    isActive: true,
+    isPredefined: true,
+    fields: [field('title', 'text', 'Title'), field('subtitle', 'textarea', 'Subtitle'), field('image', 'image', 'Image')],
+    createdAt: daysAgo(90),
+    updatedAt: daysAgo(30),
+  };
+  const ctaComponent = {
+    _id: 'c0000000000000000000002',
+    name: 'CallToAction',
+    type: 'CallToAction',
+    fieldType: 'text',
+    isActive: true,
+    isPredefined: true,
+    fields: [field('heading', 'text', 'Heading'), field('buttonText', 'text', 'Button Text'), field('buttonLink', 'text', 'Button Link')],
+    createdAt: daysAgo(90),
+    updatedAt: daysAgo(30),
+  };
+
+  const homePage = {
+    _id: 'p0000000000000000000001',
+    title: 'Home',
+    slug: 'home',
+    description: 'Landing page',
+    metaTitle: 'Home',
+    metaDescription: 'Welcome to our site',
+    isActive: true,
+    status: 'published',
+    createdAt: daysAgo(100),
+    updatedAt: daysAgo(5),
+  };
+  const aboutPage = {
+    _id: 'p0000000000000000000002',
+    title: 'About Us',
+    slug: 'about',
+    description: 'Company story',
+    metaTitle: 'About Us',
+    metaDescription: 'Who we are',
+    isActive: true,
+    status: 'published',
+    createdAt: daysAgo(80),
+    updatedAt: daysAgo(12),
+  };
+  const pricingPage = {
+    _id: 'p0000000000000000000003',
+    title: 'Pricing',
+    slug: 'pricing',
+    description: 'Plans for the spring launch',
+    metaTitle: 'Pricing',
+    metaDescription: 'Plans and pricing',
+    isActive: false,
+    isMultiPage: false,
+    status: 'scheduled',
+    publishAt: daysAgo(-5, -9),
+    unpublishAt: null,
+    publishTimezone: 'UTC',
+    createdAt: daysAgo(6),
+    updatedAt: daysAgo(2),
+  };
+
+  const homeLayoutComponents = [
+    {
+      _id: 'lc000000000000000000001',
+      type: heroComponent.type,
+      name: heroComponent.name,
+      order: 0,
+      fields: heroComponent.fields,
+      data: {
+        title: value('Build faster with Fentro CMS'),
+        subtitle: value('Everything your marketing site needs in one dashboard.', 'textarea'),
+        image: value('', 'image'),
+      },
+    },
+    {
+      _id: 'lc000000000000000000002',
+      type: ctaComponent.type,
+      name: ctaComponent.name,
+      order: 1,
+      fields: ctaComponent.fields,
+      data: {
+        heading: value('Ready to get started?'),
+        buttonText: value('Contact sales'),
+        buttonLink: value('/inquiries'),
+      },
+    },
+  ];
+
+  const collections = {
+    users: [admin, viewer, marketer, editor],
+    authors: [
+      { _id: 'a0000000000000000000001', id: 'a0000000000000000000001', name: 'Demo Admin', email: admin.email, role: 'Editor' },
+      { _id: 'a0000000000000000000002', id: 'a0000000000000000000002', name: 'Sam Writer', email: 'sam@example.com', role: 'Author' },
+    ],
+    pages: [homePage, aboutPage, pricingPage],
+    sections: [
+      {
+        _id: 's0000000000000000000001',
+        title: 'Welcome banner',
+        type: 'hero',
+        pageId: homePage._id,
+        order: 0,
+        isActive: true,
+        data: { fields: [{ name: 'heading', type: 'text', value: 'Welcome' }], lists: [] },
+        versions: [],
+        createdAt: daysAgo(40),
+        updatedAt: daysAgo(3),
+      },
+      {
+        _id: 's0000000000000000000002',
+        title: 'Our story',
+        type: 'content',
+        pageId: aboutPage._id,
+        order: 0,
+        isActive: false,
+        data: { fields: [{ name: 'body', type: 'textarea', value: 'Founded in 2020.' }], lists: [] },
+        versions: [],
+        createdAt: daysAgo(20),
+        updatedAt: daysAgo(20),
+      },
+    ],
+    blogs: [
+      {
+        _id: 'b0000000000000000000001',
+        title: 'Announcing our new dashboard',
+        slug: 'announcing-our-new-dashboard',
+        excerpt: 'A faster, friendlier way to manage content.',
+        content: '<p>We rebuilt the dashboard from the ground up.</p><p>Here is what changed.</p>',
+        status: 'published',
+        pageName: 'blog',
+        author: { name: 'Demo Admin', role: 'Editor' },
+        createdBy: { _id: admin._id, name: admin.name, email: admin.email },
+        reviewer: { _id: editor._id, name: editor.name, email: editor.email },
+        workflowHistory: [
+          { _id: 'wh000000000000000000002', from: 'approved', to: 'published', comment: '', by: { _id: admin._id, name: admin.name }, at: daysAgo(14) },
+          { _id: 'wh000000000000000000001', from: 'in_review', to: 'approved', comment: 'Looks great.', by: { _id: editor._id, name: editor.name }, at: daysAgo(15) },
+        ],
+        comments: [],
+        featuredImage: null,
+        seo: { metaTitle: 'New dashboard', metaDescription: 'What is new', keywords: ['release'], ogImage: '' },
+        publishedAt: daysAgo(14),
+        createdAt: daysAgo(16),
+        updatedAt: daysAgo(14),
+      },
+      {
+        _id: 'b0000000000000000000002',
+        title: 'Five tips for better newsletters',
+        slug: 'five-tips-for-better-newsletters',
+        excerpt: 'Small changes that lift open rates.',
+        content: '<p>Keep subject lines short.</p>',
+        status: 'draft',
+        pageName: 'blog',
+        author: { name: 'Sam Writer', role: 'Author' },
+        createdBy: { _id: admin._id, name: admin.name, email: admin.email },
+        reviewer: null,
+        workflowHistory: [],
+        comments: [],
+        featuredImage: null,
+        seo: { metaTitle: '', metaDescription: '', keywords: [], ogImage: '' },
+        createdAt: daysAgo(3),
+        updatedAt: daysAgo(1),
+      },
+      {
+        _id: 'b0000000000000000000003',
+        title: 'How we moved to a headless CMS',
+        slug: 'how-we-moved-to-a-headless-cms',
+        excerpt: 'Lessons from our migration.',
+        content: '<p>We started by auditing every page.</p>',
+        status: 'in_review',
+        pageName: 'blog',
+        author: { name: 'Demo Admin', role: 'Editor' },
+        featuredImage: null,
+        seo: { metaTitle: '', metaDescription: '', keywords: [], ogImage: '' },
+        createdBy: { _id: admin._id, name: admin.name, email: admin.email },
+        submittedBy: { _id: admin._id, name: admin.name, email: admin.email },
+        reviewer: { _id: editor._id, name: editor.name, email: editor.email },
+        workflowHistory: [
+          { _id: 'wh000000000000000000003', from: 'draft', to: 'in_review', comment: 'Ready for a first pass.', by: { _id: admin._id, name: admin.name }, at: daysAgo(1) },
+        ],
+        comments: [],
+        createdAt: daysAgo(4),
+        updatedAt: daysAgo(1),
+      },
+      {
+        _id: 'b0000000000000000000004',
+        title: 'Spring product launch',
+        slug: 'spring-product-launch',
+        excerpt: 'Everything shipping this season.',
+        content: '<p>Embargoed until launch day.</p>',
+        status: 'scheduled',
+        pageName: 'blog',
+        author: { name: 'Demo Admin', role: 'Editor' },
+        featuredImage: null,
+        seo: { metaTitle: '', metaDescription: '', keywords: [], ogImage: '' },
+        createdBy: { _id: admin._id, name: admin.name, email: admin.email },
+        submittedBy: { _id: admin._id, name: admin.name, email: admin.email },
+        reviewer: { _id: editor._id, name: editor.name, email: editor.email },
+        workflowHistory: [
+          { _id: 'wh000000000000000000005', from: 'approved', to: 'scheduled', comment: 'Goes out with the pricing page.', by: { _id: admin._id, name: admin.name }, at: daysAgo(1) },
+          { _id: 'wh000000000000000000004', from: 'in_review', to: 'approved', comment: '', by: { _id: editor._id, name: editor.name }, at: daysAgo(2) },
+        ],
+        comments: [],
+        publishAt: daysAgo(-5, -9),
+        unpublishAt: daysAgo(-35),
+        publishTimezone: 'UTC',
+        createdAt: daysAgo(7),
+        updatedAt: daysAgo(1),
+      },
+    ],
+    folders: [
+      { _id: 'f0000000000000000000001', name: 'Marketing', description: 'Campaign assets', parent: null, createdAt: daysAgo(50), updatedAt: daysAgo(50) },
+    ],
+    files: [],
+    components: [heroComponent, ctaComponent],
+    layouts: [
+      {
+        _id: 'l0000000000000000000001',
+        name: 'Home layout',
+        page: homePage._id,
+        isActive: true,
+        components: homeLayoutComponents,
+        revision: 2,
+        versions: [
+          {
+            version: 1,
+            name: 'Home layout',
+            components: [
+              { ...homeLayoutComponents[1], order: 0 },
+              {
+                ...homeLayoutComponents[0],
+                order: 1,
+                data: { ...homeLayoutComponents[0].data, title: value('Build faster with a headless CMS') },
+              },
+            ],
+            savedAt: daysAgo(30),
+            savedBy: { _id: admin._id, name: admin.name },
+          },
+        ],
+        createdBy: { _id: admin._id, name: admin.name, email: admin.email },
+        updatedBy: { _id: editor._id, name: editor.name },
+        createdAt: daysAgo(30),
+        updatedAt: daysAgo(2),
+      },
+    ],
+    instances: [],
+    subscribers: [
+      {
+        _id: 'n0000000000000000000001',
+        email: 'ana@example.com',
+        status: 'active',
+        source: 'website',
+        tags: ['customer', 'beta'],
+        attributes: { firstName: 'Ana', plan: 'pro', country: 'PT', timezone: 'Europe/Lisbon' },
+        createdAt: daysAgo(45),
+        updatedAt: daysAgo(45),
+      },
+      {
+        _id: 'n0000000000000000000002',
+        email: 'ben@example.com',
+        status: 'active',
+        source: 'import',
+        tags: ['prospect'],
+        attributes: { firstName: 'Ben', country: 'US', timezone: 'America/New_York' },
+        createdAt: daysAgo(20),
+        updatedAt: daysAgo(20),
+      },
+      {
+        _id: 'n0000000000000000000003',
+        email: 'chen@example.com',
+        status: 'inactive',
+        source: 'website',
+        tags: ['customer'],
+        attributes: { firstName: 'Chen', plan: 'starter' },
+        createdAt: daysAgo(8),
+        updatedAt: daysAgo(2),
+      },
+      ...demoReaders(),
+      {
+        _id: 'n0000000000000000000004',
+        email: 'dora@example.com',
+        status: 'pending',
+        source: 'website',
+        tags: [],
+        attributes: { firstName: 'Dora' },
+        preferences: { topics: ['blog', 'events'], frequency: 'monthly' },
+        confirmToken: uuidv4().replace(/-/g, ''),
+        confirmExpiresAt: daysAgo(-1),
+        createdAt: daysAgo(1),
+        updatedAt: daysAgo(1),
+      },
+    ].map(withConsent),
+    segments: [
+      {
+        _id: 'sg000000000000000000001',
+        name: 'Customers',
+        description: 'Everyone tagged as a paying customer',
+        match: 'all',
+        rules: [{ field: 'tag', operator: 'has', key: '', value: 'customer' }],
+        createdAt: daysAgo(30),
+        updatedAt: daysAgo(30),
+      },
+      {
+        _id: 'sg000000000000000000002',
+        name: 'Pro plan',
+        description: '',
+        match: 'all',
+        rules: [{ field: 'attribute', operator: 'equals', key: 'plan', value: 'pro' }],
+        createdAt: daysAgo(14),
+        updatedAt: daysAgo(14),
+      },
+    ],
+    newsletters: [
+      {
+        _id: 'nl000000000000000000001',
+        subject: 'October product update',
+        content: '<h1>What is new</h1><p>New dashboard, faster media uploads.</p>'
+          + '<p><a href="/blog/announcing-our-new-dashboard">Read the announcement</a></p>'
+          + '<p><a href="/pricing">See pricing</a></p>'
+          + '<p><a href="{{unsubscribeUrl}}">Unsubscribe</a></p>',
+        contentType: 'html',
+        topic: 'product',
+        important: false,
+        status: 'sent',
+        lastSentAt: daysAgo(10),
+        audience: { segmentIds: [] },
+        sentTo: [],
+        schedule: null,
+        createdAt: daysAgo(12),
+        updatedAt: daysAgo(10),
+      },
+      {
+        _id: 'nl000000000000000000003',
+        subject: 'September roundup',
+        content: '<h1>September at a glance</h1><p>Three new guides and a webinar recording.</p>'
+          + '<p><a href="/blog">Browse the guides</a></p>'
+          + '<p><a href="/about">Meet the team</a></p>'
+          + '<p><a href="{{unsubscribeUrl}}">Unsubscribe</a></p>',
+        contentType: 'html',
+        topic: 'blog',
+        important: false,
+        status: 'sent',
+        lastSentAt: daysAgo(40),
+        audience: { segmentIds: [] },
+        sentTo: [],
+        schedule: null,
+        createdAt: daysAgo(42),
+        updatedAt: daysAgo(40),
+      },
+      {
+        _id: 'nl000000000000000000004',
+        subject: 'Your summer feature tour',
+        content: '<h1>Five features you may have missed</h1><p>Scheduling, workflows, media folders and more.</p>'
+          + '<p><a href="/blog/five-tips-for-better-newsletters">Start the tour</a></p>'
+          + '<p><a href="/pricing">Compare plans</a></p>'
+          + '<p><a href="/inquiries">Talk to us</a></p>'
+          + '<p><a href="{{unsubscribeUrl}}">Unsubscribe</a></p>',
+        contentType: 'html',
+        topic: 'product',
+        important: false,
+        status: 'sent',
+        lastSentAt: daysAgo(25),
+        audience: { segmentIds: [] },
+        sentTo: [],
+        schedule: null,
+        createdAt: daysAgo(27),
+        updatedAt: daysAgo(25),
+      },
+      {
+        _id: 'nl000000000000000000002',
+        subject: 'November highlights',
+        content: '<p>Draft content</p>',
+        contentType: 'html',
+        topic: 'blog',
+        important: false,
+        status: 'draft',
+        audience: { segmentIds: ['sg000000000000000000001'] },
+        schedule: null,
+        createdAt: daysAgo(2),
+        updatedAt: daysAgo(2),
+      },
+    ],
+    newsletterEvents: [],
+    newsletterTemplates: [
+      {
+        _id: 'nt000000000000000000001',
+        name: 'Weekly digest',
+        description: 'Header, greeting, latest article, CTA and footer',
+        subject: 'This week at Tech4biz',
+        blocks: [
+          { id: 'ntb00000000000000000001', type: 'header', props: { title: 'The Weekly Digest', subtitle: 'News, guides and product updates', background: '#2563eb', color: '#ffffff' } },
+          { id: 'ntb00000000000000000002', type: 'text', props: { html: '<p>Hi {{subscriber.firstName | "there"}},</p><p>Here is what we published this week.</p>' } },
+          { id: 'ntb00000000000000000003', type: 'teaser', props: { blogId: 'b0000000000000000000001', title: 'Announcing our new dashboard', excerpt: 'A faster, friendlier way to manage content.', imageUrl: '', url: '/blog/announcing-our-new-dashboard', buttonLabel: 'Read more' } },
+          { id: 'ntb00000000000000000004', type: 'cta', props: { label: 'Visit the blog', url: '/blog', align: 'center', background: '#2563eb', color: '#ffffff' } },
+          { id: 'ntb00000000000000000005', type: 'footer', props: { text: 'You are receiving this email because you subscribed to our newsletter.', address: 'Tech4biz Solutions, Bengaluru' } },
+        ],
+        createdAt: daysAgo(40),
+        updatedAt: daysAgo(40),
+      },
+      {
+        _id: 'nt000000000000000000002',
+        name: 'Announcement',
+        description: 'Short message with a single button',
+        subject: '',
+        blocks: [
+          { id: 'ntb00000000000000000006', type: 'header', props: { title: 'Big news', subtitle: '', background: '#111827', color: '#ffffff' } },
+          { id: 'ntb00000000000000000007', type: 'text', props: { html: '<p>Hi {{subscriber.firstName | "there"}},</p><p>We have something to share.</p>' } },
+          { id: 'ntb00000000000000000008', type: 'cta', props: { label: 'Find out more', url: 'https://', align: 'center', background: '#16a34a', color: '#ffffff' } },
+          { id: 'ntb00000000000000000009', type: 'footer', props: { text: 'You are receiving this email because you subscribed to our newsletter.', address: '' } },
+        ],
+        createdAt: daysAgo(25),
+        updatedAt: daysAgo(25),
+      },
+    ],
+    forms: [
+      {
+        _id: 'fm000000000000000000001',
+        name: 'contact_us_42',
+        title: 'Contact us',
+        description: 'General contact form',
+        type: 'contact',
+        fields: [
+          { label: 'Name', name: 'name', type: 'text', required: true, validation: { minLength: 2, maxLength: 100 } },
+          { label: 'Email', name: 'email', type: 'email', required: true },
+          { label: 'Message', name: 'message', type: 'textarea', required: false, validation: { maxLength: 2000 } },
+        ],
+        createdAt: daysAgo(25),
+        updatedAt: daysAgo(25),
+      },
+      {
+        _id: 'fm000000000000000000002',
+        name: 'demo_request_17',
+        title: 'Request a demo',
+        description: 'Two-step demo request with company questions for business visitors',
+        type: 'custom',
+        fields: [
+          { label: 'Name', name: 'name', type: 'text', required: true, validation: { minLength: 2, maxLength: 100 } },
+          { label: 'Email', name: 'email', type: 'email', required: true },
+          {
+            label: 'Type',
+            name: 'accountType',
+            type: 'radio',
+            required: true,
+            options: [{ label: 'Business', value: 'business' }, { label: 'Personal', value: 'personal' }],
+          },
+          {
+            label: 'Company size',
+            name: 'companySize',
+            type: 'select',
+            required: true,
+            options: [
+              { label: '1-10', value: '1-10' },
+              { label: '11-50', value: '11-50' },
+              { label: '51-200', value: '51-200' },
+              { label: '200+', value: '200+' },
+            ],
+            showWhen: { match: 'all', rules: [{ field: 'accountType', operator: 'is', value: 'business' }] },
+          },
+          { label: 'About your project', name: '', type: 'page' },
+          {
+            label: 'Product',
+            name: 'product',
+            type: 'select',
+            required: true,
+            options: [
+              { label: 'CMS', value: 'cms' },
+              { label: 'Newsletter', value: 'newsletter' },
+              { label: 'CRM', value: 'crm' },
+            ],
+          },
+          {
+            label: 'Timeline',
+            name: 'timeline',
+            type: 'radio',
+            options: [
+              { label: 'As soon as possible', value: 'asap' },
+              { label: 'This quarter', value: 'quarter' },
+              { label: 'Just exploring', value: 'exploring' },
+            ],
+          },
+          { label: 'Message', name: 'message', type: 'textarea', validation: { maxLength: 2000 } },
+          { label: 'Brief', name: 'brief', type: 'file', validation: { fileTypes: '.pdf,.docx', maxFileSize: 5 } },
+        ],
+        createdAt: daysAgo(14),
+        updatedAt: daysAgo(14),
+      },
+    ],
+    submissions: [
+      demoSubmission(1, 12, { name: 'Priya Shah', email: 'priya@northwind.test', accountType: 'business', companySize: '51-200', product: 'crm', timeline: 'quarter', message: 'We need a pipeline for our sales team.' }),
+      demoSubmission(2, 9, { name: 'Leo Martin', email: 'leo@example.test', accountType: 'personal', product: 'cms', timeline: 'exploring', message: '' }),
+      demoSubmission(3, 7, { name: 'Ana Costa', email: 'ana@globex.test', accountType: 'business', companySize: '200+', product: 'newsletter', timeline: 'asap', message: 'Migrating from another provider.' }),
+      demoSubmission(4, 4, { name: 'Sam Reed', email: 'sam@initech.test', accountType: 'business', companySize: '11-50', product: 'crm', timeline: 'asap', message: '' }),
+      demoSubmission(5, 2, { name: 'Mia Wong', email: 'mia@example.test', accountType: 'personal', product: 'cms', timeline: 'quarter', message: 'Personal portfolio site.' }),
+    ],
+    formViews: [
+      demoView(1, 12, ['name', 'email', 'accountType', 'companySize', 'product', 'timeline', 'message'], true),
+      demoView(2, 9, ['name', 'email', 'accountType', 'product', 'timeline'], true),
+      demoView(3, 7, ['name', 'email', 'accountType', 'companySize', 'product', 'timeline', 'message'], true),
+      demoView(4, 4, ['name', 'email', 'accountType', 'companySize', 'product', 'timeline'], true),
+      demoView(5, 2, ['name', 'email', 'accountType', 'product', 'timeline', 'message'], true),
+      demoView(6, 11, [], false),
+      demoView(7, 8, ['name', 'email'], false),
+      demoView(8, 6, ['name', 'email', 'accountType', 'companySize'], false),
+      demoView(9, 3, ['name', 'email', 'accountType', 'companySize'], false),
+      demoView(10, 1, ['name', 'email', 'accountType', 'product'], false),
+    ],
+    pipelineStages: DEFAULT_PIPELINE_STAGES.map((stage, order) => ({
+      _id: `ps00000000000000000000${order + 1}`,
+      ...stage,
+      order,
+    })),
+    pipelineTransitions: buildDefaultTransitions(DEFAULT_PIPELINE_STAGES).map((transition, index) => ({
+      _id: `pt${String(index + 1).padStart(21, '0')}`,
+      ...transition,
+    })),
+    leadScoring: [
+      {
+        _id: 'sc000000000000000000001',
+        threshold: DEFAULT_SCORE_THRESHOLD,
+        rules: DEFAULT_SCORING_RULES.map((rule, index) => ({ _id: `sr${String(index + 1).padStart(21, '0')}`, ...rule })),
+        createdAt: daysAgo(30),
+        updatedAt: daysAgo(30),
+      },
+    ],
+    leads: [
+      {
+        _id: 'ld000000000000000000001',
+        name: 'Maria Lopez',
+        email: 'maria@acme.test',
+        phone: '+1 555 0100',
+        company: 'Acme Corp',
+        message: 'Interested in the enterprise plan.',
+        companySize: '201-1000',
+        budget: '25k-100k',
+        source: 'lead-form',
+        status: 'contacted',
+        statusHistory: [
+          { _id: 'lh000000000000000000001', status: 'contacted', fromStatus: 'new', feedback: 'Intro call booked', clientEmail: 'maria@acme.test', company: 'Acme Corp', updatedAt: daysAgo(3) },
+        ],
+        meetings: [
+          meetingIn('mt000000000000000000001', 'Enterprise plan demo', 1, '10:00', {
+            meetingLink: 'https://meet.google.com/abc-defg-hij',
+            agenda: 'Product tour, SSO, pricing',
+            owner: { _id: marketer._id, name: marketer.name, email: marketer.email },
+            scheduledBy: { _id: marketer._id, name: marketer.name, email: marketer.email },
+          }),
+        ],
+        owner: { _id: marketer._id, name: marketer.name, email: marketer.email },
+        dealValue: 24000,
+        stageEnteredAt: daysAgo(3),
+        createdAt: daysAgo(6),
+        updatedAt: daysAgo(3),
+      },
+      {
+        _id: 'ld000000000000000000002',
+        name: 'Tom Becker',
+        email: 'tom@globex.test',
+        phone: '',
+        company: 'Globex',
+        message: 'Need a quote for 20 seats.',
+        companySize: '11-50',
+        budget: '5k-25k',
+        source: 'lead-form',
+        status: 'new',
+        statusHistory: [],
+        meetings: [
+          meetingIn('mt000000000000000000002', 'Seat pricing call', -2, '15:00', {
+            duration: '30 minutes',
+            meetingLink: 'https://meet.google.com/tom-beck-err',
+            scheduledBy: { _id: admin._id, name: admin.name, email: admin.email },
+          }),
+        ],
+        owner: null,
+        dealValue: 6000,
+        stageEnteredAt: daysAgo(1),
+        createdAt: daysAgo(1),
+        updatedAt: daysAgo(1),
+      },
+      ...PIPELINE_DEMO_LEADS.map(([name, company, status, dealValue, age, companySize, budget], index) => ({
+        _id: `ld00000000000000000001${index}`,
+        name,
+        email: `${name.split(' ')[0].toLowerCase()}@${company.split(' ')[0].toLowerCase()}.test`,
+        phone: '',
+        company,
+        message: '',
+        companySize,
+        budget,
+        source: 'lead-form',
+        status,
+        statusHistory: status === 'new' ? [] : [
+          { _id: `lh00000000000000000001${index}`, status, fromStatus: 'new', feedback: 'Moved on the pipeline board', updatedAt: daysAgo(Math.ceil(age / 2)) },
+        ],
+        meetings: index === 0 ? [
+          // Overlaps Maria Lopez's demo, so the calendar has a conflict to show
+          meetingIn('mt000000000000000000003', 'Security questionnaire review', 1, '10:30', {
+            duration: '30 minutes',
+            meetingLink: 'https://meet.google.com/xyz-abcd-efg',
+            owner: { _id: marketer._id, name: marketer.name, email: marketer.email },
+            scheduledBy: { _id: marketer._id, name: marketer.name, email: marketer.email },
+          }),
+        ] : index === 1 ? [
+          meetingIn('mt000000000000000000004', 'Proposal walkthrough', 3, '14:00', {
+            duration: '1.5 hours',
+            locationType: 'offline',
+            location: 'Umbrella Labs HQ, Room 4',
+            owner: { _id: admin._id, name: admin.name, email: admin.email },
+            scheduledBy: { _id: admin._id, name: admin.name, email: admin.email },
+          }),
+        ] : [],
+        owner: index % 2 ? { _id: admin._id, name: admin.name, email: admin.email } : { _id: marketer._id, name: marketer.name, email: marketer.email },
+        dealValue,
+        stageEnteredAt: daysAgo(status === 'new' ? age : Math.ceil(age / 2)),
+        createdAt: daysAgo(age),
+        updatedAt: daysAgo(Math.ceil(age / 2)),
+      })),
+    ],
+    inquiries: [
+      {
+        _id: 'iq000000000000000000001',
+        firstName: 'Lena',
+        lastName: 'Fischer',
+        email: 'lena@initech.test',
+        phone: '+49 30 1234',
+        companyName: 'Initech',
+        message: 'Do you offer on-premise hosting?',
+        inquiryType: 'general',
+        status: 'new',
+        statusHistory: [],
+        meetings: [
+          meetingIn('mt000000000000000000005', 'On-premise hosting call', 2, '11:00', {
+            platform: 'zoom',
+            meetingLink: 'https://acme.zoom.us/j/123456789',
+            owner: { _id: admin._id, name: admin.name, email: admin.email },
+            scheduledBy: { _id: admin._id, name: admin.name, email: admin.email },
+          }),
+        ],
+        createdAt: daysAgo(2),
+        updatedAt: daysAgo(2),
+      },
+    ],
+    notifications: [
+      {
+        _id: 'nt000000000000000000001',
+        title: 'New lead',
+        message: 'Tom Becker submitted the lead form.',
+        type: 'lead',
+        data: { type: 'lead' },
+        read: false,
+        createdAt: daysAgo(1),
+        updatedAt: daysAgo(1),
+      },
+    ],
+    activities: [
+      {
+        _id: 'ac000000000000000000001',
+        user: { _id: admin._id, name: admin.name, email: admin.email },
+        action: 'update',
+        entity: 'blog',
+        details: 'Published "Announcing our new dashboard"',
+        createdAt: daysAgo(14),
+        updatedAt: daysAgo(14),
+      },
+    ],
+  };
+  collections.newsletterEvents = seedNewsletterEvents(collections);
+  collections.leads = seedLeadScores(collections);
+  return collections;
+};
+// ===============================
+// End of File: mockSeed.js
+// Description: Seed data for the offline mock backend
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
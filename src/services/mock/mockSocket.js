@@ -0,0 +1,74 @@
+// ===============================
+// File: mockSocket.js
+// Description: Local WebSocket stand-in for the offline mock backend. Relays messages between tabs over a BroadcastChannel.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+
+const CHANNEL_NAME = 'cms-collab';
+
+/**
+ * Implements the part of the WebSocket API the collaboration client uses
+ * (`readyState`, `send`, `close`, `onopen`, `onmessage`, `onclose`).
+ * Every open tab acts as one peer, so two tabs signed in as different users behave like two editors.
+ * Like a relay server, a socket never receives its own messages.
+ */
+export default class MockSocket {
+  static CONNECTING = 0;
+
+  static OPEN = 1;
+
+  static CLOSED = 3;
+
+  /**
+   * @param {string} url - Ignored; kept so the constructor matches WebSocket
+   */
+  constructor(url) {
+    this.url = url;
+    this.readyState = MockSocket.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+    if (this.channel) {
+      this.channel.onmessage = (event) => {
+        if (this.readyState === MockSocket.OPEN) this.onmessage?.({ data: event.data });
+      };
+    }
+    // Open asynchronously, as a real socket would
+    setTimeout(() => {
+      if (this.readyState !== MockSocket.CONNECTING) return;
+      this.readyState = MockSocket.OPEN;
+      this.onopen?.({});
+    }, 0);
+  }
+
+  /**
+   * Sends a string frame to every other tab.
+   * @param {string} data
+   */
+  send(data) {
+    if (this.readyState !== MockSocket.OPEN) {
+      throw new Error('MockSocket is not open');
+    }
+    // The auth frame is meant for the server; a relay has nothing to check it against and must not pass the token on
+    if (JSON.parse(data).type === 'auth') return;
+    this.channel?.postMessage(data);
+  }
+
+  /**
+   * Closes the socket. Safe to call more than once.
+   */
+  close() {
+    if (this.readyState === MockSocket.CLOSED) return;
+    this.readyState = MockSocket.CLOSED;
+    this.channel?.close();
+    this.onclose?.({ code: 1000 });
+  }
+}
+// ===============================
+// End of File: mockSocket.js
+// Description: Local WebSocket stand-in
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,109 @@
+// ===============================
+// File: tokenManager.js
+// Description: Access/refresh token storage, JWT expiry parsing and cross-tab session sync over a BroadcastChannel.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+
+const ACCESS_TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const CHANNEL_NAME = 'cms-auth';
+
+/**
+ * Seconds before `exp` at which the access token is treated as expired and refreshed
+ * @type {number}
+ */
+export const REFRESH_SKEW_SECONDS = 60;
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+const listeners = new Set();
+
+if (channel) {
+  channel.onmessage = (event) => {
+    listeners.forEach((listener) => listener(event.data));
+  };
+}
+
+/**
+ * Returns the stored access token.
+ * @returns {string|null}
+ */
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+/**
+ * Returns the stored refresh token.
+ * @returns {string|null}
+ */
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+/**
+ * Decodes the payload of a JWT without verifying it.
+ * @param {string} token
+ * @returns {Object|null} Payload, or null if the token is not a JWT
+ */
+export const decodeJwt = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload.padEnd(payload.length + ((4 - (payload.length % 4)) % 4), '=')));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Milliseconds until the access token should be refreshed (its `exp` minus the skew).
+ * @param {string|null} [token] - Defaults to the stored access token
+ * @returns {number|null} null when the token has no readable `exp`
+ */
+export const getRefreshDelay = (token = getAccessToken()) => {
+  const exp = token && decodeJwt(token)?.exp;
+  if (!exp) return null;
+  return exp * 1000 - REFRESH_SKEW_SECONDS * 1000 - Date.now();
+};
+
+/**
+ * Whether the access token is expired or about to expire.
+ * Tokens without an `exp` claim are never considered expiring.
+ * @param {string|null} [token]
+ * @returns {boolean}
+ */
+export const isTokenExpiring = (token = getAccessToken()) => {
+  const delay = getRefreshDelay(token);
+  return delay !== null && delay <= 0;
+};
+
+/**
+ * Stores tokens and tells other tabs about them.
+ * @param {{ accessToken?: string, refreshToken?: string }} tokens
+ */
+export const setTokens = ({ accessToken, refreshToken }) => {
+  if (accessToken) localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  channel?.postMessage({ type: 'tokens', accessToken });
+};
+
+/**
+ * Removes stored tokens and tells other tabs the session ended.
+ */
+export const clearTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  channel?.postMessage({ type: 'logout' });
+};
+
+/**
+ * Subscribes to session messages from other tabs.
+ * Messages are `{ type: 'tokens', accessToken }` or `{ type: 'logout' }`.
+ * @param {function(Object): void} listener
+ * @returns {function(): void} Unsubscribe function
+ */
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+// ===============================
+// End of File: tokenManager.js
+// Description: Token storage and cross-tab session sync
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
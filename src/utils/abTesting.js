@@ -0,0 +1,157 @@
+/* ========================================================================
+ * File: abTesting.js
+ * Description: Newsletter A/B tests: variants, audience split, validation and winner selection.
+ *              Shared by the newsletter editor, the results table and the mock backend.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+/** Variant ids in the order they are added */
+export const AB_VARIANT_IDS = ['A', 'B', 'C', 'D'];
+
+export const AB_MIN_VARIANTS = 2;
+export const AB_MAX_VARIANTS = AB_VARIANT_IDS.length;
+
+/**
+ * Metrics a winner can be picked by
+ * @type {Array<{ value: 'open'|'click', label: string }>}
+ */
+export const AB_METRICS = [
+  { value: 'open', label: 'Open rate' },
+  { value: 'click', label: 'Click rate' },
+];
+
+/**
+ * Picks the content fields a variant carries.
+ * @param {string} id
+ * @param {{ subject?: string, content?: string, blocks?: Array|null }} source
+ * @param {number} percentage
+ * @returns {{ id: string, subject: string, content: string, blocks: Array|null, percentage: number }}
+ */
+const toVariant = (id, source, percentage) => ({
+  id,
+  subject: source.subject || '',
+  content: source.content || '',
+  blocks: source.blocks || null,
+  percentage,
+});
+
+/**
+ * Starts an A/B test from a newsletter: variant A is the current content, B a copy to edit.
+ * @param {{ subject?: string, content?: string, blocks?: Array|null }} newsletter
+ * @returns {{ variants: Array<Object>, metric: string, windowHours: number }}
+ */
+export function createAbTest(newsletter) {
+  return {
+    variants: [toVariant('A', newsletter, 20), toVariant('B', newsletter, 20)],
+    metric: 'open',
+    windowHours: 4,
+  };
+}
+
+/**
+ * Adds a variant copied from an existing one, up to the maximum.
+ * @param {Object} abTest
+ * @param {Object} source - Variant to copy
+ * @returns {Object} Updated test
+ */
+export function addVariant(abTest, source) {
+  const id = AB_VARIANT_IDS.find((candidate) => !abTest.variants.some((variant) => variant.id === candidate));
+  if (!id) return abTest;
+  return { ...abTest, variants: [...abTest.variants, toVariant(id, source, source.percentage)] };
+}
+
+/**
+ * Removes a variant, keeping the minimum.
+ * @param {Object} abTest
+ * @param {string} id
+ * @returns {Object} Updated test
+ */
+export function removeVariant(abTest, id) {
+  if (abTest.variants.length <= AB_MIN_VARIANTS) return abTest;
+  return { ...abTest, variants: abTest.variants.filter((variant) => variant.id !== id) };
+}
+
+/**
+ * Share of the audience that waits for the winner.
+ * @param {Object} abTest
+ * @returns {number} Percentage
+ */
+export function remainderPercentage(abTest) {
+  return Math.max(0, 100 - abTest.variants.reduce((sum, variant) => sum + (Number(variant.percentage) || 0), 0));
+}
+
+/**
+ * Checks a test is ready to send.
+ * @param {Object} abTest
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateAbTest(abTest) {
+  const { variants = [] } = abTest || {};
+  if (variants.length < AB_MIN_VARIANTS || variants.length > AB_MAX_VARIANTS) {
+    return `An A/B test needs ${AB_MIN_VARIANTS} to ${AB_MAX_VARIANTS} variants`;
+  }
+  const missing = variants.find((variant) => !variant.subject?.trim() || !variant.content?.trim());
+  if (missing) return `Variant ${missing.id} needs a subject and content`;
+  const tooSmall = variants.find((variant) => !(Number(variant.percentage) >= 1));
+  if (tooSmall) return `Variant ${tooSmall.id} must go to at least 1% of the audience`;
+  if (variants.reduce((sum, variant) => sum + Number(variant.percentage), 0) > 100) {
+    return 'Variant percentages add up to more than 100%';
+  }
+  if (!AB_METRICS.some((metric) => metric.value === abTest.metric)) return 'Choose how the winner is picked';
+  if (!(Number(abTest.windowHours) >= 1 && Number(abTest.windowHours) <= 168)) return 'The test window must be between 1 and 168 hours';
+  return null;
+}
+
+/**
+ * Splits recipients into one group per variant by percentage of the whole audience. Every variant
+ * gets at least one recipient while there are enough; the rest are held back for the winner.
+ * Recipients should already be shuffled.
+ * @param {Array<Object>} recipients
+ * @param {Array<{ id: string, percentage: number }>} variants
+ * @returns {{ groups: Object<string, Array<Object>>, remainder: Array<Object> }}
+ */
+export function splitAudience(recipients, variants) {
+  const groups = {};
+  let offset = 0;
+  variants.forEach((variant) => {
+    const size = Math.min(
+      Math.max(1, Math.round((recipients.length * Number(variant.percentage)) / 100)),
+      recipients.length - offset
+    );
+    groups[variant.id] = recipients.slice(offset, offset + size);
+    offset += size;
+  });
+  return { groups, remainder: recipients.slice(offset) };
+}
+
+/**
+ * Open or click rate of a variant's stats.
+ * @param {{ sent: number, opens: number, clicks: number }} [stats]
+ * @param {'open'|'click'} metric
+ * @returns {number} Between 0 and 1
+ */
+export function variantRate(stats, metric) {
+  if (!stats?.sent) return 0;
+  return (metric === 'click' ? stats.clicks : stats.opens) / stats.sent;
+}
+
+/**
+ * Variant with the best rate on the chosen metric. Ties go to the other metric, then to the earlier variant.
+ * @param {Array<{ id: string, stats?: Object }>} variants
+ * @param {'open'|'click'} metric
+ * @returns {string} Winning variant id
+ */
+export function pickWinner(variants, metric) {
+  const other = metric === 'open' ? 'click' : 'open';
+  return variants.reduce((best, variant) => {
+    const diff = variantRate(variant.stats, metric) - variantRate(best.stats, metric);
+    if (diff > 0) return variant;
+    if (diff === 0 && variantRate(variant.stats, other) > variantRate(best.stats, other)) return variant;
+    return best;
+  }).id;
+}
+
+/* ========================================================================
+ * End of File: abTesting.js
+ * ======================================================================== */
@@ -0,0 +1,246 @@
+/* ========================================================================
+ * File: audienceSegments.js
+ * Description: Newsletter audience segments: rule fields and operators, matching subscribers against saved segments.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+import { NEWSLETTER_TOPICS, NEWSLETTER_FREQUENCIES, SUBSCRIBER_STATUSES, getPreferences, wantsNewsletter } from './subscriberPreferences';
+
+/**
+ * Fields a segment rule can test. `attribute` rules also carry the attribute name in `rule.key`.
+ * @type {Array<{ value: string, label: string, type: 'tag'|'enum'|'date'|'text', options?: Array<{ value: string, label: string }> }>}
+ */
+export const SEGMENT_FIELDS = [
+  { value: 'tag', label: 'Tag', type: 'tag' },
+  {
+    value: 'status',
+    label: 'Status',
+    type: 'enum',
+    options: SUBSCRIBER_STATUSES.map(({ value, label }) => ({ value, label })),
+  },
+  {
+    value: 'source',
+    label: 'Source',
+    type: 'enum',
+    options: [
+      { value: 'website', label: 'Website' },
+      { value: 'import', label: 'Import' },
+      { value: 'api', label: 'API' },
+    ],
+  },
+  {
+    value: 'topic',
+    label: 'Topic',
+    type: 'enum',
+    options: NEWSLETTER_TOPICS.map(({ value, label }) => ({ value, label })),
+  },
+  { value: 'frequency', label: 'Frequency', type: 'enum', options: NEWSLETTER_FREQUENCIES },
+  { value: 'createdAt', label: 'Subscribed', type: 'date' },
+  { value: 'attribute', label: 'Attribute', type: 'text' },
+];
+
+/**
+ * Operators offered for each field type
+ * @type {Object<string, Array<{ value: string, label: string, needsValue: boolean }>>}
+ */
+export const SEGMENT_OPERATORS = {
+  tag: [
+    { value: 'has', label: '=', needsValue: true },
+    { value: 'not_has', label: '≠', needsValue: true },
+  ],
+  enum: [
+    { value: 'is', label: '=', needsValue: true },
+    { value: 'is_not', label: '≠', needsValue: true },
+  ],
+  date: [
+    { value: 'after', label: 'after', needsValue: true },
+    { value: 'before', label: 'before', needsValue: true },
+  ],
+  text: [
+    { value: 'equals', label: '=', needsValue: true },
+    { value: 'not_equals', label: '≠', needsValue: true },
+    { value: 'contains', label: 'contains', needsValue: true },
+    { value: 'is_set', label: 'is set', needsValue: false },
+    { value: 'is_not_set', label: 'is not set', needsValue: false },
+  ],
+};
+
+/**
+ * Looks up a field definition.
+ * @param {string} field
+ * @returns {Object|undefined}
+ */
+export function getSegmentField(field) {
+  return SEGMENT_FIELDS.find((entry) => entry.value === field);
+}
+
+/**
+ * Looks up the operator definition for a rule.
+ * @param {{ field: string, operator: string }} rule
+ * @returns {Object|undefined}
+ */
+export function getSegmentOperator(rule) {
+  const field = getSegmentField(rule.field);
+  return field && SEGMENT_OPERATORS[field.type].find((entry) => entry.value === rule.operator);
+}
+
+/**
+ * A new rule for the given field, with its first operator selected.
+ * @param {string} [field='tag']
+ * @returns {{ field: string, operator: string, key: string, value: string }}
+ */
+export function createSegmentRule(field = 'tag') {
+  const definition = getSegmentField(field);
+  return {
+    field,
+    operator: SEGMENT_OPERATORS[definition.type][0].value,
+    key: '',
+    value: definition.type === 'enum' ? definition.options[0].value : '',
+  };
+}
+
+/**
+ * Whether a rule has everything it needs to be evaluated.
+ * @param {{ field: string, operator: string, key?: string, value?: string }} rule
+ * @returns {boolean}
+ */
+export function isRuleComplete(rule) {
+  const operator = getSegmentOperator(rule);
+  if (!operator) return false;
+  if (rule.field === 'attribute' && !String(rule.key || '').trim()) return false;
+  return !operator.needsValue || String(rule.value ?? '').trim() !== '';
+}
+
+/**
+ * Tests one subscriber against one rule. Text and tag comparisons ignore case.
+ * @param {Object} subscriber
+ * @param {{ field: string, operator: string, key?: string, value?: string }} rule
+ * @returns {boolean}
+ */
+export function matchesRule(subscriber, rule) {
+  const expected = String(rule.value ?? '').trim().toLowerCase();
+  switch (rule.field) {
+    case 'tag': {
+      const hasTag = (subscriber.tags || []).some((tag) => tag.toLowerCase() === expected);
+      return rule.operator === 'has' ? hasTag : !hasTag;
+    }
+    case 'status':
+    case 'source': {
+      const actual = String(subscriber[rule.field] || (rule.field === 'source' ? 'website' : '')).toLowerCase();
+      return rule.operator === 'is' ? actual === expected : actual !== expected;
+    }
+    // Preference-center choices; subscribers who never chose get every topic, weekly
+    case 'topic': {
+      const wants = getPreferences(subscriber).topics.includes(rule.value);
+      return rule.operator === 'is' ? wants : !wants;
+    }
+    case 'frequency': {
+      const matches = getPreferences(subscriber).frequency === rule.value;
+      return rule.operator === 'is' ? matches : !matches;
+    }
+    case 'createdAt': {
+      const subscribed = new Date(subscriber.createdAt);
+      // Dates are whole local days, so neither "after" nor "before" includes the day itself
+      const boundary = new Date(`${rule.value}T00:00:00`);
+      if (Number.isNaN(subscribed.getTime()) || Number.isNaN(boundary.getTime())) return false;
+      if (rule.operator === 'after') return subscribed >= new Date(boundary.getTime() + 24 * 3600 * 1000);
+      return subscribed < boundary;
+    }
+    case 'attribute': {
+      const raw = subscriber.attributes?.[String(rule.key || '').trim()];
+      const isSet = raw !== undefined && raw !== null && String(raw) !== '';
+      const actual = String(raw ?? '').toLowerCase();
+      switch (rule.operator) {
+        case 'equals': return isSet && actual === expected;
+        case 'not_equals': return actual !== expected;
+        case 'contains': return isSet && actual.includes(expected);
+        case 'is_set': return isSet;
+        case 'is_not_set': return !isSet;
+        default: return false;
+      }
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Tests a subscriber against a segment. Incomplete rules are ignored; a segment without rules matches everyone.
+ * @param {Object} subscriber
+ * @param {{ match?: 'all'|'any', rules: Array<Object> }} segment
+ * @returns {boolean}
+ */
+export function matchesSegment(subscriber, segment) {
+  const rules = (segment?.rules || []).filter(isRuleComplete);
+  if (!rules.length) return true;
+  return segment.match === 'any'
+    ? rules.some((rule) => matchesRule(subscriber, rule))
+    : rules.every((rule) => matchesRule(subscriber, rule));
+}
+
+/**
+ * Active subscribers in any of the given segments (each subscriber once).
+ * With no segments the audience is every active subscriber. Given a newsletter, subscribers whose
+ * preferences rule out its topic, or who only want important updates, are left out.
+ * @param {Array<Object>} subscribers
+ * @param {Array<Object>} segments
+ * @param {{ topic?: string, important?: boolean }} [newsletter]
+ * @returns {Array<Object>}
+ */
+export function resolveAudience(subscribers, segments = [], newsletter = null) {
+  const active = subscribers.filter((subscriber) => (
+    subscriber.status === 'active' && (!newsletter || wantsNewsletter(subscriber, newsletter))
+  ));
+  if (!segments.length) return active;
+  return active.filter((subscriber) => segments.some((segment) => matchesSegment(subscriber, segment)));
+}
+
+/**
+ * Human-readable rule, e.g. `Tag = customer` or `Subscribed after 2026-01-01`.
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const field = getSegmentField(rule.field);
+  const operator = getSegmentOperator(rule);
+  if (!field || !operator) return 'Invalid rule';
+  const subject = rule.field === 'attribute' ? rule.key || 'attribute' : field.label.toLowerCase();
+  const shown = field.type === 'enum'
+    ? field.options.find((option) => option.value === rule.value)?.label || rule.value
+    : rule.value;
+  const text = operator.needsValue ? `${subject} ${operator.label} ${shown}` : `${subject} ${operator.label}`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Human-readable summary of a whole segment's rules.
+ * @param {{ match?: 'all'|'any', rules: Array<Object> }} segment
+ * @returns {string}
+ */
+export function describeSegment(segment) {
+  const rules = (segment?.rules || []).filter(isRuleComplete);
+  if (!rules.length) return 'All subscribers';
+  return rules.map(describeRule).join(segment.match === 'any' ? ' OR ' : ' AND ');
+}
+
+/**
+ * Every tag used by any subscriber, sorted.
+ * @param {Array<Object>} subscribers
+ * @returns {Array<string>}
+ */
+export function collectTags(subscribers) {
+  return [...new Set(subscribers.flatMap((subscriber) => subscriber.tags || []))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Every custom attribute name used by any subscriber, sorted.
+ * @param {Array<Object>} subscribers
+ * @returns {Array<string>}
+ */
+export function collectAttributeKeys(subscribers) {
+  return [...new Set(subscribers.flatMap((subscriber) => Object.keys(subscriber.attributes || {})))].sort((a, b) => a.localeCompare(b));
+}
+
+/* ========================================================================
+ * End of File: audienceSegments.js
+ * ======================================================================== */
@@ -0,0 +1,115 @@
+/* ========================================================================
+ * File: csv.js
+ * Description: CSV serialization and parsing (RFC 4180 quoting, formula neutralizing) for data exports and imports.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+// Leading characters that make spreadsheets read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * Prefixes a quote to text a spreadsheet would run as a formula (CSV injection), e.g. `=HYPERLINK(...)`.
+ * Exported answers and names come from the public, so they are never trusted. Plain numbers such as `-5` stay as-is.
+ * @param {string} text
+ * @returns {string}
+ */
+export function neutralizeFormula(text) {
+  return FORMULA_START.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Reverses neutralizeFormula for a cell read back from one of our exports.
+ * @param {string} text
+ * @returns {string}
+ */
+export function restoreFormula(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Neutralizes formulas, then quotes a value when it contains a delimiter, quote or line break.
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeCell(value) {
+  const text = neutralizeFormula(value === null || value === undefined ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows to CSV with a header line.
+ * @param {Array<Object>} rows
+ * @param {Array<{ key: string, label: string, value?: function(Object): any }>} columns - `value` overrides reading `row[key]`
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const header = columns.map((column) => escapeCell(column.label)).join(',');
+  const lines = rows.map((row) => columns
+    .map((column) => escapeCell(column.value ? column.value(row) : row[column.key]))
+    .join(','));
+  return [header, ...lines].join('\r\n');
+}
+
+/**
+ * Picks the delimiter used in the first line: comma, semicolon (spreadsheets in many locales) or tab.
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return [',', ';', '\t']
+    .map((delimiter) => ({ delimiter, count: firstLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells with delimiters, doubled quotes and line
+ * breaks, CRLF line ends and a leading byte order mark. Blank lines are dropped.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the first line when omitted
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text, delimiter) {
+  const source = text.replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/* ========================================================================
+ * End of File: csv.js
+ * ======================================================================== */
@@ -0,0 +1,445 @@
+/* ========================================================================
+ * File: emailRenderer.js
+ * Description: Turns newsletter HTML into email-client-safe markup (inlined CSS, table layout,
+ *              absolute URLs), a plain-text alternative and a list of known client problems.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+import { BASE_URL } from '../config';
+import { escapeHtml } from './newsletterTemplates';
+
+/** Gmail clips messages whose HTML is larger than this (bytes) */
+export const GMAIL_CLIP_BYTES = 102 * 1024;
+
+/** Size above which we warn that the clip limit is close (bytes) */
+const SIZE_WARNING_BYTES = 80 * 1024;
+
+/** Content width of the email body in pixels */
+const EMAIL_WIDTH = 600;
+
+// Defaults for elements that email clients otherwise style inconsistently; inline styles on the element win
+const ELEMENT_STYLES = {
+  p: 'margin:0 0 16px;line-height:1.5;',
+  h1: 'margin:0 0 16px;font-size:28px;line-height:1.25;',
+  h2: 'margin:0 0 12px;font-size:22px;line-height:1.3;',
+  h3: 'margin:0 0 12px;font-size:18px;line-height:1.3;',
+  a: 'color:#2563eb;',
+  img: 'border:0;outline:none;text-decoration:none;display:block;max-width:100%;height:auto;',
+  ul: 'margin:0 0 16px;padding-left:24px;',
+  ol: 'margin:0 0 16px;padding-left:24px;',
+  li: 'margin:0 0 4px;',
+  blockquote: 'margin:0 0 16px;padding-left:16px;border-left:4px solid #e5e7eb;color:#4b5563;',
+  pre: 'margin:0 0 16px;padding:12px;background-color:#f3f4f6;font-family:Consolas,Menlo,monospace;font-size:13px;white-space:pre-wrap;',
+};
+
+// Quill's class-based formatting, as the inline styles it stands for
+const QUILL_SIZES = { small: '12px', large: '20px', huge: '32px' };
+const QUILL_FONTS = { serif: 'Georgia,\'Times New Roman\',serif', monospace: 'Consolas,Menlo,monospace' };
+
+/**
+ * CSS that major clients drop or mis-render.
+ * @type {Array<{ code: string, test: function(string, string): boolean, message: string, clients: string }>}
+ */
+const UNSUPPORTED_CSS = [
+  { code: 'css-display', test: (prop, value) => prop === 'display' && /flex|grid/.test(value), message: 'Flexbox and grid layouts are ignored', clients: 'Outlook, Gmail app' },
+  { code: 'css-position', test: (prop) => prop === 'position', message: 'Positioning is stripped', clients: 'Gmail, Outlook' },
+  { code: 'css-float', test: (prop) => prop === 'float', message: 'Floats are ignored', clients: 'Outlook' },
+  { code: 'css-effects', test: (prop) => ['box-shadow', 'transform', 'transition', 'animation', 'filter'].includes(prop), message: 'Shadows, transforms and animations are ignored', clients: 'Outlook, Gmail' },
+  { code: 'css-background-image', test: (prop, value) => prop === 'background-image' || (prop === 'background' && value.includes('url(')), message: 'Background images are not shown', clients: 'Outlook' },
+  { code: 'css-variables', test: (prop, value) => prop.startsWith('--') || value.includes('var('), message: 'CSS variables are not supported', clients: 'Gmail, Outlook' },
+  { code: 'css-calc', test: (prop, value) => value.includes('calc('), message: 'calc() is not supported', clients: 'Outlook' },
+];
+
+// Elements that clients strip (or block the whole message for)
+const UNSUPPORTED_ELEMENTS = ['iframe', 'video', 'audio', 'object', 'embed', 'form', 'input', 'button', 'select', 'textarea', 'svg', 'canvas', 'style'];
+
+const BLOCK_TAGS = new Set(['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'table', 'tr']);
+
+/**
+ * Parses an inline style attribute.
+ * @param {string} style
+ * @returns {Map<string, string>}
+ */
+function parseStyle(style = '') {
+  const declarations = new Map();
+  style.split(';').forEach((declaration) => {
+    const index = declaration.indexOf(':');
+    if (index === -1) return;
+    const prop = declaration.slice(0, index).trim().toLowerCase();
+    const value = declaration.slice(index + 1).trim();
+    if (prop && value) declarations.set(prop, value);
+  });
+  return declarations;
+}
+
+/**
+ * Serializes declarations back to a style attribute.
+ * @param {Map<string, string>} declarations
+ * @returns {string}
+ */
+function serializeStyle(declarations) {
+  return [...declarations].map(([prop, value]) => `${prop}:${value};`).join('');
+}
+
+/**
+ * Adds declarations to an element's style. Existing declarations win unless `override` is set.
+ * @param {Element} element
+ * @param {string} style
+ * @param {boolean} [override=false]
+ */
+function mergeStyle(element, style, override = false) {
+  const current = parseStyle(element.getAttribute('style') || '');
+  const merged = override
+    ? new Map([...current, ...parseStyle(style)])
+    : new Map([...parseStyle(style), ...current]);
+  if (merged.size) element.setAttribute('style', serializeStyle(merged));
+}
+
+/**
+ * Origin that relative links resolve against.
+ * @returns {string}
+ */
+const siteOrigin = () => (typeof window !== 'undefined' ? window.location.origin : '');
+
+/**
+ * Host images resolve against: BASE_URL when it is absolute, otherwise the site itself.
+ * @returns {string}
+ */
+const assetOrigin = () => (/^https?:\/\//.test(BASE_URL) ? BASE_URL : siteOrigin());
+
+/**
+ * Makes a URL absolute. Merge tags, anchors, mailto: and tel: links are left alone.
+ * @param {string} url
+ * @param {string} origin
+ * @returns {string}
+ */
+function absoluteUrl(url, origin) {
+  if (!url || /^(https?:|mailto:|tel:|data:|#|\{\{)/i.test(url)) return url;
+  if (url.startsWith('//')) return `https:${url}`;
+  return `${origin}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+/**
+ * Collects issues, merging repeats of the same problem into one entry with a count.
+ * @returns {{ add: function(string, string, string, string=): void, list: function(): Array<Object> }}
+ */
+function createIssueList() {
+  const issues = new Map();
+  return {
+    add(severity, code, message, clients = '') {
+      const key = `${code}:${message}`;
+      const existing = issues.get(key);
+      if (existing) existing.count += 1;
+      else issues.set(key, { severity, code, message, clients, count: 1 });
+    },
+    list: () => [...issues.values()].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1)),
+  };
+}
+
+/**
+ * Converts Quill's formatting classes to inline styles and removes all classes.
+ * @param {Element} root
+ */
+function inlineQuillClasses(root) {
+  root.querySelectorAll('[class]').forEach((element) => {
+    element.classList.forEach((className) => {
+      const [, format, value] = className.match(/^ql-(align|indent|size|font|direction)-(.+)$/) || [];
+      if (format === 'align') mergeStyle(element, `text-align:${value}`, true);
+      if (format === 'indent') mergeStyle(element, `padding-left:${Number(value) * 3}em`, true);
+      if (format === 'size' && QUILL_SIZES[value]) mergeStyle(element, `font-size:${QUILL_SIZES[value]}`, true);
+      if (format === 'font' && QUILL_FONTS[value]) mergeStyle(element, `font-family:${QUILL_FONTS[value]}`, true);
+      if (format === 'direction') mergeStyle(element, `direction:${value};text-align:right`, true);
+    });
+    element.removeAttribute('class');
+  });
+}
+
+/**
+ * Text alignment an element inherits from its nearest aligned ancestor.
+ * @param {Element} element
+ * @returns {string}
+ */
+function inheritedAlign(element) {
+  for (let node = element.parentElement; node; node = node.parentElement) {
+    const align = parseStyle(node.getAttribute('style') || '').get('text-align') || node.getAttribute('align');
+    if (align) return align;
+  }
+  return 'left';
+}
+
+/**
+ * Creates a presentation table (no borders, spacing or padding).
+ * @param {Document} doc
+ * @returns {{ table: HTMLTableElement, cell: HTMLTableCellElement }}
+ */
+function createLayoutTable(doc) {
+  const table = doc.createElement('table');
+  table.setAttribute('role', 'presentation');
+  table.setAttribute('cellpadding', '0');
+  table.setAttribute('cellspacing', '0');
+  table.setAttribute('border', '0');
+  const row = doc.createElement('tr');
+  const cell = doc.createElement('td');
+  row.appendChild(cell);
+  table.appendChild(row);
+  return { table, cell };
+}
+
+/**
+ * Replaces styled "button" links (inline-block with a background) with a bulletproof table button,
+ * whose coloured cell is also clickable in Outlook.
+ * @param {Document} doc
+ */
+function convertButtons(doc) {
+  doc.body.querySelectorAll('a[style]').forEach((link) => {
+    const style = parseStyle(link.getAttribute('style'));
+    const background = style.get('background-color') || style.get('background');
+    if (style.get('display') !== 'inline-block' || !background) return;
+
+    const { table, cell } = createLayoutTable(doc);
+    const align = inheritedAlign(link);
+    if (align === 'center' || align === 'right') table.setAttribute('align', align);
+    cell.setAttribute('bgcolor', background);
+    cell.setAttribute('style', serializeStyle(new Map([
+      ['background-color', background],
+      ['border-radius', style.get('border-radius') || '0'],
+    ])));
+
+    style.delete('background');
+    style.delete('background-color');
+    style.set('border', `1px solid ${background}`);
+    link.setAttribute('style', serializeStyle(style));
+    link.replaceWith(table);
+    cell.appendChild(link);
+  });
+}
+
+/**
+ * Replaces divs with single-cell tables, innermost first. The div's style moves to the cell;
+ * alignment and background are repeated as attributes for Outlook.
+ * @param {Document} doc
+ */
+function convertDivsToTables(doc) {
+  [...doc.body.querySelectorAll('div')].reverse().forEach((div) => {
+    const style = parseStyle(div.getAttribute('style') || '');
+    const { table, cell } = createLayoutTable(doc);
+
+    const maxWidth = parseInt(style.get('max-width'), 10);
+    table.setAttribute('width', maxWidth ? String(Math.min(maxWidth, EMAIL_WIDTH)) : '100%');
+    table.setAttribute('style', `width:100%;${maxWidth ? `max-width:${maxWidth}px;` : ''}border-collapse:collapse;`);
+    if (/auto/.test(style.get('margin') || '')) table.setAttribute('align', 'center');
+    ['max-width', 'margin'].forEach((prop) => style.delete(prop));
+
+    const background = style.get('background-color') || (/^#|^rgb/.test(style.get('background') || '') ? style.get('background') : '');
+    if (background) cell.setAttribute('bgcolor', background);
+    if (style.get('text-align')) cell.setAttribute('align', style.get('text-align'));
+    if (style.size) cell.setAttribute('style', serializeStyle(style));
+
+    while (div.firstChild) cell.appendChild(div.firstChild);
+    div.replaceWith(table);
+  });
+}
+
+/**
+ * Inlines element defaults and rewrites image and link URLs to absolute ones.
+ * @param {Document} doc
+ */
+function inlineDefaults(doc) {
+  Object.entries(ELEMENT_STYLES).forEach(([tag, style]) => {
+    doc.body.querySelectorAll(tag).forEach((element) => mergeStyle(element, style));
+  });
+
+  doc.body.querySelectorAll('img').forEach((img) => {
+    img.setAttribute('src', absoluteUrl(img.getAttribute('src') || '', assetOrigin()));
+    const width = parseStyle(img.getAttribute('style') || '').get('width') || '';
+    // Outlook sizes images from the attribute only
+    if (!img.hasAttribute('width') && /^\d+px$/.test(width)) img.setAttribute('width', parseInt(width, 10));
+  });
+  doc.body.querySelectorAll('a[href]').forEach((link) => {
+    link.setAttribute('href', absoluteUrl(link.getAttribute('href'), siteOrigin()));
+    link.setAttribute('target', '_blank');
+  });
+}
+
+/**
+ * Lints the converted markup for problems in common email clients.
+ * @param {Document} doc
+ * @param {ReturnType<typeof createIssueList>} issues
+ */
+function lint(doc, issues) {
+  doc.body.querySelectorAll('[style]').forEach((element) => {
+    parseStyle(element.getAttribute('style')).forEach((value, prop) => {
+      UNSUPPORTED_CSS
+        .filter((rule) => rule.test(prop, value))
+        .forEach((rule) => issues.add('warning', rule.code, `${rule.message} (${prop}: ${value})`, rule.clients));
+    });
+  });
+
+  UNSUPPORTED_ELEMENTS.forEach((tag) => {
+    doc.body.querySelectorAll(tag).forEach(() => {
+      issues.add('warning', 'element', `<${tag}> elements are removed or not rendered`, 'Gmail, Outlook');
+    });
+  });
+
+  doc.body.querySelectorAll('img').forEach((img) => {
+    const src = img.getAttribute('src') || '';
+    if (!img.getAttribute('alt')?.trim()) {
+      issues.add('warning', 'img-alt', 'Image without alt text; it shows as an empty box while images are blocked', 'Outlook, Gmail');
+    }
+    if (src.startsWith('data:')) {
+      issues.add('error', 'img-data-uri', 'Embedded (data:) image; these are blocked or stripped', 'Gmail, Outlook');
+    } else if (!/^https?:\/\//.test(src)) {
+      issues.add('error', 'img-relative', `Image URL is not absolute (${src || 'empty'})`, 'All clients');
+    }
+  });
+
+  doc.body.querySelectorAll('a').forEach((link) => {
+    const href = (link.getAttribute('href') || '').trim();
+    if (!href || href === '#' || /^https?:\/\/?$/.test(href)) {
+      issues.add('warning', 'link-empty', `Link "${link.textContent.trim() || 'untitled'}" has no destination`, 'All clients');
+    }
+  });
+
+  if (!/\{\{\s*unsubscribeUrl\s*\}\}/.test(doc.body.innerHTML)) {
+    issues.add('warning', 'unsubscribe', 'No {{unsubscribeUrl}} link; Gmail and Yahoo require one-click unsubscribe for bulk mail', 'Gmail, Yahoo');
+  }
+  if (!/^https?:\/\//.test(BASE_URL)) {
+    issues.add('warning', 'base-url', 'The asset URL (BASE_URL) is not absolute, so images point at this site instead', 'All clients');
+  }
+}
+
+/**
+ * Removes content that must never reach an inbox: scripts, event handlers and javascript: links.
+ * @param {Document} doc
+ * @param {ReturnType<typeof createIssueList>} issues
+ */
+function stripUnsafe(doc, issues) {
+  doc.body.querySelectorAll('script').forEach((script) => {
+    issues.add('error', 'script', '<script> removed; it would get the message flagged as spam', 'All clients');
+    script.remove();
+  });
+  doc.body.querySelectorAll('*').forEach((element) => {
+    [...element.attributes]
+      .filter((attribute) => /^on/i.test(attribute.name))
+      .forEach((attribute) => element.removeAttribute(attribute.name));
+    if (/^\s*javascript:/i.test(element.getAttribute('href') || '')) {
+      issues.add('error', 'script', 'javascript: link removed', 'All clients');
+      element.removeAttribute('href');
+    }
+  });
+}
+
+/**
+ * Plain-text version of the content. Links keep their URL in brackets; merge tags stay in place.
+ * @param {Node} node
+ * @returns {string}
+ */
+function toPlainText(node) {
+  if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+  if (node.nodeType !== 1) return '';
+  const tag = node.tagName.toLowerCase();
+  if (tag === 'br') return '\n';
+  if (tag === 'img') return node.getAttribute('alt') ? `[${node.getAttribute('alt')}]` : '';
+  if (['script', 'style', 'head'].includes(tag)) return '';
+
+  let text = [...node.childNodes].map(toPlainText).join('');
+  if (tag === 'a') {
+    const href = node.getAttribute('href') || '';
+    if (href && href !== '#' && href !== text.trim()) text = `${text.trim()} (${href})`;
+  }
+  if (tag === 'li') text = `- ${text.trim()}`;
+  if (/^h[1-6]$/.test(tag)) text = `${text.trim().toUpperCase()}\n`;
+  return BLOCK_TAGS.has(tag) || tag === 'td' ? `\n${text}\n` : text;
+}
+
+/**
+ * Tidies extracted text: trims lines and keeps at most one blank line between paragraphs.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Wraps the converted body in a complete email document with a centered 600px column.
+ * @param {string} body
+ * @param {{ subject?: string, padding?: number }} options
+ * @returns {string}
+ */
+function wrapDocument(body, { subject = '', padding = 24 }) {
+  return '<!DOCTYPE html>'
+    + '<html lang="en" xmlns="http://www.w3.org/1999/xhtml"><head>'
+    + '<meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">'
+    + '<meta http-equiv="X-UA-Compatible" content="IE=edge">'
+    + `<title>${escapeHtml(subject)}</title>`
+    + '</head><body style="margin:0;padding:0;background-color:#f3f4f6;">'
+    + '<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" bgcolor="#f3f4f6"><tr>'
+    + '<td align="center" style="padding:24px 12px;">'
+    + `<table role="presentation" width="${EMAIL_WIDTH}" cellpadding="0" cellspacing="0" border="0" bgcolor="#ffffff" `
+    + `style="width:100%;max-width:${EMAIL_WIDTH}px;background-color:#ffffff;font-family:Arial,Helvetica,sans-serif;font-size:16px;line-height:1.5;color:#111827;">`
+    + `<tr><td style="padding:${padding}px;">${body}</td></tr>`
+    + '</table></td></tr></table></body></html>';
+}
+
+/**
+ * Renders newsletter HTML for sending. Merge tags are preserved for per-recipient rendering.
+ * @param {string} html - Newsletter content (Quill, hand-written or block HTML)
+ * @param {Object} [options]
+ * @param {string} [options.subject] - Used as the document title
+ * @param {number} [options.padding=24] - Padding around the content; block layouts bring their own, so pass 0
+ * @returns {{ html: string, text: string, issues: Array<{ severity: 'error'|'warning', code: string, message: string, clients: string, count: number }>, size: number }}
+ */
+export function renderEmail(html = '', options = {}) {
+  const issues = createIssueList();
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  stripUnsafe(doc, issues);
+  inlineQuillClasses(doc.body);
+  inlineDefaults(doc);
+  convertButtons(doc);
+  convertDivsToTables(doc);
+  lint(doc, issues);
+
+  const output = wrapDocument(doc.body.innerHTML, options);
+  const size = new TextEncoder().encode(output).length;
+  if (size > GMAIL_CLIP_BYTES) {
+    issues.add('error', 'size', `Email is ${formatBytes(size)}; Gmail clips messages over ${formatBytes(GMAIL_CLIP_BYTES)}, hiding the rest and the unsubscribe link`, 'Gmail');
+  } else if (size > SIZE_WARNING_BYTES) {
+    issues.add('warning', 'size', `Email is ${formatBytes(size)}, close to Gmail's ${formatBytes(GMAIL_CLIP_BYTES)} clipping limit`, 'Gmail');
+  }
+
+  return {
+    html: output,
+    text: normalizeText(toPlainText(doc.body)),
+    issues: issues.list(),
+    size,
+  };
+}
+
+/**
+ * Renders a newsletter's current content for sending.
+ * @param {{ subject?: string, content?: string, blocks?: Array|null }} newsletter
+ * @returns {ReturnType<typeof renderEmail>}
+ */
+export function renderNewsletterEmail(newsletter) {
+  return renderEmail(newsletter.content || '', { subject: newsletter.subject, padding: newsletter.blocks ? 0 : 24 });
+}
+
+/**
+ * Human-readable byte size, e.g. "12.4 KB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/* ========================================================================
+ * End of File: emailRenderer.js
+ * ======================================================================== */
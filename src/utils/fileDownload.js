@@ -0,0 +1,47 @@
+/* ========================================================================
+ * File: fileDownload.js
+ * Description: Browser file downloads for generated content (HTML, text, CSV, JSON, calendar files) and stored uploads.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+/**
+ * Offers generated content to the browser as a file download.
+ * @param {string} contents
+ * @param {string} filename
+ * @param {string} type - MIME type
+ */
+export function downloadFile(contents, filename, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Offers a file that is already addressable (e.g. a data URL of an upload) as a download.
+ * @param {string} url
+ * @param {string} filename
+ */
+export function downloadUrl(url, filename) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+}
+
+/**
+ * Turns a title into a safe file name stem, e.g. "October update!" -> "october-update".
+ * @param {string} title
+ * @param {string} [fallback='export']
+ * @returns {string}
+ */
+export function toFileName(title, fallback = 'export') {
+  return (title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+}
+
+/* ========================================================================
+ * End of File: fileDownload.js
+ * ======================================================================== */
@@ -0,0 +1,221 @@
+/* ========================================================================
+ * File: formAnalytics.js
+ * Description: Form submissions and views: readable answers, search, export columns, views versus submissions,
+ *              drop-off per field and answer distributions.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+import { isAnswered, isPageBreak } from './formLogic';
+
+/**
+ * Field types whose answers are charted as a distribution
+ * @type {Array<string>}
+ */
+export const DISTRIBUTION_TYPES = ['select', 'radio', 'multiselect'];
+
+/**
+ * Ratio rounded to one decimal percent; 0 when there is nothing to divide by.
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number} Percentage
+ */
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+/**
+ * Questions of a form, in order, without page breaks.
+ * @param {{ fields?: Array<Object> }} form
+ * @returns {Array<Object>}
+ */
+export function getAnswerFields(form) {
+  return (form?.fields || []).filter((field) => !isPageBreak(field) && field.name);
+}
+
+/**
+ * Files of a stored answer. Uploads are `{ name, type, size }` records; older submissions kept just the file name.
+ * @param {*} value
+ * @returns {Array<{ name: string, type?: string, size?: number, url?: string }>}
+ */
+export function getAnswerFiles(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .filter((entry) => entry && entry !== 'undefined')
+    .map((entry) => (typeof entry === 'string' ? { name: entry } : entry));
+}
+
+/**
+ * An answer as text, e.g. option labels instead of values and "Yes"/"No" for checkboxes.
+ * @param {Object} field
+ * @param {*} value
+ * @returns {string}
+ */
+export function answerText(field, value) {
+  if (value === undefined || value === null || value === '') return '';
+  if (field.type === 'checkbox') return value === true || value === 'true' ? 'Yes' : 'No';
+  if (field.type === 'file') return getAnswerFiles(value).map((file) => file.name).join(', ');
+  const label = (entry) => field.options?.find((option) => option.value === entry)?.label || entry;
+  if (Array.isArray(value)) return value.map(label).join(', ');
+  return String(label(value));
+}
+
+/**
+ * Whether a submission contains the search text in any answer. Ignores case.
+ * @param {{ data?: Object }} submission
+ * @param {string} search
+ * @param {Array<Object>} fields - Answer fields of the form
+ * @returns {boolean}
+ */
+export function submissionMatches(submission, search, fields) {
+  const term = String(search || '').trim().toLowerCase();
+  if (!term) return true;
+  const data = submission.data || {};
+  const names = new Set([...fields.map((field) => field.name), ...Object.keys(data)]);
+  return [...names].some((name) => {
+    const field = fields.find((entry) => entry.name === name) || { name, type: 'text' };
+    const raw = data[name];
+    return [answerText(field, raw), Array.isArray(raw) ? raw.join(' ') : String(raw ?? '')]
+      .some((text) => text.toLowerCase().includes(term));
+  });
+}
+
+/**
+ * Whether a record falls inside an optional date range, given as ISO strings.
+ * @param {{ createdAt: string }} record
+ * @param {{ from?: string, to?: string }} range
+ * @returns {boolean}
+ */
+export function inDateRange(record, { from, to } = {}) {
+  const at = new Date(record.createdAt).getTime();
+  if (from && at < new Date(from).getTime()) return false;
+  if (to && at > new Date(to).getTime()) return false;
+  return true;
+}
+
+/**
+ * CSV columns for a form's submissions: the submission time, then one column per question.
+ * @param {Array<Object>} fields - Answer fields of the form
+ * @returns {Array<{ key: string, label: string, value: function(Object): string }>}
+ */
+export function getSubmissionColumns(fields) {
+  return [
+    { key: 'createdAt', label: 'Submitted At', value: (submission) => submission.createdAt },
+    ...fields.map((field) => ({
+      key: field.name,
+      label: field.label || field.name,
+      value: (submission) => answerText(field, submission.data?.[field.name]),
+    })),
+  ];
+}
+
+/**
+ * Submissions as plain JSON records; files are listed by name, type and size.
+ * @param {Array<Object>} submissions
+ * @param {Array<Object>} fields - Answer fields of the form
+ * @returns {Array<{ id: string, submittedAt: string, answers: Object }>}
+ */
+export function toSubmissionRecords(submissions, fields) {
+  return submissions.map((submission) => ({
+    id: submission._id,
+    submittedAt: submission.createdAt,
+    answers: Object.fromEntries(fields.map((field) => {
+      const value = submission.data?.[field.name];
+      if (field.type !== 'file' || value === undefined) return [field.name, value ?? null];
+      return [field.name, getAnswerFiles(value).map(({ name, type, size }) => ({ name, type, size }))];
+    })),
+  }));
+}
+
+/**
+ * Views versus submissions, where respondents stop, and how select and radio questions were answered.
+ * A view records the questions answered so far (`answered`) and whether it ended in a submission (`submitted`).
+ * A view that was not submitted "drops off" at the last question it answered in form order, or before the first
+ * question when it answered nothing.
+ * @param {Array<Object>} fields - Answer fields of the form
+ * @param {Array<{ createdAt: string, answered?: Array<string>, submitted?: boolean }>} views
+ * @param {Array<{ createdAt: string, data?: Object }>} submissions
+ * @returns {{
+ *   views: number, submissions: number, started: number, conversion: number,
+ *   daily: Array<{ date: string, views: number, submissions: number }>,
+ *   dropOff: Array<{ name: string, label: string, answered: number, droppedHere: number, dropRate: number }>,
+ *   leftWithoutAnswering: number,
+ *   distributions: Array<{ name: string, label: string, type: string, total: number, options: Array<{ value: string, label: string, count: number, percent: number }> }>
+ * }}
+ */
+export function summarizeFormAnalytics(fields, views, submissions) {
+  const order = new Map(fields.map((field, index) => [field.name, index]));
+  const answeredCounts = new Map(fields.map((field) => [field.name, 0]));
+  const droppedCounts = new Map(fields.map((field) => [field.name, 0]));
+  let started = 0;
+  let leftWithoutAnswering = 0;
+
+  views.forEach((view) => {
+    const answered = (view.answered || []).filter((name) => order.has(name));
+    answered.forEach((name) => answeredCounts.set(name, answeredCounts.get(name) + 1));
+    if (answered.length) started += 1;
+    if (view.submitted) return;
+    if (!answered.length) {
+      leftWithoutAnswering += 1;
+      return;
+    }
+    const last = answered.reduce((furthest, name) => (order.get(name) > order.get(furthest) ? name : furthest));
+    droppedCounts.set(last, droppedCounts.get(last) + 1);
+  });
+
+  const days = new Map();
+  const countDay = (record, key) => {
+    const date = new Date(record.createdAt);
+    if (Number.isNaN(date.getTime())) return;
+    // Local calendar day, so the chart matches the viewer's dates
+    const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((part) => String(part).padStart(2, '0')).join('-');
+    if (!days.has(day)) days.set(day, { date: day, views: 0, submissions: 0 });
+    days.get(day)[key] += 1;
+  };
+  views.forEach((view) => countDay(view, 'views'));
+  submissions.forEach((submission) => countDay(submission, 'submissions'));
+
+  const distributions = fields
+    .filter((field) => DISTRIBUTION_TYPES.includes(field.type))
+    .map((field) => {
+      const counts = new Map((field.options || []).map((option) => [option.value, 0]));
+      let total = 0;
+      submissions.forEach((submission) => {
+        const value = submission.data?.[field.name];
+        if (!isAnswered(value)) return;
+        total += 1;
+        (Array.isArray(value) ? value : [String(value)])
+          .forEach((entry) => counts.set(entry, (counts.get(entry) || 0) + 1));
+      });
+      return {
+        name: field.name,
+        label: field.label || field.name,
+        type: field.type,
+        total,
+        options: [...counts.entries()].map(([value, count]) => ({
+          value,
+          label: field.options?.find((option) => option.value === value)?.label || value,
+          count,
+          percent: rate(count, total),
+        })),
+      };
+    });
+
+  return {
+    views: views.length,
+    submissions: submissions.length,
+    started,
+    conversion: rate(submissions.length, views.length),
+    daily: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    dropOff: fields.map((field) => ({
+      name: field.name,
+      label: field.label || field.name,
+      answered: answeredCounts.get(field.name),
+      droppedHere: droppedCounts.get(field.name),
+      dropRate: rate(droppedCounts.get(field.name), answeredCounts.get(field.name)),
+    })),
+    leftWithoutAnswering,
+    distributions,
+  };
+}
+
+/* ========================================================================
+ * End of File: formAnalytics.js
+ * ======================================================================== */
@@ -0,0 +1,391 @@
+// ===============================
+// File: formLogic.js
+// Description: Conditional logic and multi-step pages for dynamic forms: show/require rules, page breaks and step validation.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+
+/**
+ * Field type that splits a form into steps. Its label titles the step that follows it.
+ * @type {string}
+ */
+export const PAGE_BREAK = 'page';
+
+/**
+ * Operators offered for each kind of source field
+ * @type {Object<string, Array<{ value: string, label: string, needsValue: boolean }>>}
+ */
+export const LOGIC_OPERATORS = {
+  choice: [
+    { value: 'is', label: '=', needsValue: true },
+    { value: 'is_not', label: '≠', needsValue: true },
+    { value: 'is_set', label: 'is answered', needsValue: false },
+    { value: 'is_not_set', label: 'is not answered', needsValue: false },
+  ],
+  multi: [
+    { value: 'includes', label: 'includes', needsValue: true },
+    { value: 'not_includes', label: 'does not include', needsValue: true },
+    { value: 'is_set', label: 'is answered', needsValue: false },
+    { value: 'is_not_set', label: 'is not answered', needsValue: false },
+  ],
+  checkbox: [
+    { value: 'is_checked', label: 'is checked', needsValue: false },
+    { value: 'is_not_checked', label: 'is not checked', needsValue: false },
+  ],
+  number: [
+    { value: 'equals', label: '=', needsValue: true },
+    { value: 'not_equals', label: '≠', needsValue: true },
+    { value: 'greater_than', label: '>', needsValue: true },
+    { value: 'less_than', label: '<', needsValue: true },
+    { value: 'is_set', label: 'is answered', needsValue: false },
+    { value: 'is_not_set', label: 'is not answered', needsValue: false },
+  ],
+  date: [
+    { value: 'equals', label: 'is on', needsValue: true },
+    { value: 'after', label: 'is after', needsValue: true },
+    { value: 'before', label: 'is before', needsValue: true },
+    { value: 'is_set', label: 'is answered', needsValue: false },
+    { value: 'is_not_set', label: 'is not answered', needsValue: false },
+  ],
+  file: [
+    { value: 'is_set', label: 'is uploaded', needsValue: false },
+    { value: 'is_not_set', label: 'is not uploaded', needsValue: false },
+  ],
+  text: [
+    { value: 'equals', label: '=', needsValue: true },
+    { value: 'not_equals', label: '≠', needsValue: true },
+    { value: 'contains', label: 'contains', needsValue: true },
+    { value: 'is_set', label: 'is answered', needsValue: false },
+    { value: 'is_not_set', label: 'is not answered', needsValue: false },
+  ],
+};
+
+/**
+ * Whether a field is a page break rather than a question.
+ * @param {{ type: string }} field
+ * @returns {boolean}
+ */
+export function isPageBreak(field) {
+  return field?.type === PAGE_BREAK;
+}
+
+/**
+ * Which operator set applies to answers of a field.
+ * @param {{ type: string }} field
+ * @returns {string} A key of LOGIC_OPERATORS
+ */
+export function getLogicType(field) {
+  switch (field?.type) {
+    case 'select':
+    case 'radio':
+      return 'choice';
+    case 'multiselect':
+      return 'multi';
+    case 'checkbox':
+    case 'number':
+    case 'date':
+    case 'file':
+      return field.type;
+    default:
+      return 'text';
+  }
+}
+
+/**
+ * Operators a rule on the given source field can use.
+ * @param {{ type: string }} field
+ * @returns {Array<{ value: string, label: string, needsValue: boolean }>}
+ */
+export function getLogicOperators(field) {
+  return LOGIC_OPERATORS[getLogicType(field)];
+}
+
+/**
+ * A new rule on the given source field, with its first operator and option selected.
+ * @param {{ name: string, type: string, options?: Array<{ value: string }> }} field
+ * @returns {{ field: string, operator: string, value: string }}
+ */
+export function createCondition(field) {
+  return {
+    field: field?.name || '',
+    operator: field ? getLogicOperators(field)[0].value : '',
+    value: field?.options?.[0]?.value ?? '',
+  };
+}
+
+/**
+ * Whether a value counts as an answer. Unticked checkboxes and empty file inputs do not.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isAnswered(value) {
+  if (value === undefined || value === null || value === false) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value.length === 'number') return value.length > 0;
+  return true;
+}
+
+/**
+ * Whether a rule names an existing source field and has everything its operator needs.
+ * @param {{ field: string, operator: string, value?: string }} rule
+ * @param {Array<Object>} fields - All fields of the form
+ * @returns {boolean}
+ */
+export function isConditionComplete(rule, fields) {
+  const source = fields.find((field) => !isPageBreak(field) && field.name && field.name === rule.field);
+  const operator = source && getLogicOperators(source).find((entry) => entry.value === rule.operator);
+  if (!operator) return false;
+  return !operator.needsValue || String(rule.value ?? '').trim() !== '';
+}
+
+/**
+ * Tests one answer against one rule. Text comparisons ignore case and surrounding spaces.
+ * Number questions compare as numbers, so "5" equals "5.0".
+ * @param {{ operator: string, value?: string }} rule
+ * @param {*} answer
+ * @param {string} [logicType='text'] - Operator set of the source field, see getLogicType
+ * @returns {boolean}
+ */
+export function conditionMatches(rule, answer, logicType = 'text') {
+  const answered = isAnswered(answer);
+  const numeric = logicType === 'number';
+  const expected = String(rule.value ?? '').trim().toLowerCase();
+  const actual = Array.isArray(answer) ? '' : String(answer ?? '').trim().toLowerCase();
+  switch (rule.operator) {
+    case 'is_set':
+    case 'is_checked':
+      return answered;
+    case 'is_not_set':
+    case 'is_not_checked':
+      return !answered;
+    case 'is':
+    case 'equals':
+      if (numeric) return answered && Number(answer) === Number(rule.value);
+      return answered && actual === expected;
+    case 'is_not':
+    case 'not_equals':
+      if (numeric) return !answered || Number(answer) !== Number(rule.value);
+      return actual !== expected;
+    case 'contains':
+      return answered && actual.includes(expected);
+    case 'includes':
+      return Array.isArray(answer) && answer.map((entry) => String(entry).toLowerCase()).includes(expected);
+    case 'not_includes':
+      return !Array.isArray(answer) || !answer.map((entry) => String(entry).toLowerCase()).includes(expected);
+    case 'greater_than':
+      return answered && Number(answer) > Number(rule.value);
+    case 'less_than':
+      return answered && Number(answer) < Number(rule.value);
+    // Dates are YYYY-MM-DD strings, which sort the same way as the days they name
+    case 'after':
+      return answered && actual > expected;
+    case 'before':
+      return answered && actual < expected;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a condition group has at least one usable rule.
+ * @param {{ match?: 'all'|'any', rules?: Array<Object> }|undefined} group
+ * @param {Array<Object>} fields
+ * @returns {boolean}
+ */
+export function hasConditions(group, fields) {
+  return (group?.rules || []).some((rule) => isConditionComplete(rule, fields));
+}
+
+/**
+ * Tests answers against a condition group. Incomplete rules are ignored.
+ * @param {{ match?: 'all'|'any', rules?: Array<Object> }} group
+ * @param {Object<string, *>} answers - Answers by field name
+ * @param {Array<Object>} fields
+ * @returns {boolean}
+ */
+export function matchesConditions(group, answers, fields) {
+  const rules = (group?.rules || []).filter((rule) => isConditionComplete(rule, fields));
+  const test = (rule) => conditionMatches(
+    rule,
+    answers[rule.field],
+    getLogicType(fields.find((field) => field.name === rule.field))
+  );
+  return group.match === 'any' ? rules.some(test) : rules.every(test);
+}
+
+/**
+ * Works out which fields are shown and which are required for the current answers.
+ * Fields are evaluated in order; a hidden field counts as unanswered for the rules of the fields after it,
+ * so hiding a question also hides everything that depends on it.
+ * @param {Array<Object>} fields
+ * @param {Object<string, *>} values - Answers by field name
+ * @returns {Object<string, { visible: boolean, required: boolean }>} States by field name
+ */
+export function getFieldStates(fields, values) {
+  const answers = { ...values };
+  const states = {};
+  fields.forEach((field) => {
+    if (isPageBreak(field) || !field.name) return;
+    const visible = !hasConditions(field.showWhen, fields) || matchesConditions(field.showWhen, answers, fields);
+    const required = visible && (
+      Boolean(field.required) || (hasConditions(field.requireWhen, fields) && matchesConditions(field.requireWhen, answers, fields))
+    );
+    if (!visible) answers[field.name] = undefined;
+    states[field.name] = { visible, required };
+  });
+  return states;
+}
+
+/**
+ * Whether a question is shown. Fields without a name have no state and are always shown.
+ * @param {Object} field
+ * @param {Object<string, { visible: boolean }>} states
+ * @returns {boolean}
+ */
+export function isFieldVisible(field, states) {
+  return states[field.name]?.visible ?? true;
+}
+
+/**
+ * Splits a form at its page breaks. Steps without questions are dropped.
+ * @param {Array<Object>} fields
+ * @returns {Array<{ title: string, fields: Array<Object> }>}
+ */
+export function splitSteps(fields) {
+  const steps = [{ title: '', fields: [] }];
+  fields.forEach((field) => {
+    if (isPageBreak(field)) steps.push({ title: field.label || '', fields: [] });
+    else steps[steps.length - 1].fields.push(field);
+  });
+  return steps.filter((step) => step.fields.length > 0);
+}
+
+/**
+ * Required questions of the given fields that are shown but unanswered.
+ * @param {Array<Object>} fields - Usually the fields of one step
+ * @param {Object<string, *>} values
+ * @param {Object<string, { visible: boolean, required: boolean }>} states
+ * @returns {Object<string, string>} Messages by field name
+ */
+export function findMissingAnswers(fields, values, states) {
+  return fields.reduce((missing, field) => {
+    const state = states[field.name];
+    if (state?.visible && state.required && !isAnswered(values[field.name])) {
+      missing[field.name] = `Field '${field.label || field.name}' is required.`;
+    }
+    return missing;
+  }, {});
+}
+
+/**
+ * The answers to send: shown questions only, so answers left behind on a branch the respondent backed out of are dropped.
+ * @param {Array<Object>} fields
+ * @param {Object<string, *>} values
+ * @param {Object<string, { visible: boolean }>} states
+ * @returns {Object<string, *>}
+ */
+export function collectAnswers(fields, values, states) {
+  return fields.reduce((answers, field) => {
+    if (!isPageBreak(field) && field.name && states[field.name]?.visible && values[field.name] !== undefined) {
+      answers[field.name] = values[field.name];
+    }
+    return answers;
+  }, {});
+}
+
+/**
+ * Initial answers: each field's default, or an empty value of the right shape.
+ * @param {Array<Object>} fields
+ * @returns {Object<string, *>}
+ */
+export function getDefaultValues(fields) {
+  return fields.reduce((defaults, field) => {
+    if (isPageBreak(field) || !field.name) return defaults;
+    defaults[field.name] = field.defaultValue || (field.type === 'checkbox' ? false : field.type === 'multiselect' ? [] : '');
+    return defaults;
+  }, {});
+}
+
+/**
+ * Human-readable rule, e.g. `Type = Business`.
+ * @param {{ field: string, operator: string, value?: string }} rule
+ * @param {Array<Object>} fields
+ * @returns {string}
+ */
+export function describeCondition(rule, fields) {
+  const source = fields.find((field) => field.name === rule.field);
+  const operator = source && getLogicOperators(source).find((entry) => entry.value === rule.operator);
+  if (!operator) return 'Invalid rule';
+  const shown = source.options?.find((option) => option.value === rule.value)?.label || rule.value;
+  const subject = source.label || source.name;
+  return operator.needsValue ? `${subject} ${operator.label} ${shown}` : `${subject} ${operator.label}`;
+}
+
+/**
+ * Human-readable summary of a condition group, e.g. `Type = Business AND Employees > 10`.
+ * @param {{ match?: 'all'|'any', rules?: Array<Object> }} group
+ * @param {Array<Object>} fields
+ * @returns {string}
+ */
+export function describeConditions(group, fields) {
+  return (group?.rules || [])
+    .filter((rule) => isConditionComplete(rule, fields))
+    .map((rule) => describeCondition(rule, fields))
+    .join(group?.match === 'any' ? ' OR ' : ' AND ');
+}
+
+/**
+ * Points every rule that used a field's old name at its new one.
+ * @param {Array<Object>} fields
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {Array<Object>}
+ */
+export function renameConditionField(fields, oldName, newName) {
+  if (!oldName || oldName === newName) return fields;
+  const renameIn = (group) => group && {
+    ...group,
+    rules: (group.rules || []).map((rule) => (rule.field === oldName ? { ...rule, field: newName } : rule)),
+  };
+  return fields.map((field) => ({ ...field, showWhen: renameIn(field.showWhen), requireWhen: renameIn(field.requireWhen) }));
+}
+
+/**
+ * Problems that would break the logic of a form, checked before it is saved.
+ * Rules may only depend on questions that come earlier, so a respondent always answers the source first.
+ * @param {Array<Object>} fields
+ * @returns {Array<string>} Messages; empty when the form is consistent
+ */
+export function validateFormLogic(fields) {
+  const problems = [];
+  const seen = new Set();
+  fields.forEach((field, index) => {
+    if (isPageBreak(field)) return;
+    const label = field.label || `Field ${index + 1}`;
+    if (!field.name) {
+      problems.push(`'${label}' needs a field name.`);
+      return;
+    }
+    if (seen.has(field.name)) problems.push(`More than one field is named '${field.name}'.`);
+    seen.add(field.name);
+    const earlier = fields.slice(0, index);
+    [['showWhen', 'show'], ['requireWhen', 'require']].forEach(([key, kind]) => {
+      (field[key]?.rules || []).forEach((rule) => {
+        if (!earlier.some((other) => !isPageBreak(other) && other.name === rule.field)) {
+          problems.push(`A ${kind} rule of '${label}' refers to '${rule.field || 'nothing'}', which is not an earlier question.`);
+        } else if (!isConditionComplete(rule, fields)) {
+          problems.push(`A ${kind} rule of '${label}' is missing a value.`);
+        }
+      });
+    });
+  });
+  return problems;
+}
+
+// ===============================
+// End of File: formLogic.js
+// Description: Form conditional logic and steps
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
@@ -0,0 +1,243 @@
+// ===============================
+// File: formValidation.js
+// Description: Field-level validation rules for dynamic forms: lengths, ranges, patterns, formats, files and dates.
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
+import { findMissingAnswers, isAnswered, isPageBreak } from './formLogic';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ().-]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Formats a text answer can be required to have
+ * @type {Array<{ value: string, label: string, message: string }>}
+ */
+export const FIELD_FORMATS = [
+  { value: 'email', label: 'Email address', message: 'Enter a valid email address.' },
+  { value: 'url', label: 'Web address (URL)', message: 'Enter a valid web address starting with http:// or https://.' },
+  { value: 'phone', label: 'Phone number', message: 'Enter a valid phone number.' },
+];
+
+/**
+ * Which validation settings the builder offers for each field type
+ * @type {Object<string, Array<string>>}
+ */
+export const VALIDATION_SETTINGS = {
+  text: ['minLength', 'maxLength', 'format', 'pattern'],
+  textarea: ['minLength', 'maxLength', 'pattern'],
+  email: ['minLength', 'maxLength', 'pattern'],
+  number: ['min', 'max'],
+  date: ['minDate', 'maxDate'],
+  file: ['fileTypes', 'maxFileSize'],
+};
+
+/**
+ * The format a field's answers must have. Email fields are always email addresses.
+ * @param {Object} field
+ * @returns {string|undefined}
+ */
+export function getFieldFormat(field) {
+  return field.type === 'email' ? 'email' : field.validation?.format || undefined;
+}
+
+/**
+ * Whether a text answer has the given format.
+ * @param {string} format - A value of FIELD_FORMATS
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function matchesFormat(format, value) {
+  const text = String(value).trim();
+  switch (format) {
+    case 'email':
+      return EMAIL_PATTERN.test(text);
+    case 'url':
+      try {
+        return ['http:', 'https:'].includes(new URL(text).protocol);
+      } catch (error) {
+        return false;
+      }
+    case 'phone':
+      return PHONE_PATTERN.test(text) && text.replace(/\D/g, '').length >= 7 && text.replace(/\D/g, '').length <= 15;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Compiles a builder-entered pattern. Patterns must match the whole answer.
+ * @param {string} pattern
+ * @returns {RegExp|null} null when the pattern is not a valid regular expression
+ */
+export function compilePattern(pattern) {
+  try {
+    return new RegExp(`^(?:${pattern})$`);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Files of an answer: a FileList or array in the browser, a single File in a multipart body.
+ * @param {*} value
+ * @returns {Array<{ name: string, size: number, type: string }>}
+ */
+function toFiles(value) {
+  if (!value || typeof value === 'string') return [];
+  if (typeof value.length === 'number') return Array.from(value);
+  return [value];
+}
+
+/**
+ * Whether a file is one of the accepted types: extensions such as `.pdf`, MIME types such as `application/pdf`
+ * or wildcards such as `image/*`, separated by commas (the same list an `accept` attribute takes).
+ * @param {{ name: string, type: string }} file
+ * @param {string} accepted
+ * @returns {boolean}
+ */
+export function isAcceptedFile(file, accepted) {
+  const types = String(accepted || '').split(',').map((entry) => entry.trim().toLowerCase()).filter(Boolean);
+  if (!types.length) return true;
+  const name = String(file.name || '').toLowerCase();
+  const mime = String(file.type || '').toLowerCase();
+  return types.some((type) => {
+    if (type.startsWith('.')) return name.endsWith(type);
+    if (type.endsWith('/*')) return mime.startsWith(type.slice(0, -1));
+    return mime === type;
+  });
+}
+
+/**
+ * Checks one answer against its field's validation rules. Unanswered fields pass; `required` covers them.
+ * @param {Object} field
+ * @param {*} value
+ * @returns {string|null} The first problem, or null when the answer is valid
+ */
+export function validateAnswer(field, value) {
+  if (!isAnswered(value)) return null;
+  const rules = field.validation || {};
+  const has = (key) => rules[key] !== undefined && rules[key] !== null && rules[key] !== '';
+
+  switch (field.type) {
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return 'Enter a number.';
+      if (has('min') && number < Number(rules.min)) return `Must be at least ${rules.min}.`;
+      if (has('max') && number > Number(rules.max)) return `Must be at most ${rules.max}.`;
+      return null;
+    }
+    case 'date': {
+      const date = String(value);
+      if (!DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00`).getTime())) return 'Enter a valid date.';
+      if (has('minDate') && date < rules.minDate) return `Must be on or after ${rules.minDate}.`;
+      if (has('maxDate') && date > rules.maxDate) return `Must be on or before ${rules.maxDate}.`;
+      return null;
+    }
+    case 'file': {
+      const files = toFiles(value);
+      const wrongType = has('fileTypes') && files.find((file) => !isAcceptedFile(file, rules.fileTypes));
+      if (wrongType) return `${wrongType.name} is not an accepted file type (${rules.fileTypes}).`;
+      const tooLarge = has('maxFileSize') && files.find((file) => file.size > Number(rules.maxFileSize) * 1024 * 1024);
+      if (tooLarge) return `${tooLarge.name} is larger than ${rules.maxFileSize} MB.`;
+      return null;
+    }
+    case 'checkbox':
+    case 'radio':
+    case 'select':
+    case 'multiselect':
+      return null;
+    default: {
+      const text = String(value);
+      if (has('minLength') && text.length < Number(rules.minLength)) return `Must be at least ${rules.minLength} characters.`;
+      if (has('maxLength') && text.length > Number(rules.maxLength)) return `Must be at most ${rules.maxLength} characters.`;
+      const format = getFieldFormat(field);
+      if (format && !matchesFormat(format, text)) return FIELD_FORMATS.find((entry) => entry.value === format).message;
+      if (has('pattern')) {
+        const pattern = compilePattern(rules.pattern);
+        if (pattern && !pattern.test(text)) return rules.patternMessage || 'Does not match the expected format.';
+      }
+      return null;
+    }
+  }
+}
+
+/**
+ * Every problem with the shown answers of the given fields: missing required answers first, then rule failures.
+ * @param {Array<Object>} fields - Usually the fields of one step
+ * @param {Object<string, *>} values - Answers by field name
+ * @param {Object<string, { visible: boolean, required: boolean }>} states - From getFieldStates
+ * @returns {Object<string, string>} Messages by field name; empty when everything is valid
+ */
+export function validateAnswers(fields, values, states) {
+  const errors = findMissingAnswers(fields, values, states);
+  fields.forEach((field) => {
+    if (isPageBreak(field) || !field.name || errors[field.name] || !states[field.name]?.visible) return;
+    const problem = validateAnswer(field, values[field.name]);
+    if (problem) errors[field.name] = problem;
+  });
+  return errors;
+}
+
+/**
+ * Attributes that let the browser help with the rules, e.g. `accept` on file inputs. The form still validates
+ * everything itself, so these only narrow what can be picked or typed.
+ * @param {Object} field
+ * @returns {Object}
+ */
+export function getInputConstraints(field) {
+  const rules = field.validation || {};
+  switch (field.type) {
+    case 'number':
+      return { min: rules.min, max: rules.max };
+    case 'date':
+      return { min: rules.minDate || undefined, max: rules.maxDate || undefined };
+    case 'file':
+      return { accept: rules.fileTypes || undefined };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Problems with the validation settings of a form, checked before it is saved.
+ * @param {Array<Object>} fields
+ * @returns {Array<string>} Messages; empty when every setting is usable
+ */
+export function validateFieldRules(fields) {
+  const problems = [];
+  fields.forEach((field, index) => {
+    const rules = field.validation;
+    if (isPageBreak(field) || !rules) return;
+    const label = field.label || field.name || `Field ${index + 1}`;
+    const isSet = (key) => rules[key] !== undefined && rules[key] !== null && rules[key] !== '';
+    const numbers = ['minLength', 'maxLength', 'min', 'max', 'maxFileSize'];
+    numbers.forEach((key) => {
+      if (isSet(key) && !Number.isFinite(Number(rules[key]))) problems.push(`'${label}': ${key} must be a number.`);
+    });
+    if (['minLength', 'maxLength', 'maxFileSize'].some((key) => isSet(key) && Number(rules[key]) < 0)) {
+      problems.push(`'${label}': lengths and sizes cannot be negative.`);
+    }
+    if (isSet('minLength') && isSet('maxLength') && Number(rules.minLength) > Number(rules.maxLength)) {
+      problems.push(`'${label}': minimum length is greater than maximum length.`);
+    }
+    if (isSet('min') && isSet('max') && Number(rules.min) > Number(rules.max)) {
+      problems.push(`'${label}': minimum is greater than maximum.`);
+    }
+    if (isSet('minDate') && isSet('maxDate') && rules.minDate > rules.maxDate) {
+      problems.push(`'${label}': earliest date is after latest date.`);
+    }
+    if (isSet('pattern') && !compilePattern(rules.pattern)) {
+      problems.push(`'${label}': pattern is not a valid regular expression.`);
+    }
+  });
+  return problems;
+}
+
+// ===============================
+// End of File: formValidation.js
+// Description: Dynamic form field validation
+// Author: Tech4biz Solutions
+// Copyright: Tech4biz Solutions Private
+// ===============================
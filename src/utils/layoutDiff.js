@@ -0,0 +1,236 @@
+/* ========================================================================
+ * File: layoutDiff.js
+ * Description: Compares two snapshots of a layout's components (added, removed, reordered, per-field changes) and merges concurrent edits.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+/**
+ * Stable key for matching a component across versions (older snapshots may lack `_id`).
+ * @param {Object} component
+ * @returns {string}
+ */
+function componentKey(component) {
+  return component._id || `${component.type || ''}:${component.name || ''}`;
+}
+
+/**
+ * Reads the stored value of a component field (`data[field] = { value, type }`).
+ * @param {Object} component
+ * @param {string} fieldName
+ * @returns {any}
+ */
+function readFieldValue(component, fieldName) {
+  const entry = component.data?.[fieldName];
+  return entry && typeof entry === 'object' && 'value' in entry ? entry.value : entry;
+}
+
+/**
+ * Turns a field value into short display text; arrays and objects are summarised.
+ * @param {any} value
+ * @returns {string}
+ */
+export function formatFieldValue(value) {
+  if (value === undefined || value === null || value === '') return '';
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Lists the fields whose values differ between two versions of the same component.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{ field: string, before: any, after: any }>}
+ */
+function diffFields(before, after) {
+  const names = new Set([...Object.keys(before.data || {}), ...Object.keys(after.data || {})]);
+  return [...names]
+    .map((field) => ({ field, before: readFieldValue(before, field), after: readFieldValue(after, field) }))
+    .filter((change) => JSON.stringify(change.before ?? '') !== JSON.stringify(change.after ?? ''));
+}
+
+/**
+ * Keys that keep their relative order between two lists (longest common subsequence).
+ * Anything outside it is what the user actually moved.
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {Set<string>}
+ */
+function stableKeys(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const kept = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      kept.add(a[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return kept;
+}
+
+/**
+ * Compares two component lists.
+ * `status` is one of: added, removed, moved, changed, unchanged. A moved component may also have field changes.
+ * @param {Array<Object>} beforeComponents - Older snapshot
+ * @param {Array<Object>} afterComponents - Newer snapshot
+ * @returns {Array<{ key: string, name: string, type: string, status: string, fromIndex: number|null, toIndex: number|null, fields: Array<Object> }>}
+ */
+export function diffLayoutComponents(beforeComponents = [], afterComponents = []) {
+  const beforeByKey = new Map(beforeComponents.map((component, index) => [componentKey(component), { component, index }]));
+  const afterKeys = new Set(afterComponents.map(componentKey));
+
+  // Only components present in both lists count when deciding whether something was reordered
+  const inOrder = stableKeys(
+    beforeComponents.map(componentKey).filter((key) => afterKeys.has(key)),
+    afterComponents.map(componentKey).filter((key) => beforeByKey.has(key))
+  );
+
+  const entries = afterComponents.map((component, toIndex) => {
+    const key = componentKey(component);
+    const previous = beforeByKey.get(key);
+    if (!previous) {
+      return { key, name: component.name, type: component.type, status: 'added', fromIndex: null, toIndex, fields: [] };
+    }
+    const fields = diffFields(previous.component, component);
+    let status = 'unchanged';
+    if (!inOrder.has(key)) status = 'moved';
+    else if (fields.length) status = 'changed';
+    return { key, name: component.name, type: component.type, status, fromIndex: previous.index, toIndex, fields };
+  });
+
+  beforeComponents.forEach((component, fromIndex) => {
+    const key = componentKey(component);
+    if (!afterKeys.has(key)) {
+      entries.push({ key, name: component.name, type: component.type, status: 'removed', fromIndex, toIndex: null, fields: [] });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Counts entries by status, e.g. `{ added: 1, removed: 0, moved: 2, changed: 1 }`.
+ * Moved components with field edits count towards both.
+ * @param {Array<Object>} entries - Output of diffLayoutComponents
+ * @returns {{ added: number, removed: number, moved: number, changed: number }}
+ */
+export function summarizeLayoutDiff(entries) {
+  return entries.reduce((acc, entry) => {
+    if (entry.status === 'added' || entry.status === 'removed' || entry.status === 'moved') acc[entry.status] += 1;
+    if (entry.fields.length) acc.changed += 1;
+    return acc;
+  }, { added: 0, removed: 0, moved: 0, changed: 0 });
+}
+
+/**
+ * Whether two stored field entries (or components) hold the same data.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Three-way merge of a layout's components after a save conflict.
+ * Changes made on only one side are taken as they are. A field changed differently on both sides,
+ * or a component removed on one side and edited on the other, is a conflict: it resolves to `mine`
+ * unless `resolutions[conflict.id]` is `'theirs'`.
+ * Component order follows whichever side reordered (mine wins if both did).
+ * @param {Array<Object>} base - Components both editors started from
+ * @param {Array<Object>} mine - Components this editor is saving
+ * @param {Array<Object>} theirs - Components saved meanwhile by someone else
+ * @param {Object<string, 'mine'|'theirs'>} [resolutions={}]
+ * @returns {{ components: Array<Object>, conflicts: Array<{ id: string, key: string, name: string, field: string|null, mine: any, theirs: any, base: any }> }}
+ */
+export function mergeLayoutComponents(base = [], mine = [], theirs = [], resolutions = {}) {
+  const index = (components) => new Map(components.map((component) => [componentKey(component), component]));
+  const baseByKey = index(base);
+  const mineByKey = index(mine);
+  const theirsByKey = index(theirs);
+  const conflicts = [];
+  const pick = (id) => resolutions[id] || 'mine';
+
+  const shared = (list, other) => list.map(componentKey).filter((key) => baseByKey.has(key) && other.has(key));
+  const mineReordered = !sameValue(shared(base, mineByKey), shared(mine, baseByKey));
+  const ordered = mineReordered ? [...mine, ...theirs] : [...theirs, ...mine];
+  const keys = [...new Set(ordered.map(componentKey))];
+
+  const components = [];
+  keys.forEach((key) => {
+    const original = baseByKey.get(key);
+    const ours = mineByKey.get(key);
+    const other = theirsByKey.get(key);
+
+    // Removed on one side: honour it unless the other side edited the component meanwhile
+    if (original && (!ours || !other)) {
+      const kept = ours || other;
+      if (!kept || sameValue(kept.data, original.data)) return;
+      const id = `${key}:removed`;
+      conflicts.push({
+        id,
+        key,
+        name: kept.name || kept.type,
+        field: null,
+        mine: ours ? 'Edited' : 'Removed',
+        theirs: other ? 'Edited' : 'Removed',
+        base: 'Present',
+      });
+      const chosen = pick(id) === 'theirs' ? other : ours;
+      if (chosen) components.push(chosen);
+      return;
+    }
+    // Added by one side only
+    if (!ours || !other) {
+      components.push(ours || other);
+      return;
+    }
+
+    const before = original?.data || {};
+    const names = new Set([...Object.keys(before), ...Object.keys(ours.data || {}), ...Object.keys(other.data || {})]);
+    const data = {};
+    names.forEach((field) => {
+      const baseEntry = before[field];
+      const mineEntry = ours.data?.[field];
+      const theirEntry = other.data?.[field];
+      let entry = mineEntry;
+      if (sameValue(mineEntry, baseEntry) && !sameValue(theirEntry, baseEntry)) {
+        entry = theirEntry;
+      } else if (!sameValue(mineEntry, theirEntry) && !sameValue(theirEntry, baseEntry)) {
+        const id = `${key}:${field}`;
+        conflicts.push({
+          id,
+          key,
+          name: ours.name || ours.type,
+          field,
+          mine: readFieldValue(ours, field),
+          theirs: readFieldValue(other, field),
+          base: original ? readFieldValue(original, field) : undefined,
+        });
+        if (pick(id) === 'theirs') entry = theirEntry;
+      }
+      if (entry !== undefined) data[field] = entry;
+    });
+    components.push({ ...other, ...ours, data });
+  });
+
+  return { components: components.map((component, order) => ({ ...component, order })), conflicts };
+}
+
+/* ========================================================================
+ * End of File: layoutDiff.js
+ * ======================================================================== */
@@ -0,0 +1,216 @@
+/* ========================================================================
+ * File: leadScoring.js
+ * Description: Rule-based lead scoring: the facts a lead is scored on, rule matching, score breakdowns,
+ *              score bands and rule validation. Shared by the dashboard and the mock backend.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+/**
+ * Company size answers offered on the lead form.
+ * @type {Array<{ value: string, label: string }>}
+ */
+export const COMPANY_SIZES = [
+  { value: '1-10', label: '1-10 employees' },
+  { value: '11-50', label: '11-50 employees' },
+  { value: '51-200', label: '51-200 employees' },
+  { value: '201-1000', label: '201-1,000 employees' },
+  { value: '1000+', label: 'More than 1,000 employees' },
+];
+
+/**
+ * Budget answers offered on the lead form.
+ * @type {Array<{ value: string, label: string }>}
+ */
+export const BUDGET_RANGES = [
+  { value: 'under-5k', label: 'Under $5,000' },
+  { value: '5k-25k', label: '$5,000 - $25,000' },
+  { value: '25k-100k', label: '$25,000 - $100,000' },
+  { value: '100k+', label: 'Over $100,000' },
+];
+
+/**
+ * Where a lead came from.
+ * @type {Array<{ value: string, label: string }>}
+ */
+export const LEAD_SOURCES = [
+  { value: 'lead-form', label: 'Lead form' },
+  { value: 'inquiry', label: 'Converted inquiry' },
+  { value: 'manual', label: 'Added by the team' },
+];
+
+/**
+ * What a rule can look at. `field` facts are answers matched with "is" or "is answered";
+ * `number` facts are compared with "at least" or "at most".
+ * @type {Array<{ value: string, label: string, kind: 'field'|'number', options?: Array<Object>, unit?: string }>}
+ */
+export const SCORING_FACTS = [
+  { value: 'companySize', label: 'Company size', kind: 'field', options: COMPANY_SIZES },
+  { value: 'budget', label: 'Budget', kind: 'field', options: BUDGET_RANGES },
+  { value: 'source', label: 'Source form', kind: 'field', options: LEAD_SOURCES },
+  { value: 'dealValue', label: 'Deal value', kind: 'number', unit: 'USD' },
+  { value: 'ageInDays', label: 'Days since the lead arrived', kind: 'number', unit: 'days' },
+  { value: 'newsletterOpens', label: 'Newsletters opened', kind: 'number', unit: 'opens' },
+  { value: 'inquiries', label: 'Inquiries sent', kind: 'number', unit: 'inquiries' },
+];
+
+/**
+ * Comparisons a rule can make, by fact kind.
+ * @type {Object<string, Array<{ value: string, label: string }>>}
+ */
+export const SCORING_OPERATORS = {
+  field: [
+    { value: 'is', label: 'is' },
+    { value: 'answered', label: 'is answered' },
+  ],
+  number: [
+    { value: 'gte', label: 'is at least' },
+    { value: 'lte', label: 'is at most' },
+  ],
+};
+
+/** Score a lead needs to count as hot */
+export const DEFAULT_SCORE_THRESHOLD = 60;
+
+/**
+ * Rules a new dashboard starts with.
+ * @type {Array<Object>}
+ */
+export const DEFAULT_SCORING_RULES = [
+  { label: 'Mid-size company', fact: 'companySize', operator: 'is', value: '51-200', points: 15 },
+  { label: 'Large company', fact: 'companySize', operator: 'is', value: '201-1000', points: 20 },
+  { label: 'Enterprise', fact: 'companySize', operator: 'is', value: '1000+', points: 25 },
+  { label: 'Solid budget', fact: 'budget', operator: 'is', value: '25k-100k', points: 20 },
+  { label: 'Large budget', fact: 'budget', operator: 'is', value: '100k+', points: 30 },
+  { label: 'Small budget', fact: 'budget', operator: 'is', value: 'under-5k', points: -10 },
+  { label: 'Came through an inquiry', fact: 'source', operator: 'is', value: 'inquiry', points: 10 },
+  { label: 'Arrived this week', fact: 'ageInDays', operator: 'lte', value: 7, points: 10 },
+  { label: 'Reads our newsletters', fact: 'newsletterOpens', operator: 'gte', value: 2, points: 15 },
+  { label: 'Repeat inquiries', fact: 'inquiries', operator: 'gte', value: 2, points: 15 },
+].map((rule) => ({ ...rule, enabled: true }));
+
+/**
+ * Fact definition by key.
+ * @param {string} key
+ * @returns {Object|undefined}
+ */
+export const getScoringFact = (key) => SCORING_FACTS.find((fact) => fact.value === key);
+
+/**
+ * Counts a lead's engagement by email: distinct newsletters opened and inquiries sent.
+ * Opens dated after `now` have not happened yet and are left out.
+ * @param {string} email
+ * @param {{ newsletterEvents?: Array<Object>, inquiries?: Array<Object>, now?: Date }} records
+ * @returns {{ newsletterOpens: number, inquiries: number }}
+ */
+export function countEngagement(email, { newsletterEvents = [], inquiries = [], now = new Date() }) {
+  const address = (email || '').toLowerCase();
+  if (!address) return { newsletterOpens: 0, inquiries: 0 };
+  const opened = new Set(newsletterEvents
+    .filter((event) => event.type === 'open' && event.email?.toLowerCase() === address && new Date(event.at) <= now)
+    .map((event) => event.newsletter));
+  return {
+    newsletterOpens: opened.size,
+    inquiries: inquiries.filter((inquiry) => inquiry.email?.toLowerCase() === address).length,
+  };
+}
+
+/**
+ * Collects what the rules look at for one lead.
+ * @param {Object} lead
+ * @param {{ newsletterOpens?: number, inquiries?: number, now?: Date }} [engagement] - Counts looked up by the lead's email
+ * @returns {Object<string, *>}
+ */
+export function getLeadFacts(lead, { newsletterOpens = 0, inquiries = 0, now = new Date() } = {}) {
+  const created = new Date(lead.createdAt || now);
+  return {
+    companySize: lead.companySize || null,
+    budget: lead.budget || null,
+    source: lead.source || 'manual',
+    dealValue: Number(lead.dealValue) || 0,
+    ageInDays: Math.max(0, Math.floor((now - created) / (24 * 60 * 60 * 1000))),
+    newsletterOpens,
+    inquiries,
+  };
+}
+
+/**
+ * Whether a rule applies to a lead's facts.
+ * @param {Object} rule
+ * @param {Object} facts
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, facts) {
+  const actual = facts[rule.fact];
+  switch (rule.operator) {
+    case 'is': return actual === rule.value;
+    case 'answered': return actual !== null && actual !== undefined && actual !== '';
+    case 'gte': return Number(actual) >= Number(rule.value);
+    case 'lte': return Number(actual) <= Number(rule.value);
+    default: return false;
+  }
+}
+
+/**
+ * Human-readable condition, e.g. "Budget is Over $100,000".
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const fact = getScoringFact(rule.fact);
+  if (!fact) return rule.label || 'Unknown rule';
+  const operator = (SCORING_OPERATORS[fact.kind] || []).find((entry) => entry.value === rule.operator);
+  if (rule.operator === 'answered') return `${fact.label} ${operator?.label || rule.operator}`;
+  const value = fact.options?.find((option) => option.value === rule.value)?.label ?? rule.value;
+  return `${fact.label} ${operator?.label || rule.operator} ${value}${fact.unit && fact.kind === 'number' ? ` ${fact.unit}` : ''}`;
+}
+
+/**
+ * Scores a lead. The score is the sum of the points of every enabled matching rule, never below zero.
+ * @param {Object} facts - From getLeadFacts
+ * @param {Array<Object>} rules
+ * @returns {{ score: number, breakdown: Array<{ ruleId: string, label: string, condition: string, points: number }> }}
+ */
+export function scoreLead(facts, rules) {
+  const breakdown = (rules || [])
+    .filter((rule) => rule.enabled !== false && ruleMatches(rule, facts))
+    .map((rule) => ({ ruleId: rule._id, label: rule.label, condition: describeRule(rule), points: Number(rule.points) || 0 }));
+  const total = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  return { score: Math.max(0, total), breakdown };
+}
+
+/**
+ * Band a score falls into relative to the hot-lead threshold.
+ * @param {number|null|undefined} score
+ * @param {number} threshold
+ * @returns {{ key: string, label: string, color: string }}
+ */
+export function getScoreBand(score, threshold = DEFAULT_SCORE_THRESHOLD) {
+  if (score === null || score === undefined) return { key: 'unscored', label: 'Not scored', color: 'default' };
+  if (score >= threshold) return { key: 'hot', label: 'Hot', color: 'red' };
+  if (score >= threshold / 2) return { key: 'warm', label: 'Warm', color: 'orange' };
+  return { key: 'cold', label: 'Cold', color: 'blue' };
+}
+
+/**
+ * Checks edited scoring settings and returns an error message, or null when valid.
+ * @param {{ rules: Array<Object>, threshold: number }} settings
+ * @returns {string|null}
+ */
+export function validateScoring({ rules, threshold }) {
+  if (!Number.isFinite(Number(threshold)) || Number(threshold) <= 0) return 'The hot-lead threshold must be a positive number';
+  if (!Array.isArray(rules)) return 'Rules must be a list';
+  for (const rule of rules) {
+    if (!rule.label?.trim()) return 'Every rule needs a name';
+    const fact = getScoringFact(rule.fact);
+    if (!fact) return `"${rule.label}" looks at an unknown field`;
+    if (!(SCORING_OPERATORS[fact.kind] || []).some((operator) => operator.value === rule.operator)) return `"${rule.label}" has no comparison`;
+    if (rule.operator === 'is' && !fact.options.some((option) => option.value === rule.value)) return `"${rule.label}" needs an answer to match`;
+    if (fact.kind === 'number' && !Number.isFinite(Number(rule.value))) return `"${rule.label}" needs a number to compare with`;
+    if (!Number.isFinite(Number(rule.points)) || Number(rule.points) === 0) return `"${rule.label}" needs points other than zero`;
+  }
+  return null;
+}
+/* ========================================================================
+ * End of File: leadScoring.js
+ * ======================================================================== */
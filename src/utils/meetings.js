@@ -0,0 +1,157 @@
+/* ========================================================================
+ * File: meetings.js
+ * Description: Lead and inquiry meeting helpers: durations, start/end times, overlap detection per person
+ *              and iCalendar (.ics) output. Shared by the meetings calendar and the mock backend.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+/**
+ * Durations offered by the meeting modals, in minutes.
+ * @type {Object<string, number>}
+ */
+export const MEETING_DURATIONS = {
+  '30 minutes': 30,
+  '1 hour': 60,
+  '1.5 hours': 90,
+  '2 hours': 120,
+};
+
+/** Length assumed when a meeting's duration is missing or unknown */
+const DEFAULT_DURATION_MINUTES = 60;
+
+/**
+ * Minutes a meeting lasts.
+ * @param {Object} meeting - Meeting with a `duration` label such as "1 hour"
+ * @returns {number}
+ */
+export const durationMinutes = (meeting) => MEETING_DURATIONS[meeting.duration] || DEFAULT_DURATION_MINUTES;
+
+/**
+ * Start and end of a meeting. `date` and `time` are the wall-clock values picked in the meeting modal.
+ * @param {{ date: string, time: string, duration?: string }} meeting
+ * @returns {{ start: Date, end: Date }}
+ */
+export function meetingInterval(meeting) {
+  const start = new Date(`${meeting.date}T${meeting.time || '00:00'}:00`);
+  return { start, end: new Date(start.getTime() + durationMinutes(meeting) * 60 * 1000) };
+}
+
+/**
+ * Person a meeting belongs to: its owner, falling back to whoever scheduled it.
+ * @param {Object} meeting
+ * @returns {Object|null}
+ */
+export const meetingPerson = (meeting) => meeting.owner || meeting.scheduledBy || null;
+
+/**
+ * Meetings that overlap another meeting of the same person, keyed by meeting id.
+ * Meetings without a person never conflict.
+ * @param {Array<Object>} meetings
+ * @returns {Object<string, Array<Object>>} Conflicting meetings per meeting id; ids without conflicts are left out
+ */
+export function findConflicts(meetings) {
+  const conflicts = {};
+  const timed = meetings
+    .filter((meeting) => meetingPerson(meeting)?._id)
+    .map((meeting) => ({ meeting, ...meetingInterval(meeting) }))
+    .sort((a, b) => a.start - b.start);
+  timed.forEach((a, index) => {
+    for (const b of timed.slice(index + 1)) {
+      if (b.start >= a.end) break;
+      if (meetingPerson(a.meeting)._id !== meetingPerson(b.meeting)._id) continue;
+      (conflicts[a.meeting._id] = conflicts[a.meeting._id] || []).push(b.meeting);
+      (conflicts[b.meeting._id] = conflicts[b.meeting._id] || []).push(a.meeting);
+    }
+  });
+  return conflicts;
+}
+
+/**
+ * A UTC timestamp in iCalendar form, e.g. 20261019T143000Z.
+ * @param {Date} date
+ * @returns {string}
+ */
+const icalTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escapes text values (RFC 5545 §3.3.11).
+ * @param {string} text
+ * @returns {string}
+ */
+const icalText = (text = '') => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+/**
+ * Quotes a parameter value such as `CN` (RFC 5545 §3.2). Parameter values cannot contain double quotes or
+ * line breaks, so those are dropped; the quotes let commas, semicolons and colons through.
+ * @param {string} value
+ * @returns {string}
+ */
+const icalParam = (value = '') => `"${String(value).replace(/["\r\n]/g, '')}"`;
+
+/**
+ * Folds a content line to 75 characters, continuing with a leading space (RFC 5545 §3.1).
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [line.slice(0, 75)];
+  for (let index = 75; index < line.length; index += 74) parts.push(line.slice(index, index + 74));
+  return parts.join('\r\n ');
+};
+
+/**
+ * One VEVENT for a meeting.
+ * @param {Object} meeting - Meeting with `record` (the linked lead or inquiry) and optional `owner`
+ * @param {Date} now
+ * @returns {Array<string>} Content lines
+ */
+const meetingEvent = (meeting, now) => {
+  const { start, end } = meetingInterval(meeting);
+  const person = meetingPerson(meeting);
+  const details = [
+    meeting.description,
+    meeting.agenda && `Agenda:\n${meeting.agenda}`,
+    meeting.record && `${meeting.record.type === 'lead' ? 'Lead' : 'Inquiry'}: ${meeting.record.name}`,
+  ].filter(Boolean).join('\n\n');
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${meeting._id}@meetings`,
+    `DTSTAMP:${icalTime(now)}`,
+    `DTSTART:${icalTime(start)}`,
+    `DTEND:${icalTime(end)}`,
+    `SUMMARY:${icalText(meeting.title)}`,
+  ];
+  if (details) lines.push(`DESCRIPTION:${icalText(details)}`);
+  if (meeting.locationType === 'offline' && meeting.location) lines.push(`LOCATION:${icalText(meeting.location)}`);
+  if (meeting.locationType === 'virtual' && meeting.meetingLink) {
+    lines.push(`LOCATION:${icalText(meeting.meetingLink)}`, `URL:${meeting.meetingLink}`);
+  }
+  if (person?.email) lines.push(`ORGANIZER;CN=${icalParam(person.name)}:mailto:${person.email}`);
+  if (meeting.record?.email) lines.push(`ATTENDEE;CN=${icalParam(meeting.record.name)};ROLE=REQ-PARTICIPANT:mailto:${meeting.record.email}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Meetings as an iCalendar file, for downloads and subscribable feeds.
+ * @param {Array<Object>} meetings
+ * @param {{ name?: string, now?: Date }} [options] - Calendar name shown by calendar apps
+ * @returns {string}
+ */
+export function buildICalendar(meetings, { name = 'Meetings', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Tech4biz Solutions//CMS Meetings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icalText(name)}`,
+    ...meetings.flatMap((meeting) => meetingEvent(meeting, now)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+/* ========================================================================
+ * End of File: meetings.js
+ * ======================================================================== */
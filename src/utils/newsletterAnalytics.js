@@ -0,0 +1,114 @@
+/* ========================================================================
+ * File: newsletterAnalytics.js
+ * Description: Aggregates newsletter tracking events (delivered, bounced, open, click, unsubscribed)
+ *              into campaign metrics, link clicks and open-time distribution.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+/**
+ * Tracking event types with display labels
+ * @type {Array<{ value: string, label: string }>}
+ */
+export const EVENT_TYPES = [
+  { value: 'delivered', label: 'Delivered' },
+  { value: 'bounced', label: 'Bounced' },
+  { value: 'open', label: 'Opened' },
+  { value: 'click', label: 'Clicked' },
+  { value: 'unsubscribed', label: 'Unsubscribed' },
+];
+
+/**
+ * Buckets for the time between delivery and first open, in hours
+ * @type {Array<{ label: string, from: number, to: number }>}
+ */
+export const OPEN_TIME_BUCKETS = [
+  { label: '< 1h', from: 0, to: 1 },
+  { label: '1-2h', from: 1, to: 2 },
+  { label: '2-4h', from: 2, to: 4 },
+  { label: '4-8h', from: 4, to: 8 },
+  { label: '8-12h', from: 8, to: 12 },
+  { label: '12-24h', from: 12, to: 24 },
+  { label: '1-2d', from: 24, to: 48 },
+  { label: '2d+', from: 48, to: Infinity },
+];
+
+const HOUR = 3600 * 1000;
+
+/**
+ * Ratio rounded to one decimal percent; 0 when there is nothing to divide by.
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number} Percentage
+ */
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+/**
+ * Summarizes one campaign's events. Counts are unique recipients; link clicks also report total clicks.
+ * @param {Array<Object>} events - Events of one newsletter
+ * @returns {{
+ *   sent: number, delivered: number, bounced: number, opened: number, clicked: number, unsubscribed: number,
+ *   rates: { delivery: number, bounce: number, open: number, click: number, clickToOpen: number, unsubscribe: number },
+ *   links: Array<{ url: string, clicks: number, uniqueClicks: number }>,
+ *   openTimes: Array<{ label: string, opens: number }>
+ * }}
+ */
+export function summarizeEvents(events) {
+  const people = Object.fromEntries(EVENT_TYPES.map(({ value }) => [value, new Set()]));
+  const deliveredAt = new Map();
+  const firstOpen = new Map();
+  const links = new Map();
+
+  events.forEach((event) => {
+    people[event.type]?.add(event.email);
+    const at = new Date(event.at).getTime();
+    if (event.type === 'delivered' && !deliveredAt.has(event.email)) deliveredAt.set(event.email, at);
+    if (event.type === 'open' && (!firstOpen.has(event.email) || at < firstOpen.get(event.email))) firstOpen.set(event.email, at);
+    if (event.type === 'click' && event.url) {
+      const link = links.get(event.url) || { url: event.url, clicks: 0, people: new Set() };
+      link.clicks += 1;
+      link.people.add(event.email);
+      links.set(event.url, link);
+    }
+  });
+
+  const openTimes = OPEN_TIME_BUCKETS.map(({ label }) => ({ label, opens: 0 }));
+  firstOpen.forEach((openedAt, email) => {
+    if (!deliveredAt.has(email)) return;
+    const hours = (openedAt - deliveredAt.get(email)) / HOUR;
+    const index = OPEN_TIME_BUCKETS.findIndex((bucket) => hours >= bucket.from && hours < bucket.to);
+    if (index !== -1) openTimes[index].opens += 1;
+  });
+
+  const delivered = people.delivered.size;
+  const bounced = people.bounced.size;
+  const sent = delivered + bounced;
+  const opened = people.open.size;
+  const clicked = people.click.size;
+  const unsubscribed = people.unsubscribed.size;
+
+  return {
+    sent,
+    delivered,
+    bounced,
+    opened,
+    clicked,
+    unsubscribed,
+    rates: {
+      delivery: rate(delivered, sent),
+      bounce: rate(bounced, sent),
+      open: rate(opened, delivered),
+      click: rate(clicked, delivered),
+      clickToOpen: rate(clicked, opened),
+      unsubscribe: rate(unsubscribed, delivered),
+    },
+    links: [...links.values()]
+      .map(({ url, clicks, people: clickers }) => ({ url, clicks, uniqueClicks: clickers.size }))
+      .sort((a, b) => b.clicks - a.clicks),
+    openTimes,
+  };
+}
+
+/* ========================================================================
+ * End of File: newsletterAnalytics.js
+ * ======================================================================== */
@@ -0,0 +1,183 @@
+/* ========================================================================
+ * File: newsletterTemplates.js
+ * Description: Newsletter content blocks (header, text, article teaser, CTA, footer), their HTML and merge tags.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+import { v4 as uuidv4 } from 'uuid';
+import { buildPreferencesUrl } from './subscriberPreferences';
+
+/**
+ * Block types offered in the newsletter builder, with the props a new block starts with
+ * @type {Array<{ type: string, label: string, description: string, defaults: Object }>}
+ */
+export const NEWSLETTER_BLOCKS = [
+  {
+    type: 'header',
+    label: 'Header',
+    description: 'Title and subtitle on a coloured band',
+    defaults: { title: 'Newsletter title', subtitle: '', background: '#2563eb', color: '#ffffff' },
+  },
+  {
+    type: 'text',
+    label: 'Text',
+    description: 'Free-form paragraph',
+    defaults: { html: '<p>Hi {{subscriber.firstName | "there"}},</p><p>Write your message here.</p>' },
+  },
+  {
+    type: 'teaser',
+    label: 'Article teaser',
+    description: 'Title, excerpt and link from a published blog post',
+    defaults: { blogId: '', title: '', excerpt: '', imageUrl: '', url: '', buttonLabel: 'Read more' },
+  },
+  {
+    type: 'cta',
+    label: 'CTA button',
+    description: 'A single call-to-action button',
+    defaults: { label: 'Learn more', url: 'https://', align: 'center', background: '#2563eb', color: '#ffffff' },
+  },
+  {
+    type: 'footer',
+    label: 'Footer',
+    description: 'Sign-off, address and the preference and unsubscribe links',
+    defaults: { text: 'You are receiving this email because you subscribed to our newsletter.', address: '' },
+  },
+];
+
+/**
+ * Merge tags available in newsletter content. Any subscriber attribute also works as `subscriber.<name>`.
+ * @type {Array<{ tag: string, label: string, fallback?: string }>}
+ */
+export const MERGE_TAGS = [
+  { tag: 'subscriber.firstName', label: 'First name', fallback: 'there' },
+  { tag: 'subscriber.lastName', label: 'Last name', fallback: '' },
+  { tag: 'subscriber.email', label: 'Email address' },
+  { tag: 'preferencesUrl', label: 'Preference center link' },
+  { tag: 'unsubscribeUrl', label: 'Unsubscribe link' },
+];
+
+// {{name}} or {{name | "fallback"}}; quotes may arrive HTML-escaped from the editors
+const MERGE_TAG_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|\s*(?:"|&quot;)(.*?)(?:"|&quot;)\s*)?\}\}/g;
+
+/**
+ * Escapes text for use inside HTML.
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeHtml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Merge tag text for the editor, e.g. `{{subscriber.firstName | "there"}}`.
+ * @param {string} tag
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export function formatMergeTag(tag, fallback) {
+  return fallback ? `{{${tag} | "${fallback}"}}` : `{{${tag}}}`;
+}
+
+/**
+ * Link a recipient uses to leave the list: their preference center, opened on the one-click unsubscribe.
+ * @param {{ preferenceToken?: string }} subscriber
+ * @returns {string}
+ */
+export function buildUnsubscribeUrl(subscriber) {
+  return `${buildPreferencesUrl(subscriber)}?unsubscribe=1`;
+}
+
+/**
+ * Value of one merge tag for a recipient, or undefined when it has none.
+ * @param {string} tag
+ * @param {Object} subscriber
+ * @returns {string|undefined}
+ */
+function resolveMergeTag(tag, subscriber) {
+  if (tag === 'unsubscribeUrl') return buildUnsubscribeUrl(subscriber);
+  if (tag === 'preferencesUrl') return buildPreferencesUrl(subscriber);
+  if (!tag.startsWith('subscriber.')) return undefined;
+  const name = tag.slice('subscriber.'.length);
+  const value = name === 'email' ? subscriber?.email : subscriber?.attributes?.[name];
+  return value === undefined || value === null || String(value) === '' ? undefined : String(value);
+}
+
+/**
+ * Replaces merge tags in newsletter HTML with a recipient's values. Missing values use the tag's
+ * fallback, or become empty. Values are HTML-escaped.
+ * @param {string} html
+ * @param {Object} subscriber
+ * @returns {string}
+ */
+export function renderMergeTags(html = '', subscriber = {}) {
+  return html.replace(MERGE_TAG_PATTERN, (_, tag, fallback = '') => {
+    const value = resolveMergeTag(tag, subscriber);
+    return value === undefined ? fallback : escapeHtml(value);
+  });
+}
+
+/**
+ * Creates a block of the given type with its default props.
+ * @param {string} type
+ * @param {Object} [props]
+ * @returns {{ id: string, type: string, props: Object }}
+ */
+export function createBlock(type, props = {}) {
+  const definition = NEWSLETTER_BLOCKS.find((block) => block.type === type);
+  return { id: uuidv4(), type, props: { ...definition.defaults, ...props } };
+}
+
+/**
+ * Renders one block to HTML. Text props are escaped; merge tags in them are kept for per-recipient rendering.
+ * @param {{ type: string, props: Object }} block
+ * @returns {string}
+ */
+export function renderBlock({ type, props }) {
+  switch (type) {
+    case 'header':
+      return `<div style="background:${escapeHtml(props.background)};color:${escapeHtml(props.color)};padding:32px 24px;text-align:center;">`
+        + `<h1 style="margin:0;font-size:28px;">${escapeHtml(props.title)}</h1>`
+        + (props.subtitle ? `<p style="margin:8px 0 0;font-size:16px;">${escapeHtml(props.subtitle)}</p>` : '')
+        + '</div>';
+    case 'text':
+      return `<div style="padding:16px 24px;">${props.html || ''}</div>`;
+    case 'teaser':
+      return '<div style="padding:16px 24px;">'
+        + (props.imageUrl ? `<img src="${escapeHtml(props.imageUrl)}" alt="${escapeHtml(props.title)}" style="width:100%;border-radius:6px;" />` : '')
+        + `<h2 style="margin:12px 0 8px;font-size:20px;">${escapeHtml(props.title || 'Article title')}</h2>`
+        + (props.excerpt ? `<p style="margin:0 0 12px;color:#4b5563;">${escapeHtml(props.excerpt)}</p>` : '')
+        + `<a href="${escapeHtml(props.url || '#')}" style="color:#2563eb;font-weight:600;">${escapeHtml(props.buttonLabel || 'Read more')} &rarr;</a>`
+        + '</div>';
+    case 'cta':
+      return `<div style="padding:16px 24px;text-align:${escapeHtml(props.align)};">`
+        + `<a href="${escapeHtml(props.url)}" style="display:inline-block;background:${escapeHtml(props.background)};color:${escapeHtml(props.color)};`
+        + `padding:12px 24px;border-radius:6px;text-decoration:none;font-weight:600;">${escapeHtml(props.label)}</a>`
+        + '</div>';
+    case 'footer':
+      return '<div style="padding:24px;text-align:center;font-size:12px;color:#6b7280;border-top:1px solid #e5e7eb;">'
+        + (props.text ? `<p style="margin:0 0 8px;">${escapeHtml(props.text)}</p>` : '')
+        + (props.address ? `<p style="margin:0 0 8px;">${escapeHtml(props.address)}</p>` : '')
+        + `<p style="margin:0;"><a href="${formatMergeTag('preferencesUrl')}" style="color:#6b7280;">Manage preferences</a>`
+        + ` &middot; <a href="${formatMergeTag('unsubscribeUrl')}" style="color:#6b7280;">Unsubscribe</a></p>`
+        + '</div>';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Renders a block list to the newsletter's HTML content.
+ * @param {Array<Object>} blocks
+ * @returns {string}
+ */
+export function renderBlocks(blocks = []) {
+  return `<div style="max-width:600px;margin:0 auto;font-family:Arial,Helvetica,sans-serif;">${blocks.map(renderBlock).join('')}</div>`;
+}
+
+/* ========================================================================
+ * End of File: newsletterTemplates.js
+ * ======================================================================== */
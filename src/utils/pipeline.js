@@ -0,0 +1,240 @@
+/* ========================================================================
+ * File: pipeline.js
+ * Description: Sales pipeline shared by leads and inquiries: stage definitions, stage lookup, the allowed
+ *              transitions between stages, deal value formatting and per-stage totals for the Kanban board.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+/**
+ * What reaching a stage means for the deal. Won and lost stages close it.
+ * @type {Array<{ value: string, label: string }>}
+ */
+export const STAGE_KINDS = [
+  { value: 'open', label: 'Open' },
+  { value: 'won', label: 'Won' },
+  { value: 'lost', label: 'Lost' },
+];
+
+/**
+ * Stages a new pipeline starts with. `key` is what leads store in `status`.
+ * @type {Array<{ key: string, label: string, color: string, kind: string }>}
+ */
+export const DEFAULT_PIPELINE_STAGES = [
+  { key: 'new', label: 'New', color: '#1890ff', kind: 'open' },
+  { key: 'contacted', label: 'Contacted', color: '#52c41a', kind: 'open' },
+  { key: 'qualified', label: 'Qualified', color: '#722ed1', kind: 'open' },
+  { key: 'proposal', label: 'Proposal', color: '#13c2c2', kind: 'open' },
+  { key: 'won', label: 'Won', color: '#389e0d', kind: 'won' },
+  { key: 'lost', label: 'Lost', color: '#f5222d', kind: 'lost' },
+  { key: 'rejected', label: 'Rejected', color: '#fa541c', kind: 'lost' },
+];
+
+/**
+ * Status an inquiry gets once it becomes a lead. It is set by the conversion, never by a transition.
+ * @type {{ key: string, label: string, color: string, kind: string }}
+ */
+export const CONVERTED_STATUS = { key: 'converted', label: 'Converted to lead', color: '#389e0d', kind: 'won' };
+
+/** Currency deal values are entered in */
+export const DEFAULT_CURRENCY = 'USD';
+
+/** Stages whose incoming transitions ask for a follow-up date by default */
+const FOLLOW_UP_STAGES = ['contacted', 'proposal'];
+
+/**
+ * Stages in board order.
+ * @param {Array<Object>} stages
+ * @returns {Array<Object>}
+ */
+export function sortStages(stages) {
+  return [...(stages || [])].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * Stage for a status key. Unknown keys (e.g. from a deleted stage) get a neutral open stage so they still render.
+ * @param {Array<Object>} stages
+ * @param {string} key
+ * @returns {{ key: string, label: string, color: string, kind: string }}
+ */
+export function getStage(stages, key) {
+  if (key === CONVERTED_STATUS.key) return CONVERTED_STATUS;
+  return (stages || []).find((stage) => stage.key === key) || {
+    key,
+    label: key ? key.charAt(0).toUpperCase() + key.slice(1) : 'Unknown',
+    color: '#8c8c8c',
+    kind: 'open',
+  };
+}
+
+/**
+ * Status key for a new stage label, e.g. "Demo booked" → "demo-booked".
+ * @param {string} label
+ * @returns {string}
+ */
+export function toStageKey(label) {
+  return String(label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Checks an edited stage list and returns an error message, or null when valid.
+ * @param {Array<{ key?: string, label: string, kind: string }>} stages
+ * @returns {string|null}
+ */
+export function validateStages(stages) {
+  if (!stages?.length) return 'The pipeline needs at least one stage';
+  if (stages.some((stage) => !stage.label?.trim())) return 'Every stage needs a name';
+  const keys = stages.map((stage) => stage.key || toStageKey(stage.label));
+  if (keys.some((key) => !key)) return 'Stage names need at least one letter or digit';
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) return `Two stages share the name "${duplicate}"`;
+  if (stages.some((stage) => !STAGE_KINDS.some((kind) => kind.value === stage.kind))) return 'Every stage needs a type';
+  if (!stages.some((stage) => stage.kind === 'open')) return 'The pipeline needs at least one open stage';
+  return null;
+}
+
+/**
+ * Transition a pipeline starts with between two stages: allowed, with feedback required.
+ * @param {string} from
+ * @param {string} to
+ * @returns {{ from: string, to: string, requireFeedback: boolean, requireFollowUp: boolean }}
+ */
+export function defaultTransition(from, to) {
+  return { from, to, requireFeedback: true, requireFollowUp: FOLLOW_UP_STAGES.includes(to) };
+}
+
+/**
+ * Default transitions for a stage list: every stage can move to every other stage.
+ * @param {Array<{ key: string }>} stages
+ * @returns {Array<Object>}
+ */
+export function buildDefaultTransitions(stages) {
+  return (stages || []).flatMap((from) => (stages || [])
+    .filter((to) => to.key !== from.key)
+    .map((to) => defaultTransition(from.key, to.key)));
+}
+
+/**
+ * Transitions after a stage list change: those touching removed stages are dropped and
+ * stages that did not exist before get the default transitions to and from every other stage.
+ * @param {Array<Object>} transitions - Current transitions
+ * @param {Array<string>} previousKeys - Stage keys before the change
+ * @param {Array<{ key: string }>} stages - Stages after the change
+ * @returns {Array<Object>}
+ */
+export function reconcileTransitions(transitions, previousKeys, stages) {
+  const keys = stages.map((stage) => stage.key);
+  const kept = (transitions || []).filter((transition) => keys.includes(transition.from) && keys.includes(transition.to));
+  const added = buildDefaultTransitions(stages)
+    .filter((transition) => !previousKeys.includes(transition.from) || !previousKeys.includes(transition.to));
+  return [...kept, ...added];
+}
+
+/**
+ * The transition that moves a record from one status to another, or null when the move is not allowed.
+ * Records in a status that is no longer a stage (a deleted stage or a legacy status) may move anywhere.
+ * @param {Array<Object>} transitions
+ * @param {Array<Object>} stages
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object|null}
+ */
+export function getTransition(transitions, stages, from, to) {
+  if (from === to || to === CONVERTED_STATUS.key || from === CONVERTED_STATUS.key) return null;
+  if (!(stages || []).some((stage) => stage.key === to)) return null;
+  if (!(stages || []).some((stage) => stage.key === from)) return defaultTransition(from, to);
+  return (transitions || []).find((transition) => transition.from === from && transition.to === to) || null;
+}
+
+/**
+ * Checks the feedback and follow-up date given for a transition and returns an error message, or null when valid.
+ * @param {Object} transition
+ * @param {{ feedback?: string, followUpAt?: string|null }} input
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+export function validateTransitionInput(transition, { feedback, followUpAt }, now = new Date()) {
+  if (transition.requireFeedback && !feedback?.trim()) return 'Please provide feedback for the status change';
+  if (transition.requireFollowUp && !followUpAt) return 'Please choose a follow-up date';
+  if (followUpAt) {
+    const date = new Date(followUpAt);
+    if (Number.isNaN(date.getTime())) return 'The follow-up date is not valid';
+    if (date < now) return 'The follow-up date must be in the future';
+  }
+  return null;
+}
+
+/**
+ * Checks an edited transition list and returns an error message, or null when valid.
+ * @param {Array<Object>} transitions
+ * @param {Array<Object>} stages
+ * @returns {string|null}
+ */
+export function validateTransitions(transitions, stages) {
+  if (!Array.isArray(transitions)) return 'Transitions must be a list';
+  const keys = (stages || []).map((stage) => stage.key);
+  const seen = new Set();
+  for (const transition of transitions) {
+    if (!keys.includes(transition.from) || !keys.includes(transition.to)) return 'Transitions can only connect existing stages';
+    if (transition.from === transition.to) return 'A stage cannot transition to itself';
+    const id = `${transition.from}>${transition.to}`;
+    if (seen.has(id)) return `The transition from "${getStage(stages, transition.from).label}" to "${getStage(stages, transition.to).label}" is listed twice`;
+    seen.add(id);
+  }
+  const entry = keys[0];
+  if (entry && keys.length > 1 && !transitions.some((transition) => transition.from === entry)) {
+    return `New records start in "${getStage(stages, entry).label}", so it needs at least one way out`;
+  }
+  return null;
+}
+
+/**
+ * Formats a deal value, e.g. "$12,500". Empty values give an empty string.
+ * @param {number|null|undefined} value
+ * @param {string} [currency]
+ * @returns {string}
+ */
+export function formatDealValue(value, currency = DEFAULT_CURRENCY) {
+  if (value === null || value === undefined || value === '' || Number.isNaN(Number(value))) return '';
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(Number(value));
+}
+
+/**
+ * Whole days a lead has spent in its current stage.
+ * @param {{ stageEnteredAt?: string, createdAt?: string }} lead
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function daysInStage(lead, now = new Date()) {
+  const since = lead.stageEnteredAt || lead.createdAt;
+  return since ? Math.max(0, Math.floor((now - new Date(since)) / (24 * 60 * 60 * 1000))) : 0;
+}
+
+/**
+ * Lead count and deal value per stage, plus totals for open and won deals.
+ * @param {Array<Object>} leads
+ * @param {Array<Object>} stages
+ * @returns {{ byStage: Object<string, { count: number, value: number }>, openValue: number, wonValue: number, openCount: number }}
+ */
+export function summarizePipeline(leads, stages) {
+  const byStage = Object.fromEntries((stages || []).map((stage) => [stage.key, { count: 0, value: 0 }]));
+  let openValue = 0;
+  let wonValue = 0;
+  let openCount = 0;
+  (leads || []).forEach((lead) => {
+    const value = Number(lead.dealValue) || 0;
+    const entry = byStage[lead.status] || (byStage[lead.status] = { count: 0, value: 0 });
+    entry.count += 1;
+    entry.value += value;
+    const { kind } = getStage(stages, lead.status);
+    if (kind === 'open') {
+      openValue += value;
+      openCount += 1;
+    }
+    if (kind === 'won') wonValue += value;
+  });
+  return { byStage, openValue, wonValue, openCount };
+}
+/* ========================================================================
+ * End of File: pipeline.js
+ * ======================================================================== */
@@ -0,0 +1,126 @@
+/* ========================================================================
+ * File: publishSchedule.js
+ * Description: Helpers for scheduled publish/unpublish times on blogs and pages (timezones, effective status).
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Used when the runtime cannot list its supported zones
+const FALLBACK_TIMEZONES = [
+  'UTC',
+  'Europe/London',
+  'Europe/Berlin',
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+];
+
+/**
+ * The browser's timezone, e.g. "Asia/Kolkata"
+ * @type {string}
+ */
+export const DEFAULT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Select options for every IANA timezone the browser knows, labelled with the current UTC offset.
+ * @returns {Array<{ value: string, label: string }>}
+ */
+export function getTimezoneOptions() {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : FALLBACK_TIMEZONES;
+  const list = zones.includes(DEFAULT_TIMEZONE) ? zones : [DEFAULT_TIMEZONE, ...zones];
+  return list.map((zone) => ({
+    value: zone,
+    label: `(UTC${dayjs().tz(zone).format('Z')}) ${zone.replace(/_/g, ' ')}`,
+  }));
+}
+
+/**
+ * Converts a stored ISO timestamp into a picker value showing wall-clock time in the given zone.
+ * The picker works in local time, so the zone's wall-clock time is re-read as local.
+ * @param {string|null} iso
+ * @param {string} zone
+ * @returns {dayjs.Dayjs|null}
+ */
+export function toZonedPickerValue(iso, zone = DEFAULT_TIMEZONE) {
+  if (!iso) return null;
+  return dayjs(dayjs(iso).tz(zone).format('YYYY-MM-DDTHH:mm:ss'));
+}
+
+/**
+ * Converts a picker value (wall-clock time in `zone`) into a UTC ISO timestamp.
+ * @param {dayjs.Dayjs|null} value
+ * @param {string} zone
+ * @returns {string|null}
+ */
+export function fromZonedPickerValue(value, zone = DEFAULT_TIMEZONE) {
+  if (!value) return null;
+  return dayjs.tz(value.format('YYYY-MM-DDTHH:mm:ss'), zone).toISOString();
+}
+
+/**
+ * Formats a timestamp in a timezone, e.g. "Mar 4, 2026 9:00 AM GMT+5:30".
+ * @param {string} iso
+ * @param {string} [zone]
+ * @returns {string}
+ */
+export function formatScheduleTime(iso, zone = DEFAULT_TIMEZONE) {
+  if (!iso) return '';
+  const zoned = dayjs(iso).tz(zone);
+  return `${zoned.format('MMM D, YYYY h:mm A')} ${zone === DEFAULT_TIMEZONE ? '' : zone.replace(/_/g, ' ')}`.trim();
+}
+
+/**
+ * Whether a timestamp is set and still in the future.
+ * @param {string|null} iso
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isFuture(iso, now = new Date()) {
+  return Boolean(iso) && new Date(iso) > now;
+}
+
+/**
+ * Status a blog or page should show right now. A scheduled item counts as published once
+ * `publishAt` passes and a published item counts as archived once `unpublishAt` passes,
+ * even if the server job has not caught up yet.
+ * @param {{ status?: string, publishAt?: string, unpublishAt?: string }} doc
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function getEffectiveStatus(doc, now = new Date()) {
+  const { status, publishAt, unpublishAt } = doc || {};
+  let effective = status;
+  if (effective === 'scheduled' && publishAt && !isFuture(publishAt, now)) effective = 'published';
+  if (effective === 'published' && unpublishAt && !isFuture(unpublishAt, now)) effective = 'archived';
+  return effective;
+}
+
+/**
+ * Checks a publish/unpublish pair and returns an error message, or null when valid.
+ * @param {{ publishAt?: string|null, unpublishAt?: string|null }} schedule
+ * @param {{ requirePublishAt?: boolean }} [options]
+ * @returns {string|null}
+ */
+export function validateSchedule({ publishAt, unpublishAt }, { requirePublishAt = false } = {}) {
+  if (requirePublishAt && !publishAt) return 'Please choose a publish date';
+  if (publishAt && !isFuture(publishAt)) return 'The publish time must be in the future';
+  if (unpublishAt && !isFuture(unpublishAt)) return 'The unpublish time must be in the future';
+  if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+    return 'The unpublish time must be after the publish time';
+  }
+  return null;
+}
+/* ========================================================================
+ * End of File: publishSchedule.js
+ * ======================================================================== */
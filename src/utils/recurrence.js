@@ -0,0 +1,565 @@
+/* ========================================================================
+ * File: recurrence.js
+ * Description: Newsletter schedule recurrence: RFC 5545 RRULE building and parsing, readable summaries,
+ *              exception dates, occurrence expansion in an IANA timezone and per-recipient local send times.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+import { DEFAULT_TIMEZONE } from './publishSchedule';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Schedule frequencies. Recurring ones carry the RRULE `FREQ` they map to.
+ * @type {Array<{ value: string, label: string, freq?: string, unit?: string }>}
+ */
+export const SCHEDULE_FREQUENCIES = [
+  { value: 'once', label: 'One Time' },
+  { value: 'daily', label: 'Daily', freq: 'DAILY', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', freq: 'WEEKLY', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', freq: 'MONTHLY', unit: 'month' },
+  { value: 'yearly', label: 'Yearly', freq: 'YEARLY', unit: 'year' },
+  { value: 'custom', label: 'Custom Dates' },
+];
+
+/**
+ * Weekdays in `Date#getDay` order with their RRULE codes.
+ * @type {Array<{ value: number, code: string, label: string }>}
+ */
+export const WEEKDAYS = [
+  { value: 0, code: 'SU', label: 'Sunday' },
+  { value: 1, code: 'MO', label: 'Monday' },
+  { value: 2, code: 'TU', label: 'Tuesday' },
+  { value: 3, code: 'WE', label: 'Wednesday' },
+  { value: 4, code: 'TH', label: 'Thursday' },
+  { value: 5, code: 'FR', label: 'Friday' },
+  { value: 6, code: 'SA', label: 'Saturday' },
+];
+
+/**
+ * Week-of-month choices for "the second Tuesday" style monthly schedules (`BYDAY=2TU`, `BYDAY=-1FR`).
+ * @type {Array<{ value: number, label: string }>}
+ */
+export const MONTH_WEEKS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' },
+];
+
+/**
+ * How an occurrence's time is read.
+ * @type {Array<{ value: string, label: string, description: string }>}
+ */
+export const DELIVERY_MODES = [
+  {
+    value: 'schedule',
+    label: 'Same moment for everyone',
+    description: 'Everyone receives it at this time in the schedule timezone.',
+  },
+  {
+    value: 'local',
+    label: "Recipient's local time",
+    description: 'Each subscriber receives it at this time in their own timezone, taken from their "timezone" attribute. '
+      + 'Subscribers without one get it in the schedule timezone.',
+  },
+];
+
+/** Subscriber attribute holding the IANA timezone used for local-time delivery */
+export const RECIPIENT_TIMEZONE_ATTRIBUTE = 'timezone';
+
+/** Number of upcoming occurrences shown in previews */
+export const PREVIEW_COUNT = 10;
+
+// Recurrences are expanded at most this many days past their start
+const MAX_SCAN_DAYS = 366 * 10;
+const DAY = 24 * 60 * 60 * 1000;
+const UNITS = Object.fromEntries(SCHEDULE_FREQUENCIES.filter((f) => f.freq).map((f) => [f.freq, f.unit]));
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Calendar date ("YYYY-MM-DD") as a day number, so date maths never crosses a DST change.
+ * @param {string} date
+ * @returns {number}
+ */
+const toDayNumber = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY;
+};
+
+/**
+ * @param {number} dayNumber
+ * @returns {string} "YYYY-MM-DD"
+ */
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY).toISOString().slice(0, 10);
+
+/**
+ * Calendar parts of a day number.
+ * @param {number} dayNumber
+ * @returns {{ year: number, month: number, day: number, weekday: number, daysInMonth: number, dayOfYear: number, daysInYear: number }}
+ */
+const partsOf = (dayNumber) => {
+  const date = new Date(dayNumber * DAY);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+  const newYear = Date.UTC(year, 0, 1) / DAY;
+  return {
+    year,
+    month,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    daysInMonth: new Date(Date.UTC(year, month, 0)).getUTCDate(),
+    dayOfYear: dayNumber - newYear + 1,
+    daysInYear: Date.UTC(year + 1, 0, 1) / DAY - newYear,
+  };
+};
+
+/**
+ * "1st", "2nd", "23rd"...
+ * @param {number} n
+ * @returns {string}
+ */
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+/**
+ * "a", "a and b", "a, b and c"
+ * @param {Array<string>} items
+ * @returns {string}
+ */
+const listOf = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0] || '');
+
+/**
+ * Whether the runtime knows an IANA timezone name.
+ * @param {string} zone
+ * @returns {boolean}
+ */
+export function isValidTimezone(zone) {
+  if (!zone) return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * UTC instant of a wall-clock date and time in a timezone.
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:mm"
+ * @param {string} zone
+ * @returns {string} ISO timestamp
+ */
+export function zonedTime(date, time, zone) {
+  return dayjs.tz(`${date}T${time}:00`, zone).toISOString();
+}
+
+/**
+ * Send time of one occurrence date in the schedule timezone.
+ * @param {Object} schedule
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string} ISO timestamp
+ */
+export function occurrenceTime(schedule, date) {
+  return zonedTime(date, schedule.scheduleTime || '09:00', schedule.timezone || DEFAULT_TIMEZONE);
+}
+
+/**
+ * Builds the RRULE value (without the "RRULE:" prefix) for the modal's schedule fields.
+ * Returns null for one-time and custom-date schedules, which have no rule.
+ * @param {Object} schedule
+ * @param {string} schedule.frequency
+ * @param {number} [schedule.interval]
+ * @param {Array<number>} [schedule.weekdays] - Weekly days, `Date#getDay` numbers
+ * @param {{ type: 'date'|'day', date?: number, day?: { week: number, day: number } }} [schedule.monthlyConfig]
+ * @param {string|null} [schedule.endDate] - Last date (inclusive) in the schedule timezone
+ * @param {number|null} [schedule.count] - Total number of sends
+ * @returns {string|null}
+ */
+export function buildRRule(schedule) {
+  const freq = SCHEDULE_FREQUENCIES.find((f) => f.value === schedule.frequency)?.freq;
+  if (!freq) return null;
+  const parts = [`FREQ=${freq}`];
+  const interval = Number(schedule.interval) || 1;
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (freq === 'WEEKLY' && schedule.weekdays?.length) {
+    parts.push(`BYDAY=${[...schedule.weekdays].sort((a, b) => a - b).map((day) => WEEKDAYS[day].code).join(',')}`);
+  }
+  if (freq === 'MONTHLY' && schedule.monthlyConfig) {
+    const { type, date, day } = schedule.monthlyConfig;
+    if (type === 'day' && day) parts.push(`BYDAY=${day.week}${WEEKDAYS[day.day].code}`);
+    else if (date) parts.push(`BYMONTHDAY=${date}`);
+  }
+  if (schedule.count) {
+    parts.push(`COUNT=${Number(schedule.count)}`);
+  } else if (schedule.endDate) {
+    // With a TZID start, RFC 5545 wants UNTIL in UTC
+    const until = dayjs.tz(`${schedule.endDate}T23:59:59`, schedule.timezone || DEFAULT_TIMEZONE).utc();
+    parts.push(`UNTIL=${until.format('YYYYMMDD[T]HHmmss[Z]')}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * The schedule's rule: the stored RRULE, or one built from its fields.
+ * @param {Object} schedule
+ * @returns {string|null}
+ */
+export function getRRule(schedule) {
+  if (!SCHEDULE_FREQUENCIES.find((f) => f.value === schedule?.frequency)?.freq) return null;
+  return schedule.rrule || buildRRule(schedule);
+}
+
+/**
+ * @param {string} value
+ * @param {string} name
+ * @returns {number}
+ */
+const positiveInteger = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new Error(`${name} must be a positive whole number`);
+  return number;
+};
+
+/**
+ * @param {string} value - e.g. "MO", "2TU", "-1FR"
+ * @returns {{ weekday: number, ordinal: number }}
+ */
+const parseByDay = (value) => {
+  const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(value);
+  const weekday = WEEKDAYS.findIndex((day) => day.code === match?.[2]);
+  if (weekday === -1) throw new Error(`Invalid BYDAY value "${value}"`);
+  const position = match[1] ? Number(match[1]) : 0;
+  if (Math.abs(position) > 53 || (match[1] && !position)) throw new Error(`Invalid BYDAY value "${value}"`);
+  return { weekday, ordinal: position };
+};
+
+/**
+ * UNTIL as an ISO string: UTC ("...Z") or floating time read in the schedule timezone.
+ * @param {string} value - "YYYYMMDD", "YYYYMMDDTHHMMSS" or "YYYYMMDDTHHMMSSZ"
+ * @returns {string}
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) throw new Error(`Invalid UNTIL value "${value}"`);
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59', zulu = ''] = match;
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${zulu}`;
+};
+
+/**
+ * Parses an RRULE. Supports FREQ (DAILY to YEARLY), INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY and BYMONTH,
+ * which covers every schedule the newsletter scheduler builds; other parts are rejected rather than ignored.
+ * @param {string} text - Rule value, with or without the "RRULE:" prefix
+ * @returns {{ freq: string, interval: number, count: number|null, until: string|null, byDay: Array<{ weekday: number, ordinal: number }>, byMonthDay: Array<number>, byMonth: Array<number> }}
+ * @throws {Error} When the rule is empty, malformed or uses an unsupported part
+ */
+export function parseRRule(text) {
+  const value = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!value) throw new Error('The recurrence rule is empty');
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [] };
+  value.split(';').filter(Boolean).forEach((part) => {
+    const [name, raw = ''] = part.split('=').map((piece) => piece.trim().toUpperCase());
+    const list = raw.split(',').filter(Boolean);
+    switch (name) {
+      case 'FREQ':
+        if (!UNITS[raw]) throw new Error(`Unsupported frequency "${raw}"`);
+        rule.freq = raw;
+        break;
+      case 'INTERVAL':
+        rule.interval = positiveInteger(raw, 'INTERVAL');
+        break;
+      case 'COUNT':
+        rule.count = positiveInteger(raw, 'COUNT');
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(raw);
+        break;
+      case 'BYDAY':
+        rule.byDay = list.map(parseByDay);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = list.map((day) => {
+          const number = Number(day);
+          if (!Number.isInteger(number) || !number || Math.abs(number) > 31) throw new Error(`Invalid BYMONTHDAY value "${day}"`);
+          return number;
+        });
+        break;
+      case 'BYMONTH':
+        rule.byMonth = list.map((month) => {
+          const number = Number(month);
+          if (!Number.isInteger(number) || number < 1 || number > 12) throw new Error(`Invalid BYMONTH value "${month}"`);
+          return number;
+        });
+        break;
+      case 'WKST':
+        if (raw !== 'MO') throw new Error('Only weeks starting on Monday (WKST=MO) are supported');
+        break;
+      default:
+        throw new Error(`Unsupported rule part "${name}"`);
+    }
+  });
+  if (!rule.freq) throw new Error('The recurrence rule needs a FREQ');
+  if (rule.count && rule.until) throw new Error('COUNT and UNTIL cannot be used together');
+  if (rule.byDay.some((day) => day.ordinal) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('Numbered BYDAY values only work with monthly or yearly rules');
+  }
+  return rule;
+}
+
+/**
+ * Whether a weekday rule ("MO", "2TU", "-1FR") matches a date, counting within the month or the year.
+ * @param {{ weekday: number, ordinal: number }} entry
+ * @param {Object} date - partsOf result
+ * @param {boolean} inYear
+ * @returns {boolean}
+ */
+const matchesByDay = ({ weekday, ordinal: position }, date, inYear) => {
+  if (date.weekday !== weekday) return false;
+  if (!position) return true;
+  const index = inYear ? date.dayOfYear : date.day;
+  const length = inYear ? date.daysInYear : date.daysInMonth;
+  return position > 0
+    ? Math.floor((index - 1) / 7) + 1 === position
+    : Math.floor((length - index) / 7) + 1 === -position;
+};
+
+/**
+ * Whether a date is generated by a rule. Missing BY* parts default to the start date,
+ * as RFC 5545 describes (weekly on the start weekday, monthly on the start day...).
+ * @param {Object} rule - parseRRule result
+ * @param {number} dayNumber
+ * @param {number} startDay
+ * @returns {boolean}
+ */
+const matchesRule = (rule, dayNumber, startDay) => {
+  const date = partsOf(dayNumber);
+  const start = partsOf(startDay);
+  const mondayOf = (n) => n - ((partsOf(n).weekday + 6) % 7);
+  const elapsed = {
+    DAILY: dayNumber - startDay,
+    WEEKLY: (mondayOf(dayNumber) - mondayOf(startDay)) / 7,
+    MONTHLY: (date.year - start.year) * 12 + date.month - start.month,
+    YEARLY: date.year - start.year,
+  }[rule.freq];
+  if (elapsed % rule.interval) return false;
+
+  const byDay = rule.byDay.length;
+  const byMonthDay = rule.byMonthDay.length;
+  if (rule.byMonth.length && !rule.byMonth.includes(date.month)) return false;
+  if (byMonthDay && !rule.byMonthDay.some((day) => (day > 0 ? day : date.daysInMonth + 1 + day) === date.day)) return false;
+  if (byDay && !rule.byDay.some((entry) => matchesByDay(entry, date, rule.freq === 'YEARLY' && !rule.byMonth.length))) return false;
+
+  if (rule.freq === 'WEEKLY' && !byDay) return date.weekday === start.weekday;
+  if (rule.freq === 'MONTHLY' && !byDay && !byMonthDay) return date.day === start.day;
+  if (rule.freq === 'YEARLY' && !byDay && !byMonthDay) {
+    return (rule.byMonth.length || date.month === start.month) && date.day === start.day;
+  }
+  return true;
+};
+
+/**
+ * Upcoming send occurrences of a schedule, in order. Exception dates are skipped, but still use up a COUNT,
+ * like EXDATE does in iCalendar.
+ * @param {Object} schedule - Schedule fields (`frequency`, `startDate`, `scheduleTime`, `timezone`, `rrule`, `customDates`, `exdates`)
+ * @param {Object} [options]
+ * @param {Date|string} [options.after] - Only occurrences strictly after this instant (default: now)
+ * @param {number} [options.limit] - Maximum number of occurrences
+ * @returns {Array<{ date: string, at: string }>} Local date in the schedule timezone and UTC send time
+ * @throws {Error} When the schedule's RRULE is invalid
+ */
+export function getOccurrences(schedule, { after = new Date(), limit = PREVIEW_COUNT } = {}) {
+  const afterTime = new Date(after).getTime();
+  const excluded = new Set(schedule.exdates || []);
+  const results = [];
+  // Returns true once enough occurrences are collected
+  const take = (date) => {
+    const at = occurrenceTime(schedule, date);
+    if (!excluded.has(date) && new Date(at).getTime() > afterTime) results.push({ date, at });
+    return results.length >= limit;
+  };
+
+  if (!schedule.startDate && schedule.frequency !== 'custom') return results;
+  if (schedule.frequency === 'once') {
+    take(schedule.startDate);
+    return results;
+  }
+  if (schedule.frequency === 'custom') {
+    [...new Set(schedule.customDates || [])].sort().some(take);
+    return results;
+  }
+
+  const rule = parseRRule(getRRule(schedule));
+  const zone = schedule.timezone || DEFAULT_TIMEZONE;
+  const until = rule.until
+    ? (rule.until.endsWith('Z') ? new Date(rule.until) : dayjs.tz(rule.until, zone).toDate()).getTime()
+    : Infinity;
+  const startDay = toDayNumber(schedule.startDate);
+  let generated = 0;
+  for (let dayNumber = startDay; dayNumber < startDay + MAX_SCAN_DAYS; dayNumber += 1) {
+    if (matchesRule(rule, dayNumber, startDay)) {
+      const date = fromDayNumber(dayNumber);
+      if (new Date(occurrenceTime(schedule, date)).getTime() > until) break;
+      generated += 1;
+      if (take(date) || (rule.count && generated >= rule.count)) break;
+    }
+  }
+  return results;
+}
+
+/**
+ * One-line summary, e.g. "Every 2 weeks on Monday and Thursday at 10:00 (Europe/Berlin), until Dec 31, 2026, except 1 date".
+ * @param {Object|null} schedule
+ * @returns {string}
+ */
+export function describeRecurrence(schedule) {
+  if (!schedule) return '';
+  const zone = schedule.timezone || DEFAULT_TIMEZONE;
+  const time = schedule.scheduleTime || '09:00';
+  const clock = schedule.deliveryMode === 'local'
+    ? `at ${time} recipient's local time`
+    : `at ${time} (${zone.replace(/_/g, ' ')})`;
+  const formatDate = (date) => dayjs(date).format('MMM D, YYYY');
+  const exceptions = schedule.frequency === 'once' ? 0 : (schedule.exdates || []).length;
+  const except = exceptions ? `, except ${exceptions} date${exceptions === 1 ? '' : 's'}` : '';
+
+  if (schedule.frequency === 'once') return `Once on ${formatDate(schedule.startDate)} ${clock}`;
+  if (schedule.frequency === 'custom') {
+    const count = (schedule.customDates || []).length;
+    return `On ${count} selected date${count === 1 ? '' : 's'} ${clock}${except}`;
+  }
+
+  let rule;
+  try {
+    rule = parseRRule(getRRule(schedule));
+  } catch (error) {
+    return `Invalid recurrence: ${error.message}`;
+  }
+  const start = schedule.startDate ? partsOf(toDayNumber(schedule.startDate)) : null;
+  const unit = UNITS[rule.freq];
+  const words = [rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`];
+  if (rule.byMonth.length) words.push(`in ${listOf(rule.byMonth.map((month) => dayjs().month(month - 1).format('MMMM')))}`);
+  if (rule.byDay.length) {
+    words.push(`on ${listOf(rule.byDay.map(({ weekday, ordinal: position }) => {
+      if (!position) return WEEKDAYS[weekday].label;
+      const week = MONTH_WEEKS.find((entry) => entry.value === position);
+      const label = week ? week.label.toLowerCase() : position > 0 ? ordinal(position) : `${ordinal(-position)} to last`;
+      return `the ${label} ${WEEKDAYS[weekday].label}`;
+    }))}`);
+  } else if (rule.byMonthDay.length) {
+    words.push(`on the ${listOf(rule.byMonthDay.map((day) => {
+      if (day > 0) return ordinal(day);
+      return day === -1 ? 'last day' : `${ordinal(-day)} to last day`;
+    }))}`);
+  } else if (start && rule.freq === 'WEEKLY') {
+    words.push(`on ${WEEKDAYS[start.weekday].label}`);
+  } else if (start && rule.freq === 'MONTHLY') {
+    words.push(`on the ${ordinal(start.day)}`);
+  } else if (start && rule.freq === 'YEARLY') {
+    words.push(`on ${dayjs(schedule.startDate).format(rule.byMonth.length ? 'D' : 'MMM D')}`);
+  }
+  words.push(clock);
+
+  let end = '';
+  if (rule.count) end = `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  else if (rule.until) end = `, until ${formatDate(rule.until.endsWith('Z') ? dayjs(rule.until).tz(zone).format('YYYY-MM-DD') : rule.until.slice(0, 10))}`;
+  return `${words.join(' ')}${end}${except}`;
+}
+
+/**
+ * The schedule as iCalendar recurrence lines (DTSTART, RRULE or RDATE, EXDATE), e.g. for calendar exports.
+ * @param {Object} schedule
+ * @returns {string} One property per line
+ */
+export function formatICalRecurrence(schedule) {
+  const zone = schedule.timezone || DEFAULT_TIMEZONE;
+  const stamp = (date) => `${date.replace(/-/g, '')}T${(schedule.scheduleTime || '09:00').replace(':', '')}00`;
+  const dates = (name, list) => `${name};TZID=${zone}:${list.map(stamp).join(',')}`;
+  if (schedule.frequency === 'custom') {
+    const custom = [...new Set(schedule.customDates || [])].sort();
+    const lines = custom.length ? [dates('DTSTART', custom.slice(0, 1))] : [];
+    if (custom.length > 1) lines.push(dates('RDATE', custom.slice(1)));
+    if (schedule.exdates?.length) lines.push(dates('EXDATE', [...schedule.exdates].sort()));
+    return lines.join('\n');
+  }
+  const lines = [dates('DTSTART', [schedule.startDate])];
+  const rule = getRRule(schedule);
+  if (rule) lines.push(`RRULE:${rule}`);
+  if (rule && schedule.exdates?.length) lines.push(dates('EXDATE', [...schedule.exdates].sort()));
+  return lines.join('\n');
+}
+
+/**
+ * Checks schedule fields and returns an error message, or null when valid.
+ * @param {Object} schedule
+ * @returns {string|null}
+ */
+export function validateRecurrence(schedule) {
+  const { frequency, scheduleTime, timezone: zone, startDate, endDate, customDates, exdates, weekdays } = schedule;
+  if (!SCHEDULE_FREQUENCIES.some((f) => f.value === frequency)) return 'Please choose a frequency';
+  if (!/^\d{1,2}:\d{2}$/.test(scheduleTime || '')) return 'Invalid time format. Use HH:MM format (e.g., 14:30)';
+  const [hours, minutes] = scheduleTime.split(':').map(Number);
+  if (hours > 23 || minutes > 59) return 'Invalid time values. Hours must be 0-23, minutes must be 0-59';
+  if (zone && !isValidTimezone(zone)) return `Unknown timezone "${zone}"`;
+  if (frequency === 'custom') {
+    if (!customDates?.length) return 'Please select at least one date for custom schedule';
+    if (customDates.some((date) => !DATE_PATTERN.test(date))) return 'Custom dates must use the YYYY-MM-DD format';
+  } else if (!DATE_PATTERN.test(startDate || '')) {
+    return 'Please choose a start date';
+  }
+  if ((exdates || []).some((date) => !DATE_PATTERN.test(date))) return 'Exception dates must use the YYYY-MM-DD format';
+  if (frequency === 'weekly' && Array.isArray(weekdays) && !weekdays.length) return 'Please select at least one weekday for weekly schedule';
+  if (endDate && startDate && endDate < startDate) return 'The end date must be on or after the start date';
+  if (schedule.count !== null && schedule.count !== undefined && !(Number.isInteger(Number(schedule.count)) && Number(schedule.count) > 0)) {
+    return 'The number of sends must be a positive whole number';
+  }
+  try {
+    if (getRRule(schedule)) parseRRule(getRRule(schedule));
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Timezone a subscriber receives local-time sends in.
+ * @param {Object} subscriber
+ * @param {string} fallback - Used when the subscriber has no valid timezone attribute
+ * @returns {string}
+ */
+export function getRecipientTimezone(subscriber, fallback) {
+  const zone = String(subscriber.attributes?.[RECIPIENT_TIMEZONE_ATTRIBUTE] || '').trim();
+  return isValidTimezone(zone) ? zone : fallback;
+}
+
+/**
+ * Splits one occurrence into delivery batches. In local-time mode every timezone gets the occurrence's
+ * wall-clock time in that zone, so delivery is staggered around the world; otherwise there is one batch.
+ * @param {Object} schedule
+ * @param {string} date - Occurrence date, "YYYY-MM-DD"
+ * @param {Array<Object>} recipients - Subscribers
+ * @returns {Array<{ timezone: string, at: string, recipients: Array<Object> }>} Sorted by send time
+ */
+export function getSendBatches(schedule, date, recipients) {
+  const zone = schedule.timezone || DEFAULT_TIMEZONE;
+  if (!recipients.length) return [];
+  if (schedule.deliveryMode !== 'local') return [{ timezone: zone, at: occurrenceTime(schedule, date), recipients }];
+  const groups = new Map();
+  recipients.forEach((subscriber) => {
+    const recipientZone = getRecipientTimezone(subscriber, zone);
+    groups.set(recipientZone, [...(groups.get(recipientZone) || []), subscriber]);
+  });
+  return [...groups]
+    .map(([batchZone, list]) => ({ timezone: batchZone, at: zonedTime(date, schedule.scheduleTime || '09:00', batchZone), recipients: list }))
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+/* ========================================================================
+ * End of File: recurrence.js
+ * ======================================================================== */
@@ -0,0 +1,330 @@
+/* ========================================================================
+ * File: subscriberImport.js
+ * Description: Bulk subscriber import and export: reading CSV/JSON lists, mapping their columns to subscriber
+ *              fields, validating and deduplicating rows against the list, and serializing subscribers back out.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+import { parseCsv, restoreFormula, toCsv } from './csv';
+import { NEWSLETTER_TOPICS } from './subscriberPreferences';
+
+/**
+ * Largest list accepted in one import
+ * @type {number}
+ */
+export const MAX_IMPORT_ROWS = 50000;
+
+/**
+ * Subscriber fields a file column can be mapped to. `attribute` columns also carry the attribute name.
+ * @type {Array<{ value: string, label: string }>}
+ */
+export const IMPORT_TARGETS = [
+  { value: 'ignore', label: "Don't import" },
+  { value: 'email', label: 'Email' },
+  { value: 'status', label: 'Status' },
+  { value: 'tags', label: 'Tags' },
+  { value: 'attribute', label: 'Attribute' },
+];
+
+/**
+ * Import outcomes of a row, in report order
+ * @type {Array<{ value: string, label: string, color: string }>}
+ */
+export const IMPORT_RESULTS = [
+  { value: 'new', label: 'New', color: 'green' },
+  { value: 'updated', label: 'Updated', color: 'blue' },
+  { value: 'duplicate', label: 'Duplicate', color: 'default' },
+  { value: 'invalid', label: 'Invalid', color: 'red' },
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ACTIVE_VALUES = ['active', 'subscribed', 'yes', 'true', '1', 'opted in'];
+const INACTIVE_VALUES = ['inactive', 'unsubscribed', 'no', 'false', '0', 'opted out', 'bounced', 'cleaned'];
+// Columns our own export writes that describe the list rather than the subscriber
+const SYSTEM_COLUMNS = /^(_id|id|source|createdat|updatedat|subscribedat|confirmedat|consent\b.*|preferences\b.*)$/i;
+
+/**
+ * Flattens nested JSON values into `parent.child` columns; arrays become `;`-separated text.
+ * @param {Object} value
+ * @param {string} [prefix='']
+ * @param {Object} [into={}]
+ * @returns {Object<string, string>}
+ */
+function flattenRecord(value, prefix = '', into = {}) {
+  Object.entries(value || {}).forEach(([key, entry]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(entry)) into[column] = entry.join(';');
+    else if (entry && typeof entry === 'object') flattenRecord(entry, column, into);
+    else into[column] = entry === null || entry === undefined ? '' : String(entry);
+  });
+  return into;
+}
+
+/**
+ * Reads an uploaded list. CSV files need a header row; JSON files hold an array of subscriber objects
+ * (or `{ subscribers: [...] }`), with nested objects such as `attributes` flattened to `attributes.name`.
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to tell JSON from CSV
+ * @returns {{ format: 'csv'|'json', columns: Array<string>, rows: Array<Object<string, string>> }}
+ * @throws {Error} When the file cannot be read as a subscriber list
+ */
+export function readImportFile(text, fileName) {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  let format;
+  let rows;
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+    const list = Array.isArray(data) ? data : data?.subscribers;
+    if (!Array.isArray(list)) throw new Error('JSON files must contain an array of subscribers');
+    format = 'json';
+    rows = list.map((entry) => (entry && typeof entry === 'object' ? flattenRecord(entry) : { email: String(entry ?? '') }));
+  } else {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) throw new Error('The file is empty');
+    const names = header.map((name, index) => name.trim() || `Column ${index + 1}`);
+    format = 'csv';
+    // Our own exports quote cells that look like formulas; read them back as they were
+    rows = lines.map((cells) => Object.fromEntries(names.map((name, index) => [name, restoreFormula((cells[index] ?? '').trim())])));
+  }
+  if (!rows.length) throw new Error('The file has no subscriber rows');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`The file has ${rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time`);
+  }
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return { format, columns, rows };
+}
+
+/**
+ * Attribute name for a column header, e.g. `First Name` -> `firstName`, `attributes.plan` -> `plan`.
+ * @param {string} column
+ * @returns {string}
+ */
+export function toAttributeKey(column) {
+  const words = column.replace(/^attributes\./i, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return words
+    .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+/**
+ * Proposes a target for every column from its header.
+ * @param {Array<string>} columns
+ * @returns {Array<{ column: string, target: string, key: string }>}
+ */
+export function guessMapping(columns) {
+  let emailTaken = false;
+  return columns.map((column) => {
+    const name = column.trim().toLowerCase();
+    if (!emailTaken && /^(e-?mail|e-?mail address|email_address)$/.test(name)) {
+      emailTaken = true;
+      return { column, target: 'email', key: '' };
+    }
+    if (/^(tags?|labels?|groups?)$/.test(name)) return { column, target: 'tags', key: '' };
+    if (/^(status|subscribed|subscription status)$/.test(name)) return { column, target: 'status', key: '' };
+    if (SYSTEM_COLUMNS.test(name) || !toAttributeKey(column)) return { column, target: 'ignore', key: '' };
+    return { column, target: 'attribute', key: toAttributeKey(column) };
+  });
+}
+
+/**
+ * Checks a mapping before rows are built from it.
+ * @param {Array<{ column: string, target: string, key: string }>} mapping
+ * @returns {string|null} Problem description, or null when the mapping is usable
+ */
+export function validateMapping(mapping) {
+  const emails = mapping.filter((entry) => entry.target === 'email');
+  if (emails.length !== 1) return 'Map exactly one column to Email';
+  if (mapping.filter((entry) => entry.target === 'status').length > 1) return 'Map at most one column to Status';
+  const keys = mapping.filter((entry) => entry.target === 'attribute').map((entry) => entry.key.trim());
+  if (keys.some((key) => !key)) return 'Give every attribute column a name';
+  if (new Set(keys).size !== keys.length) return 'Attribute names must be unique';
+  return null;
+}
+
+/**
+ * Reads a status cell. Empty cells give null (keep the default); unknown text gives undefined.
+ * @param {string} value
+ * @returns {'active'|'pending'|'inactive'|null|undefined}
+ */
+function parseStatus(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return null;
+  if (text === 'pending') return 'pending';
+  if (ACTIVE_VALUES.includes(text)) return 'active';
+  if (INACTIVE_VALUES.includes(text)) return 'inactive';
+  return undefined;
+}
+
+/**
+ * Turns mapped file rows into subscriber records. Rows are numbered as a spreadsheet shows them
+ * (CSV data starts on line 2, after the header).
+ * @param {Array<Object<string, string>>} rows
+ * @param {Array<{ column: string, target: string, key: string }>} mapping
+ * @param {'csv'|'json'} [format='csv']
+ * @returns {Array<{ row: number, email: string, status: string|null, tags: Array<string>, attributes: Object, error?: string }>}
+ */
+export function buildImportRecords(rows, mapping, format = 'csv') {
+  return rows.map((row, index) => {
+    const record = { row: index + (format === 'csv' ? 2 : 1), email: '', status: null, tags: [], attributes: {} };
+    mapping.forEach(({ column, target, key }) => {
+      const value = String(row[column] ?? '').trim();
+      if (target === 'email') record.email = value.toLowerCase();
+      if (target === 'tags') record.tags.push(...value.split(/[;,|]/).map((tag) => tag.trim()).filter(Boolean));
+      if (target === 'attribute' && value) record.attributes[key.trim()] = value;
+      if (target === 'status') {
+        const status = parseStatus(value);
+        if (status === undefined) record.error = `Unknown status "${value}"`;
+        else record.status = status;
+      }
+    });
+    if (!record.email) record.error = 'Email is missing';
+    else if (!EMAIL_PATTERN.test(record.email)) record.error = `"${record.email}" is not a valid email address`;
+    return record;
+  });
+}
+
+/**
+ * Tags of both lists without case-insensitive repeats, existing ones first.
+ * @param {Array<string>} current
+ * @param {Array<string>} added
+ * @returns {Array<string>}
+ */
+function mergeTags(current, added) {
+  const seen = new Set();
+  return [...current, ...added].filter((tag) => !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+}
+
+/**
+ * Dry run of an import: decides what each record does to the list without changing it.
+ * - `invalid`: the record has an error.
+ * - `duplicate`: the email appears on an earlier row, or the subscriber exists and the row changes nothing.
+ * - `updated`: the subscriber exists; tags are added, attributes overwritten, and a row marked
+ *   unsubscribed unsubscribes them. Rows never re-activate an address that unsubscribed or has not confirmed.
+ * - `new`: a subscriber is created with `newStatus`, unless the row says unsubscribed or pending.
+ * @param {Array<Object>} records - From buildImportRecords
+ * @param {Array<Object>} subscribers - The current list
+ * @param {{ newStatus?: 'active'|'pending' }} [options]
+ * @returns {{
+ *   summary: { new: number, updated: number, duplicate: number, invalid: number },
+ *   rows: Array<{ row: number, email: string, result: string, reason: string, subscriberId?: string, changes?: Object, subscriber?: Object }>
+ * }}
+ */
+export function classifyImport(records, subscribers, { newStatus = 'active' } = {}) {
+  const existingByEmail = new Map(subscribers.map((subscriber) => [subscriber.email.toLowerCase(), subscriber]));
+  const firstRowByEmail = new Map();
+  const summary = Object.fromEntries(IMPORT_RESULTS.map(({ value }) => [value, 0]));
+
+  const rows = records.map((record) => {
+    const base = { row: record.row, email: record.email };
+    let outcome;
+    if (record.error) {
+      outcome = { ...base, result: 'invalid', reason: record.error };
+    } else if (firstRowByEmail.has(record.email)) {
+      outcome = { ...base, result: 'duplicate', reason: `Same email as row ${firstRowByEmail.get(record.email)}` };
+    } else {
+      firstRowByEmail.set(record.email, record.row);
+      const existing = existingByEmail.get(record.email);
+      if (!existing) {
+        outcome = {
+          ...base,
+          result: 'new',
+          reason: record.status === 'inactive' ? 'Added as unsubscribed' : '',
+          subscriber: {
+            email: record.email,
+            status: record.status === 'inactive' || record.status === 'pending' ? record.status : newStatus,
+            tags: mergeTags([], record.tags),
+            attributes: record.attributes,
+          },
+        };
+      } else {
+        const changes = {};
+        const notes = [];
+        const tags = mergeTags(existing.tags || [], record.tags);
+        if (tags.length !== (existing.tags || []).length) changes.tags = tags;
+        const changedAttributes = Object.entries(record.attributes)
+          .filter(([key, value]) => String(existing.attributes?.[key] ?? '') !== value);
+        if (changedAttributes.length) changes.attributes = { ...existing.attributes, ...Object.fromEntries(changedAttributes) };
+        if (record.status === 'inactive' && existing.status !== 'inactive') changes.status = 'inactive';
+        if (record.status === 'active' && existing.status !== 'active') {
+          notes.push(existing.status === 'pending' ? 'Stays unconfirmed' : 'Stays unsubscribed');
+        }
+        const updated = Object.keys(changes).length > 0;
+        if (changes.status) notes.unshift('Unsubscribes');
+        outcome = {
+          ...base,
+          result: updated ? 'updated' : 'duplicate',
+          reason: updated ? notes.join('; ') : ['Already on the list with the same details', ...notes].join('; '),
+          subscriberId: existing._id,
+          ...(updated && { changes }),
+        };
+      }
+    }
+    summary[outcome.result] += 1;
+    return outcome;
+  });
+
+  return { summary, rows };
+}
+
+/**
+ * Columns of a subscriber export: fixed fields, then one column per attribute name in use.
+ * @param {Array<Object>} subscribers
+ * @returns {Array<{ key: string, label: string, value?: function(Object): any }>}
+ */
+function exportColumns(subscribers) {
+  const attributeKeys = [...new Set(subscribers.flatMap((subscriber) => Object.keys(subscriber.attributes || {})))].sort();
+  return [
+    { key: 'email', label: 'email' },
+    { key: 'status', label: 'status' },
+    { key: 'source', label: 'source' },
+    { key: 'tags', label: 'tags', value: (subscriber) => (subscriber.tags || []).join(';') },
+    ...attributeKeys.map((key) => ({ key, label: key, value: (subscriber) => subscriber.attributes?.[key] })),
+    {
+      key: 'topics',
+      label: 'preferences.topics',
+      value: (subscriber) => (subscriber.preferences?.topics || [])
+        .filter((topic) => NEWSLETTER_TOPICS.some((entry) => entry.value === topic))
+        .join(';'),
+    },
+    { key: 'frequency', label: 'preferences.frequency', value: (subscriber) => subscriber.preferences?.frequency },
+    { key: 'createdAt', label: 'createdAt' },
+    { key: 'consentForm', label: 'consent.form', value: (subscriber) => subscriber.consent?.form },
+    { key: 'consentIp', label: 'consent.ip', value: (subscriber) => subscriber.consent?.ip },
+    { key: 'confirmedAt', label: 'consent.confirmedAt', value: (subscriber) => subscriber.consent?.confirmedAt },
+    { key: 'withdrawnAt', label: 'consent.withdrawnAt', value: (subscriber) => subscriber.consent?.withdrawnAt },
+  ];
+}
+
+/**
+ * Serializes subscribers for download. Link tokens are left out: they work as passwords.
+ * Names and attributes arrive through public signup and imports, so CSV cells that a spreadsheet would run as a
+ * formula are quoted (see neutralizeFormula).
+ * The output imports back unchanged (system columns are ignored on import).
+ * @param {Array<Object>} subscribers
+ * @param {'csv'|'json'} format
+ * @returns {string}
+ */
+export function exportSubscribers(subscribers, format) {
+  if (format === 'json') {
+    return JSON.stringify(subscribers.map((subscriber) => ({
+      email: subscriber.email,
+      status: subscriber.status,
+      source: subscriber.source,
+      tags: subscriber.tags || [],
+      attributes: subscriber.attributes || {},
+      preferences: subscriber.preferences || null,
+      createdAt: subscriber.createdAt,
+      consent: subscriber.consent || null,
+    })), null, 2);
+  }
+  return toCsv(subscribers, exportColumns(subscribers));
+}
+
+/* ========================================================================
+ * End of File: subscriberImport.js
+ * ======================================================================== */
@@ -0,0 +1,175 @@
+/* ========================================================================
+ * File: subscriberPreferences.js
+ * Description: Newsletter subscription preferences and consent: topics, send frequency, opt-in wording
+ *              and the public confirmation and preference-center links.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+/**
+ * Topics a subscriber can choose in the preference center
+ * @type {Array<{ value: string, label: string, description: string }>}
+ */
+export const NEWSLETTER_TOPICS = [
+  { value: 'product', label: 'Product updates', description: 'New features and release notes' },
+  { value: 'blog', label: 'Blog digest', description: 'The latest articles from our blog' },
+  { value: 'events', label: 'Events and webinars', description: 'Invitations and recordings' },
+  { value: 'offers', label: 'Offers', description: 'Promotions and discounts' },
+];
+
+/**
+ * How often a subscriber wants to hear from us
+ * @type {Array<{ value: string, label: string }>}
+ */
+export const NEWSLETTER_FREQUENCIES = [
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'important', label: 'Only important updates' },
+];
+
+/**
+ * Preferences of a subscriber who has not chosen any: every topic, weekly.
+ * @type {{ topics: Array<string>, frequency: string }}
+ */
+export const DEFAULT_PREFERENCES = {
+  topics: NEWSLETTER_TOPICS.map((topic) => topic.value),
+  frequency: 'weekly',
+};
+
+/**
+ * Opt-in wording shown next to signup forms. It is stored with the consent record, so any change
+ * to it is visible in what each subscriber agreed to.
+ * @type {string}
+ */
+export const CONSENT_TEXT = 'I agree to receive the newsletter by email. I can change my preferences or unsubscribe at any time.';
+
+/**
+ * Hours a confirmation link stays valid
+ * @type {number}
+ */
+export const CONFIRMATION_TTL_HOURS = 48;
+
+/**
+ * Subscriber statuses with display labels and badge classes
+ * @type {Array<{ value: string, label: string, className: string }>}
+ */
+export const SUBSCRIBER_STATUSES = [
+  { value: 'active', label: 'Active', className: 'bg-green-100 text-green-800' },
+  { value: 'pending', label: 'Awaiting confirmation', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'inactive', label: 'Inactive', className: 'bg-red-100 text-red-800' },
+];
+
+/**
+ * Looks up a status definition; unknown statuses show as inactive.
+ * @param {string} status
+ * @returns {{ value: string, label: string, className: string }}
+ */
+export function getSubscriberStatus(status) {
+  return SUBSCRIBER_STATUSES.find((entry) => entry.value === status) || SUBSCRIBER_STATUSES[2];
+}
+
+/**
+ * A subscriber's preferences with defaults filled in.
+ * @param {{ preferences?: { topics?: Array<string>, frequency?: string } }} subscriber
+ * @returns {{ topics: Array<string>, frequency: string }}
+ */
+export function getPreferences(subscriber) {
+  const preferences = subscriber?.preferences || {};
+  return {
+    topics: Array.isArray(preferences.topics) ? preferences.topics : DEFAULT_PREFERENCES.topics,
+    frequency: preferences.frequency || DEFAULT_PREFERENCES.frequency,
+  };
+}
+
+/**
+ * Days that must pass between two newsletters for each capped frequency
+ * @type {Object<string, number>}
+ */
+export const FREQUENCY_GAP_DAYS = { weekly: 7, monthly: 28 };
+
+/**
+ * Whether a subscriber wants a newsletter's content: its topic is one they chose, and it is an
+ * important update if that is all they asked for. Newsletters saved before topics existed have
+ * none and reach every topic.
+ * @param {Object} subscriber
+ * @param {{ topic?: string, important?: boolean }} newsletter
+ * @returns {boolean}
+ */
+export function wantsNewsletter(subscriber, { topic, important } = {}) {
+  const preferences = getPreferences(subscriber);
+  if (topic && !preferences.topics.includes(topic)) return false;
+  return preferences.frequency !== 'important' || Boolean(important);
+}
+
+/**
+ * Whether a subscriber's frequency allows another newsletter now. Important updates always go out.
+ * Half a day of slack lets a weekly send at a slightly later time of day through.
+ * @param {Object} subscriber
+ * @param {{ important?: boolean }} newsletter
+ * @param {string|Date|null} lastReceivedAt - When the subscriber last got a newsletter
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isDueForNewsletter(subscriber, { important } = {}, lastReceivedAt, now = new Date()) {
+  const gapDays = FREQUENCY_GAP_DAYS[getPreferences(subscriber).frequency];
+  if (important || !gapDays || !lastReceivedAt) return true;
+  return now - new Date(lastReceivedAt) >= (gapDays - 0.5) * 24 * 3600 * 1000;
+}
+
+/**
+ * Keeps only known topics and frequencies. Throws when the result is unusable.
+ * @param {{ topics?: Array<string>, frequency?: string }} preferences
+ * @returns {{ topics: Array<string>, frequency: string }}
+ */
+export function normalizePreferences(preferences = {}) {
+  const topics = NEWSLETTER_TOPICS
+    .map((topic) => topic.value)
+    .filter((value) => (preferences.topics || []).includes(value));
+  const frequency = NEWSLETTER_FREQUENCIES.some((entry) => entry.value === preferences.frequency)
+    ? preferences.frequency
+    : DEFAULT_PREFERENCES.frequency;
+  if (!topics.length) throw new Error('Pick at least one topic, or unsubscribe instead');
+  return { topics, frequency };
+}
+
+/**
+ * Current site origin, or '' outside the browser.
+ * @returns {string}
+ */
+const siteOrigin = () => (typeof window !== 'undefined' ? window.location.origin : '');
+
+/**
+ * Preference-center link for a subscriber. The token is the only credential, so the page works
+ * straight from an email without signing in.
+ * @param {{ preferenceToken?: string }} subscriber
+ * @returns {string}
+ */
+export function buildPreferencesUrl(subscriber) {
+  return `${siteOrigin()}/newsletter/preferences/${encodeURIComponent(subscriber?.preferenceToken || 'preview')}`;
+}
+
+/**
+ * Double opt-in confirmation link.
+ * @param {string} token
+ * @returns {string}
+ */
+export function buildConfirmUrl(token) {
+  return `${siteOrigin()}/newsletter/confirm/${encodeURIComponent(token)}`;
+}
+
+/**
+ * Where a signup form is, for the consent record.
+ * @param {string} form - Name of the form, e.g. `newsletter-subscribe`
+ * @returns {{ form: string, page: string, consentText: string }}
+ */
+export function describeSignupSource(form) {
+  return {
+    form,
+    page: typeof window !== 'undefined' ? window.location.pathname : '',
+    consentText: CONSENT_TEXT,
+  };
+}
+
+/* ========================================================================
+ * End of File: subscriberPreferences.js
+ * ======================================================================== */
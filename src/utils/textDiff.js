@@ -0,0 +1,107 @@
+/* ========================================================================
+ * File: textDiff.js
+ * Description: Word-level text diff (LCS based) used to compare blog revisions.
+ * Author: Tech4biz Solutions
+ * Copyright: Tech4biz Solutions Private
+ * ======================================================================== */
+
+// Above this many token pairs the LCS table gets too large; fall back to a whole-block change
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Splits text into words, whitespace runs and HTML tags, so markup changes show as whole tokens.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text = '') {
+  return String(text).split(/(<[^>]+>|\s+)/).filter(Boolean);
+}
+
+/**
+ * Appends a token to the diff, merging it into the previous part when the type matches.
+ * @param {Array<{ type: string, value: string }>} parts
+ * @param {string} type
+ * @param {string} value
+ */
+function pushPart(parts, type, value) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    parts.push({ type, value });
+  }
+}
+
+/**
+ * Computes a word-level diff between two strings.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'equal'|'added'|'removed', value: string }>}
+ */
+export function diffWords(before = '', after = '') {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Common prefix and suffix never need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const parts = [];
+  if (start > 0) pushPart(parts, 'equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    if (midA.length) pushPart(parts, 'removed', midA.join(''));
+    if (midB.length) pushPart(parts, 'added', midB.join(''));
+  } else {
+    // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+    const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i -= 1) {
+      for (let j = midB.length - 1; j >= 0; j -= 1) {
+        lengths[i][j] = midA[i] === midB[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        pushPart(parts, 'equal', midA[i]);
+        i += 1;
+        j += 1;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        pushPart(parts, 'removed', midA[i]);
+        i += 1;
+      } else {
+        pushPart(parts, 'added', midB[j]);
+        j += 1;
+      }
+    }
+    while (i < midA.length) pushPart(parts, 'removed', midA[i++]);
+    while (j < midB.length) pushPart(parts, 'added', midB[j++]);
+  }
+
+  if (endA < a.length) pushPart(parts, 'equal', a.slice(endA).join(''));
+  return parts;
+}
+
+/**
+ * Whether a diff contains any change.
+ * @param {Array<{ type: string }>} parts
+ * @returns {boolean}
+ */
+export function hasChanges(parts) {
+  return parts.some((part) => part.type !== 'equal');
+}
+
+/* ========================================================================
+ * End of File: textDiff.js
+ * ======================================================================== */